@@ -138,6 +138,22 @@ return [
         'cooldown_seconds' => 60, // Cooldown between large actions
     ],
 
+    /*
+    |--------------------------------------------------------------------------
+    | Idempotency Configuration
+    |--------------------------------------------------------------------------
+    |
+    | Requests to execute an action may carry an Idempotency-Key header. A
+    | retried request with the same key gets the execution the first one
+    | started instead of starting the action again.
+    |
+    */
+    'idempotency' => [
+        'enabled' => env('ACTION_ENGINE_IDEMPOTENCY_ENABLED', true),
+        'ttl_hours' => 24, // How long a key is remembered
+        'lock_seconds' => 10, // How long a request holds its key while it starts the action
+    ],
+
     /*
     |--------------------------------------------------------------------------
     | Cleanup Configuration
@@ -180,8 +196,10 @@ return [
         'directory' => 'bulk-action-exports',
         'max_export_records' => 100000,
         'chunk_size' => 1000,
-        'formats' => ['csv', 'xlsx', 'pdf'],
+        'formats' => ['csv', 'json', 'xml', 'xlsx', 'pdf'],
         'cleanup_after_days' => 7,
+        // Largest export POST /export streams straight to the browser
+        'sync_max_records' => 1000,
     ],
 
     /*
@@ -209,6 +227,7 @@ return [
         'progress' => 'bulk_action_progress',
         'undo' => 'bulk_action_undo',
         'audit' => 'bulk_action_audit',
+        'failures' => 'bulk_action_failures',
     ],
 
     /*
@@ -298,6 +317,15 @@ return [
             'enabled' => env('PROMETHEUS_ENABLED', false),
         ],
         
+        // Dashboard endpoints under /api/{prefix}/monitoring. They report on
+        // every user's actions, so they sit behind the
+        // viewActionEngineMonitoring gate, open in the local environment only
+        // until the application defines it
+        'dashboard' => [
+            'enabled' => env('ACTION_ENGINE_MONITORING_DASHBOARD', true),
+            'middleware' => ['can:viewActionEngineMonitoring'],
+        ],
+        
         // Alert thresholds
         'alerts' => [
             'queue_threshold' => 100,
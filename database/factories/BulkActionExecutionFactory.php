@@ -44,6 +44,7 @@ class BulkActionExecutionFactory extends Factory
             'undo_expires_at' => null,
             'is_dry_run' => false,
             'dry_run_results' => null,
+            'export_file' => null,
             'batch_size' => config('action-engine.batch_size', 500),
             'queue_connection' => null,
             'queue_name' => 'default',
@@ -190,12 +191,34 @@ class BulkActionExecutionFactory extends Factory
     public function scheduled(?\DateTimeInterface $datetime = null): static
     {
         return $this->state(fn (array $attributes) => [
-            'status' => 'pending',
-            'scheduled_for' => $datetime ?? $this->faker->dateTimeBetween('now', '+1 week'),
+            'status' => 'scheduled',
+            'started_at' => null,
+            'completed_at' => null,
+            'processed_records' => 0,
+            'failed_records' => 0,
+            'scheduled_for' => $datetime ?? $this->faker->dateTimeBetween('+1 hour', '+1 week'),
             'scheduled_timezone' => $this->faker->timezone(),
         ]);
     }
 
+    /**
+     * Indicate that the execution is a completed export with its file.
+     */
+    public function exported(string $filename = 'export.csv', string $mimeType = 'text/csv'): static
+    {
+        return $this->completed()->state(fn (array $attributes) => [
+            'action_name' => 'export',
+            'export_file' => [
+                'disk' => config('action-engine.export.disk', 'local'),
+                'path' => config('action-engine.export.directory', 'bulk-action-exports') . "/{$attributes['uuid']}/{$filename}",
+                'filename' => $filename,
+                'format' => pathinfo($filename, PATHINFO_EXTENSION),
+                'mime_type' => $mimeType,
+                'size' => null,
+            ],
+        ]);
+    }
+
     /**
      * Set a specific action type.
      */
@@ -0,0 +1,39 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        $table = config('action-engine.tables.executions', 'bulk_action_executions');
+        $connection = Schema::connection(config('action-engine.database_connection'));
+
+        // Where an export action wrote its file
+        if (!$connection->hasColumn($table, 'export_file')) {
+            $connection->table($table, function (Blueprint $table) {
+                $table->json('export_file')->nullable()->after('dry_run_results');
+            });
+        }
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        $table = config('action-engine.tables.executions', 'bulk_action_executions');
+        $connection = Schema::connection(config('action-engine.database_connection'));
+
+        if ($connection->hasColumn($table, 'export_file')) {
+            $connection->table($table, function (Blueprint $table) {
+                $table->dropColumn('export_file');
+            });
+        }
+    }
+};
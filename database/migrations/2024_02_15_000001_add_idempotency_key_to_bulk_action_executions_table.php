@@ -0,0 +1,44 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        $table = config('action-engine.tables.executions', 'bulk_action_executions');
+        $connection = Schema::connection(config('action-engine.database_connection'));
+
+        // The key a client sent with the request that started the execution,
+        // and a hash of what it asked for, so that retries can be replayed
+        if (!$connection->hasColumn($table, 'idempotency_key')) {
+            $connection->table($table, function (Blueprint $table) {
+                $table->string('idempotency_key')->nullable()->after('uuid');
+                $table->string('idempotency_hash', 64)->nullable()->after('idempotency_key');
+
+                $table->index(['idempotency_key', 'user_id']);
+            });
+        }
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        $table = config('action-engine.tables.executions', 'bulk_action_executions');
+        $connection = Schema::connection(config('action-engine.database_connection'));
+
+        if ($connection->hasColumn($table, 'idempotency_key')) {
+            $connection->table($table, function (Blueprint $table) {
+                $table->dropIndex(['idempotency_key', 'user_id']);
+                $table->dropColumn(['idempotency_key', 'idempotency_hash']);
+            });
+        }
+    }
+};
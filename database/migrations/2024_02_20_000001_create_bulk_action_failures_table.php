@@ -0,0 +1,43 @@
+<?php
+
+use DhruvilNagar\ActionEngine\Models\BulkActionProgress;
+use DhruvilNagar\ActionEngine\Support\FailureReport;
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create(config('action-engine.tables.failures', 'bulk_action_failures'), function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('bulk_action_execution_id')
+                ->constrained(config('action-engine.tables.executions', 'bulk_action_executions'))
+                ->cascadeOnDelete();
+            $table->unsignedInteger('batch_number');
+            $table->string('record_id');
+            $table->string('type');
+            $table->text('message')->nullable();
+            $table->timestamps();
+
+            $table->index(['bulk_action_execution_id', 'batch_number']);
+            $table->index(['bulk_action_execution_id', 'type']);
+        });
+
+        // One row per failed record, from the batches that already ran
+        BulkActionProgress::where('failed_count', '>', 0)
+            ->chunkById(100, fn ($batches) => $batches->each(fn ($batch) => FailureReport::record($batch)));
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists(config('action-engine.tables.failures', 'bulk_action_failures'));
+    }
+};
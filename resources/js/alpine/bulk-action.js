@@ -1,245 +1,1523 @@
 /**
  * Alpine.js Bulk Action Component
- * 
+ *
  * Usage:
- * <div x-data="bulkAction({ apiPrefix: '/api/bulk-actions' })">
+ * <div x-data="bulkAction({ apiPrefix: '/api/bulk-actions', echo: window.Echo })">
  *   <button @click="execute({ action: 'delete', model: 'App\\Models\\User', filters: { ids: selectedIds } })">
  *     Delete Selected
  *   </button>
- *   
+ *
  *   <template x-if="isInProgress">
  *     <div class="progress-bar" :style="{ width: progress.percentage + '%' }"></div>
  *   </template>
  * </div>
+ *
+ * Requests and polling are handled by the shared ExecutionStore core; the
+ * component mirrors its state and re-dispatches its lifecycle events as
+ * `bulk-action-*` DOM events.
+ *
+ * To track several executions at once, use `bulkActions`:
+ * <div x-data="bulkActions()">
+ *   <template x-for="execution in list" :key="execution.uuid">
+ *     <div>
+ *       <span x-text="execution.action_name"></span>
+ *       <span x-text="progressOf(execution.uuid).percentage + '%'"></span>
+ *       <button x-show="isInProgress(execution.uuid)" @click="cancel(execution.uuid)">Cancel</button>
+ *     </div>
+ *   </template>
+ * </div>
+ *
+ * To page through past executions, use `bulkActionHistory`; a nested
+ * `bulkAction` can reopen any row to cancel or undo it:
+ * <div x-data="bulkActionHistory({ perPage: 20 })" @bulk-action-undone="refresh()">
+ *   <select @change="setFilters({ status: $event.target.value })">...</select>
+ *
+ *   <template x-for="row in items" :key="row.uuid">
+ *     <div x-data="bulkAction()">
+ *       <span x-text="row.action_name"></span>
+ *       <button x-show="row.can_undo" @click="await open(row); undo()">Undo</button>
+ *     </div>
+ *   </template>
+ *
+ *   <button :disabled="!hasPreviousPage" @click="previousPage()">Previous</button>
+ *   <button :disabled="!hasNextPage" @click="nextPage()">Next</button>
+ * </div>
+ *
+ * `availableActions` loads the registered actions and holds the selected
+ * action's parameter values; `submit()` validates them and dispatches
+ * `bulk-action-submit` with the payload. The `action-engine::blade.action-form`
+ * view renders a dropdown and parameter form on top of it:
+ * <div x-data="bulkAction()" @bulk-action-submit="execute($event.detail)">
+ *   @include('action-engine::blade.action-form', ['model' => App\Models\Post::class, 'filters' => '{ ids: selectedIds }'])
+ * </div>
+ *
+ * `executeSafely()` runs destructive actions through the server's safety
+ * checks (preview, dry run first, typed phrase above the threshold), with
+ * the `action-engine::blade.confirm-dialog` view as the dialog:
+ * <div x-data="bulkAction()" @bulk-action-submit="executeSafely($event.detail)">
+ *   @include('action-engine::blade.action-form', ['model' => App\Models\Post::class])
+ *   @include('action-engine::blade.confirm-dialog')
+ * </div>
+ *
+ * `undoQueue` renders the undo toasts of the page-wide undo queue, which
+ * survives navigation. `bulkAction({ undoQueue: true })` (or `bulkActions`)
+ * feeds it the undoable executions; the `action-engine::blade.undo-toast`
+ * view is a ready-made toast stack:
+ * <div x-data="bulkAction({ undoQueue: true })">...</div>
+ * @include('action-engine::blade.undo-toast')
+ *
+ * `bulkSelection` selects table rows across pages, including "all rows
+ * matching the filters" minus exclusions, and compiles the selection to
+ * filters with `toPayload()`:
+ * <div x-data="bulkSelection({ model: 'App\\Models\\User', action: 'archive', autoVerify: true })"
+ *      x-effect="setPage(rows.map(row => row.id), total)">
+ *   <input type="checkbox" :checked="isPageSelected" @change="togglePage()">
+ *   <button @click="selectAll()">Select all matching</button>
+ *   <span x-text="count"></span> selected
+ *   <div x-data="bulkAction()">
+ *     <button @click="execute(toPayload({ action: 'archive' }))">Archive</button>
+ *   </div>
+ * </div>
+ *
+ * `scheduledActions` lists the user's scheduled actions with a countdown to
+ * each start, `reschedule()` and `cancel()`. Due actions leave the list and
+ * are dispatched as `bulk-action-due`, so a `bulkActions` on the page can
+ * track their live progress. The `action-engine::blade.scheduled-actions`
+ * view is a ready-made list:
+ * <div x-data="bulkActions()" @bulk-action-due.window="track($event.detail)">...</div>
+ * @include('action-engine::blade.scheduled-actions', ['hours' => 24])
+ *
+ * `bulkExport` picks one of the enabled export formats, runs the export
+ * and downloads its file with byte progress (`downloadProgress`), dispatching
+ * `bulk-action-exported` and `bulk-action-downloaded`. `stream()` downloads
+ * small selections straight away, without a bulk action:
+ * <div x-data="bulkExport()">
+ *   <select x-model="format">
+ *     <template x-for="f in formats" :key="f.format"><option :value="f.format" x-text="f.extension"></option></template>
+ *   </select>
+ *   <button :disabled="isLoading" @click="start({ model: 'App\\Models\\User', filters: { ids: selectedIds } })">Export</button>
+ *   <progress x-show="step === 'downloading'" :value="downloadProgress?.loaded" :max="downloadProgress?.total"></progress>
+ * </div>
+ *
+ * `failureReport` pages through the records an execution failed on, with
+ * their error grouped by type, and `retryFailed()` runs the action again on
+ * those records only. The retry is dispatched as `bulk-action-retried`, so a
+ * `bulkActions` on the page can track it. The `action-engine::blade.failure-report`
+ * view is a ready-made report:
+ * <div x-data="bulkActions()" @bulk-action-retried.window="track($event.detail)">...</div>
+ * @include('action-engine::blade.failure-report', ['uuid' => $execution->uuid])
+ *
+ * `changePreview` pages through the records an action would run on, with
+ * their values before and after it, and `execute()` runs the action from
+ * there (dispatching the usual `bulk-action-*` events). The
+ * `action-engine::blade.preview-table` view is a ready-made diff table:
+ * <div x-data="changePreview({ perPage: 25 })">
+ *   <button @click="open({ action: 'update', model: 'App\\Models\\User', filters: { ids: selectedIds }, parameters: { data: { status: 'inactive' } } })">Preview</button>
+ *   @include('action-engine::blade.preview-table')
+ * </div>
+ *
+ * `actionChain` runs bulk actions one after the other on the same records
+ * and follows each step's status and progress. `cancel()` stops the steps
+ * that have not finished, `undo()` undoes the completed ones, last one
+ * first. Step changes are dispatched as `bulk-action-chain-step`, the end
+ * of the chain as `bulk-action-chain-completed`. The
+ * `action-engine::blade.chain-timeline` view is a ready-made timeline:
+ * <div x-data="actionChain()">
+ *   <button @click="start({ action: 'archive', model: 'App\\Models\\Post', filters: { ids: selectedIds } }, ['export'])">Archive and export</button>
+ *   @include('action-engine::blade.chain-timeline')
+ * </div>
+ *
+ * `monitoringDashboard` loads the monitoring endpoints and refreshes them
+ * every `refreshInterval` ms, over the date range set with `setRange()`.
+ * `chart(metric)` lays the daily trends out for an SVG chart, no chart
+ * library needed; a health status change is dispatched as
+ * `bulk-action-health`. The `action-engine::blade.monitoring-widgets` view
+ * has a health badge, throughput and failure-rate charts and the
+ * per-action breakdown:
+ * <div x-data="monitoringDashboard({ range: { days: 30 }, refreshInterval: 60000 })">
+ *   @include('action-engine::blade.monitoring-widgets')
+ * </div>
+ *
+ * `livewire` bridges `bulkAction` / `bulkActions` to Livewire components:
+ * their `bulk-action-*` events reach Livewire listeners (with the `uuid`),
+ * executions the `BulkActionManager` starts, cancels or undoes show up in
+ * the Alpine progress UI, and the enclosing Livewire component re-renders
+ * its rows once an action finished or was undone (through its listeners
+ * when the events reach it). `true` reaches every component, a name (e.g.
+ * `'users-table'`) only that one:
+ * <div x-data="bulkAction({ livewire: true })">...</div>
+ *
+ * `error` holds the typed ActionEngineError of the last failed request
+ * (`error.message`, `error.status`, `error.errors`), and `fieldError(name)`
+ * reads a field's message from a server-side ValidationError.
+ */
+
+import {
+    bulk as createBuilder,
+    canConfirm,
+    chartGeometry,
+    cleanParameters,
+    coerceValue,
+    createActionCatalog,
+    createActionChain,
+    createChangePreview,
+    createConfirmationFlow,
+    createExecutionHistory,
+    createExecutionManager,
+    createExecutionStore,
+    createExportFlow,
+    createFailureReport,
+    createMonitoringDashboard,
+    createScheduledActions,
+    createSelection,
+    defaultValues,
+    failingChecks,
+    fieldError,
+    formatCountdown,
+    formatMetric,
+    formatScheduledFor,
+    getUndoQueue,
+    inputText,
+    inputType,
+    isChainRunning,
+    isColumnChanged,
+    isComplete,
+    isConfirmationOpen,
+    isCountVerified,
+    isInProgress,
+    isPagePartiallySelected,
+    isPageSelected,
+    isRowSelected,
+    parameterFields,
+    requiresTyping,
+    resolveOptions,
+    scheduledTimeRemaining,
+    selectedCount,
+    shouldRestore,
+    toLocalDateTime,
+    toProgress,
+    TREND_METRICS,
+    trendSeries,
+    validatePayload,
+} from '../core/index.js'
+
+/**
+ * Re-dispatch core lifecycle events as `bulk-action-*` DOM events
+ */
+function forwardEvents(source, component) {
+    return [
+        source.on('started', execution => component.$dispatch('bulk-action-started', execution)),
+        source.on('completed', execution => component.$dispatch('bulk-action-completed', execution)),
+        source.on('cancelled', execution => component.$dispatch('bulk-action-cancelled', execution)),
+        source.on('rescheduled', execution => component.$dispatch('bulk-action-rescheduled', execution)),
+        source.on('undone', result => component.$dispatch('bulk-action-undone', result)),
+        source.on('error', e => component.$dispatch('bulk-action-error', {
+            error: e.message,
+            status: e.status,
+            errors: e.errors,
+            exception: e,
+        })),
+    ]
+}
+
+/**
+ * Bridge to Livewire components (the `livewire` option): forward the
+ * lifecycle events to their listeners with the execution's uuid, follow the
+ * executions they start or change (their `action-started`,
+ * `action-cancelled` and `action-undone` events) through `follow(uuid,
+ * started)`, and refresh the enclosing component once an action finished
+ * or was undone, unless the events already reach it. `true` reaches every
+ * component on the page, a component name only that one.
  */
+function bridgeLivewire(source, component, target, follow) {
+    const dispatch = (name, params) => {
+        if (typeof Livewire === 'undefined') return
+
+        if (typeof target === 'string') {
+            Livewire.dispatchTo(target, name, params)
+        } else {
+            // Dispatched to each component without bubbling, so `.window`
+            // listeners do not get the event a second time
+            Livewire.all().forEach(instance => instance.$wire.$dispatchSelf(name, params))
+        }
+    }
+
+    // Components the events reach re-render through their listeners, so
+    // only an enclosing component left out by a component name is refreshed
+    const refresh = () => {
+        const root = component.$el.closest('[wire\\:id]')
+
+        if (!root || typeof target !== 'string' || typeof Livewire === 'undefined') return
+
+        if (Livewire.find(root.getAttribute('wire:id'))?.name !== target) component.$wire.$refresh()
+    }
+
+    const listen = (name, started) => {
+        const listener = event => event.detail?.uuid && follow(event.detail.uuid, started)
+
+        window.addEventListener(name, listener)
+
+        return () => window.removeEventListener(name, listener)
+    }
+
+    return [
+        source.on('started', execution => dispatch('bulk-action-started', { uuid: execution.uuid })),
+        source.on('completed', (execution) => {
+            dispatch('bulk-action-completed', { uuid: execution.uuid })
+            refresh()
+        }),
+        source.on('cancelled', execution => dispatch('bulk-action-cancelled', { uuid: execution.uuid })),
+        source.on('undone', (result) => {
+            dispatch('bulk-action-undone', { uuid: result.execution?.uuid })
+            refresh()
+        }),
+        source.on('error', e => dispatch('bulk-action-error', { message: e.message, status: e.status ?? null })),
+        listen('action-started', true),
+        listen('action-cancelled', false),
+        listen('action-undone', false),
+    ]
+}
 
 document.addEventListener('alpine:init', () => {
-    Alpine.data('bulkAction', (config = {}) => ({
-        apiPrefix: config.apiPrefix || '/api/bulk-actions',
-        execution: null,
-        isLoading: false,
-        error: null,
-        pollInterval: null,
-
-        get progress() {
-            if (!this.execution) return null
-            return {
-                uuid: this.execution.uuid,
-                status: this.execution.status,
-                percentage: this.execution.progress_percentage || 0,
-                processed: this.execution.processed_records || 0,
-                failed: this.execution.failed_records || 0,
-                total: this.execution.total_records || 0,
-                canUndo: this.execution.can_undo,
-                undoExpiresAt: this.execution.undo_expires_at,
-            }
-        },
-
-        get isInProgress() {
-            return ['pending', 'processing'].includes(this.execution?.status)
-        },
-
-        get isComplete() {
-            return ['completed', 'failed', 'cancelled', 'partially_completed'].includes(this.execution?.status)
-        },
-
-        getAuthHeaders() {
-            const headers = {}
-
-            const csrfMeta = document.querySelector('meta[name="csrf-token"]')
-            if (csrfMeta) {
-                headers['X-CSRF-TOKEN'] = csrfMeta.getAttribute('content')
-            }
-
-            const token = localStorage.getItem('token') || sessionStorage.getItem('token')
-            if (token) {
-                headers['Authorization'] = `Bearer ${token}`
-            }
-
-            return headers
-        },
-
-        async execute(payload, options = {}) {
-            this.isLoading = true
-            this.error = null
-
-            try {
-                const response = await fetch(this.apiPrefix, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json',
-                        ...this.getAuthHeaders(),
-                    },
-                    body: JSON.stringify(payload),
-                })
-
-                const data = await response.json()
-
-                if (!response.ok) {
-                    throw new Error(data.message || 'Failed to execute bulk action')
-                }
-
-                this.execution = data.data
-
-                if (!payload.options?.dry_run && options.poll !== false) {
-                    this.startPolling()
-                }
-
-                this.$dispatch('bulk-action-started', this.execution)
-
-                return data.data
-            } catch (e) {
-                this.error = e.message
-                this.$dispatch('bulk-action-error', { error: e.message })
-                throw e
-            } finally {
-                this.isLoading = false
-            }
-        },
-
-        async fetchProgress() {
-            if (!this.execution?.uuid) return
-
-            try {
-                const response = await fetch(`${this.apiPrefix}/${this.execution.uuid}/progress`, {
-                    headers: {
-                        'Accept': 'application/json',
-                        ...this.getAuthHeaders(),
-                    },
-                })
-
-                const data = await response.json()
-
-                if (response.ok && data.data) {
-                    this.execution = { ...this.execution, ...data.data }
-
-                    if (this.isComplete) {
-                        this.stopPolling()
-                        this.$dispatch('bulk-action-completed', this.execution)
-                    }
-                }
-            } catch (e) {
-                console.error('Failed to fetch progress:', e)
-            }
-        },
-
-        async cancel() {
-            if (!this.execution?.uuid) return
-
-            this.isLoading = true
-
-            try {
-                const response = await fetch(`${this.apiPrefix}/${this.execution.uuid}/cancel`, {
-                    method: 'POST',
-                    headers: {
-                        'Accept': 'application/json',
-                        ...this.getAuthHeaders(),
-                    },
-                })
-
-                const data = await response.json()
-
-                if (!response.ok) {
-                    throw new Error(data.message || 'Failed to cancel action')
-                }
-
-                this.execution = data.data
-                this.stopPolling()
-                this.$dispatch('bulk-action-cancelled', this.execution)
-
-                return data.data
-            } catch (e) {
-                this.error = e.message
-                throw e
-            } finally {
-                this.isLoading = false
-            }
-        },
-
-        async undo() {
-            if (!this.execution?.uuid || !this.execution?.can_undo) return
-
-            this.isLoading = true
-
-            try {
-                const response = await fetch(`${this.apiPrefix}/${this.execution.uuid}/undo`, {
-                    method: 'POST',
-                    headers: {
-                        'Accept': 'application/json',
-                        ...this.getAuthHeaders(),
-                    },
-                })
-
-                const data = await response.json()
-
-                if (!response.ok) {
-                    throw new Error(data.message || 'Failed to undo action')
-                }
-
-                this.execution = data.data.execution
-                this.$dispatch('bulk-action-undone', data.data)
-
-                return data.data
-            } catch (e) {
-                this.error = e.message
-                throw e
-            } finally {
-                this.isLoading = false
-            }
-        },
-
-        async preview(payload) {
-            this.isLoading = true
-            this.error = null
-
-            try {
-                const response = await fetch(`${this.apiPrefix}/preview`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json',
-                        ...this.getAuthHeaders(),
-                    },
-                    body: JSON.stringify(payload),
-                })
-
-                const data = await response.json()
-
-                if (!response.ok) {
-                    throw new Error(data.message || 'Failed to preview action')
-                }
-
-                return data.data
-            } catch (e) {
-                this.error = e.message
-                throw e
-            } finally {
-                this.isLoading = false
-            }
-        },
-
-        startPolling(intervalMs = 2000) {
-            this.stopPolling()
-            this.pollInterval = setInterval(() => this.fetchProgress(), intervalMs)
-        },
-
-        stopPolling() {
-            if (this.pollInterval) {
-                clearInterval(this.pollInterval)
-                this.pollInterval = null
-            }
-        },
-
-        reset() {
-            this.stopPolling()
-            this.execution = null
-            this.error = null
-            this.isLoading = false
-        },
-
-        destroy() {
-            this.stopPolling()
-        },
-    }))
+    Alpine.data('bulkAction', (config = {}) => {
+        // Kept out of the reactive data so Alpine does not proxy it
+        const store = createExecutionStore(config)
+        const confirmation = createConfirmationFlow(store, resolveOptions(config))
+        const cleanups = []
+
+        return {
+            apiPrefix: store.client.apiPrefix,
+            execution: null,
+            isLoading: false,
+            error: null,
+            isRealtime: false,
+            connectionLost: false,
+            confirmation: confirmation.state,
+
+            init() {
+                cleanups.push(
+                    store.subscribe((state) => {
+                        this.execution = state.execution
+                        this.isLoading = state.isLoading
+                        this.error = state.error
+                        this.isRealtime = state.isRealtime
+                        this.connectionLost = state.connectionLost
+                    }),
+                    confirmation.subscribe((state) => {
+                        this.confirmation = state
+                    }),
+                    ...forwardEvents(store, this),
+                )
+
+                if (resolveOptions(config).undoQueue) {
+                    cleanups.push(getUndoQueue(config).watch(store))
+                }
+
+                if (resolveOptions(config).livewire) {
+                    // Take over a Livewire-started execution unless one of
+                    // ours is still running; reload the current one when changed
+                    cleanups.push(...bridgeLivewire(store, this, resolveOptions(config).livewire, (uuid, started) => {
+                        const current = store.state.execution
+
+                        if (started ? !isInProgress(current) : current?.uuid === uuid) {
+                            store.open(uuid).catch(() => null)
+                        }
+                    }))
+                }
+
+                if (shouldRestore(config)) {
+                    store.restore()
+                }
+            },
+
+            get progress() {
+                return toProgress(this.execution)
+            },
+
+            get isInProgress() {
+                return isInProgress(this.execution)
+            },
+
+            get isComplete() {
+                return isComplete(this.execution)
+            },
+
+            get isConfirming() {
+                return isConfirmationOpen(this.confirmation)
+            },
+
+            get requiresTyping() {
+                return requiresTyping(this.confirmation)
+            },
+
+            get canConfirm() {
+                return canConfirm(this.confirmation)
+            },
+
+            execute(payload, options = {}) {
+                return store.execute(payload, options)
+            },
+
+            /**
+             * Execute through the confirmation flow: destructive actions are
+             * previewed and confirmed in the `blade.confirm-dialog` first
+             */
+            executeSafely(payload, options = {}) {
+                return confirmation.start(payload, options)
+            },
+
+            runDryRun() {
+                return confirmation.runDryRun()
+            },
+
+            setConfirmationPhrase(phrase) {
+                confirmation.setPhrase(phrase)
+            },
+
+            confirmExecution() {
+                return confirmation.confirm()
+            },
+
+            cancelConfirmation() {
+                confirmation.cancel()
+            },
+
+            fetchProgress() {
+                return store.fetchProgress()
+            },
+
+            cancel() {
+                return store.cancel()
+            },
+
+            reschedule(scheduledFor, timezone = null) {
+                return store.reschedule(scheduledFor, timezone)
+            },
+
+            retryFailed(payload = {}) {
+                return store.retryFailed(payload)
+            },
+
+            undo() {
+                return store.undo()
+            },
+
+            preview(payload) {
+                return store.preview(payload)
+            },
+
+            /**
+             * Server-side validation message of a field, from a failed execute()
+             */
+            fieldError(name) {
+                return fieldError(this.error, name)
+            },
+
+            startPolling(intervalMs = 2000) {
+                store.startPolling(intervalMs)
+            },
+
+            stopPolling() {
+                store.stopPolling()
+            },
+
+            reset() {
+                store.reset()
+            },
+
+            restore() {
+                return store.restore()
+            },
+
+            open(executionOrUuid) {
+                return store.open(executionOrUuid)
+            },
+
+            bulk(model) {
+                return createBuilder(model, store)
+            },
+
+            destroy() {
+                cleanups.splice(0).forEach(cleanup => cleanup())
+                confirmation.cancel()
+                store.destroy()
+            },
+        }
+    })
+
+    Alpine.data('bulkActions', (config = {}) => {
+        const manager = createExecutionManager(config)
+        const cleanups = []
+
+        return {
+            apiPrefix: manager.client.apiPrefix,
+            executions: {},
+            loading: {},
+            errors: {},
+            isLoading: false,
+            error: null,
+            isRealtime: false,
+            connectionLost: false,
+
+            init() {
+                cleanups.push(
+                    manager.subscribe((state) => {
+                        this.executions = state.executions
+                        this.loading = state.loading
+                        this.errors = state.errors
+                        this.isLoading = state.isLoading
+                        this.error = state.error
+                        this.isRealtime = state.isRealtime
+                        this.connectionLost = state.connectionLost
+                    }),
+                    ...forwardEvents(manager, this),
+                )
+
+                if (resolveOptions(config).undoQueue) {
+                    cleanups.push(getUndoQueue(config).watch(manager))
+                }
+
+                if (resolveOptions(config).livewire) {
+                    cleanups.push(...bridgeLivewire(manager, this, resolveOptions(config).livewire, (uuid, started) => {
+                        if (started || manager.get(uuid)) {
+                            manager.track(uuid).catch(() => null)
+                        }
+                    }))
+                }
+
+                if (shouldRestore(config)) {
+                    manager.restore()
+                }
+            },
+
+            get list() {
+                return Object.values(this.executions)
+            },
+
+            get activeUuids() {
+                return Object.keys(this.executions).filter(uuid => isInProgress(this.executions[uuid]))
+            },
+
+            progressOf(uuid) {
+                return toProgress(this.executions[uuid])
+            },
+
+            isInProgress(uuid) {
+                return isInProgress(this.executions[uuid])
+            },
+
+            isComplete(uuid) {
+                return isComplete(this.executions[uuid])
+            },
+
+            execute(payload, options = {}) {
+                return manager.execute(payload, options)
+            },
+
+            track(executionOrUuid) {
+                return manager.track(executionOrUuid)
+            },
+
+            fetchProgress() {
+                return manager.fetchProgress()
+            },
+
+            cancel(uuid) {
+                return manager.cancel(uuid)
+            },
+
+            reschedule(uuid, scheduledFor, timezone = null) {
+                return manager.reschedule(uuid, scheduledFor, timezone)
+            },
+
+            retryFailed(uuid, payload = {}) {
+                return manager.retryFailed(uuid, payload)
+            },
+
+            undo(uuid) {
+                return manager.undo(uuid)
+            },
+
+            remove(uuid) {
+                manager.remove(uuid)
+            },
+
+            clearFinished() {
+                manager.clearFinished()
+            },
+
+            reset() {
+                manager.reset()
+            },
+
+            restore() {
+                return manager.restore()
+            },
+
+            bulk(model) {
+                return createBuilder(model, manager)
+            },
+
+            destroy() {
+                cleanups.splice(0).forEach(cleanup => cleanup())
+                manager.destroy()
+            },
+        }
+    })
+
+    Alpine.data('undoQueue', (config = {}) => {
+        // Shared with every other undoQueue and bulkAction on the page
+        const queue = getUndoQueue(config)
+        const cleanups = []
+
+        return {
+            items: queue.state.items,
+
+            init() {
+                cleanups.push(
+                    queue.subscribe((state) => {
+                        this.items = state.items
+                    }),
+                    queue.on('undone', result => this.$dispatch('bulk-action-undone', result)),
+                    queue.on('redone', execution => this.$dispatch('bulk-action-redone', execution)),
+                    queue.on('expired', item => this.$dispatch('bulk-action-undo-expired', item)),
+                )
+
+                if (resolveOptions(config).restore !== false) {
+                    queue.restore()
+                }
+            },
+
+            /**
+             * Time left to undo an item, e.g. `4:05`
+             */
+            countdown(item) {
+                return formatCountdown(item.remaining)
+            },
+
+            undo(uuid) {
+                // Failures show up on the toast through `item.error`
+                return queue.undo(uuid).catch(() => null)
+            },
+
+            redo(uuid) {
+                return queue.redo(uuid).catch(() => null)
+            },
+
+            check(uuid) {
+                return queue.check(uuid)
+            },
+
+            add(execution) {
+                return queue.add(execution)
+            },
+
+            dismiss(uuid) {
+                queue.dismiss(uuid)
+            },
+
+            clear() {
+                queue.clear()
+            },
+
+            destroy() {
+                cleanups.splice(0).forEach(cleanup => cleanup())
+            },
+        }
+    })
+
+    Alpine.data('bulkSelection', (config = {}) => {
+        const selection = createSelection(config)
+        const cleanups = []
+
+        return {
+            selection: selection.state,
+
+            init() {
+                cleanups.push(
+                    selection.subscribe((state) => {
+                        this.selection = state
+                    }),
+                )
+            },
+
+            get mode() {
+                return this.selection.mode
+            },
+
+            get count() {
+                return selectedCount(this.selection)
+            },
+
+            get isVerified() {
+                return isCountVerified(this.selection)
+            },
+
+            get isVerifying() {
+                return this.selection.isVerifying
+            },
+
+            get isAllSelected() {
+                return this.selection.mode === 'all'
+            },
+
+            get isPageSelected() {
+                return isPageSelected(this.selection)
+            },
+
+            get isPagePartiallySelected() {
+                return isPagePartiallySelected(this.selection)
+            },
+
+            isSelected(id) {
+                return isRowSelected(this.selection, id)
+            },
+
+            toggle(id) {
+                selection.toggle(id)
+            },
+
+            select(ids) {
+                selection.select(ids)
+            },
+
+            deselect(ids) {
+                selection.deselect(ids)
+            },
+
+            selectPage() {
+                selection.selectPage()
+            },
+
+            deselectPage() {
+                selection.deselectPage()
+            },
+
+            togglePage() {
+                selection.togglePage()
+            },
+
+            selectAll() {
+                selection.selectAll()
+            },
+
+            clear() {
+                selection.clear()
+            },
+
+            setPage(ids, total) {
+                selection.setPage(ids, total)
+            },
+
+            setFilters(filters) {
+                selection.setFilters(filters)
+            },
+
+            setTotal(total) {
+                selection.setTotal(total)
+            },
+
+            toFilters() {
+                return selection.toFilters()
+            },
+
+            toPayload(payload) {
+                return selection.toPayload(payload)
+            },
+
+            verify(action) {
+                return selection.verify(action)
+            },
+
+            destroy() {
+                cleanups.splice(0).forEach(cleanup => cleanup())
+                selection.destroy()
+            },
+        }
+    })
+
+    Alpine.data('bulkActionHistory', (config = {}) => {
+        const history = createExecutionHistory(config)
+        const cleanups = []
+
+        return {
+            apiPrefix: history.client.apiPrefix,
+            items: [],
+            meta: null,
+            filters: history.state.filters,
+            page: 1,
+            perPage: history.state.perPage,
+            includeFilters: history.state.includeFilters,
+            includeParameters: history.state.includeParameters,
+            isLoading: false,
+            error: null,
+
+            init() {
+                cleanups.push(
+                    history.subscribe((state) => {
+                        this.items = state.items
+                        this.meta = state.meta
+                        this.filters = state.filters
+                        this.page = state.page
+                        this.perPage = state.perPage
+                        this.includeFilters = state.includeFilters
+                        this.includeParameters = state.includeParameters
+                        this.isLoading = state.isLoading
+                        this.error = state.error
+                    }),
+                    ...forwardEvents(history, this),
+                )
+
+                if (resolveOptions(config).immediate !== false) {
+                    history.load()
+                }
+            },
+
+            get hasNextPage() {
+                return Boolean(this.meta) && this.meta.current_page < this.meta.last_page
+            },
+
+            get hasPreviousPage() {
+                return this.page > 1
+            },
+
+            load(page) {
+                return history.load(page)
+            },
+
+            refresh() {
+                return history.refresh()
+            },
+
+            goToPage(page) {
+                return history.goToPage(page)
+            },
+
+            nextPage() {
+                return history.nextPage()
+            },
+
+            previousPage() {
+                return history.previousPage()
+            },
+
+            setFilters(filters) {
+                return history.setFilters(filters)
+            },
+
+            clearFilters() {
+                return history.clearFilters()
+            },
+
+            setPerPage(perPage) {
+                return history.setPerPage(Number(perPage))
+            },
+
+            setIncludes(includes) {
+                return history.setIncludes(includes)
+            },
+
+            replace(execution) {
+                history.replace(execution)
+            },
+
+            destroy() {
+                cleanups.splice(0).forEach(cleanup => cleanup())
+                history.reset()
+            },
+        }
+    })
+
+    Alpine.data('scheduledActions', (config = {}) => {
+        const scheduled = createScheduledActions(config)
+        const cleanups = []
+
+        return {
+            apiPrefix: scheduled.client.apiPrefix,
+            items: [],
+            hours: scheduled.state.hours,
+            now: scheduled.state.now,
+            loading: {},
+            errors: {},
+            isLoading: false,
+            error: null,
+
+            init() {
+                cleanups.push(
+                    scheduled.subscribe((state) => {
+                        this.items = state.items
+                        this.hours = state.hours
+                        this.now = state.now
+                        this.loading = state.loading
+                        this.errors = state.errors
+                        this.isLoading = state.isLoading
+                        this.error = state.error
+                    }),
+                    ...forwardEvents(scheduled, this),
+                    scheduled.on('due', execution => this.$dispatch('bulk-action-due', execution)),
+                )
+
+                if (resolveOptions(config).immediate !== false) {
+                    scheduled.load()
+                }
+            },
+
+            /**
+             * Time left before an item starts, e.g. `3h 12m`
+             */
+            countdown(item) {
+                return formatCountdown(scheduledTimeRemaining(item, this.now))
+            },
+
+            formatTime(item) {
+                return formatScheduledFor(item)
+            },
+
+            /**
+             * An item's start time as a `datetime-local` input value
+             */
+            inputValue(item) {
+                return toLocalDateTime(item.scheduled_for, item.scheduled_timezone || undefined)
+            },
+
+            fieldError(uuid, name = 'scheduled_for') {
+                return fieldError(this.errors[uuid], name)
+            },
+
+            load() {
+                return scheduled.load()
+            },
+
+            refresh() {
+                return scheduled.refresh()
+            },
+
+            setHours(hours) {
+                return scheduled.setHours(Number(hours) || null)
+            },
+
+            reschedule(uuid, scheduledFor, timezone = null) {
+                // Failures show up on the row through `errors[uuid]`
+                return scheduled.reschedule(uuid, scheduledFor, timezone).catch(() => null)
+            },
+
+            cancel(uuid) {
+                return scheduled.cancel(uuid).catch(() => null)
+            },
+
+            destroy() {
+                cleanups.splice(0).forEach(cleanup => cleanup())
+                scheduled.destroy()
+            },
+        }
+    })
+
+    Alpine.data('failureReport', (config = {}) => {
+        const report = createFailureReport(config)
+        const cleanups = []
+
+        return {
+            apiPrefix: report.client.apiPrefix,
+            uuid: null,
+            items: [],
+            groups: [],
+            meta: null,
+            type: report.state.type,
+            page: 1,
+            perPage: report.state.perPage,
+            isLoading: false,
+            isRetrying: false,
+            error: null,
+
+            init() {
+                cleanups.push(
+                    report.subscribe((state) => {
+                        this.uuid = state.uuid
+                        this.items = state.items
+                        this.groups = state.groups
+                        this.meta = state.meta
+                        this.type = state.type
+                        this.page = state.page
+                        this.perPage = state.perPage
+                        this.isLoading = state.isLoading
+                        this.isRetrying = state.isRetrying
+                        this.error = state.error
+                    }),
+                    ...forwardEvents(report, this),
+                    report.on('retried', execution => this.$dispatch('bulk-action-retried', execution)),
+                )
+
+                const { uuid } = resolveOptions(config)
+
+                if (uuid) {
+                    report.open(uuid)
+                }
+            },
+
+            get total() {
+                return this.groups.reduce((sum, group) => sum + group.count, 0)
+            },
+
+            get hasNextPage() {
+                return Boolean(this.meta) && this.meta.current_page < this.meta.last_page
+            },
+
+            get hasPreviousPage() {
+                return this.page > 1
+            },
+
+            open(executionOrUuid) {
+                return report.open(executionOrUuid)
+            },
+
+            load(page) {
+                return report.load(page)
+            },
+
+            refresh() {
+                return report.refresh()
+            },
+
+            goToPage(page) {
+                return report.goToPage(page)
+            },
+
+            nextPage() {
+                return report.nextPage()
+            },
+
+            previousPage() {
+                return report.previousPage()
+            },
+
+            setType(type) {
+                return report.setType(type)
+            },
+
+            setPerPage(perPage) {
+                return report.setPerPage(Number(perPage))
+            },
+
+            // Failures show up in `error`
+            retryFailed(options = undefined) {
+                return report.retryFailed(options).catch(() => null)
+            },
+
+            destroy() {
+                cleanups.splice(0).forEach(cleanup => cleanup())
+                report.destroy()
+            },
+        }
+    })
+
+    Alpine.data('changePreview', (config = {}) => {
+        const store = createExecutionStore(config)
+        const preview = createChangePreview(store, resolveOptions(config))
+        const cleanups = []
+
+        return {
+            apiPrefix: store.client.apiPrefix,
+            payload: null,
+            rows: [],
+            columns: [],
+            changedColumns: [],
+            supportsDiff: true,
+            meta: null,
+            page: 1,
+            perPage: preview.state.perPage,
+            execution: null,
+            isLoading: false,
+            isExecuting: false,
+            error: null,
+
+            init() {
+                cleanups.push(
+                    store.subscribe((state) => {
+                        this.execution = state.execution
+                    }),
+                    preview.subscribe((state) => {
+                        this.payload = state.payload
+                        this.rows = state.rows
+                        this.columns = state.columns
+                        this.changedColumns = state.changedColumns
+                        this.supportsDiff = state.supportsDiff
+                        this.meta = state.meta
+                        this.page = state.page
+                        this.perPage = state.perPage
+                        this.isLoading = state.isLoading
+                        this.isExecuting = state.isExecuting
+                        this.error = state.error
+                    }),
+                    ...forwardEvents(store, this),
+                )
+            },
+
+            get total() {
+                return this.meta?.total ?? 0
+            },
+
+            get hasNextPage() {
+                return Boolean(this.meta) && this.meta.current_page < this.meta.last_page
+            },
+
+            get hasPreviousPage() {
+                return this.page > 1
+            },
+
+            /**
+             * Progress of the action once it runs
+             */
+            get progress() {
+                return toProgress(this.execution)
+            },
+
+            isChanged(row, column) {
+                return !row.deleted && isColumnChanged(row, column)
+            },
+
+            open(payload) {
+                return preview.open(payload)
+            },
+
+            load(page) {
+                return preview.load(page)
+            },
+
+            refresh() {
+                return preview.refresh()
+            },
+
+            goToPage(page) {
+                return preview.goToPage(page)
+            },
+
+            nextPage() {
+                return preview.nextPage()
+            },
+
+            previousPage() {
+                return preview.previousPage()
+            },
+
+            setPerPage(perPage) {
+                return preview.setPerPage(Number(perPage))
+            },
+
+            // Failures show up in `error`
+            execute(options = undefined) {
+                return preview.execute(options).catch(() => null)
+            },
+
+            reset() {
+                preview.reset()
+            },
+
+            destroy() {
+                cleanups.splice(0).forEach(cleanup => cleanup())
+                preview.destroy()
+                store.destroy()
+            },
+        }
+    })
+
+    Alpine.data('actionChain', (config = {}) => {
+        const actionChain = createActionChain(config)
+        const cleanups = []
+
+        return {
+            apiPrefix: actionChain.client.apiPrefix,
+            uuid: null,
+            chain: null,
+            isLoading: false,
+            isCancelling: false,
+            isUndoing: false,
+            connectionLost: false,
+            error: null,
+
+            init() {
+                cleanups.push(
+                    actionChain.subscribe((state) => {
+                        this.uuid = state.uuid
+                        this.chain = state.chain
+                        this.isLoading = state.isLoading
+                        this.isCancelling = state.isCancelling
+                        this.isUndoing = state.isUndoing
+                        this.connectionLost = state.connectionLost
+                        this.error = state.error
+                    }),
+                    actionChain.on('started', execution => this.$dispatch('bulk-action-chain-started', execution)),
+                    actionChain.on('step', step => this.$dispatch('bulk-action-chain-step', step)),
+                    actionChain.on('completed', chain => this.$dispatch('bulk-action-chain-completed', chain)),
+                    actionChain.on('cancelled', chain => this.$dispatch('bulk-action-chain-cancelled', chain)),
+                    actionChain.on('undone', result => this.$dispatch('bulk-action-chain-undone', result)),
+                    actionChain.on('error', e => this.$dispatch('bulk-action-error', {
+                        error: e.message,
+                        status: e.status,
+                        errors: e.errors,
+                        exception: e,
+                    })),
+                )
+
+                const { uuid } = resolveOptions(config)
+
+                if (uuid) {
+                    actionChain.track(uuid)
+                }
+            },
+
+            get steps() {
+                return this.chain?.steps || []
+            },
+
+            get currentStep() {
+                return this.steps.find(step => step.step === this.chain?.current_step) || null
+            },
+
+            get isRunning() {
+                return isChainRunning(this.chain)
+            },
+
+            get canUndo() {
+                return !this.isRunning && this.steps.some(step => step.can_undo)
+            },
+
+            // Failures show up in `error`
+            start(payload, steps = undefined) {
+                return actionChain.start(payload, steps).catch(() => null)
+            },
+
+            track(executionOrUuid) {
+                return actionChain.track(executionOrUuid)
+            },
+
+            refresh() {
+                return actionChain.refresh()
+            },
+
+            cancel() {
+                return actionChain.cancel().catch(() => null)
+            },
+
+            undo() {
+                return actionChain.undo().catch(() => null)
+            },
+
+            reset() {
+                actionChain.reset()
+            },
+
+            destroy() {
+                cleanups.splice(0).forEach(cleanup => cleanup())
+                actionChain.destroy()
+            },
+        }
+    })
+
+    Alpine.data('monitoringDashboard', (config = {}) => {
+        const dashboard = createMonitoringDashboard(config)
+        const cleanups = []
+
+        return {
+            apiPrefix: dashboard.client.apiPrefix,
+            range: dashboard.state.range,
+            overview: null,
+            metrics: null,
+            health: null,
+            actions: [],
+            users: [],
+            trends: [],
+            lastUpdated: null,
+            isLoading: false,
+            isAutoRefreshing: false,
+            connectionLost: false,
+            error: null,
+
+            init() {
+                cleanups.push(
+                    dashboard.subscribe((state) => {
+                        this.range = state.range
+                        this.overview = state.overview
+                        this.metrics = state.metrics
+                        this.health = state.health
+                        this.actions = state.actions
+                        this.users = state.users
+                        this.trends = state.trends
+                        this.lastUpdated = state.lastUpdated
+                        this.isLoading = state.isLoading
+                        this.isAutoRefreshing = state.isAutoRefreshing
+                        this.connectionLost = state.connectionLost
+                        this.error = state.error
+                    }),
+                    dashboard.on('health', health => this.$dispatch('bulk-action-health', health)),
+                    dashboard.on('error', e => this.$dispatch('bulk-action-error', {
+                        error: e.message,
+                        status: e.status,
+                        errors: e.errors,
+                        exception: e,
+                    })),
+                )
+
+                const { immediate, autoRefresh } = resolveOptions(config)
+
+                if (autoRefresh !== false) {
+                    dashboard.start()
+                } else if (immediate !== false) {
+                    dashboard.refresh()
+                }
+            },
+
+            get failingChecks() {
+                return failingChecks(this.health)
+            },
+
+            /**
+             * The breakdown, most run actions first
+             */
+            get sortedActions() {
+                return [...this.actions].sort((a, b) => b.total - a.total)
+            },
+
+            series(metric = 'throughput') {
+                return trendSeries(this.trends, metric)
+            },
+
+            /**
+             * Points, line, area and bars of a trend metric, see chartGeometry()
+             */
+            chart(metric = 'throughput', options = {}) {
+                const { max } = TREND_METRICS[metric] || TREND_METRICS.throughput
+
+                return chartGeometry(this.series(metric), { max, ...options })
+            },
+
+            metricLabel(metric) {
+                return (TREND_METRICS[metric] || TREND_METRICS.throughput).label
+            },
+
+            formatMetric(value, metric = 'throughput') {
+                return formatMetric(value, metric)
+            },
+
+            refresh() {
+                return dashboard.refresh()
+            },
+
+            setRange(range) {
+                return dashboard.setRange(range)
+            },
+
+            start(interval = undefined) {
+                return dashboard.start(interval)
+            },
+
+            stop() {
+                dashboard.stop()
+            },
+
+            destroy() {
+                cleanups.splice(0).forEach(cleanup => cleanup())
+                dashboard.destroy()
+            },
+        }
+    })
+
+    Alpine.data('bulkExport', (config = {}) => {
+        const store = createExecutionStore(config)
+        const flow = createExportFlow(store, resolveOptions(config))
+        const cleanups = []
+
+        return {
+            apiPrefix: store.client.apiPrefix,
+            formats: [],
+            format: flow.state.format,
+            step: flow.state.step,
+            execution: null,
+            downloadProgress: null,
+            file: null,
+            isLoading: false,
+            error: null,
+
+            init() {
+                cleanups.push(
+                    store.subscribe((state) => {
+                        this.execution = state.execution
+                    }),
+                    flow.subscribe((state) => {
+                        this.formats = state.formats
+                        this.format = state.format
+                        this.step = state.step
+                        this.downloadProgress = state.progress
+                        this.file = state.file
+                        this.isLoading = state.isLoading
+                        this.error = state.error
+                    }),
+                    ...forwardEvents(flow, this),
+                    flow.on('exported', execution => this.$dispatch('bulk-action-exported', execution)),
+                    flow.on('downloaded', file => this.$dispatch('bulk-action-downloaded', {
+                        filename: file.filename,
+                        contentType: file.contentType,
+                        size: file.size,
+                        file,
+                    })),
+                )
+
+                // `x-model="format"` writes the component, not the flow
+                this.$watch('format', format => flow.setFormat(format))
+
+                if (resolveOptions(config).immediate !== false) {
+                    flow.loadFormats().catch(() => {})
+                }
+            },
+
+            /**
+             * Progress of the export itself, before its download starts
+             */
+            get progress() {
+                return toProgress(this.execution)
+            },
+
+            loadFormats() {
+                return flow.loadFormats()
+            },
+
+            // Failures show up in `error`
+            start(payload, options = {}) {
+                return flow.start(payload, options).catch(() => null)
+            },
+
+            stream(payload) {
+                return flow.stream(payload).catch(() => null)
+            },
+
+            download(executionOrUuid) {
+                return flow.download(executionOrUuid).catch(() => null)
+            },
+
+            abort() {
+                flow.abort()
+            },
+
+            saveFile() {
+                flow.saveFile()
+            },
+
+            fieldError(name) {
+                return fieldError(this.error, name)
+            },
+
+            reset() {
+                flow.reset()
+                store.reset()
+            },
+
+            destroy() {
+                cleanups.splice(0).forEach(cleanup => cleanup())
+                flow.destroy()
+                store.destroy()
+            },
+        }
+    })
+
+    Alpine.data('availableActions', (config = {}) => {
+        const catalog = createActionCatalog(config)
+        const cleanups = []
+
+        return {
+            apiPrefix: catalog.client.apiPrefix,
+            actions: catalog.state.actions,
+            isLoading: false,
+            error: null,
+            action: resolveOptions(config).action || '',
+            parameters: {},
+            drafts: {},
+            errors: {},
+
+            init() {
+                cleanups.push(
+                    catalog.subscribe((state) => {
+                        this.actions = state.actions
+                        this.isLoading = state.isLoading
+                        this.error = state.error
+                    }),
+                    ...forwardEvents(catalog, this),
+                )
+
+                if (resolveOptions(config).immediate !== false) {
+                    catalog.load().then(() => this.action && this.select(this.action))
+                }
+            },
+
+            get list() {
+                return Object.values(this.actions)
+            },
+
+            get selected() {
+                return this.actions[this.action] || null
+            },
+
+            get fields() {
+                return parameterFields(this.selected)
+            },
+
+            /**
+             * Switch action, resetting the parameters to its defaults
+             */
+            select(name) {
+                this.action = name
+                this.parameters = defaultValues(parameterFields(this.actions[name]))
+                this.drafts = {}
+                this.errors = {}
+            },
+
+            setParameter(field, raw) {
+                this.drafts = { ...this.drafts, [field.name]: raw }
+                this.parameters = { ...this.parameters, [field.name]: coerceValue(field, raw) }
+            },
+
+            inputText(field) {
+                return inputText(field, this.parameters[field.name], this.drafts[field.name])
+            },
+
+            inputType(field) {
+                return inputType(field)
+            },
+
+            fieldError(name) {
+                return fieldError(this.errors, name)
+            },
+
+            validate(payload) {
+                return validatePayload(payload, this.actions)
+            },
+
+            /**
+             * Validate the selected action and its parameters, then dispatch
+             * `bulk-action-submit` with the full payload
+             */
+            submit(payload = {}) {
+                const full = {
+                    ...payload,
+                    action: this.action,
+                    parameters: { ...payload.parameters, ...cleanParameters(this.parameters) },
+                }
+                const { valid, errors } = this.validate(full)
+
+                this.errors = errors
+
+                if (valid) {
+                    this.$dispatch('bulk-action-submit', full)
+                }
+
+                return valid ? full : null
+            },
+
+            reload() {
+                return catalog.load({ force: true })
+            },
+
+            destroy() {
+                cleanups.splice(0).forEach(cleanup => cleanup())
+            },
+        }
+    })
 })
@@ -0,0 +1,149 @@
+/**
+ * Observable, cached view of the registered actions.
+ *
+ * Loads `GET /api/bulk-actions/actions` (ActionRegistry::allWithMetadata())
+ * once per api prefix and shares the result between every catalog, so any
+ * number of dropdowns and forms on a page cost a single request. State is
+ * `{ actions, isLoading, error }`, with `actions` keyed by action name.
+ *
+ * Usage:
+ * const catalog = new ActionCatalog(new ActionEngineClient())
+ *
+ * await catalog.load()
+ * catalog.fieldsOf('export') // [{ name: 'format', type: 'select', ... }]
+ * catalog.validate({ action: 'export', model: 'App\\Models\\Order', parameters: { format: 'csv' } })
+ */
+
+import { ActionEngineClient } from './ActionEngineClient.js'
+import { defaultValues, parameterFields, validatePayload } from './actions.js'
+import { toActionEngineError } from './errors.js'
+import { Observable } from './Observable.js'
+
+// Loaded metadata per API url (base url + prefix): { actions, loadedAt, promise }
+const cache = new Map()
+
+export class ActionCatalog extends Observable {
+    /**
+     * @param {ActionEngineClient} [client]
+     * @param {Object} [options]
+     * @param {number} [options.cacheTtl] Reload after this many ms (default: never)
+     * @param {boolean} [options.cache] `false` to bypass the shared cache
+     */
+    constructor(client = new ActionEngineClient(), options = {}) {
+        const entry = options.cache === false ? null : cache.get(client.url())
+
+        super({
+            actions: entry?.actions || {},
+            isLoading: false,
+            error: null,
+        })
+
+        this.client = client
+        this.cacheTtl = options.cacheTtl ?? Infinity
+        this.useCache = options.cache !== false
+    }
+
+    /**
+     * Registered actions as a list, e.g. for a dropdown
+     */
+    get list() {
+        return Object.values(this.state.actions)
+    }
+
+    get isLoaded() {
+        return this.isFresh(cache.get(this.client.url())) || this.list.length > 0
+    }
+
+    /**
+     * Load the action metadata, reusing the cached copy unless `force` is set
+     */
+    async load({ force = false } = {}) {
+        const key = this.client.url()
+        let entry = this.useCache ? cache.get(key) : null
+
+        if (entry && !force && this.isFresh(entry)) {
+            this.setState({ actions: entry.actions, error: null })
+            return entry.actions
+        }
+
+        this.setState({ isLoading: true, error: null })
+
+        try {
+            // Concurrent loads share one request
+            if (!entry?.promise || force) {
+                const promise = this.client.actions()
+                    .then(actions => (Array.isArray(actions) ? {} : actions))
+
+                entry = { ...entry, promise }
+                if (this.useCache) {
+                    cache.set(key, entry)
+                }
+            }
+
+            const actions = await entry.promise
+
+            if (this.useCache && cache.get(key) === entry) {
+                cache.set(key, { actions, loadedAt: Date.now(), promise: null })
+            }
+
+            this.setState({ actions })
+            this.emit('loaded', actions)
+
+            return actions
+        } catch (e) {
+            if (this.useCache && cache.get(key) === entry) {
+                cache.delete(key)
+            }
+
+            const error = toActionEngineError(e)
+
+            this.setState({ error })
+            this.emit('error', error)
+
+            return this.state.actions
+        } finally {
+            this.setState({ isLoading: false })
+        }
+    }
+
+    /**
+     * Metadata of one action
+     */
+    get(name) {
+        return this.state.actions[name] || null
+    }
+
+    /**
+     * Normalized parameter fields of one action
+     */
+    fieldsOf(name) {
+        return parameterFields(this.get(name))
+    }
+
+    /**
+     * Initial parameter values of one action
+     */
+    defaultsOf(name) {
+        return defaultValues(this.fieldsOf(name))
+    }
+
+    /**
+     * Validate an execute() payload, returning `{ valid, errors }`
+     */
+    validate(payload) {
+        return validatePayload(payload, this.state.actions)
+    }
+
+    isFresh(entry) {
+        return Boolean(entry?.loadedAt) && Date.now() - entry.loadedAt < this.cacheTtl
+    }
+
+    /**
+     * Forget the cached metadata of every catalog
+     */
+    static clearCache() {
+        cache.clear()
+    }
+}
+
+export default ActionCatalog
@@ -0,0 +1,294 @@
+/**
+ * Observable timeline of an action chain: bulk actions run one after the
+ * other on the same records, e.g. archive, then update a flag, then export.
+ *
+ * `start(payload, steps)` executes the first action with the later steps in
+ * `options.chain`; the server starts each step once the one before it has
+ * completed without failures. The chain is then polled through
+ * `GET /api/bulk-actions/{uuid}/chain` until it finishes. Each step of the
+ * timeline has its own `status` and `progress_percentage`; steps still to
+ * run are `waiting`, and those left out after a step stopped are `skipped`.
+ * `cancel()` stops the running step and the ones after it, `undo()` undoes
+ * the completed steps, last one first.
+ *
+ * State is `{ uuid, chain, isLoading, isCancelling, isUndoing,
+ * connectionLost, error }`; events are `started`, `step` (a step changed
+ * status), `completed` (the chain finished, whatever its status),
+ * `cancelled`, `undone` and `error`.
+ *
+ * Usage:
+ * const chain = new ActionChain(new ActionEngineClient())
+ *
+ * chain.subscribe(({ chain }) => render(chain?.steps))
+ * chain.on('completed', ({ status }) => console.log(status))
+ *
+ * await chain.start(
+ *     { action: 'archive', model: 'App\\Models\\Post', filters: { ids }, options: { with_undo: true } },
+ *     [{ action: 'update', parameters: { data: { featured: false } } }, 'export'],
+ * )
+ * await chain.undo()
+ */
+
+import { ActionEngineClient } from './ActionEngineClient.js'
+import { toActionEngineError } from './errors.js'
+import { Observable } from './Observable.js'
+import { PollScheduler } from './PollScheduler.js'
+
+export const CHAIN_STEP_STATUSES = [
+    'waiting', 'scheduled', 'pending', 'processing', 'completed',
+    'partially_completed', 'failed', 'cancelled', 'skipped',
+]
+
+/**
+ * Whether a chain (timeline) still has a step running or to run
+ */
+export function isChainRunning(chain) {
+    return ['pending', 'processing'].includes(chain?.status)
+}
+
+/**
+ * Normalize chain steps given as action names or `{ action, parameters }`
+ */
+export function toChainSteps(steps = []) {
+    return steps.map(step => (typeof step === 'string'
+        ? { action: step, parameters: {} }
+        : { action: step.action, parameters: step.parameters || {} }))
+}
+
+export class ActionChain extends Observable {
+    /**
+     * @param {ActionEngineClient} [client]
+     * @param {Object} [options]
+     * @param {number} [options.pollInterval] Polling interval in ms
+     * @param {Object} [options.polling] PollScheduler options (`hiddenInterval`, `maxBackoff`, `maxFailures`, `jitter`)
+     */
+    constructor(client = new ActionEngineClient(), options = {}) {
+        super({
+            uuid: null,
+            chain: null,
+            isLoading: false,
+            isCancelling: false,
+            isUndoing: false,
+            connectionLost: false,
+            error: null,
+        })
+
+        this.client = client
+        this.scheduler = new PollScheduler(signal => this.poll(signal), {
+            ...options.polling,
+            interval: options.pollInterval || 2000,
+        })
+        this.scheduler.onConnectionChange(connectionLost => this.setState({ connectionLost }))
+    }
+
+    get steps() {
+        return this.state.chain?.steps || []
+    }
+
+    /**
+     * The last step that started
+     */
+    get currentStep() {
+        return this.steps.find(step => step.step === this.state.chain?.current_step) || null
+    }
+
+    get isRunning() {
+        return isChainRunning(this.state.chain)
+    }
+
+    get canUndo() {
+        return !this.isRunning && this.steps.some(step => step.can_undo)
+    }
+
+    /**
+     * Execute the first action with the later steps chained to it, then
+     * track the chain
+     *
+     * @param {Object} payload execute() payload of the first step
+     * @param {Array<string|Object>} [steps] Later steps, if not already in `payload.options.chain`
+     */
+    async start(payload, steps = undefined) {
+        this.stopTracking()
+        this.setState({ isLoading: true, error: null })
+
+        try {
+            const options = { ...payload.options }
+
+            if (steps) {
+                options.chain = toChainSteps(steps)
+            }
+
+            const execution = await this.client.execute({ ...payload, options })
+
+            this.emit('started', execution)
+            await this.track(execution)
+
+            // A synchronous chain has already finished
+            if (this.state.chain && !this.isRunning) {
+                this.emit('completed', this.state.chain)
+            }
+
+            return this.state.chain
+        } catch (e) {
+            const error = toActionEngineError(e)
+            this.setState({ isLoading: false, error })
+            this.emit('error', error)
+            throw error
+        }
+    }
+
+    /**
+     * Follow the chain of an execution (or uuid) of any of its steps
+     */
+    async track(executionOrUuid) {
+        const uuid = typeof executionOrUuid === 'string' ? executionOrUuid : executionOrUuid?.chain_uuid || executionOrUuid?.uuid
+
+        this.stopTracking()
+        this.setState({ uuid: uuid || null, chain: null, error: null })
+
+        if (!uuid) return null
+
+        await this.refresh()
+
+        if (this.isRunning) {
+            this.scheduler.start()
+        }
+
+        return this.state.chain
+    }
+
+    /**
+     * Reload the timeline
+     */
+    async refresh() {
+        const { uuid } = this.state
+        if (!uuid) return null
+
+        this.setState({ isLoading: true })
+
+        try {
+            const chain = await this.client.chain(uuid)
+
+            // Another chain was tracked in the meantime
+            if (this.state.uuid !== uuid) return null
+
+            this.apply(chain)
+
+            return this.state.chain
+        } catch (e) {
+            if (this.state.uuid !== uuid) return null
+
+            const error = toActionEngineError(e)
+            this.setState({ error })
+            this.emit('error', error)
+        } finally {
+            this.setState({ isLoading: false })
+        }
+    }
+
+    /**
+     * Cancel the running step and the steps after it
+     */
+    async cancel() {
+        const { uuid } = this.state
+        if (!uuid) return null
+
+        this.setState({ isCancelling: true, error: null })
+
+        try {
+            const chain = await this.client.cancelChain(uuid)
+
+            this.apply(chain)
+            this.emit('cancelled', chain)
+
+            return chain
+        } catch (e) {
+            const error = toActionEngineError(e)
+            this.setState({ error })
+            this.emit('error', error)
+            throw error
+        } finally {
+            this.setState({ isCancelling: false })
+        }
+    }
+
+    /**
+     * Undo the completed steps, last one first, resolving to
+     * `{ undone, chain }`
+     */
+    async undo() {
+        const { uuid } = this.state
+        if (!uuid) return null
+
+        this.setState({ isUndoing: true, error: null })
+
+        try {
+            const result = await this.client.undoChain(uuid)
+
+            this.apply(result.chain)
+            this.emit('undone', result)
+
+            return result
+        } catch (e) {
+            const error = toActionEngineError(e)
+            this.setState({ error })
+            this.emit('error', error)
+            throw error
+        } finally {
+            this.setState({ isUndoing: false })
+        }
+    }
+
+    /**
+     * Stop polling, aborting the request in flight
+     */
+    stopTracking() {
+        this.scheduler.stop()
+    }
+
+    reset() {
+        this.stopTracking()
+        this.setState({ uuid: null, chain: null, isLoading: false, isCancelling: false, isUndoing: false, error: null })
+    }
+
+    destroy() {
+        this.reset()
+    }
+
+    async poll(signal) {
+        const chain = await this.client.chain(this.state.uuid, { signal })
+
+        if (!signal.aborted) {
+            this.apply(chain)
+        }
+    }
+
+    /**
+     * Take a new timeline, reporting the steps that changed status and the
+     * chain finishing
+     */
+    apply(chain) {
+        const previous = this.state.chain
+        const wasRunning = isChainRunning(previous)
+
+        this.setState({ chain })
+
+        chain.steps.forEach((step) => {
+            const before = previous?.steps.find(item => item.step === step.step)
+
+            if (before && before.status !== step.status) {
+                this.emit('step', step)
+            }
+        })
+
+        if (!isChainRunning(chain)) {
+            this.stopTracking()
+
+            if (wasRunning) {
+                this.emit('completed', chain)
+            }
+        }
+    }
+}
+
+export default ActionChain
@@ -0,0 +1,659 @@
+/**
+ * Action Engine API Client
+ *
+ * Framework-agnostic client for the `/api/bulk-actions` routes. The React,
+ * Vue and Alpine bindings are thin adapters over this class, and it can be
+ * used directly from vanilla JS, Node scripts or tests.
+ *
+ * Usage:
+ * import { ActionEngineClient } from '@/vendor/core'
+ *
+ * const client = new ActionEngineClient({ apiPrefix: '/api/bulk-actions' })
+ *
+ * const execution = await client.execute({
+ *   action: 'delete',
+ *   model: 'App\\Models\\User',
+ *   filters: { ids: [1, 2, 3] },
+ * })
+ *
+ * Requests go through a pluggable transport (fetch by default, or an axios
+ * or ky instance, see transport.js), and failed requests reject with an
+ * ActionEngineError subclass (see errors.js). No token is read from web
+ * storage unless configured with `token`.
+ */
+
+import { ActionEngineError, NetworkError, UndoExpiredError, errorFromResponse } from './errors.js'
+import { readFile } from './download.js'
+import { createIdempotencyKey, dedupe, isRetryableSubmission, submissionKey } from './idempotency.js'
+import { DEFAULT_CSRF_COOKIE_PATH, createTransport, csrfHeaders } from './transport.js'
+
+export const DEFAULT_API_PREFIX = '/api/bulk-actions'
+
+// Laravel's status for an expired or missing CSRF token
+const CSRF_MISMATCH = 419
+
+export class ActionEngineClient {
+    /**
+     * @param {Object} config
+     * @param {string} [config.apiPrefix] Base path of the bulk action routes
+     * @param {string} [config.baseUrl] Origin of a cross-origin API, e.g. `https://api.example.com`
+     * @param {Function} [config.transport] Custom transport, see transport.js
+     * @param {Function|Object} [config.http] axios, ky or fetch-compatible instance to send requests with
+     * @param {Function} [config.fetch] fetch implementation (defaults to the global one)
+     * @param {Function|Object} [config.headers] Extra headers for every request, or a (sync or async) function returning them
+     * @param {string|Function} [config.token] Bearer token, or a (sync or async) function returning it
+     * @param {string} [config.credentials] fetch credentials mode (`'include'` for cookies on a cross-origin API)
+     * @param {boolean|string} [config.sanctum] Fetch Sanctum's CSRF cookie before the first request (a string overrides its path)
+     * @param {number} [config.executeRetries] Times execute() resends a submission that got no answer (defaults to 2)
+     * @param {number} [config.retryDelay] Delay before the first resend in ms, doubling each time (defaults to 500)
+     */
+    constructor(config = {}) {
+        this.apiPrefix = (config.apiPrefix || DEFAULT_API_PREFIX).replace(/\/+$/, '')
+        this.baseUrl = (config.baseUrl || '').replace(/\/+$/, '')
+        this.transport = config.transport || createTransport(config.http || config.fetch || null)
+        this.headerProvider = config.headers || null
+        this.tokenProvider = config.token || null
+        this.csrfCookiePath = config.sanctum
+            ? (typeof config.sanctum === 'string' ? config.sanctum : DEFAULT_CSRF_COOKIE_PATH)
+            : null
+        this.credentials = config.credentials || (this.csrfCookiePath ? 'include' : 'same-origin')
+        this.csrfCookie = null
+        this.executeRetries = config.executeRetries ?? 2
+        this.retryDelay = config.retryDelay ?? 500
+        this.pendingExecutions = new Map()
+        // Keys of submissions whose outcome is unknown, reused when they are submitted again
+        this.unsettledKeys = new Map()
+    }
+
+    /**
+     * Get auth headers: Laravel's CSRF headers, the bearer token and any custom headers
+     */
+    async getAuthHeaders() {
+        const headers = csrfHeaders()
+
+        const token = typeof this.tokenProvider === 'function'
+            ? await this.tokenProvider()
+            : this.tokenProvider
+
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`
+        }
+
+        const extra = typeof this.headerProvider === 'function'
+            ? await this.headerProvider()
+            : this.headerProvider
+
+        return { ...headers, ...extra }
+    }
+
+    /**
+     * Fetch Sanctum's CSRF cookie once, when `sanctum` is enabled
+     */
+    ensureCsrfCookie(refresh = false) {
+        if (!this.csrfCookiePath) {
+            return Promise.resolve()
+        }
+
+        if (!this.csrfCookie || refresh) {
+            this.csrfCookie = this.send('GET', `${this.baseUrl}${this.csrfCookiePath}`, {
+                'Accept': 'application/json',
+            }).then((response) => {
+                if (!response.ok) {
+                    throw errorFromResponse(response, null, { message: 'Failed to initialize CSRF protection' })
+                }
+            }).catch((e) => {
+                // Let the next request try again
+                this.csrfCookie = null
+                throw e
+            })
+        }
+
+        return this.csrfCookie
+    }
+
+    /**
+     * Build a full URL for a path below the api prefix
+     */
+    url(path = '', query = null) {
+        let url = this.baseUrl + (path ? `${this.apiPrefix}/${path.replace(/^\/+/, '')}` : this.apiPrefix)
+
+        if (query) {
+            const params = new URLSearchParams()
+
+            Object.entries(query).forEach(([key, value]) => {
+                if (value === undefined || value === null || value === '') return
+                params.append(key, typeof value === 'boolean' ? (value ? '1' : '0') : String(value))
+            })
+
+            const search = params.toString()
+            if (search) {
+                url += `?${search}`
+            }
+        }
+
+        return url
+    }
+
+    /**
+     * Send a request and unwrap the JSON envelope
+     *
+     * @param {Object} [options]
+     * @param {Object} [options.headers] Headers of this request only
+     * @param {Object} [options.errorTypes] Error classes overriding the defaults, keyed by status
+     * @param {AbortSignal} [options.signal]
+     * @throws {ActionEngineError}
+     */
+    async request(method, path = '', { body, query, headers, errorMessage = 'Request failed', errorTypes, signal } = {}) {
+        const response = await this.fetchResponse(method, path, { body, query, headers, errorMessage, signal })
+
+        let data = null
+
+        try {
+            data = await response.json()
+        } catch (e) {
+            // Non-JSON body (an HTML error page, a proxy timeout...)
+            if (response.ok) {
+                throw new NetworkError(`${errorMessage}: invalid JSON response`, { status: response.status, cause: e })
+            }
+        }
+
+        if (!response.ok) {
+            throw errorFromResponse(response, data, { message: errorMessage, types: errorTypes })
+        }
+
+        return data
+    }
+
+    /**
+     * Send a request for a file, resolving to `{ blob, filename, contentType, size }`
+     *
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] Called with `{ loaded, total, percentage }` as bytes arrive
+     * @param {string} [options.filename] Filename when the response does not name one
+     * @param {AbortSignal} [options.signal]
+     * @throws {ActionEngineError}
+     */
+    async requestFile(method, path = '', { body, query, errorMessage = 'Download failed', filename, onProgress, signal } = {}) {
+        const response = await this.fetchResponse(method, path, {
+            body,
+            query,
+            errorMessage,
+            signal,
+            // JSON first, so that Laravel renders errors as JSON
+            accept: 'application/json, */*',
+            binary: true,
+            onProgress,
+        })
+
+        if (!response.ok) {
+            let data = null
+
+            try {
+                data = await response.json()
+            } catch (e) {
+                // Non-JSON error body
+            }
+
+            throw errorFromResponse(response, data, { message: errorMessage })
+        }
+
+        try {
+            return await readFile(response, { onProgress, filename })
+        } catch (e) {
+            if (e?.name === 'AbortError') throw e
+
+            throw new NetworkError(`${errorMessage}: ${e?.message || 'network error'}`, { status: response.status, cause: e })
+        }
+    }
+
+    /**
+     * Send a request, refreshing an expired CSRF cookie once
+     */
+    async fetchResponse(method, path = '', { body, query, headers: requestHeaders = {}, errorMessage = 'Request failed', signal, accept = 'application/json', ...extra } = {}) {
+        const send = async () => {
+            const headers = {
+                'Accept': accept,
+                ...(await this.getAuthHeaders()),
+                ...requestHeaders,
+            }
+
+            if (body !== undefined) {
+                headers['Content-Type'] = 'application/json'
+            }
+
+            return this.send(method, this.url(path, query), headers, body !== undefined ? JSON.stringify(body) : undefined, signal, extra)
+        }
+
+        let response
+
+        try {
+            await this.ensureCsrfCookie()
+
+            response = await send()
+
+            // The CSRF cookie expired: refresh it and retry once
+            if (response.status === CSRF_MISMATCH && this.csrfCookiePath) {
+                await this.ensureCsrfCookie(true)
+                response = await send()
+            }
+        } catch (e) {
+            // Let aborted requests surface as-is
+            if (e?.name === 'AbortError' || e instanceof ActionEngineError) throw e
+
+            throw new NetworkError(`${errorMessage}: ${e?.message || 'network error'}`, { cause: e })
+        }
+
+        return response
+    }
+
+    /**
+     * Pass one request to the transport
+     */
+    send(method, url, headers, body = undefined, signal = undefined, extra = {}) {
+        return this.transport({ ...extra, method, url, headers, body, credentials: this.credentials, signal })
+    }
+
+    /**
+     * List the current user's executions
+     */
+    async list(query = {}) {
+        const data = await this.request('GET', '', {
+            query,
+            errorMessage: 'Failed to load bulk actions',
+        })
+
+        return { data: data.data, meta: data.meta }
+    }
+
+    /**
+     * Get the registered actions with their metadata
+     */
+    async actions() {
+        const data = await this.request('GET', 'actions', {
+            errorMessage: 'Failed to load available actions',
+        })
+
+        return data.data
+    }
+
+    /**
+     * Execute a bulk action, as one idempotent submission: a request that
+     * gets no answer is sent again with the same Idempotency-Key, and an
+     * identical call made while one is in flight shares its request
+     *
+     * @param {Object} payload
+     * @param {Object} [options]
+     * @param {string} [options.idempotencyKey] Key of the submission (one is generated otherwise)
+     */
+    execute(payload, { idempotencyKey = null } = {}) {
+        const submission = idempotencyKey || submissionKey(payload)
+
+        return dedupe(this.pendingExecutions, submission, async () => {
+            // A submission that got no answer may have started the action, so it keeps its key
+            const key = idempotencyKey || this.unsettledKeys.get(submission) || createIdempotencyKey()
+
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    const data = await this.request('POST', '', {
+                        body: payload,
+                        headers: { 'Idempotency-Key': key },
+                        errorMessage: 'Failed to execute bulk action',
+                    })
+
+                    this.unsettledKeys.delete(submission)
+
+                    return data.data
+                } catch (e) {
+                    if (!isRetryableSubmission(e)) {
+                        this.unsettledKeys.delete(submission)
+                        throw e
+                    }
+
+                    if (attempt >= this.executeRetries) {
+                        this.unsettledKeys.set(submission, key)
+                        throw e
+                    }
+
+                    await new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** attempt))
+                }
+            }
+        })
+    }
+
+    /**
+     * Preview action (dry run)
+     */
+    async preview(payload) {
+        const data = await this.request('POST', 'preview', {
+            body: payload,
+            errorMessage: 'Failed to preview action',
+        })
+
+        return data.data
+    }
+
+    /**
+     * Page through the records an action would run on, with their values
+     * before and after it
+     *
+     * @param {Object} payload Preview payload (`{ action, model, filters, parameters }`)
+     * @param {Object} [query] `{ page, per_page }`
+     */
+    async previewChanges(payload, query = {}) {
+        const data = await this.request('POST', 'preview/changes', {
+            body: { ...payload, ...query },
+            errorMessage: 'Failed to preview changes',
+        })
+
+        return {
+            data: data.data,
+            columns: data.columns,
+            changed_columns: data.changed_columns,
+            supports_diff: data.supports_diff,
+            meta: data.meta,
+        }
+    }
+
+    /**
+     * Get execution details
+     */
+    async show(uuid, query = {}) {
+        const data = await this.request('GET', uuid, {
+            query,
+            errorMessage: 'Failed to load bulk action',
+        })
+
+        return data.data
+    }
+
+    /**
+     * Cancel a pending, processing or scheduled action
+     */
+    async cancel(uuid) {
+        const data = await this.request('POST', `${uuid}/cancel`, {
+            errorMessage: 'Failed to cancel action',
+        })
+
+        return data.data
+    }
+
+    /**
+     * List the current user's scheduled actions, soonest first; `{ hours }`
+     * keeps the ones starting within that many hours
+     */
+    async scheduled(query = {}) {
+        const data = await this.request('GET', 'scheduled', {
+            query,
+            errorMessage: 'Failed to load scheduled actions',
+        })
+
+        return data.data
+    }
+
+    /**
+     * Move a scheduled (or cancelled) action to a new time. A Date or an ISO
+     * string with an offset is absolute; a local date string such as
+     * `2026-03-03T09:00` is read in `timezone`.
+     */
+    async reschedule(uuid, scheduledFor, timezone = null) {
+        const data = await this.request('POST', `${uuid}/reschedule`, {
+            body: {
+                scheduled_for: scheduledFor instanceof Date ? scheduledFor.toISOString() : scheduledFor,
+                timezone,
+            },
+            errorMessage: 'Failed to reschedule action',
+        })
+
+        return data.data
+    }
+
+    /**
+     * Page through the failed records of an execution, resolving to
+     * `{ data, groups, meta }`; `{ type }` keeps one error type
+     */
+    async failures(uuid, query = {}) {
+        const data = await this.request('GET', `${uuid}/failures`, {
+            query,
+            errorMessage: 'Failed to load failed records',
+        })
+
+        return { data: data.data, groups: data.groups, meta: data.meta }
+    }
+
+    /**
+     * Run an action again on its failed records only, with the same
+     * parameters, resolving to the new execution
+     *
+     * @param {string} uuid
+     * @param {Object} [payload] `{ type, options: { sync, with_undo, undo_expiry_days } }`
+     */
+    async retryFailed(uuid, payload = {}) {
+        const data = await this.request('POST', `${uuid}/retry-failed`, {
+            body: payload,
+            errorMessage: 'Failed to retry failed records',
+        })
+
+        return data.data
+    }
+
+    /**
+     * Get the timeline of the chain an execution belongs to (any step's
+     * uuid): `{ uuid, status, current_step, total_steps, progress_percentage, steps }`
+     *
+     * @param {string} uuid
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal]
+     */
+    async chain(uuid, { signal } = {}) {
+        const data = await this.request('GET', `${uuid}/chain`, {
+            errorMessage: 'Failed to load action chain',
+            signal,
+        })
+
+        return data.data
+    }
+
+    /**
+     * Cancel the running step of a chain and the steps after it, resolving
+     * to the chain's timeline
+     */
+    async cancelChain(uuid) {
+        const data = await this.request('POST', `${uuid}/chain/cancel`, {
+            errorMessage: 'Failed to cancel action chain',
+        })
+
+        return data.data
+    }
+
+    /**
+     * Undo the completed steps of a chain, last one first, resolving to
+     * `{ undone: [{ step, uuid, action_name, restored_count }], chain }`
+     */
+    async undoChain(uuid) {
+        const data = await this.request('POST', `${uuid}/chain/undo`, {
+            errorMessage: 'Failed to undo action chain',
+        })
+
+        return data.data
+    }
+
+    /**
+     * List the enabled export formats (`{ format, extension, mime_type }`)
+     */
+    async exportFormats() {
+        const data = await this.request('GET', 'exports/formats', {
+            errorMessage: 'Failed to load export formats',
+        })
+
+        return data.data
+    }
+
+    /**
+     * Download the file of a completed export
+     *
+     * @param {string} uuid
+     * @param {Object} [options] `{ onProgress, filename, signal }`, see requestFile()
+     */
+    async download(uuid, options = {}) {
+        return this.requestFile('GET', `${uuid}/download`, {
+            ...options,
+            errorMessage: 'Failed to download export',
+        })
+    }
+
+    /**
+     * Export the matching records straight to a file, without a bulk action
+     * (limited to `export.sync_max_records` records)
+     *
+     * @param {Object} payload `{ model, filters, parameters: { format, filename, columns } }`
+     * @param {Object} [options] `{ onProgress, signal }`, see requestFile()
+     */
+    async streamExport(payload, options = {}) {
+        return this.requestFile('POST', 'exports/stream', {
+            ...options,
+            body: payload,
+            errorMessage: 'Failed to export records',
+        })
+    }
+
+    /**
+     * Get progress for an execution
+     *
+     * @param {string} uuid
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal]
+     */
+    async progress(uuid, { signal } = {}) {
+        const data = await this.request('GET', `${uuid}/progress`, {
+            errorMessage: 'Failed to fetch progress',
+            signal,
+        })
+
+        return data.data
+    }
+
+    /**
+     * Get progress for several executions in one request, keyed by uuid
+     *
+     * @param {string[]} uuids
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal]
+     */
+    async batchProgress(uuids, { signal } = {}) {
+        const data = await this.request('POST', 'progress', {
+            body: { uuids },
+            errorMessage: 'Failed to fetch progress',
+            signal,
+        })
+
+        // An empty PHP map is serialized as []
+        return Array.isArray(data.data) ? {} : data.data
+    }
+
+    /**
+     * Undo an action, resolving to `{ restored_count, execution }`
+     */
+    async undo(uuid) {
+        const data = await this.request('POST', `${uuid}/undo`, {
+            errorMessage: 'Failed to undo action',
+            // UndoController answers 422 once the action can no longer be undone
+            errorTypes: { 422: UndoExpiredError },
+        })
+
+        return data.data
+    }
+
+    /**
+     * Check whether an action can still be undone
+     */
+    async checkUndo(uuid) {
+        const data = await this.request('GET', `${uuid}/undo`, {
+            errorMessage: 'Failed to check undo status',
+        })
+
+        return data.data
+    }
+
+    /**
+     * Get the monitoring overview: `{ stats, chart_data, recent_actions }`
+     *
+     * Like the other monitoring requests, these answer with the data itself
+     * rather than a `{ success, data }` envelope.
+     *
+     * @param {Object} [query] `{ from, to }` dates, or `{ days }` or `{ range }` (`1h`, `6h`, `24h`, `7d`, `30d`)
+     * @param {Object} [options] `{ signal }`
+     */
+    async monitoringOverview(query = {}, { signal } = {}) {
+        return this.request('GET', 'monitoring/overview', {
+            query,
+            errorMessage: 'Failed to load monitoring overview',
+            signal,
+        })
+    }
+
+    /**
+     * Get the live counts and the last day's performance:
+     * `{ active, today, performance, timestamp }`
+     */
+    async monitoringMetrics({ signal } = {}) {
+        return this.request('GET', 'monitoring/metrics', {
+            errorMessage: 'Failed to load monitoring metrics',
+            signal,
+        })
+    }
+
+    /**
+     * Get the health checks: `{ status: healthy|degraded|unhealthy, checks }`
+     */
+    async monitoringHealth({ signal } = {}) {
+        return this.request('GET', 'monitoring/health', {
+            errorMessage: 'Failed to load monitoring health',
+            signal,
+        })
+    }
+
+    /**
+     * Get the per-action breakdown: `[{ action, total, completed, failed, success_rate }]`
+     *
+     * @param {Object} [query] `{ from, to }` dates or `{ days }`
+     * @param {Object} [options] `{ signal }`
+     */
+    async monitoringActions(query = {}, { signal } = {}) {
+        return this.request('GET', 'monitoring/actions', {
+            query,
+            errorMessage: 'Failed to load action breakdown',
+            signal,
+        })
+    }
+
+    /**
+     * Get the most active users: `[{ user, action_count }]`
+     *
+     * @param {Object} [query] `{ from, to }` dates or `{ days }`, and `{ limit }`
+     * @param {Object} [options] `{ signal }`
+     */
+    async monitoringUsers(query = {}, { signal } = {}) {
+        return this.request('GET', 'monitoring/users', {
+            query,
+            errorMessage: 'Failed to load user activity',
+            signal,
+        })
+    }
+
+    /**
+     * Get one row per day of finished actions, with their throughput and
+     * failure rate
+     *
+     * @param {Object} [query] `{ from, to }` dates or `{ days }`
+     * @param {Object} [options] `{ signal }`
+     */
+    async monitoringTrends(query = {}, { signal } = {}) {
+        return this.request('GET', 'monitoring/trends', {
+            query,
+            errorMessage: 'Failed to load performance trends',
+            signal,
+        })
+    }
+}
+
+export default ActionEngineClient
@@ -0,0 +1,308 @@
+/**
+ * Fluent builder for execute() payloads, mirroring the PHP BulkActionBuilder.
+ *
+ * Produces exactly the `{ action, model, filters, parameters, options }`
+ * payload accepted by the API controller, and can execute or preview it
+ * through an ActionEngineClient, ExecutionStore or ExecutionManager.
+ *
+ * Usage:
+ * import { bulk } from '@/vendor/core'
+ *
+ * const execution = await bulk('App\\Models\\User')
+ *     .action('archive')
+ *     .where('status', 'inactive')
+ *     .where('last_login_at', '<', '2024-01-01')
+ *     .whereNull('archived_at')
+ *     .with({ reason: 'Inactive for a year' })
+ *     .withUndo(14)
+ *     .execute()
+ *
+ * Chained actions run one after the other on the same records:
+ * bulk('App\\Models\\User').action('archive').ids(ids).andThen('export', { format: 'csv' })
+ */
+
+import { ActionEngineClient } from './ActionEngineClient.js'
+import { toChainSteps } from './ActionChain.js'
+
+// Operators accepted by Laravel's query builder
+export const WHERE_OPERATORS = [
+    '=', '<', '>', '<=', '>=', '<>', '!=', '<=>',
+    'like', 'like binary', 'not like', 'ilike', 'not ilike',
+    'rlike', 'not rlike', 'regexp', 'not regexp',
+    '&', '|', '^', '<<', '>>', '&~', 'is', 'is not',
+    '~', '~*', '!~', '!~*', 'similar to', 'not similar to', '~~*', '!~~*',
+]
+
+export class BulkActionBuilder {
+    /**
+     * @param {string} [model] Fully qualified model class
+     * @param {ActionEngineClient|Object} [target] Client, store or manager used by execute()/preview()
+     */
+    constructor(model = null, target = null) {
+        this.modelClass = model
+        this.actionName = null
+        this.targetIds = null
+        this.conditions = {}
+        this.parameters = {}
+        this.options = {}
+        this.target = target
+    }
+
+    /**
+     * Set the model class
+     */
+    on(model) {
+        this.modelClass = model
+        return this
+    }
+
+    /**
+     * Set the registered action name
+     */
+    action(name) {
+        this.actionName = name
+        return this
+    }
+
+    /**
+     * Add a WHERE condition: `where(column, value)`, `where(column, operator, value)`
+     * or `where({ column: value, ... })`
+     */
+    where(column, operator, value) {
+        if (typeof column === 'object' && column !== null) {
+            Object.entries(column).forEach(([key, val]) => this.where(key, val))
+            return this
+        }
+
+        if (arguments.length === 2) {
+            return this.addCondition('where', [column, '=', operator])
+        }
+
+        if (!WHERE_OPERATORS.includes(String(operator).toLowerCase())) {
+            throw new Error(`Invalid where operator "${operator}" for column "${column}".`)
+        }
+
+        return this.addCondition('where', [column, operator, value])
+    }
+
+    /**
+     * Add a whereIn condition
+     */
+    whereIn(column, values) {
+        return this.addCondition('where_in', [column, toArray(values, 'whereIn')])
+    }
+
+    /**
+     * Add a whereNotIn condition
+     */
+    whereNotIn(column, values) {
+        return this.addCondition('where_not_in', [column, toArray(values, 'whereNotIn')])
+    }
+
+    /**
+     * Add a whereBetween condition
+     */
+    whereBetween(column, values) {
+        const range = toArray(values, 'whereBetween')
+
+        if (range.length !== 2) {
+            throw new Error(`whereBetween() on "${column}" expects exactly two values.`)
+        }
+
+        return this.addCondition('where_between', [column, range])
+    }
+
+    /**
+     * Add a whereNull condition
+     */
+    whereNull(column) {
+        return this.addCondition('where_null', column)
+    }
+
+    /**
+     * Add a whereNotNull condition
+     */
+    whereNotNull(column) {
+        return this.addCondition('where_not_null', column)
+    }
+
+    /**
+     * Target exact ids
+     */
+    ids(ids) {
+        this.targetIds = toArray(ids, 'ids')
+        return this
+    }
+
+    /**
+     * Add parameters for the action
+     */
+    with(parameters) {
+        this.parameters = { ...this.parameters, ...parameters }
+        return this
+    }
+
+    /**
+     * Set the batch size
+     */
+    batchSize(size) {
+        this.options.batch_size = size
+        return this
+    }
+
+    /**
+     * Run synchronously instead of queued
+     */
+    sync() {
+        this.options.sync = true
+        return this
+    }
+
+    /**
+     * Schedule for later execution (a Date or date string)
+     */
+    scheduleFor(datetime, timezone = null) {
+        this.options.schedule_for = datetime instanceof Date ? datetime.toISOString() : datetime
+
+        if (timezone) {
+            this.options.schedule_timezone = timezone
+        } else {
+            delete this.options.schedule_timezone
+        }
+
+        return this
+    }
+
+    /**
+     * Enable dry run mode
+     */
+    dryRun() {
+        this.options.dry_run = true
+        return this
+    }
+
+    /**
+     * Enable undo functionality
+     */
+    withUndo(expiryDays = 7) {
+        this.options.with_undo = true
+        this.options.undo_expiry_days = expiryDays
+        return this
+    }
+
+    /**
+     * Run these actions one after the other once this one has completed, on
+     * the same records. Each is an action name or `{ action, parameters }`.
+     */
+    chain(steps) {
+        this.options.chain = toChainSteps(steps)
+        return this
+    }
+
+    /**
+     * Add a step to the chain
+     */
+    andThen(action, parameters = {}) {
+        this.options.chain = [...(this.options.chain || []), { action, parameters }]
+        return this
+    }
+
+    /**
+     * Set the client, store or manager used by execute() / preview()
+     */
+    using(target) {
+        this.target = target
+        return this
+    }
+
+    /**
+     * Build the payload for `POST /api/bulk-actions`
+     */
+    toPayload() {
+        if (!this.modelClass) {
+            throw new Error('No model set. Call on() or pass the model to bulk().')
+        }
+
+        if (!this.actionName) {
+            throw new Error('No action set. Call action() before executing.')
+        }
+
+        const filters = { ...this.conditions }
+
+        if (this.targetIds) {
+            filters.ids = [...this.targetIds]
+        }
+
+        const payload = { action: this.actionName, model: this.modelClass }
+
+        if (Object.keys(filters).length > 0) {
+            payload.filters = filters
+        }
+
+        if (Object.keys(this.parameters).length > 0) {
+            payload.parameters = { ...this.parameters }
+        }
+
+        if (Object.keys(this.options).length > 0) {
+            payload.options = { ...this.options }
+        }
+
+        return payload
+    }
+
+    toJSON() {
+        return this.toPayload()
+    }
+
+    /**
+     * Execute the action
+     */
+    execute(options) {
+        return this.resolveTarget().execute(this.toPayload(), options)
+    }
+
+    /**
+     * Preview the action (dry run) with up to `limit` sample records
+     */
+    preview(limit = null) {
+        const { options, ...payload } = this.toPayload()
+
+        if (limit) {
+            payload.preview_limit = limit
+        }
+
+        // Managers have no preview() of their own
+        const target = this.resolveTarget()
+
+        return (target.preview ? target : target.client).preview(payload)
+    }
+
+    addCondition(type, condition) {
+        this.conditions[type] = [...(this.conditions[type] || []), condition]
+        return this
+    }
+
+    resolveTarget() {
+        if (!this.target) {
+            this.target = new ActionEngineClient()
+        }
+
+        return this.target
+    }
+}
+
+function toArray(values, method) {
+    if (values instanceof Set) return [...values]
+    if (Array.isArray(values)) return [...values]
+
+    throw new Error(`${method}() expects an array of values.`)
+}
+
+/**
+ * Start a builder for a model: `bulk('App\\Models\\User').action('delete')...`
+ */
+export function bulk(model, target = null) {
+    return new BulkActionBuilder(model, target)
+}
+
+export default BulkActionBuilder
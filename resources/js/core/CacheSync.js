@@ -0,0 +1,256 @@
+/**
+ * Keeps data caches (TanStack Query, SWR, Pinia stores, ...) in line with
+ * bulk actions.
+ *
+ * Each execution is mapped to cache keys from its model and target ids
+ * (`keys`). While a delete or archive is processing, the cached rows it
+ * targets are hidden or marked (`optimistic`); the change is rolled back
+ * when the action fails, is cancelled or is undone. The keys are
+ * invalidated once the action finished or was undone, so lists refetch.
+ * Target ids come from the execute payload (`filters.ids`), so optimistic
+ * updates only apply to executions started through a watched store.
+ *
+ * The cache itself is reached through an adapter, see cacheAdapters.js.
+ * State is `{ pending }`, the optimistic changes in place keyed by uuid;
+ * events are `applied`, `rolledBack`, `invalidated` and `error`.
+ *
+ * Usage:
+ * const sync = new CacheSync(tanstackQueryAdapter(queryClient), {
+ *     keys: { 'App\\Models\\Post': [['posts']] },
+ * })
+ *
+ * sync.watch(store)
+ * const visible = rows.filter(row => !sync.isPending(row, 'App\\Models\\Post'))
+ */
+
+import { isInProgress } from './execution.js'
+import { Observable } from './Observable.js'
+
+export const OPTIMISTIC_MODES = ['hide', 'mark']
+
+// Actions whose rows change while they run, and how to show it
+export const DEFAULT_OPTIMISTIC = { delete: 'hide', archive: 'mark' }
+
+// Statuses after which the optimistic change is undone
+const ROLLBACK_STATUSES = ['failed', 'cancelled']
+
+/**
+ * Apply `callback` to the rows of cached data: an array, a Laravel
+ * paginator (`{ data }`) or infinite-query pages (`{ pages }`). Rows the
+ * callback returns null for are removed; other data is left as is.
+ */
+export function mapRows(data, callback) {
+    if (Array.isArray(data)) {
+        return data.map(callback).filter(row => row !== null && row !== undefined)
+    }
+
+    if (Array.isArray(data?.pages)) {
+        return { ...data, pages: data.pages.map(page => mapRows(page, callback)) }
+    }
+
+    if (Array.isArray(data?.data)) {
+        return { ...data, data: mapRows(data.data, callback) }
+    }
+
+    return data
+}
+
+export class CacheSync extends Observable {
+    /**
+     * @param {Object} adapter `{ invalidate(key), entries(key), set(cacheKey, data), cancel?(key) }`
+     * @param {Object} [options]
+     * @param {Function|Object} [options.keys] `(target) => keys`, or keys (or such a function) by model class; defaults to `[[model]]`
+     * @param {Object|false} [options.optimistic] `'hide'`, `'mark'` or `(row, target) => row` by action name
+     * @param {string} [options.rowKey] Row attribute holding the id (`id`)
+     * @param {string} [options.markField] Row attribute set on marked rows (`_bulkAction`)
+     * @param {Function} [options.mapRows] Replaces mapRows() for other data shapes
+     */
+    constructor(adapter, options = {}) {
+        super({ pending: {} })
+
+        this.adapter = adapter
+        this.keys = options.keys || (({ model }) => [[model]])
+        this.optimistic = options.optimistic === false ? {} : { ...DEFAULT_OPTIMISTIC, ...options.optimistic }
+        this.rowKey = options.rowKey || 'id'
+        this.markField = options.markField || '_bulkAction'
+        this.mapRows = options.mapRows || mapRows
+        this.targets = new Map()
+        this.snapshots = new Map()
+    }
+
+    /**
+     * Follow the executions of an ExecutionStore, an ExecutionManager or a
+     * binding result exposing either, returning an unwatch function
+     */
+    watch(target) {
+        const source = target.store || target.manager || target
+        const quietly = promise => promise.catch(error => this.emit('error', error))
+
+        const cleanups = [
+            source.on('submitted', ({ execution, payload }) => {
+                if (payload?.options?.dry_run) return
+
+                this.remember(execution, payload)
+
+                if (isInProgress(execution)) quietly(this.apply(execution.uuid))
+            }),
+            ...['started', 'opened', 'restored'].map(event => source.on(event, execution => this.remember(execution))),
+            source.on('completed', execution => quietly(this.settle(execution))),
+            source.on('cancelled', execution => quietly(this.settle(execution))),
+            source.on('undone', result => quietly(this.settle(result.execution, true))),
+        ]
+
+        return () => cleanups.forEach(cleanup => cleanup())
+    }
+
+    /**
+     * Record what an execution targets: `{ uuid, model, action, ids }`
+     */
+    remember(execution, payload = null) {
+        if (!execution?.uuid || (this.targets.has(execution.uuid) && !payload)) {
+            return this.targets.get(execution?.uuid) || null
+        }
+
+        const ids = payload?.filters?.ids || execution.filters?.ids || null
+
+        const target = {
+            uuid: execution.uuid,
+            model: payload?.model || execution.model_type,
+            action: payload?.action || execution.action_name,
+            ids: ids ? ids.map(String) : null,
+        }
+
+        this.targets.set(execution.uuid, target)
+
+        return target
+    }
+
+    /**
+     * Cache keys of a target
+     */
+    keysFor(target) {
+        const keys = typeof this.keys === 'function' ? this.keys : this.keys[target.model]
+
+        return (typeof keys === 'function' ? keys(target) : keys) || []
+    }
+
+    /**
+     * Hide or mark the rows an execution targets, keeping the cached data
+     * it replaced for a rollback
+     */
+    async apply(uuid) {
+        const target = this.targets.get(uuid)
+        const mode = target && this.optimistic[target.action]
+
+        if (!mode || !target.ids?.length || this.snapshots.has(uuid)) return
+
+        const keys = this.keysFor(target)
+
+        // Keep in-flight fetches from overwriting the change
+        await Promise.all(keys.map(key => this.adapter.cancel?.(key)))
+
+        if (target.settled) return
+
+        const ids = new Set(target.ids)
+        const change = typeof mode === 'function' ? mode : this.change(mode, target)
+        const snapshot = []
+
+        keys.forEach(key => this.adapter.entries(key).forEach(([cacheKey, data]) => {
+            if (data === undefined) return
+
+            snapshot.push([cacheKey, data])
+            this.adapter.set(cacheKey, this.mapRows(data, row => (
+                row && ids.has(String(row[this.rowKey])) ? change(row, target) : row
+            )))
+        }))
+
+        this.snapshots.set(uuid, snapshot)
+        this.setState({ pending: { ...this.state.pending, [uuid]: { ...target, mode } } })
+        this.emit('applied', target)
+    }
+
+    /**
+     * Row change of a built-in optimistic mode
+     */
+    change(mode, target) {
+        if (mode === 'hide') return () => null
+
+        return row => ({ ...row, [this.markField]: { uuid: target.uuid, action: target.action } })
+    }
+
+    /**
+     * Restore the cached data an optimistic change replaced
+     */
+    rollback(uuid) {
+        const snapshot = this.snapshots.get(uuid)
+        if (!snapshot) return false
+
+        snapshot.forEach(([cacheKey, data]) => this.adapter.set(cacheKey, data))
+        this.forget(uuid)
+        this.emit('rolledBack', this.targets.get(uuid))
+
+        return true
+    }
+
+    /**
+     * Invalidate the cache keys of an execution, or of a model
+     */
+    async invalidate(uuidOrModel) {
+        const target = this.targets.get(uuidOrModel) || { model: uuidOrModel, ids: null }
+        const keys = this.keysFor(target)
+
+        await Promise.all(keys.map(key => this.adapter.invalidate(key)))
+        this.emit('invalidated', { ...target, keys })
+    }
+
+    /**
+     * Whether a row is hidden or marked by an optimistic change
+     */
+    isPending(row, model = null) {
+        const id = String(row?.[this.rowKey])
+
+        return Object.values(this.state.pending).some(target => (
+            (!model || target.model === model) && target.ids.includes(id)
+        ))
+    }
+
+    /**
+     * Handle a finished or undone execution: keep the optimistic change
+     * when it succeeded, roll it back otherwise, then refetch
+     */
+    async settle(execution, undone = false) {
+        if (!execution?.uuid) return
+
+        const target = this.remember(execution)
+        target.settled = true
+
+        if (undone || ROLLBACK_STATUSES.includes(execution.status)) {
+            this.rollback(execution.uuid)
+        } else {
+            this.forget(execution.uuid)
+        }
+
+        await this.invalidate(execution.uuid)
+    }
+
+    forget(uuid) {
+        this.snapshots.delete(uuid)
+
+        if (this.state.pending[uuid]) {
+            const pending = { ...this.state.pending }
+            delete pending[uuid]
+            this.setState({ pending })
+        }
+    }
+
+    /**
+     * Drop every target and optimistic change, leaving the cache as it is
+     */
+    reset() {
+        this.targets.clear()
+        this.snapshots.clear()
+        this.setState({ pending: {} })
+    }
+}
+
+export default CacheSync
@@ -0,0 +1,196 @@
+/**
+ * Observable, paginated before/after preview of a bulk action.
+ *
+ * Wraps `POST /api/bulk-actions/preview/changes`: each row is `{ id, before,
+ * after, changed, deleted }`, where `changed` lists the attributes the
+ * action would change on that record and `after` is null for records it
+ * would delete. `columns` lists the attributes of the page and
+ * `changedColumns` those changed on it. Actions that cannot tell their
+ * changes (`supportsDiff` false) only have `before`. `execute()` runs the
+ * previewed payload through the target store once the user has reviewed it.
+ *
+ * State is `{ payload, rows, columns, changedColumns, supportsDiff, meta,
+ * page, perPage, isLoading, isExecuting, error }`; events are `loaded`,
+ * `executed` and `error`.
+ *
+ * Usage:
+ * const preview = new ChangePreview(store, { perPage: 25 })
+ *
+ * preview.subscribe(({ rows, changedColumns }) => render(rows, changedColumns))
+ *
+ * await preview.open({ action: 'update', model: 'App\\Models\\User', filters, parameters: { data: { status: 'inactive' } } })
+ * await preview.nextPage()
+ * await preview.execute()
+ */
+
+import { toActionEngineError } from './errors.js'
+import { Observable } from './Observable.js'
+
+/**
+ * Whether a preview row changes a column (every column of a deleted record)
+ */
+export function isColumnChanged(row, column) {
+    return Boolean(row?.deleted) || Boolean(row?.changed?.includes(column))
+}
+
+export class ChangePreview extends Observable {
+    /**
+     * @param {Object} target ExecutionStore or ExecutionManager running the action
+     * @param {Object} [options]
+     * @param {number} [options.perPage] Records per page (default 10)
+     */
+    constructor(target, options = {}) {
+        super({
+            payload: null,
+            rows: [],
+            columns: [],
+            changedColumns: [],
+            supportsDiff: true,
+            meta: null,
+            page: 1,
+            perPage: options.perPage || 10,
+            isLoading: false,
+            isExecuting: false,
+            error: null,
+        })
+
+        this.target = target
+        this.client = target.client
+        this.requestId = 0
+    }
+
+    /**
+     * Number of records the action would run on
+     */
+    get total() {
+        return this.state.meta?.total ?? 0
+    }
+
+    get hasNextPage() {
+        const meta = this.state.meta
+
+        return Boolean(meta) && meta.current_page < meta.last_page
+    }
+
+    get hasPreviousPage() {
+        return this.state.page > 1
+    }
+
+    /**
+     * Preview an execute() payload, from the first page
+     */
+    open(payload) {
+        this.requestId++
+        this.setState({ payload: payload || null, rows: [], columns: [], changedColumns: [], meta: null, page: 1, error: null })
+
+        return payload ? this.load(1) : Promise.resolve()
+    }
+
+    /**
+     * Load a page of the preview (the current one by default)
+     */
+    async load(page = this.state.page) {
+        const { payload, perPage } = this.state
+        if (!payload) return
+
+        // Only the latest request may update the state
+        const requestId = ++this.requestId
+
+        this.setState({ page, isLoading: true, error: null })
+
+        try {
+            const { options, ...previewPayload } = payload
+            const result = await this.client.previewChanges(previewPayload, { page, per_page: perPage })
+
+            if (requestId !== this.requestId) return
+
+            this.setState({
+                rows: result.data,
+                columns: result.columns,
+                changedColumns: result.changed_columns,
+                supportsDiff: result.supports_diff,
+                meta: result.meta,
+                page: result.meta?.current_page ?? page,
+            })
+            this.emit('loaded', result.data)
+
+            return result.data
+        } catch (e) {
+            if (requestId !== this.requestId) return
+
+            const error = toActionEngineError(e)
+
+            this.setState({ error })
+            this.emit('error', error)
+        } finally {
+            if (requestId === this.requestId) {
+                this.setState({ isLoading: false })
+            }
+        }
+    }
+
+    refresh() {
+        return this.load()
+    }
+
+    goToPage(page) {
+        const lastPage = this.state.meta?.last_page ?? page
+
+        return this.load(Math.max(1, Math.min(page, lastPage)))
+    }
+
+    nextPage() {
+        return this.hasNextPage ? this.load(this.state.page + 1) : Promise.resolve()
+    }
+
+    previousPage() {
+        return this.hasPreviousPage ? this.load(this.state.page - 1) : Promise.resolve()
+    }
+
+    setPerPage(perPage) {
+        this.setState({ perPage })
+
+        return this.load(1)
+    }
+
+    /**
+     * Run the previewed payload through the target, resolving to the execution
+     *
+     * @param {Object} [executeOptions] Passed on to the target's execute()
+     */
+    async execute(executeOptions = undefined) {
+        const { payload } = this.state
+        if (!payload) return
+
+        this.setState({ isExecuting: true, error: null })
+
+        try {
+            const execution = await this.target.execute(payload, executeOptions)
+
+            this.emit('executed', execution)
+
+            return execution
+        } catch (e) {
+            const error = toActionEngineError(e)
+            this.setState({ error })
+            this.emit('error', error)
+            throw error
+        } finally {
+            this.setState({ isExecuting: false })
+        }
+    }
+
+    /**
+     * Drop the preview and any in-flight request
+     */
+    reset() {
+        this.requestId++
+        this.setState({ payload: null, rows: [], columns: [], changedColumns: [], meta: null, page: 1, isLoading: false, isExecuting: false, error: null })
+    }
+
+    destroy() {
+        this.reset()
+    }
+}
+
+export default ChangePreview
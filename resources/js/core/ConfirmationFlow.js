@@ -0,0 +1,269 @@
+/**
+ * Guarded execution for destructive actions, mirroring the SafetyManager.
+ *
+ * `start(payload)` executes non-destructive actions straight away. For
+ * destructive ones (the `destructive` flag of `GET /actions`, or the
+ * `destructive` option) it first previews the payload and walks through the
+ * server's `safety` assessment:
+ *
+ *   assessing → dry-run (first run of the action) → confirm → executing → done
+ *
+ * In the `confirm` step, counts above `confirmation_threshold` need the
+ * prompt's `typeText` typed in. State is `{ step, payload, assessment,
+ * dryRun, phrase, isLoading, error }`; events are `assessed`, `confirmed`,
+ * `cancelled` and `error`.
+ *
+ * Usage:
+ * const flow = new ConfirmationFlow(store)
+ *
+ * const execution = await flow.start({ action: 'delete', model: 'App\\Models\\User', filters })
+ * // ...a dialog renders flow.state and calls runDryRun(), setPhrase(), confirm() or cancel()
+ * // `execution` is null when the user cancelled; start() rejects when the preview fails
+ */
+
+import { ActionCatalog } from './ActionCatalog.js'
+import { ValidationError, toActionEngineError } from './errors.js'
+import { Observable } from './Observable.js'
+
+export const CONFIRMATION_STEPS = ['idle', 'assessing', 'dry-run', 'confirm', 'executing', 'done']
+
+/**
+ * Whether a flow state needs the dialog
+ */
+export function isConfirmationOpen(state) {
+    return !['idle', 'done'].includes(state.step)
+}
+
+/**
+ * Whether the confirmation phrase must be typed
+ */
+export function requiresTyping(state) {
+    return Boolean(state.assessment?.requires_typing)
+}
+
+/**
+ * Whether the typed phrase matches the prompt's `typeText` (case-insensitive, like the SafetyManager)
+ */
+export function phraseMatches(state) {
+    const expected = state.assessment?.prompt?.typeText || ''
+
+    return state.phrase.trim().toUpperCase() === expected.toUpperCase()
+}
+
+/**
+ * Whether the real execution can be confirmed
+ */
+export function canConfirm(state) {
+    return state.step === 'confirm' && !state.isLoading && (!requiresTyping(state) || phraseMatches(state))
+}
+
+export class ConfirmationFlow extends Observable {
+    /**
+     * @param {Object} target ExecutionStore or ExecutionManager running the real execution
+     * @param {Object} [options]
+     * @param {string[]} [options.destructive] Destructive action names (default: from the action catalog)
+     * @param {ActionCatalog} [options.catalog] Catalog used to look up the `destructive` flag
+     * @param {number} [options.previewLimit] Sample records to load with the assessment
+     */
+    constructor(target, options = {}) {
+        super({
+            step: 'idle',
+            payload: null,
+            assessment: null,
+            dryRun: null,
+            phrase: '',
+            isLoading: false,
+            error: null,
+        })
+
+        this.target = target
+        this.client = target.client
+        this.destructive = options.destructive || null
+        this.catalog = options.catalog || (this.destructive ? null : new ActionCatalog(this.client, options))
+        this.previewLimit = options.previewLimit ?? 5
+        this.executeOptions = undefined
+        this.pending = null
+    }
+
+    get isOpen() {
+        return isConfirmationOpen(this.state)
+    }
+
+    get requiresTyping() {
+        return requiresTyping(this.state)
+    }
+
+    get phraseMatches() {
+        return phraseMatches(this.state)
+    }
+
+    get canConfirm() {
+        return canConfirm(this.state)
+    }
+
+    /**
+     * Whether an action goes through the confirmation steps
+     */
+    async isDestructive(action) {
+        if (this.destructive) {
+            return this.destructive.includes(action)
+        }
+
+        await this.catalog.load()
+
+        const metadata = this.catalog.get(action)
+
+        // Unknown (or unloaded) actions are assessed by the server instead
+        return metadata ? Boolean(metadata.destructive) : true
+    }
+
+    /**
+     * Start the flow, resolving to the execution or to null when cancelled,
+     * and rejecting when the action cannot be assessed
+     */
+    async start(payload, executeOptions) {
+        this.finish(null)
+        this.executeOptions = executeOptions
+
+        if (!(await this.isDestructive(payload.action))) {
+            return this.target.execute(payload, executeOptions)
+        }
+
+        const finished = new Promise(resolve => (this.pending = resolve))
+
+        this.setState({ step: 'assessing', payload, assessment: null, dryRun: null, phrase: '', isLoading: true, error: null })
+
+        try {
+            const { options, ...previewPayload } = payload
+            const preview = await this.client.preview({ ...previewPayload, preview_limit: this.previewLimit })
+            const assessment = { ...preview.safety, count: preview.total_count, preview: preview.preview }
+
+            if (!assessment.requires_confirmation && !assessment.requires_dry_run) {
+                this.setState({ assessment, isLoading: false })
+                return this.execute()
+            }
+
+            this.setState({ step: assessment.requires_dry_run ? 'dry-run' : 'confirm', assessment })
+            this.emit('assessed', assessment)
+        } catch (e) {
+            // Nothing to confirm without the assessment, so close the flow with the error
+            this.pending = null
+            this.setState({ step: 'idle' })
+            throw this.fail(e)
+        } finally {
+            this.setState({ isLoading: false })
+        }
+
+        return finished
+    }
+
+    /**
+     * Run the required dry run, then move on to the confirmation
+     */
+    async runDryRun() {
+        const { payload } = this.state
+
+        this.setState({ isLoading: true, error: null })
+
+        try {
+            const dryRun = await this.client.execute({
+                ...payload,
+                options: { ...payload.options, dry_run: true },
+            })
+
+            this.setState({ step: 'confirm', dryRun })
+            return dryRun
+        } catch (e) {
+            this.fail(e)
+            return null
+        } finally {
+            this.setState({ isLoading: false })
+        }
+    }
+
+    /**
+     * Set the typed confirmation phrase
+     */
+    setPhrase(phrase) {
+        this.setState({ phrase, error: null })
+    }
+
+    /**
+     * Run the real execution once every step is satisfied
+     */
+    async confirm(phrase = this.state.phrase) {
+        if (phrase !== this.state.phrase) {
+            this.setPhrase(phrase)
+        }
+
+        if (this.state.step === 'dry-run') {
+            this.fail(new ValidationError('Run a dry run before executing this action.', {
+                errors: { dry_run: ['Run a dry run before executing this action.'] },
+            }))
+            return null
+        }
+
+        if (requiresTyping(this.state) && !phraseMatches(this.state)) {
+            const message = `Type "${this.state.assessment.prompt.typeText}" to confirm.`
+
+            this.fail(new ValidationError(message, { errors: { confirmation: [message] } }))
+            return null
+        }
+
+        return this.execute()
+    }
+
+    /**
+     * Abandon the flow, resolving start() with null
+     */
+    cancel() {
+        if (!isConfirmationOpen(this.state)) return
+
+        this.reset()
+        this.emit('cancelled')
+        this.finish(null)
+    }
+
+    reset() {
+        this.setState({ step: 'idle', payload: null, assessment: null, dryRun: null, phrase: '', isLoading: false, error: null })
+    }
+
+    async execute() {
+        this.setState({ step: 'executing', isLoading: true, error: null })
+
+        try {
+            const execution = await this.target.execute(this.state.payload, this.executeOptions)
+
+            this.setState({ step: 'done' })
+            this.emit('confirmed', execution)
+            this.finish(execution)
+
+            return execution
+        } catch (e) {
+            // Back to the confirmation so the user can retry or cancel
+            this.setState({ step: 'confirm' })
+            this.fail(e)
+            return null
+        } finally {
+            this.setState({ isLoading: false })
+        }
+    }
+
+    fail(e) {
+        const error = toActionEngineError(e)
+
+        this.setState({ error })
+        this.emit('error', error)
+
+        return error
+    }
+
+    finish(result) {
+        const resolve = this.pending
+
+        this.pending = null
+        resolve?.(result)
+    }
+}
+
+export default ConfirmationFlow
@@ -0,0 +1,204 @@
+/**
+ * Observable, paginated view of the current user's past executions.
+ *
+ * Wraps `GET /api/bulk-actions` with its `status` / `action` / `model`
+ * filters, pagination `meta` and the `include_filters` /
+ * `include_parameters` toggles. State is `{ items, meta, filters, page,
+ * perPage, includeFilters, includeParameters, isLoading, error }`; lifecycle
+ * events are `loaded` and `error`.
+ *
+ * Usage:
+ * const history = new ExecutionHistory(new ActionEngineClient(), { perPage: 20 })
+ *
+ * history.subscribe(({ items, meta }) => render(items, meta))
+ *
+ * await history.setFilters({ status: 'completed', action: 'archive' })
+ * await history.nextPage()
+ */
+
+import { ActionEngineClient } from './ActionEngineClient.js'
+import { toActionEngineError } from './errors.js'
+import { Observable } from './Observable.js'
+
+export const HISTORY_FILTERS = ['status', 'action', 'model']
+
+export class ExecutionHistory extends Observable {
+    /**
+     * @param {ActionEngineClient} [client]
+     * @param {Object} [options]
+     * @param {Object} [options.filters] Initial `{ status, action, model }` filters
+     * @param {number} [options.perPage] Page size (defaults to the server's 15)
+     * @param {boolean} [options.includeFilters] Include each execution's filters
+     * @param {boolean} [options.includeParameters] Include each execution's parameters
+     */
+    constructor(client = new ActionEngineClient(), options = {}) {
+        super({
+            items: [],
+            meta: null,
+            filters: pickFilters(options.filters),
+            page: 1,
+            perPage: options.perPage || null,
+            includeFilters: Boolean(options.includeFilters),
+            includeParameters: Boolean(options.includeParameters),
+            isLoading: false,
+            error: null,
+        })
+
+        this.client = client
+        this.requestId = 0
+    }
+
+    get hasNextPage() {
+        const meta = this.state.meta
+
+        return Boolean(meta) && meta.current_page < meta.last_page
+    }
+
+    get hasPreviousPage() {
+        return this.state.page > 1
+    }
+
+    /**
+     * Query string sent to the index endpoint for the current state
+     */
+    get query() {
+        const { filters, page, perPage, includeFilters, includeParameters } = this.state
+
+        return {
+            ...filters,
+            page,
+            per_page: perPage,
+            include_filters: includeFilters || null,
+            include_parameters: includeParameters || null,
+        }
+    }
+
+    /**
+     * Load a page of executions (the current one by default)
+     */
+    async load(page = this.state.page) {
+        // Only the latest request may update the state
+        const requestId = ++this.requestId
+
+        this.setState({ page, isLoading: true, error: null })
+
+        try {
+            const { data, meta } = await this.client.list(this.query)
+
+            if (requestId !== this.requestId) return
+
+            this.setState({
+                items: data,
+                meta,
+                page: meta?.current_page ?? page,
+            })
+            this.emit('loaded', data)
+
+            return data
+        } catch (e) {
+            if (requestId !== this.requestId) return
+
+            const error = toActionEngineError(e)
+
+            this.setState({ error })
+            this.emit('error', error)
+        } finally {
+            if (requestId === this.requestId) {
+                this.setState({ isLoading: false })
+            }
+        }
+    }
+
+    /**
+     * Reload the current page
+     */
+    refresh() {
+        return this.load()
+    }
+
+    /**
+     * Go to a page, clamped to the known page range
+     */
+    goToPage(page) {
+        const lastPage = this.state.meta?.last_page ?? page
+
+        return this.load(Math.max(1, Math.min(page, lastPage)))
+    }
+
+    nextPage() {
+        return this.hasNextPage ? this.load(this.state.page + 1) : Promise.resolve()
+    }
+
+    previousPage() {
+        return this.hasPreviousPage ? this.load(this.state.page - 1) : Promise.resolve()
+    }
+
+    /**
+     * Merge `{ status, action, model }` filters and reload from the first page
+     */
+    setFilters(filters = {}) {
+        this.setState({ filters: pickFilters({ ...this.state.filters, ...filters }) })
+
+        return this.load(1)
+    }
+
+    /**
+     * Remove every filter and reload from the first page
+     */
+    clearFilters() {
+        this.setState({ filters: pickFilters() })
+
+        return this.load(1)
+    }
+
+    /**
+     * Change the page size and reload from the first page
+     */
+    setPerPage(perPage) {
+        this.setState({ perPage })
+
+        return this.load(1)
+    }
+
+    /**
+     * Toggle `{ filters, parameters }` in the listed executions
+     */
+    setIncludes({ filters, parameters } = {}) {
+        this.setState({
+            includeFilters: filters ?? this.state.includeFilters,
+            includeParameters: parameters ?? this.state.includeParameters,
+        })
+
+        return this.load()
+    }
+
+    /**
+     * Replace a listed execution, e.g. with a newer copy from an ExecutionStore
+     */
+    replace(execution) {
+        if (!execution?.uuid) return
+
+        const items = this.state.items.map(item => (
+            item.uuid === execution.uuid ? { ...item, ...execution } : item
+        ))
+
+        this.setState({ items })
+    }
+
+    /**
+     * Drop the loaded page and any in-flight request
+     */
+    reset() {
+        this.requestId++
+        this.setState({ items: [], meta: null, page: 1, isLoading: false, error: null })
+    }
+}
+
+/**
+ * Keep only the filters supported by the index endpoint
+ */
+function pickFilters(filters = {}) {
+    return Object.fromEntries(HISTORY_FILTERS.map(key => [key, filters[key] ?? null]))
+}
+
+export default ExecutionHistory
@@ -0,0 +1,397 @@
+/**
+ * Observable manager for several concurrent bulk action executions.
+ *
+ * Keeps executions in a map keyed by uuid, with per-uuid cancel / undo.
+ * Active executions are refreshed together through the batch progress
+ * endpoint (one request per tick, whatever the number of executions), or
+ * over Laravel Echo when a connected instance is available. With `persist`
+ * set, tracked uuids survive page reloads and `restore()` reattaches to them.
+ *
+ * State: `{ executions, loading, errors, isLoading, error, isRealtime, connectionLost }`
+ *
+ * Usage:
+ * const manager = new ExecutionManager(new ActionEngineClient())
+ *
+ * const archive = await manager.execute({ action: 'archive', model: 'App\\Models\\Post', filters })
+ * const exported = await manager.execute({ action: 'export', model: 'App\\Models\\Order', filters })
+ *
+ * manager.on('completed', execution => console.log(execution.uuid, execution.status))
+ * await manager.cancel(archive.uuid)
+ */
+
+import { ActionEngineClient } from './ActionEngineClient.js'
+import { UndoExpiredError, toActionEngineError } from './errors.js'
+import { ExecutionTracker } from './ExecutionTracker.js'
+import { isComplete, isInProgress, isScheduled, isUndoable, toProgress } from './execution.js'
+import { dedupe, submissionKey } from './idempotency.js'
+import { Observable } from './Observable.js'
+import { ExecutionPersistence, shouldPersist } from './persistence.js'
+import { mergeBroadcast } from './realtime.js'
+
+export class ExecutionManager extends Observable {
+    /**
+     * @param {ActionEngineClient} [client]
+     * @param {Object} [options] Same as ExecutionStore (`echo`, `channelPrefix`, `pollInterval`,
+     *                           `polling`, `persist`, `persistKey`, `syncTabs`)
+     */
+    constructor(client = new ActionEngineClient(), options = {}) {
+        super({
+            executions: {},
+            loading: {},
+            errors: {},
+            isLoading: false,
+            error: null,
+            isRealtime: false,
+            connectionLost: false,
+        })
+
+        this.client = client
+        this.submissions = new Map()
+        this.tracker = new ExecutionTracker(client, options)
+        this.persistence = options.persist
+            ? new ExecutionPersistence(options.persist, options.persistKey)
+            : null
+
+        this.tracker.onUpdate((uuid, details, event) => {
+            // Skip executions removed while a request was in flight
+            if (details && this.get(uuid)) {
+                this.applyUpdate(uuid, details, event)
+            }
+        })
+        this.tracker.onRealtimeChange(isRealtime => this.setState({ isRealtime }))
+        this.tracker.onConnectionChange(connectionLost => this.setState({ connectionLost }))
+        this.tracker.onError((error) => {
+            this.setState({ error })
+            this.emit('error', error)
+        })
+        this.persistence?.onError(error => this.emit('error', error))
+    }
+
+    /**
+     * Get an execution by uuid
+     */
+    get(uuid) {
+        return this.state.executions[uuid] || null
+    }
+
+    /**
+     * Computed progress for an execution
+     */
+    progressOf(uuid) {
+        return toProgress(this.get(uuid))
+    }
+
+    /**
+     * Uuids of executions that are still running
+     */
+    get activeUuids() {
+        return Object.keys(this.state.executions)
+            .filter(uuid => isInProgress(this.state.executions[uuid]))
+    }
+
+    /**
+     * Execute a bulk action and track it alongside the others
+     *
+     * Calls with the same payload while one is in flight (a double click)
+     * share its request and its result.
+     *
+     * @param {Object} payload
+     * @param {Object} [options]
+     * @param {boolean} [options.poll] Set to false not to track the execution
+     * @param {string} [options.idempotencyKey] Key of the submission, see ActionEngineClient.execute()
+     */
+    execute(payload, options = {}) {
+        return dedupe(this.submissions, options.idempotencyKey || submissionKey(payload), () => this.submit(payload, options))
+    }
+
+    async submit(payload, options = {}) {
+        this.setState({ isLoading: true, error: null })
+
+        try {
+            const execution = await this.client.execute(payload, { idempotencyKey: options.idempotencyKey })
+
+            this.put(execution)
+
+            if (!payload.options?.dry_run && options.poll !== false) {
+                this.follow(execution)
+            }
+
+            // With the payload, for listeners that need the targeted ids
+            this.emit('submitted', { execution, payload })
+            this.emit('started', execution)
+
+            return execution
+        } catch (e) {
+            const error = toActionEngineError(e)
+            this.setState({ error })
+            this.emit('error', error)
+            throw error
+        } finally {
+            this.setState({ isLoading: false })
+        }
+    }
+
+    /**
+     * Start tracking an execution that was created elsewhere
+     */
+    async track(executionOrUuid) {
+        const execution = typeof executionOrUuid === 'string'
+            ? await this.client.show(executionOrUuid)
+            : executionOrUuid
+
+        this.put(execution)
+
+        if (isInProgress(execution) || isScheduled(execution)) {
+            this.follow(execution)
+        }
+
+        return execution
+    }
+
+    /**
+     * Reattach to every persisted execution that is still running or
+     * undoable, resuming progress tracking for the running ones
+     */
+    async restore() {
+        if (!this.persistence) return []
+
+        const uuids = await this.persistence.load()
+
+        const results = await Promise.allSettled(uuids.map(uuid => this.client.show(uuid)))
+        const restored = []
+
+        results.forEach((result, index) => {
+            const uuid = uuids[index]
+
+            if (result.status === 'rejected') {
+                // Keep the uuid on transient failures, drop it when it is gone
+                if (result.reason?.status === 404) {
+                    this.persistence.remove(uuid)
+                }
+                return
+            }
+
+            if (!shouldPersist(result.value)) {
+                this.persistence.remove(uuid)
+                return
+            }
+
+            if (!this.get(uuid)) {
+                this.put(result.value)
+
+                if (isInProgress(result.value) || isScheduled(result.value)) {
+                    this.follow(result.value)
+                }
+
+                restored.push(result.value)
+                this.emit('restored', result.value)
+            }
+        })
+
+        return restored
+    }
+
+    /**
+     * Refresh all active executions through the batch progress endpoint
+     */
+    async fetchProgress() {
+        await this.tracker.refresh(this.activeUuids)
+    }
+
+    /**
+     * Cancel an execution
+     */
+    async cancel(uuid) {
+        if (!this.get(uuid)) return
+
+        return this.runFor(uuid, async () => {
+            const execution = await this.client.cancel(uuid)
+
+            this.tracker.untrack(uuid)
+            this.put(execution)
+            this.emit('cancelled', execution)
+
+            return execution
+        })
+    }
+
+    /**
+     * Move a scheduled (or cancelled) execution to a new time, see
+     * ActionEngineClient.reschedule()
+     */
+    async reschedule(uuid, scheduledFor, timezone = null) {
+        if (!this.get(uuid)) return
+
+        return this.runFor(uuid, async () => {
+            const execution = await this.client.reschedule(uuid, scheduledFor, timezone)
+
+            this.tracker.untrack(uuid)
+            this.put(execution)
+            this.follow(execution)
+            this.emit('rescheduled', execution)
+
+            return execution
+        })
+    }
+
+    /**
+     * Run an action again on its failed records only, with the same
+     * parameters, and track the new execution alongside the others
+     *
+     * @param {string} uuid
+     * @param {Object} [payload] `{ type, options }`, see ActionEngineClient.retryFailed()
+     */
+    async retryFailed(uuid, payload = {}) {
+        return this.runFor(uuid, async () => {
+            const execution = await this.client.retryFailed(uuid, payload)
+
+            await this.track(execution)
+            this.emit('started', execution)
+
+            return execution
+        })
+    }
+
+    /**
+     * Undo an execution
+     */
+    async undo(uuid) {
+        if (!this.get(uuid)) return
+
+        return this.runFor(uuid, async () => {
+            if (!isUndoable(this.get(uuid))) {
+                throw new UndoExpiredError()
+            }
+
+            const result = await this.client.undo(uuid)
+
+            this.put(result.execution)
+            this.emit('undone', result)
+
+            return result
+        })
+    }
+
+    /**
+     * Stop tracking and forget an execution
+     */
+    remove(uuid) {
+        const { [uuid]: removed, ...executions } = this.state.executions
+        const { [uuid]: removedLoading, ...loading } = this.state.loading
+        const { [uuid]: removedError, ...errors } = this.state.errors
+
+        this.tracker.untrack(uuid)
+        this.setState({ executions, loading, errors })
+        this.persistence?.remove(uuid)
+    }
+
+    /**
+     * Forget all finished executions
+     */
+    clearFinished() {
+        Object.keys(this.state.executions)
+            .filter(uuid => isComplete(this.state.executions[uuid]))
+            .forEach(uuid => this.remove(uuid))
+    }
+
+    /**
+     * Stop tracking and forget every execution
+     */
+    reset() {
+        const uuids = Object.keys(this.state.executions)
+
+        this.tracker.untrackAll()
+        uuids.forEach(uuid => this.persistence?.remove(uuid))
+        this.setState({
+            executions: {},
+            loading: {},
+            errors: {},
+            isLoading: false,
+            error: null,
+        })
+    }
+
+    /**
+     * Release timers, channel subscriptions and tab locks held by the manager
+     */
+    destroy() {
+        this.tracker.destroy()
+    }
+
+    /**
+     * Store an execution in the map, keeping persisted uuids in sync
+     */
+    put(execution) {
+        this.setState({
+            executions: { ...this.state.executions, [execution.uuid]: execution },
+        })
+        this.persistence?.update(execution)
+    }
+
+    /**
+     * Merge progress details into an execution and handle completion
+     */
+    applyUpdate(uuid, details, event = null) {
+        const current = this.get(uuid)
+        const wasComplete = isComplete(current)
+        const execution = event
+            ? mergeBroadcast(current, event, details)
+            : { ...current, ...details }
+
+        this.put(execution)
+        this.emit('progress', execution)
+
+        if (!wasComplete && isComplete(execution)) {
+            this.tracker.untrack(uuid)
+            this.emit('completed', execution)
+        }
+    }
+
+    /**
+     * Track a running execution now, a scheduled one from its start time
+     */
+    follow(execution) {
+        if (isScheduled(execution)) {
+            this.tracker.trackAt(execution.uuid, execution.scheduled_for)
+        } else {
+            this.tracker.track(execution.uuid)
+        }
+    }
+
+    /**
+     * Run a per-uuid request, tracking its loading and error state
+     */
+    async runFor(uuid, callback) {
+        this.setState({
+            loading: { ...this.state.loading, [uuid]: true },
+            errors: { ...this.state.errors, [uuid]: null },
+        })
+
+        try {
+            return await callback()
+        } catch (e) {
+            const error = toActionEngineError(e)
+            this.setState({ errors: { ...this.state.errors, [uuid]: error } })
+            throw error
+        } finally {
+            this.setState({ loading: { ...this.state.loading, [uuid]: false } })
+        }
+    }
+
+    /**
+     * Start polling the active executions, `intervalMs` being the base interval
+     */
+    startPolling(intervalMs) {
+        this.activeUuids.forEach(uuid => this.tracker.track(uuid))
+        this.tracker.startPolling(intervalMs)
+    }
+
+    /**
+     * Stop polling, aborting the request in flight
+     */
+    stopPolling() {
+        this.tracker.stopPolling()
+    }
+}
+
+export default ExecutionManager
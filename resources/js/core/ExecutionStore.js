@@ -0,0 +1,452 @@
+/**
+ * Observable store for a single bulk action execution.
+ *
+ * Holds `{ execution, isLoading, error, isRealtime, connectionLost }`, runs
+ * the execute / cancel / undo / preview flow through an ActionEngineClient
+ * and tracks progress while the execution is running. Bindings subscribe to
+ * state changes and to lifecycle events (`submitted`, `started`,
+ * `restored`, `opened`, `progress`, `completed`, `cancelled`,
+ * `rescheduled`, `undone`, `error`).
+ * A scheduled execution is tracked once its start time arrives.
+ *
+ * Progress is received over Laravel Echo when an instance is given (or
+ * `window.Echo` exists); polling is only used while the socket is
+ * unavailable, and `connectionLost` turns true once polls keep failing.
+ * With `persist` set, the execution uuid survives page reloads and
+ * `restore()` reattaches to it.
+ *
+ * Usage:
+ * const store = new ExecutionStore(new ActionEngineClient(), { echo: window.Echo, persist: 'session' })
+ *
+ * store.subscribe(state => render(state))
+ * store.on('completed', execution => console.log(execution.status))
+ *
+ * await store.restore()
+ * await store.execute({ action: 'archive', model: 'App\\Models\\Post', filters: { ids } })
+ */
+
+import { ActionEngineClient } from './ActionEngineClient.js'
+import { UndoExpiredError, toActionEngineError } from './errors.js'
+import { ExecutionTracker } from './ExecutionTracker.js'
+import { isComplete, isInProgress, isScheduled, isUndoable, toProgress } from './execution.js'
+import { dedupe, submissionKey } from './idempotency.js'
+import { Observable } from './Observable.js'
+import { ExecutionPersistence, shouldPersist } from './persistence.js'
+import { mergeBroadcast } from './realtime.js'
+
+export class ExecutionStore extends Observable {
+    /**
+     * @param {ActionEngineClient} [client]
+     * @param {Object} [options]
+     * @param {Object|false} [options.echo] Laravel Echo instance, `false` to always poll
+     * @param {string} [options.channelPrefix] Matches `broadcasting.channel_prefix`
+     * @param {number} [options.pollInterval] Polling interval in ms
+     * @param {Object} [options.polling] Adaptive polling options, see ExecutionTracker
+     * @param {boolean|string|Object} [options.persist] `'session'`, `'local'` or a Storage-like object
+     * @param {string} [options.persistKey] Storage key for persisted uuids
+     * @param {boolean|string} [options.syncTabs] Let only one tab poll each execution
+     */
+    constructor(client = new ActionEngineClient(), options = {}) {
+        super({
+            execution: null,
+            isLoading: false,
+            error: null,
+            isRealtime: false,
+            connectionLost: false,
+        })
+
+        this.client = client
+        this.submissions = new Map()
+        this.tracker = new ExecutionTracker(client, options)
+        this.persistence = options.persist
+            ? new ExecutionPersistence(options.persist, options.persistKey)
+            : null
+
+        this.tracker.onUpdate((uuid, details, event) => this.applyUpdate(uuid, details, event))
+        this.tracker.onRealtimeChange(isRealtime => this.setState({ isRealtime }))
+        this.tracker.onConnectionChange(connectionLost => this.setState({ connectionLost }))
+        this.tracker.onError((error) => {
+            this.setState({ error })
+            this.emit('error', error)
+        })
+        this.persistence?.onError(error => this.emit('error', error))
+    }
+
+    get progress() {
+        return toProgress(this.state.execution)
+    }
+
+    get isInProgress() {
+        return isInProgress(this.state.execution)
+    }
+
+    get isComplete() {
+        return isComplete(this.state.execution)
+    }
+
+    /**
+     * Execute a bulk action
+     *
+     * Calls with the same payload while one is in flight (a double click)
+     * share its request and its result.
+     *
+     * @param {Object} payload
+     * @param {Object} [options]
+     * @param {boolean} [options.poll] Set to false not to track the execution
+     * @param {string} [options.idempotencyKey] Key of the submission, see ActionEngineClient.execute()
+     */
+    execute(payload, options = {}) {
+        return dedupe(this.submissions, options.idempotencyKey || submissionKey(payload), () => this.submit(payload, options))
+    }
+
+    async submit(payload, options = {}) {
+        this.setState({ isLoading: true, error: null })
+
+        try {
+            const execution = await this.client.execute(payload, { idempotencyKey: options.idempotencyKey })
+
+            this.setExecution(execution)
+
+            // Track progress if not a dry run
+            if (!payload.options?.dry_run && options.poll !== false) {
+                this.startTracking()
+            }
+
+            // With the payload, for listeners that need the targeted ids
+            this.emit('submitted', { execution, payload })
+            this.emit('started', execution)
+
+            return execution
+        } catch (e) {
+            const error = toActionEngineError(e)
+            this.setState({ error })
+            this.emit('error', error)
+            throw error
+        } finally {
+            this.setState({ isLoading: false })
+        }
+    }
+
+    /**
+     * Reattach to the most recent persisted execution, resuming progress
+     * tracking when it is still running
+     */
+    async restore() {
+        if (!this.persistence) return null
+
+        const uuids = (await this.persistence.load()).reverse()
+
+        for (const uuid of uuids) {
+            let execution
+
+            try {
+                execution = await this.client.show(uuid)
+            } catch (e) {
+                // Keep the uuid on transient failures, drop it when it is gone
+                if (e.status === 404) {
+                    this.persistence.remove(uuid)
+                }
+                continue
+            }
+
+            if (!shouldPersist(execution)) {
+                this.persistence.remove(uuid)
+                continue
+            }
+
+            // An execution started meanwhile wins over the restored one
+            if (this.state.execution) return null
+
+            this.attach(execution)
+            this.emit('restored', execution)
+
+            return execution
+        }
+
+        return null
+    }
+
+    /**
+     * Make an existing execution (e.g. a history row) the current one, so it
+     * can be tracked, cancelled or undone. A bare uuid is loaded first.
+     */
+    async open(executionOrUuid) {
+        const uuid = typeof executionOrUuid === 'string' ? executionOrUuid : executionOrUuid?.uuid
+        if (!uuid) return null
+
+        this.setState({ isLoading: true, error: null })
+
+        try {
+            const execution = typeof executionOrUuid === 'string'
+                ? await this.client.show(uuid)
+                : executionOrUuid
+
+            this.stopTracking()
+            this.attach(execution)
+            this.emit('opened', execution)
+
+            return execution
+        } catch (e) {
+            const error = toActionEngineError(e)
+            this.setState({ error })
+            this.emit('error', error)
+            throw error
+        } finally {
+            this.setState({ isLoading: false })
+        }
+    }
+
+    /**
+     * Get progress for current execution
+     */
+    async fetchProgress() {
+        const uuid = this.state.execution?.uuid
+        if (!uuid) return
+
+        await this.tracker.refresh([uuid])
+    }
+
+    /**
+     * Merge a progress update into the current execution
+     */
+    applyUpdate(uuid, details, event = null) {
+        const execution = this.state.execution
+
+        // Ignore updates for an execution that was replaced meanwhile
+        if (!details || execution?.uuid !== uuid) return
+
+        this.setExecution(event ? mergeBroadcast(execution, event, details) : { ...execution, ...details })
+        this.emit('progress', this.state.execution)
+
+        if (this.isComplete) {
+            this.stopTracking()
+            this.emit('completed', this.state.execution)
+        }
+    }
+
+    /**
+     * Track progress of the current execution, over Echo when available
+     * and by polling otherwise. A scheduled execution is tracked from its
+     * start time.
+     */
+    startTracking() {
+        const execution = this.state.execution
+
+        if (execution?.uuid && !this.tracker.has(execution.uuid)) {
+            this.stopTracking()
+
+            if (isScheduled(execution)) {
+                this.tracker.trackAt(execution.uuid, execution.scheduled_for)
+            } else {
+                this.tracker.track(execution.uuid)
+            }
+        }
+    }
+
+    /**
+     * Stop all progress tracking (socket and polling)
+     */
+    stopTracking() {
+        this.tracker.untrackAll()
+    }
+
+    /**
+     * Cancel the current action
+     */
+    async cancel() {
+        const uuid = this.state.execution?.uuid
+        if (!uuid) return
+
+        this.setState({ isLoading: true })
+
+        try {
+            const execution = await this.client.cancel(uuid)
+
+            this.stopTracking()
+            this.setExecution(execution)
+            this.emit('cancelled', execution)
+
+            return execution
+        } catch (e) {
+            const error = toActionEngineError(e)
+            this.setState({ error })
+            this.emit('error', error)
+            throw error
+        } finally {
+            this.setState({ isLoading: false })
+        }
+    }
+
+    /**
+     * Move the current scheduled (or cancelled) action to a new time, see
+     * ActionEngineClient.reschedule()
+     */
+    async reschedule(scheduledFor, timezone = null) {
+        const uuid = this.state.execution?.uuid
+        if (!uuid) return
+
+        this.setState({ isLoading: true, error: null })
+
+        try {
+            const execution = await this.client.reschedule(uuid, scheduledFor, timezone)
+
+            this.stopTracking()
+            this.attach(execution)
+            this.emit('rescheduled', execution)
+
+            return execution
+        } catch (e) {
+            const error = toActionEngineError(e)
+            this.setState({ error })
+            this.emit('error', error)
+            throw error
+        } finally {
+            this.setState({ isLoading: false })
+        }
+    }
+
+    /**
+     * Run the current action again on its failed records only, with the
+     * same parameters. The new execution becomes the current one.
+     *
+     * @param {Object} [payload] `{ type, options }`, see ActionEngineClient.retryFailed()
+     */
+    async retryFailed(payload = {}) {
+        const uuid = this.state.execution?.uuid
+        if (!uuid) return
+
+        this.setState({ isLoading: true, error: null })
+
+        try {
+            const execution = await this.client.retryFailed(uuid, payload)
+
+            this.stopTracking()
+            this.attach(execution)
+            this.emit('started', execution)
+
+            return execution
+        } catch (e) {
+            const error = toActionEngineError(e)
+            this.setState({ error })
+            this.emit('error', error)
+            throw error
+        } finally {
+            this.setState({ isLoading: false })
+        }
+    }
+
+    /**
+     * Undo the action
+     */
+    async undo() {
+        const execution = this.state.execution
+        if (!execution?.uuid) return
+
+        if (!isUndoable(execution)) {
+            const error = new UndoExpiredError()
+            this.setState({ error })
+            this.emit('error', error)
+            throw error
+        }
+
+        this.setState({ isLoading: true })
+
+        try {
+            const result = await this.client.undo(execution.uuid)
+
+            this.setExecution(result.execution)
+            this.emit('undone', result)
+
+            return result
+        } catch (e) {
+            const error = toActionEngineError(e)
+            this.setState({ error })
+            this.emit('error', error)
+            throw error
+        } finally {
+            this.setState({ isLoading: false })
+        }
+    }
+
+    /**
+     * Preview action (dry run)
+     */
+    async preview(payload) {
+        this.setState({ isLoading: true, error: null })
+
+        try {
+            return await this.client.preview(payload)
+        } catch (e) {
+            const error = toActionEngineError(e)
+            this.setState({ error })
+            throw error
+        } finally {
+            this.setState({ isLoading: false })
+        }
+    }
+
+    /**
+     * Start polling for progress, `intervalMs` being the base interval
+     */
+    startPolling(intervalMs) {
+        const uuid = this.state.execution?.uuid
+
+        if (uuid) {
+            this.tracker.track(uuid)
+        }
+        this.tracker.startPolling(intervalMs)
+    }
+
+    /**
+     * Stop polling, aborting the request in flight
+     */
+    stopPolling() {
+        this.tracker.stopPolling()
+    }
+
+    /**
+     * Reset state
+     */
+    reset() {
+        const uuid = this.state.execution?.uuid
+
+        this.stopTracking()
+        this.setState({
+            execution: null,
+            isLoading: false,
+            error: null,
+        })
+
+        if (uuid) {
+            this.persistence?.remove(uuid)
+        }
+    }
+
+    /**
+     * Release timers, channel subscriptions and tab locks held by the store
+     */
+    destroy() {
+        this.tracker.destroy()
+    }
+
+    /**
+     * Make an execution current, resuming tracking when it is still running
+     */
+    attach(execution) {
+        this.setExecution(execution)
+
+        if (isInProgress(execution) || isScheduled(execution)) {
+            this.startTracking()
+        }
+    }
+
+    /**
+     * Replace the current execution, keeping persisted uuids in sync
+     */
+    setExecution(execution) {
+        this.setState({ execution })
+        this.persistence?.update(execution)
+    }
+}
+
+export default ExecutionStore
@@ -0,0 +1,354 @@
+/**
+ * Progress transport shared by ExecutionStore and ExecutionManager.
+ *
+ * Tracks a set of execution uuids and reports every progress update through
+ * `onUpdate(handler)`. Updates come from Laravel Echo when a connected
+ * instance is available, and from polling otherwise: a single uuid is polled
+ * through `/{uuid}/progress`, several through the batch progress endpoint.
+ *
+ * Polling goes through a PollScheduler: one request in flight at a time,
+ * backoff on failures, slower polls in hidden tabs and an interval adapted
+ * to the size and pace of the tracked jobs. `onConnectionChange(handler)`
+ * reports the server becoming unreachable and reachable again, and
+ * `onError(handler)` a one-off `refresh()` that failed.
+ *
+ * Scheduled executions are held by `trackAt()` until their start time and
+ * tracked from then on.
+ *
+ * With `syncTabs` enabled only one open tab polls a given execution and
+ * shares what it receives with the other tabs over a BroadcastChannel.
+ */
+
+import {
+    DEFAULT_CHANNEL_PREFIX,
+    isEchoConnected,
+    onEchoConnectionChange,
+    resolveEcho,
+    subscribeToExecution,
+} from './realtime.js'
+import { toActionEngineError } from './errors.js'
+import { DEFAULT_TAB_CHANNEL, TabSync } from './TabSync.js'
+import { PollScheduler, adaptiveInterval } from './PollScheduler.js'
+
+// setTimeout overflows past ~24.8 days
+const MAX_TIMEOUT = 2 ** 31 - 1
+
+export class ExecutionTracker {
+    /**
+     * @param {ActionEngineClient} client
+     * @param {Object} [options]
+     * @param {Object|false} [options.echo] Laravel Echo instance, `false` to always poll
+     * @param {string} [options.channelPrefix] Matches `broadcasting.channel_prefix`
+     * @param {number} [options.pollInterval] Polling interval in ms
+     * @param {Object} [options.polling] PollScheduler options (`minInterval`, `maxInterval`, `hiddenInterval`,
+     *                                   `maxBackoff`, `maxFailures`, `jitter`), and `adaptive: false`
+     *                                   to keep polling at `pollInterval`
+     * @param {boolean|string} [options.syncTabs] Share polling between tabs (string: channel name)
+     */
+    constructor(client, options = {}) {
+        this.client = client
+        this.options = {
+            echo: options.echo,
+            channelPrefix: options.channelPrefix || DEFAULT_CHANNEL_PREFIX,
+            pollInterval: options.pollInterval || 2000,
+            adaptive: options.polling?.adaptive !== false,
+        }
+        this.uuids = new Set()
+        this.waiting = {}
+        this.channels = {}
+        this.connectionCleanup = null
+        this.samples = {}
+        this.isRealtime = false
+        this.updateHandlers = new Set()
+        this.realtimeHandlers = new Set()
+        this.errorHandlers = new Set()
+
+        this.scheduler = new PollScheduler(signal => this.poll(signal), {
+            ...options.polling,
+            interval: this.options.pollInterval,
+        })
+
+        this.tabs = options.syncTabs
+            ? new TabSync(typeof options.syncTabs === 'string' ? options.syncTabs : DEFAULT_TAB_CHANNEL)
+            : null
+
+        // Progress polled (or received) by another tab
+        this.tabs?.onMessage(({ uuid, details, event }) => {
+            if (this.uuids.has(uuid)) {
+                this.notify(uuid, details, event || null)
+            }
+        })
+    }
+
+    /**
+     * Listen for progress updates: `handler(uuid, details, event)`, where
+     * `event` is the broadcast name for Echo updates and null otherwise
+     */
+    onUpdate(handler) {
+        this.updateHandlers.add(handler)
+
+        return () => this.updateHandlers.delete(handler)
+    }
+
+    /**
+     * Listen for changes of the socket connection state
+     */
+    onRealtimeChange(handler) {
+        this.realtimeHandlers.add(handler)
+
+        return () => this.realtimeHandlers.delete(handler)
+    }
+
+    /**
+     * Listen for polling failing repeatedly (`true`) and recovering (`false`)
+     */
+    onConnectionChange(handler) {
+        return this.scheduler.onConnectionChange(handler)
+    }
+
+    /**
+     * Listen for `refresh()` failing: `handler(error)` with an ActionEngineError
+     */
+    onError(handler) {
+        this.errorHandlers.add(handler)
+
+        return () => this.errorHandlers.delete(handler)
+    }
+
+    get isConnectionLost() {
+        return this.scheduler.connectionLost
+    }
+
+    /**
+     * Start tracking an execution
+     */
+    track(uuid) {
+        if (!uuid || this.uuids.has(uuid)) return
+
+        this.uuids.add(uuid)
+        this.tabs?.claim(uuid, () => this.syncPolling())
+
+        const echo = resolveEcho(this.options.echo)
+
+        if (echo) {
+            this.channels[uuid] = subscribeToExecution(
+                echo,
+                uuid,
+                (event, payload) => this.receive(uuid, payload, event),
+                this.options.channelPrefix,
+            )
+
+            if (!this.connectionCleanup) {
+                this.connectionCleanup = onEchoConnectionChange(echo, (connected) => {
+                    this.setRealtime(connected)
+
+                    if (connected) {
+                        // Catch up on anything missed while disconnected, failures reach onError
+                        this.stopPolling()
+                        this.refresh().catch(() => {})
+                    } else {
+                        this.syncPolling()
+                    }
+                })
+            }
+
+            this.setRealtime(isEchoConnected(echo))
+        }
+
+        this.syncPolling()
+    }
+
+    /**
+     * Start tracking an execution once its scheduled time arrives (at once
+     * when it has passed)
+     */
+    trackAt(uuid, time) {
+        if (!uuid || this.has(uuid)) return
+
+        const delay = new Date(time).getTime() - Date.now()
+
+        if (!(delay > 0)) {
+            this.track(uuid)
+            return
+        }
+
+        this.waiting[uuid] = setTimeout(() => {
+            delete this.waiting[uuid]
+            this.trackAt(uuid, time)
+        }, Math.min(delay, MAX_TIMEOUT))
+    }
+
+    /**
+     * Stop tracking an execution
+     */
+    untrack(uuid) {
+        if (uuid in this.waiting) {
+            clearTimeout(this.waiting[uuid])
+            delete this.waiting[uuid]
+            return
+        }
+
+        if (!this.uuids.has(uuid)) return
+
+        this.uuids.delete(uuid)
+        this.channels[uuid]?.()
+        delete this.channels[uuid]
+        delete this.samples[uuid]
+        this.tabs?.release(uuid)
+
+        if (this.uuids.size === 0) {
+            this.connectionCleanup?.()
+            this.connectionCleanup = null
+            this.setRealtime(false)
+        }
+
+        this.syncPolling()
+    }
+
+    /**
+     * Stop tracking every execution
+     */
+    untrackAll() {
+        [...Object.keys(this.waiting), ...this.uuids].forEach(uuid => this.untrack(uuid))
+        this.stopPolling()
+    }
+
+    /**
+     * Check whether an execution is tracked, or waiting for its start time
+     */
+    has(uuid) {
+        return this.uuids.has(uuid) || uuid in this.waiting
+    }
+
+    /**
+     * Tracked uuids this tab is responsible for polling
+     */
+    get pollableUuids() {
+        return [...this.uuids].filter(uuid => !this.tabs || this.tabs.owns(uuid))
+    }
+
+    /**
+     * Fetch progress once for the given (by default: pollable) uuids,
+     * rejecting with an ActionEngineError that is also sent to `onError`
+     */
+    async refresh(uuids = this.pollableUuids) {
+        try {
+            await this.fetch(uuids)
+        } catch (e) {
+            const error = toActionEngineError(e)
+            this.errorHandlers.forEach(handler => handler(error))
+            throw error
+        }
+    }
+
+    /**
+     * Fetch and dispatch progress for the given uuids, resolving to the
+     * details keyed by uuid
+     */
+    async fetch(uuids, signal) {
+        if (uuids.length === 0) return {}
+
+        let progress = {}
+
+        if (uuids.length === 1) {
+            const details = await this.client.progress(uuids[0], { signal })
+
+            if (details) {
+                progress = { [uuids[0]]: details }
+            }
+        } else {
+            progress = await this.client.batchProgress(uuids, { signal })
+        }
+
+        // Stopped while the request was in flight
+        if (signal?.aborted) return {}
+
+        Object.entries(progress).forEach(([uuid, details]) => this.receive(uuid, details))
+
+        return progress
+    }
+
+    /**
+     * One scheduled poll, resolving to the delay before the next one: the
+     * shortest adapted to any of the polled executions
+     */
+    async poll(signal) {
+        const progress = await this.fetch(this.pollableUuids, signal)
+
+        if (!this.options.adaptive) return
+
+        const now = Date.now()
+
+        const delays = Object.entries(progress).map(([uuid, details]) => {
+            const sample = {
+                processed_records: details.processed_records ?? 0,
+                total_records: details.total_records ?? 0,
+                at: now,
+            }
+            const delay = adaptiveInterval(this.samples[uuid], sample, this.scheduler.delay, this.scheduler.options)
+
+            this.samples[uuid] = sample
+
+            return delay
+        })
+
+        return delays.length ? Math.min(...delays) : undefined
+    }
+
+    /**
+     * Handle an update received by this tab and share it with the others
+     */
+    receive(uuid, details, event = null) {
+        this.tabs?.publish({ uuid, details, event })
+        this.notify(uuid, details, event)
+    }
+
+    notify(uuid, details, event) {
+        this.updateHandlers.forEach(handler => handler(uuid, details, event))
+    }
+
+    setRealtime(isRealtime) {
+        if (this.isRealtime === isRealtime) return
+
+        this.isRealtime = isRealtime
+        this.realtimeHandlers.forEach(handler => handler(isRealtime))
+    }
+
+    /**
+     * Poll only while this tab owns a tracked execution and the socket is not live
+     */
+    syncPolling() {
+        const needsPolling = this.pollableUuids.length > 0 && !this.isRealtime
+
+        if (needsPolling && !this.scheduler.isRunning) {
+            this.startPolling()
+        } else if (!needsPolling) {
+            this.stopPolling()
+        }
+    }
+
+    /**
+     * Start polling for progress, `intervalMs` being the base interval
+     */
+    startPolling(intervalMs = this.options.pollInterval) {
+        this.samples = {}
+        this.scheduler.start(intervalMs)
+    }
+
+    /**
+     * Stop polling, aborting the request in flight
+     */
+    stopPolling() {
+        this.scheduler.stop()
+    }
+
+    /**
+     * Release timers, channel subscriptions and tab locks
+     */
+    destroy() {
+        this.untrackAll()
+        this.tabs?.close()
+    }
+}
+
+export default ExecutionTracker
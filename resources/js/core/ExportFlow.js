@@ -0,0 +1,266 @@
+/**
+ * Export flow: pick a format, run the export and download its file.
+ *
+ * `start(payload)` runs an `export` bulk action through the target store or
+ * manager. Once it completes, the flow downloads the file it wrote
+ * (`GET /{uuid}/download`) with byte progress. `stream(payload)` skips the
+ * bulk action and streams the records straight to a file (`POST
+ * /exports/stream`), which the server allows for up to
+ * `export.sync_max_records` records. Downloaded files are saved by the
+ * browser unless `save` is false.
+ *
+ *   idle → exporting → downloading → done
+ *
+ * State is `{ formats, format, step, execution, progress, file, isLoading,
+ * error }`, where `progress` is the download's `{ loaded, total, percentage }`
+ * (`total` is unknown for streamed exports). Events are `formats`,
+ * `exported`, `downloaded` and `error`.
+ *
+ * Usage:
+ * const flow = new ExportFlow(store)
+ *
+ * await flow.loadFormats()
+ * flow.setFormat('xlsx')
+ *
+ * const file = await flow.start({ model: 'App\\Models\\User', filters, parameters: { columns: ['name', 'email'] } })
+ * // or, for a small selection
+ * const file = await flow.stream({ model: 'App\\Models\\User', filters })
+ */
+
+import { saveFile } from './download.js'
+import { ActionEngineError, toActionEngineError } from './errors.js'
+import { isComplete } from './execution.js'
+import { Observable } from './Observable.js'
+
+export const EXPORT_STEPS = ['idle', 'exporting', 'downloading', 'done']
+
+/**
+ * Whether an execution wrote an export file
+ */
+export function hasExportFile(execution) {
+    return Boolean(execution?.export)
+}
+
+export class ExportFlow extends Observable {
+    /**
+     * @param {Object} target ExecutionStore or ExecutionManager running the export
+     * @param {Object} [options]
+     * @param {string} [options.format] Initial format (default: the first enabled one)
+     * @param {boolean} [options.save] Save downloaded files in the browser (default true)
+     */
+    constructor(target, options = {}) {
+        super({
+            formats: [],
+            format: options.format || null,
+            step: 'idle',
+            execution: null,
+            progress: null,
+            file: null,
+            isLoading: false,
+            error: null,
+        })
+
+        this.target = target
+        this.client = target.client
+        this.save = options.save !== false
+        this.controller = null
+        this.pending = null
+        this.unsubscribe = target.on('completed', execution => this.settle(execution))
+    }
+
+    /**
+     * Load the enabled export formats
+     */
+    async loadFormats() {
+        try {
+            const formats = await this.client.exportFormats()
+            const known = formats.some(item => item.format === this.state.format)
+
+            this.setState({
+                formats,
+                format: known ? this.state.format : (formats[0]?.format || null),
+            })
+            this.emit('formats', formats)
+
+            return formats
+        } catch (e) {
+            const error = toActionEngineError(e)
+            this.setState({ error })
+            this.emit('error', error)
+            throw error
+        }
+    }
+
+    setFormat(format) {
+        this.setState({ format })
+    }
+
+    /**
+     * Run the export as a bulk action and download its file once it has
+     * completed, resolving to `{ blob, filename, contentType, size }`
+     */
+    async start(payload, executeOptions = undefined) {
+        this.abort()
+        this.setState({ step: 'exporting', execution: null, progress: null, file: null, isLoading: true, error: null })
+
+        let execution
+
+        try {
+            execution = await this.target.execute({ ...this.withFormat(payload), action: 'export' }, executeOptions)
+        } catch (e) {
+            return this.fail(e)
+        }
+
+        this.setState({ execution })
+
+        // Queued exports finish later, synchronous ones already have
+        if (!isComplete(execution)) {
+            execution = await new Promise((resolve) => {
+                this.pending = { uuid: execution.uuid, resolve }
+            })
+
+            if (!execution) return null
+        }
+
+        return this.finish(execution)
+    }
+
+    /**
+     * Download the file of a completed export (an execution or a uuid)
+     */
+    async download(executionOrUuid) {
+        const uuid = typeof executionOrUuid === 'string' ? executionOrUuid : executionOrUuid?.uuid
+        if (!uuid) return null
+
+        const filename = typeof executionOrUuid === 'string' ? undefined : executionOrUuid.export?.filename
+
+        return this.fetchFile(signal => this.client.download(uuid, {
+            filename,
+            signal,
+            onProgress: progress => this.setState({ progress }),
+        }))
+    }
+
+    /**
+     * Stream the matching records straight to a file, without a bulk action
+     */
+    async stream(payload) {
+        this.abort()
+        this.setState({ execution: null })
+
+        return this.fetchFile(signal => this.client.streamExport(this.withFormat(payload), {
+            signal,
+            onProgress: progress => this.setState({ progress }),
+        }))
+    }
+
+    /**
+     * Stop waiting for the export and abort its download
+     */
+    abort() {
+        this.controller?.abort()
+        this.controller = null
+
+        this.pending?.resolve(null)
+        this.pending = null
+
+        if (this.state.isLoading) {
+            this.setState({ step: 'idle', isLoading: false })
+        }
+    }
+
+    /**
+     * Save a downloaded file again
+     */
+    saveFile(file = this.state.file) {
+        if (file) {
+            saveFile(file)
+        }
+    }
+
+    reset() {
+        this.abort()
+        this.setState({ step: 'idle', execution: null, progress: null, file: null, error: null })
+    }
+
+    destroy() {
+        this.abort()
+        this.unsubscribe()
+    }
+
+    /**
+     * Resume a start() waiting for this execution to complete
+     */
+    settle(execution) {
+        if (this.pending && execution?.uuid === this.pending.uuid) {
+            const { resolve } = this.pending
+            this.pending = null
+            resolve(execution)
+        }
+    }
+
+    async finish(execution) {
+        this.setState({ execution })
+
+        // Partially completed exports still wrote the records that succeeded
+        if (['failed', 'cancelled'].includes(execution.status)) {
+            return this.fail(new ActionEngineError(
+                execution.error_details?.message || `The export ${execution.status === 'cancelled' ? 'was cancelled' : 'failed'}`,
+                { data: execution }
+            ))
+        }
+
+        this.emit('exported', execution)
+
+        return this.download(execution)
+    }
+
+    /**
+     * Run a download, tracking its progress and saving the file
+     */
+    async fetchFile(callback) {
+        const controller = new AbortController()
+        this.controller = controller
+
+        this.setState({ step: 'downloading', progress: null, file: null, isLoading: true, error: null })
+
+        try {
+            const file = await callback(controller.signal)
+
+            if (this.save) {
+                saveFile(file)
+            }
+
+            this.setState({ step: 'done', file })
+            this.emit('downloaded', file)
+
+            return file
+        } catch (e) {
+            // abort() already reset the state
+            if (e?.name === 'AbortError') return null
+
+            return this.fail(e)
+        } finally {
+            if (this.controller === controller) {
+                this.controller = null
+                this.setState({ isLoading: false })
+            }
+        }
+    }
+
+    fail(e) {
+        const error = toActionEngineError(e)
+        this.setState({ step: 'idle', isLoading: false, error })
+        this.emit('error', error)
+        throw error
+    }
+
+    withFormat(payload) {
+        return {
+            ...payload,
+            parameters: { format: this.state.format || undefined, ...payload.parameters },
+        }
+    }
+}
+
+export default ExportFlow
@@ -0,0 +1,220 @@
+/**
+ * Observable, paginated report of the records an execution failed on.
+ *
+ * Wraps `GET /api/bulk-actions/{uuid}/failures`: each item is `{ id, type,
+ * message, batch_number }`, where `type` is the short class name of the
+ * exception the record failed with, and `groups` counts the failures per
+ * type (`{ type, count, message }`, most frequent first). `setType()`
+ * narrows the list to one type. `retryFailed()` runs the action again on
+ * the failed records only (of the selected type, if any) and hands the new
+ * execution to the stores given to `handOffTo()`.
+ *
+ * State is `{ uuid, items, groups, meta, type, page, perPage, isLoading,
+ * isRetrying, error }`; events are `loaded`, `retried` and `error`.
+ *
+ * Usage:
+ * const report = new FailureReport(new ActionEngineClient(), { perPage: 25 })
+ *
+ * report.handOffTo(manager)
+ * report.subscribe(({ items, groups }) => render(items, groups))
+ *
+ * await report.open(execution)
+ * await report.setType('QueryException')
+ * await report.retryFailed()
+ */
+
+import { ActionEngineClient } from './ActionEngineClient.js'
+import { toActionEngineError } from './errors.js'
+import { Observable } from './Observable.js'
+
+export class FailureReport extends Observable {
+    /**
+     * @param {ActionEngineClient} [client]
+     * @param {Object} [options]
+     * @param {number} [options.perPage] Page size (defaults to the server's 50)
+     * @param {string} [options.type] Only list failures of this error type
+     */
+    constructor(client = new ActionEngineClient(), options = {}) {
+        super({
+            uuid: null,
+            items: [],
+            groups: [],
+            meta: null,
+            type: options.type || null,
+            page: 1,
+            perPage: options.perPage || null,
+            isLoading: false,
+            isRetrying: false,
+            error: null,
+        })
+
+        this.client = client
+        this.targets = new Set()
+        this.requestId = 0
+    }
+
+    get hasNextPage() {
+        const meta = this.state.meta
+
+        return Boolean(meta) && meta.current_page < meta.last_page
+    }
+
+    get hasPreviousPage() {
+        return this.state.page > 1
+    }
+
+    /**
+     * Number of failed records, across every type
+     */
+    get total() {
+        return this.state.groups.reduce((sum, group) => sum + group.count, 0)
+    }
+
+    /**
+     * Show the failures of an execution (or uuid), from the first page
+     */
+    open(executionOrUuid) {
+        const uuid = typeof executionOrUuid === 'string' ? executionOrUuid : executionOrUuid?.uuid
+
+        this.requestId++
+        this.setState({ uuid: uuid || null, items: [], groups: [], meta: null, page: 1, error: null })
+
+        return uuid ? this.load(1) : Promise.resolve()
+    }
+
+    /**
+     * Load a page of failures (the current one by default)
+     */
+    async load(page = this.state.page) {
+        const { uuid, type, perPage } = this.state
+        if (!uuid) return
+
+        // Only the latest request may update the state
+        const requestId = ++this.requestId
+
+        this.setState({ page, isLoading: true, error: null })
+
+        try {
+            const { data, groups, meta } = await this.client.failures(uuid, { type, page, per_page: perPage })
+
+            if (requestId !== this.requestId) return
+
+            this.setState({
+                items: data,
+                groups,
+                meta,
+                page: meta?.current_page ?? page,
+            })
+            this.emit('loaded', data)
+
+            return data
+        } catch (e) {
+            if (requestId !== this.requestId) return
+
+            const error = toActionEngineError(e)
+
+            this.setState({ error })
+            this.emit('error', error)
+        } finally {
+            if (requestId === this.requestId) {
+                this.setState({ isLoading: false })
+            }
+        }
+    }
+
+    refresh() {
+        return this.load()
+    }
+
+    goToPage(page) {
+        const lastPage = this.state.meta?.last_page ?? page
+
+        return this.load(Math.max(1, Math.min(page, lastPage)))
+    }
+
+    nextPage() {
+        return this.hasNextPage ? this.load(this.state.page + 1) : Promise.resolve()
+    }
+
+    previousPage() {
+        return this.hasPreviousPage ? this.load(this.state.page - 1) : Promise.resolve()
+    }
+
+    /**
+     * Only list failures of one error type (null for all), from the first page
+     */
+    setType(type) {
+        this.setState({ type: type || null })
+
+        return this.load(1)
+    }
+
+    setPerPage(perPage) {
+        this.setState({ perPage })
+
+        return this.load(1)
+    }
+
+    /**
+     * Run the action again on the failed records (of the selected type),
+     * with the same parameters, resolving to the new execution
+     *
+     * @param {Object} [options] `{ sync, with_undo, undo_expiry_days }`
+     */
+    async retryFailed(options = undefined) {
+        const { uuid, type } = this.state
+        if (!uuid) return
+
+        this.setState({ isRetrying: true, error: null })
+
+        try {
+            const execution = await this.client.retryFailed(uuid, { type, options })
+
+            this.emit('retried', execution)
+
+            this.targets.forEach((target) => {
+                const handOff = target.track ? target.track(execution) : target.open(execution)
+
+                // The target keeps the error in its own state
+                handOff?.catch?.(() => {})
+            })
+
+            return execution
+        } catch (e) {
+            const error = toActionEngineError(e)
+            this.setState({ error })
+            this.emit('error', error)
+            throw error
+        } finally {
+            this.setState({ isRetrying: false })
+        }
+    }
+
+    /**
+     * Hand retries to an ExecutionManager (tracked alongside its others) or
+     * an ExecutionStore (opened as its current execution), returning a
+     * function that stops doing so. Also accepts useBulkAction(s) results.
+     */
+    handOffTo(target) {
+        const store = target.store || target.manager || target
+
+        this.targets.add(store)
+
+        return () => this.targets.delete(store)
+    }
+
+    /**
+     * Drop the loaded page and any in-flight request
+     */
+    reset() {
+        this.requestId++
+        this.setState({ uuid: null, items: [], groups: [], meta: null, page: 1, isLoading: false, error: null })
+    }
+
+    destroy() {
+        this.reset()
+        this.targets.clear()
+    }
+}
+
+export default FailureReport
@@ -0,0 +1,183 @@
+/**
+ * Observable data behind the monitoring widgets.
+ *
+ * Loads the `/api/bulk-actions/monitoring/*` endpoints of the dashboard's
+ * `panels` together: `overview`, `metrics`, `health`, `actions` (the
+ * per-action breakdown), `trends` (one row per day with its throughput and
+ * failure rate) and, when asked for, `users`. The overview, breakdown,
+ * users and trends cover the date range set with `setRange()`. `start()`
+ * refreshes every `refreshInterval` ms until `stop()`, backing off while
+ * the server does not answer.
+ *
+ * State is `{ range, overview, metrics, health, actions, users, trends,
+ * lastUpdated, isLoading, isAutoRefreshing, connectionLost, error }`;
+ * events are `loaded`, `health` (the health status changed) and `error`.
+ *
+ * Usage:
+ * const dashboard = new MonitoringDashboard(new ActionEngineClient(), { refreshInterval: 60000 })
+ *
+ * dashboard.subscribe(({ health, actions }) => render(health, actions))
+ * dashboard.on('health', ({ status }) => notify(status))
+ *
+ * dashboard.start()
+ * await dashboard.setRange({ from: '2026-03-01', to: '2026-03-31' })
+ */
+
+import { ActionEngineClient } from './ActionEngineClient.js'
+import { toActionEngineError } from './errors.js'
+import { DEFAULT_MONITORING_PANELS, toDateRange, trendSeries } from './monitoring.js'
+import { Observable } from './Observable.js'
+import { PollScheduler } from './PollScheduler.js'
+
+export class MonitoringDashboard extends Observable {
+    /**
+     * @param {ActionEngineClient} [client]
+     * @param {Object} [options]
+     * @param {Object|number} [options.range] `{ from, to }`, `{ days }` or a number of days (defaults to 7)
+     * @param {string[]} [options.panels] Endpoints to load, see MONITORING_PANELS
+     * @param {number} [options.refreshInterval] Auto-refresh interval in ms
+     * @param {number} [options.userLimit] Number of users in `users`
+     * @param {Object} [options.polling] PollScheduler options (`hiddenInterval`, `maxBackoff`, `maxFailures`, `jitter`)
+     */
+    constructor(client = new ActionEngineClient(), options = {}) {
+        super({
+            range: toDateRange(options.range),
+            overview: null,
+            metrics: null,
+            health: null,
+            actions: [],
+            users: [],
+            trends: [],
+            lastUpdated: null,
+            isLoading: false,
+            isAutoRefreshing: false,
+            connectionLost: false,
+            error: null,
+        })
+
+        this.client = client
+        this.panels = options.panels || DEFAULT_MONITORING_PANELS
+        this.userLimit = options.userLimit || null
+        this.requestId = 0
+        this.scheduler = new PollScheduler(signal => this.poll(signal), {
+            ...options.polling,
+            interval: options.refreshInterval || 30000,
+        })
+        this.scheduler.onConnectionChange(connectionLost => this.setState({ connectionLost }))
+    }
+
+    /**
+     * One `{ date, value }` per day of the trends, see TREND_METRICS
+     */
+    series(metric = 'throughput') {
+        return trendSeries(this.state.trends, metric)
+    }
+
+    /**
+     * Load every panel now
+     */
+    async refresh() {
+        // Only the latest request may update the state
+        const requestId = ++this.requestId
+
+        this.setState({ isLoading: true, error: null })
+
+        try {
+            const data = await this.fetch()
+
+            if (requestId !== this.requestId) return
+
+            this.apply(data)
+
+            return data
+        } catch (e) {
+            if (requestId !== this.requestId) return
+
+            const error = toActionEngineError(e)
+
+            this.setState({ error })
+            this.emit('error', error)
+        } finally {
+            if (requestId === this.requestId) {
+                this.setState({ isLoading: false })
+            }
+        }
+    }
+
+    /**
+     * Cover another date range, and reload
+     *
+     * @param {Object|number} range `{ from, to }`, `{ days }` or a number of days
+     */
+    setRange(range) {
+        this.setState({ range: toDateRange(range) })
+
+        return this.refresh()
+    }
+
+    /**
+     * Load now, then refresh every `interval` ms
+     */
+    start(interval = undefined) {
+        this.scheduler.start(interval)
+        this.setState({ isAutoRefreshing: true })
+
+        return this.refresh()
+    }
+
+    /**
+     * Stop refreshing, aborting the refresh in flight
+     */
+    stop() {
+        this.scheduler.stop()
+        this.setState({ isAutoRefreshing: false })
+    }
+
+    destroy() {
+        this.requestId++
+        this.stop()
+    }
+
+    async poll(signal) {
+        const requestId = this.requestId
+        const data = await this.fetch(signal)
+
+        if (!signal.aborted && requestId === this.requestId) {
+            this.apply(data)
+        }
+    }
+
+    /**
+     * Load the panels, resolving to their data keyed by panel
+     */
+    async fetch(signal = undefined) {
+        const { from, to, days } = this.state.range
+        const query = { from, to, days }
+
+        const loaders = {
+            overview: () => this.client.monitoringOverview(query, { signal }),
+            metrics: () => this.client.monitoringMetrics({ signal }),
+            health: () => this.client.monitoringHealth({ signal }),
+            actions: () => this.client.monitoringActions(query, { signal }),
+            users: () => this.client.monitoringUsers({ ...query, limit: this.userLimit }, { signal }),
+            trends: () => this.client.monitoringTrends(query, { signal }),
+        }
+
+        const results = await Promise.all(this.panels.map(panel => loaders[panel]()))
+
+        return Object.fromEntries(this.panels.map((panel, index) => [panel, results[index]]))
+    }
+
+    apply(data) {
+        const previous = this.state.health
+
+        this.setState({ ...data, lastUpdated: Date.now(), error: null })
+        this.emit('loaded', data)
+
+        if (data.health && previous && previous.status !== data.health.status) {
+            this.emit('health', data.health)
+        }
+    }
+}
+
+export default MonitoringDashboard
@@ -0,0 +1,63 @@
+/**
+ * Minimal observable state container used by the core stores.
+ *
+ * Provides `subscribe()` / `getState()` (compatible with React's
+ * useSyncExternalStore) for state snapshots, and `on()` / `emit()` for
+ * lifecycle events.
+ */
+
+export class Observable {
+    constructor(initialState = {}) {
+        this.state = initialState
+        this.listeners = new Set()
+        this.eventHandlers = {}
+
+        this.subscribe = this.subscribe.bind(this)
+        this.getState = this.getState.bind(this)
+    }
+
+    /**
+     * Get the current state snapshot
+     */
+    getState() {
+        return this.state
+    }
+
+    /**
+     * Listen for state changes, returning an unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener)
+
+        return () => this.listeners.delete(listener)
+    }
+
+    /**
+     * Merge a partial state and notify listeners
+     */
+    setState(partial) {
+        this.state = { ...this.state, ...partial }
+        this.listeners.forEach(listener => listener(this.state))
+    }
+
+    /**
+     * Listen for a lifecycle event, returning an unsubscribe function
+     */
+    on(event, handler) {
+        if (!this.eventHandlers[event]) {
+            this.eventHandlers[event] = new Set()
+        }
+        this.eventHandlers[event].add(handler)
+
+        return () => this.eventHandlers[event].delete(handler)
+    }
+
+    /**
+     * Notify lifecycle event handlers
+     */
+    emit(event, payload) {
+        this.eventHandlers[event]?.forEach(handler => handler(payload))
+    }
+}
+
+export default Observable
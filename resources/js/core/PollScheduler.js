@@ -0,0 +1,230 @@
+/**
+ * Polling loop behind ExecutionTracker.
+ *
+ * Runs one request at a time: the next poll is scheduled once the previous
+ * one settles, and stop() aborts the request in flight through its
+ * AbortSignal. Failures back off exponentially, with jitter, up to
+ * `maxBackoff`; after `maxFailures` consecutive failures the connection is
+ * reported lost, and restored by the next success. While the page is hidden
+ * polls are spaced by at least `hiddenInterval`; the page becoming visible
+ * again (or the browser coming back online) polls at once.
+ *
+ * The task may resolve to the delay before the next poll, see
+ * adaptiveInterval(); the base `interval` is kept otherwise.
+ *
+ * Usage:
+ * const scheduler = new PollScheduler(signal => client.progress(uuid, { signal }), { interval: 2000 })
+ *
+ * scheduler.onConnectionChange(connectionLost => render(connectionLost))
+ * scheduler.start()
+ */
+
+export const DEFAULT_POLL_OPTIONS = {
+    interval: 2000,
+    minInterval: 1000,
+    maxInterval: 15000,
+    hiddenInterval: 30000,
+    maxBackoff: 60000,
+    maxFailures: 3,
+    jitter: 0.25,
+}
+
+/**
+ * Delay before retrying after `failures` consecutive failures: the interval
+ * doubled per failure and spread by ± `jitter` so clients failing together
+ * do not retry together, capped at `maxBackoff`
+ */
+export function backoffDelay(failures, options = {}, random = Math.random) {
+    const { interval, maxBackoff, jitter } = { ...DEFAULT_POLL_OPTIONS, ...options }
+    const delay = interval * 2 ** failures * (1 + jitter * (random() * 2 - 1))
+
+    return Math.round(Math.min(maxBackoff, delay))
+}
+
+/**
+ * Delay before the next poll of a running execution, from two successive
+ * progress samples (`{ processed_records, total_records, at }`).
+ *
+ * Without a previous sample the delay grows with the job size. Otherwise it
+ * is a tenth of the time left at the observed rate, so short jobs are
+ * followed closely and long ones are not hammered, and it grows by half
+ * while nothing moves. Always within `minInterval` and `maxInterval`.
+ */
+export function adaptiveInterval(previous, current, lastDelay, options = {}) {
+    const { interval, minInterval, maxInterval } = { ...DEFAULT_POLL_OPTIONS, ...options }
+    const clamp = delay => Math.round(Math.min(maxInterval, Math.max(Math.min(minInterval, interval), delay)))
+
+    if (!previous) {
+        return clamp(interval * Math.max(1, Math.log10((current.total_records || 0) / 100)))
+    }
+
+    const processed = current.processed_records - previous.processed_records
+    const elapsed = current.at - previous.at
+
+    if (processed <= 0 || elapsed <= 0) {
+        return clamp((lastDelay || interval) * 1.5)
+    }
+
+    const remaining = Math.max(0, current.total_records - current.processed_records)
+
+    return clamp((remaining * elapsed / processed) / 10)
+}
+
+export class PollScheduler {
+    /**
+     * @param {function(AbortSignal): Promise<number|void>} task One poll, optionally resolving to the next delay
+     * @param {Object} [options]
+     * @param {number} [options.interval] Base delay between polls in ms
+     * @param {number} [options.minInterval] Shortest adaptive delay
+     * @param {number} [options.maxInterval] Longest adaptive delay
+     * @param {number} [options.hiddenInterval] Shortest delay while the page is hidden
+     * @param {number} [options.maxBackoff] Longest delay after failures
+     * @param {number} [options.maxFailures] Consecutive failures before the connection counts as lost
+     * @param {number} [options.jitter] Random spread of the backoff delay, as a fraction
+     */
+    constructor(task, options = {}) {
+        this.task = task
+        this.options = { ...DEFAULT_POLL_OPTIONS }
+
+        Object.entries(options).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) this.options[key] = value
+        })
+
+        this.delay = this.options.interval
+        this.timer = null
+        this.controller = null
+        this.isRunning = false
+        this.failures = 0
+        this.connectionLost = false
+        this.connectionHandlers = new Set()
+        this.listenersCleanup = null
+    }
+
+    /**
+     * Listen for the connection being lost or restored:
+     * `handler(connectionLost, error)`
+     */
+    onConnectionChange(handler) {
+        this.connectionHandlers.add(handler)
+
+        return () => this.connectionHandlers.delete(handler)
+    }
+
+    /**
+     * Start polling, the first poll after one interval
+     */
+    start(interval = this.options.interval) {
+        this.stop()
+
+        this.options.interval = interval
+        this.delay = interval
+        this.isRunning = true
+        this.listen()
+        this.schedule(this.delay)
+    }
+
+    /**
+     * Stop polling and abort the request in flight
+     */
+    stop() {
+        this.isRunning = false
+
+        clearTimeout(this.timer)
+        this.timer = null
+
+        this.controller?.abort()
+        this.controller = null
+
+        this.listenersCleanup?.()
+        this.listenersCleanup = null
+
+        this.failures = 0
+        this.setConnectionLost(false)
+    }
+
+    /**
+     * Poll now (unless a request is already in flight), then carry on
+     */
+    async poll() {
+        if (!this.isRunning || this.controller) return
+
+        clearTimeout(this.timer)
+        this.timer = null
+
+        const controller = new AbortController()
+        this.controller = controller
+
+        let delay
+
+        try {
+            const next = await this.task(controller.signal)
+
+            if (controller.signal.aborted) return
+
+            if (typeof next === 'number') {
+                this.delay = next
+            }
+
+            delay = this.delay
+            this.failures = 0
+            this.setConnectionLost(false)
+        } catch (e) {
+            if (controller.signal.aborted) return
+
+            this.failures++
+            delay = backoffDelay(this.failures, this.options)
+
+            if (this.failures >= this.options.maxFailures) {
+                this.setConnectionLost(true, e)
+            }
+        } finally {
+            if (this.controller === controller) {
+                this.controller = null
+            }
+        }
+
+        this.schedule(delay)
+    }
+
+    schedule(delay) {
+        if (!this.isRunning) return
+
+        const hidden = typeof document !== 'undefined' && document.hidden
+
+        this.timer = setTimeout(() => this.poll(), hidden ? Math.max(delay, this.options.hiddenInterval) : delay)
+    }
+
+    /**
+     * Poll right away when the page is shown again or the browser is back online
+     */
+    listen() {
+        const resume = () => {
+            if (typeof document === 'undefined' || !document.hidden) {
+                this.poll()
+            }
+        }
+
+        const cleanups = []
+
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', resume)
+            cleanups.push(() => document.removeEventListener('visibilitychange', resume))
+        }
+
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('online', resume)
+            cleanups.push(() => window.removeEventListener('online', resume))
+        }
+
+        this.listenersCleanup = () => cleanups.forEach(cleanup => cleanup())
+    }
+
+    setConnectionLost(connectionLost, error = null) {
+        if (this.connectionLost === connectionLost) return
+
+        this.connectionLost = connectionLost
+        this.connectionHandlers.forEach(handler => handler(connectionLost, error))
+    }
+}
+
+export default PollScheduler
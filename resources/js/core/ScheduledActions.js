@@ -0,0 +1,250 @@
+/**
+ * Observable list of the current user's scheduled actions.
+ *
+ * Wraps `GET /api/bulk-actions/scheduled` (soonest first, optionally limited
+ * to the next `hours`), with per-item `reschedule()` and `cancel()`. `now`
+ * advances every `tickInterval` so bindings can count down to each start
+ * with scheduledTimeRemaining(). Once an action is due it leaves the list
+ * and is handed to the stores given to `handOffTo()`, which switch to its
+ * live progress.
+ *
+ * State is `{ items, hours, now, loading, errors, isLoading, error }`;
+ * events are `loaded`, `rescheduled`, `cancelled`, `due` and `error`.
+ *
+ * Usage:
+ * const scheduled = new ScheduledActions(new ActionEngineClient(), { hours: 24 })
+ *
+ * scheduled.handOffTo(manager)
+ * scheduled.subscribe(({ items, now }) => render(items, now))
+ *
+ * await scheduled.load()
+ * await scheduled.reschedule(uuid, '2026-03-03T09:00', 'Europe/Paris')
+ */
+
+import { ActionEngineClient } from './ActionEngineClient.js'
+import { toActionEngineError } from './errors.js'
+import { isScheduled, localTimezone, scheduledTimeRemaining } from './execution.js'
+import { Observable } from './Observable.js'
+
+export class ScheduledActions extends Observable {
+    /**
+     * @param {ActionEngineClient} [client]
+     * @param {Object} [options]
+     * @param {number} [options.hours] Only list actions starting within n hours
+     * @param {number} [options.tickInterval] Countdown resolution in ms
+     */
+    constructor(client = new ActionEngineClient(), options = {}) {
+        super({
+            items: [],
+            hours: options.hours || null,
+            now: Date.now(),
+            loading: {},
+            errors: {},
+            isLoading: false,
+            error: null,
+        })
+
+        this.client = client
+        this.tickInterval = options.tickInterval || 1000
+        this.targets = new Set()
+        this.requestId = 0
+        this.timer = null
+    }
+
+    /**
+     * Get a listed action by uuid
+     */
+    get(uuid) {
+        return this.state.items.find(item => item.uuid === uuid) || null
+    }
+
+    /**
+     * Milliseconds until a listed action starts
+     */
+    remaining(uuid) {
+        return scheduledTimeRemaining(this.get(uuid), this.state.now)
+    }
+
+    /**
+     * Load the scheduled actions
+     */
+    async load() {
+        // Only the latest request may update the state
+        const requestId = ++this.requestId
+
+        this.setState({ isLoading: true, error: null })
+
+        try {
+            const items = await this.client.scheduled({ hours: this.state.hours })
+
+            if (requestId !== this.requestId) return
+
+            this.setState({ items, now: Date.now() })
+            this.emit('loaded', items)
+            this.syncTimer()
+
+            return items
+        } catch (e) {
+            if (requestId !== this.requestId) return
+
+            const error = toActionEngineError(e)
+
+            this.setState({ error })
+            this.emit('error', error)
+        } finally {
+            if (requestId === this.requestId) {
+                this.setState({ isLoading: false })
+            }
+        }
+    }
+
+    refresh() {
+        return this.load()
+    }
+
+    /**
+     * Only list actions starting within n hours (null for all), and reload
+     */
+    setHours(hours) {
+        this.setState({ hours: hours || null })
+
+        return this.load()
+    }
+
+    /**
+     * Move an action to a new time. A local date string such as
+     * `2026-03-03T09:00` is read in `timezone`, by default the action's own
+     * timezone or else the browser's.
+     */
+    async reschedule(uuid, scheduledFor, timezone = null) {
+        return this.runFor(uuid, async () => {
+            const zone = timezone || this.get(uuid)?.scheduled_timezone || localTimezone()
+            const execution = await this.client.reschedule(uuid, scheduledFor, zone)
+
+            this.put(execution)
+            this.emit('rescheduled', execution)
+
+            return execution
+        })
+    }
+
+    /**
+     * Cancel an action and drop it from the list
+     */
+    async cancel(uuid) {
+        return this.runFor(uuid, async () => {
+            const execution = await this.client.cancel(uuid)
+
+            this.remove(uuid)
+            this.emit('cancelled', execution)
+
+            return execution
+        })
+    }
+
+    /**
+     * Hand due actions to an ExecutionManager (tracked alongside its others)
+     * or an ExecutionStore (opened as its current execution), returning a
+     * function that stops doing so. Also accepts useBulkAction(s) results.
+     */
+    handOffTo(target) {
+        const store = target.store || target.manager || target
+
+        this.targets.add(store)
+
+        return () => this.targets.delete(store)
+    }
+
+    /**
+     * Advance the countdowns, handing off the actions that are due
+     */
+    tick(now = Date.now()) {
+        const due = this.state.items.filter(item => scheduledTimeRemaining(item, now) === 0)
+
+        this.setState({
+            now,
+            items: this.state.items.filter(item => !due.includes(item)),
+        })
+
+        due.forEach((execution) => {
+            this.emit('due', execution)
+
+            this.targets.forEach((target) => {
+                const handOff = target.track ? target.track(execution) : target.open(execution)
+
+                // The target keeps the error in its own state
+                handOff?.catch?.(() => {})
+            })
+        })
+
+        this.syncTimer()
+    }
+
+    /**
+     * Stop the countdown and any in-flight load
+     */
+    destroy() {
+        this.requestId++
+        this.stopTimer()
+        this.targets.clear()
+    }
+
+    syncTimer() {
+        if (this.state.items.length && !this.timer) {
+            this.timer = setInterval(() => this.tick(), this.tickInterval)
+        } else if (!this.state.items.length) {
+            this.stopTimer()
+        }
+    }
+
+    stopTimer() {
+        if (this.timer) {
+            clearInterval(this.timer)
+            this.timer = null
+        }
+    }
+
+    /**
+     * Run a per-uuid request, tracking its loading and error state
+     */
+    async runFor(uuid, callback) {
+        this.setState({
+            loading: { ...this.state.loading, [uuid]: true },
+            errors: { ...this.state.errors, [uuid]: null },
+        })
+
+        try {
+            return await callback()
+        } catch (e) {
+            const error = toActionEngineError(e)
+            this.setState({ errors: { ...this.state.errors, [uuid]: error } })
+            this.emit('error', error)
+            throw error
+        } finally {
+            this.setState({ loading: { ...this.state.loading, [uuid]: false } })
+        }
+    }
+
+    /**
+     * Replace a listed action, keeping the list sorted by start time
+     */
+    put(execution) {
+        if (!isScheduled(execution)) {
+            this.remove(execution.uuid)
+            return
+        }
+
+        const items = [...this.state.items.filter(item => item.uuid !== execution.uuid), execution]
+            .sort((a, b) => new Date(a.scheduled_for) - new Date(b.scheduled_for))
+
+        this.setState({ items })
+        this.syncTimer()
+    }
+
+    remove(uuid) {
+        this.setState({ items: this.state.items.filter(item => item.uuid !== uuid) })
+        this.syncTimer()
+    }
+}
+
+export default ScheduledActions
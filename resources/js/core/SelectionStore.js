@@ -0,0 +1,338 @@
+/**
+ * Observable row selection for paginated tables, compiled to bulk action
+ * filters.
+ *
+ * Two modes: `some` holds the explicitly selected ids, across pages; `all`
+ * means every row matching the table's current `filters`, minus the
+ * `excluded` ids. `toFilters()` compiles the selection into the smallest
+ * payload the API understands: `{ ids }` (or `where_in` for non-integer
+ * keys), or the table's filters plus a `where_not_in` for the exclusions.
+ *
+ * The count in `all` mode is an estimate from `setTotal()` until `verify()`
+ * asks `preview()` for the exact number, which then holds until the
+ * selection changes; `autoVerify` re-verifies after every change. State is
+ * `{ mode, ids, excluded, page, filters, total, version, verifiedCount,
+ * verifiedVersion, isVerifying, error }`; events are `changed`, `verified`
+ * and `error`.
+ *
+ * Usage:
+ * const selection = new SelectionStore(client, { model: 'App\\Models\\User' })
+ *
+ * selection.setFilters({ where: [['status', 'active']] })
+ * selection.setPage(rows.map(row => row.id), meta.total)
+ * selection.selectAll()
+ * selection.deselect(3)
+ *
+ * await selection.verify('archive')
+ * await store.execute(selection.toPayload({ action: 'archive' }))
+ */
+
+import { ActionEngineClient } from './ActionEngineClient.js'
+import { toActionEngineError } from './errors.js'
+import { Observable } from './Observable.js'
+
+export const SELECTION_MODES = ['some', 'all']
+
+/**
+ * Whether a row is part of a selection
+ */
+export function isRowSelected(state, id) {
+    return state.mode === 'all' ? !state.excluded.includes(id) : state.ids.includes(id)
+}
+
+/**
+ * Whether every row of the current page is selected
+ */
+export function isPageSelected(state) {
+    return state.page.length > 0 && state.page.every(id => isRowSelected(state, id))
+}
+
+/**
+ * Whether only some rows of the current page are selected
+ */
+export function isPagePartiallySelected(state) {
+    return state.page.some(id => isRowSelected(state, id)) && !isPageSelected(state)
+}
+
+/**
+ * Best known number of selected rows: the verified count when it is
+ * current, an estimate otherwise (null in `all` mode without a total)
+ */
+export function selectedCount(state) {
+    if (state.verifiedVersion === state.version && state.verifiedCount !== null) {
+        return state.verifiedCount
+    }
+
+    if (state.mode === 'some') {
+        return state.ids.length
+    }
+
+    return state.total === null ? null : Math.max(0, state.total - state.excluded.length)
+}
+
+/**
+ * Whether the count comes from preview() for the current selection
+ */
+export function isCountVerified(state) {
+    return state.verifiedVersion === state.version && state.verifiedCount !== null
+}
+
+/**
+ * Compile a selection into execute / preview filters
+ *
+ * @param {Object} state Selection state
+ * @param {string} [key] Primary key column, used for `where_in` / `where_not_in`
+ */
+export function selectionFilters(state, key = 'id') {
+    if (state.mode === 'some') {
+        // An empty `ids` filter is ignored by the API, and would target every row
+        if (!state.ids.length) {
+            return { where_in: [[key, []]] }
+        }
+
+        // `ids` only accepts integers; other keys go through where_in
+        return state.ids.every(Number.isInteger)
+            ? { ids: state.ids }
+            : { where_in: [[key, state.ids]] }
+    }
+
+    const filters = { ...state.filters }
+
+    if (state.excluded.length) {
+        filters.where_not_in = [...(filters.where_not_in || []), [key, state.excluded]]
+    }
+
+    return filters
+}
+
+export class SelectionStore extends Observable {
+    /**
+     * @param {ActionEngineClient} [client]
+     * @param {Object} [options]
+     * @param {string} [options.model] Model class, used by verify() and toPayload()
+     * @param {string} [options.key] Primary key column (default `id`)
+     * @param {string} [options.action] Action previewed by verify() when none is given
+     * @param {Object} [options.filters] Initial table filters
+     * @param {boolean|number} [options.autoVerify] Verify "all matching" selections after
+     *                                             each change, debounced by n ms (300 for `true`)
+     */
+    constructor(client = new ActionEngineClient(), options = {}) {
+        super({
+            mode: 'some',
+            ids: [],
+            excluded: [],
+            page: [],
+            filters: options.filters || {},
+            total: null,
+            version: 0,
+            verifiedCount: null,
+            verifiedVersion: null,
+            isVerifying: false,
+            error: null,
+        })
+
+        this.client = client
+        this.model = options.model || null
+        this.key = options.key || 'id'
+        this.action = options.action || null
+        this.autoVerify = options.autoVerify === true ? 300 : options.autoVerify || 0
+        this.verifyTimer = null
+    }
+
+    get count() {
+        return selectedCount(this.state)
+    }
+
+    get isVerified() {
+        return isCountVerified(this.state)
+    }
+
+    get isPageSelected() {
+        return isPageSelected(this.state)
+    }
+
+    get isPagePartiallySelected() {
+        return isPagePartiallySelected(this.state)
+    }
+
+    isSelected(id) {
+        return isRowSelected(this.state, id)
+    }
+
+    /**
+     * Toggle one row
+     */
+    toggle(id) {
+        if (this.isSelected(id)) {
+            this.deselect(id)
+        } else {
+            this.select(id)
+        }
+    }
+
+    /**
+     * Select one or more rows
+     */
+    select(ids) {
+        const list = [].concat(ids)
+
+        if (this.state.mode === 'all') {
+            this.change({ excluded: this.state.excluded.filter(id => !list.includes(id)) })
+        } else {
+            this.change({ ids: unique([...this.state.ids, ...list]) })
+        }
+    }
+
+    /**
+     * Deselect one or more rows
+     */
+    deselect(ids) {
+        const list = [].concat(ids)
+
+        if (this.state.mode === 'all') {
+            this.change({ excluded: unique([...this.state.excluded, ...list]) })
+        } else {
+            this.change({ ids: this.state.ids.filter(id => !list.includes(id)) })
+        }
+    }
+
+    selectPage() {
+        this.select(this.state.page)
+    }
+
+    deselectPage() {
+        this.deselect(this.state.page)
+    }
+
+    /**
+     * Select the current page, or deselect it when it is fully selected
+     */
+    togglePage() {
+        if (this.isPageSelected) {
+            this.deselectPage()
+        } else {
+            this.selectPage()
+        }
+    }
+
+    /**
+     * Select every row matching the current filters, on every page
+     */
+    selectAll() {
+        this.change({ mode: 'all', ids: [], excluded: [] })
+    }
+
+    /**
+     * Deselect everything
+     */
+    clear() {
+        this.change({ mode: 'some', ids: [], excluded: [] })
+    }
+
+    /**
+     * Set the ids of the rows on screen, and the total matching the filters
+     */
+    setPage(ids, total = this.state.total) {
+        const page = [...ids]
+
+        // Bindings call this on every render
+        if (total === this.state.total && page.join() === this.state.page.join()) return
+
+        this.setState({ page, total })
+    }
+
+    /**
+     * Set the table filters (in the request format). An "all matching"
+     * selection no longer means the same rows, so it is cleared.
+     */
+    setFilters(filters = {}) {
+        if (JSON.stringify(filters) === JSON.stringify(this.state.filters)) return
+
+        this.setState({ filters, total: null })
+
+        if (this.state.mode === 'all') {
+            this.clear()
+        }
+    }
+
+    /**
+     * Set the total number of rows matching the filters
+     */
+    setTotal(total) {
+        this.setState({ total })
+    }
+
+    /**
+     * Filters for the current selection
+     */
+    toFilters() {
+        return selectionFilters(this.state, this.key)
+    }
+
+    /**
+     * Execute / preview payload targeting the current selection
+     */
+    toPayload(payload = {}) {
+        return {
+            ...payload,
+            model: payload.model || this.model,
+            filters: this.toFilters(),
+        }
+    }
+
+    /**
+     * Ask preview() for the exact number of selected rows
+     */
+    async verify(action = this.action) {
+        if (!this.model || !action) {
+            throw new Error('Selection verify() needs a model and an action.')
+        }
+
+        const version = this.state.version
+
+        this.setState({ isVerifying: true, error: null })
+
+        try {
+            const preview = await this.client.preview(this.toPayload({ action, preview_limit: 1 }))
+
+            // The selection changed while the request was in flight
+            if (version !== this.state.version) return null
+
+            this.setState({ verifiedCount: preview.total_count, verifiedVersion: version })
+            this.emit('verified', preview.total_count)
+
+            return preview.total_count
+        } catch (e) {
+            const error = toActionEngineError(e)
+            this.setState({ error })
+            this.emit('error', error)
+            throw error
+        } finally {
+            this.setState({ isVerifying: false })
+        }
+    }
+
+    /**
+     * Cancel a pending automatic verification
+     */
+    destroy() {
+        clearTimeout(this.verifyTimer)
+    }
+
+    change(partial) {
+        this.setState({ ...partial, version: this.state.version + 1 })
+        this.emit('changed', this.state)
+
+        // Explicit ids are counted exactly; only "all matching" needs the server
+        if (this.autoVerify && this.state.mode === 'all') {
+            clearTimeout(this.verifyTimer)
+            this.verifyTimer = setTimeout(() => this.verify().catch(() => {}), this.autoVerify)
+        }
+    }
+}
+
+function unique(values) {
+    return [...new Set(values)]
+}
+
+export default SelectionStore
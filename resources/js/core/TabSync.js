@@ -0,0 +1,115 @@
+/**
+ * Cross-tab coordination for execution tracking.
+ *
+ * Uses a Web Lock per execution uuid so that only one open tab polls a given
+ * execution, and a BroadcastChannel to share the progress it receives with
+ * the other tabs. Without BroadcastChannel / Web Locks support every tab
+ * simply owns (and polls) its own executions.
+ */
+
+export const DEFAULT_TAB_CHANNEL = 'action-engine'
+
+export class TabSync {
+    constructor(name = DEFAULT_TAB_CHANNEL) {
+        this.name = name
+        this.channel = null
+        this.locks = null
+        this.owned = new Map()
+        this.pending = new Map()
+        this.handlers = new Set()
+    }
+
+    /**
+     * Open the channel (again, after close())
+     */
+    open() {
+        if (this.channel || typeof BroadcastChannel === 'undefined') return
+
+        this.channel = new BroadcastChannel(this.name)
+        this.channel.onmessage = event => this.handlers.forEach(handler => handler(event.data))
+
+        // Locks are only useful when the lock holder can share what it polls
+        this.locks = typeof navigator !== 'undefined' && navigator.locks ? navigator.locks : null
+    }
+
+    /**
+     * Request ownership of an execution, calling `onAcquired` once this tab
+     * holds it (immediately when locks are unsupported)
+     */
+    claim(uuid, onAcquired) {
+        if (this.owned.has(uuid) || this.pending.has(uuid)) return
+
+        this.open()
+
+        if (!this.locks) {
+            this.owned.set(uuid, () => {})
+            onAcquired()
+            return
+        }
+
+        const controller = new AbortController()
+        this.pending.set(uuid, controller)
+
+        this.locks.request(`${this.name}:${uuid}`, { signal: controller.signal }, () => {
+            this.pending.delete(uuid)
+
+            // The lock is held until release() resolves this promise
+            return new Promise((resolve) => {
+                this.owned.set(uuid, resolve)
+                onAcquired()
+            })
+        }).catch(() => {
+            // Aborted: released before the lock was granted
+        })
+    }
+
+    /**
+     * Give up ownership (or a pending claim) of an execution
+     */
+    release(uuid) {
+        this.pending.get(uuid)?.abort()
+        this.pending.delete(uuid)
+
+        this.owned.get(uuid)?.()
+        this.owned.delete(uuid)
+    }
+
+    /**
+     * Check whether this tab is responsible for polling an execution
+     */
+    owns(uuid) {
+        return this.owned.has(uuid)
+    }
+
+    /**
+     * Send a message to the other tabs
+     */
+    publish(message) {
+        this.open()
+        this.channel?.postMessage(message)
+    }
+
+    /**
+     * Listen for messages from the other tabs, returning an unsubscribe function
+     */
+    onMessage(handler) {
+        this.open()
+        this.handlers.add(handler)
+
+        return () => this.handlers.delete(handler)
+    }
+
+    /**
+     * Release every lock and close the channel; it reopens on next use
+     */
+    close() {
+        const uuids = [...this.pending.keys(), ...this.owned.keys()]
+
+        uuids.forEach(uuid => this.release(uuid))
+        this.channel?.close()
+        this.channel = null
+        this.locks = null
+    }
+}
+
+export default TabSync
@@ -0,0 +1,415 @@
+/**
+ * Observable queue of executions that can still be undone.
+ *
+ * Backs the undo toasts: every item counts down to its execution's
+ * `undo_expires_at`, is re-checked through `GET /{uuid}/undo` every
+ * `checkInterval`, and drops out once the window has passed or the server
+ * says it can no longer be undone. After `undo()` the item holds the
+ * `restored_count` for `undoneDuration` and offers `redo()`, which runs the
+ * original action again ("undo the undo").
+ *
+ * Uuids are persisted (localStorage unless `persist` says otherwise) so
+ * undoable actions stay discoverable after navigation; `restore()` reloads
+ * them. State is `{ items }`, each item `{ uuid, execution, status,
+ * remaining, undoableCount, restoredCount, undoneAt, error }` with `status`
+ * one of UNDO_STATUSES. Events: `added`, `expired`, `undone`, `redone`,
+ * `error`.
+ *
+ * Usage:
+ * const queue = new UndoQueue(new ActionEngineClient())
+ *
+ * queue.watch(store)
+ * queue.subscribe(({ items }) => renderToasts(items))
+ *
+ * await queue.restore()
+ * const { restored_count } = await queue.undo(uuid)
+ * await queue.redo(uuid)
+ */
+
+import { ActionEngineClient } from './ActionEngineClient.js'
+import { UndoExpiredError, toActionEngineError } from './errors.js'
+import { isUndoable, replayPayload, undoTimeRemaining } from './execution.js'
+import { Observable } from './Observable.js'
+import { ExecutionPersistence } from './persistence.js'
+
+export const DEFAULT_UNDO_PERSIST_KEY = 'action-engine:undoable'
+
+export const UNDO_STATUSES = ['available', 'undoing', 'undone', 'redoing']
+
+// Store and manager events carrying an execution worth queueing
+const WATCHED_EVENTS = ['started', 'completed', 'restored', 'opened']
+
+export class UndoQueue extends Observable {
+    /**
+     * @param {ActionEngineClient} [client]
+     * @param {Object} [options]
+     * @param {boolean|string|Object} [options.persist] `'local'` (default), `'session'`, a Storage-like object or `false`
+     * @param {string} [options.persistKey] Storage key for persisted uuids
+     * @param {number} [options.checkInterval] Re-check each item with the server every n ms (`0` to disable)
+     * @param {number} [options.undoneDuration] How long the "restored" confirmation stays, in ms
+     * @param {number} [options.tickInterval] Countdown resolution in ms
+     */
+    constructor(client = new ActionEngineClient(), options = {}) {
+        super({ items: [] })
+
+        this.client = client
+        this.checkInterval = options.checkInterval ?? 30000
+        this.undoneDuration = options.undoneDuration ?? 10000
+        this.tickInterval = options.tickInterval || 1000
+        this.persistence = options.persist === false
+            ? null
+            : new ExecutionPersistence(options.persist ?? 'local', options.persistKey || DEFAULT_UNDO_PERSIST_KEY)
+        this.persistence?.onError(error => this.emit('error', error))
+        this.sources = new Map()
+        this.checkedAt = {}
+        this.restoring = null
+        this.timer = null
+    }
+
+    /**
+     * Get an item by uuid
+     */
+    get(uuid) {
+        return this.state.items.find(item => item.uuid === uuid) || null
+    }
+
+    /**
+     * Queue an undoable execution; others are ignored. `source` is the store
+     * or manager it came from, used to undo and redo through it.
+     */
+    add(execution, source = null) {
+        if (!isUndoable(execution)) return null
+
+        const current = this.get(execution.uuid)
+
+        // Leave an undo or redo in flight alone
+        if (current && current.status !== 'available') return current
+
+        const item = {
+            uuid: execution.uuid,
+            execution,
+            status: 'available',
+            remaining: undoTimeRemaining(execution),
+            undoableCount: current?.undoableCount ?? null,
+            restoredCount: null,
+            undoneAt: null,
+            error: null,
+        }
+
+        if (source) {
+            this.sources.set(item.uuid, source)
+        }
+
+        this.put(item)
+        this.persistence?.add(item.uuid)
+        this.startTimer()
+
+        if (!current) {
+            this.emit('added', item)
+        }
+
+        return item
+    }
+
+    /**
+     * Queue the undoable executions of a store or manager (or the result of
+     * useBulkAction / useBulkActions), returning an unwatch function
+     */
+    watch(target) {
+        const source = target.store || target.manager || target
+
+        const cleanups = [
+            ...WATCHED_EVENTS.map(event => source.on(event, execution => this.add(execution, source))),
+            source.on('undone', result => this.get(result.execution.uuid) && this.markUndone(result)),
+        ]
+
+        return () => {
+            cleanups.forEach(cleanup => cleanup())
+
+            this.sources.forEach((watched, uuid) => {
+                if (watched === source) this.sources.delete(uuid)
+            })
+        }
+    }
+
+    /**
+     * Reload the persisted undoable executions. Only the first call loads;
+     * later ones share its result.
+     */
+    restore() {
+        if (!this.persistence) return Promise.resolve([])
+
+        if (!this.restoring) {
+            this.restoring = this.load()
+        }
+
+        return this.restoring
+    }
+
+    /**
+     * Re-check an item with the server, updating its deadline and undoable
+     * record count or expiring it
+     */
+    async check(uuid) {
+        this.checkedAt[uuid] = Date.now()
+
+        try {
+            const status = await this.client.checkUndo(uuid)
+            const item = this.get(uuid)
+
+            if (item?.status !== 'available') return status
+
+            if (!status.can_undo) {
+                this.expire(uuid)
+                return status
+            }
+
+            this.update(uuid, {
+                execution: {
+                    ...item.execution,
+                    can_undo: true,
+                    undo_expires_at: status.expires_at ?? item.execution.undo_expires_at,
+                },
+                undoableCount: status.undoable_count,
+            })
+
+            return status
+        } catch (e) {
+            const error = toActionEngineError(e)
+
+            if (error.status === 404) {
+                this.expire(uuid)
+            }
+            throw error
+        }
+    }
+
+    /**
+     * Undo an item, resolving to `{ restored_count, execution }`
+     */
+    async undo(uuid) {
+        const item = this.get(uuid)
+        if (item?.status !== 'available') return
+
+        this.update(uuid, { status: 'undoing', error: null })
+
+        try {
+            const result = await this.undoThrough(uuid)
+
+            this.markUndone(result)
+            this.emit('undone', result)
+
+            return result
+        } catch (e) {
+            const error = toActionEngineError(e)
+
+            if (error instanceof UndoExpiredError || error.status === 404) {
+                this.expire(uuid)
+            } else {
+                this.update(uuid, { status: 'available', error })
+            }
+
+            this.emit('error', error)
+            throw error
+        }
+    }
+
+    /**
+     * Run an undone action again with its original filters and parameters,
+     * resolving to the new execution
+     */
+    async redo(uuid) {
+        const item = this.get(uuid)
+        if (item?.status !== 'undone') return
+
+        this.update(uuid, { status: 'redoing', error: null })
+
+        try {
+            const original = await this.client.show(uuid, { include_filters: true, include_parameters: true })
+            const payload = replayPayload(original, { with_undo: true })
+            const source = this.sources.get(uuid)
+
+            // Through the watched store, so the new execution is tracked and queued
+            const execution = source
+                ? await source.execute(payload)
+                : await this.client.execute(payload)
+
+            this.dismiss(uuid)
+            this.emit('redone', execution)
+
+            return execution
+        } catch (e) {
+            const error = toActionEngineError(e)
+
+            this.update(uuid, { status: 'undone', undoneAt: Date.now(), error })
+            this.emit('error', error)
+            throw error
+        }
+    }
+
+    /**
+     * Remove an item and forget its persisted uuid
+     */
+    dismiss(uuid) {
+        this.sources.delete(uuid)
+        delete this.checkedAt[uuid]
+
+        this.setState({ items: this.state.items.filter(item => item.uuid !== uuid) })
+        this.persistence?.remove(uuid)
+
+        if (!this.state.items.length) {
+            this.stopTimer()
+        }
+    }
+
+    /**
+     * Remove every item
+     */
+    clear() {
+        this.state.items.forEach(item => this.dismiss(item.uuid))
+    }
+
+    /**
+     * Stop the countdown and release the watched sources
+     */
+    destroy() {
+        this.stopTimer()
+        this.sources.clear()
+    }
+
+    /**
+     * Advance the countdowns: drop expired items and finished "restored"
+     * confirmations, and re-check items due for it
+     */
+    tick(now = Date.now()) {
+        const expired = []
+        const items = []
+
+        for (const item of this.state.items) {
+            if (item.status === 'undone' && now - item.undoneAt >= this.undoneDuration) continue
+
+            if (item.status === 'available' && !isUndoable(item.execution, now)) {
+                expired.push(item)
+                continue
+            }
+
+            items.push(item.status === 'available' ? { ...item, remaining: undoTimeRemaining(item.execution, now) } : item)
+        }
+
+        this.setState({ items })
+
+        expired.forEach((item) => {
+            this.persistence?.remove(item.uuid)
+            this.emit('expired', item)
+        })
+
+        if (this.checkInterval) {
+            items
+                .filter(item => item.status === 'available' && now - (this.checkedAt[item.uuid] || 0) >= this.checkInterval)
+                .forEach(item => this.check(item.uuid).catch(() => {}))
+        }
+
+        if (!items.length) {
+            this.stopTimer()
+        }
+    }
+
+    startTimer() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.tick(), this.tickInterval)
+        }
+    }
+
+    stopTimer() {
+        if (this.timer) {
+            clearInterval(this.timer)
+            this.timer = null
+        }
+    }
+
+    /**
+     * Undo through the watched source when it holds the execution, so its
+     * own state follows; through the client otherwise
+     */
+    undoThrough(uuid) {
+        const source = this.sources.get(uuid)
+
+        if (source?.get?.(uuid)) {
+            return source.undo(uuid)
+        }
+
+        if (source?.state?.execution?.uuid === uuid) {
+            return source.undo()
+        }
+
+        return this.client.undo(uuid)
+    }
+
+    markUndone(result) {
+        this.update(result.execution.uuid, {
+            status: 'undone',
+            execution: result.execution,
+            remaining: null,
+            restoredCount: result.restored_count,
+            undoneAt: Date.now(),
+            error: null,
+        })
+        this.persistence?.remove(result.execution.uuid)
+    }
+
+    expire(uuid) {
+        const item = this.get(uuid)
+        if (!item) return
+
+        this.dismiss(uuid)
+        this.emit('expired', item)
+    }
+
+    async load() {
+        const uuids = await this.persistence.load()
+
+        const results = await Promise.allSettled(uuids.map(uuid => this.client.show(uuid)))
+        const restored = []
+
+        results.forEach((result, index) => {
+            const uuid = uuids[index]
+
+            if (result.status === 'rejected') {
+                // Keep the uuid on transient failures, drop it when it is gone
+                if (result.reason?.status === 404) {
+                    this.persistence.remove(uuid)
+                }
+                return
+            }
+
+            if (!isUndoable(result.value)) {
+                this.persistence.remove(uuid)
+                return
+            }
+
+            if (!this.get(uuid)) {
+                restored.push(this.add(result.value))
+            }
+        })
+
+        return restored
+    }
+
+    put(item) {
+        const exists = this.get(item.uuid)
+
+        this.setState({
+            items: exists
+                ? this.state.items.map(current => (current.uuid === item.uuid ? item : current))
+                : [...this.state.items, item],
+        })
+    }
+
+    update(uuid, partial) {
+        this.setState({
+            items: this.state.items.map(item => (item.uuid === uuid ? { ...item, ...partial } : item)),
+        })
+    }
+}
+
+export default UndoQueue
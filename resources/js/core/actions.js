@@ -0,0 +1,307 @@
+/**
+ * Helpers for the action metadata returned by `GET /api/bulk-actions/actions`.
+ *
+ * An action's `parameters` (see ActionRegistry::register) are normalized into
+ * a list of form fields, `{ name, type, label, required, default, options,
+ * min, max, description, placeholder }`, accepting any of these shapes:
+ *
+ *   { reason: 'string' }
+ *   { format: { type: 'select', options: ['csv', 'xlsx'], required: true } }
+ *   [{ name: 'force', type: 'boolean' }]
+ *
+ * Supported types: string, text, email, integer, number, boolean, select,
+ * date, datetime, array (comma separated in forms) and object (JSON).
+ */
+
+import { ActionEngineError } from './errors.js'
+
+export const PARAMETER_TYPES = [
+    'string', 'text', 'email', 'integer', 'number', 'boolean',
+    'select', 'date', 'datetime', 'array', 'object',
+]
+
+const TYPE_ALIASES = {
+    bool: 'boolean',
+    int: 'integer',
+    float: 'number',
+    numeric: 'number',
+    textarea: 'text',
+    enum: 'select',
+    json: 'object',
+    list: 'array',
+}
+
+/**
+ * Turn a snake_case / kebab-case name into a label
+ */
+export function humanize(name = '') {
+    const words = String(name).replace(/[_-]+/g, ' ').trim()
+
+    return words.charAt(0).toUpperCase() + words.slice(1)
+}
+
+/**
+ * Normalize a field's options to `[{ value, label }]`
+ */
+function normalizeOptions(options) {
+    if (!options) return null
+
+    if (Array.isArray(options)) {
+        return options.map(option => (
+            typeof option === 'object' && option !== null
+                ? { value: option.value, label: option.label ?? humanize(option.value) }
+                : { value: option, label: humanize(option) }
+        ))
+    }
+
+    return Object.entries(options).map(([value, label]) => ({ value, label }))
+}
+
+/**
+ * Normalize one parameter definition into a form field
+ */
+export function normalizeField(name, definition = {}) {
+    const spec = typeof definition === 'string' ? { type: definition } : { ...definition }
+    const options = normalizeOptions(spec.options)
+    const type = TYPE_ALIASES[spec.type] || spec.type || (options ? 'select' : 'string')
+
+    return {
+        ...spec,
+        name,
+        type: PARAMETER_TYPES.includes(type) ? type : 'string',
+        label: spec.label || humanize(name),
+        required: Boolean(spec.required),
+        default: spec.default ?? null,
+        options,
+        min: spec.min ?? null,
+        max: spec.max ?? null,
+        description: spec.description || null,
+        placeholder: spec.placeholder || null,
+    }
+}
+
+/**
+ * Get the form fields declared by an action's metadata
+ */
+export function parameterFields(action) {
+    const parameters = action?.parameters
+
+    if (!parameters) return []
+
+    if (Array.isArray(parameters)) {
+        return parameters.map(parameter => (
+            typeof parameter === 'string'
+                ? normalizeField(parameter)
+                : normalizeField(parameter.name, parameter)
+        ))
+    }
+
+    return Object.entries(parameters).map(([name, definition]) => normalizeField(name, definition))
+}
+
+/**
+ * Initial form values for a list of fields
+ */
+export function defaultValues(fields) {
+    return Object.fromEntries(fields.map(field => [
+        field.name,
+        field.default ?? (field.type === 'boolean' ? false : null),
+    ]))
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value === ''
+        || (Array.isArray(value) && value.length === 0)
+}
+
+/**
+ * Convert a raw form input value to the field's type
+ */
+export function coerceValue(field, raw) {
+    if (field.type === 'boolean') return Boolean(raw)
+    if (typeof raw !== 'string') return raw
+
+    const value = raw.trim()
+    if (value === '') return null
+
+    switch (field.type) {
+        case 'integer':
+        case 'number': {
+            const number = Number(value)
+
+            return Number.isNaN(number) ? raw : number
+        }
+        case 'array':
+            return value.split(',').map(item => item.trim()).filter(Boolean)
+        case 'object':
+            try {
+                return JSON.parse(value)
+            } catch (e) {
+                return raw
+            }
+        case 'select': {
+            // Keep the option's original (e.g. numeric) value
+            const option = field.options?.find(candidate => String(candidate.value) === value)
+
+            return option ? option.value : raw
+        }
+        default:
+            return raw
+    }
+}
+
+/**
+ * Format a value for display in a form input
+ */
+export function formatValue(field, value) {
+    if (value === undefined || value === null) return ''
+    if (field.type === 'array' && Array.isArray(value)) return value.join(', ')
+    if (field.type === 'object' && typeof value === 'object') return JSON.stringify(value, null, 2)
+
+    return String(value)
+}
+
+/**
+ * Text to show in an input: the user's raw draft while it still matches the
+ * typed value (e.g. a trailing comma in a list), the formatted value otherwise
+ */
+export function inputText(field, value, draft) {
+    const formatted = formatValue(field, value)
+
+    if (typeof draft !== 'string') return formatted
+
+    return formatValue(field, coerceValue(field, draft)) === formatted ? draft : formatted
+}
+
+/**
+ * HTML input type for a field rendered as an <input>
+ */
+export function inputType(field) {
+    return {
+        integer: 'number',
+        number: 'number',
+        email: 'email',
+        date: 'date',
+        datetime: 'datetime-local',
+    }[field.type] || 'text'
+}
+
+/**
+ * First error message of a field, accepting `name` or `parameters.name` keys
+ * and either an error bag or a ValidationError
+ */
+export function fieldError(errors, name) {
+    const bag = errors instanceof ActionEngineError ? errors.errors : errors
+
+    return bag?.[name]?.[0] ?? bag?.[`parameters.${name}`]?.[0] ?? null
+}
+
+/**
+ * Drop blank values so that server-side defaults apply
+ */
+export function cleanParameters(values = {}) {
+    return Object.fromEntries(Object.entries(values).filter(([, value]) => !isBlank(value)))
+}
+
+/**
+ * Check one value against its field, returning an error message or null
+ */
+function validateField(field, value) {
+    const label = field.label
+
+    if (isBlank(value)) {
+        return field.required ? `The ${label} field is required.` : null
+    }
+
+    switch (field.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) return `The ${label} field must be an integer.`
+            break
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `The ${label} field must be a number.`
+            break
+        case 'boolean':
+            if (typeof value !== 'boolean') return `The ${label} field must be true or false.`
+            break
+        case 'array':
+            if (!Array.isArray(value)) return `The ${label} field must be a list.`
+            break
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) return `The ${label} field must be valid JSON.`
+            break
+        case 'date':
+        case 'datetime':
+            if (Number.isNaN(Date.parse(value))) return `The ${label} field must be a valid date.`
+            break
+        case 'select':
+            if (field.options && !field.options.some(option => option.value === value)) {
+                return `The selected ${label} is invalid.`
+            }
+            break
+        case 'email':
+            if (!/^[^\s@]+@[^\s@]+$/.test(value)) return `The ${label} field must be a valid email address.`
+            break
+        default:
+            if (typeof value !== 'string') return `The ${label} field must be a string.`
+    }
+
+    const size = typeof value === 'number' ? value : value.length
+
+    if (field.min !== null && size < field.min) return `The ${label} field must be at least ${field.min}.`
+    if (field.max !== null && size > field.max) return `The ${label} field must not be greater than ${field.max}.`
+
+    return null
+}
+
+/**
+ * Validate parameters against an action's fields, returning Laravel-style
+ * `{ valid, errors }` where errors are keyed by parameter name
+ */
+export function validateParameters(fields, parameters = {}) {
+    const errors = {}
+
+    fields.forEach((field) => {
+        const message = validateField(field, parameters[field.name])
+
+        if (message) {
+            errors[field.name] = [message]
+        }
+    })
+
+    return { valid: Object.keys(errors).length === 0, errors }
+}
+
+/**
+ * Validate an execute() payload against the registered actions, mirroring
+ * ExecuteBulkActionRequest. Errors are keyed like the server's
+ * (`action`, `model`, `filters.ids`, `parameters.reason`, ...)
+ */
+export function validatePayload(payload = {}, actions = {}) {
+    const errors = {}
+
+    if (isBlank(payload.action)) {
+        errors.action = ['An action name is required.']
+    } else if (!actions[payload.action]) {
+        errors.action = ['The selected action is invalid.']
+    }
+
+    if (isBlank(payload.model)) {
+        errors.model = ['A model class is required.']
+    }
+
+    const ids = payload.filters?.ids
+    if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => String(id).trim() !== '' && Number.isInteger(Number(id))))) {
+        errors['filters.ids'] = ['The filters.ids field must be a list of integers.']
+    }
+
+    const action = actions[payload.action]
+    if (action) {
+        const result = validateParameters(parameterFields(action), payload.parameters || {})
+
+        Object.entries(result.errors).forEach(([name, messages]) => {
+            errors[`parameters.${name}`] = messages
+        })
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors }
+}
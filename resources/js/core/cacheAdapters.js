@@ -0,0 +1,64 @@
+/**
+ * CacheSync adapters for common data caches. None imports its library:
+ * each takes the instance your app already has.
+ *
+ * An adapter is `{ invalidate(key), entries(key), set(cacheKey, data),
+ * cancel?(key) }`, where `entries(key)` lists the `[cacheKey, data]` pairs
+ * a CacheSync key covers; write your own for other caches.
+ */
+
+/**
+ * TanStack Query (v4 / v5): keys are query keys, matched as prefixes
+ *
+ * @param {Object} queryClient The app's QueryClient
+ */
+export function tanstackQueryAdapter(queryClient) {
+    const filters = key => ({ queryKey: Array.isArray(key) ? key : [key] })
+
+    return {
+        invalidate: key => queryClient.invalidateQueries(filters(key)),
+        cancel: key => queryClient.cancelQueries(filters(key)),
+        entries: key => queryClient.getQueriesData(filters(key)),
+        set: (cacheKey, data) => queryClient.setQueryData(cacheKey, data),
+    }
+}
+
+/**
+ * SWR (v2): keys are URL prefixes (`/api/posts` covers `/api/posts?page=2`)
+ * or `(cacheKey) => boolean` predicates
+ *
+ * @param {Object} config `{ cache, mutate }`, from `useSWRConfig()`
+ */
+export function swrAdapter({ cache, mutate }) {
+    const matching = key => [...cache.keys()].filter(cacheKey => (
+        typeof key === 'function' ? key(cacheKey) : typeof cacheKey === 'string' && cacheKey.startsWith(key)
+    ))
+
+    return {
+        invalidate: key => Promise.all(matching(key).map(cacheKey => mutate(cacheKey))),
+        entries: key => matching(key).map(cacheKey => [cacheKey, cache.get(cacheKey)?.data]),
+        set: (cacheKey, data) => mutate(cacheKey, data, { revalidate: false }),
+    }
+}
+
+/**
+ * Pinia: keys are state properties of the store holding the rows
+ *
+ * @param {Object} store A Pinia store instance
+ * @param {Object} [options]
+ * @param {string|Function} [options.refresh] Store action (or `(key, store) => {}`) reloading a key's rows
+ */
+export function piniaAdapter(store, { refresh = null } = {}) {
+    return {
+        invalidate: (key) => {
+            if (typeof refresh === 'function') return refresh(key, store)
+            if (refresh) return store[refresh](key)
+
+            return undefined
+        },
+        entries: key => (key in store.$state ? [[key, store.$state[key]]] : []),
+        set: (cacheKey, data) => store.$patch((state) => {
+            state[cacheKey] = data
+        }),
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * File download helpers for export results.
+ *
+ * readFile() turns a transport response into `{ blob, filename,
+ * contentType, size }`, reading the body chunk by chunk when it is a stream
+ * so that `onProgress({ loaded, total, percentage })` can follow the bytes
+ * (`total` and `percentage` are null without a Content-Length, e.g. for a
+ * streamed export). saveFile() hands the result to the browser.
+ */
+
+/**
+ * Read the filename from a Content-Disposition header, preferring the
+ * RFC 5987 `filename*=UTF-8''...` form
+ */
+export function parseContentDisposition(header) {
+    if (!header) return null
+
+    const extended = header.match(/filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i)
+
+    if (extended) {
+        try {
+            return decodeURIComponent(extended[2].trim().replace(/^"|"$/g, ''))
+        } catch (e) {
+            // Malformed percent-encoding: fall back to the plain filename
+        }
+    }
+
+    const plain = header.match(/filename\s*=\s*("((?:\\.|[^"\\])*)"|[^;]+)/i)
+
+    if (!plain) return null
+
+    return plain[2] !== undefined
+        ? plain[2].replace(/\\(.)/g, '$1')
+        : plain[1].trim()
+}
+
+/**
+ * The media type of a Content-Type header, without its parameters
+ */
+export function mediaType(header) {
+    return header ? header.split(';')[0].trim().toLowerCase() : null
+}
+
+/**
+ * Byte progress of a download
+ */
+export function toDownloadProgress(loaded, total = null) {
+    const known = Number.isFinite(total) && total > 0
+
+    return {
+        loaded,
+        total: known ? total : null,
+        percentage: known ? Math.min(100, Math.round((loaded / total) * 100)) : null,
+    }
+}
+
+/**
+ * Read a file response, reporting byte progress
+ *
+ * @param {Object} response Fetch-like response
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] Called with `{ loaded, total, percentage }`
+ * @param {string} [options.filename] Filename when the response has no Content-Disposition
+ */
+export async function readFile(response, { onProgress, filename = null } = {}) {
+    const contentType = response.headers.get('Content-Type')
+    const length = parseInt(response.headers.get('Content-Length'), 10)
+    const total = Number.isNaN(length) ? null : length
+    const type = contentType || 'application/octet-stream'
+
+    let blob
+
+    if (response.body && typeof response.body.getReader === 'function') {
+        const reader = response.body.getReader()
+        const chunks = []
+        let loaded = 0
+
+        onProgress?.(toDownloadProgress(0, total))
+
+        for (;;) {
+            const { done, value } = await reader.read()
+            if (done) break
+
+            chunks.push(value)
+            loaded += value.byteLength
+            onProgress?.(toDownloadProgress(loaded, total))
+        }
+
+        blob = new Blob(chunks, { type })
+    } else if (typeof response.blob === 'function') {
+        // No body stream (e.g. axios): the transport reports progress itself
+        blob = await response.blob()
+    } else {
+        blob = new Blob([await response.arrayBuffer()], { type })
+    }
+
+    onProgress?.(toDownloadProgress(blob.size, total ?? blob.size))
+
+    return {
+        blob,
+        filename: parseContentDisposition(response.headers.get('Content-Disposition')) || filename || 'download',
+        contentType: mediaType(contentType) || mediaType(blob.type),
+        size: blob.size,
+    }
+}
+
+/**
+ * Save a downloaded file through a temporary link (browser only)
+ */
+export function saveFile(file) {
+    if (typeof document === 'undefined' || typeof URL?.createObjectURL !== 'function') {
+        throw new Error('Saving files needs a browser')
+    }
+
+    const url = URL.createObjectURL(file.blob)
+    const link = document.createElement('a')
+
+    link.href = url
+    link.download = file.filename
+    link.style.display = 'none'
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+
+    // Revoke once the browser has started the download
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+}
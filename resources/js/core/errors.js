@@ -0,0 +1,214 @@
+/**
+ * Typed errors thrown by the ActionEngineClient
+ *
+ * Every failed request rejects with an ActionEngineError (or a subclass)
+ * keeping the HTTP status, the decoded response body and Laravel's
+ * validation bag, and the stores expose the same object as their `error`
+ * state so that forms can show per-field messages:
+ *
+ * import { ValidationError, RateLimitedError } from '@/vendor/core'
+ *
+ * try {
+ *     await client.execute(payload)
+ * } catch (e) {
+ *     if (e instanceof ValidationError) showErrors(e.errors)
+ *     if (e instanceof RateLimitedError) retryIn(e.retryAfter)
+ * }
+ *
+ * `error.message` and `error.status` keep their previous meaning, so
+ * existing `catch` blocks continue to work.
+ */
+
+export class ActionEngineError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {number|null} [details.status] HTTP status, null when no response was received
+     * @param {Object|null} [details.data] Decoded response body
+     * @param {Object} [details.errors] Laravel error bag, `{ field: [messages] }`
+     * @param {*} [details.cause] Underlying error
+     */
+    constructor(message, { status = null, data = null, errors = {}, cause } = {}) {
+        super(message, cause !== undefined ? { cause } : undefined)
+        this.name = 'ActionEngineError'
+        this.status = status
+        this.data = data
+        this.errors = errors || {}
+    }
+
+    /**
+     * Whether the error carries messages for a field
+     */
+    has(field) {
+        return (this.errors[field]?.length ?? 0) > 0
+    }
+
+    /**
+     * First message of a field, or null
+     */
+    first(field) {
+        return this.errors[field]?.[0] ?? null
+    }
+
+    /**
+     * First message of every field, `{ field: message }`
+     */
+    get fieldErrors() {
+        return Object.fromEntries(
+            Object.entries(this.errors).map(([field, messages]) => [field, messages[0]])
+        )
+    }
+
+    toJSON() {
+        return { name: this.name, message: this.message, status: this.status, errors: this.errors }
+    }
+}
+
+/**
+ * 422 with an error bag, from the form requests
+ */
+export class ValidationError extends ActionEngineError {
+    constructor(message, details) {
+        super(message, details)
+        this.name = 'ValidationError'
+    }
+}
+
+/**
+ * 401 or 403, from the auth middleware, gates and policies
+ */
+export class AuthorizationError extends ActionEngineError {
+    constructor(message, details) {
+        super(message, details)
+        this.name = 'AuthorizationError'
+    }
+
+    /**
+     * Whether the user is not logged in at all (401)
+     */
+    get isUnauthenticated() {
+        return this.status === 401
+    }
+}
+
+/**
+ * 404, e.g. an unknown or foreign execution uuid
+ */
+export class NotFoundError extends ActionEngineError {
+    constructor(message, details) {
+        super(message, details)
+        this.name = 'NotFoundError'
+    }
+}
+
+/**
+ * 429 from the rate limiter
+ */
+export class RateLimitedError extends ActionEngineError {
+    /**
+     * @param {string} message
+     * @param {Object} [details] As for ActionEngineError, plus `retryAfter` in seconds
+     */
+    constructor(message, { retryAfter = null, ...details } = {}) {
+        super(message, details)
+        this.name = 'RateLimitedError'
+        this.retryAfter = retryAfter
+        this.retryAt = retryAfter !== null ? new Date(Date.now() + retryAfter * 1000) : null
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), retryAfter: this.retryAfter }
+    }
+}
+
+/**
+ * The undo window has passed or the action was already undone
+ */
+export class UndoExpiredError extends ActionEngineError {
+    constructor(message = 'This action can no longer be undone.', details) {
+        super(message, details)
+        this.name = 'UndoExpiredError'
+    }
+}
+
+/**
+ * No usable response: the request failed, or the body was not JSON
+ */
+export class NetworkError extends ActionEngineError {
+    constructor(message, details) {
+        super(message, details)
+        this.name = 'NetworkError'
+    }
+}
+
+/**
+ * Build the error for a failed response
+ *
+ * @param {Response} response
+ * @param {Object|null} data Decoded body, null when it was not JSON
+ * @param {Object} [options]
+ * @param {string} [options.message] Fallback when the body has no message
+ * @param {Object} [options.types] Error classes overriding the defaults, keyed by status
+ */
+export function errorFromResponse(response, data, { message = 'Request failed', types = {} } = {}) {
+    const status = response.status
+    const details = {
+        status,
+        data,
+        errors: data?.errors && typeof data.errors === 'object' ? data.errors : {},
+    }
+    const text = data?.message || message
+
+    if (types[status]) {
+        return new types[status](text, details)
+    }
+
+    switch (true) {
+        case status === 422 && Object.keys(details.errors).length > 0:
+            return new ValidationError(text, details)
+        case status === 401 || status === 403:
+            return new AuthorizationError(text, details)
+        case status === 404:
+            return new NotFoundError(text, details)
+        case status === 410:
+            return new UndoExpiredError(text, details)
+        case status === 429:
+            return new RateLimitedError(text, { ...details, retryAfter: retryAfterOf(response, data) })
+        default:
+            return new ActionEngineError(text, details)
+    }
+}
+
+/**
+ * Wrap any thrown value in an ActionEngineError, leaving typed errors as-is
+ */
+export function toActionEngineError(error, message = 'Request failed') {
+    if (error instanceof ActionEngineError) {
+        return error
+    }
+
+    return new ActionEngineError(error?.message || message, { cause: error })
+}
+
+/**
+ * Seconds to wait, from the Retry-After header (seconds or HTTP date) or the body
+ */
+function retryAfterOf(response, data) {
+    const header = response.headers?.get?.('Retry-After')
+
+    if (header) {
+        const seconds = Number(header)
+
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds)
+        }
+
+        const date = Date.parse(header)
+
+        if (!Number.isNaN(date)) {
+            return Math.max(0, Math.ceil((date - Date.now()) / 1000))
+        }
+    }
+
+    return Number.isFinite(data?.retry_after) ? data.retry_after : null
+}
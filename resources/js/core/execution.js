@@ -0,0 +1,181 @@
+/**
+ * Execution helpers shared by the store and the framework bindings.
+ */
+
+export const IN_PROGRESS_STATUSES = ['pending', 'processing']
+
+export const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'partially_completed']
+
+/**
+ * Check if an execution is still running
+ */
+export function isInProgress(execution) {
+    return IN_PROGRESS_STATUSES.includes(execution?.status)
+}
+
+/**
+ * Check if an execution has finished
+ */
+export function isComplete(execution) {
+    return FINISHED_STATUSES.includes(execution?.status)
+}
+
+/**
+ * Check if an execution is waiting for its scheduled time
+ */
+export function isScheduled(execution) {
+    return execution?.status === 'scheduled'
+}
+
+/**
+ * Milliseconds until a scheduled execution starts (0 once it is due, null
+ * when it is not scheduled)
+ */
+export function scheduledTimeRemaining(execution, now = Date.now()) {
+    if (!isScheduled(execution) || !execution.scheduled_for) return null
+
+    return Math.max(0, new Date(execution.scheduled_for).getTime() - now)
+}
+
+/**
+ * The browser's IANA timezone, e.g. `Europe/Paris`
+ */
+export function localTimezone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone
+}
+
+/**
+ * `YYYY-MM-DDTHH:mm` wall-clock time of a date in a timezone, as used by
+ * `<input type="datetime-local">` and read back by reschedule()
+ */
+export function toLocalDateTime(date, timeZone = localTimezone()) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+        }).formatToParts(new Date(date)).map(part => [part.type, part.value]),
+    )
+
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`
+}
+
+/**
+ * Readable start time of a scheduled execution, in its own timezone
+ */
+export function formatScheduledFor(execution, locale = undefined) {
+    if (!execution?.scheduled_for) return ''
+
+    return new Intl.DateTimeFormat(locale, {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: execution.scheduled_timezone || undefined,
+        timeZoneName: execution.scheduled_timezone ? 'short' : undefined,
+    }).format(new Date(execution.scheduled_for))
+}
+
+/**
+ * Check if an execution can still be undone
+ */
+export function isUndoable(execution, now = Date.now()) {
+    // A scheduled action has nothing to undo until it has run
+    if (!execution?.can_undo || isScheduled(execution)) return false
+
+    return !execution.undo_expires_at || new Date(execution.undo_expires_at).getTime() > now
+}
+
+/**
+ * Milliseconds left in an execution's undo window (0 once it has passed,
+ * null without a deadline)
+ */
+export function undoTimeRemaining(execution, now = Date.now()) {
+    if (!execution?.undo_expires_at) return null
+
+    return Math.max(0, new Date(execution.undo_expires_at).getTime() - now)
+}
+
+/**
+ * Short countdown text for a duration in ms: `2d 4h`, `3h 12m`, `4:05`
+ */
+export function formatCountdown(ms) {
+    if (ms === null || ms === undefined) return ''
+
+    const seconds = Math.ceil(Math.max(0, ms) / 1000)
+    const days = Math.floor(seconds / 86400)
+    const hours = Math.floor((seconds % 86400) / 3600)
+    const minutes = Math.floor((seconds % 3600) / 60)
+
+    if (days) return `${days}d ${hours}h`
+    if (hours) return `${hours}h ${minutes}m`
+
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+// Stored builder condition types and their request filter keys
+const REPLAY_FILTERS = {
+    basic: 'where',
+    whereIn: 'where_in',
+    whereNotIn: 'where_not_in',
+    whereBetween: 'where_between',
+    whereNull: 'where_null',
+    whereNotNull: 'where_not_null',
+}
+
+/**
+ * Execute payload re-running a past execution, from its stored `filters`
+ * and `parameters` (load it with `include_filters` / `include_parameters`)
+ */
+export function replayPayload(execution, options = {}) {
+    const filters = {}
+
+    if (execution.filters?.ids?.length) {
+        filters.ids = execution.filters.ids
+    }
+
+    for (const condition of execution.filters?.where || []) {
+        const key = REPLAY_FILTERS[condition.type]
+
+        if (!key) continue
+
+        const value = condition.type === 'basic'
+            ? [condition.column, condition.operator, condition.value]
+            : ['whereNull', 'whereNotNull'].includes(condition.type)
+                ? condition.column
+                : [condition.column, condition.values]
+
+        filters[key] = [...(filters[key] || []), value]
+    }
+
+    return {
+        action: execution.action_name,
+        model: execution.model_type,
+        filters,
+        parameters: execution.parameters || {},
+        options,
+    }
+}
+
+/**
+ * Computed progress for an execution
+ */
+export function toProgress(execution) {
+    if (!execution) return null
+
+    return {
+        uuid: execution.uuid,
+        status: execution.status,
+        percentage: execution.progress_percentage || 0,
+        processed: execution.processed_records || 0,
+        failed: execution.failed_records || 0,
+        total: execution.total_records || 0,
+        canUndo: execution.can_undo,
+        undoExpiresAt: execution.undo_expires_at,
+    }
+}
@@ -0,0 +1,62 @@
+/**
+ * Idempotent submissions of `execute()`.
+ *
+ * Each logical submission gets an idempotency key, sent as the
+ * `Idempotency-Key` header: the server answers a repeated key with the
+ * execution the first request started instead of starting another. The
+ * client retries a submission that got no answer with the same key, and
+ * identical submissions made while one is in flight share its request.
+ */
+
+import { NetworkError } from './errors.js'
+
+/**
+ * A new random key (a v4 UUID)
+ */
+export function createIdempotencyKey() {
+    if (typeof globalThis.crypto?.randomUUID === 'function') {
+        return globalThis.crypto.randomUUID()
+    }
+
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+        const random = Math.floor(Math.random() * 16)
+
+        return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16)
+    })
+}
+
+/**
+ * JSON with object keys sorted, so that equal payloads give equal strings
+ */
+export function submissionKey(payload) {
+    return JSON.stringify(payload ?? null, (key, value) => (value && typeof value === 'object' && !Array.isArray(value)
+        ? Object.fromEntries(Object.keys(value).sort().map(name => [name, value[name]]))
+        : value))
+}
+
+/**
+ * Run `task` unless one is already running under `key`, in which case
+ * its promise is shared
+ *
+ * @param {Map<string, Promise>} pending Promises in flight, by key
+ */
+export function dedupe(pending, key, task) {
+    if (pending.has(key)) return pending.get(key)
+
+    const promise = Promise.resolve()
+        .then(task)
+        .finally(() => pending.delete(key))
+
+    pending.set(key, promise)
+
+    return promise
+}
+
+/**
+ * Whether a failed submission may be sent again with its key: it got no
+ * answer, another request with the key was still being processed (409), or
+ * a gateway gave up waiting for the app
+ */
+export function isRetryableSubmission(error) {
+    return error instanceof NetworkError || [409, 502, 503, 504].includes(error?.status)
+}
@@ -0,0 +1,1704 @@
+/**
+ * Type definitions for the Action Engine JS core.
+ *
+ * Execution fields, statuses and per-action parameters come from the
+ * generated `schema.d.ts`; run `php artisan action-engine:types` after
+ * registering actions to regenerate it.
+ */
+
+import type { ActionParameterMap, BulkActionExecutionFields, BulkActionStatus } from './schema'
+
+export type { ActionParameterMap, BulkActionExecutionFields, BulkActionStatus } from './schema'
+
+// ---------------------------------------------------------------------------
+// Executions
+// ---------------------------------------------------------------------------
+
+/** A registered action name, with autocompletion for the generated ones */
+export type ActionName = keyof ActionParameterMap | (string & {})
+
+/** Parameters of an action: the generated shape, or a plain record for unknown actions */
+export type ParametersOf<A> = A extends keyof ActionParameterMap
+    ? ActionParameterMap[A]
+    : Record<string, unknown>
+
+export type InProgressStatus = 'pending' | 'processing'
+export type FinishedStatus = 'completed' | 'failed' | 'cancelled' | 'partially_completed'
+
+export interface ExecutionErrorDetails {
+    message?: string
+    [key: string]: unknown
+}
+
+type ExecutionBase = Omit<BulkActionExecutionFields, 'status' | 'error_details'>
+
+/** An execution as returned by BulkActionExecutionResource, discriminated on `status` */
+export type BulkActionExecution =
+    | (ExecutionBase & { status: 'pending' | 'scheduled' | 'processing'; error_details?: undefined })
+    | (ExecutionBase & { status: 'completed' | 'partially_completed'; error_details?: undefined })
+    | (ExecutionBase & { status: 'cancelled'; error_details?: undefined })
+    | (ExecutionBase & { status: 'failed'; error_details?: ExecutionErrorDetails | null })
+    | (ExecutionBase & { status: Exclude<BulkActionStatus, InProgressStatus | FinishedStatus | 'scheduled'> })
+
+/** Narrow an execution to a set of statuses */
+export type ExecutionWithStatus<S extends BulkActionStatus> = Extract<BulkActionExecution, { status: S }>
+
+export interface Progress {
+    uuid: string | null
+    status: BulkActionStatus | null
+    percentage: number
+    processed: number
+    failed: number
+    total: number
+    canUndo: boolean
+    undoExpiresAt: string | null
+}
+
+/** Response of `GET /{uuid}/progress` (ProgressTracker::getDetails) */
+export interface ProgressDetails {
+    uuid: string
+    status: BulkActionStatus
+    total_records: number
+    processed_records: number
+    failed_records: number
+    progress_percentage: number
+    /** Human-readable, e.g. `2 minutes` */
+    estimated_time_remaining: string | null
+    batches: { total: number; completed: number; processing: number; failed: number; pending: number }
+    started_at: string | null
+    elapsed_time: string | null
+}
+
+export const IN_PROGRESS_STATUSES: InProgressStatus[]
+export const FINISHED_STATUSES: FinishedStatus[]
+
+export function isInProgress(execution: BulkActionExecution | null | undefined): execution is ExecutionWithStatus<InProgressStatus>
+export function isComplete(execution: BulkActionExecution | null | undefined): execution is ExecutionWithStatus<FinishedStatus>
+export function isUndoable(execution: BulkActionExecution | null | undefined, now?: number): boolean
+/** Milliseconds left to undo, 0 once the window has passed, null without a deadline */
+export function undoTimeRemaining(execution: BulkActionExecution | null | undefined, now?: number): number | null
+/** `2d 4h`, `3h 12m` or `4:05` */
+export function formatCountdown(ms: number | null | undefined): string
+/** Execute payload re-running an execution loaded with `include_filters` / `include_parameters` */
+export function replayPayload(execution: BulkActionExecution, options?: ExecuteOptions): ExecutePayload
+export function toProgress(execution: BulkActionExecution | null | undefined): Progress
+export function isScheduled(execution: BulkActionExecution | null | undefined): execution is ExecutionWithStatus<'scheduled'>
+/** Milliseconds until a scheduled execution starts, null unless scheduled */
+export function scheduledTimeRemaining(execution: BulkActionExecution | null | undefined, now?: number): number | null
+/** The browser's IANA timezone, e.g. `Europe/Paris` */
+export function localTimezone(): string
+/** `YYYY-MM-DDTHH:mm` in `timeZone`, for `<input type="datetime-local">` */
+export function toLocalDateTime(date: Date | string | number | null | undefined, timeZone?: string): string
+/** The scheduled time, shown in the execution's own timezone when it has one */
+export function formatScheduledFor(execution: BulkActionExecution | null | undefined, locale?: string): string
+
+// ---------------------------------------------------------------------------
+// Payloads
+// ---------------------------------------------------------------------------
+
+export type WhereCondition = [column: string, value: unknown] | [column: string, operator: string, value: unknown]
+
+export interface Filters {
+    ids?: Array<number | string>
+    where?: WhereCondition[]
+    where_in?: Array<[column: string, values: unknown[]]>
+    where_not_in?: Array<[column: string, values: unknown[]]>
+    where_between?: Array<[column: string, range: [unknown, unknown]]>
+    where_null?: string[]
+    where_not_null?: string[]
+}
+
+export interface ExecuteOptions {
+    batch_size?: number
+    with_undo?: boolean
+    undo_expiry_days?: number
+    sync?: boolean
+    dry_run?: boolean
+    schedule_for?: string
+    schedule_timezone?: string
+    /** Actions to run after this one, on the same records */
+    chain?: ChainStep[]
+}
+
+export interface ExecutePayload<A extends ActionName = ActionName> {
+    action: A
+    model: string
+    filters?: Filters
+    parameters?: Partial<ParametersOf<A>>
+    options?: ExecuteOptions
+}
+
+export interface PreviewPayload<A extends ActionName = ActionName> {
+    action: A
+    model: string
+    filters?: Filters
+    parameters?: Partial<ParametersOf<A>>
+    preview_limit?: number
+}
+
+export interface PreviewResult<A extends ActionName = ActionName> {
+    total_count: number
+    preview: Array<Record<string, unknown>>
+    action: A
+    model: string
+    parameters: Partial<ParametersOf<A>>
+    filters: { ids?: Array<number | string>; where?: Array<Record<string, unknown>> }
+    /** Before/after values of the `preview` records, null for actions that cannot tell their changes */
+    changes?: ChangePreviewRow[] | null
+    safety?: SafetyAssessment
+}
+
+/** SafetyManager::getConfirmationPrompt() */
+export interface ConfirmationPrompt {
+    title: string
+    message: string
+    confirmText: string
+    requiresTyping: boolean
+    typeText: string
+    showWarning: boolean
+    warningLevel: 'high' | 'critical'
+}
+
+/** SafetyManager::assess(), returned with previews */
+export interface SafetyAssessment {
+    destructive: boolean
+    requires_confirmation: boolean
+    requires_typing: boolean
+    requires_dry_run: boolean
+    threshold: number
+    prompt: ConfirmationPrompt | null
+}
+
+export interface UndoResult {
+    restored_count: number
+    execution: BulkActionExecution
+}
+
+export interface UndoCheck {
+    can_undo: boolean
+    /** Human-readable, e.g. "6 days from now" */
+    time_remaining: string | null
+    undoable_count: number
+    expires_at: string | null
+}
+
+export interface PaginationMeta {
+    current_page: number
+    last_page: number
+    per_page: number
+    total: number
+}
+
+export interface ListQuery {
+    status?: BulkActionStatus | null
+    action?: ActionName | null
+    model?: string | null
+    page?: number
+    per_page?: number | null
+    include_filters?: boolean | null
+    include_parameters?: boolean | null
+}
+
+// ---------------------------------------------------------------------------
+// Errors
+// ---------------------------------------------------------------------------
+
+/** Laravel error bag, `{ field: [messages] }` */
+export type ErrorBag = Record<string, string[]>
+
+export interface ErrorDetails {
+    status?: number | null
+    data?: Record<string, unknown> | null
+    errors?: ErrorBag
+    cause?: unknown
+}
+
+export class ActionEngineError extends Error {
+    constructor(message: string, details?: ErrorDetails)
+    /** HTTP status, null when no response was received */
+    status: number | null
+    data: Record<string, unknown> | null
+    errors: ErrorBag
+    has(field: string): boolean
+    first(field: string): string | null
+    readonly fieldErrors: Record<string, string>
+    toJSON(): { name: string; message: string; status: number | null; errors: ErrorBag }
+}
+
+export class ValidationError extends ActionEngineError {
+    status: 422
+}
+
+export class AuthorizationError extends ActionEngineError {
+    status: 401 | 403
+    readonly isUnauthenticated: boolean
+}
+
+export class NotFoundError extends ActionEngineError {
+    status: 404
+}
+
+export class RateLimitedError extends ActionEngineError {
+    constructor(message: string, details?: ErrorDetails & { retryAfter?: number | null })
+    status: 429
+    /** Seconds until a retry is allowed, when the server said so */
+    retryAfter: number | null
+    retryAt: Date | null
+}
+
+export class UndoExpiredError extends ActionEngineError {
+    constructor(message?: string, details?: ErrorDetails)
+}
+
+export class NetworkError extends ActionEngineError {}
+
+export function errorFromResponse(
+    response: Response,
+    data: Record<string, unknown> | null,
+    options?: { message?: string; types?: Record<number, new (message: string, details?: ErrorDetails) => ActionEngineError> },
+): ActionEngineError
+
+export function toActionEngineError(error: unknown, message?: string): ActionEngineError
+
+// ---------------------------------------------------------------------------
+// Client
+// ---------------------------------------------------------------------------
+
+export interface TransportRequest {
+    method: string
+    url: string
+    headers: Record<string, string>
+    /** JSON encoded */
+    body?: string
+    credentials: RequestCredentials
+    signal?: AbortSignal
+    /** Set for file downloads */
+    binary?: boolean
+    /** Download progress, for transports without a `body` stream */
+    onProgress?: (progress: DownloadProgress) => void
+}
+
+export interface TransportResponse {
+    ok: boolean
+    status: number
+    headers: { get(name: string): string | null }
+    json(): Promise<any>
+    /** Needed for file downloads, unless `blob()` is given */
+    body?: ReadableStream<Uint8Array> | null
+    blob?(): Promise<Blob>
+    arrayBuffer?(): Promise<ArrayBuffer>
+}
+
+export type Transport = (request: TransportRequest) => Promise<TransportResponse>
+
+type MaybePromise<T> = T | Promise<T>
+
+export interface ClientConfig {
+    apiPrefix?: string
+    /** Origin of a cross-origin API, e.g. `https://api.example.com` */
+    baseUrl?: string
+    transport?: Transport
+    /** axios, ky or fetch-compatible instance */
+    http?: unknown
+    fetch?: typeof fetch
+    headers?: Record<string, string> | (() => MaybePromise<Record<string, string>>)
+    /** Bearer token; nothing is read from web storage unless set (see `storageToken()`) */
+    token?: string | null | (() => MaybePromise<string | null | undefined>)
+    credentials?: RequestCredentials
+    /** Fetch Sanctum's CSRF cookie first; a string overrides `/sanctum/csrf-cookie` */
+    sanctum?: boolean | string
+    /** Times execute() resends a submission that got no answer, with the same key (defaults to 2) */
+    executeRetries?: number
+    /** Delay before the first resend in ms, doubling each time (defaults to 500) */
+    retryDelay?: number
+}
+
+export const DEFAULT_API_PREFIX: string
+export const DEFAULT_CSRF_COOKIE_PATH: string
+
+export function fetchTransport(fetchImpl?: typeof fetch | null): Transport
+export function axiosTransport(axios: unknown): Transport
+export function kyTransport(ky: unknown): Transport
+export function createTransport(http?: unknown): Transport
+export function readCookie(name: string): string | null
+export function csrfHeaders(): Record<string, string>
+export function storageToken(key?: string): () => string | null
+
+export class ActionEngineClient {
+    constructor(config?: ClientConfig)
+    apiPrefix: string
+    baseUrl: string
+    transport: Transport
+    credentials: RequestCredentials
+    getAuthHeaders(): Promise<Record<string, string>>
+    ensureCsrfCookie(refresh?: boolean): Promise<void>
+    url(path?: string, query?: Record<string, unknown> | null): string
+    request<T = unknown>(method: string, path?: string, init?: {
+        body?: unknown
+        query?: Record<string, unknown>
+        headers?: Record<string, string>
+        errorMessage?: string
+        errorTypes?: Record<number, new (message: string, details?: ErrorDetails) => ActionEngineError>
+        signal?: AbortSignal
+    }): Promise<T>
+    list(query?: ListQuery): Promise<{ data: BulkActionExecution[]; meta: PaginationMeta }>
+    actions(): Promise<Record<string, ActionMetadata>>
+    /** One idempotent submission: resent with the same key when it gets no answer, shared with identical calls in flight */
+    execute<A extends ActionName>(payload: ExecutePayload<A>, options?: { idempotencyKey?: string }): Promise<BulkActionExecution>
+    preview<A extends ActionName>(payload: PreviewPayload<A>): Promise<PreviewResult<A>>
+    previewChanges<A extends ActionName>(payload: Omit<PreviewPayload<A>, 'preview_limit'>, query?: { page?: number; per_page?: number }): Promise<ChangePreviewPage>
+    show(uuid: string, query?: { include_filters?: boolean; include_parameters?: boolean }): Promise<BulkActionExecution>
+    cancel(uuid: string): Promise<BulkActionExecution>
+    scheduled(query?: { hours?: number | null }): Promise<BulkActionExecution[]>
+    reschedule(uuid: string, scheduledFor: Date | string, timezone?: string | null): Promise<BulkActionExecution>
+    failures(uuid: string, query?: FailureQuery): Promise<FailurePage>
+    retryFailed(uuid: string, payload?: RetryFailedPayload): Promise<BulkActionExecution>
+    chain(uuid: string, options?: { signal?: AbortSignal }): Promise<ChainTimeline>
+    cancelChain(uuid: string): Promise<ChainTimeline>
+    undoChain(uuid: string): Promise<ChainUndoResult>
+    progress(uuid: string, options?: { signal?: AbortSignal }): Promise<ProgressDetails>
+    batchProgress(uuids: string[], options?: { signal?: AbortSignal }): Promise<Record<string, ProgressDetails>>
+    undo(uuid: string): Promise<UndoResult>
+    checkUndo(uuid: string): Promise<UndoCheck>
+    requestFile(method: string, path?: string, init?: FileRequestInit & {
+        body?: unknown
+        query?: Record<string, unknown>
+        errorMessage?: string
+    }): Promise<DownloadedFile>
+    exportFormats(): Promise<ExportFormat[]>
+    download(uuid: string, options?: FileRequestInit): Promise<DownloadedFile>
+    streamExport(payload: StreamExportPayload, options?: Omit<FileRequestInit, 'filename'>): Promise<DownloadedFile>
+    monitoringOverview(query?: MonitoringQuery & { range?: '1h' | '6h' | '24h' | '7d' | '30d' }, options?: { signal?: AbortSignal }): Promise<MonitoringOverview>
+    monitoringMetrics(options?: { signal?: AbortSignal }): Promise<MonitoringMetrics>
+    monitoringHealth(options?: { signal?: AbortSignal }): Promise<MonitoringHealth>
+    monitoringActions(query?: MonitoringQuery, options?: { signal?: AbortSignal }): Promise<ActionBreakdownRow[]>
+    monitoringUsers(query?: MonitoringQuery & { limit?: number | null }, options?: { signal?: AbortSignal }): Promise<UserActivityRow[]>
+    monitoringTrends(query?: MonitoringQuery, options?: { signal?: AbortSignal }): Promise<PerformanceTrend[]>
+}
+
+// ---------------------------------------------------------------------------
+// Idempotent submissions
+// ---------------------------------------------------------------------------
+
+/** A random v4 UUID, sent as the `Idempotency-Key` header */
+export function createIdempotencyKey(): string
+/** JSON with sorted object keys, equal for equal payloads */
+export function submissionKey(payload: unknown): string
+/** Run `task` unless one runs under `key` already, sharing its promise */
+export function dedupe<T>(pending: Map<string, Promise<T>>, key: string, task: () => T | Promise<T>): Promise<T>
+/** Whether a failed submission may be resent with its key (no answer, 409, 502, 503, 504) */
+export function isRetryableSubmission(error: unknown): boolean
+
+// ---------------------------------------------------------------------------
+// Downloads
+// ---------------------------------------------------------------------------
+
+export interface DownloadProgress {
+    loaded: number
+    /** Null without a Content-Length (streamed exports) */
+    total: number | null
+    percentage: number | null
+}
+
+export interface DownloadedFile {
+    blob: Blob
+    filename: string
+    /** Media type without parameters, e.g. `text/csv` */
+    contentType: string | null
+    size: number
+}
+
+export interface FileRequestInit {
+    onProgress?: (progress: DownloadProgress) => void
+    /** Filename when the response does not name one */
+    filename?: string
+    signal?: AbortSignal
+}
+
+export interface ExportFormat {
+    format: string
+    extension: string
+    mime_type: string
+}
+
+export interface ExportParameters {
+    format?: string
+    filename?: string | null
+    columns?: string[] | string
+}
+
+export interface StreamExportPayload {
+    model: string
+    filters?: Filters
+    parameters?: ExportParameters
+}
+
+export function parseContentDisposition(header: string | null | undefined): string | null
+export function mediaType(header: string | null | undefined): string | null
+export function toDownloadProgress(loaded: number, total?: number | null): DownloadProgress
+export function readFile(response: TransportResponse, options?: Omit<FileRequestInit, 'signal'>): Promise<DownloadedFile>
+export function saveFile(file: DownloadedFile): void
+
+// ---------------------------------------------------------------------------
+// Stores
+// ---------------------------------------------------------------------------
+
+export type Unsubscribe = () => void
+
+export class Observable<S, E extends Record<string, unknown> = Record<string, unknown>> {
+    constructor(initialState?: S)
+    state: S
+    getState(): S
+    subscribe(listener: (state: S) => void): Unsubscribe
+    setState(partial: Partial<S>): void
+    on<K extends keyof E>(event: K, handler: (payload: E[K]) => void): Unsubscribe
+    emit<K extends keyof E>(event: K, payload: E[K]): void
+}
+
+export type StorageLike = Pick<Storage, 'getItem' | 'setItem' | 'removeItem'>
+    | { getItem(key: string): Promise<string | null>; setItem(key: string, value: string): Promise<void>; removeItem(key: string): Promise<void> }
+
+export interface PollOptions {
+    /** Base delay between polls in ms */
+    interval?: number
+    minInterval?: number
+    maxInterval?: number
+    /** Shortest delay while the page is hidden */
+    hiddenInterval?: number
+    /** Longest delay after failures */
+    maxBackoff?: number
+    /** Consecutive failures before the connection counts as lost */
+    maxFailures?: number
+    /** Random spread of the backoff delay, as a fraction */
+    jitter?: number
+}
+
+export interface PollingOptions extends Omit<PollOptions, 'interval'> {
+    /** `false` to keep polling at `pollInterval` */
+    adaptive?: boolean
+}
+
+export interface ProgressSample {
+    processed_records: number
+    total_records: number
+    at: number
+}
+
+export const DEFAULT_POLL_OPTIONS: Required<PollOptions>
+
+export function backoffDelay(failures: number, options?: PollOptions, random?: () => number): number
+export function adaptiveInterval(previous: ProgressSample | null | undefined, current: ProgressSample, lastDelay?: number, options?: PollOptions): number
+
+export class PollScheduler {
+    constructor(task: (signal: AbortSignal) => Promise<number | void>, options?: PollOptions)
+    options: Required<PollOptions>
+    delay: number
+    isRunning: boolean
+    failures: number
+    connectionLost: boolean
+    onConnectionChange(handler: (connectionLost: boolean, error: unknown) => void): Unsubscribe
+    start(interval?: number): void
+    stop(): void
+    poll(): Promise<void>
+}
+
+export interface TrackingOptions {
+    /** Laravel Echo instance, `false` to always poll */
+    echo?: object | false
+    channelPrefix?: string
+    /** Base polling interval in ms */
+    pollInterval?: number
+    polling?: PollingOptions
+    /** `'session'` / `true`, `'local'` or a Storage-like object */
+    persist?: boolean | 'session' | 'local' | StorageLike
+    persistKey?: string
+    /** Let only one tab poll each execution (a string names the channel) */
+    syncTabs?: boolean | string
+}
+
+export interface RunOptions {
+    /** `false` to skip progress tracking */
+    poll?: boolean
+    /** Key of the submission, generated when not given */
+    idempotencyKey?: string
+}
+
+export interface ExecutionStoreState {
+    execution: BulkActionExecution | null
+    isLoading: boolean
+    error: ActionEngineError | null
+    isRealtime: boolean
+    connectionLost: boolean
+}
+
+export interface ExecutionEvents {
+    /** After execute(), with the payload it was called with */
+    submitted: { execution: BulkActionExecution; payload: ExecutePayload }
+    started: BulkActionExecution
+    restored: BulkActionExecution
+    opened: BulkActionExecution
+    progress: BulkActionExecution
+    completed: BulkActionExecution
+    cancelled: BulkActionExecution
+    rescheduled: BulkActionExecution
+    undone: UndoResult
+    error: ActionEngineError
+    [event: string]: unknown
+}
+
+export class ExecutionStore extends Observable<ExecutionStoreState, ExecutionEvents> {
+    constructor(client?: ActionEngineClient, options?: TrackingOptions)
+    client: ActionEngineClient
+    tracker: ExecutionTracker
+    readonly progress: Progress
+    readonly isInProgress: boolean
+    readonly isComplete: boolean
+    execute<A extends ActionName>(payload: ExecutePayload<A>, options?: RunOptions): Promise<BulkActionExecution>
+    restore(): Promise<BulkActionExecution | null>
+    open(executionOrUuid: BulkActionExecution | string): Promise<BulkActionExecution | null>
+    /** Rejects with an ActionEngineError, also set as `error` */
+    fetchProgress(): Promise<void>
+    startTracking(): void
+    stopTracking(): void
+    cancel(): Promise<BulkActionExecution | undefined>
+    reschedule(scheduledFor: Date | string, timezone?: string | null): Promise<BulkActionExecution | undefined>
+    /** Run the current action again on its failed records; the retry becomes the current execution */
+    retryFailed(payload?: RetryFailedPayload): Promise<BulkActionExecution | undefined>
+    undo(): Promise<UndoResult | undefined>
+    preview<A extends ActionName>(payload: PreviewPayload<A>): Promise<PreviewResult<A>>
+    startPolling(intervalMs?: number): void
+    stopPolling(): void
+    reset(): void
+    destroy(): void
+}
+
+export interface ExecutionManagerState {
+    executions: Record<string, BulkActionExecution>
+    loading: Record<string, boolean>
+    errors: Record<string, ActionEngineError | null>
+    isLoading: boolean
+    error: ActionEngineError | null
+    isRealtime: boolean
+    connectionLost: boolean
+}
+
+export class ExecutionManager extends Observable<ExecutionManagerState, ExecutionEvents> {
+    constructor(client?: ActionEngineClient, options?: TrackingOptions)
+    client: ActionEngineClient
+    tracker: ExecutionTracker
+    readonly activeUuids: string[]
+    get(uuid: string): BulkActionExecution | null
+    progressOf(uuid: string): Progress
+    execute<A extends ActionName>(payload: ExecutePayload<A>, options?: RunOptions): Promise<BulkActionExecution>
+    track(executionOrUuid: BulkActionExecution | string): Promise<BulkActionExecution | null>
+    restore(): Promise<BulkActionExecution[]>
+    /** Rejects with an ActionEngineError, also set as `error` */
+    fetchProgress(): Promise<void>
+    cancel(uuid: string): Promise<BulkActionExecution | undefined>
+    reschedule(uuid: string, scheduledFor: Date | string, timezone?: string | null): Promise<BulkActionExecution | undefined>
+    retryFailed(uuid: string, payload?: RetryFailedPayload): Promise<BulkActionExecution>
+    undo(uuid: string): Promise<UndoResult | undefined>
+    remove(uuid: string): void
+    clearFinished(): void
+    reset(): void
+    destroy(): void
+    startPolling(intervalMs?: number): void
+    stopPolling(): void
+}
+
+export interface ExecutionHistoryState {
+    items: BulkActionExecution[]
+    meta: PaginationMeta | null
+    filters: { status: BulkActionStatus | null; action: ActionName | null; model: string | null }
+    page: number
+    perPage: number | null
+    includeFilters: boolean
+    includeParameters: boolean
+    isLoading: boolean
+    error: ActionEngineError | null
+}
+
+export interface HistoryOptions {
+    filters?: Partial<ExecutionHistoryState['filters']>
+    perPage?: number
+    includeFilters?: boolean
+    includeParameters?: boolean
+}
+
+export const HISTORY_FILTERS: Array<'status' | 'action' | 'model'>
+
+export class ExecutionHistory extends Observable<ExecutionHistoryState, { loaded: BulkActionExecution[]; error: ActionEngineError }> {
+    constructor(client?: ActionEngineClient, options?: HistoryOptions)
+    client: ActionEngineClient
+    readonly hasNextPage: boolean
+    readonly hasPreviousPage: boolean
+    readonly query: ListQuery
+    load(page?: number): Promise<BulkActionExecution[] | undefined>
+    refresh(): Promise<BulkActionExecution[] | undefined>
+    goToPage(page: number): Promise<BulkActionExecution[] | undefined>
+    nextPage(): Promise<BulkActionExecution[] | undefined | void>
+    previousPage(): Promise<BulkActionExecution[] | undefined | void>
+    setFilters(filters: Partial<ExecutionHistoryState['filters']>): Promise<BulkActionExecution[] | undefined>
+    clearFilters(): Promise<BulkActionExecution[] | undefined>
+    setPerPage(perPage: number): Promise<BulkActionExecution[] | undefined>
+    setIncludes(includes: { filters?: boolean; parameters?: boolean }): Promise<BulkActionExecution[] | undefined>
+    replace(execution: BulkActionExecution): void
+    reset(): void
+}
+
+export class ExecutionTracker {
+    constructor(client: ActionEngineClient, options?: TrackingOptions)
+    readonly pollableUuids: string[]
+    readonly isConnectionLost: boolean
+    isRealtime: boolean
+    scheduler: PollScheduler
+    onUpdate(handler: (uuid: string, details: Partial<BulkActionExecution>, event: string | null) => void): Unsubscribe
+    onRealtimeChange(handler: (isRealtime: boolean) => void): Unsubscribe
+    onConnectionChange(handler: (connectionLost: boolean, error: unknown) => void): Unsubscribe
+    /** `refresh()` failed */
+    onError(handler: (error: ActionEngineError) => void): Unsubscribe
+    track(uuid: string): void
+    /** Start tracking once `time` is reached */
+    trackAt(uuid: string, time: Date | string | number): void
+    untrack(uuid: string): void
+    untrackAll(): void
+    has(uuid: string): boolean
+    /** Rejects with an ActionEngineError, also sent to `onError` */
+    refresh(uuids?: string[]): Promise<void>
+    fetch(uuids: string[], signal?: AbortSignal): Promise<Record<string, ProgressDetails>>
+    poll(signal?: AbortSignal): Promise<number | undefined>
+    startPolling(intervalMs?: number): void
+    stopPolling(): void
+    destroy(): void
+}
+
+export const DEFAULT_TAB_CHANNEL: string
+
+export class TabSync {
+    constructor(name?: string)
+    claim(uuid: string, onAcquired: () => void): void
+    release(uuid: string): void
+    owns(uuid: string): boolean
+    publish(message: unknown): void
+    onMessage(handler: (message: any) => void): Unsubscribe
+    close(): void
+}
+
+export const DEFAULT_PERSIST_KEY: string
+export function resolveStorage(storage: TrackingOptions['persist']): StorageLike | null
+export function shouldPersist(execution: BulkActionExecution | null | undefined): boolean
+
+export class ExecutionPersistence {
+    constructor(storage: TrackingOptions['persist'], key?: string)
+    load(): Promise<string[]>
+    add(uuid: string): Promise<void>
+    remove(uuid: string): Promise<void>
+    update(execution: BulkActionExecution | null): void
+    onError(handler: (error: ActionEngineError) => void): Unsubscribe
+}
+
+// ---------------------------------------------------------------------------
+// Realtime
+// ---------------------------------------------------------------------------
+
+export const DEFAULT_CHANNEL_PREFIX: string
+export const BROADCAST_EVENTS: Array<'progress' | 'completed' | 'failed'>
+export function resolveEcho(echo?: object | false): any
+export function isEchoConnected(echo: any): boolean
+export function onEchoConnectionChange(echo: any, callback: (connected: boolean) => void): Unsubscribe
+export function subscribeToExecution(
+    echo: any,
+    uuid: string,
+    handler: (event: 'progress' | 'completed' | 'failed', payload: Record<string, unknown>) => void,
+    channelPrefix?: string,
+): Unsubscribe
+export function mergeBroadcast(execution: BulkActionExecution, event: string, payload?: Record<string, unknown>): BulkActionExecution
+
+// ---------------------------------------------------------------------------
+// Action metadata and parameter forms
+// ---------------------------------------------------------------------------
+
+export type ParameterType =
+    | 'string' | 'text' | 'email' | 'integer' | 'number' | 'boolean'
+    | 'select' | 'date' | 'datetime' | 'array' | 'object'
+
+export interface ParameterDefinition {
+    type?: ParameterType | string
+    label?: string
+    required?: boolean
+    default?: unknown
+    options?: unknown[] | Record<string, string>
+    min?: number
+    max?: number
+    description?: string
+    placeholder?: string
+}
+
+export interface ParameterField {
+    name: string
+    type: ParameterType
+    label: string
+    required: boolean
+    default: unknown
+    options: Array<{ value: unknown; label: string }> | null
+    min: number | null
+    max: number | null
+    description: string | null
+    placeholder: string | null
+}
+
+/** Metadata from ActionRegistry::allWithMetadata() */
+export interface ActionMetadata {
+    name: string
+    label: string
+    supports_undo: boolean
+    undo_type: string | null
+    description: string | null
+    icon: string | null
+    color: string | null
+    confirmation_required: boolean
+    confirmation_message: string | null
+    /** Listed in `safety.destructive_actions` */
+    destructive?: boolean
+    parameters: Record<string, ParameterDefinition | string> | Array<ParameterDefinition & { name: string }> | string[]
+    [key: string]: unknown
+}
+
+export interface ValidationResult {
+    valid: boolean
+    errors: Record<string, string[]>
+}
+
+export const PARAMETER_TYPES: ParameterType[]
+export function humanize(name?: string): string
+export function normalizeField(name: string, definition?: ParameterDefinition | string): ParameterField
+export function parameterFields(action: ActionMetadata | null | undefined): ParameterField[]
+export function defaultValues(fields: ParameterField[]): Record<string, unknown>
+export function coerceValue(field: ParameterField, raw: unknown): unknown
+export function formatValue(field: ParameterField, value: unknown): string
+export function inputText(field: ParameterField, value: unknown, draft?: string): string
+export function inputType(field: ParameterField): string
+export function fieldError(errors: ErrorBag | ActionEngineError | null | undefined, name: string): string | null
+export function cleanParameters<T extends Record<string, unknown>>(values?: T): Partial<T>
+export function validateParameters(fields: ParameterField[], parameters?: Record<string, unknown>): ValidationResult
+export function validatePayload(payload: Partial<ExecutePayload>, actions: Record<string, ActionMetadata>): ValidationResult
+
+export interface ActionCatalogState {
+    actions: Record<string, ActionMetadata>
+    isLoading: boolean
+    error: ActionEngineError | null
+}
+
+export interface CatalogOptions {
+    cacheTtl?: number
+    cache?: boolean
+}
+
+export class ActionCatalog extends Observable<ActionCatalogState, { loaded: Record<string, ActionMetadata>; error: ActionEngineError }> {
+    constructor(client?: ActionEngineClient, options?: CatalogOptions)
+    client: ActionEngineClient
+    readonly list: ActionMetadata[]
+    readonly isLoaded: boolean
+    load(options?: { force?: boolean }): Promise<Record<string, ActionMetadata>>
+    get(name: ActionName): ActionMetadata | null
+    fieldsOf(name: ActionName): ParameterField[]
+    defaultsOf<A extends ActionName>(name: A): Partial<ParametersOf<A>>
+    validate(payload: Partial<ExecutePayload>): ValidationResult
+    static clearCache(): void
+}
+
+// ---------------------------------------------------------------------------
+// Confirmation flow
+// ---------------------------------------------------------------------------
+
+export type ConfirmationStep = 'idle' | 'assessing' | 'dry-run' | 'confirm' | 'executing' | 'done'
+
+export const CONFIRMATION_STEPS: ConfirmationStep[]
+
+export interface ConfirmationAssessment<A extends ActionName = ActionName> extends SafetyAssessment {
+    count: number
+    preview: PreviewResult<A>['preview']
+}
+
+export interface ConfirmationFlowState {
+    step: ConfirmationStep
+    payload: ExecutePayload | null
+    assessment: ConfirmationAssessment | null
+    dryRun: BulkActionExecution | null
+    phrase: string
+    isLoading: boolean
+    error: ActionEngineError | null
+}
+
+export interface ConfirmationFlowOptions extends CatalogOptions {
+    /** Destructive action names, instead of the catalog's `destructive` flags */
+    destructive?: string[]
+    catalog?: ActionCatalog
+    previewLimit?: number
+}
+
+export interface ConfirmationEvents {
+    assessed: ConfirmationAssessment
+    confirmed: BulkActionExecution
+    cancelled: undefined
+    error: ActionEngineError
+    [event: string]: unknown
+}
+
+export function isConfirmationOpen(state: Pick<ConfirmationFlowState, 'step'>): boolean
+export function requiresTyping(state: Pick<ConfirmationFlowState, 'assessment'>): boolean
+export function phraseMatches(state: Pick<ConfirmationFlowState, 'assessment' | 'phrase'>): boolean
+export function canConfirm(state: Pick<ConfirmationFlowState, 'step' | 'assessment' | 'phrase' | 'isLoading'>): boolean
+
+export class ConfirmationFlow extends Observable<ConfirmationFlowState, ConfirmationEvents> {
+    constructor(target: ExecutionStore | ExecutionManager, options?: ConfirmationFlowOptions)
+    target: ExecutionStore | ExecutionManager
+    client: ActionEngineClient
+    readonly isOpen: boolean
+    readonly requiresTyping: boolean
+    readonly phraseMatches: boolean
+    readonly canConfirm: boolean
+    isDestructive(action: string): Promise<boolean>
+    /** Resolves to the execution, or null when cancelled; rejects with an ActionEngineError when the preview fails */
+    start<A extends ActionName>(payload: ExecutePayload<A>, options?: RunOptions): Promise<BulkActionExecution | null>
+    runDryRun(): Promise<BulkActionExecution | null>
+    setPhrase(phrase: string): void
+    confirm(phrase?: string): Promise<BulkActionExecution | null>
+    cancel(): void
+    reset(): void
+}
+
+// ---------------------------------------------------------------------------
+// Export flow
+// ---------------------------------------------------------------------------
+
+export type ExportStep = 'idle' | 'exporting' | 'downloading' | 'done'
+
+export const EXPORT_STEPS: ExportStep[]
+
+export interface ExportFlowState {
+    formats: ExportFormat[]
+    format: string | null
+    step: ExportStep
+    execution: BulkActionExecution | null
+    progress: DownloadProgress | null
+    file: DownloadedFile | null
+    isLoading: boolean
+    error: ActionEngineError | null
+}
+
+export interface ExportFlowOptions {
+    /** Initial format, instead of the first enabled one */
+    format?: string
+    /** `false` to keep downloaded files in state instead of saving them */
+    save?: boolean
+}
+
+export interface ExportFlowEvents {
+    formats: ExportFormat[]
+    exported: BulkActionExecution
+    downloaded: DownloadedFile
+    error: ActionEngineError
+    [event: string]: unknown
+}
+
+export type ExportPayload = Omit<ExecutePayload<'export'>, 'action' | 'parameters'> & { parameters?: ExportParameters }
+
+export function hasExportFile(execution: BulkActionExecution | null | undefined): boolean
+
+export class ExportFlow extends Observable<ExportFlowState, ExportFlowEvents> {
+    constructor(target: ExecutionStore | ExecutionManager, options?: ExportFlowOptions)
+    target: ExecutionStore | ExecutionManager
+    client: ActionEngineClient
+    loadFormats(): Promise<ExportFormat[]>
+    setFormat(format: string): void
+    /** Resolves to the downloaded file, or null when aborted */
+    start(payload: ExportPayload, options?: RunOptions): Promise<DownloadedFile | null>
+    download(executionOrUuid: BulkActionExecution | string): Promise<DownloadedFile | null>
+    stream(payload: StreamExportPayload): Promise<DownloadedFile | null>
+    abort(): void
+    saveFile(file?: DownloadedFile | null): void
+    reset(): void
+    destroy(): void
+}
+
+// ---------------------------------------------------------------------------
+// Row selection
+// ---------------------------------------------------------------------------
+
+export type SelectionMode = 'some' | 'all'
+
+export type RowId = number | string
+
+export interface SelectionState {
+    mode: SelectionMode
+    /** Selected ids in `some` mode */
+    ids: RowId[]
+    /** Ids left out of an "all matching" selection */
+    excluded: RowId[]
+    /** Ids of the rows on screen */
+    page: RowId[]
+    filters: Filters
+    /** Rows matching the filters, as reported by the table */
+    total: number | null
+    version: number
+    verifiedCount: number | null
+    verifiedVersion: number | null
+    isVerifying: boolean
+    error: ActionEngineError | null
+}
+
+export interface SelectionOptions {
+    model?: string
+    /** Primary key column (default `id`) */
+    key?: string
+    /** Action previewed by verify() when none is given */
+    action?: ActionName
+    filters?: Filters
+    /** Verify "all matching" selections after each change, debounced by n ms (300 for `true`) */
+    autoVerify?: boolean | number
+}
+
+export const SELECTION_MODES: SelectionMode[]
+
+export function isRowSelected(state: SelectionState, id: RowId): boolean
+export function isPageSelected(state: SelectionState): boolean
+export function isPagePartiallySelected(state: SelectionState): boolean
+/** The verified count when current, an estimate otherwise */
+export function selectedCount(state: SelectionState): number | null
+export function isCountVerified(state: SelectionState): boolean
+export function selectionFilters(state: SelectionState, key?: string): Filters
+
+export class SelectionStore extends Observable<SelectionState, { changed: SelectionState; verified: number; error: ActionEngineError }> {
+    constructor(client?: ActionEngineClient, options?: SelectionOptions)
+    client: ActionEngineClient
+    model: string | null
+    key: string
+    action: ActionName | null
+    readonly count: number | null
+    readonly isVerified: boolean
+    readonly isPageSelected: boolean
+    readonly isPagePartiallySelected: boolean
+    isSelected(id: RowId): boolean
+    toggle(id: RowId): void
+    select(ids: RowId | RowId[]): void
+    deselect(ids: RowId | RowId[]): void
+    selectPage(): void
+    deselectPage(): void
+    togglePage(): void
+    selectAll(): void
+    clear(): void
+    setPage(ids: RowId[], total?: number | null): void
+    setFilters(filters?: Filters): void
+    setTotal(total: number | null): void
+    toFilters(): Filters
+    toPayload<P extends object>(payload?: P): P & { model: string; filters: Filters }
+    /** Resolves to the exact count, or null when the selection changed meanwhile */
+    verify(action?: ActionName): Promise<number | null>
+    destroy(): void
+}
+
+// ---------------------------------------------------------------------------
+// Undo queue
+// ---------------------------------------------------------------------------
+
+export type UndoStatus = 'available' | 'undoing' | 'undone' | 'redoing'
+
+export interface UndoItem {
+    uuid: string
+    execution: BulkActionExecution
+    status: UndoStatus
+    /** Milliseconds left to undo, null without a deadline or once undone */
+    remaining: number | null
+    /** From the last server check, null until then */
+    undoableCount: number | null
+    restoredCount: number | null
+    undoneAt: number | null
+    error: ActionEngineError | null
+}
+
+export interface UndoQueueState {
+    items: UndoItem[]
+}
+
+export interface UndoQueueOptions {
+    /** `'local'` (default), `'session'`, a Storage-like object or `false` */
+    persist?: boolean | 'session' | 'local' | StorageLike
+    persistKey?: string
+    /** Re-check each item with the server every n ms, `0` to disable (default 30000) */
+    checkInterval?: number
+    /** How long the "restored" confirmation stays, in ms (default 10000) */
+    undoneDuration?: number
+    tickInterval?: number
+}
+
+export interface UndoQueueEvents {
+    added: UndoItem
+    expired: UndoItem
+    undone: UndoResult
+    redone: BulkActionExecution
+    error: ActionEngineError
+    [event: string]: unknown
+}
+
+export type UndoSource = ExecutionStore | ExecutionManager | { store: ExecutionStore } | { manager: ExecutionManager }
+
+export const DEFAULT_UNDO_PERSIST_KEY: string
+export const UNDO_STATUSES: UndoStatus[]
+
+export class UndoQueue extends Observable<UndoQueueState, UndoQueueEvents> {
+    constructor(client?: ActionEngineClient, options?: UndoQueueOptions)
+    client: ActionEngineClient
+    get(uuid: string): UndoItem | null
+    add(execution: BulkActionExecution, source?: ExecutionStore | ExecutionManager | null): UndoItem | null
+    watch(target: UndoSource): Unsubscribe
+    restore(): Promise<Array<UndoItem | null>>
+    check(uuid: string): Promise<UndoCheck>
+    undo(uuid: string): Promise<UndoResult | undefined>
+    redo(uuid: string): Promise<BulkActionExecution | undefined>
+    dismiss(uuid: string): void
+    clear(): void
+    tick(now?: number): void
+    destroy(): void
+}
+
+// ---------------------------------------------------------------------------
+// Failure reports
+// ---------------------------------------------------------------------------
+
+export interface RecordFailure {
+    id: number | string
+    /** Short class name of the exception, `Unknown` for failures recorded without it */
+    type: string
+    message: string | null
+    batch_number: number
+}
+
+export interface FailureGroup {
+    type: string
+    count: number
+    /** A sample message */
+    message: string | null
+}
+
+export interface FailureQuery {
+    type?: string | null
+    page?: number
+    per_page?: number | null
+}
+
+export interface FailurePage {
+    data: RecordFailure[]
+    groups: FailureGroup[]
+    meta: PaginationMeta
+}
+
+export interface RetryFailedOptions {
+    sync?: boolean
+    with_undo?: boolean
+    undo_expiry_days?: number
+}
+
+export interface RetryFailedPayload {
+    /** Only retry the records that failed with this error type */
+    type?: string | null
+    options?: RetryFailedOptions
+}
+
+export interface FailureReportState {
+    uuid: string | null
+    items: RecordFailure[]
+    groups: FailureGroup[]
+    meta: PaginationMeta | null
+    type: string | null
+    page: number
+    perPage: number | null
+    isLoading: boolean
+    isRetrying: boolean
+    error: ActionEngineError | null
+}
+
+export interface FailureReportOptions {
+    perPage?: number
+    /** Only list failures of this error type */
+    type?: string
+}
+
+export interface FailureReportEvents {
+    loaded: RecordFailure[]
+    retried: BulkActionExecution
+    error: ActionEngineError
+    [event: string]: unknown
+}
+
+export class FailureReport extends Observable<FailureReportState, FailureReportEvents> {
+    constructor(client?: ActionEngineClient, options?: FailureReportOptions)
+    client: ActionEngineClient
+    readonly hasNextPage: boolean
+    readonly hasPreviousPage: boolean
+    /** Failed records across every type */
+    readonly total: number
+    open(executionOrUuid: BulkActionExecution | string | null): Promise<RecordFailure[] | undefined | void>
+    load(page?: number): Promise<RecordFailure[] | undefined>
+    refresh(): Promise<RecordFailure[] | undefined>
+    goToPage(page: number): Promise<RecordFailure[] | undefined>
+    nextPage(): Promise<RecordFailure[] | undefined | void>
+    previousPage(): Promise<RecordFailure[] | undefined | void>
+    setType(type: string | null): Promise<RecordFailure[] | undefined>
+    setPerPage(perPage: number): Promise<RecordFailure[] | undefined>
+    retryFailed(options?: RetryFailedOptions): Promise<BulkActionExecution | undefined>
+    handOffTo(target: UndoSource): Unsubscribe
+    reset(): void
+    destroy(): void
+}
+
+// ---------------------------------------------------------------------------
+// Action chains
+// ---------------------------------------------------------------------------
+
+export interface ChainStep<A extends ActionName = ActionName> {
+    action: A
+    parameters?: Partial<ParametersOf<A>>
+}
+
+export type ChainStepInput = ActionName | ChainStep
+
+/** `waiting` steps run after the current one, `skipped` ones were left out after a step stopped */
+export type ChainStepStatus = BulkActionStatus | 'waiting' | 'skipped'
+
+export interface ChainTimelineStep {
+    /** 1-based position in the chain */
+    step: number
+    action_name: string
+    parameters: Record<string, unknown>
+    status: ChainStepStatus
+    /** The step's execution, once it has started */
+    uuid: string | null
+    total_records: number | null
+    processed_records: number
+    failed_records: number
+    progress_percentage: number
+    can_undo: boolean
+    started_at: string | null
+    completed_at: string | null
+    /** Why the step could not start */
+    error: string | null
+}
+
+export interface ChainTimeline {
+    /** uuid of the first step */
+    uuid: string
+    status: ChainStepStatus
+    current_step: number
+    total_steps: number
+    progress_percentage: number
+    steps: ChainTimelineStep[]
+}
+
+export interface ChainUndoResult {
+    undone: Array<{ step: number; uuid: string; action_name: string; restored_count: number }>
+    chain: ChainTimeline
+}
+
+export const CHAIN_STEP_STATUSES: ChainStepStatus[]
+export function isChainRunning(chain: ChainTimeline | null | undefined): boolean
+export function toChainSteps(steps?: ChainStepInput[]): ChainStep[]
+
+export interface ActionChainState {
+    uuid: string | null
+    chain: ChainTimeline | null
+    isLoading: boolean
+    isCancelling: boolean
+    isUndoing: boolean
+    connectionLost: boolean
+    error: ActionEngineError | null
+}
+
+export interface ActionChainOptions {
+    pollInterval?: number
+    polling?: Omit<PollOptions, 'interval'>
+}
+
+export interface ActionChainEvents {
+    started: BulkActionExecution
+    step: ChainTimelineStep
+    completed: ChainTimeline
+    cancelled: ChainTimeline
+    undone: ChainUndoResult
+    error: ActionEngineError
+    [event: string]: unknown
+}
+
+export class ActionChain extends Observable<ActionChainState, ActionChainEvents> {
+    constructor(client?: ActionEngineClient, options?: ActionChainOptions)
+    client: ActionEngineClient
+    scheduler: PollScheduler
+    readonly steps: ChainTimelineStep[]
+    /** The last step that started */
+    readonly currentStep: ChainTimelineStep | null
+    readonly isRunning: boolean
+    readonly canUndo: boolean
+    start<A extends ActionName>(payload: ExecutePayload<A>, steps?: ChainStepInput[]): Promise<ChainTimeline | null>
+    track(executionOrUuid: BulkActionExecution | string | null): Promise<ChainTimeline | null>
+    refresh(): Promise<ChainTimeline | null | undefined>
+    cancel(): Promise<ChainTimeline | null>
+    undo(): Promise<ChainUndoResult | null>
+    stopTracking(): void
+    reset(): void
+    destroy(): void
+}
+
+// ---------------------------------------------------------------------------
+// Change previews
+// ---------------------------------------------------------------------------
+
+export interface ChangePreviewRow {
+    id: number | string
+    before: Record<string, unknown>
+    /** null when the record would be deleted, or the action cannot tell its changes */
+    after: Record<string, unknown> | null
+    /** Attributes whose value would change, null when the action cannot tell */
+    changed: string[] | null
+    deleted: boolean
+}
+
+export interface ChangePreviewPage {
+    data: ChangePreviewRow[]
+    columns: string[]
+    changed_columns: string[]
+    supports_diff: boolean
+    meta: PaginationMeta
+}
+
+export function isColumnChanged(row: ChangePreviewRow | null | undefined, column: string): boolean
+
+export interface ChangePreviewState {
+    payload: ExecutePayload | null
+    rows: ChangePreviewRow[]
+    columns: string[]
+    changedColumns: string[]
+    supportsDiff: boolean
+    meta: PaginationMeta | null
+    page: number
+    perPage: number
+    isLoading: boolean
+    isExecuting: boolean
+    error: ActionEngineError | null
+}
+
+export interface ChangePreviewOptions {
+    perPage?: number
+}
+
+export interface ChangePreviewEvents {
+    loaded: ChangePreviewRow[]
+    executed: BulkActionExecution
+    error: ActionEngineError
+    [event: string]: unknown
+}
+
+export class ChangePreview extends Observable<ChangePreviewState, ChangePreviewEvents> {
+    constructor(target: ExecutionStore | ExecutionManager, options?: ChangePreviewOptions)
+    target: ExecutionStore | ExecutionManager
+    client: ActionEngineClient
+    /** Records the action would run on */
+    readonly total: number
+    readonly hasNextPage: boolean
+    readonly hasPreviousPage: boolean
+    open<A extends ActionName>(payload: ExecutePayload<A> | null): Promise<ChangePreviewRow[] | undefined | void>
+    load(page?: number): Promise<ChangePreviewRow[] | undefined>
+    refresh(): Promise<ChangePreviewRow[] | undefined>
+    goToPage(page: number): Promise<ChangePreviewRow[] | undefined>
+    nextPage(): Promise<ChangePreviewRow[] | undefined | void>
+    previousPage(): Promise<ChangePreviewRow[] | undefined | void>
+    setPerPage(perPage: number): Promise<ChangePreviewRow[] | undefined>
+    execute(options?: RunOptions): Promise<BulkActionExecution | undefined>
+    reset(): void
+    destroy(): void
+}
+
+// ---------------------------------------------------------------------------
+// Scheduled actions
+// ---------------------------------------------------------------------------
+
+export interface ScheduledActionsState {
+    /** Soonest first */
+    items: BulkActionExecution[]
+    hours: number | null
+    /** Advances every `tickInterval`, for countdowns */
+    now: number
+    loading: Record<string, boolean>
+    errors: Record<string, ActionEngineError | null>
+    isLoading: boolean
+    error: ActionEngineError | null
+}
+
+export interface ScheduledActionsOptions {
+    /** Only list actions starting within n hours */
+    hours?: number | null
+    tickInterval?: number
+}
+
+export interface ScheduledActionsEvents {
+    loaded: BulkActionExecution[]
+    rescheduled: BulkActionExecution
+    cancelled: BulkActionExecution
+    due: BulkActionExecution
+    error: ActionEngineError
+    [event: string]: unknown
+}
+
+export class ScheduledActions extends Observable<ScheduledActionsState, ScheduledActionsEvents> {
+    constructor(client?: ActionEngineClient, options?: ScheduledActionsOptions)
+    client: ActionEngineClient
+    get(uuid: string): BulkActionExecution | null
+    remaining(uuid: string): number | null
+    load(): Promise<BulkActionExecution[] | undefined>
+    refresh(): Promise<BulkActionExecution[] | undefined>
+    setHours(hours: number | null): Promise<BulkActionExecution[] | undefined>
+    reschedule(uuid: string, scheduledFor: Date | string, timezone?: string | null): Promise<BulkActionExecution>
+    cancel(uuid: string): Promise<BulkActionExecution>
+    handOffTo(target: UndoSource): Unsubscribe
+    tick(now?: number): void
+    destroy(): void
+}
+
+// ---------------------------------------------------------------------------
+// Monitoring
+// ---------------------------------------------------------------------------
+
+/** `from` / `to` are `YYYY-MM-DD`, both included; `days` counts back from now */
+export interface MonitoringQuery {
+    from?: string | null
+    to?: string | null
+    days?: number | null
+}
+
+export interface DateRange {
+    from: string | null
+    to: string | null
+    days: number | null
+}
+
+export type DateRangeInput = { from?: Date | string | null; to?: Date | string | null; days?: number | null } | number
+
+export type HealthStatus = 'healthy' | 'degraded' | 'unhealthy'
+
+export interface HealthCheck {
+    status: 'pass' | 'warning' | 'fail'
+    message: string
+    count?: number
+    rate?: number
+}
+
+export interface MonitoringHealth {
+    status: HealthStatus
+    checks: Record<string, HealthCheck>
+}
+
+export interface MonitoringOverview {
+    stats: { total: number; active: number; completed: number; failed: number; total_records_processed: number }
+    /** Actions created per hour, one dataset value per label */
+    chart_data: { labels: string[]; datasets: Array<{ label: string; data: number[] }> }
+    recent_actions: Array<{ uuid: string; action_name: string; status: BulkActionStatus; progress: number; user: string | null; created_at: string }>
+}
+
+export interface MonitoringMetrics {
+    active: { pending: number; processing: number }
+    today: { completed: number; failed: number }
+    performance: { avg_duration_seconds: number; avg_records_per_action: number; records_per_second?: number; total_records_today: number }
+    timestamp: string
+}
+
+export interface ActionBreakdownRow {
+    action: string
+    total: number
+    completed: number
+    failed: number
+    success_rate: number
+}
+
+export interface UserActivityRow {
+    user: { id: number | string; name: string; email: string } | null
+    action_count: number
+}
+
+/** One day of finished actions */
+export interface PerformanceTrend {
+    /** `YYYY-MM-DD` */
+    date: string
+    total_count: number
+    completed_count: number
+    partially_completed_count: number
+    failed_count: number
+    total_records: number
+    failed_records: number
+    /** Seconds, over the completed actions */
+    avg_duration: number | null
+    avg_records_per_action: number
+    /** Percentage of the actions that failed */
+    failure_rate: number
+}
+
+export type MonitoringPanel = 'overview' | 'metrics' | 'health' | 'actions' | 'users' | 'trends'
+export type TrendMetric = 'throughput' | 'actions' | 'failure_rate' | 'duration'
+
+export interface TrendPoint {
+    date: string
+    value: number
+}
+
+export interface ChartGeometry {
+    width: number
+    height: number
+    /** Top of the scale */
+    max: number
+    points: Array<TrendPoint & { x: number; y: number }>
+    /** SVG path data */
+    line: string
+    area: string
+    bars: Array<TrendPoint & { x: number; y: number; width: number; height: number }>
+}
+
+export const HEALTH_STATUSES: HealthStatus[]
+export const MONITORING_PANELS: MonitoringPanel[]
+export const DEFAULT_MONITORING_PANELS: MonitoringPanel[]
+export const DEFAULT_RANGE_DAYS: number
+export const TREND_METRICS: Record<TrendMetric, { key: keyof PerformanceTrend; label: string; unit: string; max: number | null }>
+/** `YYYY-MM-DD` of a Date in local time */
+export function toDateString(date: Date | string | number | null | undefined): string | null
+export function toDateRange(range?: DateRangeInput | null): DateRange
+/** Adds empty days between the first and last rows */
+export function fillDays(trends?: PerformanceTrend[]): PerformanceTrend[]
+export function trendSeries(trends?: PerformanceTrend[], metric?: TrendMetric): TrendPoint[]
+export function chartGeometry(series?: TrendPoint[], options?: { width?: number; height?: number; padding?: number; max?: number | null }): ChartGeometry
+/** `12.5%` */
+export function formatMetric(value: number | null | undefined, metric?: TrendMetric, locale?: string): string
+export function failingChecks(health: MonitoringHealth | null | undefined): Array<HealthCheck & { name: string }>
+
+export interface MonitoringDashboardState {
+    range: DateRange
+    overview: MonitoringOverview | null
+    metrics: MonitoringMetrics | null
+    health: MonitoringHealth | null
+    actions: ActionBreakdownRow[]
+    users: UserActivityRow[]
+    trends: PerformanceTrend[]
+    /** Timestamp of the last successful load */
+    lastUpdated: number | null
+    isLoading: boolean
+    /** Between start() and stop() */
+    isAutoRefreshing: boolean
+    connectionLost: boolean
+    error: ActionEngineError | null
+}
+
+export interface MonitoringDashboardOptions {
+    range?: DateRangeInput
+    panels?: MonitoringPanel[]
+    /** Auto-refresh interval in ms */
+    refreshInterval?: number
+    userLimit?: number
+    polling?: Omit<PollOptions, 'interval'>
+}
+
+export interface MonitoringData {
+    overview?: MonitoringOverview
+    metrics?: MonitoringMetrics
+    health?: MonitoringHealth
+    actions?: ActionBreakdownRow[]
+    users?: UserActivityRow[]
+    trends?: PerformanceTrend[]
+}
+
+export interface MonitoringDashboardEvents {
+    loaded: MonitoringData
+    /** The health status changed */
+    health: MonitoringHealth
+    error: ActionEngineError
+    [event: string]: unknown
+}
+
+export class MonitoringDashboard extends Observable<MonitoringDashboardState, MonitoringDashboardEvents> {
+    constructor(client?: ActionEngineClient, options?: MonitoringDashboardOptions)
+    client: ActionEngineClient
+    scheduler: PollScheduler
+    panels: MonitoringPanel[]
+    series(metric?: TrendMetric): TrendPoint[]
+    refresh(): Promise<MonitoringData | undefined>
+    setRange(range: DateRangeInput): Promise<MonitoringData | undefined>
+    start(interval?: number): Promise<MonitoringData | undefined>
+    stop(): void
+    destroy(): void
+    fetch(signal?: AbortSignal): Promise<MonitoringData>
+}
+
+// ---------------------------------------------------------------------------
+// Data-cache sync
+// ---------------------------------------------------------------------------
+
+export type OptimisticMode = 'hide' | 'mark'
+
+export const OPTIMISTIC_MODES: OptimisticMode[]
+export const DEFAULT_OPTIMISTIC: Record<string, OptimisticMode>
+
+/** What an execution targets; `ids` is null when it was not started with `filters.ids` */
+export interface CacheTarget {
+    uuid: string
+    model: string
+    action: string
+    ids: string[] | null
+    mode?: OptimisticMode | ((row: any, target: CacheTarget) => any)
+}
+
+/** Cache key: a TanStack query key, SWR key prefix or predicate, Pinia state property... */
+export type CacheKey = unknown
+
+export interface CacheAdapter {
+    invalidate(key: CacheKey): unknown
+    /** The `[cacheKey, data]` pairs a key covers */
+    entries(key: CacheKey): Array<[unknown, unknown]>
+    set(cacheKey: unknown, data: unknown): unknown
+    /** Stop in-flight fetches before an optimistic update */
+    cancel?(key: CacheKey): unknown
+}
+
+export interface CacheSyncOptions {
+    /** Keys of a target, or keys by model class (defaults to `[[model]]`) */
+    keys?: ((target: CacheTarget) => CacheKey[]) | Record<string, CacheKey[] | ((target: CacheTarget) => CacheKey[])>
+    /** By action name; `false` turns optimistic updates off */
+    optimistic?: Record<string, OptimisticMode | ((row: any, target: CacheTarget) => any)> | false
+    rowKey?: string
+    markField?: string
+    mapRows?: (data: any, callback: (row: any) => any) => any
+}
+
+export interface CacheSyncEvents {
+    applied: CacheTarget
+    rolledBack: CacheTarget
+    invalidated: CacheTarget & { keys: CacheKey[] }
+    error: unknown
+    [event: string]: unknown
+}
+
+export function mapRows<T>(data: T, callback: (row: any) => any): T
+
+export class CacheSync extends Observable<{ pending: Record<string, CacheTarget> }, CacheSyncEvents> {
+    constructor(adapter: CacheAdapter, options?: CacheSyncOptions)
+    adapter: CacheAdapter
+    watch(target: UndoSource): Unsubscribe
+    remember(execution: BulkActionExecution, payload?: ExecutePayload | null): CacheTarget | null
+    keysFor(target: Pick<CacheTarget, 'model'> & Partial<CacheTarget>): CacheKey[]
+    apply(uuid: string): Promise<void>
+    rollback(uuid: string): boolean
+    invalidate(uuidOrModel: string): Promise<void>
+    isPending(row: Record<string, any>, model?: string | null): boolean
+    settle(execution: BulkActionExecution, undone?: boolean): Promise<void>
+    reset(): void
+}
+
+export function tanstackQueryAdapter(queryClient: {
+    invalidateQueries(filters: { queryKey: readonly unknown[] }): unknown
+    cancelQueries(filters: { queryKey: readonly unknown[] }): unknown
+    getQueriesData(filters: { queryKey: readonly unknown[] }): Array<[readonly unknown[], unknown]>
+    setQueryData(queryKey: readonly unknown[], data: any): unknown
+}): CacheAdapter
+
+export function swrAdapter(config: {
+    cache: { keys(): IterableIterator<string>; get(key: string): { data?: unknown } | undefined }
+    mutate(key: string, data?: unknown, options?: { revalidate?: boolean }): unknown
+}): CacheAdapter
+
+export function piniaAdapter(
+    store: { $state: Record<string, any>; $patch(mutator: (state: any) => void): void; [key: string]: any },
+    options?: { refresh?: string | ((key: string, store: any) => unknown) },
+): CacheAdapter
+
+// ---------------------------------------------------------------------------
+// Fluent builder
+// ---------------------------------------------------------------------------
+
+export const WHERE_OPERATORS: string[]
+
+/** Anything execute() / preview() can run through */
+export type BuilderTarget =
+    | ActionEngineClient
+    | ExecutionStore
+    | ExecutionManager
+    | { execute(payload: ExecutePayload, options?: RunOptions): Promise<BulkActionExecution> }
+
+export class BulkActionBuilder<A extends ActionName = ActionName> {
+    constructor(model?: string | null, target?: BuilderTarget | null)
+    on(model: string): this
+    action<N extends ActionName>(name: N): BulkActionBuilder<N>
+    where(column: string, value: unknown): this
+    where(column: string, operator: string, value: unknown): this
+    where(conditions: Record<string, unknown>): this
+    whereIn(column: string, values: unknown[] | Set<unknown>): this
+    whereNotIn(column: string, values: unknown[] | Set<unknown>): this
+    whereBetween(column: string, values: [unknown, unknown]): this
+    whereNull(column: string): this
+    whereNotNull(column: string): this
+    ids(ids: Array<number | string> | Set<number | string>): this
+    with(parameters: Partial<ParametersOf<A>>): this
+    batchSize(size: number): this
+    sync(): this
+    scheduleFor(datetime: Date | string, timezone?: string | null): this
+    dryRun(): this
+    withUndo(expiryDays?: number): this
+    chain(steps: ChainStepInput[]): this
+    andThen<N extends ActionName>(action: N, parameters?: Partial<ParametersOf<N>>): this
+    using(target: BuilderTarget): this
+    toPayload(): ExecutePayload<A>
+    toJSON(): ExecutePayload<A>
+    execute(options?: RunOptions): Promise<BulkActionExecution>
+    preview(limit?: number | null): Promise<PreviewResult<A>>
+}
+
+export function bulk(model: string, target?: BuilderTarget | null): BulkActionBuilder
+
+// ---------------------------------------------------------------------------
+// Binding helpers
+// ---------------------------------------------------------------------------
+
+export interface BindingOptions extends ClientConfig, TrackingOptions, HistoryOptions, CatalogOptions, Omit<UndoQueueOptions, 'persist'>, ScheduledActionsOptions, Omit<FailureReportOptions, 'perPage'>, Omit<MonitoringDashboardOptions, 'polling'> {
+    client?: ActionEngineClient
+    /** `false` to skip rehydrating persisted executions on mount */
+    restore?: boolean
+    /** `false` to skip the initial load on mount */
+    immediate?: boolean
+}
+
+export type BindingOptionsInput = string | BindingOptions
+
+export function resolveOptions(options?: BindingOptionsInput): BindingOptions
+export function createClient(options?: BindingOptionsInput): ActionEngineClient
+export function createExecutionStore(options?: BindingOptionsInput): ExecutionStore
+export function createExecutionManager(options?: BindingOptionsInput): ExecutionManager
+export function createExecutionHistory(options?: BindingOptionsInput): ExecutionHistory
+export function createActionCatalog(options?: BindingOptionsInput): ActionCatalog
+export function createScheduledActions(options?: BindingOptionsInput): ScheduledActions
+export function createFailureReport(options?: BindingOptionsInput): FailureReport
+export function createActionChain(options?: BindingOptionsInput): ActionChain
+export function createMonitoringDashboard(options?: BindingOptionsInput): MonitoringDashboard
+export function createConfirmationFlow(
+    target: ExecutionStore | ExecutionManager | { store: ExecutionStore } | { manager: ExecutionManager },
+    options?: ConfirmationFlowOptions,
+): ConfirmationFlow
+export function createChangePreview(
+    target: ExecutionStore | ExecutionManager | { store: ExecutionStore } | { manager: ExecutionManager },
+    options?: ChangePreviewOptions,
+): ChangePreview
+export function createExportFlow(
+    target: ExecutionStore | ExecutionManager | { store: ExecutionStore } | { manager: ExecutionManager },
+    options?: ExportFlowOptions,
+): ExportFlow
+export interface SelectionBindingOptions extends ClientConfig, SelectionOptions {
+    client?: ActionEngineClient
+}
+
+export function createSelection(options?: string | SelectionBindingOptions): SelectionStore
+export function createUndoQueue(options?: BindingOptionsInput): UndoQueue
+/** The page-wide undo queue, created from the options of the first call */
+export function getUndoQueue(options?: BindingOptionsInput): UndoQueue
+export function shouldRestore(options?: BindingOptionsInput): boolean
@@ -0,0 +1,222 @@
+/**
+ * Action Engine JS Core
+ *
+ * Framework-agnostic building blocks shared by the React, Vue and Alpine
+ * bindings. Import from here when using the package without a UI framework.
+ */
+
+import { ActionCatalog } from './ActionCatalog.js'
+import { ActionChain } from './ActionChain.js'
+import { ActionEngineClient } from './ActionEngineClient.js'
+import { ChangePreview } from './ChangePreview.js'
+import { ConfirmationFlow } from './ConfirmationFlow.js'
+import { ExecutionHistory } from './ExecutionHistory.js'
+import { ExecutionManager } from './ExecutionManager.js'
+import { ExecutionStore } from './ExecutionStore.js'
+import { ExportFlow } from './ExportFlow.js'
+import { FailureReport } from './FailureReport.js'
+import { MonitoringDashboard } from './MonitoringDashboard.js'
+import { ScheduledActions } from './ScheduledActions.js'
+import { SelectionStore } from './SelectionStore.js'
+import { UndoQueue } from './UndoQueue.js'
+
+export { ActionCatalog } from './ActionCatalog.js'
+export { ActionChain, CHAIN_STEP_STATUSES, isChainRunning, toChainSteps } from './ActionChain.js'
+export { ActionEngineClient, DEFAULT_API_PREFIX } from './ActionEngineClient.js'
+export { BulkActionBuilder, WHERE_OPERATORS, bulk } from './BulkActionBuilder.js'
+export { CacheSync, DEFAULT_OPTIMISTIC, OPTIMISTIC_MODES, mapRows } from './CacheSync.js'
+export { ChangePreview, isColumnChanged } from './ChangePreview.js'
+export { CONFIRMATION_STEPS, ConfirmationFlow, canConfirm, isConfirmationOpen, phraseMatches, requiresTyping } from './ConfirmationFlow.js'
+export { ExecutionHistory, HISTORY_FILTERS } from './ExecutionHistory.js'
+export { ExecutionManager } from './ExecutionManager.js'
+export { ExecutionStore } from './ExecutionStore.js'
+export { ExecutionTracker } from './ExecutionTracker.js'
+export { EXPORT_STEPS, ExportFlow, hasExportFile } from './ExportFlow.js'
+export { FailureReport } from './FailureReport.js'
+export { MonitoringDashboard } from './MonitoringDashboard.js'
+export { Observable } from './Observable.js'
+export { DEFAULT_POLL_OPTIONS, PollScheduler, adaptiveInterval, backoffDelay } from './PollScheduler.js'
+export { ScheduledActions } from './ScheduledActions.js'
+export {
+    SELECTION_MODES,
+    SelectionStore,
+    isCountVerified,
+    isPagePartiallySelected,
+    isPageSelected,
+    isRowSelected,
+    selectedCount,
+    selectionFilters,
+} from './SelectionStore.js'
+export { TabSync, DEFAULT_TAB_CHANNEL } from './TabSync.js'
+export { DEFAULT_UNDO_PERSIST_KEY, UNDO_STATUSES, UndoQueue } from './UndoQueue.js'
+export * from './actions.js'
+export * from './cacheAdapters.js'
+export * from './download.js'
+export * from './errors.js'
+export * from './execution.js'
+export * from './idempotency.js'
+export * from './monitoring.js'
+export * from './persistence.js'
+export * from './realtime.js'
+export * from './transport.js'
+
+/**
+ * Normalize binding options, accepting a bare api prefix string
+ */
+export function resolveOptions(options = {}) {
+    return typeof options === 'string' ? { apiPrefix: options } : { ...options }
+}
+
+/**
+ * Create a client from binding options, reusing `options.client` when given
+ */
+export function createClient(options = {}) {
+    const resolved = resolveOptions(options)
+
+    return resolved.client || new ActionEngineClient(resolved)
+}
+
+/**
+ * Create an execution store from binding options
+ * (`{ apiPrefix, client, echo, channelPrefix, pollInterval, persist, persistKey, syncTabs }`)
+ */
+export function createExecutionStore(options = {}) {
+    const resolved = resolveOptions(options)
+
+    return new ExecutionStore(createClient(resolved), resolved)
+}
+
+/**
+ * Create a multi-execution manager from binding options
+ */
+export function createExecutionManager(options = {}) {
+    const resolved = resolveOptions(options)
+
+    return new ExecutionManager(createClient(resolved), resolved)
+}
+
+/**
+ * Create an action catalog from binding options (`{ apiPrefix, client, cacheTtl, cache }`)
+ */
+export function createActionCatalog(options = {}) {
+    const resolved = resolveOptions(options)
+
+    return new ActionCatalog(createClient(resolved), resolved)
+}
+
+/**
+ * Create an execution history from binding options
+ * (`{ apiPrefix, client, filters, perPage, includeFilters, includeParameters }`)
+ */
+export function createExecutionHistory(options = {}) {
+    const resolved = resolveOptions(options)
+
+    return new ExecutionHistory(createClient(resolved), resolved)
+}
+
+/**
+ * Create a failure report from binding options (`{ apiPrefix, client, perPage, type }`)
+ */
+export function createFailureReport(options = {}) {
+    const resolved = resolveOptions(options)
+
+    return new FailureReport(createClient(resolved), resolved)
+}
+
+/**
+ * Create an action chain tracker from binding options (`{ apiPrefix, client, pollInterval, polling }`)
+ */
+export function createActionChain(options = {}) {
+    const resolved = resolveOptions(options)
+
+    return new ActionChain(createClient(resolved), resolved)
+}
+
+/**
+ * Create a monitoring dashboard from binding options
+ * (`{ apiPrefix, client, range, panels, refreshInterval, userLimit, polling }`)
+ */
+export function createMonitoringDashboard(options = {}) {
+    const resolved = resolveOptions(options)
+
+    return new MonitoringDashboard(createClient(resolved), resolved)
+}
+
+/**
+ * Create a scheduled actions list from binding options (`{ apiPrefix, client, hours, tickInterval }`)
+ */
+export function createScheduledActions(options = {}) {
+    const resolved = resolveOptions(options)
+
+    return new ScheduledActions(createClient(resolved), resolved)
+}
+
+/**
+ * Create a confirmation flow running its executions through `target`
+ * (an ExecutionStore, ExecutionManager or the result of useBulkAction / useBulkActions), with options
+ * (`{ destructive, catalog, previewLimit, cacheTtl }`)
+ */
+export function createConfirmationFlow(target, options = {}) {
+    // Accept a binding's return value as well as the store itself
+    return new ConfirmationFlow(target.store || target.manager || target, options)
+}
+
+/**
+ * Create a before/after preview running its action through `target`
+ * (an ExecutionStore, ExecutionManager or the result of useBulkAction / useBulkActions), with options
+ * (`{ perPage }`)
+ */
+export function createChangePreview(target, options = {}) {
+    return new ChangePreview(target.store || target.manager || target, resolveOptions(options))
+}
+
+/**
+ * Create an export flow running its exports through `target`
+ * (an ExecutionStore, ExecutionManager or the result of useBulkAction / useBulkActions), with options
+ * (`{ format, save }`)
+ */
+export function createExportFlow(target, options = {}) {
+    return new ExportFlow(target.store || target.manager || target, resolveOptions(options))
+}
+
+/**
+ * Create a row selection from binding options (`{ apiPrefix, client, model, key, action, filters }`)
+ */
+export function createSelection(options = {}) {
+    const resolved = resolveOptions(options)
+
+    return new SelectionStore(createClient(resolved), resolved)
+}
+
+/**
+ * Create an undo queue from binding options
+ * (`{ apiPrefix, client, persist, persistKey, checkInterval, undoneDuration }`)
+ */
+export function createUndoQueue(options = {}) {
+    const resolved = resolveOptions(options)
+
+    return new UndoQueue(createClient(resolved), resolved)
+}
+
+let sharedUndoQueue = null
+
+/**
+ * The page-wide undo queue behind the undo toasts. It outlives components
+ * (and route changes), and is created from the options of the first call.
+ */
+export function getUndoQueue(options = {}) {
+    if (!sharedUndoQueue) {
+        sharedUndoQueue = createUndoQueue(options)
+    }
+
+    return sharedUndoQueue
+}
+
+/**
+ * Whether a binding should rehydrate persisted executions on mount
+ */
+export function shouldRestore(options = {}) {
+    const resolved = resolveOptions(options)
+
+    return Boolean(resolved.persist) && resolved.restore !== false
+}
@@ -0,0 +1,162 @@
+/**
+ * Helpers for the monitoring dashboard: date ranges, trend series and the
+ * geometry of the widgets' charts.
+ *
+ * The charts need no chart library: chartGeometry() lays a series out as
+ * points, a line, an area and bars in a `width` × `height` box, which the
+ * React, Vue and Alpine widgets draw as SVG. To use a chart library
+ * instead, hand it trendSeries() (`[{ date, value }]`).
+ */
+
+export const HEALTH_STATUSES = ['healthy', 'degraded', 'unhealthy']
+
+/**
+ * The dashboard's endpoints; `users` lists names and emails, so it is only
+ * loaded when asked for
+ */
+export const MONITORING_PANELS = ['overview', 'metrics', 'health', 'actions', 'users', 'trends']
+export const DEFAULT_MONITORING_PANELS = ['overview', 'metrics', 'health', 'actions', 'trends']
+
+export const DEFAULT_RANGE_DAYS = 7
+
+/**
+ * What the trend charts can plot, by name: the field of a trends row,
+ * its label and unit, and the top of its scale when fixed
+ */
+export const TREND_METRICS = {
+    throughput: { key: 'total_records', label: 'Records processed', unit: '', max: null },
+    actions: { key: 'total_count', label: 'Actions finished', unit: '', max: null },
+    failure_rate: { key: 'failure_rate', label: 'Failure rate', unit: '%', max: 100 },
+    duration: { key: 'avg_duration', label: 'Average duration', unit: 's', max: null },
+}
+
+const DAY = 24 * 60 * 60 * 1000
+
+const round = value => Math.round(value * 100) / 100
+
+/**
+ * `YYYY-MM-DD` of a Date in local time; date strings are kept as they are
+ */
+export function toDateString(date) {
+    if (!date) return null
+    if (typeof date === 'string') return date.slice(0, 10)
+
+    const day = new Date(date)
+    const pad = number => String(number).padStart(2, '0')
+
+    return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`
+}
+
+/**
+ * Normalize a date range given as `{ from, to }` (Dates or `YYYY-MM-DD`,
+ * both included), `{ days }` or a number of days, to `{ from, to, days }`
+ */
+export function toDateRange(range = {}) {
+    if (typeof range === 'number') {
+        return { from: null, to: null, days: range }
+    }
+
+    const from = toDateString(range?.from)
+    const to = toDateString(range?.to)
+
+    return { from, to, days: from ? null : (range?.days || DEFAULT_RANGE_DAYS) }
+}
+
+/**
+ * Add empty rows for the days without finished actions between the first
+ * and the last row, so that charts keep one point per day
+ */
+export function fillDays(trends = []) {
+    if (trends.length < 2) return trends
+
+    const byDate = new Map(trends.map(day => [day.date, day]))
+    const days = []
+
+    for (let time = Date.parse(`${trends[0].date}T00:00:00Z`); ; time += DAY) {
+        const date = new Date(time).toISOString().slice(0, 10)
+
+        days.push(byDate.get(date) || {
+            date,
+            total_count: 0,
+            completed_count: 0,
+            partially_completed_count: 0,
+            failed_count: 0,
+            total_records: 0,
+            failed_records: 0,
+            avg_duration: null,
+            avg_records_per_action: 0,
+            failure_rate: 0,
+        })
+
+        if (date >= trends[trends.length - 1].date) break
+    }
+
+    return days
+}
+
+/**
+ * One `{ date, value }` per day for a TREND_METRICS name
+ */
+export function trendSeries(trends = [], metric = 'throughput') {
+    const { key } = TREND_METRICS[metric] || TREND_METRICS.throughput
+
+    return fillDays(trends).map(day => ({ date: day.date, value: Number(day[key] ?? 0) }))
+}
+
+/**
+ * Lay a series out in a `width` × `height` box (y pointing down): `points`
+ * with their `x` / `y`, the `line` and `area` as SVG path data, and one bar
+ * per value. The scale runs from 0 to `max`, by default the largest value.
+ */
+export function chartGeometry(series = [], { width = 300, height = 100, padding = 4, max = null } = {}) {
+    const top = max || Math.max(0, ...series.map(point => point.value)) || 1
+    const innerWidth = width - padding * 2
+    const innerHeight = height - padding * 2
+    const baseline = padding + innerHeight
+    const slot = innerWidth / Math.max(series.length, 1)
+    const scale = value => (Math.min(value, top) / top) * innerHeight
+
+    const points = series.map((point, index) => ({
+        ...point,
+        x: round(series.length > 1 ? padding + index * (innerWidth / (series.length - 1)) : padding + innerWidth / 2),
+        y: round(baseline - scale(point.value)),
+    }))
+
+    const line = points.map((point, index) => `${index ? 'L' : 'M'}${point.x} ${point.y}`).join(' ')
+
+    return {
+        width,
+        height,
+        max: top,
+        points,
+        line,
+        area: points.length ? `${line} L${points[points.length - 1].x} ${baseline} L${points[0].x} ${baseline} Z` : '',
+        bars: series.map((point, index) => ({
+            ...point,
+            x: round(padding + index * slot + slot * 0.1),
+            y: round(baseline - scale(point.value)),
+            width: round(slot * 0.8),
+            height: round(scale(point.value)),
+        })),
+    }
+}
+
+/**
+ * A value of a TREND_METRICS name for display, e.g. `12.5%`
+ */
+export function formatMetric(value, metric = 'throughput', locale = undefined) {
+    if (value === null || value === undefined) return '—'
+
+    const { unit } = TREND_METRICS[metric] || TREND_METRICS.throughput
+
+    return `${Number(value).toLocaleString(locale, { maximumFractionDigits: 2 })}${unit}`
+}
+
+/**
+ * The health checks that did not pass, as `[{ name, status, message }]`
+ */
+export function failingChecks(health) {
+    return Object.entries(health?.checks || {})
+        .filter(([, check]) => check.status !== 'pass')
+        .map(([name, check]) => ({ name, ...check }))
+}
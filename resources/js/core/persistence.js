@@ -0,0 +1,129 @@
+/**
+ * Persistence of tracked execution uuids across page reloads.
+ *
+ * Storage is pluggable: `'session'` (default for `true`), `'local'`, or any
+ * object implementing `getItem` / `setItem` / `removeItem`, sync or async.
+ * Only uuids are stored; executions are rehydrated from the API on mount.
+ * Failed writes are sent to `onError(handler)` as ActionEngineErrors.
+ */
+
+import { toActionEngineError } from './errors.js'
+import { isInProgress, isScheduled, isUndoable } from './execution.js'
+
+export const DEFAULT_PERSIST_KEY = 'action-engine:executions'
+
+/**
+ * Resolve a storage option to a Storage-like object
+ */
+export function resolveStorage(storage) {
+    if (!storage) return null
+    if (typeof storage === 'object') return storage
+
+    const name = storage === 'local' ? 'localStorage' : 'sessionStorage'
+
+    try {
+        return globalThis[name] || null
+    } catch (e) {
+        // Accessing web storage throws when it is disabled
+        return null
+    }
+}
+
+/**
+ * Executions worth reattaching to: still running or scheduled, or still undoable
+ */
+export function shouldPersist(execution) {
+    return isInProgress(execution) || isScheduled(execution) || isUndoable(execution)
+}
+
+export class ExecutionPersistence {
+    constructor(storage, key = DEFAULT_PERSIST_KEY) {
+        this.storage = resolveStorage(storage)
+        this.key = key
+        this.queue = Promise.resolve()
+        this.errorHandlers = new Set()
+    }
+
+    /**
+     * Listen for failed writes
+     */
+    onError(handler) {
+        this.errorHandlers.add(handler)
+
+        return () => this.errorHandlers.delete(handler)
+    }
+
+    /**
+     * Load the persisted uuids, oldest first
+     */
+    async load() {
+        if (!this.storage) return []
+
+        try {
+            const uuids = JSON.parse(await this.storage.getItem(this.key))
+
+            return Array.isArray(uuids) ? uuids : []
+        } catch (e) {
+            return []
+        }
+    }
+
+    /**
+     * Persist an execution uuid
+     */
+    add(uuid) {
+        return this.enqueue(async () => {
+            const uuids = await this.load()
+
+            if (!uuids.includes(uuid)) {
+                await this.write([...uuids, uuid])
+            }
+        })
+    }
+
+    /**
+     * Forget an execution uuid
+     */
+    remove(uuid) {
+        return this.enqueue(async () => {
+            const uuids = await this.load()
+
+            if (uuids.includes(uuid)) {
+                await this.write(uuids.filter(persisted => persisted !== uuid))
+            }
+        })
+    }
+
+    /**
+     * Add or remove an execution depending on whether it is worth persisting
+     */
+    update(execution) {
+        if (!execution?.uuid) return Promise.resolve()
+
+        return shouldPersist(execution) ? this.add(execution.uuid) : this.remove(execution.uuid)
+    }
+
+    /**
+     * Run read-modify-write operations one at a time
+     */
+    enqueue(operation) {
+        this.queue = this.queue.then(operation).catch((e) => {
+            const error = toActionEngineError(e, 'Failed to persist bulk actions')
+            this.errorHandlers.forEach(handler => handler(error))
+        })
+
+        return this.queue
+    }
+
+    async write(uuids) {
+        if (!this.storage) return
+
+        if (uuids.length) {
+            await this.storage.setItem(this.key, JSON.stringify(uuids))
+        } else {
+            await this.storage.removeItem(this.key)
+        }
+    }
+}
+
+export default ExecutionPersistence
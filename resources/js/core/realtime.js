@@ -0,0 +1,109 @@
+/**
+ * Laravel Echo helpers for real-time execution progress.
+ *
+ * When `broadcasting.enabled` is on, the backend broadcasts `progress`,
+ * `completed` and `failed` events on `private-{channel_prefix}.{uuid}`.
+ * These helpers subscribe to that channel and report the socket connection
+ * state so callers can fall back to polling while it is unavailable.
+ */
+
+export const DEFAULT_CHANNEL_PREFIX = 'bulk-action'
+
+export const BROADCAST_EVENTS = ['progress', 'completed', 'failed']
+
+/**
+ * Resolve the Echo instance to use: an explicit instance, `false` to
+ * disable real-time updates, or `window.Echo` when available
+ */
+export function resolveEcho(echo) {
+    if (echo === false) return null
+    if (echo) return echo
+
+    return typeof window !== 'undefined' && window.Echo ? window.Echo : null
+}
+
+/**
+ * Check whether the Echo socket is currently connected
+ */
+export function isEchoConnected(echo) {
+    const connector = echo?.connector
+
+    if (connector?.pusher) {
+        return connector.pusher.connection.state === 'connected'
+    }
+
+    if (connector?.socket) {
+        return connector.socket.connected === true
+    }
+
+    // Unknown connector: assume the socket is usable
+    return true
+}
+
+/**
+ * Call `callback(connected)` whenever the socket connects or drops,
+ * returning a function that removes the listeners
+ */
+export function onEchoConnectionChange(echo, callback) {
+    const connector = echo?.connector
+
+    if (connector?.pusher) {
+        const handler = ({ current }) => callback(current === 'connected')
+        connector.pusher.connection.bind('state_change', handler)
+
+        return () => connector.pusher.connection.unbind('state_change', handler)
+    }
+
+    if (connector?.socket) {
+        const onConnect = () => callback(true)
+        const onDisconnect = () => callback(false)
+        connector.socket.on('connect', onConnect)
+        connector.socket.on('disconnect', onDisconnect)
+
+        return () => {
+            connector.socket.off('connect', onConnect)
+            connector.socket.off('disconnect', onDisconnect)
+        }
+    }
+
+    return () => {}
+}
+
+/**
+ * Listen for broadcast events of an execution, calling
+ * `handler(event, payload)`; returns a function that leaves the channel
+ */
+export function subscribeToExecution(echo, uuid, handler, channelPrefix = DEFAULT_CHANNEL_PREFIX) {
+    const name = `${channelPrefix}.${uuid}`
+    const channel = echo.private(name)
+    const listeners = {}
+
+    BROADCAST_EVENTS.forEach((event) => {
+        listeners[event] = payload => handler(event, payload)
+        // Leading dot: the events use broadcastAs() names
+        channel.listen(`.${event}`, listeners[event])
+    })
+
+    return () => {
+        BROADCAST_EVENTS.forEach(event => channel.stopListening(`.${event}`, listeners[event]))
+        echo.leave(name)
+    }
+}
+
+/**
+ * Merge a broadcast payload into an execution
+ */
+export function mergeBroadcast(execution, event, payload = {}) {
+    const merged = { ...execution, ...payload }
+
+    // completed/failed payloads carry counts but no percentage
+    if (payload.progress_percentage === undefined && merged.total_records > 0) {
+        merged.progress_percentage = Math.round((merged.processed_records / merged.total_records) * 10000) / 100
+    }
+
+    if (event === 'failed' && payload.error) {
+        merged.error_details = { ...(execution?.error_details || {}), message: payload.error }
+    }
+
+    return merged
+}
@@ -0,0 +1,44 @@
+// Generated by `php artisan action-engine:types`. Do not edit by hand.
+
+export type BulkActionStatus =
+    | 'pending'
+    | 'scheduled'
+    | 'processing'
+    | 'completed'
+    | 'failed'
+    | 'cancelled'
+    | 'partially_completed'
+
+export interface BulkActionExecutionFields {
+    uuid: string
+    action_name: string
+    model_type: string
+    status: BulkActionStatus
+    total_records: number
+    processed_records: number
+    failed_records: number
+    progress_percentage: number
+    success_rate: number
+    can_undo: boolean
+    undo_expires_at: string | null
+    is_dry_run: boolean
+    dry_run_results?: Record<string, unknown> | null
+    scheduled_for: string | null
+    scheduled_timezone: string | null
+    started_at: string | null
+    completed_at: string | null
+    created_at: string | null
+    error_details?: Record<string, unknown> | null
+    export?: { filename: string; format: string; mime_type: string; size: number | null; download_url: string | null }
+    chain_uuid?: string
+    filters?: Record<string, unknown> | null
+    parameters?: Record<string, unknown> | null
+}
+
+export interface ActionParameterMap {
+    'delete': { 'force'?: boolean }
+    'restore': Record<string, unknown>
+    'update': { 'data': Record<string, unknown> }
+    'archive': { 'reason'?: string }
+    'export': { 'format': 'csv' | 'json' | 'xml'; 'filename'?: string; 'columns'?: string[] }
+}
@@ -0,0 +1,164 @@
+/**
+ * HTTP transports and auth helpers for the ActionEngineClient
+ *
+ * A transport is `(request) => Promise<response>` where `request` is
+ * `{ method, url, headers, body, credentials, signal }` (`body` already
+ * JSON encoded) and `response` is fetch-like: `{ ok, status, headers.get(),
+ * json() }`. File downloads add `binary: true` and `onProgress`, and need
+ * the response's `body` stream or a `blob()` (a transport without a stream
+ * reports progress itself). Adapters cover fetch, axios and ky, and
+ * `createTransport()` picks one from an instance:
+ *
+ * import axios from 'axios'
+ *
+ * // Reuses axios' base URL, interceptors and XSRF cookie handling
+ * new ActionEngineClient({ http: axios })
+ *
+ * // Token auth against a cross-origin API
+ * new ActionEngineClient({
+ *     baseUrl: 'https://api.example.com',
+ *     token: () => auth.accessToken(),
+ * })
+ *
+ * // Sanctum SPA (cookie) auth
+ * new ActionEngineClient({ baseUrl: 'https://api.example.com', sanctum: true })
+ */
+
+import { toDownloadProgress } from './download.js'
+
+export const DEFAULT_CSRF_COOKIE_PATH = '/sanctum/csrf-cookie'
+
+/**
+ * Transport over a fetch-compatible function
+ */
+export function fetchTransport(fetchImpl = null) {
+    return ({ method, url, headers, body, credentials, signal }) => {
+        const impl = fetchImpl || globalThis.fetch
+
+        return impl(url, { method, headers, body, credentials, signal })
+    }
+}
+
+/**
+ * Transport over a ky instance (HTTP errors are left to the client)
+ */
+export function kyTransport(ky) {
+    return ({ method, url, headers, body, credentials, signal }) =>
+        ky(url, { method, headers, body, credentials, signal, throwHttpErrors: false, retry: 0 })
+}
+
+/**
+ * Transport over an axios instance
+ */
+export function axiosTransport(axios) {
+    return async ({ method, url, headers, body, credentials, signal, binary = false, onProgress }) => {
+        let response
+
+        try {
+            response = await axios.request({
+                method,
+                url,
+                headers,
+                data: body,
+                signal,
+                withCredentials: credentials === 'include' ? true : undefined,
+                // Keep the raw body so that invalid JSON surfaces like it does with fetch
+                responseType: binary ? 'arraybuffer' : 'text',
+                transformResponse: [data => data],
+                validateStatus: () => true,
+                onDownloadProgress: binary && onProgress
+                    ? event => onProgress(toDownloadProgress(event.loaded, event.total))
+                    : undefined,
+            })
+        } catch (e) {
+            // Report cancellations the way fetch does
+            if (e?.name === 'CanceledError') {
+                const abort = new Error(e.message || 'The request was aborted')
+                abort.name = 'AbortError'
+                throw abort
+            }
+
+            throw e
+        }
+
+        const header = name => (typeof response.headers?.get === 'function'
+            ? response.headers.get(name)
+            : response.headers?.[name.toLowerCase()]) ?? null
+
+        const text = () => (typeof response.data === 'string' ? response.data : new TextDecoder().decode(response.data))
+
+        return {
+            ok: response.status >= 200 && response.status < 300,
+            status: response.status,
+            headers: { get: header },
+            json: async () => (typeof response.data === 'string' || binary ? JSON.parse(text()) : response.data),
+            blob: async () => new Blob([response.data], { type: header('Content-Type') || 'application/octet-stream' }),
+        }
+    }
+}
+
+/**
+ * Pick a transport for an axios, ky or fetch-compatible instance
+ */
+export function createTransport(http = null) {
+    if (http && typeof http.request === 'function' && http.interceptors) {
+        return axiosTransport(http)
+    }
+
+    if (typeof http === 'function' && typeof http.extend === 'function') {
+        return kyTransport(http)
+    }
+
+    return fetchTransport(http)
+}
+
+/**
+ * Read a cookie by name in the browser
+ */
+export function readCookie(name) {
+    if (typeof document === 'undefined' || !document.cookie) {
+        return null
+    }
+
+    const match = document.cookie.split('; ').find(cookie => cookie.startsWith(`${name}=`))
+
+    return match ? decodeURIComponent(match.slice(name.length + 1)) : null
+}
+
+/**
+ * Laravel's CSRF headers: the `csrf-token` meta tag and the `XSRF-TOKEN`
+ * cookie set by the web middleware and Sanctum
+ */
+export function csrfHeaders() {
+    const headers = {}
+
+    if (typeof document !== 'undefined') {
+        const csrfToken = document.querySelector('meta[name="csrf-token"]')?.getAttribute('content')
+
+        if (csrfToken) {
+            headers['X-CSRF-TOKEN'] = csrfToken
+        }
+    }
+
+    const xsrfToken = readCookie('XSRF-TOKEN')
+
+    if (xsrfToken) {
+        headers['X-XSRF-TOKEN'] = xsrfToken
+    }
+
+    return headers
+}
+
+/**
+ * Token provider reading a bearer token from web storage, for apps that keep
+ * their API token there: `new ActionEngineClient({ token: storageToken('auth_token') })`
+ */
+export function storageToken(key = 'token') {
+    return () => {
+        if (typeof localStorage === 'undefined') {
+            return null
+        }
+
+        return localStorage.getItem(key) || sessionStorage.getItem(key)
+    }
+}
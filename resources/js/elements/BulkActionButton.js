@@ -0,0 +1,132 @@
+/**
+ * `<bulk-action-button>`: executes a bulk action when clicked
+ *
+ * Usage:
+ * <bulk-action-button
+ *     action="archive"
+ *     model="App\Models\Post"
+ *     filters='{"ids": [1, 2, 3]}'
+ *     parameters='{"reason": "Cleanup"}'
+ *     confirm="Archive the selected posts?"
+ * >Archive</bulk-action-button>
+ *
+ * `filters`, `parameters` and `options` take JSON, or objects when set as
+ * properties. Disabled while its group's action is starting or running.
+ * Parts: `button`.
+ */
+
+import { isInProgress } from '../core/index.js'
+import { BulkActionElement, baseStyles, parseAttribute } from './BulkActionElement.js'
+
+export class BulkActionButton extends BulkActionElement {
+    static get observedAttributes() {
+        return [...super.observedAttributes, 'disabled']
+    }
+
+    get action() {
+        return this.getAttribute('action')
+    }
+
+    set action(value) {
+        this.setAttribute('action', value)
+    }
+
+    get model() {
+        return this.getAttribute('model')
+    }
+
+    set model(value) {
+        this.setAttribute('model', value)
+    }
+
+    get filters() {
+        return parseAttribute(this.getAttribute('filters'), {})
+    }
+
+    set filters(value) {
+        this.setAttribute('filters', JSON.stringify(value ?? {}))
+    }
+
+    get parameters() {
+        return parseAttribute(this.getAttribute('parameters'), {})
+    }
+
+    set parameters(value) {
+        this.setAttribute('parameters', JSON.stringify(value ?? {}))
+    }
+
+    get options() {
+        return parseAttribute(this.getAttribute('options'), null)
+    }
+
+    set options(value) {
+        if (value) {
+            this.setAttribute('options', JSON.stringify(value))
+        } else {
+            this.removeAttribute('options')
+        }
+    }
+
+    get disabled() {
+        return this.hasAttribute('disabled')
+    }
+
+    set disabled(value) {
+        this.toggleAttribute('disabled', Boolean(value))
+    }
+
+    /**
+     * Request body of the execute endpoint
+     */
+    get payload() {
+        const payload = {
+            action: this.action,
+            model: this.model,
+            filters: this.filters,
+            parameters: this.parameters,
+        }
+
+        if (this.options) payload.options = this.options
+
+        return payload
+    }
+
+    /**
+     * Execute the action, after the `confirm` prompt when set; resolves to
+     * the execution, or null when declined or failed
+     */
+    execute() {
+        const message = this.getAttribute('confirm')
+
+        if (message && typeof window !== 'undefined' && !window.confirm(message)) {
+            return Promise.resolve(null)
+        }
+
+        return this.perform(store => store.execute(this.payload), { reported: true })
+    }
+
+    render() {
+        this.shadowRoot.innerHTML = `
+            <style>${baseStyles}</style>
+            <button type="button" part="button"><slot>Run</slot></button>
+        `
+
+        this.button = this.shadowRoot.querySelector('button')
+        this.button.addEventListener('click', () => this.execute())
+    }
+
+    attributeChangedCallback(name, previous, value) {
+        super.attributeChangedCallback(name, previous, value)
+
+        if (name === 'disabled' && this.isConnected) this.update(this.store.getState())
+    }
+
+    update({ execution, isLoading }) {
+        if (!this.button) return
+
+        const busy = isLoading || isInProgress(execution)
+
+        this.button.disabled = this.disabled || busy
+        this.button.setAttribute('aria-busy', String(busy))
+    }
+}
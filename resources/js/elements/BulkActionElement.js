@@ -0,0 +1,245 @@
+/**
+ * Base class of the Action Engine custom elements.
+ *
+ * Elements with the same `group` attribute share one ExecutionStore, so a
+ * `<bulk-action-button>` can start an action that a `<bulk-action-progress>`
+ * and a `<bulk-action-undo>` elsewhere on the page follow. The store of a
+ * group is created from the attributes (`api-prefix`, `poll-interval`) of
+ * its first element; set the `store` property to use one of your own.
+ *
+ * The store's lifecycle events are dispatched as the Alpine component's
+ * `bulk-action-*` events (bubbling out of the shadow root), on the element
+ * that started the operation: `bulk-action-started`, `-completed`,
+ * `-cancelled`, `-rescheduled`, `-undone` and `-error`.
+ */
+
+import { createExecutionStore } from '../core/index.js'
+
+// Lets the module load where there is no DOM (SSR, unit tests in Node)
+const Base = typeof HTMLElement === 'undefined' ? class {} : HTMLElement
+
+const groups = new Map()
+
+/**
+ * Styles every element starts from; themable through the
+ * `--bulk-action-*` custom properties and `::part()` selectors
+ */
+export const baseStyles = `
+    :host {
+        font: inherit;
+        color: var(--bulk-action-color, inherit);
+    }
+
+    :host([hidden]) {
+        display: none;
+    }
+
+    button {
+        font: inherit;
+        cursor: pointer;
+        padding: var(--bulk-action-button-padding, 0.375rem 0.75rem);
+        border: 1px solid var(--bulk-action-border-color, #d1d5db);
+        border-radius: var(--bulk-action-radius, 0.375rem);
+        background: var(--bulk-action-button-background, #fff);
+        color: var(--bulk-action-button-color, inherit);
+    }
+
+    button:disabled {
+        cursor: default;
+        opacity: 0.5;
+    }
+`
+
+/**
+ * Re-dispatch core lifecycle events as `bulk-action-*` DOM events on the
+ * element `target()` returns
+ */
+function forwardEvents(source, target) {
+    return [
+        source.on('started', execution => target()?.dispatch('bulk-action-started', execution)),
+        source.on('completed', execution => target()?.dispatch('bulk-action-completed', execution)),
+        source.on('cancelled', execution => target()?.dispatch('bulk-action-cancelled', execution)),
+        source.on('rescheduled', execution => target()?.dispatch('bulk-action-rescheduled', execution)),
+        source.on('undone', result => target()?.dispatch('bulk-action-undone', result)),
+        source.on('error', e => target()?.dispatchError(e)),
+    ]
+}
+
+/**
+ * The shared state of a group: its store, its elements and the one that
+ * last acted, which receives the events
+ */
+export function getGroup(name, options = {}) {
+    if (!groups.has(name)) {
+        const group = { store: createExecutionStore(options), source: null, elements: new Set() }
+
+        group.cleanups = forwardEvents(group.store, () => (group.source?.isConnected
+            ? group.source
+            : [...group.elements][0]))
+
+        groups.set(name, group)
+    }
+
+    return groups.get(name)
+}
+
+/**
+ * Forget a group once its last element left the page
+ */
+function releaseGroup(name) {
+    const group = groups.get(name)
+
+    if (group && !group.elements.size) {
+        group.cleanups.forEach(cleanup => cleanup())
+        group.store.destroy()
+        groups.delete(name)
+    }
+}
+
+/**
+ * Parse a JSON attribute, keeping plain strings as they are
+ */
+export function parseAttribute(value, fallback = null) {
+    if (value === null || value === undefined || value === '') return fallback
+
+    try {
+        return JSON.parse(value)
+    } catch (e) {
+        return value
+    }
+}
+
+export class BulkActionElement extends Base {
+    static get observedAttributes() {
+        return ['group']
+    }
+
+    constructor() {
+        super()
+
+        /** Client of the group's store, when this element creates it */
+        this.client = null
+        this.ownStore = null
+        this.cleanups = []
+        this.attachShadow({ mode: 'open' })
+    }
+
+    get group() {
+        return this.getAttribute('group') || 'default'
+    }
+
+    set group(value) {
+        this.setAttribute('group', value)
+    }
+
+    get apiPrefix() {
+        return this.getAttribute('api-prefix') || undefined
+    }
+
+    set apiPrefix(value) {
+        this.setAttribute('api-prefix', value)
+    }
+
+    /**
+     * The ExecutionStore behind the element (its group's, unless one is set)
+     */
+    get store() {
+        return this.ownStore || getGroup(this.group, this.storeOptions()).store
+    }
+
+    set store(store) {
+        if (this.isConnected) this.disconnect()
+        this.ownStore = store || null
+        if (this.isConnected) this.connect()
+    }
+
+    /**
+     * Options of the group's store, when this element creates it
+     */
+    storeOptions() {
+        return {
+            apiPrefix: this.apiPrefix,
+            pollInterval: Number(this.getAttribute('poll-interval')) || undefined,
+            client: this.client || undefined,
+        }
+    }
+
+    connectedCallback() {
+        if (!this.shadowRoot.hasChildNodes()) this.render()
+        this.connect()
+    }
+
+    disconnectedCallback() {
+        this.disconnect()
+    }
+
+    attributeChangedCallback(name, previous, value) {
+        if (name === 'group' && previous !== value && this.isConnected && !this.ownStore) {
+            this.disconnect(previous || 'default')
+            this.connect()
+        }
+    }
+
+    connect() {
+        if (this.ownStore) {
+            this.cleanups.push(...forwardEvents(this.ownStore, () => this))
+        } else {
+            getGroup(this.group, this.storeOptions()).elements.add(this)
+        }
+
+        this.cleanups.push(this.store.subscribe(state => this.update(state)))
+        this.update(this.store.getState())
+    }
+
+    disconnect(group = this.group) {
+        this.cleanups.forEach(cleanup => cleanup())
+        this.cleanups = []
+
+        if (!this.ownStore && groups.has(group)) {
+            groups.get(group).elements.delete(this)
+            releaseGroup(group)
+        }
+    }
+
+    /**
+     * Run an operation of the store, sending the events it causes to this
+     * element. Failures end up in `bulk-action-error`; pass `reported` for
+     * operations whose failures the store already emits.
+     */
+    async perform(operation, { reported = false } = {}) {
+        if (!this.ownStore) {
+            getGroup(this.group, this.storeOptions()).source = this
+        }
+
+        try {
+            return await operation(this.store)
+        } catch (e) {
+            if (!reported) this.dispatchError(e)
+
+            return null
+        }
+    }
+
+    dispatch(name, detail) {
+        return this.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true, cancelable: true }))
+    }
+
+    dispatchError(e) {
+        return this.dispatch('bulk-action-error', {
+            error: e.message,
+            status: e.status,
+            errors: e.errors,
+            exception: e,
+        })
+    }
+
+    /**
+     * Build the shadow DOM once
+     */
+    render() {}
+
+    /**
+     * Reflect the store's state
+     */
+    update() {}
+}
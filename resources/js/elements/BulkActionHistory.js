@@ -0,0 +1,192 @@
+/**
+ * `<bulk-action-history>`: paginated table of the user's past executions
+ *
+ * Usage:
+ * <bulk-action-history per-page="10" status="completed"></bulk-action-history>
+ *
+ * Filtered by the `status`, `action` and `model` attributes, and reloaded
+ * whenever a `bulk-action-*` event reaches the document, so actions run
+ * anywhere on the page show up. Set the `history` property to use an
+ * ExecutionHistory of your own.
+ * Parts: `table`, `row`, `cell`, `status`, `empty`, `pagination`, `page`,
+ * `previous`, `next`.
+ */
+
+import { HISTORY_FILTERS, createExecutionHistory, humanize } from '../core/index.js'
+import { BulkActionElement, baseStyles } from './BulkActionElement.js'
+
+// Lifecycle events after which the list is out of date
+const RELOAD_EVENTS = ['bulk-action-started', 'bulk-action-completed', 'bulk-action-cancelled', 'bulk-action-undone']
+
+const styles = `
+    :host {
+        display: block;
+    }
+
+    [part="table"] {
+        width: 100%;
+        border-collapse: collapse;
+    }
+
+    th, [part~="cell"] {
+        padding: var(--bulk-action-cell-padding, 0.5rem);
+        border-bottom: 1px solid var(--bulk-action-border-color, #e5e7eb);
+        text-align: left;
+    }
+
+    [part="pagination"] {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        margin-top: 0.5rem;
+    }
+`
+
+export class BulkActionHistory extends BulkActionElement {
+    static get observedAttributes() {
+        return [...super.observedAttributes, 'per-page', ...HISTORY_FILTERS]
+    }
+
+    constructor() {
+        super()
+
+        this.ownHistory = null
+        this.sharedHistory = null
+        this.reload = () => this.history.refresh()
+    }
+
+    /**
+     * The ExecutionHistory behind the element
+     */
+    get history() {
+        if (this.ownHistory) return this.ownHistory
+
+        this.sharedHistory ??= createExecutionHistory({
+            apiPrefix: this.apiPrefix,
+            client: this.client || undefined,
+            perPage: Number(this.getAttribute('per-page')) || undefined,
+            filters: this.filters,
+        })
+
+        return this.sharedHistory
+    }
+
+    set history(history) {
+        if (this.isConnected) this.disconnect()
+        this.ownHistory = history || null
+        if (this.isConnected) this.connect()
+    }
+
+    /**
+     * `{ status, action, model }` from the attributes
+     */
+    get filters() {
+        return Object.fromEntries(HISTORY_FILTERS.map(key => [key, this.getAttribute(key)]))
+    }
+
+    connect() {
+        const history = this.history
+
+        this.cleanups.push(history.subscribe(state => this.update(state)))
+        RELOAD_EVENTS.forEach(name => document.addEventListener(name, this.reload))
+        this.cleanups.push(() => RELOAD_EVENTS.forEach(name => document.removeEventListener(name, this.reload)))
+
+        this.update(history.getState())
+        history.load()
+    }
+
+    disconnect() {
+        this.cleanups.forEach(cleanup => cleanup())
+        this.cleanups = []
+    }
+
+    attributeChangedCallback(name, previous, value) {
+        if (!this.isConnected || previous === value) return
+
+        if (name === 'per-page') {
+            this.history.setPerPage(Number(value) || null)
+        } else if (HISTORY_FILTERS.includes(name)) {
+            this.history.setFilters({ [name]: value })
+        }
+    }
+
+    render() {
+        this.shadowRoot.innerHTML = `
+            <style>${baseStyles}${styles}</style>
+            <table part="table">
+                <thead>
+                    <tr>
+                        <th scope="col">Action</th>
+                        <th scope="col">Model</th>
+                        <th scope="col">Status</th>
+                        <th scope="col">Records</th>
+                        <th scope="col">Started</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <div part="pagination">
+                <button type="button" part="previous">Previous</button>
+                <span part="page"></span>
+                <button type="button" part="next">Next</button>
+            </div>
+        `
+
+        this.body = this.shadowRoot.querySelector('tbody')
+        this.pageLabel = this.shadowRoot.querySelector('[part="page"]')
+        this.previousButton = this.shadowRoot.querySelector('[part="previous"]')
+        this.nextButton = this.shadowRoot.querySelector('[part="next"]')
+        this.previousButton.addEventListener('click', () => this.history.previousPage())
+        this.nextButton.addEventListener('click', () => this.history.nextPage())
+    }
+
+    update({ items, meta, page, isLoading, error }) {
+        if (!this.body) return
+
+        this.toggleAttribute('loading', isLoading)
+        this.body.setAttribute('aria-busy', String(isLoading))
+        this.body.replaceChildren(...(items.length
+            ? items.map(execution => this.row(execution))
+            : [this.message(error ? error.message : (isLoading ? 'Loading…' : 'No bulk actions yet.'))]))
+
+        this.pageLabel.textContent = meta ? `Page ${meta.current_page} of ${meta.last_page}` : ''
+        this.previousButton.disabled = isLoading || page <= 1
+        this.nextButton.disabled = isLoading || !this.history.hasNextPage
+    }
+
+    row(execution) {
+        const row = document.createElement('tr')
+        const started = execution.started_at || execution.created_at
+
+        row.setAttribute('part', 'row')
+        row.dataset.status = execution.status
+        row.append(
+            this.cell(humanize(execution.action_name)),
+            this.cell(execution.model_type?.split('\\').pop()),
+            this.cell(humanize(execution.status), 'status'),
+            this.cell(`${execution.processed_records ?? 0} / ${execution.total_records ?? 0}`),
+            this.cell(started ? new Date(started).toLocaleString() : ''),
+        )
+
+        return row
+    }
+
+    cell(text, part = null) {
+        const cell = document.createElement('td')
+
+        cell.setAttribute('part', part ? `cell ${part}` : 'cell')
+        cell.textContent = text ?? ''
+
+        return cell
+    }
+
+    message(text) {
+        const row = document.createElement('tr')
+        const cell = this.cell(text, 'empty')
+
+        cell.colSpan = 5
+        row.append(cell)
+
+        return row
+    }
+}
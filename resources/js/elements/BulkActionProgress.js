@@ -0,0 +1,144 @@
+/**
+ * `<bulk-action-progress>`: progress bar of its group's execution
+ *
+ * Usage:
+ * <bulk-action-progress cancelable></bulk-action-progress>
+ *
+ * Follows the action a `<bulk-action-button>` of the same group started,
+ * or the execution given in `uuid`. Hidden until there is one; the host
+ * reflects its `status` (e.g. `bulk-action-progress[status="failed"]`).
+ * With `cancelable`, a "Cancel" button shows while it runs.
+ * Parts: `bar`, `fill`, `label`, `cancel`.
+ */
+
+import { isInProgress, toProgress } from '../core/index.js'
+import { BulkActionElement, baseStyles } from './BulkActionElement.js'
+
+const styles = `
+    :host {
+        display: block;
+    }
+
+    :host(:not([status])) {
+        display: none;
+    }
+
+    [part="bar"] {
+        height: var(--bulk-action-progress-height, 0.5rem);
+        overflow: hidden;
+        border-radius: var(--bulk-action-radius, 0.375rem);
+        background: var(--bulk-action-progress-track, #e5e7eb);
+    }
+
+    [part="fill"] {
+        height: 100%;
+        width: 0;
+        background: var(--bulk-action-progress-color, #2563eb);
+        transition: width 0.3s ease;
+    }
+
+    :host([status="failed"]) [part="fill"] {
+        background: var(--bulk-action-progress-failed-color, #dc2626);
+    }
+
+    .footer {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 0.5rem;
+        margin-top: 0.25rem;
+        font-size: 0.875em;
+    }
+`
+
+export class BulkActionProgress extends BulkActionElement {
+    static get observedAttributes() {
+        return [...super.observedAttributes, 'uuid', 'cancelable']
+    }
+
+    get uuid() {
+        return this.getAttribute('uuid')
+    }
+
+    set uuid(value) {
+        this.setAttribute('uuid', value)
+    }
+
+    get cancelable() {
+        return this.hasAttribute('cancelable')
+    }
+
+    set cancelable(value) {
+        this.toggleAttribute('cancelable', Boolean(value))
+    }
+
+    /**
+     * Cancel the running execution
+     */
+    cancel() {
+        return this.perform(store => store.cancel())
+    }
+
+    connect() {
+        super.connect()
+
+        this.open()
+    }
+
+    /**
+     * Follow the execution in `uuid`, unless the store already does
+     */
+    open() {
+        const uuid = this.uuid
+
+        if (uuid && this.store.getState().execution?.uuid !== uuid) {
+            this.perform(store => store.open(uuid), { reported: true })
+        }
+    }
+
+    attributeChangedCallback(name, previous, value) {
+        super.attributeChangedCallback(name, previous, value)
+
+        if (!this.isConnected || previous === value) return
+
+        if (name === 'uuid') this.open()
+        if (name === 'cancelable') this.update(this.store.getState())
+    }
+
+    render() {
+        this.shadowRoot.innerHTML = `
+            <style>${baseStyles}${styles}</style>
+            <div part="bar" role="progressbar" aria-valuemin="0" aria-valuemax="100">
+                <div part="fill"></div>
+            </div>
+            <div class="footer">
+                <span part="label" aria-live="polite"></span>
+                <button type="button" part="cancel" hidden>Cancel</button>
+            </div>
+        `
+
+        this.bar = this.shadowRoot.querySelector('[part="bar"]')
+        this.fill = this.shadowRoot.querySelector('[part="fill"]')
+        this.label = this.shadowRoot.querySelector('[part="label"]')
+        this.cancelButton = this.shadowRoot.querySelector('[part="cancel"]')
+        this.cancelButton.addEventListener('click', () => this.cancel())
+    }
+
+    update({ execution, isLoading }) {
+        if (!this.bar) return
+
+        const progress = toProgress(execution)
+
+        if (!progress) {
+            this.removeAttribute('status')
+            return
+        }
+
+        this.setAttribute('status', progress.status)
+        this.bar.setAttribute('aria-valuenow', String(progress.percentage))
+        this.fill.style.width = `${progress.percentage}%`
+        this.label.textContent = `${progress.processed} / ${progress.total} (${progress.percentage}%)`
+        this.cancelButton.hidden = !this.cancelable || !isInProgress(execution)
+        this.cancelButton.disabled = isLoading
+    }
+}
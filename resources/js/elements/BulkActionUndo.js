@@ -0,0 +1,82 @@
+/**
+ * `<bulk-action-undo>`: undoes its group's execution
+ *
+ * Usage:
+ * <bulk-action-undo>Undo archive</bulk-action-undo>
+ *
+ * Shows once the action has run and while it can still be undone, with the
+ * time left in its undo window; the host then has the `available`
+ * attribute. Parts: `button`, `countdown`.
+ */
+
+import { formatCountdown, isInProgress, isUndoable, undoTimeRemaining } from '../core/index.js'
+import { BulkActionElement, baseStyles } from './BulkActionElement.js'
+
+const styles = `
+    :host {
+        display: inline-block;
+    }
+
+    :host(:not([available])) {
+        display: none;
+    }
+
+    [part="countdown"]:not(:empty)::before {
+        content: ' (';
+    }
+
+    [part="countdown"]:not(:empty)::after {
+        content: ')';
+    }
+`
+
+export class BulkActionUndo extends BulkActionElement {
+    constructor() {
+        super()
+
+        this.timer = null
+    }
+
+    /**
+     * Undo the execution
+     */
+    undo() {
+        return this.perform(store => store.undo())
+    }
+
+    disconnect(group) {
+        super.disconnect(group)
+
+        clearInterval(this.timer)
+        this.timer = null
+    }
+
+    render() {
+        this.shadowRoot.innerHTML = `
+            <style>${baseStyles}${styles}</style>
+            <button type="button" part="button"><slot>Undo</slot><span part="countdown"></span></button>
+        `
+
+        this.button = this.shadowRoot.querySelector('button')
+        this.countdown = this.shadowRoot.querySelector('[part="countdown"]')
+        this.button.addEventListener('click', () => this.undo())
+    }
+
+    update({ execution, isLoading }) {
+        if (!this.button) return
+
+        const available = Boolean(execution) && !isInProgress(execution) && isUndoable(execution)
+
+        this.toggleAttribute('available', available)
+        this.button.disabled = isLoading
+        this.countdown.textContent = available ? formatCountdown(undoTimeRemaining(execution)) : ''
+
+        // Tick the countdown, and hide once the window closes
+        if (available && execution.undo_expires_at && !this.timer) {
+            this.timer = setInterval(() => this.update(this.store.getState()), 1000)
+        } else if (!available && this.timer) {
+            clearInterval(this.timer)
+            this.timer = null
+        }
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * Type definitions for the Action Engine custom elements.
+ */
+
+import type {
+    ActionEngineClient,
+    ActionEngineError,
+    BulkActionExecution,
+    ExecuteOptions,
+    ExecutePayload,
+    ExecutionHistory,
+    ExecutionStore,
+    Filters,
+    UndoResult,
+} from '../core/index'
+
+/** Detail of `bulk-action-error`, as dispatched by the Alpine component */
+export interface BulkActionErrorDetail {
+    error: string
+    status?: number
+    errors?: Record<string, string[]>
+    exception: ActionEngineError
+}
+
+export interface BulkActionElementEventMap extends HTMLElementEventMap {
+    'bulk-action-started': CustomEvent<BulkActionExecution>
+    'bulk-action-completed': CustomEvent<BulkActionExecution>
+    'bulk-action-cancelled': CustomEvent<BulkActionExecution>
+    'bulk-action-rescheduled': CustomEvent<BulkActionExecution>
+    'bulk-action-undone': CustomEvent<UndoResult>
+    'bulk-action-error': CustomEvent<BulkActionErrorDetail>
+}
+
+/** Styles every element starts from */
+export const baseStyles: string
+
+export function parseAttribute<T = unknown>(value: string | null | undefined, fallback?: T): T
+
+/** The store shared by the elements of a group */
+export function getGroup(name: string, options?: { apiPrefix?: string; pollInterval?: number; client?: ActionEngineClient }): {
+    store: ExecutionStore
+    source: BulkActionElement | null
+    elements: Set<BulkActionElement>
+}
+
+export class BulkActionElement extends HTMLElement {
+    /** Elements of a group share a store, defaults to `'default'` */
+    group: string
+    apiPrefix: string | undefined
+    /** Client of the group's store, when this element creates it */
+    client: ActionEngineClient | null
+    /** The group's store, unless one is set */
+    store: ExecutionStore
+    perform<T>(operation: (store: ExecutionStore) => Promise<T>, options?: { reported?: boolean }): Promise<T | null>
+
+    addEventListener<K extends keyof BulkActionElementEventMap>(type: K, listener: (this: this, event: BulkActionElementEventMap[K]) => any, options?: boolean | AddEventListenerOptions): void
+    addEventListener(type: string, listener: EventListenerOrEventListenerObject, options?: boolean | AddEventListenerOptions): void
+    removeEventListener<K extends keyof BulkActionElementEventMap>(type: K, listener: (this: this, event: BulkActionElementEventMap[K]) => any, options?: boolean | EventListenerOptions): void
+    removeEventListener(type: string, listener: EventListenerOrEventListenerObject, options?: boolean | EventListenerOptions): void
+}
+
+export class BulkActionButton extends BulkActionElement {
+    action: string | null
+    model: string | null
+    filters: Filters
+    parameters: Record<string, unknown>
+    options: ExecuteOptions | null
+    disabled: boolean
+    readonly payload: ExecutePayload
+    /** Resolves to null when the confirm prompt is declined or the request fails */
+    execute(): Promise<BulkActionExecution | null>
+}
+
+export class BulkActionProgress extends BulkActionElement {
+    /** Execution to follow instead of the group's latest */
+    uuid: string | null
+    cancelable: boolean
+    cancel(): Promise<BulkActionExecution | null | undefined>
+}
+
+export class BulkActionUndo extends BulkActionElement {
+    undo(): Promise<UndoResult | null | undefined>
+}
+
+export class BulkActionHistory extends BulkActionElement {
+    /** Set to use an ExecutionHistory of your own */
+    history: ExecutionHistory
+    readonly filters: { status: string | null; action: string | null; model: string | null }
+}
+
+export const BULK_ACTION_ELEMENTS: {
+    'bulk-action-button': typeof BulkActionButton
+    'bulk-action-progress': typeof BulkActionProgress
+    'bulk-action-undo': typeof BulkActionUndo
+    'bulk-action-history': typeof BulkActionHistory
+}
+
+/** Register the elements, skipping tags that are already defined */
+export function defineBulkActionElements(registry?: CustomElementRegistry): void
+
+declare global {
+    interface HTMLElementTagNameMap {
+        'bulk-action-button': BulkActionButton
+        'bulk-action-progress': BulkActionProgress
+        'bulk-action-undo': BulkActionUndo
+        'bulk-action-history': BulkActionHistory
+    }
+}
@@ -0,0 +1,38 @@
+/**
+ * Framework-neutral custom elements for Bulk Actions, built on the JS core:
+ * `<bulk-action-button>`, `<bulk-action-progress>`, `<bulk-action-undo>`
+ * and `<bulk-action-history>`.
+ *
+ * import { defineBulkActionElements } from './vendor/elements/index.js'
+ *
+ * defineBulkActionElements()
+ */
+
+import { BulkActionButton } from './BulkActionButton.js'
+import { BulkActionHistory } from './BulkActionHistory.js'
+import { BulkActionProgress } from './BulkActionProgress.js'
+import { BulkActionUndo } from './BulkActionUndo.js'
+
+export { BulkActionButton } from './BulkActionButton.js'
+export { BulkActionElement, baseStyles, getGroup, parseAttribute } from './BulkActionElement.js'
+export { BulkActionHistory } from './BulkActionHistory.js'
+export { BulkActionProgress } from './BulkActionProgress.js'
+export { BulkActionUndo } from './BulkActionUndo.js'
+
+export const BULK_ACTION_ELEMENTS = {
+    'bulk-action-button': BulkActionButton,
+    'bulk-action-progress': BulkActionProgress,
+    'bulk-action-undo': BulkActionUndo,
+    'bulk-action-history': BulkActionHistory,
+}
+
+/**
+ * Register the elements, skipping tags that are already defined
+ *
+ * @param {CustomElementRegistry} [registry]
+ */
+export function defineBulkActionElements(registry = globalThis.customElements) {
+    Object.entries(BULK_ACTION_ELEMENTS).forEach(([tag, element]) => {
+        if (!registry.get(tag)) registry.define(tag, element)
+    })
+}
@@ -0,0 +1,12 @@
+import type { ReactElement } from 'react'
+import type { UseMonitoringResult } from '../hooks/useMonitoring.js'
+
+export interface BulkActionBreakdownTableProps {
+    monitoring: UseMonitoringResult
+    className?: string
+    emptyText?: string
+}
+
+export function BulkActionBreakdownTable(props: BulkActionBreakdownTableProps): ReactElement
+
+export default BulkActionBreakdownTable
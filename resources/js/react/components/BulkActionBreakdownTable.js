@@ -0,0 +1,49 @@
+/**
+ * React per-action breakdown of the monitoring dashboard
+ *
+ * Usage:
+ * import { BulkActionBreakdownTable } from '@/vendor/action-engine/components/BulkActionBreakdownTable'
+ *
+ * const monitoring = useMonitoring()
+ *
+ * <BulkActionBreakdownTable monitoring={monitoring} />
+ *
+ * One row per action run in the date range, most run first, with its
+ * total, completed and failed counts and its success rate.
+ * Unstyled apart from `bulk-action-breakdown*` class names.
+ * Written without JSX so it works without a JSX transform for `.js` files.
+ */
+
+import { createElement as h } from 'react'
+
+const HEADINGS = ['Action', 'Total', 'Completed', 'Failed', 'Success rate']
+
+export function BulkActionBreakdownTable({
+    monitoring,
+    className = 'bulk-action-breakdown',
+    emptyText = 'No actions in this range.',
+}) {
+    const { actions, isLoading, error } = monitoring
+
+    if (!actions.length) {
+        return h('p', { className: `${className}-empty` }, error ? error.message : emptyText)
+    }
+
+    const rows = [...actions].sort((a, b) => b.total - a.total)
+
+    return h('table', { className, 'aria-busy': String(isLoading) }, [
+        h('thead', { key: 'head' }, h('tr', null, HEADINGS.map(heading => h('th', { key: heading, scope: 'col' }, heading)))),
+        h('tbody', { key: 'body' }, rows.map(row => h('tr', {
+            key: row.action,
+            className: row.failed > 0 ? `${className}-failing` : undefined,
+        }, [
+            h('th', { key: 'action', scope: 'row' }, row.action),
+            h('td', { key: 'total' }, row.total),
+            h('td', { key: 'completed' }, row.completed),
+            h('td', { key: 'failed' }, row.failed),
+            h('td', { key: 'rate' }, `${row.success_rate}%`),
+        ]))),
+    ])
+}
+
+export default BulkActionBreakdownTable
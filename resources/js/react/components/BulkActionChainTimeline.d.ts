@@ -0,0 +1,14 @@
+import type { ReactElement } from 'react'
+import type { UseActionChainResult } from '../hooks/useActionChain.js'
+
+export interface BulkActionChainTimelineProps {
+    chain: UseActionChainResult
+    className?: string
+    cancelText?: string
+    undoText?: string
+    emptyText?: string
+}
+
+export function BulkActionChainTimeline(props: BulkActionChainTimelineProps): ReactElement
+
+export default BulkActionChainTimeline
@@ -0,0 +1,77 @@
+/**
+ * React timeline of an action chain
+ *
+ * Usage:
+ * import { BulkActionChainTimeline } from '@/vendor/action-engine/components/BulkActionChainTimeline'
+ *
+ * const chain = useActionChain()
+ *
+ * <BulkActionChainTimeline chain={chain} />
+ *
+ * One item per step with its action, status and a progress bar, the
+ * current step marked with `aria-current`. "Cancel" shows while the chain
+ * is running and stops the remaining steps; "Undo" shows once it has
+ * finished and undoes the completed steps, last one first.
+ * Unstyled apart from `bulk-action-chain*` class names.
+ * Written without JSX so it works without a JSX transform for `.js` files.
+ */
+
+import { createElement as h } from 'react'
+
+// Failures show up through `error`
+const quietly = promise => promise?.catch(() => {})
+
+const label = status => status.replace(/_/g, ' ')
+
+export function BulkActionChainTimeline({
+    chain,
+    className = 'bulk-action-chain',
+    cancelText = 'Cancel',
+    undoText = 'Undo',
+    emptyText = 'No chain running.',
+}) {
+    const { steps, currentStep, isRunning, canUndo, isCancelling, isUndoing, error } = chain
+
+    if (!steps.length) {
+        return h('p', { className: `${className}-empty` }, error ? error.message : emptyText)
+    }
+
+    return h('section', { className, 'aria-busy': String(isRunning) }, [
+        h('ol', { key: 'steps', className: `${className}-steps` }, steps.map(step => h('li', {
+            key: step.step,
+            className: `${className}-step ${className}-step-${step.status}`,
+            'aria-current': step.step === currentStep?.step ? 'step' : undefined,
+        }, [
+            h('strong', { key: 'action' }, step.action_name),
+            ` ${label(step.status)}`,
+            h('progress', { key: 'progress', max: 100, value: step.progress_percentage }),
+            step.error ? h('p', { key: 'error', className: `${className}-step-error` }, step.error) : null,
+        ]))),
+
+        isRunning
+            ? h('button', {
+                key: 'cancel',
+                type: 'button',
+                className: `${className}-cancel`,
+                disabled: isCancelling,
+                onClick: () => quietly(chain.cancel()),
+            }, cancelText)
+            : null,
+
+        canUndo
+            ? h('button', {
+                key: 'undo',
+                type: 'button',
+                className: `${className}-undo`,
+                disabled: isUndoing,
+                onClick: () => quietly(chain.undo()),
+            }, undoText)
+            : null,
+
+        error
+            ? h('p', { key: 'error', className: `${className}-error`, role: 'alert' }, error.message)
+            : null,
+    ])
+}
+
+export default BulkActionChainTimeline
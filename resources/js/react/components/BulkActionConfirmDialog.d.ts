@@ -0,0 +1,12 @@
+import type { ReactElement } from 'react'
+import type { UseConfirmationFlowResult } from '../hooks/useConfirmationFlow.js'
+
+export interface BulkActionConfirmDialogProps {
+    confirmation: UseConfirmationFlowResult
+    className?: string
+    idPrefix?: string
+}
+
+export function BulkActionConfirmDialog(props: BulkActionConfirmDialogProps): ReactElement | null
+
+export default BulkActionConfirmDialog
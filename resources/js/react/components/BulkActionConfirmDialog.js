@@ -0,0 +1,99 @@
+/**
+ * React confirmation dialog for destructive Bulk Actions
+ *
+ * Usage:
+ * import { BulkActionConfirmDialog } from '@/vendor/action-engine/components/BulkActionConfirmDialog'
+ *
+ * const confirmation = useConfirmationFlow(useBulkAction())
+ *
+ * <BulkActionConfirmDialog confirmation={confirmation} />
+ *
+ * Renders while the flow is open: the server's prompt and affected record
+ * count, a "Run dry run" step when required, the phrase input above the
+ * confirmation threshold, and the Cancel / Confirm buttons. Unstyled apart
+ * from `bulk-action-confirm*` class names and `data-warning-level`.
+ * Written without JSX so it works without a JSX transform for `.js` files.
+ */
+
+import { createElement as h } from 'react'
+import { fieldError } from '../../core/index.js'
+
+export function BulkActionConfirmDialog({
+    confirmation,
+    className = 'bulk-action-confirm',
+    idPrefix = 'bulk-action-confirm',
+}) {
+    if (!confirmation?.isOpen) {
+        return null
+    }
+
+    const { step, assessment, dryRun, phrase, isLoading, error } = confirmation
+    const prompt = assessment?.prompt || null
+    const message = fieldError(error, 'confirmation') || error?.message
+
+    const onKeyDown = (event) => {
+        if (event.key === 'Escape') confirmation.cancel()
+    }
+
+    return h('div', { className: `${className}-backdrop` }, h('div', {
+        className,
+        role: 'alertdialog',
+        'aria-modal': true,
+        'aria-labelledby': `${idPrefix}-title`,
+        'aria-describedby': `${idPrefix}-message`,
+        'aria-busy': isLoading,
+        'data-warning-level': prompt?.warningLevel,
+        onKeyDown,
+    }, [
+        h('h2', { key: 'title', id: `${idPrefix}-title` }, prompt?.title || 'Confirm action'),
+
+        h('p', { key: 'message', id: `${idPrefix}-message` }, step === 'assessing'
+            ? 'Checking the affected records…'
+            : prompt?.message || `This will affect ${assessment?.count ?? 0} records.`),
+
+        step === 'dry-run'
+            ? h('div', { key: 'dry-run', className: `${className}-dry-run` }, [
+                h('p', { key: 'text' }, 'This is your first run of this action. Run a dry run to review its effect first.'),
+                h('button', { key: 'button', type: 'button', disabled: isLoading, onClick: () => confirmation.runDryRun() }, 'Run dry run'),
+            ])
+            : null,
+
+        dryRun
+            ? h('p', { key: 'dry-run-result', className: `${className}-dry-run-result` },
+                `Dry run: ${dryRun.total_records} records would be affected.`)
+            : null,
+
+        step === 'confirm' && confirmation.requiresTyping
+            ? h('div', { key: 'phrase', className: `${className}-phrase` }, [
+                h('label', { key: 'label', htmlFor: `${idPrefix}-phrase` }, [
+                    'Type ', h('strong', { key: 'text' }, prompt.typeText), ' to confirm',
+                ]),
+                h('input', {
+                    key: 'input',
+                    id: `${idPrefix}-phrase`,
+                    type: 'text',
+                    value: phrase,
+                    autoComplete: 'off',
+                    autoFocus: true,
+                    'aria-invalid': Boolean(fieldError(error, 'confirmation')),
+                    onChange: event => confirmation.setPhrase(event.target.value),
+                    onKeyDown: event => event.key === 'Enter' && confirmation.canConfirm && confirmation.confirm(),
+                }),
+            ])
+            : null,
+
+        message ? h('p', { key: 'error', className: `${className}-error`, role: 'alert' }, message) : null,
+
+        h('div', { key: 'buttons', className: `${className}-buttons` }, [
+            h('button', { key: 'cancel', type: 'button', onClick: () => confirmation.cancel() }, 'Cancel'),
+            h('button', {
+                key: 'confirm',
+                type: 'button',
+                disabled: !confirmation.canConfirm,
+                onClick: () => confirmation.confirm(),
+            }, prompt?.confirmText || 'Confirm'),
+        ]),
+    ]))
+}
+
+export default BulkActionConfirmDialog
@@ -0,0 +1,13 @@
+import type { ReactElement } from 'react'
+import type { UseFailureReportResult } from '../hooks/useFailureReport.js'
+
+export interface BulkActionFailureReportProps {
+    failures: UseFailureReportResult
+    className?: string
+    retryText?: string
+    emptyText?: string
+}
+
+export function BulkActionFailureReport(props: BulkActionFailureReportProps): ReactElement
+
+export default BulkActionFailureReport
@@ -0,0 +1,76 @@
+/**
+ * React report of the records a Bulk Action failed on
+ *
+ * Usage:
+ * import { BulkActionFailureReport } from '@/vendor/action-engine/components/BulkActionFailureReport'
+ *
+ * const failures = useFailureReport(bulkAction.execution, { handOffTo: bulkAction })
+ *
+ * <BulkActionFailureReport failures={failures} />
+ *
+ * One button per error type (with its count) to filter the list, the failed
+ * records with their error, Previous / Next paging and a "Retry failed"
+ * button that retries the listed type (all types unless one is selected).
+ * Unstyled apart from `bulk-action-failures*` class names.
+ * Written without JSX so it works without a JSX transform for `.js` files.
+ */
+
+import { createElement as h } from 'react'
+
+// Failures show up through `error`
+const quietly = promise => promise?.catch(() => {})
+
+export function BulkActionFailureReport({
+    failures,
+    className = 'bulk-action-failures',
+    retryText = 'Retry failed',
+    emptyText = 'No failed records.',
+}) {
+    const { items, groups, type, meta, isLoading, isRetrying, error } = failures
+
+    if (!groups.length && !isLoading) {
+        return h('p', { className: `${className}-empty` }, error ? error.message : emptyText)
+    }
+
+    const filter = (value, label, count) => h('button', {
+        key: value ?? '',
+        type: 'button',
+        'aria-pressed': String(type === value),
+        onClick: () => quietly(failures.setType(value)),
+    }, `${label} (${count})`)
+
+    return h('section', { className, 'aria-busy': String(isLoading) }, [
+        h('div', { key: 'groups', className: `${className}-groups` }, [
+            filter(null, 'All', failures.total),
+            ...groups.map(group => filter(group.type, group.type, group.count)),
+        ]),
+
+        h('ul', { key: 'items', className: `${className}-list` }, items.map(item => h('li', { key: item.id, className: `${className}-item` }, [
+            h('strong', { key: 'id' }, `#${item.id}`),
+            ` ${item.type}`,
+            item.message ? h('p', { key: 'message' }, item.message) : null,
+        ]))),
+
+        meta && meta.last_page > 1
+            ? h('nav', { key: 'pages', className: `${className}-pages` }, [
+                h('button', { key: 'previous', type: 'button', disabled: !failures.hasPreviousPage, onClick: () => quietly(failures.previousPage()) }, 'Previous'),
+                ` Page ${meta.current_page} of ${meta.last_page} `,
+                h('button', { key: 'next', type: 'button', disabled: !failures.hasNextPage, onClick: () => quietly(failures.nextPage()) }, 'Next'),
+            ])
+            : null,
+
+        h('button', {
+            key: 'retry',
+            type: 'button',
+            className: `${className}-retry`,
+            disabled: isRetrying,
+            onClick: () => quietly(failures.retryFailed()),
+        }, retryText),
+
+        error
+            ? h('p', { key: 'error', className: `${className}-error`, role: 'alert' }, error.message)
+            : null,
+    ])
+}
+
+export default BulkActionFailureReport
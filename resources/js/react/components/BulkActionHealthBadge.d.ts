@@ -0,0 +1,15 @@
+import type { ReactElement } from 'react'
+import type { UseMonitoringResult } from '../hooks/useMonitoring.js'
+
+export interface BulkActionHealthBadgeProps {
+    monitoring: UseMonitoringResult
+    className?: string
+    healthyText?: string
+    degradedText?: string
+    unhealthyText?: string
+    loadingText?: string
+}
+
+export function BulkActionHealthBadge(props: BulkActionHealthBadgeProps): ReactElement
+
+export default BulkActionHealthBadge
@@ -0,0 +1,44 @@
+/**
+ * React health badge of the monitoring dashboard
+ *
+ * Usage:
+ * import { BulkActionHealthBadge } from '@/vendor/action-engine/components/BulkActionHealthBadge'
+ *
+ * const monitoring = useMonitoring()
+ *
+ * <BulkActionHealthBadge monitoring={monitoring} />
+ *
+ * "Healthy", "Degraded" or "Unhealthy", with the checks that did not pass
+ * in its tooltip. Unstyled apart from `bulk-action-health*` class names,
+ * the status being one of them (e.g. `bulk-action-health-degraded`).
+ * Written without JSX so it works without a JSX transform for `.js` files.
+ */
+
+import { createElement as h } from 'react'
+import { failingChecks } from '../../core/index.js'
+
+export function BulkActionHealthBadge({
+    monitoring,
+    className = 'bulk-action-health',
+    healthyText = 'Healthy',
+    degradedText = 'Degraded',
+    unhealthyText = 'Unhealthy',
+    loadingText = 'Checking…',
+}) {
+    const { health, connectionLost, error } = monitoring
+
+    if (!health) {
+        return h('span', { className: `${className} ${className}-unknown`, role: 'status' }, error ? error.message : loadingText)
+    }
+
+    const text = { healthy: healthyText, degraded: degradedText, unhealthy: unhealthyText }[health.status] || health.status
+    const failing = failingChecks(health)
+
+    return h('span', {
+        className: [className, `${className}-${health.status}`, connectionLost ? `${className}-stale` : null].filter(Boolean).join(' '),
+        role: 'status',
+        title: failing.map(check => check.message).join('\n') || undefined,
+    }, text)
+}
+
+export default BulkActionHealthBadge
@@ -0,0 +1,19 @@
+import type { ReactElement } from 'react'
+import type { ActionEngineError, ErrorBag, ParameterField } from '../../core/index.js'
+
+export interface BulkActionParametersFormProps<V extends Record<string, unknown> = Record<string, unknown>> {
+    fields?: ParameterField[]
+    values?: V
+    /** An error bag, or the `error` of a failed execute() */
+    errors?: ErrorBag | ActionEngineError | null
+    onChange?: (values: V) => void
+    disabled?: boolean
+    idPrefix?: string
+    className?: string
+}
+
+export function BulkActionParametersForm<V extends Record<string, unknown> = Record<string, unknown>>(
+    props: BulkActionParametersFormProps<V>,
+): ReactElement
+
+export default BulkActionParametersForm
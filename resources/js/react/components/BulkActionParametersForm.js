@@ -0,0 +1,113 @@
+/**
+ * React form fields for an action's declared parameters
+ *
+ * Usage:
+ * import { BulkActionParametersForm } from '@/vendor/action-engine/components/BulkActionParametersForm'
+ *
+ * const { fieldsOf, defaultsOf, validate } = useAvailableActions()
+ * const [parameters, setParameters] = useState(() => defaultsOf('export'))
+ *
+ * <BulkActionParametersForm
+ *   fields={fieldsOf('export')}
+ *   values={parameters}
+ *   errors={validate(payload).errors}
+ *   onChange={setParameters}
+ * />
+ *
+ * A controlled component: `onChange` receives the complete, typed values.
+ * `errors` also accepts the `error` of a failed execute(), so server-side
+ * validation messages show up under their fields.
+ * Written without JSX so it works without a JSX transform for `.js` files.
+ */
+
+import { createElement as h, useState } from 'react'
+import { coerceValue, fieldError, formatValue, inputText, inputType } from '../../core/index.js'
+
+export function BulkActionParametersForm({
+    fields = [],
+    values = {},
+    errors = {},
+    onChange = () => {},
+    disabled = false,
+    idPrefix = 'bulk-action-parameter',
+    className = 'bulk-action-parameters',
+}) {
+    // Raw text of inputs whose typed value cannot round-trip while typing
+    const [drafts, setDrafts] = useState({})
+
+    const update = (field, raw) => {
+        setDrafts({ ...drafts, [field.name]: raw })
+        onChange({ ...values, [field.name]: coerceValue(field, raw) })
+    }
+
+    const renderControl = (field, id) => {
+        const common = {
+            id,
+            name: field.name,
+            disabled,
+            required: field.required,
+            'aria-invalid': Boolean(fieldError(errors, field.name)),
+        }
+        const text = inputText(field, values[field.name], drafts[field.name])
+
+        if (field.type === 'boolean') {
+            return h('input', {
+                ...common,
+                type: 'checkbox',
+                checked: Boolean(values[field.name]),
+                onChange: event => update(field, event.target.checked),
+            })
+        }
+
+        if (field.type === 'select') {
+            return h('select', {
+                ...common,
+                value: formatValue(field, values[field.name]),
+                onChange: event => update(field, event.target.value),
+            }, [
+                !field.required || values[field.name] == null
+                    ? h('option', { key: '', value: '' }, field.placeholder || '')
+                    : null,
+                ...(field.options || []).map(option => h('option', {
+                    key: String(option.value),
+                    value: String(option.value),
+                }, option.label)),
+            ])
+        }
+
+        if (field.type === 'text' || field.type === 'object') {
+            return h('textarea', {
+                ...common,
+                value: text,
+                placeholder: field.placeholder || undefined,
+                rows: field.type === 'object' ? 4 : 3,
+                onChange: event => update(field, event.target.value),
+            })
+        }
+
+        return h('input', {
+            ...common,
+            type: inputType(field),
+            value: text,
+            min: field.min ?? undefined,
+            max: field.max ?? undefined,
+            step: field.type === 'number' ? 'any' : undefined,
+            placeholder: field.placeholder || undefined,
+            onChange: event => update(field, event.target.value),
+        })
+    }
+
+    return h('div', { className }, fields.map((field) => {
+        const id = `${idPrefix}-${field.name}`
+        const error = fieldError(errors, field.name)
+
+        return h('div', { key: field.name, className: 'bulk-action-field' }, [
+            h('label', { key: 'label', htmlFor: id }, field.label),
+            h('div', { key: 'control' }, renderControl(field, id)),
+            field.description ? h('p', { key: 'description', className: 'bulk-action-field-description' }, field.description) : null,
+            error ? h('p', { key: 'error', className: 'bulk-action-field-error', role: 'alert' }, error) : null,
+        ])
+    }))
+}
+
+export default BulkActionParametersForm
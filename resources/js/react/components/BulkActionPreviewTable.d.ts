@@ -0,0 +1,13 @@
+import type { ReactElement } from 'react'
+import type { UseChangePreviewResult } from '../hooks/useChangePreview.js'
+
+export interface BulkActionPreviewTableProps {
+    preview: UseChangePreviewResult
+    className?: string
+    runText?: string
+    emptyText?: string
+}
+
+export function BulkActionPreviewTable(props: BulkActionPreviewTableProps): ReactElement
+
+export default BulkActionPreviewTable
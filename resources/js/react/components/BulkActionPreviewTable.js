@@ -0,0 +1,91 @@
+/**
+ * React before/after table of a Bulk Action preview
+ *
+ * Usage:
+ * import { BulkActionPreviewTable } from '@/vendor/action-engine/components/BulkActionPreviewTable'
+ *
+ * const preview = useChangePreview(bulkAction)
+ *
+ * <BulkActionPreviewTable preview={preview} />
+ *
+ * The number of affected records, then one row per record and one column
+ * per attribute. Changed cells show the value before and after the action
+ * (`<del>` / `<ins>`), changed columns are marked in the header and records
+ * the action would delete are marked as a whole. Previous / Next page
+ * through the records and "Run action" executes the previewed payload.
+ * Unstyled apart from `bulk-action-preview*` class names.
+ * Written without JSX so it works without a JSX transform for `.js` files.
+ */
+
+import { createElement as h } from 'react'
+import { isColumnChanged } from '../../core/index.js'
+
+// Failures show up through `error`
+const quietly = promise => promise?.catch(() => {})
+
+const format = value => (value === null || value === undefined
+    ? '—'
+    : typeof value === 'object' ? JSON.stringify(value) : String(value))
+
+export function BulkActionPreviewTable({
+    preview,
+    className = 'bulk-action-preview',
+    runText = 'Run action',
+    emptyText = 'No records match.',
+}) {
+    const { rows, columns, changedColumns, meta, isLoading, isExecuting, error } = preview
+
+    if (!rows.length && !isLoading) {
+        return h('p', { className: `${className}-empty` }, error ? error.message : emptyText)
+    }
+
+    const cell = (row, column) => {
+        if (!row.deleted && isColumnChanged(row, column)) {
+            return h('td', { key: column, className: `${className}-changed` }, [
+                h('del', { key: 'before' }, format(row.before[column])),
+                ' ',
+                h('ins', { key: 'after' }, format(row.after?.[column])),
+            ])
+        }
+
+        return h('td', { key: column }, format(row.before[column]))
+    }
+
+    return h('section', { className, 'aria-busy': String(isLoading) }, [
+        h('p', { key: 'total', className: `${className}-total` }, `${preview.total} records will be affected.`),
+
+        h('table', { key: 'table', className: `${className}-table` }, [
+            h('thead', { key: 'head' }, h('tr', null, columns.map(column => h('th', {
+                key: column,
+                scope: 'col',
+                className: changedColumns.includes(column) ? `${className}-changed` : undefined,
+            }, column)))),
+            h('tbody', { key: 'body' }, rows.map(row => h('tr', {
+                key: row.id,
+                className: row.deleted ? `${className}-deleted` : undefined,
+            }, columns.map(column => cell(row, column))))),
+        ]),
+
+        meta && meta.last_page > 1
+            ? h('nav', { key: 'pages', className: `${className}-pages` }, [
+                h('button', { key: 'previous', type: 'button', disabled: !preview.hasPreviousPage, onClick: () => quietly(preview.previousPage()) }, 'Previous'),
+                ` Page ${meta.current_page} of ${meta.last_page} `,
+                h('button', { key: 'next', type: 'button', disabled: !preview.hasNextPage, onClick: () => quietly(preview.nextPage()) }, 'Next'),
+            ])
+            : null,
+
+        h('button', {
+            key: 'run',
+            type: 'button',
+            className: `${className}-run`,
+            disabled: isExecuting || isLoading,
+            onClick: () => quietly(preview.execute()),
+        }, runText),
+
+        error
+            ? h('p', { key: 'error', className: `${className}-error`, role: 'alert' }, error.message)
+            : null,
+    ])
+}
+
+export default BulkActionPreviewTable
@@ -0,0 +1,12 @@
+import type { ReactElement } from 'react'
+import type { UseScheduledActionsResult } from '../hooks/useScheduledActions.js'
+
+export interface BulkActionScheduledListProps {
+    scheduledActions: UseScheduledActionsResult
+    className?: string
+    emptyText?: string
+}
+
+export function BulkActionScheduledList(props: BulkActionScheduledListProps): ReactElement
+
+export default BulkActionScheduledList
@@ -0,0 +1,73 @@
+/**
+ * React list of scheduled Bulk Actions
+ *
+ * Usage:
+ * import { BulkActionScheduledList } from '@/vendor/action-engine/components/BulkActionScheduledList'
+ *
+ * const scheduledActions = useScheduledActions({ handOffTo: useBulkActions() })
+ *
+ * <BulkActionScheduledList scheduledActions={scheduledActions} />
+ *
+ * One row per scheduled action: its start time in its own timezone, a
+ * countdown, a date-time input to reschedule it (read in the action's
+ * timezone) and a Cancel button. Unstyled apart from
+ * `bulk-action-scheduled*` class names.
+ * Written without JSX so it works without a JSX transform for `.js` files.
+ */
+
+import { createElement as h } from 'react'
+import { fieldError, formatCountdown, formatScheduledFor, toLocalDateTime } from '../../core/index.js'
+
+// Failures show up on the row through `errors[uuid]`
+const quietly = promise => promise?.catch(() => {})
+
+export function BulkActionScheduledList({ scheduledActions, className = 'bulk-action-scheduled', emptyText = 'No scheduled actions.' }) {
+    const { items, loading, errors } = scheduledActions
+
+    if (!items.length) {
+        return h('p', { className: `${className}-empty` }, emptyText)
+    }
+
+    return h('ul', { className }, items.map((item) => {
+        const zone = item.scheduled_timezone || undefined
+        const error = errors[item.uuid]
+
+        const onSubmit = (event) => {
+            event.preventDefault()
+            quietly(scheduledActions.reschedule(item.uuid, event.target.elements.scheduled_for.value, item.scheduled_timezone))
+        }
+
+        return h('li', { key: item.uuid, className: `${className}-item`, 'aria-busy': String(Boolean(loading[item.uuid])) }, [
+            h('p', { key: 'summary' }, `"${item.action_name}" on ${item.total_records} records`),
+            h('p', { key: 'time' }, [
+                h('time', { key: 'at', dateTime: item.scheduled_for }, formatScheduledFor(item)),
+                ` (starts in ${formatCountdown(scheduledActions.remainingOf(item.uuid))})`,
+            ]),
+
+            h('form', { key: 'reschedule', className: `${className}-reschedule`, onSubmit }, [
+                h('input', {
+                    key: 'input',
+                    type: 'datetime-local',
+                    name: 'scheduled_for',
+                    required: true,
+                    'aria-label': 'New start time',
+                    defaultValue: toLocalDateTime(item.scheduled_for, zone),
+                }),
+                h('button', { key: 'submit', type: 'submit', disabled: loading[item.uuid] }, 'Reschedule'),
+            ]),
+
+            h('button', {
+                key: 'cancel',
+                type: 'button',
+                disabled: loading[item.uuid],
+                onClick: () => quietly(scheduledActions.cancel(item.uuid)),
+            }, 'Cancel'),
+
+            error
+                ? h('p', { key: 'error', className: `${className}-error`, role: 'alert' }, fieldError(error, 'scheduled_for') || error.message)
+                : null,
+        ])
+    }))
+}
+
+export default BulkActionScheduledList
@@ -0,0 +1,20 @@
+import type { ReactElement } from 'react'
+import type { TrendMetric } from '../../core/index.js'
+import type { UseMonitoringResult } from '../hooks/useMonitoring.js'
+
+export interface BulkActionTrendChartProps {
+    monitoring: UseMonitoringResult
+    metric?: TrendMetric
+    type?: 'line' | 'bar'
+    /** Size of the SVG's viewBox */
+    width?: number
+    height?: number
+    /** Caption, the metric's label by default */
+    title?: string
+    className?: string
+    emptyText?: string
+}
+
+export function BulkActionTrendChart(props: BulkActionTrendChartProps): ReactElement
+
+export default BulkActionTrendChart
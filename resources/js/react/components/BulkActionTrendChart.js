@@ -0,0 +1,82 @@
+/**
+ * React chart of the monitoring dashboard's daily trends
+ *
+ * Usage:
+ * import { BulkActionTrendChart } from '@/vendor/action-engine/components/BulkActionTrendChart'
+ *
+ * const monitoring = useMonitoring({ range: { days: 30 } })
+ *
+ * <BulkActionTrendChart monitoring={monitoring} metric="throughput" type="bar" />
+ * <BulkActionTrendChart monitoring={monitoring} metric="failure_rate" />
+ *
+ * One point (or bar) per day for a TREND_METRICS name: `throughput`
+ * (records processed), `actions`, `failure_rate` or `duration`. Drawn as
+ * SVG, without a chart library, each point titled with its date and value.
+ * Unstyled apart from `bulk-action-trend*` class names; the line, area and
+ * bars take their color from `currentColor`.
+ * Written without JSX so it works without a JSX transform for `.js` files.
+ */
+
+import { createElement as h } from 'react'
+import { TREND_METRICS, chartGeometry, formatMetric } from '../../core/index.js'
+
+export function BulkActionTrendChart({
+    monitoring,
+    metric = 'throughput',
+    type = 'line',
+    width = 300,
+    height = 100,
+    title = undefined,
+    className = 'bulk-action-trend',
+    emptyText = 'No finished actions in this range.',
+}) {
+    const { label, max } = TREND_METRICS[metric] || TREND_METRICS.throughput
+    const series = monitoring.series(metric)
+    const caption = title ?? label
+
+    if (!series.length) {
+        return h('figure', { className: `${className} ${className}-empty` }, [
+            h('figcaption', { key: 'caption' }, caption),
+            h('p', { key: 'empty' }, monitoring.error ? monitoring.error.message : emptyText),
+        ])
+    }
+
+    const chart = chartGeometry(series, { width, height, max })
+    const describe = point => `${point.date}: ${formatMetric(point.value, metric)}`
+
+    const marks = type === 'bar'
+        ? chart.bars.map(bar => h('rect', {
+            key: bar.date,
+            className: `${className}-bar`,
+            x: bar.x,
+            y: bar.y,
+            width: bar.width,
+            height: bar.height,
+            fill: 'currentColor',
+        }, h('title', null, describe(bar))))
+        : [
+            h('path', { key: 'area', className: `${className}-area`, d: chart.area, fill: 'currentColor', fillOpacity: 0.15 }),
+            h('path', { key: 'line', className: `${className}-line`, d: chart.line, fill: 'none', stroke: 'currentColor', strokeWidth: 2 }),
+            ...chart.points.map(point => h('circle', {
+                key: point.date,
+                className: `${className}-point`,
+                cx: point.x,
+                cy: point.y,
+                r: 3,
+                fill: 'currentColor',
+            }, h('title', null, describe(point)))),
+        ]
+
+    return h('figure', { className: `${className} ${className}-${metric}`, 'aria-busy': String(monitoring.isLoading) }, [
+        h('figcaption', { key: 'caption' }, caption),
+        h('svg', {
+            key: 'chart',
+            className: `${className}-chart`,
+            viewBox: `0 0 ${width} ${height}`,
+            role: 'img',
+            'aria-label': `${caption}, ${series[0].date} to ${series[series.length - 1].date}`,
+        }, marks),
+    ])
+}
+
+export default BulkActionTrendChart
@@ -0,0 +1,11 @@
+import type { ReactElement } from 'react'
+import type { UseUndoQueueResult } from '../hooks/useUndoQueue.js'
+
+export interface BulkActionUndoToastProps {
+    undoQueue: UseUndoQueueResult
+    className?: string
+}
+
+export function BulkActionUndoToast(props: BulkActionUndoToastProps): ReactElement | null
+
+export default BulkActionUndoToast
@@ -0,0 +1,66 @@
+/**
+ * React undo toasts for recent Bulk Actions
+ *
+ * Usage:
+ * import { BulkActionUndoToast } from '@/vendor/action-engine/components/BulkActionUndoToast'
+ *
+ * const undoQueue = useUndoQueue()
+ *
+ * <BulkActionUndoToast undoQueue={undoQueue} />
+ *
+ * One toast per queued execution, with an "Undo" button counting down to
+ * the end of its undo window. Once undone, the toast shows the restored
+ * record count and a "Redo" button until it times out. Unstyled apart from
+ * `bulk-action-undo*` class names and `data-status`.
+ * Written without JSX so it works without a JSX transform for `.js` files.
+ */
+
+import { createElement as h } from 'react'
+import { formatCountdown } from '../../core/index.js'
+
+// Failures show up on the toast through `item.error`
+const quietly = promise => promise?.catch(() => {})
+
+export function BulkActionUndoToast({ undoQueue, className = 'bulk-action-undo' }) {
+    if (!undoQueue?.items.length) {
+        return null
+    }
+
+    return h('div', { className, role: 'region', 'aria-live': 'polite', 'aria-label': 'Undo' },
+        undoQueue.items.map(item => h('div', { key: item.uuid, className: `${className}-toast`, 'data-status': item.status }, [
+            ...(item.status === 'undone' || item.status === 'redoing'
+                ? [
+                    h('p', { key: 'message' }, `Restored ${item.restoredCount} records.`),
+                    h('button', {
+                        key: 'redo',
+                        type: 'button',
+                        disabled: item.status === 'redoing',
+                        onClick: () => quietly(undoQueue.redo(item.uuid)),
+                    }, 'Redo'),
+                ]
+                : [
+                    h('p', { key: 'message' },
+                        `"${item.execution.action_name}" affected ${item.undoableCount ?? item.execution.total_records} records.`),
+                    h('button', {
+                        key: 'undo',
+                        type: 'button',
+                        disabled: item.status === 'undoing',
+                        onClick: () => quietly(undoQueue.undo(item.uuid)),
+                    }, item.remaining === null ? 'Undo' : `Undo (${formatCountdown(item.remaining)})`),
+                ]),
+
+            item.error
+                ? h('p', { key: 'error', className: `${className}-error`, role: 'alert' }, item.error.message)
+                : null,
+
+            h('button', {
+                key: 'dismiss',
+                type: 'button',
+                className: `${className}-dismiss`,
+                'aria-label': 'Dismiss',
+                onClick: () => undoQueue.dismiss(item.uuid),
+            }, '×'),
+        ])))
+}
+
+export default BulkActionUndoToast
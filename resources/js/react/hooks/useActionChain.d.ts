@@ -0,0 +1,36 @@
+import type {
+    ActionChain,
+    ActionChainState,
+    ActionName,
+    BindingOptionsInput,
+    BulkActionExecution,
+    ChainStepInput,
+    ChainTimeline,
+    ChainTimelineStep,
+    ChainUndoResult,
+    ExecutePayload,
+} from '../../core/index.js'
+
+export interface UseActionChainResult extends ActionChainState {
+    // State
+    steps: ChainTimelineStep[]
+    /** The last step that started */
+    currentStep: ChainTimelineStep | null
+    isRunning: boolean
+    canUndo: boolean
+
+    // Actions
+    start<A extends ActionName>(payload: ExecutePayload<A>, steps?: ChainStepInput[]): Promise<ChainTimeline | null>
+    track(executionOrUuid: BulkActionExecution | string | null): Promise<ChainTimeline | null>
+    refresh(): Promise<ChainTimeline | null | undefined>
+    cancel(): Promise<ChainTimeline | null>
+    undo(): Promise<ChainUndoResult | null>
+    reset(): void
+
+    // Underlying chain, for advanced use
+    actionChain: ActionChain
+}
+
+export function useActionChain(options?: BindingOptionsInput): UseActionChainResult
+
+export default useActionChain
@@ -0,0 +1,66 @@
+/**
+ * React Hook for running an action chain and following its timeline
+ *
+ * Usage:
+ * import { useActionChain } from '@/vendor/action-engine/hooks/useActionChain'
+ * import { BulkActionChainTimeline } from '@/vendor/action-engine/components/BulkActionChainTimeline'
+ *
+ * const chain = useActionChain()
+ *
+ * <button onClick={() => chain.start(
+ *     { action: 'archive', model: 'App\\Models\\Post', filters: { ids }, options: { with_undo: true } },
+ *     [{ action: 'update', parameters: { data: { featured: false } } }, 'export'],
+ * )}>Archive and export</button>
+ * <BulkActionChainTimeline chain={chain} />
+ *
+ * `start()` executes the first action with the later steps chained to it;
+ * `track()` follows the chain of an existing execution instead. `steps`
+ * each have their own `status` and `progress_percentage`. `cancel()` stops
+ * the running step and the ones after it, `undo()` undoes the completed
+ * steps, last one first. Accepts `{ apiPrefix, client, pollInterval, polling }`.
+ */
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react'
+import { createActionChain } from '../../core/index.js'
+
+export function useActionChain(options = {}) {
+    const chainRef = useRef(null)
+    if (!chainRef.current) {
+        chainRef.current = createActionChain(options)
+    }
+    const actionChain = chainRef.current
+
+    const state = useSyncExternalStore(actionChain.subscribe, actionChain.getState)
+
+    // Stop polling on unmount
+    useEffect(() => () => actionChain.destroy(), [actionChain])
+
+    const start = useCallback((payload, steps) => actionChain.start(payload, steps), [actionChain])
+    const track = useCallback((executionOrUuid) => actionChain.track(executionOrUuid), [actionChain])
+    const refresh = useCallback(() => actionChain.refresh(), [actionChain])
+    const cancel = useCallback(() => actionChain.cancel(), [actionChain])
+    const undo = useCallback(() => actionChain.undo(), [actionChain])
+    const reset = useCallback(() => actionChain.reset(), [actionChain])
+
+    return {
+        // State
+        ...state,
+        steps: actionChain.steps,
+        currentStep: actionChain.currentStep,
+        isRunning: actionChain.isRunning,
+        canUndo: actionChain.canUndo,
+
+        // Actions
+        start,
+        track,
+        refresh,
+        cancel,
+        undo,
+        reset,
+
+        // Underlying chain, for advanced use
+        actionChain,
+    }
+}
+
+export default useActionChain
@@ -0,0 +1,62 @@
+/**
+ * React Hook for the registered Bulk Actions
+ *
+ * Usage:
+ * import { useAvailableActions } from '@/vendor/action-engine/hooks/useAvailableActions'
+ *
+ * const { list, fieldsOf, defaultsOf, validate } = useAvailableActions()
+ *
+ * list.map(action => <option key={action.name} value={action.name}>{action.label}</option>)
+ *
+ * const { valid, errors } = validate({ action: 'export', model: 'App\\Models\\Order', parameters })
+ *
+ * The metadata is loaded on mount (unless `immediate` is false) and cached
+ * per api prefix, so every component using the hook shares one request.
+ * Accepts an api prefix string or `{ apiPrefix, client, cacheTtl, immediate }`.
+ */
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react'
+import { createActionCatalog, resolveOptions } from '../../core/index.js'
+
+export function useAvailableActions(options = '/api/bulk-actions') {
+    const catalogRef = useRef(null)
+    if (!catalogRef.current) {
+        catalogRef.current = createActionCatalog(options)
+    }
+    const catalog = catalogRef.current
+
+    const { actions, isLoading, error } = useSyncExternalStore(catalog.subscribe, catalog.getState)
+
+    // Load (or reuse the cached) metadata on mount
+    useEffect(() => {
+        if (resolveOptions(options).immediate !== false) {
+            catalog.load()
+        }
+    }, [catalog])
+
+    const reload = useCallback(() => catalog.load({ force: true }), [catalog])
+    const get = useCallback((name) => catalog.get(name), [catalog, actions])
+    const fieldsOf = useCallback((name) => catalog.fieldsOf(name), [catalog, actions])
+    const defaultsOf = useCallback((name) => catalog.defaultsOf(name), [catalog, actions])
+    const validate = useCallback((payload) => catalog.validate(payload), [catalog, actions])
+
+    return {
+        // State
+        actions,
+        list: Object.values(actions),
+        isLoading,
+        error,
+
+        // Helpers
+        get,
+        fieldsOf,
+        defaultsOf,
+        validate,
+        reload,
+
+        // Underlying catalog, for advanced use
+        catalog,
+    }
+}
+
+export default useAvailableActions
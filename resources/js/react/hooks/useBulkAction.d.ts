@@ -0,0 +1,53 @@
+import type {
+    ActionEngineError,
+    ActionName,
+    BindingOptionsInput,
+    BulkActionBuilder,
+    BulkActionExecution,
+    ExecutePayload,
+    ExecutionStore,
+    PreviewPayload,
+    PreviewResult,
+    Progress,
+    RetryFailedPayload,
+    RunOptions,
+    UndoResult,
+} from '../../core/index.js'
+
+export interface UseBulkActionResult {
+    // State
+    execution: BulkActionExecution | null
+    progress: Progress
+    isLoading: boolean
+    error: ActionEngineError | null
+    isInProgress: boolean
+    isComplete: boolean
+    isRealtime: boolean
+    /** Polls keep failing */
+    connectionLost: boolean
+
+    // Actions
+    execute<A extends ActionName>(payload: ExecutePayload<A>, options?: RunOptions): Promise<BulkActionExecution>
+    cancel(): Promise<BulkActionExecution | undefined>
+    reschedule(scheduledFor: Date | string, timezone?: string | null): Promise<BulkActionExecution | undefined>
+    /** Run the action again on its failed records; the retry becomes the current execution */
+    retryFailed(payload?: RetryFailedPayload): Promise<BulkActionExecution | undefined>
+    undo(): Promise<UndoResult | undefined>
+    preview<A extends ActionName>(payload: PreviewPayload<A>): Promise<PreviewResult<A>>
+    fetchProgress(): Promise<void>
+    reset(): void
+    restore(): Promise<BulkActionExecution | null>
+    open(executionOrUuid: BulkActionExecution | string): Promise<BulkActionExecution | null>
+    bulk(model: string): BulkActionBuilder
+
+    // Polling control
+    startPolling(intervalMs?: number): void
+    stopPolling(): void
+
+    // Underlying store, for advanced use
+    store: ExecutionStore
+}
+
+export function useBulkAction(options?: BindingOptionsInput): UseBulkActionResult
+
+export default useBulkAction
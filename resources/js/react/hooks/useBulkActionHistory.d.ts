@@ -0,0 +1,44 @@
+import type {
+    ActionEngineError,
+    BindingOptionsInput,
+    BulkActionExecution,
+    ExecutionHistory,
+    ExecutionHistoryState,
+    PaginationMeta,
+} from '../../core/index.js'
+
+type Page = Promise<BulkActionExecution[] | undefined | void>
+
+export interface UseBulkActionHistoryResult {
+    // State
+    items: BulkActionExecution[]
+    meta: PaginationMeta | null
+    filters: ExecutionHistoryState['filters']
+    page: number
+    perPage: number | null
+    includeFilters: boolean
+    includeParameters: boolean
+    isLoading: boolean
+    error: ActionEngineError | null
+    hasNextPage: boolean
+    hasPreviousPage: boolean
+
+    // Actions
+    load(page?: number): Page
+    refresh(): Page
+    goToPage(page: number): Page
+    nextPage(): Page
+    previousPage(): Page
+    setFilters(filters: Partial<ExecutionHistoryState['filters']>): Page
+    clearFilters(): Page
+    setPerPage(perPage: number): Page
+    setIncludes(includes: { filters?: boolean; parameters?: boolean }): Page
+    replace(execution: BulkActionExecution): void
+
+    // Underlying history, for advanced use
+    history: ExecutionHistory
+}
+
+export function useBulkActionHistory(options?: BindingOptionsInput): UseBulkActionHistoryResult
+
+export default useBulkActionHistory
@@ -0,0 +1,82 @@
+/**
+ * React Hook for browsing past Bulk Actions
+ *
+ * Usage:
+ * import { useBulkActionHistory } from '@/vendor/action-engine/hooks/useBulkActionHistory'
+ * import { useBulkAction } from '@/vendor/action-engine/hooks/useBulkAction'
+ *
+ * const { items, meta, setFilters, nextPage, previousPage } = useBulkActionHistory({ perPage: 20 })
+ * const { open, cancel, undo } = useBulkAction()
+ *
+ * await setFilters({ status: 'completed', action: 'archive' })
+ * await open(items[0]) // then cancel() or undo() it like a fresh execution
+ *
+ * Accepts an api prefix string or an options object (`{ apiPrefix, client,
+ * filters, perPage, includeFilters, includeParameters, immediate }`). The
+ * first page is loaded on mount unless `immediate` is false.
+ */
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react'
+import { createExecutionHistory, resolveOptions } from '../../core/index.js'
+
+export function useBulkActionHistory(options = '/api/bulk-actions') {
+    const historyRef = useRef(null)
+    if (!historyRef.current) {
+        historyRef.current = createExecutionHistory(options)
+    }
+    const history = historyRef.current
+
+    const state = useSyncExternalStore(history.subscribe, history.getState)
+
+    // Load the first page on mount, drop pending requests on unmount
+    useEffect(() => {
+        if (resolveOptions(options).immediate !== false) {
+            history.load()
+        }
+
+        return () => history.reset()
+    }, [history])
+
+    const load = useCallback((page) => history.load(page), [history])
+    const refresh = useCallback(() => history.refresh(), [history])
+    const goToPage = useCallback((page) => history.goToPage(page), [history])
+    const nextPage = useCallback(() => history.nextPage(), [history])
+    const previousPage = useCallback(() => history.previousPage(), [history])
+    const setFilters = useCallback((filters) => history.setFilters(filters), [history])
+    const clearFilters = useCallback(() => history.clearFilters(), [history])
+    const setPerPage = useCallback((perPage) => history.setPerPage(perPage), [history])
+    const setIncludes = useCallback((includes) => history.setIncludes(includes), [history])
+    const replace = useCallback((execution) => history.replace(execution), [history])
+
+    return {
+        // State
+        items: state.items,
+        meta: state.meta,
+        filters: state.filters,
+        page: state.page,
+        perPage: state.perPage,
+        includeFilters: state.includeFilters,
+        includeParameters: state.includeParameters,
+        isLoading: state.isLoading,
+        error: state.error,
+        hasNextPage: history.hasNextPage,
+        hasPreviousPage: history.hasPreviousPage,
+
+        // Actions
+        load,
+        refresh,
+        goToPage,
+        nextPage,
+        previousPage,
+        setFilters,
+        clearFilters,
+        setPerPage,
+        setIncludes,
+        replace,
+
+        // Underlying history, for advanced use
+        history,
+    }
+}
+
+export default useBulkActionHistory
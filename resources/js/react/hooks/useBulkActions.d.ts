@@ -0,0 +1,53 @@
+import type {
+    ActionEngineError,
+    ActionName,
+    BindingOptionsInput,
+    BulkActionBuilder,
+    BulkActionExecution,
+    ExecutePayload,
+    ExecutionManager,
+    Progress,
+    RetryFailedPayload,
+    RunOptions,
+    UndoResult,
+} from '../../core/index.js'
+
+export interface UseBulkActionsResult {
+    // State
+    executions: Record<string, BulkActionExecution>
+    list: BulkActionExecution[]
+    activeUuids: string[]
+    loading: Record<string, boolean>
+    errors: Record<string, ActionEngineError | null>
+    isLoading: boolean
+    error: ActionEngineError | null
+    isRealtime: boolean
+    /** Polls keep failing */
+    connectionLost: boolean
+
+    // Per-execution helpers
+    progressOf(uuid: string): Progress
+    isInProgress(uuid: string): boolean
+    isComplete(uuid: string): boolean
+
+    // Actions
+    execute<A extends ActionName>(payload: ExecutePayload<A>, options?: RunOptions): Promise<BulkActionExecution>
+    track(executionOrUuid: BulkActionExecution | string): Promise<BulkActionExecution | null>
+    cancel(uuid: string): Promise<BulkActionExecution | undefined>
+    reschedule(uuid: string, scheduledFor: Date | string, timezone?: string | null): Promise<BulkActionExecution | undefined>
+    retryFailed(uuid: string, payload?: RetryFailedPayload): Promise<BulkActionExecution>
+    undo(uuid: string): Promise<UndoResult | undefined>
+    remove(uuid: string): void
+    clearFinished(): void
+    fetchProgress(): Promise<void>
+    reset(): void
+    restore(): Promise<BulkActionExecution[]>
+    bulk(model: string): BulkActionBuilder
+
+    // Underlying manager, for advanced use
+    manager: ExecutionManager
+}
+
+export function useBulkActions(options?: BindingOptionsInput): UseBulkActionsResult
+
+export default useBulkActions
@@ -0,0 +1,91 @@
+/**
+ * React Hook for tracking several Bulk Actions at once
+ *
+ * Usage:
+ * import { useBulkActions } from '@/vendor/action-engine/hooks/useBulkActions'
+ *
+ * const { execute, executions, progressOf, cancel, undo } = useBulkActions()
+ *
+ * const archive = await execute({ action: 'archive', model: 'App\\Models\\Post', filters: { ids: postIds } })
+ * const exported = await execute({ action: 'export', model: 'App\\Models\\Order', filters: { ids: orderIds } })
+ *
+ * progressOf(archive.uuid).percentage
+ * await cancel(exported.uuid)
+ *
+ * Active executions are refreshed together through the batch progress
+ * endpoint, or over Laravel Echo when available. Accepts the same options
+ * as useBulkAction.
+ */
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react'
+import { bulk as createBuilder, createExecutionManager, isComplete, isInProgress, shouldRestore, toProgress } from '../../core/index.js'
+
+export function useBulkActions(options = '/api/bulk-actions') {
+    const managerRef = useRef(null)
+    if (!managerRef.current) {
+        managerRef.current = createExecutionManager(options)
+    }
+    const manager = managerRef.current
+
+    const state = useSyncExternalStore(manager.subscribe, manager.getState)
+    const { executions } = state
+
+    // Reattach to persisted executions on mount, cleanup on unmount
+    useEffect(() => {
+        if (shouldRestore(options)) {
+            manager.restore()
+        }
+
+        return () => manager.destroy()
+    }, [manager])
+
+    const execute = useCallback((payload, executeOptions) => manager.execute(payload, executeOptions), [manager])
+    const track = useCallback((executionOrUuid) => manager.track(executionOrUuid), [manager])
+    const cancel = useCallback((uuid) => manager.cancel(uuid), [manager])
+    const reschedule = useCallback((uuid, scheduledFor, timezone) => manager.reschedule(uuid, scheduledFor, timezone), [manager])
+    const retryFailed = useCallback((uuid, payload) => manager.retryFailed(uuid, payload), [manager])
+    const undo = useCallback((uuid) => manager.undo(uuid), [manager])
+    const remove = useCallback((uuid) => manager.remove(uuid), [manager])
+    const clearFinished = useCallback(() => manager.clearFinished(), [manager])
+    const fetchProgress = useCallback(() => manager.fetchProgress(), [manager])
+    const reset = useCallback(() => manager.reset(), [manager])
+    const restore = useCallback(() => manager.restore(), [manager])
+    const bulk = useCallback((model) => createBuilder(model, manager), [manager])
+
+    return {
+        // State
+        executions,
+        list: Object.values(executions),
+        activeUuids: Object.keys(executions).filter(uuid => isInProgress(executions[uuid])),
+        loading: state.loading,
+        errors: state.errors,
+        isLoading: state.isLoading,
+        error: state.error,
+        isRealtime: state.isRealtime,
+        connectionLost: state.connectionLost,
+
+        // Per-execution helpers
+        progressOf: (uuid) => toProgress(executions[uuid]),
+        isInProgress: (uuid) => isInProgress(executions[uuid]),
+        isComplete: (uuid) => isComplete(executions[uuid]),
+
+        // Actions
+        execute,
+        track,
+        cancel,
+        reschedule,
+        retryFailed,
+        undo,
+        remove,
+        clearFinished,
+        fetchProgress,
+        reset,
+        restore,
+        bulk,
+
+        // Underlying manager, for advanced use
+        manager,
+    }
+}
+
+export default useBulkActions
@@ -0,0 +1,55 @@
+/**
+ * React Hook keeping a data cache in line with bulk actions
+ *
+ * Usage:
+ * import { useQueryClient } from '@tanstack/react-query'
+ * import { tanstackQueryAdapter } from '@/vendor/core'
+ * import { useCacheSync } from '@/vendor/action-engine/hooks/useCacheSync'
+ *
+ * const queryClient = useQueryClient()
+ * const bulkAction = useBulkAction()
+ * const { isPending } = useCacheSync(bulkAction, tanstackQueryAdapter(queryClient), {
+ *     keys: { 'App\\Models\\Post': [['posts']] },
+ * })
+ *
+ * Rows targeted by a running delete are hidden from the cached lists and
+ * those of an archive marked (`row._bulkAction`), until the action fails,
+ * is cancelled or undone; the keys are refetched once it finished or was
+ * undone. `target` is watched while the component is mounted. Options:
+ * `{ keys, optimistic, rowKey, markField, mapRows, sync }`, see CacheSync.
+ */
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react'
+import { CacheSync } from '../../core/index.js'
+
+export function useCacheSync(target, adapter, options = {}) {
+    const syncRef = useRef(null)
+    if (!syncRef.current) {
+        syncRef.current = options.sync || new CacheSync(adapter, options)
+    }
+    const sync = syncRef.current
+
+    const { pending } = useSyncExternalStore(sync.subscribe, sync.getState)
+
+    // The binding's result changes every render, its store does not
+    const source = target ? target.store || target.manager || target : null
+
+    useEffect(() => (source ? sync.watch(source) : undefined), [sync, source])
+
+    const isPending = useCallback((row, model = null) => sync.isPending(row, model), [sync, pending])
+    const invalidate = useCallback((uuidOrModel) => sync.invalidate(uuidOrModel), [sync])
+
+    return {
+        // State
+        pending,
+
+        // Actions
+        isPending,
+        invalidate,
+
+        // Underlying CacheSync, for advanced use
+        sync,
+    }
+}
+
+export default useCacheSync
@@ -0,0 +1,41 @@
+import type {
+    ActionName,
+    BulkActionExecution,
+    ChangePreview,
+    ChangePreviewOptions,
+    ChangePreviewRow,
+    ChangePreviewState,
+    ExecutePayload,
+    ExecutionManager,
+    ExecutionStore,
+    RunOptions,
+} from '../../core/index.js'
+
+export interface UseChangePreviewResult extends ChangePreviewState {
+    // State
+    /** Records the action would run on */
+    total: number
+    hasNextPage: boolean
+    hasPreviousPage: boolean
+
+    // Actions
+    open<A extends ActionName>(payload: ExecutePayload<A> | null): Promise<ChangePreviewRow[] | undefined | void>
+    load(page?: number): Promise<ChangePreviewRow[] | undefined>
+    refresh(): Promise<ChangePreviewRow[] | undefined>
+    goToPage(page: number): Promise<ChangePreviewRow[] | undefined>
+    nextPage(): Promise<ChangePreviewRow[] | undefined | void>
+    previousPage(): Promise<ChangePreviewRow[] | undefined | void>
+    setPerPage(perPage: number): Promise<ChangePreviewRow[] | undefined>
+    execute(options?: RunOptions): Promise<BulkActionExecution | undefined>
+    reset(): void
+
+    // Underlying preview, for advanced use
+    preview: ChangePreview
+}
+
+export function useChangePreview(
+    target: ExecutionStore | ExecutionManager | { store: ExecutionStore } | { manager: ExecutionManager },
+    options?: ChangePreviewOptions,
+): UseChangePreviewResult
+
+export default useChangePreview
@@ -0,0 +1,71 @@
+/**
+ * React Hook for a before/after preview of a Bulk Action
+ *
+ * Usage:
+ * import { useBulkAction } from '@/vendor/action-engine/hooks/useBulkAction'
+ * import { useChangePreview } from '@/vendor/action-engine/hooks/useChangePreview'
+ * import { BulkActionPreviewTable } from '@/vendor/action-engine/components/BulkActionPreviewTable'
+ *
+ * const bulkAction = useBulkAction()
+ * const preview = useChangePreview(bulkAction, { perPage: 25 })
+ *
+ * <button onClick={() => preview.open({ action: 'update', model: 'App\\Models\\User', filters, parameters: { data: { status: 'inactive' } } })}>
+ *     Preview
+ * </button>
+ * <BulkActionPreviewTable preview={preview} />
+ *
+ * Rows are `{ id, before, after, changed, deleted }`; `changedColumns` lists
+ * the attributes changed on the page and `total` the number of records the
+ * action would run on. `execute()` runs the previewed payload through the
+ * given useBulkAction / useBulkActions result, which tracks it.
+ * Accepts `{ perPage }`.
+ */
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react'
+import { createChangePreview } from '../../core/index.js'
+
+export function useChangePreview(target, options = {}) {
+    const previewRef = useRef(null)
+    if (!previewRef.current) {
+        previewRef.current = createChangePreview(target, options)
+    }
+    const preview = previewRef.current
+
+    const state = useSyncExternalStore(preview.subscribe, preview.getState)
+
+    useEffect(() => () => preview.destroy(), [preview])
+
+    const open = useCallback((payload) => preview.open(payload), [preview])
+    const load = useCallback((page) => preview.load(page), [preview])
+    const refresh = useCallback(() => preview.refresh(), [preview])
+    const goToPage = useCallback((page) => preview.goToPage(page), [preview])
+    const nextPage = useCallback(() => preview.nextPage(), [preview])
+    const previousPage = useCallback(() => preview.previousPage(), [preview])
+    const setPerPage = useCallback((perPage) => preview.setPerPage(perPage), [preview])
+    const execute = useCallback((executeOptions) => preview.execute(executeOptions), [preview])
+    const reset = useCallback(() => preview.reset(), [preview])
+
+    return {
+        // State
+        ...state,
+        total: preview.total,
+        hasNextPage: preview.hasNextPage,
+        hasPreviousPage: preview.hasPreviousPage,
+
+        // Actions
+        open,
+        load,
+        refresh,
+        goToPage,
+        nextPage,
+        previousPage,
+        setPerPage,
+        execute,
+        reset,
+
+        // Underlying preview, for advanced use
+        preview,
+    }
+}
+
+export default useChangePreview
@@ -0,0 +1,36 @@
+import type {
+    ActionName,
+    BulkActionExecution,
+    ConfirmationFlow,
+    ConfirmationFlowOptions,
+    ConfirmationFlowState,
+    ExecutePayload,
+    ExecutionManager,
+    ExecutionStore,
+    RunOptions,
+} from '../../core/index.js'
+
+export interface UseConfirmationFlowResult extends ConfirmationFlowState {
+    isOpen: boolean
+    requiresTyping: boolean
+    phraseMatches: boolean
+    canConfirm: boolean
+
+    // Actions
+    /** Resolves to the execution, or null when cancelled */
+    start<A extends ActionName>(payload: ExecutePayload<A>, options?: RunOptions): Promise<BulkActionExecution | null>
+    runDryRun(): Promise<BulkActionExecution | null>
+    setPhrase(phrase: string): void
+    confirm(phrase?: string): Promise<BulkActionExecution | null>
+    cancel(): void
+
+    // Underlying flow, for advanced use
+    flow: ConfirmationFlow
+}
+
+export function useConfirmationFlow(
+    target: ExecutionStore | ExecutionManager | { store: ExecutionStore } | { manager: ExecutionManager },
+    options?: ConfirmationFlowOptions,
+): UseConfirmationFlowResult
+
+export default useConfirmationFlow
@@ -0,0 +1,63 @@
+/**
+ * React Hook for confirming destructive Bulk Actions
+ *
+ * Usage:
+ * import { useBulkAction } from '@/vendor/action-engine/hooks/useBulkAction'
+ * import { useConfirmationFlow } from '@/vendor/action-engine/hooks/useConfirmationFlow'
+ * import { BulkActionConfirmDialog } from '@/vendor/action-engine/components/BulkActionConfirmDialog'
+ *
+ * const bulkAction = useBulkAction()
+ * const confirmation = useConfirmationFlow(bulkAction)
+ *
+ * <button onClick={() => confirmation.start({ action: 'delete', model: 'App\\Models\\User', filters })}>Delete</button>
+ * <BulkActionConfirmDialog confirmation={confirmation} />
+ *
+ * `start()` runs non-destructive actions immediately; destructive ones are
+ * previewed and go through the server's dry-run and typed-confirmation
+ * requirements first. It resolves to the execution, or null when cancelled.
+ * Accepts the result of useBulkAction / useBulkActions (or their store)
+ * and `{ destructive, previewLimit }`.
+ */
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react'
+import { canConfirm, createConfirmationFlow, isConfirmationOpen, phraseMatches, requiresTyping } from '../../core/index.js'
+
+export function useConfirmationFlow(target, options = {}) {
+    const flowRef = useRef(null)
+    if (!flowRef.current) {
+        flowRef.current = createConfirmationFlow(target, options)
+    }
+    const flow = flowRef.current
+
+    const state = useSyncExternalStore(flow.subscribe, flow.getState)
+
+    // Settle a pending start() on unmount
+    useEffect(() => () => flow.cancel(), [flow])
+
+    const start = useCallback((payload, executeOptions) => flow.start(payload, executeOptions), [flow])
+    const runDryRun = useCallback(() => flow.runDryRun(), [flow])
+    const setPhrase = useCallback((phrase) => flow.setPhrase(phrase), [flow])
+    const confirm = useCallback((phrase) => flow.confirm(phrase), [flow])
+    const cancel = useCallback(() => flow.cancel(), [flow])
+
+    return {
+        // State
+        ...state,
+        isOpen: isConfirmationOpen(state),
+        requiresTyping: requiresTyping(state),
+        phraseMatches: phraseMatches(state),
+        canConfirm: canConfirm(state),
+
+        // Actions
+        start,
+        runDryRun,
+        setPhrase,
+        confirm,
+        cancel,
+
+        // Underlying flow, for advanced use
+        flow,
+    }
+}
+
+export default useConfirmationFlow
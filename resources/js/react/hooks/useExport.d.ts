@@ -0,0 +1,41 @@
+import type {
+    BulkActionExecution,
+    DownloadedFile,
+    ExecutionManager,
+    ExecutionStore,
+    ExportFlow,
+    ExportFlowOptions,
+    ExportFlowState,
+    ExportFormat,
+    ExportPayload,
+    RunOptions,
+    StreamExportPayload,
+} from '../../core/index.js'
+
+export interface UseExportOptions extends ExportFlowOptions {
+    /** `false` to skip loading the formats on mount */
+    immediate?: boolean
+}
+
+export interface UseExportResult extends ExportFlowState {
+    // Actions
+    loadFormats(): Promise<ExportFormat[]>
+    setFormat(format: string): void
+    /** Resolves to the downloaded file, or null when aborted */
+    start(payload: ExportPayload, options?: RunOptions): Promise<DownloadedFile | null>
+    stream(payload: StreamExportPayload): Promise<DownloadedFile | null>
+    download(executionOrUuid: BulkActionExecution | string): Promise<DownloadedFile | null>
+    abort(): void
+    saveFile(file?: DownloadedFile | null): void
+    reset(): void
+
+    // Underlying flow, for advanced use
+    flow: ExportFlow
+}
+
+export function useExport(
+    target: ExecutionStore | ExecutionManager | { store: ExecutionStore } | { manager: ExecutionManager },
+    options?: UseExportOptions,
+): UseExportResult
+
+export default useExport
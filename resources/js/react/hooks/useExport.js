@@ -0,0 +1,73 @@
+/**
+ * React Hook for exporting records and downloading the file
+ *
+ * Usage:
+ * import { useBulkAction } from '@/vendor/action-engine/hooks/useBulkAction'
+ * import { useExport } from '@/vendor/action-engine/hooks/useExport'
+ *
+ * const bulkAction = useBulkAction()
+ * const exporter = useExport(bulkAction)
+ *
+ * <select value={exporter.format ?? ''} onChange={e => exporter.setFormat(e.target.value)}>
+ *     {exporter.formats.map(f => <option key={f.format} value={f.format}>{f.extension}</option>)}
+ * </select>
+ * <button onClick={() => exporter.start({ model: 'App\\Models\\User', filters })}>Export</button>
+ * {exporter.progress && <progress value={exporter.progress.loaded} max={exporter.progress.total ?? undefined} />}
+ *
+ * `start()` runs the export as a bulk action and downloads the file once it
+ * has completed; `stream()` downloads small selections straight away. The
+ * formats are loaded on mount unless `immediate` is false. Accepts the
+ * result of useBulkAction / useBulkActions (or their store) and
+ * `{ format, save, immediate }`.
+ */
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react'
+import { createExportFlow } from '../../core/index.js'
+
+export function useExport(target, options = {}) {
+    const flowRef = useRef(null)
+    if (!flowRef.current) {
+        flowRef.current = createExportFlow(target, options)
+    }
+    const flow = flowRef.current
+
+    const state = useSyncExternalStore(flow.subscribe, flow.getState)
+
+    // Load the formats on mount, abort the download on unmount
+    useEffect(() => {
+        if (options.immediate !== false) {
+            flow.loadFormats().catch(() => {})
+        }
+
+        return () => flow.destroy()
+    }, [flow])
+
+    const loadFormats = useCallback(() => flow.loadFormats(), [flow])
+    const setFormat = useCallback((format) => flow.setFormat(format), [flow])
+    const start = useCallback((payload, executeOptions) => flow.start(payload, executeOptions), [flow])
+    const stream = useCallback((payload) => flow.stream(payload), [flow])
+    const download = useCallback((executionOrUuid) => flow.download(executionOrUuid), [flow])
+    const abort = useCallback(() => flow.abort(), [flow])
+    const saveFile = useCallback((file) => flow.saveFile(file), [flow])
+    const reset = useCallback(() => flow.reset(), [flow])
+
+    return {
+        // State
+        ...state,
+
+        // Actions
+        loadFormats,
+        setFormat,
+        start,
+        stream,
+        download,
+        abort,
+        saveFile,
+        reset,
+
+        // Underlying flow, for advanced use
+        flow,
+    }
+}
+
+export default useExport
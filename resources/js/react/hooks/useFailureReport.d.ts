@@ -0,0 +1,41 @@
+import type {
+    BindingOptions,
+    BulkActionExecution,
+    FailureReport,
+    FailureReportState,
+    RecordFailure,
+    RetryFailedOptions,
+    UndoSource,
+} from '../../core/index.js'
+
+export interface UseFailureReportOptions extends BindingOptions {
+    /** Where retries go to be tracked, e.g. a useBulkAction() result */
+    handOffTo?: UndoSource | null
+}
+
+export interface UseFailureReportResult extends FailureReportState {
+    // State
+    total: number
+    hasNextPage: boolean
+    hasPreviousPage: boolean
+
+    // Actions
+    load(page?: number): Promise<RecordFailure[] | undefined>
+    refresh(): Promise<RecordFailure[] | undefined>
+    goToPage(page: number): Promise<RecordFailure[] | undefined>
+    nextPage(): Promise<RecordFailure[] | undefined | void>
+    previousPage(): Promise<RecordFailure[] | undefined | void>
+    setType(type: string | null): Promise<RecordFailure[] | undefined>
+    setPerPage(perPage: number): Promise<RecordFailure[] | undefined>
+    retryFailed(options?: RetryFailedOptions): Promise<BulkActionExecution | undefined>
+
+    // Underlying report, for advanced use
+    report: FailureReport
+}
+
+export function useFailureReport(
+    executionOrUuid: BulkActionExecution | string | null | undefined,
+    options?: UseFailureReportOptions,
+): UseFailureReportResult
+
+export default useFailureReport
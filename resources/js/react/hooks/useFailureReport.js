@@ -0,0 +1,81 @@
+/**
+ * React Hook for the failed records of a Bulk Action
+ *
+ * Usage:
+ * import { useFailureReport } from '@/vendor/action-engine/hooks/useFailureReport'
+ * import { BulkActionFailureReport } from '@/vendor/action-engine/components/BulkActionFailureReport'
+ *
+ * const bulkAction = useBulkAction()
+ * const failures = useFailureReport(bulkAction.execution, { handOffTo: bulkAction })
+ *
+ * <BulkActionFailureReport failures={failures} />
+ *
+ * await failures.setType('QueryException')
+ * await failures.retryFailed()
+ *
+ * Takes the execution (or its uuid) to report on, and reloads when it
+ * changes. Items are `{ id, type, message, batch_number }` and `groups`
+ * counts the failures per error type. `retryFailed()` runs the action again
+ * on the failed records (of the selected type) and hands the retry to
+ * `handOffTo` (a useBulkAction / useBulkActions result), which tracks it.
+ * Accepts `{ apiPrefix, client, perPage, type, handOffTo }`.
+ */
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react'
+import { createFailureReport, resolveOptions } from '../../core/index.js'
+
+export function useFailureReport(executionOrUuid, options = {}) {
+    const reportRef = useRef(null)
+    if (!reportRef.current) {
+        reportRef.current = createFailureReport(options)
+    }
+    const report = reportRef.current
+
+    const state = useSyncExternalStore(report.subscribe, report.getState)
+
+    const uuid = typeof executionOrUuid === 'string' ? executionOrUuid : executionOrUuid?.uuid
+
+    // The binding's result changes every render, its store does not
+    const target = resolveOptions(options).handOffTo
+    const source = target ? target.store || target.manager || target : null
+
+    useEffect(() => {
+        report.open(uuid)
+    }, [report, uuid])
+
+    useEffect(() => () => report.destroy(), [report])
+
+    useEffect(() => (source ? report.handOffTo(source) : undefined), [report, source])
+
+    const load = useCallback((page) => report.load(page), [report])
+    const refresh = useCallback(() => report.refresh(), [report])
+    const goToPage = useCallback((page) => report.goToPage(page), [report])
+    const nextPage = useCallback(() => report.nextPage(), [report])
+    const previousPage = useCallback(() => report.previousPage(), [report])
+    const setType = useCallback((type) => report.setType(type), [report])
+    const setPerPage = useCallback((perPage) => report.setPerPage(perPage), [report])
+    const retryFailed = useCallback((retryOptions) => report.retryFailed(retryOptions), [report])
+
+    return {
+        // State
+        ...state,
+        total: report.total,
+        hasNextPage: report.hasNextPage,
+        hasPreviousPage: report.hasPreviousPage,
+
+        // Actions
+        load,
+        refresh,
+        goToPage,
+        nextPage,
+        previousPage,
+        setType,
+        setPerPage,
+        retryFailed,
+
+        // Underlying report, for advanced use
+        report,
+    }
+}
+
+export default useFailureReport
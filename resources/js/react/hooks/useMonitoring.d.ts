@@ -0,0 +1,33 @@
+import type {
+    BindingOptions,
+    DateRangeInput,
+    MonitoringDashboard,
+    MonitoringDashboardState,
+    MonitoringData,
+    TrendMetric,
+    TrendPoint,
+} from '../../core/index.js'
+
+export interface UseMonitoringOptions extends BindingOptions {
+    /** `false` to load once instead of refreshing every `refreshInterval` */
+    autoRefresh?: boolean
+}
+
+export interface UseMonitoringResult extends MonitoringDashboardState {
+    // State
+    /** One `{ date, value }` per day of the trends */
+    series(metric?: TrendMetric): TrendPoint[]
+
+    // Actions
+    refresh(): Promise<MonitoringData | undefined>
+    setRange(range: DateRangeInput): Promise<MonitoringData | undefined>
+    start(interval?: number): Promise<MonitoringData | undefined>
+    stop(): void
+
+    // Underlying dashboard, for advanced use
+    dashboard: MonitoringDashboard
+}
+
+export function useMonitoring(options?: string | UseMonitoringOptions): UseMonitoringResult
+
+export default useMonitoring
@@ -0,0 +1,71 @@
+/**
+ * React Hook for the monitoring dashboard's data
+ *
+ * Usage:
+ * import { useMonitoring } from '@/vendor/action-engine/hooks/useMonitoring'
+ * import { BulkActionHealthBadge } from '@/vendor/action-engine/components/BulkActionHealthBadge'
+ * import { BulkActionTrendChart } from '@/vendor/action-engine/components/BulkActionTrendChart'
+ * import { BulkActionBreakdownTable } from '@/vendor/action-engine/components/BulkActionBreakdownTable'
+ *
+ * const monitoring = useMonitoring({ range: { days: 30 }, refreshInterval: 60000 })
+ *
+ * <BulkActionHealthBadge monitoring={monitoring} />
+ * <BulkActionTrendChart monitoring={monitoring} metric="failure_rate" />
+ * <BulkActionBreakdownTable monitoring={monitoring} />
+ * <button onClick={() => monitoring.setRange({ from: '2026-03-01', to: '2026-03-31' })}>March</button>
+ *
+ * Loads on mount and refreshes every `refreshInterval` ms (30s by default)
+ * until unmount; `autoRefresh: false` loads once, `immediate: false` not
+ * at all. `series(metric)` gives a chart library its `[{ date, value }]`.
+ * Accepts `{ apiPrefix, client, range, panels, refreshInterval, userLimit,
+ * polling, immediate, autoRefresh }`.
+ */
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react'
+import { createMonitoringDashboard, resolveOptions, trendSeries } from '../../core/index.js'
+
+export function useMonitoring(options = {}) {
+    const dashboardRef = useRef(null)
+    if (!dashboardRef.current) {
+        dashboardRef.current = createMonitoringDashboard(options)
+    }
+    const dashboard = dashboardRef.current
+
+    const state = useSyncExternalStore(dashboard.subscribe, dashboard.getState)
+
+    // Load on mount, stop refreshing on unmount
+    useEffect(() => {
+        const { immediate, autoRefresh } = resolveOptions(options)
+
+        if (autoRefresh !== false) {
+            dashboard.start()
+        } else if (immediate !== false) {
+            dashboard.refresh()
+        }
+
+        return () => dashboard.destroy()
+    }, [dashboard])
+
+    const refresh = useCallback(() => dashboard.refresh(), [dashboard])
+    const setRange = useCallback((range) => dashboard.setRange(range), [dashboard])
+    const start = useCallback((interval) => dashboard.start(interval), [dashboard])
+    const stop = useCallback(() => dashboard.stop(), [dashboard])
+    const series = useCallback((metric) => trendSeries(state.trends, metric), [state.trends])
+
+    return {
+        // State
+        ...state,
+        series,
+
+        // Actions
+        refresh,
+        setRange,
+        start,
+        stop,
+
+        // Underlying dashboard, for advanced use
+        dashboard,
+    }
+}
+
+export default useMonitoring
@@ -0,0 +1,40 @@
+import type {
+    ActionEngineError,
+    BindingOptions,
+    BulkActionExecution,
+    ScheduledActions,
+    UndoSource,
+} from '../../core/index.js'
+
+export interface UseScheduledActionsOptions extends BindingOptions {
+    /** Where due actions go to be tracked, e.g. a useBulkActions() result */
+    handOffTo?: UndoSource | null
+}
+
+export interface UseScheduledActionsResult {
+    // State
+    items: BulkActionExecution[]
+    hours: number | null
+    now: number
+    loading: Record<string, boolean>
+    errors: Record<string, ActionEngineError | null>
+    isLoading: boolean
+    error: ActionEngineError | null
+
+    // Per-item helpers
+    remainingOf(uuid: string): number | null
+
+    // Actions
+    load(): Promise<BulkActionExecution[] | undefined>
+    refresh(): Promise<BulkActionExecution[] | undefined>
+    setHours(hours: number | null): Promise<BulkActionExecution[] | undefined>
+    reschedule(uuid: string, scheduledFor: Date | string, timezone?: string | null): Promise<BulkActionExecution>
+    cancel(uuid: string): Promise<BulkActionExecution>
+
+    // Underlying list, for advanced use
+    scheduled: ScheduledActions
+}
+
+export function useScheduledActions(options?: string | UseScheduledActionsOptions): UseScheduledActionsResult
+
+export default useScheduledActions
@@ -0,0 +1,78 @@
+/**
+ * React Hook for managing scheduled Bulk Actions
+ *
+ * Usage:
+ * import { useScheduledActions } from '@/vendor/action-engine/hooks/useScheduledActions'
+ * import { useBulkActions } from '@/vendor/action-engine/hooks/useBulkActions'
+ *
+ * const bulkActions = useBulkActions()
+ * const { items, remainingOf, reschedule, cancel } = useScheduledActions({ hours: 24, handOffTo: bulkActions })
+ *
+ * await reschedule(items[0].uuid, '2026-03-03T09:00', 'Europe/Paris')
+ * formatCountdown(remainingOf(items[0].uuid))
+ *
+ * Accepts an api prefix string or an options object (`{ apiPrefix, client,
+ * hours, tickInterval, immediate, handOffTo }`). The list is loaded on mount
+ * unless `immediate` is false; due actions are handed to `handOffTo` (a
+ * useBulkActions / useBulkAction result), which tracks their live progress.
+ */
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react'
+import { createScheduledActions, resolveOptions, scheduledTimeRemaining } from '../../core/index.js'
+
+export function useScheduledActions(options = '/api/bulk-actions') {
+    const scheduledRef = useRef(null)
+    if (!scheduledRef.current) {
+        scheduledRef.current = createScheduledActions(options)
+    }
+    const scheduled = scheduledRef.current
+
+    const state = useSyncExternalStore(scheduled.subscribe, scheduled.getState)
+
+    // The binding's result changes every render, its store does not
+    const target = resolveOptions(options).handOffTo
+    const source = target ? target.store || target.manager || target : null
+
+    // Load on mount, stop the countdown on unmount
+    useEffect(() => {
+        if (resolveOptions(options).immediate !== false) {
+            scheduled.load()
+        }
+
+        return () => scheduled.destroy()
+    }, [scheduled])
+
+    useEffect(() => (source ? scheduled.handOffTo(source) : undefined), [scheduled, source])
+
+    const load = useCallback(() => scheduled.load(), [scheduled])
+    const refresh = useCallback(() => scheduled.refresh(), [scheduled])
+    const setHours = useCallback((hours) => scheduled.setHours(hours), [scheduled])
+    const reschedule = useCallback((uuid, scheduledFor, timezone) => scheduled.reschedule(uuid, scheduledFor, timezone), [scheduled])
+    const cancel = useCallback((uuid) => scheduled.cancel(uuid), [scheduled])
+
+    return {
+        // State
+        items: state.items,
+        hours: state.hours,
+        now: state.now,
+        loading: state.loading,
+        errors: state.errors,
+        isLoading: state.isLoading,
+        error: state.error,
+
+        // Per-item helpers
+        remainingOf: (uuid) => scheduledTimeRemaining(state.items.find(item => item.uuid === uuid), state.now),
+
+        // Actions
+        load,
+        refresh,
+        setHours,
+        reschedule,
+        cancel,
+
+        // Underlying list, for advanced use
+        scheduled,
+    }
+}
+
+export default useScheduledActions
@@ -0,0 +1,40 @@
+import type {
+    ActionName,
+    Filters,
+    RowId,
+    SelectionBindingOptions,
+    SelectionState,
+    SelectionStore,
+} from '../../core/index.js'
+
+export interface UseSelectionResult extends SelectionState {
+    count: number | null
+    isVerified: boolean
+    isAllSelected: boolean
+    isPageSelected: boolean
+    isPagePartiallySelected: boolean
+
+    // Actions
+    isSelected(id: RowId): boolean
+    toggle(id: RowId): void
+    select(ids: RowId | RowId[]): void
+    deselect(ids: RowId | RowId[]): void
+    selectPage(): void
+    deselectPage(): void
+    togglePage(): void
+    selectAll(): void
+    clear(): void
+    setPage(ids: RowId[], total?: number | null): void
+    setFilters(filters?: Filters): void
+    setTotal(total: number | null): void
+    toFilters(): Filters
+    toPayload<P extends object>(payload?: P): P & { model: string; filters: Filters }
+    verify(action?: ActionName): Promise<number | null>
+
+    // Underlying store, for advanced use
+    selection: SelectionStore
+}
+
+export function useSelection(options?: SelectionBindingOptions): UseSelectionResult
+
+export default useSelection
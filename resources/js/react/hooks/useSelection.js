@@ -0,0 +1,94 @@
+/**
+ * React Hook for selecting table rows across pages
+ *
+ * Usage:
+ * import { useSelection } from '@/vendor/action-engine/hooks/useSelection'
+ *
+ * const selection = useSelection({ model: 'App\\Models\\User', action: 'archive', autoVerify: true })
+ *
+ * useEffect(() => selection.setFilters(tableFilters), [tableFilters])
+ * useEffect(() => selection.setPage(rows.map(row => row.id), meta.total), [rows, meta])
+ *
+ * <input type="checkbox" checked={selection.isPageSelected} onChange={selection.togglePage} />
+ * <input type="checkbox" checked={selection.isSelected(row.id)} onChange={() => selection.toggle(row.id)} />
+ * <button onClick={selection.selectAll}>Select all {meta.total} matching rows</button>
+ *
+ * await execute(selection.toPayload({ action: 'archive' }))
+ *
+ * `toPayload()` / `toFilters()` compile the selection to `ids`, or to the
+ * table filters plus `where_not_in` for rows excluded from "select all".
+ * `count` is exact once `verify()` (or `autoVerify`) has checked it with
+ * `preview()`; `isVerified` tells which. Options: `{ apiPrefix, client,
+ * model, key, action, filters, autoVerify }`.
+ */
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react'
+import {
+    createSelection,
+    isCountVerified,
+    isPagePartiallySelected,
+    isPageSelected,
+    isRowSelected,
+    selectedCount,
+} from '../../core/index.js'
+
+export function useSelection(options = {}) {
+    const selectionRef = useRef(null)
+    if (!selectionRef.current) {
+        selectionRef.current = createSelection(options)
+    }
+    const selection = selectionRef.current
+
+    const state = useSyncExternalStore(selection.subscribe, selection.getState)
+
+    // Cancel a pending automatic verification on unmount
+    useEffect(() => () => selection.destroy(), [selection])
+
+    const isSelected = useCallback((id) => isRowSelected(state, id), [state])
+    const toggle = useCallback((id) => selection.toggle(id), [selection])
+    const select = useCallback((ids) => selection.select(ids), [selection])
+    const deselect = useCallback((ids) => selection.deselect(ids), [selection])
+    const selectPage = useCallback(() => selection.selectPage(), [selection])
+    const deselectPage = useCallback(() => selection.deselectPage(), [selection])
+    const togglePage = useCallback(() => selection.togglePage(), [selection])
+    const selectAll = useCallback(() => selection.selectAll(), [selection])
+    const clear = useCallback(() => selection.clear(), [selection])
+    const setPage = useCallback((ids, total) => selection.setPage(ids, total), [selection])
+    const setFilters = useCallback((filters) => selection.setFilters(filters), [selection])
+    const setTotal = useCallback((total) => selection.setTotal(total), [selection])
+    const toFilters = useCallback(() => selection.toFilters(), [selection])
+    const toPayload = useCallback((payload) => selection.toPayload(payload), [selection])
+    const verify = useCallback((action) => selection.verify(action), [selection])
+
+    return {
+        // State
+        ...state,
+        count: selectedCount(state),
+        isVerified: isCountVerified(state),
+        isAllSelected: state.mode === 'all',
+        isPageSelected: isPageSelected(state),
+        isPagePartiallySelected: isPagePartiallySelected(state),
+
+        // Actions
+        isSelected,
+        toggle,
+        select,
+        deselect,
+        selectPage,
+        deselectPage,
+        togglePage,
+        selectAll,
+        clear,
+        setPage,
+        setFilters,
+        setTotal,
+        toFilters,
+        toPayload,
+        verify,
+
+        // Underlying store, for advanced use
+        selection,
+    }
+}
+
+export default useSelection
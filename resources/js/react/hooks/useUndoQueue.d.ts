@@ -0,0 +1,34 @@
+import type {
+    BindingOptions,
+    BulkActionExecution,
+    UndoCheck,
+    UndoItem,
+    UndoQueue,
+    UndoResult,
+    UndoSource,
+} from '../../core/index.js'
+
+export interface UseUndoQueueOptions extends BindingOptions {
+    /** A queue to use instead of the page-wide one */
+    queue?: UndoQueue
+}
+
+export interface UseUndoQueueResult {
+    // State
+    items: UndoItem[]
+
+    // Actions
+    undo(uuid: string): Promise<UndoResult | undefined>
+    redo(uuid: string): Promise<BulkActionExecution | undefined>
+    check(uuid: string): Promise<UndoCheck>
+    add(execution: BulkActionExecution): UndoItem | null
+    dismiss(uuid: string): void
+    clear(): void
+
+    // Underlying queue, for advanced use
+    queue: UndoQueue
+}
+
+export function useUndoQueue(target?: UndoSource | null, options?: UseUndoQueueOptions): UseUndoQueueResult
+
+export default useUndoQueue
@@ -0,0 +1,70 @@
+/**
+ * React Hook for the undo queue behind the undo toasts
+ *
+ * Usage:
+ * import { useUndoQueue } from '@/vendor/action-engine/hooks/useUndoQueue'
+ * import { BulkActionUndoToast } from '@/vendor/action-engine/components/BulkActionUndoToast'
+ *
+ * // In the app layout, outside the routed pages
+ * const undoQueue = useUndoQueue()
+ * <BulkActionUndoToast undoQueue={undoQueue} />
+ *
+ * // In a page: queue the undoable executions of a bulk action
+ * const bulkAction = useBulkAction()
+ * useUndoQueue(bulkAction)
+ *
+ * Every call shares the page-wide queue (or `options.queue`), so toasts
+ * stay up across route changes, and persisted undoable actions are
+ * restored on first mount. `target` is watched while the component is
+ * mounted. Options: `{ apiPrefix, client, persist, persistKey,
+ * checkInterval, undoneDuration, queue, restore }`.
+ */
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react'
+import { getUndoQueue } from '../../core/index.js'
+
+export function useUndoQueue(target = null, options = {}) {
+    const queueRef = useRef(null)
+    if (!queueRef.current) {
+        queueRef.current = options.queue || getUndoQueue(options)
+    }
+    const queue = queueRef.current
+
+    const { items } = useSyncExternalStore(queue.subscribe, queue.getState)
+
+    // The binding's result changes every render, its store does not
+    const source = target ? target.store || target.manager || target : null
+
+    useEffect(() => {
+        if (options.restore !== false) {
+            queue.restore()
+        }
+    }, [queue])
+
+    useEffect(() => (source ? queue.watch(source) : undefined), [queue, source])
+
+    const undo = useCallback((uuid) => queue.undo(uuid), [queue])
+    const redo = useCallback((uuid) => queue.redo(uuid), [queue])
+    const check = useCallback((uuid) => queue.check(uuid), [queue])
+    const add = useCallback((execution) => queue.add(execution), [queue])
+    const dismiss = useCallback((uuid) => queue.dismiss(uuid), [queue])
+    const clear = useCallback(() => queue.clear(), [queue])
+
+    return {
+        // State
+        items,
+
+        // Actions
+        undo,
+        redo,
+        check,
+        add,
+        dismiss,
+        clear,
+
+        // Underlying queue, for advanced use
+        queue,
+    }
+}
+
+export default useUndoQueue
@@ -0,0 +1,832 @@
+/**
+ * In-memory Action Engine API, for testing frontend code without a Laravel app.
+ *
+ * `server.transport` answers the client's requests like the routes in
+ * `routes/api.php` would: `index`, `actions`, `execute`, `preview`, `show`,
+ * `cancel`, `progress`, `progress.batch`, `undo` and `undo.check` (route
+ * names without the `action-engine.` prefix), with the same JSON envelopes
+ * and execution fields. Any other route answers 404. Like the server,
+ * `execute` answers a repeated Idempotency-Key with the execution it
+ * already started.
+ *
+ * Each execution follows a scripted timeline, by default `pending`,
+ * `processing`, `completed`, moving one step forward on every `show` or
+ * `progress` request (or on `advance()` with `advanceOn: 'manual'`).
+ * Failures are injected per route with `fail()`: a status (422 with
+ * `errors`, 429 with `retryAfter`...) or `'network'` for a request that
+ * never gets a response.
+ *
+ * Usage:
+ * const server = new FakeActionEngineServer({ records: 250 })
+ *
+ * server.timeline('pending', 'processing', { status: 'partially_completed', failed_records: 3 })
+ * server.fail('progress', { status: 429, retryAfter: 5 })
+ * server.fail('execute', 'network')
+ *
+ * // The bindings create their client from these options
+ * useBulkAction({ transport: server.transport })
+ * new ActionEngineClient({ transport: server.transport })
+ *
+ * expect(server.requestsTo('progress')).toHaveLength(3)
+ */
+
+export const DEFAULT_TIMELINE = ['pending', 'processing', 'completed']
+
+export const FAKE_ROUTES = [
+    'index', 'actions', 'execute', 'preview', 'show', 'cancel',
+    'progress', 'progress.batch', 'undo', 'undo.check',
+]
+
+/**
+ * The registered actions answered by `GET /actions`, like the built-in ones
+ */
+export const DEFAULT_FAKE_ACTIONS = {
+    delete: {
+        label: 'Delete',
+        supports_undo: true,
+        undo_type: 'restore',
+        destructive: true,
+        parameters: { force: { type: 'boolean', label: 'Permanently delete', default: false } },
+    },
+    restore: { label: 'Restore', supports_undo: true, undo_type: 'delete', destructive: false, parameters: {} },
+    update: {
+        label: 'Update',
+        supports_undo: true,
+        undo_type: 'update',
+        destructive: false,
+        parameters: { data: { type: 'object', label: 'Attributes', required: true } },
+    },
+    archive: {
+        label: 'Archive',
+        supports_undo: true,
+        undo_type: 'update',
+        destructive: false,
+        parameters: { reason: { type: 'text', label: 'Reason' } },
+    },
+}
+
+const IN_PROGRESS = ['pending', 'processing']
+const FINISHED = ['completed', 'partially_completed', 'failed', 'cancelled']
+const DAY = 24 * 60 * 60 * 1000
+
+const iso = time => (time === null ? null : new Date(time).toISOString().replace(/\.\d{3}Z$/, '+00:00'))
+
+const round = value => Math.round(value * 100) / 100
+
+/**
+ * A fetch-like response, see transport.js
+ */
+export function fakeResponse(status, body = null, headers = {}) {
+    const normalized = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)]))
+
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: name => normalized[name.toLowerCase()] ?? null },
+        // Every read gets its own copy, as with a real body
+        json: async () => (body === null ? Promise.reject(new SyntaxError('Unexpected end of JSON input')) : JSON.parse(JSON.stringify(body))),
+    }
+}
+
+/**
+ * The body Laravel renders for a failed validation
+ */
+export function validationErrorBody(errors = {}) {
+    const messages = Object.values(errors).flat()
+    const others = messages.length - 1
+    const message = messages[0] || 'The given data was invalid.'
+
+    return {
+        message: others > 0 ? `${message} (and ${others} more ${others === 1 ? 'error' : 'errors'})` : message,
+        errors,
+    }
+}
+
+/**
+ * Normalize a timeline step given as a status or `{ status, ...fields }`
+ */
+function toStep(step) {
+    return typeof step === 'string' ? { status: step } : { ...step }
+}
+
+export class FakeActionEngineServer {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.apiPrefix] Base path of the routes (defaults to `/api/bulk-actions`)
+     * @param {Object} [options.actions] Registered actions with their metadata, keyed by name
+     * @param {number} [options.records] Records matched by payloads without `filters.ids`
+     * @param {Array<string|Object>} [options.timeline] Steps every new execution goes through
+     * @param {string} [options.advanceOn] `'poll'` to step forward on each `show` / `progress`, or `'manual'`
+     * @param {number} [options.latency] Delay of each response in ms (uses setTimeout, so fake timers apply)
+     * @param {Array<Object>} [options.executions] Executions to start with (resource fields)
+     */
+    constructor(options = {}) {
+        this.apiPrefix = (options.apiPrefix || '/api/bulk-actions').replace(/\/+$/, '')
+        this.registeredActions = options.actions || DEFAULT_FAKE_ACTIONS
+        this.recordCount = options.records ?? 100
+        this.defaultTimeline = (options.timeline || DEFAULT_TIMELINE).map(toStep)
+        this.advanceOn = options.advanceOn || 'poll'
+        this.latency = options.latency || 0
+
+        this.executions = new Map()
+        this.requests = []
+        this.failures = []
+        this.handlers = {}
+        this.nextTimelines = []
+        this.idempotencyKeys = new Map()
+        this.sequence = 0
+
+        ;(options.executions || []).forEach(execution => this.seed(execution))
+
+        this.transport = this.transport.bind(this)
+    }
+
+    /**
+     * Script the timeline of the next execution; calls queue up, one per
+     * execution, after which the default timeline applies again
+     *
+     * @param {...(string|Object)} steps Statuses or `{ status, processed_records, failed_records, error_details }`
+     */
+    timeline(...steps) {
+        this.nextTimelines.push(steps.map(toStep))
+
+        return this
+    }
+
+    /**
+     * Answer the next `times` requests to a route with a failure
+     *
+     * @param {string} route Route name, see FAKE_ROUTES
+     * @param {string|number|Object} failure `'network'` (or `{ network: true, message }`), a status or `{ status, message, errors, retryAfter, body, headers }`
+     * @param {Object} [options]
+     * @param {number} [options.times] Number of requests to fail (Infinity until `reset()`)
+     */
+    fail(route, failure, { times = 1 } = {}) {
+        this.failures.push({ route, failure: typeof failure === 'number' ? { status: failure } : failure, times })
+
+        return this
+    }
+
+    /**
+     * Answer a route with a handler instead: `handler(request, server)`
+     * returns `{ status, body, headers }` (or a promise of it)
+     */
+    on(route, handler) {
+        this.handlers[route] = handler
+
+        return this
+    }
+
+    /**
+     * Add an execution as if it had already been dispatched, e.g. one left
+     * running from a previous page; it keeps its status unless a timeline
+     * follows
+     */
+    seed(fields = {}, timeline = undefined) {
+        const execution = this.createExecution({
+            action: fields.action_name || 'delete',
+            model: fields.model_type || 'App\\Models\\Post',
+            total: fields.total_records ?? this.recordCount,
+            timeline: timeline ? timeline.map(toStep) : [toStep(fields.status || 'pending')],
+        })
+
+        this.update(execution, fields)
+        execution.createdAt = Date.parse(execution.fields.created_at)
+
+        return this.resource(execution)
+    }
+
+    /**
+     * Move executions one step forward on their timeline: the one with
+     * `uuid`, or every execution still running
+     */
+    advance(uuid = undefined) {
+        const executions = uuid ? [this.find(uuid)].filter(Boolean) : [...this.executions.values()]
+
+        executions.forEach(execution => this.step(execution))
+
+        return this
+    }
+
+    /**
+     * Run executions to the end of their timeline
+     */
+    complete(uuid = undefined) {
+        const executions = uuid ? [this.find(uuid)].filter(Boolean) : [...this.executions.values()]
+
+        executions.forEach((execution) => {
+            while (execution.position < execution.timeline.length - 1) {
+                this.step(execution)
+            }
+        })
+
+        return this
+    }
+
+    /**
+     * An execution as the API returns it
+     */
+    execution(uuid) {
+        const execution = this.find(uuid)
+
+        return execution ? this.resource(execution) : null
+    }
+
+    /**
+     * The requests sent to a route, as `{ route, method, url, path, query, body, headers }`
+     */
+    requestsTo(route) {
+        return this.requests.filter(request => request.route === route)
+    }
+
+    /**
+     * Forget every execution, request, failure and handler
+     */
+    reset() {
+        this.executions.clear()
+        this.requests = []
+        this.failures = []
+        this.handlers = {}
+        this.nextTimelines = []
+        this.idempotencyKeys.clear()
+    }
+
+    /**
+     * The transport to hand to ActionEngineClient
+     */
+    async transport({ method, url, headers = {}, body, signal }) {
+        if (this.latency) {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, this.latency)
+
+                signal?.addEventListener('abort', () => {
+                    clearTimeout(timer)
+                    reject(abortError())
+                }, { once: true })
+            })
+        }
+
+        if (signal?.aborted) throw abortError()
+
+        const { pathname, searchParams } = new URL(url, 'http://localhost')
+        const { route, params } = this.match(method.toUpperCase(), pathname)
+        const request = {
+            route,
+            method: method.toUpperCase(),
+            url,
+            path: pathname,
+            query: Object.fromEntries(searchParams),
+            params,
+            body: body ? JSON.parse(body) : null,
+            headers,
+        }
+
+        this.requests.push(request)
+
+        const failure = this.takeFailure(route)
+
+        if (failure) {
+            if (failure === 'network' || failure.network) {
+                throw new TypeError(failure.message || 'Failed to fetch')
+            }
+
+            return failureResponse(failure)
+        }
+
+        if (this.handlers[route]) {
+            const { status = 200, body: responseBody = null, headers: responseHeaders = {} } = await this.handlers[route](request, this)
+
+            return fakeResponse(status, responseBody, responseHeaders)
+        }
+
+        const handler = route && this[`handle${route.replace(/(^|\.)(\w)/g, (_, dot, letter) => letter.toUpperCase())}`]
+
+        if (!handler) {
+            return fakeResponse(404, { message: `The route ${pathname} could not be found.` })
+        }
+
+        return handler.call(this, request)
+    }
+
+    /**
+     * Find the route of a request, like the route file's order
+     */
+    match(method, pathname) {
+        if (!pathname.startsWith(this.apiPrefix)) return { route: null, params: {} }
+
+        const path = pathname.slice(this.apiPrefix.length).replace(/^\/+|\/+$/g, '')
+
+        const routes = [
+            ['GET', /^$/, 'index'],
+            ['GET', /^actions$/, 'actions'],
+            ['POST', /^$/, 'execute'],
+            ['POST', /^preview$/, 'preview'],
+            ['POST', /^progress$/, 'progress.batch'],
+            ['GET', /^([^/]+)$/, 'show'],
+            ['POST', /^([^/]+)\/cancel$/, 'cancel'],
+            ['GET', /^([^/]+)\/progress$/, 'progress'],
+            ['POST', /^([^/]+)\/undo$/, 'undo'],
+            ['GET', /^([^/]+)\/undo$/, 'undo.check'],
+        ]
+
+        for (const [verb, pattern, route] of routes) {
+            const matches = method === verb && path.match(pattern)
+
+            if (matches) {
+                return { route, params: matches[1] ? { uuid: decodeURIComponent(matches[1]) } : {} }
+            }
+        }
+
+        return { route: null, params: {} }
+    }
+
+    handleIndex({ query }) {
+        const perPage = Number(query.per_page) || 15
+        const page = Math.max(Number(query.page) || 1, 1)
+
+        const executions = [...this.executions.values()]
+            .filter(execution => !query.status || execution.fields.status === query.status)
+            .filter(execution => !query.action || execution.fields.action_name === query.action)
+            .filter(execution => !query.model || execution.fields.model_type === query.model)
+            .sort((a, b) => b.createdAt - a.createdAt || b.index - a.index)
+
+        return fakeResponse(200, {
+            success: true,
+            data: executions.slice((page - 1) * perPage, page * perPage).map(execution => this.resource(execution, query)),
+            meta: {
+                current_page: page,
+                last_page: Math.max(Math.ceil(executions.length / perPage), 1),
+                per_page: perPage,
+                total: executions.length,
+            },
+        })
+    }
+
+    handleActions() {
+        const data = Object.fromEntries(Object.entries(this.registeredActions).map(([name, metadata]) => [name, {
+            name,
+            label: name.charAt(0).toUpperCase() + name.slice(1),
+            supports_undo: false,
+            undo_type: null,
+            description: null,
+            icon: null,
+            color: null,
+            confirmation_required: false,
+            confirmation_message: null,
+            destructive: false,
+            parameters: {},
+            ...metadata,
+        }]))
+
+        return fakeResponse(200, { success: true, data })
+    }
+
+    handleExecute({ body, headers }) {
+        const invalid = this.validatePayload(body)
+        if (invalid) return invalid
+
+        // A retried submission gets the execution the first one started
+        const key = Object.entries(headers).find(([name]) => name.toLowerCase() === 'idempotency-key')?.[1]
+        const submitted = key && this.idempotencyKeys.get(key)
+
+        if (submitted) {
+            if (submitted.body !== JSON.stringify(body)) {
+                const message = 'This Idempotency-Key was already used for a different bulk action. Use a new key for each submission.'
+
+                return fakeResponse(422, { success: false, message, errors: { idempotency_key: [message] } })
+            }
+
+            return fakeResponse(200, {
+                success: true,
+                data: this.resource(this.find(submitted.uuid)),
+                message: 'Bulk action already initiated.',
+            }, { 'Idempotent-Replayed': 'true' })
+        }
+
+        const options = body.options || {}
+        const timeline = options.dry_run
+            ? [{ status: 'completed' }]
+            : options.schedule_for
+                ? [{ status: 'scheduled' }, ...this.takeTimeline()]
+                : this.takeTimeline()
+
+        const execution = this.createExecution({
+            action: body.action,
+            model: body.model,
+            total: this.countOf(body),
+            timeline,
+            payload: body,
+        })
+
+        if (key) {
+            this.idempotencyKeys.set(key, { uuid: execution.fields.uuid, body: JSON.stringify(body) })
+        }
+
+        // Synchronous executions have finished by the time the request returns
+        if (options.sync) {
+            this.complete(execution.fields.uuid)
+        }
+
+        return fakeResponse(202, {
+            success: true,
+            data: this.resource(execution),
+            message: options.dry_run ? 'Dry run completed successfully.' : 'Bulk action initiated successfully.',
+        })
+    }
+
+    handlePreview({ body }) {
+        const invalid = this.validatePayload(body)
+        if (invalid) return invalid
+
+        const total = this.countOf(body)
+        const ids = body.filters?.ids || Array.from({ length: total }, (_, index) => index + 1)
+        const destructive = Boolean(this.registeredActions[body.action]?.destructive)
+
+        return fakeResponse(200, {
+            success: true,
+            data: {
+                total_count: total,
+                preview: ids.slice(0, body.preview_limit ?? 10).map(id => ({ id })),
+                action: body.action,
+                model: body.model,
+                parameters: body.parameters || {},
+                filters: body.filters || {},
+                changes: null,
+                safety: {
+                    destructive,
+                    requires_confirmation: destructive,
+                    requires_typing: false,
+                    requires_dry_run: false,
+                    threshold: 100,
+                    prompt: null,
+                },
+            },
+        })
+    }
+
+    handleShow({ params, query }) {
+        const execution = this.find(params.uuid)
+        if (!execution) return notFound()
+
+        this.poll(execution)
+
+        return fakeResponse(200, { success: true, data: this.resource(execution, query) })
+    }
+
+    handleCancel({ params }) {
+        const execution = this.find(params.uuid)
+        if (!execution) return notFound()
+
+        if (![...IN_PROGRESS, 'scheduled'].includes(execution.fields.status)) {
+            return fakeResponse(422, {
+                success: false,
+                message: 'Only pending, processing or scheduled actions can be cancelled.',
+            })
+        }
+
+        this.update(execution, { status: 'cancelled' })
+
+        return fakeResponse(200, {
+            success: true,
+            message: 'Bulk action cancelled successfully.',
+            data: this.resource(execution),
+        })
+    }
+
+    handleProgress({ params }) {
+        const execution = this.find(params.uuid)
+        if (!execution) return notFound()
+
+        this.poll(execution)
+
+        return fakeResponse(200, { success: true, data: this.progressOf(execution) })
+    }
+
+    handleProgressBatch({ body }) {
+        const uuids = body?.uuids
+
+        if (!Array.isArray(uuids) || !uuids.length) {
+            return fakeResponse(422, validationErrorBody({ uuids: ['The uuids field is required.'] }))
+        }
+
+        const executions = uuids.map(uuid => this.find(uuid)).filter(Boolean)
+
+        executions.forEach(execution => this.poll(execution))
+
+        // PHP serializes an empty map as a list
+        const data = executions.length
+            ? Object.fromEntries(executions.map(execution => [execution.fields.uuid, this.progressOf(execution)]))
+            : []
+
+        return fakeResponse(200, { success: true, data })
+    }
+
+    handleUndo({ params }) {
+        const execution = this.find(params.uuid)
+        if (!execution) return notFound()
+
+        if (!this.canUndo(execution)) {
+            return fakeResponse(422, {
+                success: false,
+                message: 'This action cannot be undone. It may have already been undone or the undo period has expired.',
+            })
+        }
+
+        const restoredCount = execution.fields.processed_records - execution.fields.failed_records
+
+        execution.undone = true
+        this.update(execution, { can_undo: false })
+
+        return fakeResponse(200, {
+            success: true,
+            message: `Successfully undone ${restoredCount} records.`,
+            data: { restored_count: restoredCount, execution: this.resource(execution) },
+        })
+    }
+
+    handleUndoCheck({ params }) {
+        const execution = this.find(params.uuid)
+        if (!execution) return notFound()
+
+        const canUndo = this.canUndo(execution)
+        const expiresAt = execution.fields.undo_expires_at
+
+        return fakeResponse(200, {
+            success: true,
+            data: {
+                can_undo: canUndo,
+                time_remaining: canUndo && expiresAt ? humanize(Date.parse(expiresAt) - Date.now()) : null,
+                undoable_count: execution.undone ? 0 : execution.fields.processed_records - execution.fields.failed_records,
+                expires_at: expiresAt,
+            },
+        })
+    }
+
+    /**
+     * The 422 of ExecuteBulkActionRequest / PreviewBulkActionRequest, if any
+     */
+    validatePayload(body) {
+        const errors = {}
+
+        if (!body?.action) {
+            errors.action = ['The action field is required.']
+        } else if (!this.registeredActions[body.action]) {
+            errors.action = [`Action '${body.action}' is not registered.`]
+        }
+
+        if (!body?.model) {
+            errors.model = ['The model field is required.']
+        }
+
+        if (body?.options?.schedule_for && !(Date.parse(body.options.schedule_for) > Date.now())) {
+            errors['options.schedule_for'] = ['The options.schedule for field must be a date after now.']
+        }
+
+        return Object.keys(errors).length ? fakeResponse(422, validationErrorBody(errors)) : null
+    }
+
+    countOf(body) {
+        return body.filters?.ids ? body.filters.ids.length : this.recordCount
+    }
+
+    takeTimeline() {
+        return this.nextTimelines.shift() || this.defaultTimeline.map(step => ({ ...step }))
+    }
+
+    takeFailure(route) {
+        const index = this.failures.findIndex(failure => failure.route === route && failure.times > 0)
+        if (index === -1) return null
+
+        const failure = this.failures[index]
+
+        failure.times--
+        if (failure.times <= 0) {
+            this.failures.splice(index, 1)
+        }
+
+        return failure.failure
+    }
+
+    createExecution({ action, model, total, timeline, payload = {} }) {
+        const now = Date.now()
+        const options = payload.options || {}
+        const index = ++this.sequence
+        const withUndo = Boolean(options.with_undo) && !options.dry_run
+
+        const execution = {
+            index,
+            timeline,
+            position: -1,
+            createdAt: now,
+            undone: false,
+            payload,
+            fields: {
+                uuid: `00000000-0000-4000-8000-${String(index).padStart(12, '0')}`,
+                action_name: action,
+                model_type: model,
+                status: 'pending',
+                total_records: total,
+                processed_records: 0,
+                failed_records: 0,
+                progress_percentage: 0,
+                success_rate: 0,
+                can_undo: withUndo,
+                undo_expires_at: withUndo ? iso(now + (options.undo_expiry_days || 7) * DAY) : null,
+                is_dry_run: Boolean(options.dry_run),
+                scheduled_for: options.schedule_for ? iso(Date.parse(options.schedule_for)) : null,
+                scheduled_timezone: options.schedule_timezone || null,
+                started_at: null,
+                completed_at: null,
+                created_at: iso(now),
+                error_details: null,
+            },
+        }
+
+        this.executions.set(execution.fields.uuid, execution)
+        this.step(execution)
+
+        return execution
+    }
+
+    find(uuid) {
+        return this.executions.get(uuid) || null
+    }
+
+    /**
+     * A `show` or `progress` request came in
+     */
+    poll(execution) {
+        if (this.advanceOn === 'poll') {
+            this.step(execution)
+        }
+    }
+
+    /**
+     * Move to the next step of the timeline, deriving the record counts of
+     * steps that only give a status
+     */
+    step(execution) {
+        if (execution.position >= execution.timeline.length - 1 || execution.fields.status === 'cancelled') return
+
+        execution.position++
+
+        const step = execution.timeline[execution.position]
+        const total = execution.fields.total_records
+        const last = execution.timeline.length - 1
+        const share = last > 0 ? execution.position / last : 1
+        const defaults = {
+            pending: { processed_records: 0 },
+            scheduled: { processed_records: 0 },
+            processing: { processed_records: Math.round(total * share) },
+            completed: { processed_records: total, failed_records: 0 },
+            partially_completed: { processed_records: total, failed_records: Math.max(Math.round(total * 0.1), 1) },
+            failed: { failed_records: execution.fields.processed_records, error_details: { message: 'The action failed.' } },
+        }
+
+        this.update(execution, { ...defaults[step.status], ...step })
+    }
+
+    update(execution, changes) {
+        const now = iso(Date.now())
+        const fields = { ...execution.fields, ...changes }
+
+        if (fields.status === 'processing' && !fields.started_at) {
+            fields.started_at = now
+        }
+
+        if (FINISHED.includes(fields.status) && !fields.completed_at) {
+            fields.started_at = fields.started_at || now
+            fields.completed_at = now
+        }
+
+        // Nothing can be undone once the action failed or was cancelled
+        if (['failed', 'cancelled'].includes(fields.status)) {
+            fields.can_undo = false
+        }
+
+        fields.progress_percentage = fields.total_records ? round((fields.processed_records / fields.total_records) * 100) : 0
+        fields.success_rate = fields.processed_records
+            ? round(((fields.processed_records - fields.failed_records) / fields.processed_records) * 100)
+            : 0
+
+        execution.fields = fields
+    }
+
+    canUndo(execution) {
+        const { can_undo: canUndo, undo_expires_at: expiresAt, status } = execution.fields
+
+        return canUndo && !execution.undone && FINISHED.includes(status)
+            && (!expiresAt || Date.parse(expiresAt) > Date.now())
+    }
+
+    /**
+     * BulkActionExecutionResource
+     */
+    resource(execution, query = {}) {
+        const { error_details: errorDetails, ...fields } = execution.fields
+        const resource = { ...fields }
+
+        if (fields.is_dry_run) {
+            resource.dry_run_results = { total_count: fields.total_records }
+        }
+
+        if (['failed', 'partially_completed'].includes(fields.status)) {
+            resource.error_details = errorDetails
+        }
+
+        if (query.include_filters) {
+            resource.filters = execution.payload.filters || {}
+        }
+
+        if (query.include_parameters) {
+            resource.parameters = execution.payload.parameters || {}
+        }
+
+        return resource
+    }
+
+    /**
+     * ProgressTracker::getDetails()
+     */
+    progressOf(execution) {
+        const { fields } = execution
+        const batchCount = Math.max(Math.ceil(fields.total_records / (execution.payload.options?.batch_size || 500)), 1)
+        const done = Math.round(batchCount * (fields.progress_percentage / 100))
+        const finished = FINISHED.includes(fields.status)
+        const succeeded = ['completed', 'partially_completed'].includes(fields.status)
+
+        return {
+            uuid: fields.uuid,
+            status: fields.status,
+            total_records: fields.total_records,
+            processed_records: fields.processed_records,
+            failed_records: fields.failed_records,
+            progress_percentage: fields.progress_percentage,
+            estimated_time_remaining: fields.status === 'processing' ? '1 minute' : null,
+            batches: {
+                total: batchCount,
+                completed: succeeded ? batchCount : done,
+                processing: fields.status === 'processing' && done < batchCount ? 1 : 0,
+                failed: fields.status === 'failed' ? 1 : 0,
+                pending: finished ? 0 : Math.max(batchCount - done - (fields.status === 'processing' ? 1 : 0), 0),
+            },
+            started_at: fields.started_at,
+            elapsed_time: fields.started_at ? humanize(Date.now() - Date.parse(fields.started_at), false) : null,
+        }
+    }
+}
+
+function abortError() {
+    const error = new Error('The operation was aborted.')
+    error.name = 'AbortError'
+
+    return error
+}
+
+function notFound() {
+    return fakeResponse(404, {
+        message: 'No query results for model [DhruvilNagar\\ActionEngine\\Models\\BulkActionExecution].',
+    })
+}
+
+function failureResponse({ status, message, errors, retryAfter, body, headers = {} }) {
+    const responseHeaders = { ...headers }
+
+    if (retryAfter !== undefined) {
+        responseHeaders['Retry-After'] = retryAfter
+    }
+
+    if (body !== undefined) {
+        return fakeResponse(status, body, responseHeaders)
+    }
+
+    if (errors) {
+        return fakeResponse(status, message ? { message, errors } : validationErrorBody(errors), responseHeaders)
+    }
+
+    const messages = {
+        401: 'Unauthenticated.',
+        403: 'This action is unauthorized.',
+        404: 'Not Found',
+        419: 'CSRF token mismatch.',
+        429: 'Too Many Attempts.',
+        500: 'Server Error',
+        503: 'Service Unavailable',
+    }
+
+    return fakeResponse(status, { message: message || messages[status] || 'Server Error' }, responseHeaders)
+}
+
+/**
+ * Carbon's diffForHumans(), roughly: `6 days from now` or `6 days`
+ */
+function humanize(ms, future = true) {
+    const units = [['year', 365 * DAY], ['month', 30 * DAY], ['week', 7 * DAY], ['day', DAY], ['hour', 3600000], ['minute', 60000], ['second', 1000]]
+    const [unit, size] = units.find(([, length]) => Math.abs(ms) >= length) || ['second', 1000]
+    const count = Math.max(Math.floor(Math.abs(ms) / size), 1)
+    const text = `${count} ${unit}${count === 1 ? '' : 's'}`
+
+    return future ? `${text} from now` : text
+}
+
+export default FakeActionEngineServer
@@ -0,0 +1,154 @@
+/**
+ * Fake timers for the polling of the core stores.
+ *
+ * PollScheduler waits with setTimeout, and the stores compare times with
+ * Date.now(), so replacing both lets a test move through a timeline
+ * without waiting. `tick()` runs the timers that fall due one by one and
+ * lets the requests they start settle before the next, so that each poll
+ * has applied its response when it returns.
+ *
+ * Jest's and Vitest's own fake timers work as well (use their async
+ * variants, e.g. `vi.advanceTimersByTimeAsync()`); these are for runners
+ * without them, or to keep a test independent of the runner.
+ *
+ * Usage:
+ * const clock = installFakeTimers()
+ *
+ * tracker.track(uuid)
+ * await clock.tick(2000) // one poll
+ *
+ * clock.uninstall()
+ */
+
+const realSetTimeout = globalThis.setTimeout
+
+/**
+ * Let pending promises settle (one macrotask, on the real timers)
+ */
+export function flushPromises() {
+    return new Promise(resolve => realSetTimeout(resolve, 0))
+}
+
+/**
+ * Replace setTimeout, setInterval (and their clear functions) and
+ * Date.now() with a clock that only moves on `tick()`
+ *
+ * @param {Object} [options]
+ * @param {number|Date} [options.now] Time to start at (defaults to the current time)
+ */
+export function installFakeTimers({ now = Date.now() } = {}) {
+    const originals = {
+        setTimeout: globalThis.setTimeout,
+        clearTimeout: globalThis.clearTimeout,
+        setInterval: globalThis.setInterval,
+        clearInterval: globalThis.clearInterval,
+        now: Date.now,
+    }
+
+    const timers = new Map()
+    let time = Number(now)
+    let lastId = 0
+
+    const add = (callback, delay, args, interval) => {
+        const id = ++lastId
+        const wait = Math.max(Number(delay) || 0, 0)
+
+        timers.set(id, { id, callback, args, at: time + wait, interval: interval ? Math.max(wait, 1) : null })
+
+        return id
+    }
+
+    const remove = (id) => {
+        timers.delete(typeof id === 'object' && id !== null ? id.id : id)
+    }
+
+    // The timer due first, timers set earlier first on a tie
+    const due = until => [...timers.values()]
+        .filter(timer => timer.at <= until)
+        .sort((a, b) => a.at - b.at || a.id - b.id)[0]
+
+    const run = async (timer) => {
+        time = Math.max(time, timer.at)
+
+        if (timer.interval) {
+            timer.at += timer.interval
+        } else {
+            timers.delete(timer.id)
+        }
+
+        timer.callback(...timer.args)
+        await flushPromises()
+    }
+
+    globalThis.setTimeout = (callback, delay, ...args) => add(callback, delay, args, false)
+    globalThis.clearTimeout = remove
+    globalThis.setInterval = (callback, delay, ...args) => add(callback, delay, args, true)
+    globalThis.clearInterval = remove
+    Date.now = () => time
+
+    return {
+        now: () => time,
+
+        /**
+         * Number of timers waiting to run
+         */
+        get pending() {
+            return timers.size
+        },
+
+        /**
+         * Move the clock `ms` forward, running the timers that fall due
+         */
+        async tick(ms = 0) {
+            const until = time + ms
+
+            await flushPromises()
+
+            for (let timer = due(until); timer; timer = due(until)) {
+                await run(timer)
+            }
+
+            time = until
+        },
+
+        /**
+         * Move the clock to the next timer and run it, resolving to the ms
+         * waited (null without timers)
+         */
+        async next() {
+            const timer = due(Infinity)
+            if (!timer) return null
+
+            const waited = Math.max(timer.at - time, 0)
+            await run(timer)
+
+            return waited
+        },
+
+        /**
+         * Run timers until none is left (or `limit` ran, as polling never
+         * stops by itself)
+         */
+        async runAll(limit = 1000) {
+            let count = 0
+
+            while (count < limit && (await this.next()) !== null) {
+                count++
+            }
+
+            return count
+        },
+
+        /**
+         * Put the real timers back
+         */
+        uninstall() {
+            timers.clear()
+            globalThis.setTimeout = originals.setTimeout
+            globalThis.clearTimeout = originals.clearTimeout
+            globalThis.setInterval = originals.setInterval
+            globalThis.clearInterval = originals.clearInterval
+            Date.now = originals.now
+        },
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * Type definitions for the Action Engine test helpers.
+ */
+
+import type { ActionMetadata, BulkActionExecution, BulkActionStatus, Transport, TransportResponse } from '../core/index'
+
+// ---------------------------------------------------------------------------
+// Fake server
+// ---------------------------------------------------------------------------
+
+export type FakeRoute =
+    | 'index' | 'actions' | 'execute' | 'preview' | 'show' | 'cancel'
+    | 'progress' | 'progress.batch' | 'undo' | 'undo.check'
+
+/** A status, or the fields an execution takes at that step */
+export type TimelineStep = BulkActionStatus | ({ status: BulkActionStatus } & Partial<Omit<BulkActionExecution, 'status'>>)
+
+export type FakeFailure =
+    | 'network'
+    | number
+    | { network: true; message?: string }
+    | {
+        status: number
+        message?: string
+        /** Validation errors keyed by field, rendered like Laravel's */
+        errors?: Record<string, string[]>
+        /** Seconds, sent as the `Retry-After` header */
+        retryAfter?: number | string
+        /** Replaces the whole body */
+        body?: unknown
+        headers?: Record<string, string | number>
+    }
+
+export interface FakeRequest {
+    /** Null when no route matched */
+    route: FakeRoute | null
+    method: string
+    url: string
+    path: string
+    query: Record<string, string>
+    params: { uuid?: string }
+    /** Decoded JSON body */
+    body: any
+    headers: Record<string, string>
+}
+
+export interface FakeHandlerResult {
+    status?: number
+    body?: unknown
+    headers?: Record<string, string | number>
+}
+
+export interface FakeServerOptions {
+    /** Defaults to `/api/bulk-actions` */
+    apiPrefix?: string
+    /** Registered actions keyed by name, defaults to DEFAULT_FAKE_ACTIONS */
+    actions?: Record<string, Partial<ActionMetadata>>
+    /** Records matched by payloads without `filters.ids` (defaults to 100) */
+    records?: number
+    /** Steps every new execution goes through, defaults to DEFAULT_TIMELINE */
+    timeline?: TimelineStep[]
+    /** `'poll'` (default) steps forward on each `show` / `progress` request */
+    advanceOn?: 'poll' | 'manual'
+    /** Delay of each response in ms */
+    latency?: number
+    /** Executions to start with */
+    executions?: Array<Partial<BulkActionExecution>>
+}
+
+export const DEFAULT_TIMELINE: BulkActionStatus[]
+export const FAKE_ROUTES: FakeRoute[]
+export const DEFAULT_FAKE_ACTIONS: Record<string, Partial<ActionMetadata>>
+
+export function fakeResponse(status: number, body?: unknown, headers?: Record<string, string | number>): TransportResponse
+export function validationErrorBody(errors?: Record<string, string[]>): { message: string; errors: Record<string, string[]> }
+
+export class FakeActionEngineServer {
+    constructor(options?: FakeServerOptions)
+    apiPrefix: string
+    /** Every request received, oldest first */
+    requests: FakeRequest[]
+    /** Hand to `new ActionEngineClient({ transport })` or a binding's options */
+    transport: Transport
+    /** Script the timeline of the next execution */
+    timeline(...steps: TimelineStep[]): this
+    fail(route: FakeRoute, failure: FakeFailure, options?: { times?: number }): this
+    on(route: FakeRoute, handler: (request: FakeRequest, server: FakeActionEngineServer) => FakeHandlerResult | Promise<FakeHandlerResult>): this
+    seed(fields?: Partial<BulkActionExecution>, timeline?: TimelineStep[]): BulkActionExecution
+    advance(uuid?: string): this
+    complete(uuid?: string): this
+    execution(uuid: string): BulkActionExecution | null
+    requestsTo(route: FakeRoute): FakeRequest[]
+    reset(): void
+}
+
+export default FakeActionEngineServer
+
+// ---------------------------------------------------------------------------
+// Fake timers
+// ---------------------------------------------------------------------------
+
+export interface FakeClock {
+    now(): number
+    readonly pending: number
+    /** Move `ms` forward, running the timers that fall due */
+    tick(ms?: number): Promise<void>
+    /** Run the next timer, resolving to the ms waited (null without timers) */
+    next(): Promise<number | null>
+    /** Run timers until none is left, resolving to the number that ran */
+    runAll(limit?: number): Promise<number>
+    uninstall(): void
+}
+
+export function installFakeTimers(options?: { now?: number | Date }): FakeClock
+export function flushPromises(): Promise<void>
@@ -0,0 +1,16 @@
+/**
+ * Test helpers for code built on the Action Engine JS packages: an
+ * in-memory API server and fake timers for polling.
+ *
+ * import { FakeActionEngineServer, installFakeTimers } from './vendor/testing/index.js'
+ */
+
+export {
+    DEFAULT_FAKE_ACTIONS,
+    DEFAULT_TIMELINE,
+    FAKE_ROUTES,
+    FakeActionEngineServer,
+    fakeResponse,
+    validationErrorBody,
+} from './FakeActionEngineServer.js'
+export { flushPromises, installFakeTimers } from './fakeTimers.js'
@@ -0,0 +1,9 @@
+import type { DefineComponent, PropType } from 'vue'
+import type { UseMonitoringResult } from '../composables/useMonitoring.js'
+
+export declare const BulkActionBreakdownTable: DefineComponent<{
+    monitoring: { type: PropType<UseMonitoringResult>; required: true }
+    emptyText: { type: StringConstructor; default: string }
+}>
+
+export default BulkActionBreakdownTable
@@ -0,0 +1,60 @@
+/**
+ * Vue 3 per-action breakdown of the monitoring dashboard
+ *
+ * Usage:
+ * import BulkActionBreakdownTable from '@/vendor/action-engine/components/BulkActionBreakdownTable'
+ *
+ * const monitoring = useMonitoring()
+ *
+ * <BulkActionBreakdownTable :monitoring="monitoring" />
+ *
+ * One row per action run in the date range, most run first, with its
+ * total, completed and failed counts and its success rate.
+ * Unstyled apart from `bulk-action-breakdown*` class names.
+ * Written as a render function so it works without the SFC compiler.
+ */
+
+import { defineComponent, h, unref } from 'vue'
+
+const HEADINGS = ['Action', 'Total', 'Completed', 'Failed', 'Success rate']
+
+export const BulkActionBreakdownTable = defineComponent({
+    name: 'BulkActionBreakdownTable',
+
+    props: {
+        monitoring: { type: Object, required: true },
+        emptyText: { type: String, default: 'No actions in this range.' },
+    },
+
+    setup(props) {
+        // The composable's state is a set of refs
+        const read = key => unref(props.monitoring[key])
+
+        return () => {
+            const actions = read('actions')
+            const error = read('error')
+
+            if (!actions.length) {
+                return h('p', { class: 'bulk-action-breakdown-empty' }, error ? error.message : props.emptyText)
+            }
+
+            const rows = [...actions].sort((a, b) => b.total - a.total)
+
+            return h('table', { class: 'bulk-action-breakdown', 'aria-busy': String(read('isLoading')) }, [
+                h('thead', h('tr', HEADINGS.map(heading => h('th', { key: heading, scope: 'col' }, heading)))),
+                h('tbody', rows.map(row => h('tr', {
+                    key: row.action,
+                    class: { 'bulk-action-breakdown-failing': row.failed > 0 },
+                }, [
+                    h('th', { scope: 'row' }, row.action),
+                    h('td', row.total),
+                    h('td', row.completed),
+                    h('td', row.failed),
+                    h('td', `${row.success_rate}%`),
+                ]))),
+            ])
+        }
+    },
+})
+
+export default BulkActionBreakdownTable
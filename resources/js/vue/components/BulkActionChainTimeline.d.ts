@@ -0,0 +1,11 @@
+import type { DefineComponent, PropType } from 'vue'
+import type { UseActionChainResult } from '../composables/useActionChain.js'
+
+export declare const BulkActionChainTimeline: DefineComponent<{
+    chain: { type: PropType<UseActionChainResult>; required: true }
+    cancelText: { type: StringConstructor; default: string }
+    undoText: { type: StringConstructor; default: string }
+    emptyText: { type: StringConstructor; default: string }
+}>
+
+export default BulkActionChainTimeline
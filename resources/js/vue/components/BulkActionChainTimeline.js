@@ -0,0 +1,89 @@
+/**
+ * Vue 3 timeline of an action chain
+ *
+ * Usage:
+ * import BulkActionChainTimeline from '@/vendor/action-engine/components/BulkActionChainTimeline'
+ *
+ * const chain = useActionChain()
+ *
+ * <BulkActionChainTimeline :chain="chain" />
+ *
+ * One item per step with its action, status and a progress bar, the
+ * current step marked with `aria-current`. "Cancel" shows while the chain
+ * is running and stops the remaining steps; "Undo" shows once it has
+ * finished and undoes the completed steps, last one first.
+ * Unstyled apart from `bulk-action-chain*` class names.
+ * Written as a render function so it works without the SFC compiler.
+ */
+
+import { defineComponent, h, unref } from 'vue'
+
+// Failures show up through `error`
+const quietly = promise => promise?.catch(() => {})
+
+const label = status => status.replace(/_/g, ' ')
+
+export const BulkActionChainTimeline = defineComponent({
+    name: 'BulkActionChainTimeline',
+
+    props: {
+        chain: { type: Object, required: true },
+        cancelText: { type: String, default: 'Cancel' },
+        undoText: { type: String, default: 'Undo' },
+        emptyText: { type: String, default: 'No chain running.' },
+    },
+
+    setup(props) {
+        // The composable's state is a set of refs
+        const read = key => unref(props.chain[key])
+
+        return () => {
+            const chain = props.chain
+            const steps = read('steps')
+            const currentStep = read('currentStep')
+            const isRunning = read('isRunning')
+            const error = read('error')
+
+            if (!steps.length) {
+                return h('p', { class: 'bulk-action-chain-empty' }, error ? error.message : props.emptyText)
+            }
+
+            return h('section', { class: 'bulk-action-chain', 'aria-busy': String(isRunning) }, [
+                h('ol', { class: 'bulk-action-chain-steps' }, steps.map(step => h('li', {
+                    key: step.step,
+                    class: ['bulk-action-chain-step', `bulk-action-chain-step-${step.status}`],
+                    'aria-current': step.step === currentStep?.step ? 'step' : undefined,
+                }, [
+                    h('strong', step.action_name),
+                    ` ${label(step.status)}`,
+                    h('progress', { max: 100, value: step.progress_percentage }),
+                    step.error ? h('p', { class: 'bulk-action-chain-step-error' }, step.error) : null,
+                ]))),
+
+                isRunning
+                    ? h('button', {
+                        type: 'button',
+                        class: 'bulk-action-chain-cancel',
+                        disabled: read('isCancelling'),
+                        onClick: () => quietly(chain.cancel()),
+                    }, props.cancelText)
+                    : null,
+
+                read('canUndo')
+                    ? h('button', {
+                        type: 'button',
+                        class: 'bulk-action-chain-undo',
+                        disabled: read('isUndoing'),
+                        onClick: () => quietly(chain.undo()),
+                    }, props.undoText)
+                    : null,
+
+                error
+                    ? h('p', { class: 'bulk-action-chain-error', role: 'alert' }, error.message)
+                    : null,
+            ])
+        }
+    },
+})
+
+export default BulkActionChainTimeline
@@ -0,0 +1,9 @@
+import type { DefineComponent, PropType } from 'vue'
+import type { UseConfirmationFlowResult } from '../composables/useConfirmationFlow.js'
+
+export declare const BulkActionConfirmDialog: DefineComponent<{
+    confirmation: { type: PropType<UseConfirmationFlowResult>; required: true }
+    idPrefix: { type: StringConstructor; default: string }
+}>
+
+export default BulkActionConfirmDialog
@@ -0,0 +1,107 @@
+/**
+ * Vue 3 confirmation dialog for destructive Bulk Actions
+ *
+ * Usage:
+ * import BulkActionConfirmDialog from '@/vendor/action-engine/components/BulkActionConfirmDialog'
+ *
+ * const confirmation = useConfirmationFlow(useBulkAction())
+ *
+ * <BulkActionConfirmDialog :confirmation="confirmation" />
+ *
+ * Renders while the flow is open: the server's prompt and affected record
+ * count, a "Run dry run" step when required, the phrase input above the
+ * confirmation threshold, and the Cancel / Confirm buttons. Unstyled apart
+ * from `bulk-action-confirm*` class names and `data-warning-level`.
+ * Written as a render function so it works without the SFC compiler.
+ */
+
+import { defineComponent, h, unref } from 'vue'
+import { fieldError } from '../../core/index.js'
+
+export const BulkActionConfirmDialog = defineComponent({
+    name: 'BulkActionConfirmDialog',
+
+    props: {
+        confirmation: { type: Object, required: true },
+        idPrefix: { type: String, default: 'bulk-action-confirm' },
+    },
+
+    setup(props) {
+        // The composable's state is a set of refs
+        const read = key => unref(props.confirmation[key])
+
+        return () => {
+            if (!read('isOpen')) {
+                return null
+            }
+
+            const confirmation = props.confirmation
+            const step = read('step')
+            const assessment = read('assessment')
+            const dryRun = read('dryRun')
+            const error = read('error')
+            const isLoading = read('isLoading')
+            const prompt = assessment?.prompt || null
+            const message = fieldError(error, 'confirmation') || error?.message
+            const id = suffix => `${props.idPrefix}-${suffix}`
+
+            return h('div', { class: 'bulk-action-confirm-backdrop' }, h('div', {
+                class: 'bulk-action-confirm',
+                role: 'alertdialog',
+                'aria-modal': 'true',
+                'aria-labelledby': id('title'),
+                'aria-describedby': id('message'),
+                'aria-busy': String(isLoading),
+                'data-warning-level': prompt?.warningLevel,
+                onKeydown: event => event.key === 'Escape' && confirmation.cancel(),
+            }, [
+                h('h2', { id: id('title') }, prompt?.title || 'Confirm action'),
+
+                h('p', { id: id('message') }, step === 'assessing'
+                    ? 'Checking the affected records…'
+                    : prompt?.message || `This will affect ${assessment?.count ?? 0} records.`),
+
+                step === 'dry-run'
+                    ? h('div', { class: 'bulk-action-confirm-dry-run' }, [
+                        h('p', 'This is your first run of this action. Run a dry run to review its effect first.'),
+                        h('button', { type: 'button', disabled: isLoading, onClick: () => confirmation.runDryRun() }, 'Run dry run'),
+                    ])
+                    : null,
+
+                dryRun
+                    ? h('p', { class: 'bulk-action-confirm-dry-run-result' },
+                        `Dry run: ${dryRun.total_records} records would be affected.`)
+                    : null,
+
+                step === 'confirm' && read('requiresTyping')
+                    ? h('div', { class: 'bulk-action-confirm-phrase' }, [
+                        h('label', { for: id('phrase') }, ['Type ', h('strong', prompt.typeText), ' to confirm']),
+                        h('input', {
+                            id: id('phrase'),
+                            type: 'text',
+                            value: read('phrase'),
+                            autocomplete: 'off',
+                            autofocus: true,
+                            'aria-invalid': Boolean(fieldError(error, 'confirmation')),
+                            onInput: event => confirmation.setPhrase(event.target.value),
+                            onKeydown: event => event.key === 'Enter' && read('canConfirm') && confirmation.confirm(),
+                        }),
+                    ])
+                    : null,
+
+                message ? h('p', { class: 'bulk-action-confirm-error', role: 'alert' }, message) : null,
+
+                h('div', { class: 'bulk-action-confirm-buttons' }, [
+                    h('button', { type: 'button', onClick: () => confirmation.cancel() }, 'Cancel'),
+                    h('button', {
+                        type: 'button',
+                        disabled: !read('canConfirm'),
+                        onClick: () => confirmation.confirm(),
+                    }, prompt?.confirmText || 'Confirm'),
+                ]),
+            ]))
+        }
+    },
+})
+
+export default BulkActionConfirmDialog
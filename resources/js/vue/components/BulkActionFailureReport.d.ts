@@ -0,0 +1,10 @@
+import type { DefineComponent, PropType } from 'vue'
+import type { UseFailureReportResult } from '../composables/useFailureReport.js'
+
+export declare const BulkActionFailureReport: DefineComponent<{
+    failures: { type: PropType<UseFailureReportResult>; required: true }
+    retryText: { type: StringConstructor; default: string }
+    emptyText: { type: StringConstructor; default: string }
+}>
+
+export default BulkActionFailureReport
@@ -0,0 +1,89 @@
+/**
+ * Vue 3 report of the records a Bulk Action failed on
+ *
+ * Usage:
+ * import BulkActionFailureReport from '@/vendor/action-engine/components/BulkActionFailureReport'
+ *
+ * const failures = useFailureReport(bulkAction.execution, { handOffTo: bulkAction })
+ *
+ * <BulkActionFailureReport :failures="failures" />
+ *
+ * One button per error type (with its count) to filter the list, the failed
+ * records with their error, Previous / Next paging and a "Retry failed"
+ * button that retries the listed type (all types unless one is selected).
+ * Unstyled apart from `bulk-action-failures*` class names.
+ * Written as a render function so it works without the SFC compiler.
+ */
+
+import { defineComponent, h, unref } from 'vue'
+
+// Failures show up through `error`
+const quietly = promise => promise?.catch(() => {})
+
+export const BulkActionFailureReport = defineComponent({
+    name: 'BulkActionFailureReport',
+
+    props: {
+        failures: { type: Object, required: true },
+        retryText: { type: String, default: 'Retry failed' },
+        emptyText: { type: String, default: 'No failed records.' },
+    },
+
+    setup(props) {
+        // The composable's state is a set of refs
+        const read = key => unref(props.failures[key])
+
+        return () => {
+            const failures = props.failures
+            const groups = read('groups')
+            const type = read('type')
+            const meta = read('meta')
+            const isLoading = read('isLoading')
+            const error = read('error')
+
+            if (!groups.length && !isLoading) {
+                return h('p', { class: 'bulk-action-failures-empty' }, error ? error.message : props.emptyText)
+            }
+
+            const filter = (value, label, count) => h('button', {
+                type: 'button',
+                'aria-pressed': String(type === value),
+                onClick: () => quietly(failures.setType(value)),
+            }, `${label} (${count})`)
+
+            return h('section', { class: 'bulk-action-failures', 'aria-busy': String(isLoading) }, [
+                h('div', { class: 'bulk-action-failures-groups' }, [
+                    filter(null, 'All', read('total')),
+                    ...groups.map(group => filter(group.type, group.type, group.count)),
+                ]),
+
+                h('ul', { class: 'bulk-action-failures-list' }, read('items').map(item => h('li', { key: item.id, class: 'bulk-action-failures-item' }, [
+                    h('strong', `#${item.id}`),
+                    ` ${item.type}`,
+                    item.message ? h('p', item.message) : null,
+                ]))),
+
+                meta && meta.last_page > 1
+                    ? h('nav', { class: 'bulk-action-failures-pages' }, [
+                        h('button', { type: 'button', disabled: !read('hasPreviousPage'), onClick: () => quietly(failures.previousPage()) }, 'Previous'),
+                        ` Page ${meta.current_page} of ${meta.last_page} `,
+                        h('button', { type: 'button', disabled: !read('hasNextPage'), onClick: () => quietly(failures.nextPage()) }, 'Next'),
+                    ])
+                    : null,
+
+                h('button', {
+                    type: 'button',
+                    class: 'bulk-action-failures-retry',
+                    disabled: read('isRetrying'),
+                    onClick: () => quietly(failures.retryFailed()),
+                }, props.retryText),
+
+                error
+                    ? h('p', { class: 'bulk-action-failures-error', role: 'alert' }, error.message)
+                    : null,
+            ])
+        }
+    },
+})
+
+export default BulkActionFailureReport
@@ -0,0 +1,12 @@
+import type { DefineComponent, PropType } from 'vue'
+import type { UseMonitoringResult } from '../composables/useMonitoring.js'
+
+export declare const BulkActionHealthBadge: DefineComponent<{
+    monitoring: { type: PropType<UseMonitoringResult>; required: true }
+    healthyText: { type: StringConstructor; default: string }
+    degradedText: { type: StringConstructor; default: string }
+    unhealthyText: { type: StringConstructor; default: string }
+    loadingText: { type: StringConstructor; default: string }
+}>
+
+export default BulkActionHealthBadge
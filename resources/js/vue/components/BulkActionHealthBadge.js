@@ -0,0 +1,55 @@
+/**
+ * Vue 3 health badge of the monitoring dashboard
+ *
+ * Usage:
+ * import BulkActionHealthBadge from '@/vendor/action-engine/components/BulkActionHealthBadge'
+ *
+ * const monitoring = useMonitoring()
+ *
+ * <BulkActionHealthBadge :monitoring="monitoring" />
+ *
+ * "Healthy", "Degraded" or "Unhealthy", with the checks that did not pass
+ * in its tooltip. Unstyled apart from `bulk-action-health*` class names,
+ * the status being one of them (e.g. `bulk-action-health-degraded`).
+ * Written as a render function so it works without the SFC compiler.
+ */
+
+import { defineComponent, h, unref } from 'vue'
+import { failingChecks } from '../../core/index.js'
+
+export const BulkActionHealthBadge = defineComponent({
+    name: 'BulkActionHealthBadge',
+
+    props: {
+        monitoring: { type: Object, required: true },
+        healthyText: { type: String, default: 'Healthy' },
+        degradedText: { type: String, default: 'Degraded' },
+        unhealthyText: { type: String, default: 'Unhealthy' },
+        loadingText: { type: String, default: 'Checking…' },
+    },
+
+    setup(props) {
+        // The composable's state is a set of refs
+        const read = key => unref(props.monitoring[key])
+
+        return () => {
+            const health = read('health')
+            const error = read('error')
+
+            if (!health) {
+                return h('span', { class: 'bulk-action-health bulk-action-health-unknown', role: 'status' }, error ? error.message : props.loadingText)
+            }
+
+            const text = { healthy: props.healthyText, degraded: props.degradedText, unhealthy: props.unhealthyText }[health.status] || health.status
+            const failing = failingChecks(health)
+
+            return h('span', {
+                class: ['bulk-action-health', `bulk-action-health-${health.status}`, { 'bulk-action-health-stale': read('connectionLost') }],
+                role: 'status',
+                title: failing.map(check => check.message).join('\n') || undefined,
+            }, text)
+        }
+    },
+})
+
+export default BulkActionHealthBadge
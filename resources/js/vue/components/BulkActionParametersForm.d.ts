@@ -0,0 +1,12 @@
+import type { DefineComponent, PropType } from 'vue'
+import type { ActionEngineError, ErrorBag, ParameterField } from '../../core/index.js'
+
+export declare const BulkActionParametersForm: DefineComponent<{
+    fields: { type: PropType<ParameterField[]>; default: () => ParameterField[] }
+    modelValue: { type: PropType<Record<string, unknown>>; default: () => Record<string, unknown> }
+    errors: { type: PropType<ErrorBag | ActionEngineError | null>; default: () => ErrorBag }
+    disabled: { type: BooleanConstructor; default: boolean }
+    idPrefix: { type: StringConstructor; default: string }
+}>
+
+export default BulkActionParametersForm
@@ -0,0 +1,120 @@
+/**
+ * Vue 3 form fields for an action's declared parameters
+ *
+ * Usage:
+ * import BulkActionParametersForm from '@/vendor/action-engine/components/BulkActionParametersForm'
+ *
+ * const { fieldsOf, defaultsOf, validate } = useAvailableActions()
+ * const parameters = ref(defaultsOf('export'))
+ *
+ * <BulkActionParametersForm
+ *   v-model="parameters"
+ *   :fields="fieldsOf('export')"
+ *   :errors="validate(payload).errors"
+ * />
+ *
+ * `update:modelValue` receives the complete, typed values. `errors` also
+ * accepts the `error` of a failed execute(), so server-side validation
+ * messages show up under their fields. Written as a render function so it
+ * works without the SFC compiler.
+ */
+
+import { defineComponent, h, ref } from 'vue'
+import { coerceValue, fieldError, formatValue, inputText, inputType } from '../../core/index.js'
+
+export const BulkActionParametersForm = defineComponent({
+    name: 'BulkActionParametersForm',
+
+    props: {
+        fields: { type: Array, default: () => [] },
+        modelValue: { type: Object, default: () => ({}) },
+        errors: { type: Object, default: () => ({}) },
+        disabled: { type: Boolean, default: false },
+        idPrefix: { type: String, default: 'bulk-action-parameter' },
+    },
+
+    emits: ['update:modelValue'],
+
+    setup(props, { emit }) {
+        // Raw text of inputs whose typed value cannot round-trip while typing
+        const drafts = ref({})
+
+        const update = (field, raw) => {
+            drafts.value = { ...drafts.value, [field.name]: raw }
+            emit('update:modelValue', { ...props.modelValue, [field.name]: coerceValue(field, raw) })
+        }
+
+        const renderControl = (field, id) => {
+            const value = props.modelValue[field.name]
+            const common = {
+                id,
+                name: field.name,
+                disabled: props.disabled,
+                required: field.required,
+                'aria-invalid': Boolean(fieldError(props.errors, field.name)),
+            }
+
+            if (field.type === 'boolean') {
+                return h('input', {
+                    ...common,
+                    type: 'checkbox',
+                    checked: Boolean(value),
+                    onChange: event => update(field, event.target.checked),
+                })
+            }
+
+            if (field.type === 'select') {
+                return h('select', {
+                    ...common,
+                    value: formatValue(field, value),
+                    onChange: event => update(field, event.target.value),
+                }, [
+                    !field.required || value == null
+                        ? h('option', { value: '' }, field.placeholder || '')
+                        : null,
+                    ...(field.options || []).map(option => h('option', {
+                        key: String(option.value),
+                        value: String(option.value),
+                    }, option.label)),
+                ])
+            }
+
+            const text = inputText(field, value, drafts.value[field.name])
+
+            if (field.type === 'text' || field.type === 'object') {
+                return h('textarea', {
+                    ...common,
+                    value: text,
+                    placeholder: field.placeholder || undefined,
+                    rows: field.type === 'object' ? 4 : 3,
+                    onInput: event => update(field, event.target.value),
+                })
+            }
+
+            return h('input', {
+                ...common,
+                type: inputType(field),
+                value: text,
+                min: field.min ?? undefined,
+                max: field.max ?? undefined,
+                step: field.type === 'number' ? 'any' : undefined,
+                placeholder: field.placeholder || undefined,
+                onInput: event => update(field, event.target.value),
+            })
+        }
+
+        return () => h('div', { class: 'bulk-action-parameters' }, props.fields.map((field) => {
+            const id = `${props.idPrefix}-${field.name}`
+            const error = fieldError(props.errors, field.name)
+
+            return h('div', { key: field.name, class: 'bulk-action-field' }, [
+                h('label', { for: id }, field.label),
+                h('div', renderControl(field, id)),
+                field.description ? h('p', { class: 'bulk-action-field-description' }, field.description) : null,
+                error ? h('p', { class: 'bulk-action-field-error', role: 'alert' }, error) : null,
+            ])
+        }))
+    },
+})
+
+export default BulkActionParametersForm
@@ -0,0 +1,10 @@
+import type { DefineComponent, PropType } from 'vue'
+import type { UseChangePreviewResult } from '../composables/useChangePreview.js'
+
+export declare const BulkActionPreviewTable: DefineComponent<{
+    preview: { type: PropType<UseChangePreviewResult>; required: true }
+    runText: { type: StringConstructor; default: string }
+    emptyText: { type: StringConstructor; default: string }
+}>
+
+export default BulkActionPreviewTable
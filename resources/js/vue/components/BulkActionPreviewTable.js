@@ -0,0 +1,102 @@
+/**
+ * Vue 3 before/after table of a Bulk Action preview
+ *
+ * Usage:
+ * import BulkActionPreviewTable from '@/vendor/action-engine/components/BulkActionPreviewTable'
+ *
+ * const preview = useChangePreview(bulkAction)
+ *
+ * <BulkActionPreviewTable :preview="preview" />
+ *
+ * The number of affected records, then one row per record and one column
+ * per attribute. Changed cells show the value before and after the action
+ * (`<del>` / `<ins>`), changed columns are marked in the header and records
+ * the action would delete are marked as a whole. Previous / Next page
+ * through the records and "Run action" executes the previewed payload.
+ * Unstyled apart from `bulk-action-preview*` class names.
+ * Written as a render function so it works without the SFC compiler.
+ */
+
+import { defineComponent, h, unref } from 'vue'
+import { isColumnChanged } from '../../core/index.js'
+
+// Failures show up through `error`
+const quietly = promise => promise?.catch(() => {})
+
+const format = value => (value === null || value === undefined
+    ? '—'
+    : typeof value === 'object' ? JSON.stringify(value) : String(value))
+
+export const BulkActionPreviewTable = defineComponent({
+    name: 'BulkActionPreviewTable',
+
+    props: {
+        preview: { type: Object, required: true },
+        runText: { type: String, default: 'Run action' },
+        emptyText: { type: String, default: 'No records match.' },
+    },
+
+    setup(props) {
+        // The composable's state is a set of refs
+        const read = key => unref(props.preview[key])
+
+        const cell = (row, column) => (!row.deleted && isColumnChanged(row, column)
+            ? h('td', { class: 'bulk-action-preview-changed' }, [
+                h('del', format(row.before[column])),
+                ' ',
+                h('ins', format(row.after?.[column])),
+            ])
+            : h('td', format(row.before[column])))
+
+        return () => {
+            const preview = props.preview
+            const rows = read('rows')
+            const columns = read('columns')
+            const changedColumns = read('changedColumns')
+            const meta = read('meta')
+            const isLoading = read('isLoading')
+            const error = read('error')
+
+            if (!rows.length && !isLoading) {
+                return h('p', { class: 'bulk-action-preview-empty' }, error ? error.message : props.emptyText)
+            }
+
+            return h('section', { class: 'bulk-action-preview', 'aria-busy': String(isLoading) }, [
+                h('p', { class: 'bulk-action-preview-total' }, `${read('total')} records will be affected.`),
+
+                h('table', { class: 'bulk-action-preview-table' }, [
+                    h('thead', h('tr', columns.map(column => h('th', {
+                        key: column,
+                        scope: 'col',
+                        class: { 'bulk-action-preview-changed': changedColumns.includes(column) },
+                    }, column)))),
+                    h('tbody', rows.map(row => h('tr', {
+                        key: row.id,
+                        class: { 'bulk-action-preview-deleted': row.deleted },
+                    }, columns.map(column => cell(row, column))))),
+                ]),
+
+                meta && meta.last_page > 1
+                    ? h('nav', { class: 'bulk-action-preview-pages' }, [
+                        h('button', { type: 'button', disabled: !read('hasPreviousPage'), onClick: () => quietly(preview.previousPage()) }, 'Previous'),
+                        ` Page ${meta.current_page} of ${meta.last_page} `,
+                        h('button', { type: 'button', disabled: !read('hasNextPage'), onClick: () => quietly(preview.nextPage()) }, 'Next'),
+                    ])
+                    : null,
+
+                h('button', {
+                    type: 'button',
+                    class: 'bulk-action-preview-run',
+                    disabled: read('isExecuting') || isLoading,
+                    onClick: () => quietly(preview.execute()),
+                }, props.runText),
+
+                error
+                    ? h('p', { class: 'bulk-action-preview-error', role: 'alert' }, error.message)
+                    : null,
+            ])
+        }
+    },
+})
+
+export default BulkActionPreviewTable
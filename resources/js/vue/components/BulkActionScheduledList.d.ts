@@ -0,0 +1,9 @@
+import type { DefineComponent, PropType } from 'vue'
+import type { UseScheduledActionsResult } from '../composables/useScheduledActions.js'
+
+export declare const BulkActionScheduledList: DefineComponent<{
+    scheduledActions: { type: PropType<UseScheduledActionsResult>; required: true }
+    emptyText: { type: StringConstructor; default: string }
+}>
+
+export default BulkActionScheduledList
@@ -0,0 +1,88 @@
+/**
+ * Vue 3 list of scheduled Bulk Actions
+ *
+ * Usage:
+ * import BulkActionScheduledList from '@/vendor/action-engine/components/BulkActionScheduledList'
+ *
+ * const scheduledActions = useScheduledActions({ handOffTo: useBulkActions() })
+ *
+ * <BulkActionScheduledList :scheduled-actions="scheduledActions" />
+ *
+ * One row per scheduled action: its start time in its own timezone, a
+ * countdown, a date-time input to reschedule it (read in the action's
+ * timezone) and a Cancel button. Unstyled apart from
+ * `bulk-action-scheduled*` class names.
+ * Written as a render function so it works without the SFC compiler.
+ */
+
+import { defineComponent, h, unref } from 'vue'
+import { fieldError, formatCountdown, formatScheduledFor, toLocalDateTime } from '../../core/index.js'
+
+// Failures show up on the row through `errors[uuid]`
+const quietly = promise => promise?.catch(() => {})
+
+export const BulkActionScheduledList = defineComponent({
+    name: 'BulkActionScheduledList',
+
+    props: {
+        scheduledActions: { type: Object, required: true },
+        emptyText: { type: String, default: 'No scheduled actions.' },
+    },
+
+    setup(props) {
+        // The composable's state is a set of refs
+        const read = key => unref(props.scheduledActions[key])
+
+        return () => {
+            const scheduledActions = props.scheduledActions
+            const items = read('items')
+            const loading = read('loading')
+            const errors = read('errors')
+
+            if (!items.length) {
+                return h('p', { class: 'bulk-action-scheduled-empty' }, props.emptyText)
+            }
+
+            return h('ul', { class: 'bulk-action-scheduled' }, items.map((item) => {
+                const zone = item.scheduled_timezone || undefined
+                const error = errors[item.uuid]
+
+                const onSubmit = (event) => {
+                    event.preventDefault()
+                    quietly(scheduledActions.reschedule(item.uuid, event.target.elements.scheduled_for.value, item.scheduled_timezone))
+                }
+
+                return h('li', { key: item.uuid, class: 'bulk-action-scheduled-item', 'aria-busy': String(Boolean(loading[item.uuid])) }, [
+                    h('p', `"${item.action_name}" on ${item.total_records} records`),
+                    h('p', [
+                        h('time', { datetime: item.scheduled_for }, formatScheduledFor(item)),
+                        ` (starts in ${formatCountdown(scheduledActions.remainingOf(item.uuid))})`,
+                    ]),
+
+                    h('form', { class: 'bulk-action-scheduled-reschedule', onSubmit }, [
+                        h('input', {
+                            type: 'datetime-local',
+                            name: 'scheduled_for',
+                            required: true,
+                            'aria-label': 'New start time',
+                            value: toLocalDateTime(item.scheduled_for, zone),
+                        }),
+                        h('button', { type: 'submit', disabled: loading[item.uuid] }, 'Reschedule'),
+                    ]),
+
+                    h('button', {
+                        type: 'button',
+                        disabled: loading[item.uuid],
+                        onClick: () => quietly(scheduledActions.cancel(item.uuid)),
+                    }, 'Cancel'),
+
+                    error
+                        ? h('p', { class: 'bulk-action-scheduled-error', role: 'alert' }, fieldError(error, 'scheduled_for') || error.message)
+                        : null,
+                ])
+            }))
+        }
+    },
+})
+
+export default BulkActionScheduledList
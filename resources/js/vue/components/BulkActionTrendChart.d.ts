@@ -0,0 +1,15 @@
+import type { DefineComponent, PropType } from 'vue'
+import type { TrendMetric } from '../../core/index.js'
+import type { UseMonitoringResult } from '../composables/useMonitoring.js'
+
+export declare const BulkActionTrendChart: DefineComponent<{
+    monitoring: { type: PropType<UseMonitoringResult>; required: true }
+    metric: { type: PropType<TrendMetric>; default: TrendMetric }
+    type: { type: PropType<'line' | 'bar'>; default: 'line' | 'bar' }
+    width: { type: NumberConstructor; default: number }
+    height: { type: NumberConstructor; default: number }
+    title: { type: StringConstructor; default: undefined }
+    emptyText: { type: StringConstructor; default: string }
+}>
+
+export default BulkActionTrendChart
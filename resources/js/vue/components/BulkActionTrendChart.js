@@ -0,0 +1,93 @@
+/**
+ * Vue 3 chart of the monitoring dashboard's daily trends
+ *
+ * Usage:
+ * import BulkActionTrendChart from '@/vendor/action-engine/components/BulkActionTrendChart'
+ *
+ * const monitoring = useMonitoring({ range: { days: 30 } })
+ *
+ * <BulkActionTrendChart :monitoring="monitoring" metric="throughput" type="bar" />
+ * <BulkActionTrendChart :monitoring="monitoring" metric="failure_rate" />
+ *
+ * One point (or bar) per day for a TREND_METRICS name: `throughput`
+ * (records processed), `actions`, `failure_rate` or `duration`. Drawn as
+ * SVG, without a chart library, each point titled with its date and value.
+ * Unstyled apart from `bulk-action-trend*` class names; the line, area and
+ * bars take their color from `currentColor`.
+ * Written as a render function so it works without the SFC compiler.
+ */
+
+import { defineComponent, h, unref } from 'vue'
+import { TREND_METRICS, chartGeometry, formatMetric } from '../../core/index.js'
+
+export const BulkActionTrendChart = defineComponent({
+    name: 'BulkActionTrendChart',
+
+    props: {
+        monitoring: { type: Object, required: true },
+        metric: { type: String, default: 'throughput' },
+        type: { type: String, default: 'line' },
+        width: { type: Number, default: 300 },
+        height: { type: Number, default: 100 },
+        title: { type: String, default: undefined },
+        emptyText: { type: String, default: 'No finished actions in this range.' },
+    },
+
+    setup(props) {
+        // The composable's state is a set of refs
+        const read = key => unref(props.monitoring[key])
+
+        return () => {
+            const { metric, width, height } = props
+            const { label, max } = TREND_METRICS[metric] || TREND_METRICS.throughput
+            const series = props.monitoring.series(metric)
+            const caption = props.title ?? label
+            const error = read('error')
+
+            if (!series.length) {
+                return h('figure', { class: 'bulk-action-trend bulk-action-trend-empty' }, [
+                    h('figcaption', caption),
+                    h('p', error ? error.message : props.emptyText),
+                ])
+            }
+
+            const chart = chartGeometry(series, { width, height, max })
+            const describe = point => `${point.date}: ${formatMetric(point.value, metric)}`
+
+            const marks = props.type === 'bar'
+                ? chart.bars.map(bar => h('rect', {
+                    key: bar.date,
+                    class: 'bulk-action-trend-bar',
+                    x: bar.x,
+                    y: bar.y,
+                    width: bar.width,
+                    height: bar.height,
+                    fill: 'currentColor',
+                }, [h('title', describe(bar))]))
+                : [
+                    h('path', { class: 'bulk-action-trend-area', d: chart.area, fill: 'currentColor', 'fill-opacity': 0.15 }),
+                    h('path', { class: 'bulk-action-trend-line', d: chart.line, fill: 'none', stroke: 'currentColor', 'stroke-width': 2 }),
+                    ...chart.points.map(point => h('circle', {
+                        key: point.date,
+                        class: 'bulk-action-trend-point',
+                        cx: point.x,
+                        cy: point.y,
+                        r: 3,
+                        fill: 'currentColor',
+                    }, [h('title', describe(point))])),
+                ]
+
+            return h('figure', { class: ['bulk-action-trend', `bulk-action-trend-${metric}`], 'aria-busy': String(read('isLoading')) }, [
+                h('figcaption', caption),
+                h('svg', {
+                    class: 'bulk-action-trend-chart',
+                    viewBox: `0 0 ${width} ${height}`,
+                    role: 'img',
+                    'aria-label': `${caption}, ${series[0].date} to ${series[series.length - 1].date}`,
+                }, marks),
+            ])
+        }
+    },
+})
+
+export default BulkActionTrendChart
@@ -0,0 +1,8 @@
+import type { DefineComponent, PropType } from 'vue'
+import type { UseUndoQueueResult } from '../composables/useUndoQueue.js'
+
+export declare const BulkActionUndoToast: DefineComponent<{
+    undoQueue: { type: PropType<UseUndoQueueResult>; required: true }
+}>
+
+export default BulkActionUndoToast
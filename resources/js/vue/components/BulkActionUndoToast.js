@@ -0,0 +1,75 @@
+/**
+ * Vue 3 undo toasts for recent Bulk Actions
+ *
+ * Usage:
+ * import BulkActionUndoToast from '@/vendor/action-engine/components/BulkActionUndoToast'
+ *
+ * const undoQueue = useUndoQueue()
+ *
+ * <BulkActionUndoToast :undo-queue="undoQueue" />
+ *
+ * One toast per queued execution, with an "Undo" button counting down to
+ * the end of its undo window. Once undone, the toast shows the restored
+ * record count and a "Redo" button until it times out. Unstyled apart from
+ * `bulk-action-undo*` class names and `data-status`.
+ * Written as a render function so it works without the SFC compiler.
+ */
+
+import { defineComponent, h, unref } from 'vue'
+import { formatCountdown } from '../../core/index.js'
+
+// Failures show up on the toast through `item.error`
+const quietly = promise => promise?.catch(() => {})
+
+export const BulkActionUndoToast = defineComponent({
+    name: 'BulkActionUndoToast',
+
+    props: {
+        undoQueue: { type: Object, required: true },
+    },
+
+    setup(props) {
+        return () => {
+            const undoQueue = props.undoQueue
+            const items = unref(undoQueue.items)
+
+            if (!items.length) {
+                return null
+            }
+
+            return h('div', { class: 'bulk-action-undo', role: 'region', 'aria-live': 'polite', 'aria-label': 'Undo' },
+                items.map(item => h('div', { key: item.uuid, class: 'bulk-action-undo-toast', 'data-status': item.status }, [
+                    ...(item.status === 'undone' || item.status === 'redoing'
+                        ? [
+                            h('p', `Restored ${item.restoredCount} records.`),
+                            h('button', {
+                                type: 'button',
+                                disabled: item.status === 'redoing',
+                                onClick: () => quietly(undoQueue.redo(item.uuid)),
+                            }, 'Redo'),
+                        ]
+                        : [
+                            h('p', `"${item.execution.action_name}" affected ${item.undoableCount ?? item.execution.total_records} records.`),
+                            h('button', {
+                                type: 'button',
+                                disabled: item.status === 'undoing',
+                                onClick: () => quietly(undoQueue.undo(item.uuid)),
+                            }, item.remaining === null ? 'Undo' : `Undo (${formatCountdown(item.remaining)})`),
+                        ]),
+
+                    item.error
+                        ? h('p', { class: 'bulk-action-undo-error', role: 'alert' }, item.error.message)
+                        : null,
+
+                    h('button', {
+                        type: 'button',
+                        class: 'bulk-action-undo-dismiss',
+                        'aria-label': 'Dismiss',
+                        onClick: () => undoQueue.dismiss(item.uuid),
+                    }, '×'),
+                ])))
+        }
+    },
+})
+
+export default BulkActionUndoToast
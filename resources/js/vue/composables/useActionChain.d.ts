@@ -0,0 +1,44 @@
+import type { ComputedRef, Ref } from 'vue'
+import type {
+    ActionChain,
+    ActionEngineError,
+    ActionName,
+    BindingOptionsInput,
+    BulkActionExecution,
+    ChainStepInput,
+    ChainTimeline,
+    ChainTimelineStep,
+    ChainUndoResult,
+    ExecutePayload,
+} from '../../core/index.js'
+
+export interface UseActionChainResult {
+    // State
+    uuid: Ref<string | null>
+    chain: Ref<ChainTimeline | null>
+    isLoading: Ref<boolean>
+    isCancelling: Ref<boolean>
+    isUndoing: Ref<boolean>
+    connectionLost: Ref<boolean>
+    error: Ref<ActionEngineError | null>
+    steps: ComputedRef<ChainTimelineStep[]>
+    /** The last step that started */
+    currentStep: ComputedRef<ChainTimelineStep | null>
+    isRunning: ComputedRef<boolean>
+    canUndo: ComputedRef<boolean>
+
+    // Actions
+    start<A extends ActionName>(payload: ExecutePayload<A>, steps?: ChainStepInput[]): Promise<ChainTimeline | null>
+    track(executionOrUuid: BulkActionExecution | string | null): Promise<ChainTimeline | null>
+    refresh(): Promise<ChainTimeline | null | undefined>
+    cancel(): Promise<ChainTimeline | null>
+    undo(): Promise<ChainUndoResult | null>
+    reset(): void
+
+    // Underlying chain, for advanced use
+    actionChain: ActionChain
+}
+
+export function useActionChain(options?: BindingOptionsInput): UseActionChainResult
+
+export default useActionChain
@@ -0,0 +1,85 @@
+/**
+ * Vue 3 Composable for running an action chain and following its timeline
+ *
+ * Usage:
+ * import { useActionChain } from '@/vendor/action-engine/composables/useActionChain'
+ * import BulkActionChainTimeline from '@/vendor/action-engine/components/BulkActionChainTimeline'
+ *
+ * const chain = useActionChain()
+ *
+ * <button @click="chain.start(
+ *     { action: 'archive', model: 'App\\Models\\Post', filters: { ids }, options: { with_undo: true } },
+ *     [{ action: 'update', parameters: { data: { featured: false } } }, 'export'],
+ * )">Archive and export</button>
+ * <BulkActionChainTimeline :chain="chain" />
+ *
+ * `start()` executes the first action with the later steps chained to it;
+ * `track()` follows the chain of an existing execution instead. `steps`
+ * each have their own `status` and `progress_percentage`. `cancel()` stops
+ * the running step and the ones after it, `undo()` undoes the completed
+ * steps, last one first. Accepts `{ apiPrefix, client, pollInterval, polling }`.
+ */
+
+import { ref, computed, onUnmounted } from 'vue'
+import { createActionChain, isChainRunning } from '../../core/index.js'
+
+export function useActionChain(options = {}) {
+    const actionChain = createActionChain(options)
+
+    const uuid = ref(null)
+    const chain = ref(null)
+    const isLoading = ref(false)
+    const isCancelling = ref(false)
+    const isUndoing = ref(false)
+    const connectionLost = ref(false)
+    const error = ref(null)
+
+    const unsubscribe = actionChain.subscribe((state) => {
+        uuid.value = state.uuid
+        chain.value = state.chain
+        isLoading.value = state.isLoading
+        isCancelling.value = state.isCancelling
+        isUndoing.value = state.isUndoing
+        connectionLost.value = state.connectionLost
+        error.value = state.error
+    })
+
+    const steps = computed(() => chain.value?.steps || [])
+    const currentStep = computed(() => steps.value.find(step => step.step === chain.value?.current_step) || null)
+    const isRunning = computed(() => isChainRunning(chain.value))
+    const canUndo = computed(() => !isRunning.value && steps.value.some(step => step.can_undo))
+
+    // Stop polling and cleanup on unmount
+    onUnmounted(() => {
+        unsubscribe()
+        actionChain.destroy()
+    })
+
+    return {
+        // State
+        uuid,
+        chain,
+        isLoading,
+        isCancelling,
+        isUndoing,
+        connectionLost,
+        error,
+        steps,
+        currentStep,
+        isRunning,
+        canUndo,
+
+        // Actions
+        start: (payload, stepsToChain) => actionChain.start(payload, stepsToChain),
+        track: (executionOrUuid) => actionChain.track(executionOrUuid),
+        refresh: () => actionChain.refresh(),
+        cancel: () => actionChain.cancel(),
+        undo: () => actionChain.undo(),
+        reset: () => actionChain.reset(),
+
+        // Underlying chain, for advanced use
+        actionChain,
+    }
+}
+
+export default useActionChain
@@ -0,0 +1,32 @@
+import type { ComputedRef, Ref } from 'vue'
+import type {
+    ActionEngineError,
+    ActionCatalog,
+    ActionMetadata,
+    ActionName,
+    BindingOptionsInput,
+    ExecutePayload,
+    ParameterField,
+    ParametersOf,
+    ValidationResult,
+} from '../../core/index.js'
+
+export interface UseAvailableActionsResult {
+    // State
+    actions: Ref<Record<string, ActionMetadata>>
+    list: ComputedRef<ActionMetadata[]>
+    isLoading: Ref<boolean>
+    error: Ref<ActionEngineError | null>
+
+    // Helpers
+    get(name: ActionName): ActionMetadata | null
+    fieldsOf(name: ActionName): ParameterField[]
+    defaultsOf<A extends ActionName>(name: A): Partial<ParametersOf<A>>
+    validate(payload: Partial<ExecutePayload>): ValidationResult
+    reload(): Promise<Record<string, ActionMetadata>>
+
+    // Underlying catalog, for advanced use
+    catalog: ActionCatalog
+}
+
+export function useAvailableActions(options?: BindingOptionsInput): UseAvailableActionsResult
@@ -0,0 +1,63 @@
+/**
+ * Vue 3 Composable for the registered Bulk Actions
+ *
+ * Usage:
+ * import { useAvailableActions } from '@/vendor/action-engine/composables/useAvailableActions'
+ *
+ * const { list, fieldsOf, defaultsOf, validate } = useAvailableActions()
+ *
+ * <option v-for="action in list" :key="action.name" :value="action.name">{{ action.label }}</option>
+ *
+ * const { valid, errors } = validate({ action: 'export', model: 'App\\Models\\Order', parameters })
+ *
+ * The metadata is loaded on mount (unless `immediate` is false) and cached
+ * per api prefix, so every component using the composable shares one
+ * request. Accepts an api prefix string or `{ apiPrefix, client, cacheTtl, immediate }`.
+ */
+
+import { ref, computed, onMounted, onUnmounted } from 'vue'
+import { createActionCatalog, defaultValues, parameterFields, resolveOptions, validatePayload } from '../../core/index.js'
+
+export function useAvailableActions(options = '/api/bulk-actions') {
+    const catalog = createActionCatalog(options)
+
+    const actions = ref(catalog.state.actions)
+    const isLoading = ref(false)
+    const error = ref(null)
+
+    const unsubscribe = catalog.subscribe((state) => {
+        actions.value = state.actions
+        isLoading.value = state.isLoading
+        error.value = state.error
+    })
+
+    const list = computed(() => Object.values(actions.value))
+
+    // Load (or reuse the cached) metadata on mount
+    onMounted(() => {
+        if (resolveOptions(options).immediate !== false) {
+            catalog.load()
+        }
+    })
+
+    // Cleanup on unmount
+    onUnmounted(() => unsubscribe())
+
+    return {
+        // State
+        actions,
+        list,
+        isLoading,
+        error,
+
+        // Helpers (read the ref so that computeds using them stay reactive)
+        get: (name) => actions.value[name] || null,
+        fieldsOf: (name) => parameterFields(actions.value[name]),
+        defaultsOf: (name) => defaultValues(parameterFields(actions.value[name])),
+        validate: (payload) => validatePayload(payload, actions.value),
+        reload: () => catalog.load({ force: true }),
+
+        // Underlying catalog, for advanced use
+        catalog,
+    }
+}
@@ -0,0 +1,43 @@
+import type { ComputedRef, Ref } from 'vue'
+import type {
+    ActionEngineError,
+    BindingOptionsInput,
+    BulkActionExecution,
+    ExecutionHistory,
+    ExecutionHistoryState,
+    PaginationMeta,
+} from '../../core/index.js'
+
+type Page = Promise<BulkActionExecution[] | undefined | void>
+
+export interface UseBulkActionHistoryResult {
+    // State
+    items: Ref<BulkActionExecution[]>
+    meta: Ref<PaginationMeta | null>
+    filters: Ref<ExecutionHistoryState['filters']>
+    page: Ref<number>
+    perPage: Ref<number | null>
+    includeFilters: Ref<boolean>
+    includeParameters: Ref<boolean>
+    isLoading: Ref<boolean>
+    error: Ref<ActionEngineError | null>
+    hasNextPage: ComputedRef<boolean>
+    hasPreviousPage: ComputedRef<boolean>
+
+    // Actions
+    load(page?: number): Page
+    refresh(): Page
+    goToPage(page: number): Page
+    nextPage(): Page
+    previousPage(): Page
+    setFilters(filters: Partial<ExecutionHistoryState['filters']>): Page
+    clearFilters(): Page
+    setPerPage(perPage: number): Page
+    setIncludes(includes: { filters?: boolean; parameters?: boolean }): Page
+    replace(execution: BulkActionExecution): void
+
+    // Underlying history, for advanced use
+    history: ExecutionHistory
+}
+
+export function useBulkActionHistory(options?: BindingOptionsInput): UseBulkActionHistoryResult
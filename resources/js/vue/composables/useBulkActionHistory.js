@@ -0,0 +1,92 @@
+/**
+ * Vue 3 Composable for browsing past Bulk Actions
+ *
+ * Usage:
+ * import { useBulkActionHistory } from '@/vendor/action-engine/composables/useBulkActionHistory'
+ * import { useBulkAction } from '@/vendor/action-engine/composables/useBulkAction'
+ *
+ * const { items, meta, setFilters, nextPage, previousPage } = useBulkActionHistory({ perPage: 20 })
+ * const { open, cancel, undo } = useBulkAction()
+ *
+ * await setFilters({ status: 'completed', action: 'archive' })
+ * await open(items.value[0]) // then cancel() or undo() it like a fresh execution
+ *
+ * Accepts an api prefix string or an options object (`{ apiPrefix, client,
+ * filters, perPage, includeFilters, includeParameters, immediate }`). The
+ * first page is loaded on mount unless `immediate` is false.
+ */
+
+import { ref, computed, onMounted, onUnmounted } from 'vue'
+import { createExecutionHistory, resolveOptions } from '../../core/index.js'
+
+export function useBulkActionHistory(options = '/api/bulk-actions') {
+    const history = createExecutionHistory(options)
+
+    const items = ref([])
+    const meta = ref(null)
+    const filters = ref(history.state.filters)
+    const page = ref(1)
+    const perPage = ref(history.state.perPage)
+    const includeFilters = ref(history.state.includeFilters)
+    const includeParameters = ref(history.state.includeParameters)
+    const isLoading = ref(false)
+    const error = ref(null)
+
+    const unsubscribe = history.subscribe((state) => {
+        items.value = state.items
+        meta.value = state.meta
+        filters.value = state.filters
+        page.value = state.page
+        perPage.value = state.perPage
+        includeFilters.value = state.includeFilters
+        includeParameters.value = state.includeParameters
+        isLoading.value = state.isLoading
+        error.value = state.error
+    })
+
+    const hasNextPage = computed(() => Boolean(meta.value) && meta.value.current_page < meta.value.last_page)
+    const hasPreviousPage = computed(() => page.value > 1)
+
+    // Load the first page on mount
+    onMounted(() => {
+        if (resolveOptions(options).immediate !== false) {
+            history.load()
+        }
+    })
+
+    // Cleanup on unmount
+    onUnmounted(() => {
+        unsubscribe()
+        history.reset()
+    })
+
+    return {
+        // State
+        items,
+        meta,
+        filters,
+        page,
+        perPage,
+        includeFilters,
+        includeParameters,
+        isLoading,
+        error,
+        hasNextPage,
+        hasPreviousPage,
+
+        // Actions
+        load: (pageNumber) => history.load(pageNumber),
+        refresh: () => history.refresh(),
+        goToPage: (pageNumber) => history.goToPage(pageNumber),
+        nextPage: () => history.nextPage(),
+        previousPage: () => history.previousPage(),
+        setFilters: (newFilters) => history.setFilters(newFilters),
+        clearFilters: () => history.clearFilters(),
+        setPerPage: (size) => history.setPerPage(size),
+        setIncludes: (includes) => history.setIncludes(includes),
+        replace: (execution) => history.replace(execution),
+
+        // Underlying history, for advanced use
+        history,
+    }
+}
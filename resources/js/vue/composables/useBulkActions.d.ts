@@ -0,0 +1,52 @@
+import type { ComputedRef, Ref } from 'vue'
+import type {
+    ActionEngineError,
+    ActionName,
+    BindingOptionsInput,
+    BulkActionBuilder,
+    BulkActionExecution,
+    ExecutePayload,
+    ExecutionManager,
+    Progress,
+    RetryFailedPayload,
+    RunOptions,
+    UndoResult,
+} from '../../core/index.js'
+
+export interface UseBulkActionsResult {
+    // State
+    executions: Ref<Record<string, BulkActionExecution>>
+    list: ComputedRef<BulkActionExecution[]>
+    activeUuids: ComputedRef<string[]>
+    loading: Ref<Record<string, boolean>>
+    errors: Ref<Record<string, ActionEngineError | null>>
+    isLoading: Ref<boolean>
+    error: Ref<ActionEngineError | null>
+    isRealtime: Ref<boolean>
+    /** Polls keep failing */
+    connectionLost: Ref<boolean>
+
+    // Per-execution helpers
+    progressOf(uuid: string): Progress
+    isInProgress(uuid: string): boolean
+    isComplete(uuid: string): boolean
+
+    // Actions
+    execute<A extends ActionName>(payload: ExecutePayload<A>, options?: RunOptions): Promise<BulkActionExecution>
+    track(executionOrUuid: BulkActionExecution | string): Promise<BulkActionExecution | null>
+    cancel(uuid: string): Promise<BulkActionExecution | undefined>
+    reschedule(uuid: string, scheduledFor: Date | string, timezone?: string | null): Promise<BulkActionExecution | undefined>
+    retryFailed(uuid: string, payload?: RetryFailedPayload): Promise<BulkActionExecution>
+    undo(uuid: string): Promise<UndoResult | undefined>
+    remove(uuid: string): void
+    clearFinished(): void
+    fetchProgress(): Promise<void>
+    reset(): void
+    restore(): Promise<BulkActionExecution[]>
+    bulk(model: string): BulkActionBuilder
+
+    // Underlying manager, for advanced use
+    manager: ExecutionManager
+}
+
+export function useBulkActions(options?: BindingOptionsInput): UseBulkActionsResult
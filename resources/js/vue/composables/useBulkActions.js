@@ -0,0 +1,96 @@
+/**
+ * Vue 3 Composable for tracking several Bulk Actions at once
+ *
+ * Usage:
+ * import { useBulkActions } from '@/vendor/action-engine/composables/useBulkActions'
+ *
+ * const { execute, executions, progressOf, cancel, undo } = useBulkActions()
+ *
+ * const archive = await execute({ action: 'archive', model: 'App\\Models\\Post', filters: { ids: postIds } })
+ * const exported = await execute({ action: 'export', model: 'App\\Models\\Order', filters: { ids: orderIds } })
+ *
+ * progressOf(archive.uuid).percentage
+ * await cancel(exported.uuid)
+ *
+ * Active executions are refreshed together through the batch progress
+ * endpoint, or over Laravel Echo when available. Accepts the same options
+ * as useBulkAction.
+ */
+
+import { ref, computed, onMounted, onUnmounted } from 'vue'
+import { bulk as createBuilder, createExecutionManager, isComplete, isInProgress, shouldRestore, toProgress } from '../../core/index.js'
+
+export function useBulkActions(options = '/api/bulk-actions') {
+    const manager = createExecutionManager(options)
+
+    const executions = ref({})
+    const loading = ref({})
+    const errors = ref({})
+    const isLoading = ref(false)
+    const error = ref(null)
+    const isRealtime = ref(false)
+    const connectionLost = ref(false)
+
+    const unsubscribe = manager.subscribe((state) => {
+        executions.value = state.executions
+        loading.value = state.loading
+        errors.value = state.errors
+        isLoading.value = state.isLoading
+        error.value = state.error
+        isRealtime.value = state.isRealtime
+        connectionLost.value = state.connectionLost
+    })
+
+    const list = computed(() => Object.values(executions.value))
+    const activeUuids = computed(() => {
+        return Object.keys(executions.value).filter(uuid => isInProgress(executions.value[uuid]))
+    })
+
+    // Reattach to persisted executions on mount
+    onMounted(() => {
+        if (shouldRestore(options)) {
+            manager.restore()
+        }
+    })
+
+    // Cleanup on unmount
+    onUnmounted(() => {
+        unsubscribe()
+        manager.destroy()
+    })
+
+    return {
+        // State
+        executions,
+        list,
+        activeUuids,
+        loading,
+        errors,
+        isLoading,
+        error,
+        isRealtime,
+        connectionLost,
+
+        // Per-execution helpers
+        progressOf: (uuid) => toProgress(executions.value[uuid]),
+        isInProgress: (uuid) => isInProgress(executions.value[uuid]),
+        isComplete: (uuid) => isComplete(executions.value[uuid]),
+
+        // Actions
+        execute: (payload, executeOptions) => manager.execute(payload, executeOptions),
+        track: (executionOrUuid) => manager.track(executionOrUuid),
+        cancel: (uuid) => manager.cancel(uuid),
+        reschedule: (uuid, scheduledFor, timezone) => manager.reschedule(uuid, scheduledFor, timezone),
+        retryFailed: (uuid, payload) => manager.retryFailed(uuid, payload),
+        undo: (uuid) => manager.undo(uuid),
+        remove: (uuid) => manager.remove(uuid),
+        clearFinished: () => manager.clearFinished(),
+        fetchProgress: () => manager.fetchProgress(),
+        reset: () => manager.reset(),
+        restore: () => manager.restore(),
+        bulk: (model) => createBuilder(model, manager),
+
+        // Underlying manager, for advanced use
+        manager,
+    }
+}
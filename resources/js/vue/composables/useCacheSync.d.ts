@@ -0,0 +1,29 @@
+import type { Ref } from 'vue'
+import type {
+    CacheAdapter,
+    CacheSync,
+    CacheSyncOptions,
+    CacheTarget,
+    UndoSource,
+} from '../../core/index.js'
+
+export interface UseCacheSyncOptions extends CacheSyncOptions {
+    /** A CacheSync to use instead of a new one */
+    sync?: CacheSync
+}
+
+export interface UseCacheSyncResult {
+    // State
+    pending: Ref<Record<string, CacheTarget>>
+
+    // Actions
+    isPending(row: Record<string, any>, model?: string | null): boolean
+    invalidate(uuidOrModel: string): Promise<void>
+
+    // Underlying CacheSync, for advanced use
+    sync: CacheSync
+}
+
+export function useCacheSync(target: UndoSource | null, adapter: CacheAdapter, options?: UseCacheSyncOptions): UseCacheSyncResult
+
+export default useCacheSync
@@ -0,0 +1,62 @@
+/**
+ * Vue 3 Composable keeping a data cache in line with bulk actions
+ *
+ * Usage:
+ * import { useQueryClient } from '@tanstack/vue-query'
+ * import { tanstackQueryAdapter, piniaAdapter } from '@/vendor/core'
+ * import { useCacheSync } from '@/vendor/action-engine/composables/useCacheSync'
+ *
+ * const bulkAction = useBulkAction()
+ * const { isPending } = useCacheSync(bulkAction, tanstackQueryAdapter(useQueryClient()), {
+ *     keys: { 'App\\Models\\Post': [['posts']] },
+ * })
+ *
+ * // Or a Pinia store holding the rows in `posts`, reloaded by its `fetchPosts` action
+ * useCacheSync(bulkAction, piniaAdapter(usePostStore(), { refresh: 'fetchPosts' }), {
+ *     keys: { 'App\\Models\\Post': ['posts'] },
+ * })
+ *
+ * Rows targeted by a running delete are hidden from the cached lists and
+ * those of an archive marked (`row._bulkAction`), until the action fails,
+ * is cancelled or undone; the keys are refetched once it finished or was
+ * undone. `target` is watched until the component is unmounted. Options:
+ * `{ keys, optimistic, rowKey, markField, mapRows, sync }`, see CacheSync.
+ */
+
+import { ref, onUnmounted } from 'vue'
+import { CacheSync } from '../../core/index.js'
+
+export function useCacheSync(target, adapter, options = {}) {
+    const sync = options.sync || new CacheSync(adapter, options)
+
+    const pending = ref(sync.state.pending)
+
+    const cleanups = [
+        sync.subscribe((state) => {
+            pending.value = state.pending
+        }),
+    ]
+
+    if (target) {
+        cleanups.push(sync.watch(target))
+    }
+
+    onUnmounted(() => {
+        cleanups.forEach(cleanup => cleanup())
+    })
+
+    return {
+        // State
+        pending,
+
+        // Actions
+        // Reads `pending` so that templates update with it
+        isPending: (row, model = null) => Boolean(pending.value) && sync.isPending(row, model),
+        invalidate: (uuidOrModel) => sync.invalidate(uuidOrModel),
+
+        // Underlying CacheSync, for advanced use
+        sync,
+    }
+}
+
+export default useCacheSync
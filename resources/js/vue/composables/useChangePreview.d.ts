@@ -0,0 +1,54 @@
+import type { ComputedRef, Ref } from 'vue'
+import type {
+    ActionEngineError,
+    ActionName,
+    BulkActionExecution,
+    ChangePreview,
+    ChangePreviewOptions,
+    ChangePreviewRow,
+    ExecutePayload,
+    ExecutionManager,
+    ExecutionStore,
+    PaginationMeta,
+    RunOptions,
+} from '../../core/index.js'
+
+export interface UseChangePreviewResult {
+    // State
+    payload: Ref<ExecutePayload | null>
+    rows: Ref<ChangePreviewRow[]>
+    columns: Ref<string[]>
+    changedColumns: Ref<string[]>
+    supportsDiff: Ref<boolean>
+    meta: Ref<PaginationMeta | null>
+    page: Ref<number>
+    perPage: Ref<number>
+    isLoading: Ref<boolean>
+    isExecuting: Ref<boolean>
+    error: Ref<ActionEngineError | null>
+    /** Records the action would run on */
+    total: ComputedRef<number>
+    hasNextPage: ComputedRef<boolean>
+    hasPreviousPage: ComputedRef<boolean>
+
+    // Actions
+    open<A extends ActionName>(payload: ExecutePayload<A> | null): Promise<ChangePreviewRow[] | undefined | void>
+    load(page?: number): Promise<ChangePreviewRow[] | undefined>
+    refresh(): Promise<ChangePreviewRow[] | undefined>
+    goToPage(page: number): Promise<ChangePreviewRow[] | undefined>
+    nextPage(): Promise<ChangePreviewRow[] | undefined | void>
+    previousPage(): Promise<ChangePreviewRow[] | undefined | void>
+    setPerPage(perPage: number): Promise<ChangePreviewRow[] | undefined>
+    execute(options?: RunOptions): Promise<BulkActionExecution | undefined>
+    reset(): void
+
+    // Underlying preview, for advanced use
+    preview: ChangePreview
+}
+
+export function useChangePreview(
+    target: ExecutionStore | ExecutionManager | { store: ExecutionStore } | { manager: ExecutionManager },
+    options?: ChangePreviewOptions,
+): UseChangePreviewResult
+
+export default useChangePreview
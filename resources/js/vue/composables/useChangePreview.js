@@ -0,0 +1,99 @@
+/**
+ * Vue 3 Composable for a before/after preview of a Bulk Action
+ *
+ * Usage:
+ * import { useBulkAction } from '@/vendor/action-engine/composables/useBulkAction'
+ * import { useChangePreview } from '@/vendor/action-engine/composables/useChangePreview'
+ * import BulkActionPreviewTable from '@/vendor/action-engine/components/BulkActionPreviewTable'
+ *
+ * const bulkAction = useBulkAction()
+ * const preview = useChangePreview(bulkAction, { perPage: 25 })
+ *
+ * <button @click="preview.open({ action: 'update', model: 'App\\Models\\User', filters, parameters: { data: { status: 'inactive' } } })">
+ *     Preview
+ * </button>
+ * <BulkActionPreviewTable :preview="preview" />
+ *
+ * Rows are `{ id, before, after, changed, deleted }`; `changedColumns` lists
+ * the attributes changed on the page and `total` the number of records the
+ * action would run on. `execute()` runs the previewed payload through the
+ * given useBulkAction / useBulkActions result, which tracks it.
+ * Accepts `{ perPage }`.
+ */
+
+import { ref, computed, onUnmounted } from 'vue'
+import { createChangePreview } from '../../core/index.js'
+
+export function useChangePreview(target, options = {}) {
+    const preview = createChangePreview(target, options)
+
+    const payload = ref(null)
+    const rows = ref([])
+    const columns = ref([])
+    const changedColumns = ref([])
+    const supportsDiff = ref(true)
+    const meta = ref(null)
+    const page = ref(1)
+    const perPage = ref(preview.state.perPage)
+    const isLoading = ref(false)
+    const isExecuting = ref(false)
+    const error = ref(null)
+
+    const unsubscribe = preview.subscribe((state) => {
+        payload.value = state.payload
+        rows.value = state.rows
+        columns.value = state.columns
+        changedColumns.value = state.changedColumns
+        supportsDiff.value = state.supportsDiff
+        meta.value = state.meta
+        page.value = state.page
+        perPage.value = state.perPage
+        isLoading.value = state.isLoading
+        isExecuting.value = state.isExecuting
+        error.value = state.error
+    })
+
+    const total = computed(() => meta.value?.total ?? 0)
+    const hasNextPage = computed(() => Boolean(meta.value) && meta.value.current_page < meta.value.last_page)
+    const hasPreviousPage = computed(() => page.value > 1)
+
+    // Cleanup on unmount
+    onUnmounted(() => {
+        unsubscribe()
+        preview.destroy()
+    })
+
+    return {
+        // State
+        payload,
+        rows,
+        columns,
+        changedColumns,
+        supportsDiff,
+        meta,
+        page,
+        perPage,
+        isLoading,
+        isExecuting,
+        error,
+        total,
+        hasNextPage,
+        hasPreviousPage,
+
+        // Actions
+        open: (value) => preview.open(value),
+        load: (pageNumber) => preview.load(pageNumber),
+        refresh: () => preview.refresh(),
+        goToPage: (pageNumber) => preview.goToPage(pageNumber),
+        nextPage: () => preview.nextPage(),
+        previousPage: () => preview.previousPage(),
+        setPerPage: (value) => preview.setPerPage(value),
+        execute: (executeOptions) => preview.execute(executeOptions),
+        reset: () => preview.reset(),
+
+        // Underlying preview, for advanced use
+        preview,
+    }
+}
+
+export default useChangePreview
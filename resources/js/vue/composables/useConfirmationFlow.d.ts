@@ -0,0 +1,47 @@
+import type { ComputedRef, Ref } from 'vue'
+import type {
+    ActionEngineError,
+    ActionName,
+    BulkActionExecution,
+    ConfirmationAssessment,
+    ConfirmationFlow,
+    ConfirmationFlowOptions,
+    ConfirmationStep,
+    ExecutePayload,
+    ExecutionManager,
+    ExecutionStore,
+    RunOptions,
+} from '../../core/index.js'
+
+export interface UseConfirmationFlowResult {
+    // State
+    step: Ref<ConfirmationStep>
+    payload: Ref<ExecutePayload | null>
+    assessment: Ref<ConfirmationAssessment | null>
+    dryRun: Ref<BulkActionExecution | null>
+    phrase: Ref<string>
+    isLoading: Ref<boolean>
+    error: Ref<ActionEngineError | null>
+    isOpen: ComputedRef<boolean>
+    requiresTyping: ComputedRef<boolean>
+    phraseMatches: ComputedRef<boolean>
+    canConfirm: ComputedRef<boolean>
+
+    // Actions
+    /** Resolves to the execution, or null when cancelled */
+    start<A extends ActionName>(payload: ExecutePayload<A>, options?: RunOptions): Promise<BulkActionExecution | null>
+    runDryRun(): Promise<BulkActionExecution | null>
+    setPhrase(phrase: string): void
+    confirm(phrase?: string): Promise<BulkActionExecution | null>
+    cancel(): void
+
+    // Underlying flow, for advanced use
+    flow: ConfirmationFlow
+}
+
+export function useConfirmationFlow(
+    target: ExecutionStore | ExecutionManager | { store: ExecutionStore } | { manager: ExecutionManager },
+    options?: ConfirmationFlowOptions,
+): UseConfirmationFlowResult
+
+export default useConfirmationFlow
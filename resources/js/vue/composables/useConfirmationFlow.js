@@ -0,0 +1,85 @@
+/**
+ * Vue 3 Composable for confirming destructive Bulk Actions
+ *
+ * Usage:
+ * import { useBulkAction } from '@/vendor/action-engine/composables/useBulkAction'
+ * import { useConfirmationFlow } from '@/vendor/action-engine/composables/useConfirmationFlow'
+ * import BulkActionConfirmDialog from '@/vendor/action-engine/components/BulkActionConfirmDialog'
+ *
+ * const bulkAction = useBulkAction()
+ * const confirmation = useConfirmationFlow(bulkAction)
+ *
+ * <button @click="confirmation.start({ action: 'delete', model: 'App\\Models\\User', filters })">Delete</button>
+ * <BulkActionConfirmDialog :confirmation="confirmation" />
+ *
+ * `start()` runs non-destructive actions immediately; destructive ones are
+ * previewed and go through the server's dry-run and typed-confirmation
+ * requirements first. It resolves to the execution, or null when cancelled.
+ * Accepts the result of useBulkAction / useBulkActions (or their store)
+ * and `{ destructive, previewLimit }`.
+ */
+
+import { ref, computed, onUnmounted } from 'vue'
+import { canConfirm as checkCanConfirm, createConfirmationFlow, isConfirmationOpen, phraseMatches as checkPhrase, requiresTyping as checkTyping } from '../../core/index.js'
+
+export function useConfirmationFlow(target, options = {}) {
+    const flow = createConfirmationFlow(target, options)
+
+    const step = ref(flow.state.step)
+    const payload = ref(null)
+    const assessment = ref(null)
+    const dryRun = ref(null)
+    const phrase = ref('')
+    const isLoading = ref(false)
+    const error = ref(null)
+
+    const unsubscribe = flow.subscribe((state) => {
+        step.value = state.step
+        payload.value = state.payload
+        assessment.value = state.assessment
+        dryRun.value = state.dryRun
+        phrase.value = state.phrase
+        isLoading.value = state.isLoading
+        error.value = state.error
+    })
+
+    const snapshot = () => ({ step: step.value, assessment: assessment.value, phrase: phrase.value, isLoading: isLoading.value })
+
+    const isOpen = computed(() => isConfirmationOpen(snapshot()))
+    const requiresTyping = computed(() => checkTyping(snapshot()))
+    const phraseMatches = computed(() => checkPhrase(snapshot()))
+    const canConfirm = computed(() => checkCanConfirm(snapshot()))
+
+    // Settle a pending start() and cleanup on unmount
+    onUnmounted(() => {
+        flow.cancel()
+        unsubscribe()
+    })
+
+    return {
+        // State
+        step,
+        payload,
+        assessment,
+        dryRun,
+        phrase,
+        isLoading,
+        error,
+        isOpen,
+        requiresTyping,
+        phraseMatches,
+        canConfirm,
+
+        // Actions
+        start: (data, executeOptions) => flow.start(data, executeOptions),
+        runDryRun: () => flow.runDryRun(),
+        setPhrase: (text) => flow.setPhrase(text),
+        confirm: (text) => flow.confirm(text),
+        cancel: () => flow.cancel(),
+
+        // Underlying flow, for advanced use
+        flow,
+    }
+}
+
+export default useConfirmationFlow
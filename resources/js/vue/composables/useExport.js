@@ -0,0 +1,88 @@
+/**
+ * Vue 3 Composable for exporting records and downloading the file
+ *
+ * Usage:
+ * import { useBulkAction } from '@/vendor/action-engine/composables/useBulkAction'
+ * import { useExport } from '@/vendor/action-engine/composables/useExport'
+ *
+ * const bulkAction = useBulkAction()
+ * const exporter = useExport(bulkAction)
+ *
+ * <select :value="exporter.format.value" @change="exporter.setFormat($event.target.value)">
+ *     <option v-for="f in exporter.formats.value" :key="f.format" :value="f.format">{{ f.extension }}</option>
+ * </select>
+ * <button @click="exporter.start({ model: 'App\\Models\\User', filters })">Export</button>
+ * <progress v-if="exporter.progress.value" :value="exporter.progress.value.loaded" :max="exporter.progress.value.total" />
+ *
+ * `start()` runs the export as a bulk action and downloads the file once it
+ * has completed; `stream()` downloads small selections straight away. The
+ * formats are loaded on mount unless `immediate` is false. Accepts the
+ * result of useBulkAction / useBulkActions (or their store) and
+ * `{ format, save, immediate }`.
+ */
+
+import { ref, onMounted, onUnmounted } from 'vue'
+import { createExportFlow } from '../../core/index.js'
+
+export function useExport(target, options = {}) {
+    const flow = createExportFlow(target, options)
+
+    const formats = ref([])
+    const format = ref(flow.state.format)
+    const step = ref(flow.state.step)
+    const execution = ref(null)
+    const progress = ref(null)
+    const file = ref(null)
+    const isLoading = ref(false)
+    const error = ref(null)
+
+    const unsubscribe = flow.subscribe((state) => {
+        formats.value = state.formats
+        format.value = state.format
+        step.value = state.step
+        execution.value = state.execution
+        progress.value = state.progress
+        file.value = state.file
+        isLoading.value = state.isLoading
+        error.value = state.error
+    })
+
+    onMounted(() => {
+        if (options.immediate !== false) {
+            flow.loadFormats().catch(() => {})
+        }
+    })
+
+    // Abort the download and cleanup on unmount
+    onUnmounted(() => {
+        flow.destroy()
+        unsubscribe()
+    })
+
+    return {
+        // State
+        formats,
+        format,
+        step,
+        execution,
+        progress,
+        file,
+        isLoading,
+        error,
+
+        // Actions
+        loadFormats: () => flow.loadFormats(),
+        setFormat: (value) => flow.setFormat(value),
+        start: (payload, executeOptions) => flow.start(payload, executeOptions),
+        stream: (payload) => flow.stream(payload),
+        download: (executionOrUuid) => flow.download(executionOrUuid),
+        abort: () => flow.abort(),
+        saveFile: (value) => flow.saveFile(value),
+        reset: () => flow.reset(),
+
+        // Underlying flow, for advanced use
+        flow,
+    }
+}
+
+export default useExport
@@ -0,0 +1,56 @@
+import type { ComputedRef, Ref } from 'vue'
+import type {
+    ActionEngineError,
+    BindingOptions,
+    BulkActionExecution,
+    FailureGroup,
+    FailureReport,
+    PaginationMeta,
+    RecordFailure,
+    RetryFailedOptions,
+    UndoSource,
+} from '../../core/index.js'
+
+export interface UseFailureReportOptions extends BindingOptions {
+    /** Where retries go to be tracked, e.g. a useBulkAction() result */
+    handOffTo?: UndoSource | null
+}
+
+export interface UseFailureReportResult {
+    // State
+    uuid: Ref<string | null>
+    items: Ref<RecordFailure[]>
+    groups: Ref<FailureGroup[]>
+    meta: Ref<PaginationMeta | null>
+    type: Ref<string | null>
+    page: Ref<number>
+    perPage: Ref<number | null>
+    isLoading: Ref<boolean>
+    isRetrying: Ref<boolean>
+    error: Ref<ActionEngineError | null>
+    total: ComputedRef<number>
+    hasNextPage: ComputedRef<boolean>
+    hasPreviousPage: ComputedRef<boolean>
+
+    // Actions
+    load(page?: number): Promise<RecordFailure[] | undefined>
+    refresh(): Promise<RecordFailure[] | undefined>
+    goToPage(page: number): Promise<RecordFailure[] | undefined>
+    nextPage(): Promise<RecordFailure[] | undefined | void>
+    previousPage(): Promise<RecordFailure[] | undefined | void>
+    setType(type: string | null): Promise<RecordFailure[] | undefined>
+    setPerPage(perPage: number): Promise<RecordFailure[] | undefined>
+    retryFailed(options?: RetryFailedOptions): Promise<BulkActionExecution | undefined>
+
+    // Underlying report, for advanced use
+    report: FailureReport
+}
+
+type MaybeExecution = BulkActionExecution | string | null | undefined
+
+export function useFailureReport(
+    executionOrUuid: MaybeExecution | Ref<MaybeExecution> | (() => MaybeExecution),
+    options?: UseFailureReportOptions,
+): UseFailureReportResult
+
+export default useFailureReport
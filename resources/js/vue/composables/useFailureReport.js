@@ -0,0 +1,110 @@
+/**
+ * Vue 3 Composable for the failed records of a Bulk Action
+ *
+ * Usage:
+ * import { useFailureReport } from '@/vendor/action-engine/composables/useFailureReport'
+ * import BulkActionFailureReport from '@/vendor/action-engine/components/BulkActionFailureReport'
+ *
+ * const bulkAction = useBulkAction()
+ * const failures = useFailureReport(bulkAction.execution, { handOffTo: bulkAction })
+ *
+ * <BulkActionFailureReport :failures="failures" />
+ *
+ * Takes the execution (or its uuid) to report on, as a value, ref or
+ * getter, and reloads when it changes. Items are `{ id, type, message,
+ * batch_number }` and `groups` counts the failures per error type.
+ * `retryFailed()` runs the action again on the failed records (of the
+ * selected type) and hands the retry to `handOffTo` (a useBulkAction /
+ * useBulkActions result), which tracks it.
+ * Accepts `{ apiPrefix, client, perPage, type, handOffTo }`.
+ */
+
+import { ref, computed, unref, watch, onUnmounted } from 'vue'
+import { createFailureReport, resolveOptions } from '../../core/index.js'
+
+export function useFailureReport(executionOrUuid, options = {}) {
+    const report = createFailureReport(options)
+    const { handOffTo } = resolveOptions(options)
+
+    const uuid = ref(null)
+    const items = ref([])
+    const groups = ref([])
+    const meta = ref(null)
+    const type = ref(report.state.type)
+    const page = ref(1)
+    const perPage = ref(report.state.perPage)
+    const isLoading = ref(false)
+    const isRetrying = ref(false)
+    const error = ref(null)
+
+    const unsubscribe = report.subscribe((state) => {
+        uuid.value = state.uuid
+        items.value = state.items
+        groups.value = state.groups
+        meta.value = state.meta
+        type.value = state.type
+        page.value = state.page
+        perPage.value = state.perPage
+        isLoading.value = state.isLoading
+        isRetrying.value = state.isRetrying
+        error.value = state.error
+    })
+
+    if (handOffTo) {
+        report.handOffTo(handOffTo)
+    }
+
+    const total = computed(() => groups.value.reduce((sum, group) => sum + group.count, 0))
+    const hasNextPage = computed(() => Boolean(meta.value) && meta.value.current_page < meta.value.last_page)
+    const hasPreviousPage = computed(() => page.value > 1)
+
+    const source = typeof executionOrUuid === 'function' ? executionOrUuid : () => unref(executionOrUuid)
+
+    watch(
+        () => {
+            const value = source()
+
+            return typeof value === 'string' ? value : value?.uuid
+        },
+        value => report.open(value),
+        { immediate: true },
+    )
+
+    // Cleanup on unmount
+    onUnmounted(() => {
+        unsubscribe()
+        report.destroy()
+    })
+
+    return {
+        // State
+        uuid,
+        items,
+        groups,
+        meta,
+        type,
+        page,
+        perPage,
+        isLoading,
+        isRetrying,
+        error,
+        total,
+        hasNextPage,
+        hasPreviousPage,
+
+        // Actions
+        load: (pageNumber) => report.load(pageNumber),
+        refresh: () => report.refresh(),
+        goToPage: (pageNumber) => report.goToPage(pageNumber),
+        nextPage: () => report.nextPage(),
+        previousPage: () => report.previousPage(),
+        setType: (value) => report.setType(value),
+        setPerPage: (value) => report.setPerPage(value),
+        retryFailed: (retryOptions) => report.retryFailed(retryOptions),
+
+        // Underlying report, for advanced use
+        report,
+    }
+}
+
+export default useFailureReport
@@ -0,0 +1,53 @@
+import type { Ref } from 'vue'
+import type {
+    ActionBreakdownRow,
+    ActionEngineError,
+    BindingOptions,
+    DateRange,
+    DateRangeInput,
+    MonitoringDashboard,
+    MonitoringData,
+    MonitoringHealth,
+    MonitoringMetrics,
+    MonitoringOverview,
+    PerformanceTrend,
+    TrendMetric,
+    TrendPoint,
+    UserActivityRow,
+} from '../../core/index.js'
+
+export interface UseMonitoringOptions extends BindingOptions {
+    /** `false` to load once instead of refreshing every `refreshInterval` */
+    autoRefresh?: boolean
+}
+
+export interface UseMonitoringResult {
+    // State
+    range: Ref<DateRange>
+    overview: Ref<MonitoringOverview | null>
+    metrics: Ref<MonitoringMetrics | null>
+    health: Ref<MonitoringHealth | null>
+    actions: Ref<ActionBreakdownRow[]>
+    users: Ref<UserActivityRow[]>
+    trends: Ref<PerformanceTrend[]>
+    lastUpdated: Ref<number | null>
+    isLoading: Ref<boolean>
+    isAutoRefreshing: Ref<boolean>
+    connectionLost: Ref<boolean>
+    error: Ref<ActionEngineError | null>
+    /** One `{ date, value }` per day of the trends */
+    series(metric?: TrendMetric): TrendPoint[]
+
+    // Actions
+    refresh(): Promise<MonitoringData | undefined>
+    setRange(range: DateRangeInput): Promise<MonitoringData | undefined>
+    start(interval?: number): Promise<MonitoringData | undefined>
+    stop(): void
+
+    // Underlying dashboard, for advanced use
+    dashboard: MonitoringDashboard
+}
+
+export function useMonitoring(options?: string | UseMonitoringOptions): UseMonitoringResult
+
+export default useMonitoring
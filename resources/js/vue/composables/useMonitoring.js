@@ -0,0 +1,102 @@
+/**
+ * Vue 3 Composable for the monitoring dashboard's data
+ *
+ * Usage:
+ * import { useMonitoring } from '@/vendor/action-engine/composables/useMonitoring'
+ * import BulkActionHealthBadge from '@/vendor/action-engine/components/BulkActionHealthBadge'
+ * import BulkActionTrendChart from '@/vendor/action-engine/components/BulkActionTrendChart'
+ * import BulkActionBreakdownTable from '@/vendor/action-engine/components/BulkActionBreakdownTable'
+ *
+ * const monitoring = useMonitoring({ range: { days: 30 }, refreshInterval: 60000 })
+ *
+ * <BulkActionHealthBadge :monitoring="monitoring" />
+ * <BulkActionTrendChart :monitoring="monitoring" metric="failure_rate" />
+ * <BulkActionBreakdownTable :monitoring="monitoring" />
+ * <button @click="monitoring.setRange({ from: '2026-03-01', to: '2026-03-31' })">March</button>
+ *
+ * Loads on mount and refreshes every `refreshInterval` ms (30s by default)
+ * until unmount; `autoRefresh: false` loads once, `immediate: false` not
+ * at all. `series(metric)` gives a chart library its `[{ date, value }]`.
+ * Accepts `{ apiPrefix, client, range, panels, refreshInterval, userLimit,
+ * polling, immediate, autoRefresh }`.
+ */
+
+import { ref, onMounted, onUnmounted } from 'vue'
+import { createMonitoringDashboard, resolveOptions, trendSeries } from '../../core/index.js'
+
+export function useMonitoring(options = {}) {
+    const dashboard = createMonitoringDashboard(options)
+
+    const range = ref(dashboard.state.range)
+    const overview = ref(null)
+    const metrics = ref(null)
+    const health = ref(null)
+    const actions = ref([])
+    const users = ref([])
+    const trends = ref([])
+    const lastUpdated = ref(null)
+    const isLoading = ref(false)
+    const isAutoRefreshing = ref(false)
+    const connectionLost = ref(false)
+    const error = ref(null)
+
+    const unsubscribe = dashboard.subscribe((state) => {
+        range.value = state.range
+        overview.value = state.overview
+        metrics.value = state.metrics
+        health.value = state.health
+        actions.value = state.actions
+        users.value = state.users
+        trends.value = state.trends
+        lastUpdated.value = state.lastUpdated
+        isLoading.value = state.isLoading
+        isAutoRefreshing.value = state.isAutoRefreshing
+        connectionLost.value = state.connectionLost
+        error.value = state.error
+    })
+
+    // Load on mount
+    onMounted(() => {
+        const { immediate, autoRefresh } = resolveOptions(options)
+
+        if (autoRefresh !== false) {
+            dashboard.start()
+        } else if (immediate !== false) {
+            dashboard.refresh()
+        }
+    })
+
+    // Stop refreshing and cleanup on unmount
+    onUnmounted(() => {
+        unsubscribe()
+        dashboard.destroy()
+    })
+
+    return {
+        // State
+        range,
+        overview,
+        metrics,
+        health,
+        actions,
+        users,
+        trends,
+        lastUpdated,
+        isLoading,
+        isAutoRefreshing,
+        connectionLost,
+        error,
+        series: (metric) => trendSeries(trends.value, metric),
+
+        // Actions
+        refresh: () => dashboard.refresh(),
+        setRange: (value) => dashboard.setRange(value),
+        start: (interval) => dashboard.start(interval),
+        stop: () => dashboard.stop(),
+
+        // Underlying dashboard, for advanced use
+        dashboard,
+    }
+}
+
+export default useMonitoring
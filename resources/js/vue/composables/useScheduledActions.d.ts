@@ -0,0 +1,41 @@
+import type { Ref } from 'vue'
+import type {
+    ActionEngineError,
+    BindingOptions,
+    BulkActionExecution,
+    ScheduledActions,
+    UndoSource,
+} from '../../core/index.js'
+
+export interface UseScheduledActionsOptions extends BindingOptions {
+    /** Where due actions go to be tracked, e.g. a useBulkActions() result */
+    handOffTo?: UndoSource | null
+}
+
+export interface UseScheduledActionsResult {
+    // State
+    items: Ref<BulkActionExecution[]>
+    hours: Ref<number | null>
+    now: Ref<number>
+    loading: Ref<Record<string, boolean>>
+    errors: Ref<Record<string, ActionEngineError | null>>
+    isLoading: Ref<boolean>
+    error: Ref<ActionEngineError | null>
+
+    // Per-item helpers
+    remainingOf(uuid: string): number | null
+
+    // Actions
+    load(): Promise<BulkActionExecution[] | undefined>
+    refresh(): Promise<BulkActionExecution[] | undefined>
+    setHours(hours: number | null): Promise<BulkActionExecution[] | undefined>
+    reschedule(uuid: string, scheduledFor: Date | string, timezone?: string | null): Promise<BulkActionExecution>
+    cancel(uuid: string): Promise<BulkActionExecution>
+
+    // Underlying list, for advanced use
+    scheduled: ScheduledActions
+}
+
+export function useScheduledActions(options?: string | UseScheduledActionsOptions): UseScheduledActionsResult
+
+export default useScheduledActions
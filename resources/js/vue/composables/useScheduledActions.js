@@ -0,0 +1,87 @@
+/**
+ * Vue 3 Composable for managing scheduled Bulk Actions
+ *
+ * Usage:
+ * import { useScheduledActions } from '@/vendor/action-engine/composables/useScheduledActions'
+ * import { useBulkActions } from '@/vendor/action-engine/composables/useBulkActions'
+ *
+ * const bulkActions = useBulkActions()
+ * const { items, remainingOf, reschedule, cancel } = useScheduledActions({ hours: 24, handOffTo: bulkActions })
+ *
+ * await reschedule(items.value[0].uuid, '2026-03-03T09:00', 'Europe/Paris')
+ * formatCountdown(remainingOf(items.value[0].uuid))
+ *
+ * Accepts an api prefix string or an options object (`{ apiPrefix, client,
+ * hours, tickInterval, immediate, handOffTo }`). The list is loaded on mount
+ * unless `immediate` is false; due actions are handed to `handOffTo` (a
+ * useBulkActions / useBulkAction result), which tracks their live progress.
+ */
+
+import { ref, onMounted, onUnmounted } from 'vue'
+import { createScheduledActions, resolveOptions, scheduledTimeRemaining } from '../../core/index.js'
+
+export function useScheduledActions(options = '/api/bulk-actions') {
+    const scheduled = createScheduledActions(options)
+    const { handOffTo } = resolveOptions(options)
+
+    const items = ref([])
+    const hours = ref(scheduled.state.hours)
+    const now = ref(scheduled.state.now)
+    const loading = ref({})
+    const errors = ref({})
+    const isLoading = ref(false)
+    const error = ref(null)
+
+    const unsubscribe = scheduled.subscribe((state) => {
+        items.value = state.items
+        hours.value = state.hours
+        now.value = state.now
+        loading.value = state.loading
+        errors.value = state.errors
+        isLoading.value = state.isLoading
+        error.value = state.error
+    })
+
+    if (handOffTo) {
+        scheduled.handOffTo(handOffTo)
+    }
+
+    // Load on mount
+    onMounted(() => {
+        if (resolveOptions(options).immediate !== false) {
+            scheduled.load()
+        }
+    })
+
+    // Cleanup on unmount
+    onUnmounted(() => {
+        unsubscribe()
+        scheduled.destroy()
+    })
+
+    return {
+        // State
+        items,
+        hours,
+        now,
+        loading,
+        errors,
+        isLoading,
+        error,
+
+        // Per-item helpers
+        remainingOf: (uuid) => scheduledTimeRemaining(items.value.find(item => item.uuid === uuid), now.value),
+
+        // Actions
+        load: () => scheduled.load(),
+        refresh: () => scheduled.refresh(),
+        setHours: (value) => scheduled.setHours(value),
+        reschedule: (uuid, scheduledFor, timezone) => scheduled.reschedule(uuid, scheduledFor, timezone),
+        cancel: (uuid) => scheduled.cancel(uuid),
+
+        // Underlying list, for advanced use
+        scheduled,
+    }
+}
+
+export default useScheduledActions
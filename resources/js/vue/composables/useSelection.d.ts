@@ -0,0 +1,50 @@
+import type { ComputedRef } from 'vue'
+import type {
+    ActionEngineError,
+    ActionName,
+    Filters,
+    RowId,
+    SelectionBindingOptions,
+    SelectionMode,
+    SelectionStore,
+} from '../../core/index.js'
+
+export interface UseSelectionResult {
+    // State
+    mode: ComputedRef<SelectionMode>
+    ids: ComputedRef<RowId[]>
+    excluded: ComputedRef<RowId[]>
+    filters: ComputedRef<Filters>
+    total: ComputedRef<number | null>
+    isVerifying: ComputedRef<boolean>
+    error: ComputedRef<ActionEngineError | null>
+    count: ComputedRef<number | null>
+    isVerified: ComputedRef<boolean>
+    isAllSelected: ComputedRef<boolean>
+    isPageSelected: ComputedRef<boolean>
+    isPagePartiallySelected: ComputedRef<boolean>
+
+    // Actions
+    isSelected(id: RowId): boolean
+    toggle(id: RowId): void
+    select(ids: RowId | RowId[]): void
+    deselect(ids: RowId | RowId[]): void
+    selectPage(): void
+    deselectPage(): void
+    togglePage(): void
+    selectAll(): void
+    clear(): void
+    setPage(ids: RowId[], total?: number | null): void
+    setFilters(filters?: Filters): void
+    setTotal(total: number | null): void
+    toFilters(): Filters
+    toPayload<P extends object>(payload?: P): P & { model: string; filters: Filters }
+    verify(action?: ActionName): Promise<number | null>
+
+    // Underlying store, for advanced use
+    selection: SelectionStore
+}
+
+export function useSelection(options?: SelectionBindingOptions): UseSelectionResult
+
+export default useSelection
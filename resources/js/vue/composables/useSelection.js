@@ -0,0 +1,101 @@
+/**
+ * Vue 3 Composable for selecting table rows across pages
+ *
+ * Usage:
+ * import { useSelection } from '@/vendor/action-engine/composables/useSelection'
+ *
+ * const selection = useSelection({ model: 'App\\Models\\User', action: 'archive', autoVerify: true })
+ *
+ * watch(tableFilters, filters => selection.setFilters(filters), { immediate: true })
+ * watch(rows, rows => selection.setPage(rows.map(row => row.id), meta.value.total), { immediate: true })
+ *
+ * <input type="checkbox" :checked="selection.isPageSelected.value" @change="selection.togglePage()">
+ * <input type="checkbox" :checked="selection.isSelected(row.id)" @change="selection.toggle(row.id)">
+ * <button @click="selection.selectAll()">Select all matching rows</button>
+ *
+ * await execute(selection.toPayload({ action: 'archive' }))
+ *
+ * `toPayload()` / `toFilters()` compile the selection to `ids`, or to the
+ * table filters plus `where_not_in` for rows excluded from "select all".
+ * `count` is exact once `verify()` (or `autoVerify`) has checked it with
+ * `preview()`; `isVerified` tells which. Options: `{ apiPrefix, client,
+ * model, key, action, filters, autoVerify }`.
+ */
+
+import { ref, computed, onUnmounted } from 'vue'
+import {
+    createSelection,
+    isCountVerified,
+    isPagePartiallySelected as checkPagePartiallySelected,
+    isPageSelected as checkPageSelected,
+    isRowSelected,
+    selectedCount,
+} from '../../core/index.js'
+
+export function useSelection(options = {}) {
+    const selection = createSelection(options)
+
+    // The whole snapshot, so the computeds can reuse the core helpers
+    const state = ref(selection.state)
+
+    const unsubscribe = selection.subscribe((next) => {
+        state.value = next
+    })
+
+    const mode = computed(() => state.value.mode)
+    const ids = computed(() => state.value.ids)
+    const excluded = computed(() => state.value.excluded)
+    const filters = computed(() => state.value.filters)
+    const total = computed(() => state.value.total)
+    const isVerifying = computed(() => state.value.isVerifying)
+    const error = computed(() => state.value.error)
+    const count = computed(() => selectedCount(state.value))
+    const isVerified = computed(() => isCountVerified(state.value))
+    const isAllSelected = computed(() => state.value.mode === 'all')
+    const isPageSelected = computed(() => checkPageSelected(state.value))
+    const isPagePartiallySelected = computed(() => checkPagePartiallySelected(state.value))
+
+    // Cleanup on unmount
+    onUnmounted(() => {
+        unsubscribe()
+        selection.destroy()
+    })
+
+    return {
+        // State
+        mode,
+        ids,
+        excluded,
+        filters,
+        total,
+        isVerifying,
+        error,
+        count,
+        isVerified,
+        isAllSelected,
+        isPageSelected,
+        isPagePartiallySelected,
+
+        // Actions
+        isSelected: (id) => isRowSelected(state.value, id),
+        toggle: (id) => selection.toggle(id),
+        select: (list) => selection.select(list),
+        deselect: (list) => selection.deselect(list),
+        selectPage: () => selection.selectPage(),
+        deselectPage: () => selection.deselectPage(),
+        togglePage: () => selection.togglePage(),
+        selectAll: () => selection.selectAll(),
+        clear: () => selection.clear(),
+        setPage: (list, pageTotal) => selection.setPage(list, pageTotal),
+        setFilters: (next) => selection.setFilters(next),
+        setTotal: (next) => selection.setTotal(next),
+        toFilters: () => selection.toFilters(),
+        toPayload: (payload) => selection.toPayload(payload),
+        verify: (action) => selection.verify(action),
+
+        // Underlying store, for advanced use
+        selection,
+    }
+}
+
+export default useSelection
@@ -0,0 +1,69 @@
+/**
+ * Vue 3 Composable for the undo queue behind the undo toasts
+ *
+ * Usage:
+ * import { useUndoQueue } from '@/vendor/action-engine/composables/useUndoQueue'
+ * import BulkActionUndoToast from '@/vendor/action-engine/components/BulkActionUndoToast'
+ *
+ * // In the app layout, outside <router-view>
+ * const undoQueue = useUndoQueue()
+ * <BulkActionUndoToast :undo-queue="undoQueue" />
+ *
+ * // In a page: queue the undoable executions of a bulk action
+ * const bulkAction = useBulkAction()
+ * useUndoQueue(bulkAction)
+ *
+ * Every call shares the page-wide queue (or `options.queue`), so toasts
+ * stay up across route changes, and persisted undoable actions are
+ * restored on first mount. `target` is watched until the component is
+ * unmounted. Options: `{ apiPrefix, client, persist, persistKey,
+ * checkInterval, undoneDuration, queue, restore }`.
+ */
+
+import { ref, onMounted, onUnmounted } from 'vue'
+import { getUndoQueue } from '../../core/index.js'
+
+export function useUndoQueue(target = null, options = {}) {
+    const queue = options.queue || getUndoQueue(options)
+
+    const items = ref(queue.state.items)
+
+    const cleanups = [
+        queue.subscribe((state) => {
+            items.value = state.items
+        }),
+    ]
+
+    if (target) {
+        cleanups.push(queue.watch(target))
+    }
+
+    onMounted(() => {
+        if (options.restore !== false) {
+            queue.restore()
+        }
+    })
+
+    // Stop watching on unmount; the shared queue itself lives on
+    onUnmounted(() => {
+        cleanups.forEach(cleanup => cleanup())
+    })
+
+    return {
+        // State
+        items,
+
+        // Actions
+        undo: (uuid) => queue.undo(uuid),
+        redo: (uuid) => queue.redo(uuid),
+        check: (uuid) => queue.check(uuid),
+        add: (execution) => queue.add(execution),
+        dismiss: (uuid) => queue.dismiss(uuid),
+        clear: () => queue.clear(),
+
+        // Underlying queue, for advanced use
+        queue,
+    }
+}
+
+export default useUndoQueue
@@ -0,0 +1,97 @@
+{{--
+    Bulk Action Form Component (Alpine.js)
+
+    Renders a dropdown of the registered actions and a form for the selected
+    action's declared parameters, using the `availableActions` Alpine
+    component. On submit the payload is validated client-side and dispatched
+    as a `bulk-action-submit` event, e.g. for an enclosing `bulkAction`.
+
+    @param string $model The model class the action runs on
+    @param string $filters JS expression for the filters (default: '{}')
+    @param string $apiPrefix Base path of the bulk action routes
+
+    Usage:
+    <div x-data="bulkAction()" @bulk-action-submit="execute($event.detail)">
+        @include('action-engine::blade.action-form', ['model' => App\Models\Post::class, 'filters' => '{ ids: selectedIds }'])
+    </div>
+--}}
+
+@props(['model', 'filters' => '{}', 'apiPrefix' => '/api/bulk-actions'])
+
+<form x-data="availableActions({ apiPrefix: @js($apiPrefix) })"
+      @submit.prevent="submit({ model: @js($model), filters: {{ $filters }} })"
+      class="bulk-action-form space-y-4">
+    <div>
+        <label for="bulk-action-name" class="block text-sm font-medium text-gray-700 dark:text-gray-300">Action</label>
+        <select id="bulk-action-name"
+                :value="action"
+                @change="select($event.target.value)"
+                :disabled="isLoading"
+                class="mt-1 block w-full rounded-md border-gray-300 dark:bg-gray-800 dark:border-gray-600">
+            <option value="">Choose an action…</option>
+            <template x-for="item in list" :key="item.name">
+                <option :value="item.name" x-text="item.label"></option>
+            </template>
+        </select>
+        <p x-show="fieldError('action')" x-text="fieldError('action')" class="mt-1 text-sm text-red-600"></p>
+        <p x-show="selected?.description" x-text="selected?.description" class="mt-1 text-xs text-gray-500 dark:text-gray-400"></p>
+    </div>
+
+    <template x-for="field in fields" :key="field.name">
+        <div class="bulk-action-field">
+            <label :for="'bulk-action-parameter-' + field.name"
+                   x-text="field.label"
+                   class="block text-sm font-medium text-gray-700 dark:text-gray-300"></label>
+
+            <template x-if="field.type === 'boolean'">
+                <input type="checkbox"
+                       :id="'bulk-action-parameter-' + field.name"
+                       :checked="Boolean(parameters[field.name])"
+                       @change="setParameter(field, $event.target.checked)"
+                       class="mt-1 rounded border-gray-300">
+            </template>
+
+            <template x-if="field.type === 'select'">
+                <select :id="'bulk-action-parameter-' + field.name"
+                        @change="setParameter(field, $event.target.value)"
+                        class="mt-1 block w-full rounded-md border-gray-300 dark:bg-gray-800 dark:border-gray-600">
+                    <option value="" x-show="!field.required" x-text="field.placeholder || ''"></option>
+                    <template x-for="option in field.options" :key="String(option.value)">
+                        <option :value="String(option.value)"
+                                :selected="inputText(field) === String(option.value)"
+                                x-text="option.label"></option>
+                    </template>
+                </select>
+            </template>
+
+            <template x-if="field.type === 'text' || field.type === 'object'">
+                <textarea :id="'bulk-action-parameter-' + field.name"
+                          :value="inputText(field)"
+                          :placeholder="field.placeholder"
+                          :rows="field.type === 'object' ? 4 : 3"
+                          @input="setParameter(field, $event.target.value)"
+                          class="mt-1 block w-full rounded-md border-gray-300 dark:bg-gray-800 dark:border-gray-600"></textarea>
+            </template>
+
+            <template x-if="!['boolean', 'select', 'text', 'object'].includes(field.type)">
+                <input :type="inputType(field)"
+                       :id="'bulk-action-parameter-' + field.name"
+                       :value="inputText(field)"
+                       :placeholder="field.placeholder"
+                       :min="field.min"
+                       :max="field.max"
+                       @input="setParameter(field, $event.target.value)"
+                       class="mt-1 block w-full rounded-md border-gray-300 dark:bg-gray-800 dark:border-gray-600">
+            </template>
+
+            <p x-show="field.description" x-text="field.description" class="mt-1 text-xs text-gray-500 dark:text-gray-400"></p>
+            <p x-show="fieldError(field.name)" x-text="fieldError(field.name)" class="mt-1 text-sm text-red-600" role="alert"></p>
+        </div>
+    </template>
+
+    <button type="submit"
+            :disabled="!action || isLoading"
+            class="inline-flex items-center px-4 py-2 rounded-md bg-blue-600 text-white text-sm font-medium hover:bg-blue-700 disabled:opacity-50">
+        Run action
+    </button>
+</form>
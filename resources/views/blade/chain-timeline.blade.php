@@ -0,0 +1,57 @@
+{{--
+    Bulk Action Chain Timeline (Alpine.js)
+
+    Renders the timeline of an enclosing `actionChain` component: one row
+    per step with its action, status and progress, the current step
+    highlighted. "Cancel" stops the remaining steps while the chain runs;
+    "Undo" undoes the completed steps, last one first, once it has finished.
+
+    Usage:
+    <div x-data="actionChain()">
+        <button @click="start({ action: 'archive', model: 'App\\Models\\Post', filters: { ids: selectedIds } }, ['export'])">Archive and export</button>
+        @include('action-engine::blade.chain-timeline')
+    </div>
+--}}
+
+<div x-show="steps.length" x-cloak class="bulk-action-chain space-y-3" :aria-busy="String(isRunning)">
+    <ol class="bulk-action-chain-steps space-y-2">
+        <template x-for="step in steps" :key="step.step">
+            <li class="bulk-action-chain-step rounded-md border p-3 text-sm"
+                :class="[
+                    `bulk-action-chain-step-${step.status}`,
+                    step.step === currentStep?.step ? 'border-blue-500 dark:border-blue-400' : 'border-gray-200 dark:border-gray-700',
+                ]"
+                :aria-current="step.step === currentStep?.step ? 'step' : null">
+                <div class="flex items-center justify-between">
+                    <span class="font-medium text-gray-900 dark:text-gray-100" x-text="`${step.step}. ${step.action_name}`"></span>
+                    <span class="text-gray-500 dark:text-gray-400" x-text="step.status.replace(/_/g, ' ')"></span>
+                </div>
+                <div class="mt-2 h-1.5 w-full rounded-full bg-gray-200 dark:bg-gray-700">
+                    <div class="h-1.5 rounded-full bg-blue-600 transition-all" :style="{ width: step.progress_percentage + '%' }"></div>
+                </div>
+                <p x-show="step.error" x-text="step.error" class="bulk-action-chain-step-error mt-1 text-red-600"></p>
+            </li>
+        </template>
+    </ol>
+
+    <p x-show="connectionLost" class="bulk-action-chain-connection text-sm text-amber-600">Connection lost, retrying…</p>
+
+    <div class="flex gap-2">
+        <button type="button"
+                x-show="isRunning"
+                @click="cancel()"
+                :disabled="isCancelling"
+                class="bulk-action-chain-cancel rounded-md bg-gray-100 px-3 py-2 text-sm font-medium text-gray-700 hover:bg-gray-200 disabled:opacity-50 dark:bg-gray-800 dark:text-gray-300">
+            Cancel
+        </button>
+        <button type="button"
+                x-show="canUndo"
+                @click="undo()"
+                :disabled="isUndoing"
+                class="bulk-action-chain-undo rounded-md bg-blue-600 px-3 py-2 text-sm font-medium text-white hover:bg-blue-500 disabled:opacity-50">
+            Undo
+        </button>
+    </div>
+
+    <p x-show="error" x-text="error?.message" role="alert" class="bulk-action-chain-error text-sm text-red-600"></p>
+</div>
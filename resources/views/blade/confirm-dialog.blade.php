@@ -0,0 +1,89 @@
+{{--
+    Bulk Action Confirmation Dialog (Alpine.js)
+
+    Renders the confirmation flow of an enclosing `bulkAction` component:
+    the server's prompt and affected record count, the "dry run first" step,
+    the typed phrase above `safety.confirmation_threshold`, and the Cancel /
+    Confirm buttons. Shown while `executeSafely()` waits for the user.
+
+    Usage:
+    <div x-data="bulkAction()" @bulk-action-submit="executeSafely($event.detail)">
+        @include('action-engine::blade.action-form', ['model' => App\Models\Post::class, 'filters' => '{ ids: selectedIds }'])
+        @include('action-engine::blade.confirm-dialog')
+    </div>
+--}}
+
+<div x-show="isConfirming"
+     x-cloak
+     @keydown.escape.window="isConfirming && cancelConfirmation()"
+     class="bulk-action-confirm-backdrop fixed inset-0 z-50 flex items-center justify-center bg-gray-900/50">
+    <div role="alertdialog"
+         aria-modal="true"
+         aria-labelledby="bulk-action-confirm-title"
+         aria-describedby="bulk-action-confirm-message"
+         :aria-busy="confirmation.isLoading"
+         :data-warning-level="confirmation.assessment?.prompt?.warningLevel"
+         class="bulk-action-confirm w-full max-w-md rounded-lg bg-white p-6 shadow-xl space-y-4 dark:bg-gray-800">
+        <h2 id="bulk-action-confirm-title"
+            x-text="confirmation.assessment?.prompt?.title || 'Confirm action'"
+            class="text-lg font-semibold text-gray-900 dark:text-gray-100"></h2>
+
+        <p id="bulk-action-confirm-message"
+           x-text="confirmation.step === 'assessing'
+               ? 'Checking the affected records…'
+               : (confirmation.assessment?.prompt?.message || `This will affect ${confirmation.assessment?.count ?? 0} records.`)"
+           class="text-sm text-gray-600 dark:text-gray-300"></p>
+
+        <template x-if="confirmation.step === 'dry-run'">
+            <div class="bulk-action-confirm-dry-run space-y-2">
+                <p class="text-sm text-gray-600 dark:text-gray-300">
+                    This is your first run of this action. Run a dry run to review its effect first.
+                </p>
+                <button type="button"
+                        @click="runDryRun()"
+                        :disabled="confirmation.isLoading"
+                        class="px-3 py-1.5 rounded-md border border-gray-300 text-sm dark:border-gray-600 disabled:opacity-50">
+                    Run dry run
+                </button>
+            </div>
+        </template>
+
+        <p x-show="confirmation.dryRun"
+           x-text="`Dry run: ${confirmation.dryRun?.total_records} records would be affected.`"
+           class="bulk-action-confirm-dry-run-result text-sm text-gray-600 dark:text-gray-300"></p>
+
+        <template x-if="confirmation.step === 'confirm' && requiresTyping">
+            <div class="bulk-action-confirm-phrase">
+                <label for="bulk-action-confirm-phrase" class="block text-sm text-gray-700 dark:text-gray-300">
+                    Type <strong x-text="confirmation.assessment.prompt.typeText"></strong> to confirm
+                </label>
+                <input id="bulk-action-confirm-phrase"
+                       type="text"
+                       autocomplete="off"
+                       x-init="$nextTick(() => $el.focus())"
+                       :value="confirmation.phrase"
+                       @input="setConfirmationPhrase($event.target.value)"
+                       @keydown.enter="canConfirm && confirmExecution()"
+                       class="mt-1 block w-full rounded-md border-gray-300 dark:bg-gray-900 dark:border-gray-600">
+            </div>
+        </template>
+
+        <p x-show="confirmation.error"
+           x-text="confirmation.error?.message"
+           role="alert"
+           class="bulk-action-confirm-error text-sm text-red-600"></p>
+
+        <div class="bulk-action-confirm-buttons flex justify-end gap-2">
+            <button type="button"
+                    @click="cancelConfirmation()"
+                    class="px-4 py-2 rounded-md border border-gray-300 text-sm dark:border-gray-600">
+                Cancel
+            </button>
+            <button type="button"
+                    @click="confirmExecution()"
+                    :disabled="!canConfirm"
+                    x-text="confirmation.assessment?.prompt?.confirmText || 'Confirm'"
+                    class="px-4 py-2 rounded-md bg-red-600 text-white text-sm font-medium hover:bg-red-700 disabled:opacity-50"></button>
+        </div>
+    </div>
+</div>
@@ -0,0 +1,71 @@
+{{--
+    Bulk Action Failure Report (Alpine.js)
+
+    Lists the records an execution failed on, with their error, using the
+    `failureReport` Alpine component. One button per error type filters
+    the list, Previous / Next page through it and "Retry failed" runs the
+    action again on the listed records only. The retry is dispatched as a
+    `bulk-action-retried` event.
+
+    @param string $uuid The execution to report on
+    @param int $perPage Failures per page
+    @param string $apiPrefix Base path of the bulk action routes
+
+    Usage:
+    <div x-data="bulkActions()" @bulk-action-retried.window="track($event.detail)">...</div>
+    @include('action-engine::blade.failure-report', ['uuid' => $execution->uuid])
+--}}
+
+@props(['uuid', 'perPage' => 50, 'apiPrefix' => '/api/bulk-actions'])
+
+<div x-data="failureReport({ apiPrefix: @js($apiPrefix), uuid: @js($uuid), perPage: @js($perPage) })"
+     class="bulk-action-failures space-y-3"
+     :aria-busy="String(isLoading)">
+    <p x-show="!groups.length && !isLoading" class="bulk-action-failures-empty text-sm text-gray-500 dark:text-gray-400">
+        No failed records.
+    </p>
+
+    <div x-show="groups.length" class="bulk-action-failures-groups flex flex-wrap gap-2">
+        <button type="button"
+                @click="setType(null)"
+                :aria-pressed="String(type === null)"
+                class="rounded-full px-3 py-1 text-xs font-medium"
+                :class="type === null ? 'bg-gray-900 text-white dark:bg-gray-100 dark:text-gray-900' : 'bg-gray-100 text-gray-700 dark:bg-gray-800 dark:text-gray-300'"
+                x-text="`All (${total})`"></button>
+        <template x-for="group in groups" :key="group.type">
+            <button type="button"
+                    @click="setType(group.type)"
+                    :aria-pressed="String(type === group.type)"
+                    :title="group.message"
+                    class="rounded-full px-3 py-1 text-xs font-medium"
+                    :class="type === group.type ? 'bg-gray-900 text-white dark:bg-gray-100 dark:text-gray-900' : 'bg-gray-100 text-gray-700 dark:bg-gray-800 dark:text-gray-300'"
+                    x-text="`${group.type} (${group.count})`"></button>
+        </template>
+    </div>
+
+    <ul x-show="items.length" class="bulk-action-failures-list divide-y divide-gray-200 dark:divide-gray-700">
+        <template x-for="item in items" :key="item.id">
+            <li class="bulk-action-failures-item py-2 text-sm">
+                <span class="font-medium text-gray-900 dark:text-gray-100" x-text="`#${item.id}`"></span>
+                <span class="text-gray-500 dark:text-gray-400" x-text="item.type"></span>
+                <p x-show="item.message" x-text="item.message" class="text-red-600"></p>
+            </li>
+        </template>
+    </ul>
+
+    <nav x-show="meta && meta.last_page > 1" class="bulk-action-failures-pages flex items-center gap-2 text-sm">
+        <button type="button" :disabled="!hasPreviousPage" @click="previousPage()" class="disabled:opacity-50">Previous</button>
+        <span x-text="`Page ${meta?.current_page} of ${meta?.last_page}`"></span>
+        <button type="button" :disabled="!hasNextPage" @click="nextPage()" class="disabled:opacity-50">Next</button>
+    </nav>
+
+    <button type="button"
+            x-show="groups.length"
+            @click="retryFailed()"
+            :disabled="isRetrying"
+            class="bulk-action-failures-retry rounded-md bg-blue-600 px-3 py-2 text-sm font-medium text-white hover:bg-blue-500 disabled:opacity-50">
+        Retry failed
+    </button>
+
+    <p x-show="error" x-text="error?.message" role="alert" class="bulk-action-failures-error text-sm text-red-600"></p>
+</div>
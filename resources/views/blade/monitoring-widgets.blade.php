@@ -0,0 +1,109 @@
+{{--
+    Bulk Action Monitoring Widgets (Alpine.js)
+
+    Renders the widgets of an enclosing `monitoringDashboard` component: a
+    date range picker, the health badge (with the checks that did not pass),
+    daily throughput and failure-rate charts drawn as SVG, and the
+    per-action breakdown. The data refreshes every `refreshInterval` ms.
+
+    Usage:
+    <div x-data="monitoringDashboard({ range: { days: 30 }, refreshInterval: 60000 })">
+        @include('action-engine::blade.monitoring-widgets')
+    </div>
+--}}
+
+<div class="bulk-action-monitoring space-y-4" :aria-busy="String(isLoading)">
+    <div class="flex flex-wrap items-center justify-between gap-3">
+        <div class="flex items-center gap-2">
+            <span class="bulk-action-health rounded-full px-2.5 py-0.5 text-sm font-medium"
+                  role="status"
+                  :title="failingChecks.map(check => check.message).join('\n')"
+                  :class="{
+                      'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300': health?.status === 'healthy',
+                      'bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300': health?.status === 'degraded',
+                      'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300': health?.status === 'unhealthy',
+                      'bg-gray-100 text-gray-600 dark:bg-gray-800 dark:text-gray-400': !health,
+                  }"
+                  x-text="{ healthy: 'Healthy', degraded: 'Degraded', unhealthy: 'Unhealthy' }[health?.status] || 'Checking…'"></span>
+            <span x-show="lastUpdated" class="text-xs text-gray-500 dark:text-gray-400"
+                  x-text="`Updated ${new Date(lastUpdated).toLocaleTimeString()}`"></span>
+            <span x-show="connectionLost" class="text-xs text-amber-600">Connection lost, retrying…</span>
+        </div>
+
+        <div class="bulk-action-monitoring-range flex flex-wrap items-center gap-2 text-sm">
+            <template x-for="days in [7, 30, 90]" :key="days">
+                <button type="button"
+                        @click="setRange({ days })"
+                        :aria-pressed="String(range.days === days)"
+                        :class="range.days === days ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 dark:bg-gray-800 dark:text-gray-300'"
+                        class="rounded-md px-2.5 py-1 font-medium"
+                        x-text="`${days} days`"></button>
+            </template>
+            <input type="date" aria-label="From"
+                   :value="range.from"
+                   @change="setRange({ from: $event.target.value, to: range.to })"
+                   class="rounded-md border-gray-300 text-sm dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100">
+            <input type="date" aria-label="To"
+                   :value="range.to"
+                   :min="range.from"
+                   @change="setRange({ from: range.from, to: $event.target.value })"
+                   class="rounded-md border-gray-300 text-sm dark:border-gray-700 dark:bg-gray-900 dark:text-gray-100">
+        </div>
+    </div>
+
+    <ul x-show="failingChecks.length" class="space-y-1 text-sm text-amber-700 dark:text-amber-400">
+        <template x-for="check in failingChecks" :key="check.name">
+            <li x-text="check.message"></li>
+        </template>
+    </ul>
+
+    <div class="grid gap-4 md:grid-cols-2">
+        <template x-for="metric in ['throughput', 'failure_rate']" :key="metric">
+            <figure class="bulk-action-trend rounded-md border border-gray-200 p-3 dark:border-gray-700"
+                    :class="`bulk-action-trend-${metric}`">
+                <figcaption class="text-sm font-medium text-gray-900 dark:text-gray-100" x-text="metricLabel(metric)"></figcaption>
+                <p x-show="!trends.length" class="mt-2 text-sm text-gray-500 dark:text-gray-400">No finished actions in this range.</p>
+                {{-- x-for cannot render inside <svg>, so the values are listed for screen readers instead --}}
+                <svg x-show="trends.length" viewBox="0 0 300 100" aria-hidden="true"
+                     class="mt-2 h-24 w-full"
+                     :class="metric === 'failure_rate' ? 'text-red-500' : 'text-blue-600'">
+                    <path :d="chart(metric).area" fill="currentColor" fill-opacity="0.15"></path>
+                    <path :d="chart(metric).line" fill="none" stroke="currentColor" stroke-width="2"></path>
+                </svg>
+                <ol class="sr-only">
+                    <template x-for="point in series(metric)" :key="point.date">
+                        <li x-text="`${point.date}: ${formatMetric(point.value, metric)}`"></li>
+                    </template>
+                </ol>
+            </figure>
+        </template>
+    </div>
+
+    <p x-show="!actions.length && !isLoading" class="bulk-action-breakdown-empty text-sm text-gray-500 dark:text-gray-400">
+        No actions in this range.
+    </p>
+    <table x-show="actions.length" class="bulk-action-breakdown min-w-full divide-y divide-gray-200 text-sm dark:divide-gray-700">
+        <thead>
+            <tr class="text-left text-gray-500 dark:text-gray-400">
+                <th scope="col" class="py-2 pr-4 font-medium">Action</th>
+                <th scope="col" class="py-2 pr-4 font-medium">Total</th>
+                <th scope="col" class="py-2 pr-4 font-medium">Completed</th>
+                <th scope="col" class="py-2 pr-4 font-medium">Failed</th>
+                <th scope="col" class="py-2 font-medium">Success rate</th>
+            </tr>
+        </thead>
+        <tbody class="divide-y divide-gray-200 dark:divide-gray-700">
+            <template x-for="row in sortedActions" :key="row.action">
+                <tr class="text-gray-900 dark:text-gray-100">
+                    <th scope="row" class="py-2 pr-4 font-medium" x-text="row.action"></th>
+                    <td class="py-2 pr-4" x-text="row.total"></td>
+                    <td class="py-2 pr-4" x-text="row.completed"></td>
+                    <td class="py-2 pr-4" :class="{ 'text-red-600': row.failed > 0 }" x-text="row.failed"></td>
+                    <td class="py-2" x-text="`${row.success_rate}%`"></td>
+                </tr>
+            </template>
+        </tbody>
+    </table>
+
+    <p x-show="error" x-text="error?.message" role="alert" class="text-sm text-red-600"></p>
+</div>
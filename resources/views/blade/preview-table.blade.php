@@ -0,0 +1,75 @@
+{{--
+    Bulk Action Preview Table (Alpine.js)
+
+    Renders the before/after preview of an enclosing `changePreview`
+    component: the number of affected records, then one row per record with
+    the changed cells showing their value before and after the action.
+    Changed columns are highlighted and records the action would delete are
+    struck through. "Run action" executes the previewed payload.
+
+    Usage:
+    <div x-data="changePreview({ perPage: 25 })">
+        <button @click="open({ action: 'update', model: 'App\\Models\\User', filters: { ids: selectedIds }, parameters: { data: { status: 'inactive' } } })">Preview</button>
+        @include('action-engine::blade.preview-table')
+    </div>
+--}}
+
+<div x-show="payload" x-cloak class="bulk-action-preview space-y-3" :aria-busy="String(isLoading)">
+    <p class="bulk-action-preview-total text-sm text-gray-700 dark:text-gray-300"
+       x-text="`${total} records will be affected.`"></p>
+
+    <p x-show="!rows.length && !isLoading" class="bulk-action-preview-empty text-sm text-gray-500 dark:text-gray-400">
+        No records match.
+    </p>
+
+    <div x-show="rows.length" class="overflow-x-auto rounded-md border border-gray-200 dark:border-gray-700">
+        <table class="bulk-action-preview-table min-w-full divide-y divide-gray-200 text-sm dark:divide-gray-700">
+            <thead class="bg-gray-50 dark:bg-gray-800">
+                <tr>
+                    <template x-for="column in columns" :key="column">
+                        <th scope="col"
+                            class="px-3 py-2 text-left font-medium"
+                            :class="changedColumns.includes(column) ? 'bulk-action-preview-changed text-amber-700 dark:text-amber-400' : 'text-gray-500 dark:text-gray-400'"
+                            x-text="column"></th>
+                    </template>
+                </tr>
+            </thead>
+            <tbody class="divide-y divide-gray-200 dark:divide-gray-700">
+                <template x-for="row in rows" :key="row.id">
+                    <tr :class="row.deleted && 'bulk-action-preview-deleted bg-red-50 line-through dark:bg-red-900/20'">
+                        <template x-for="column in columns" :key="column">
+                            <td class="px-3 py-2 text-gray-900 dark:text-gray-100"
+                                :class="isChanged(row, column) && 'bulk-action-preview-changed bg-amber-50 dark:bg-amber-900/20'">
+                                <template x-if="isChanged(row, column)">
+                                    <span>
+                                        <del class="text-red-600" x-text="row.before[column] ?? '—'"></del>
+                                        <ins class="text-green-700 no-underline dark:text-green-400" x-text="row.after?.[column] ?? '—'"></ins>
+                                    </span>
+                                </template>
+                                <template x-if="!isChanged(row, column)">
+                                    <span x-text="row.before[column] ?? '—'"></span>
+                                </template>
+                            </td>
+                        </template>
+                    </tr>
+                </template>
+            </tbody>
+        </table>
+    </div>
+
+    <nav x-show="meta && meta.last_page > 1" class="bulk-action-preview-pages flex items-center gap-2 text-sm">
+        <button type="button" :disabled="!hasPreviousPage" @click="previousPage()" class="disabled:opacity-50">Previous</button>
+        <span x-text="`Page ${meta?.current_page} of ${meta?.last_page}`"></span>
+        <button type="button" :disabled="!hasNextPage" @click="nextPage()" class="disabled:opacity-50">Next</button>
+    </nav>
+
+    <button type="button"
+            x-show="rows.length"
+            @click="execute()"
+            :disabled="isExecuting || isLoading"
+            class="bulk-action-preview-run rounded-md bg-blue-600 px-3 py-2 text-sm font-medium text-white hover:bg-blue-500 disabled:opacity-50">
+        Run action
+    </button>
+
+    <p x-show="error" x-text="error?.message" role="alert" class="bulk-action-preview-error text-sm text-red-600"></p>
+</div>
@@ -0,0 +1,68 @@
+{{--
+    Scheduled Bulk Actions List (Alpine.js)
+
+    Lists the user's scheduled actions, soonest first, using the
+    `scheduledActions` Alpine component. Each row shows the start time in
+    the action's own timezone with a countdown, a date-time input to
+    reschedule it (read in that same timezone) and a Cancel button. Due
+    actions leave the list as a `bulk-action-due` event.
+
+    @param int|null $hours Only list actions starting within n hours (default: all)
+    @param string $apiPrefix Base path of the bulk action routes
+
+    Usage:
+    <div x-data="bulkActions()" @bulk-action-due.window="track($event.detail)">...</div>
+    @include('action-engine::blade.scheduled-actions', ['hours' => 24])
+--}}
+
+@props(['hours' => null, 'apiPrefix' => '/api/bulk-actions'])
+
+<div x-data="scheduledActions({ apiPrefix: @js($apiPrefix), hours: @js($hours) })"
+     class="bulk-action-scheduled space-y-3">
+    <p x-show="!items.length && !isLoading" class="bulk-action-scheduled-empty text-sm text-gray-500 dark:text-gray-400">
+        No scheduled actions.
+    </p>
+    <p x-show="error" x-text="error?.message" role="alert" class="text-sm text-red-600"></p>
+
+    <ul x-show="items.length" class="divide-y divide-gray-200 dark:divide-gray-700">
+        <template x-for="item in items" :key="item.uuid">
+            <li class="bulk-action-scheduled-item space-y-2 py-3" :aria-busy="String(Boolean(loading[item.uuid]))">
+                <p class="text-sm font-medium text-gray-900 dark:text-gray-100"
+                   x-text="`&quot;${item.action_name}&quot; on ${item.total_records} records`"></p>
+                <p class="text-sm text-gray-600 dark:text-gray-400">
+                    <time :datetime="item.scheduled_for" x-text="formatTime(item)"></time>
+                    (starts in <span x-text="countdown(item)"></span>)
+                </p>
+
+                <div class="flex items-center gap-2">
+                    <form @submit.prevent="reschedule(item.uuid, $event.target.elements.scheduled_for.value, item.scheduled_timezone)"
+                          class="bulk-action-scheduled-reschedule flex items-center gap-2">
+                        <input type="datetime-local"
+                               name="scheduled_for"
+                               required
+                               aria-label="New start time"
+                               :value="inputValue(item)"
+                               class="rounded-md border-gray-300 text-sm dark:bg-gray-800 dark:border-gray-600">
+                        <button type="submit"
+                                :disabled="loading[item.uuid]"
+                                class="text-sm font-medium text-blue-600 hover:text-blue-500 disabled:opacity-50">
+                            Reschedule
+                        </button>
+                    </form>
+
+                    <button type="button"
+                            @click="cancel(item.uuid)"
+                            :disabled="loading[item.uuid]"
+                            class="text-sm font-medium text-red-600 hover:text-red-500 disabled:opacity-50">
+                        Cancel
+                    </button>
+                </div>
+
+                <p x-show="errors[item.uuid]"
+                   x-text="fieldError(item.uuid) || errors[item.uuid]?.message"
+                   role="alert"
+                   class="bulk-action-scheduled-error text-sm text-red-600"></p>
+            </li>
+        </template>
+    </ul>
+</div>
@@ -0,0 +1,62 @@
+{{--
+    Bulk Action Undo Toasts (Alpine.js)
+
+    A toast per undoable execution in the page-wide undo queue, with an
+    "Undo" button counting down to the end of its undo window. Once undone,
+    the toast shows the restored record count and a "Redo" button. The queue
+    is persisted, so the toasts come back after navigating to another page.
+
+    Usage (once, in the layout):
+    @include('action-engine::blade.undo-toast')
+
+    Feed it from any bulkAction or bulkActions component:
+    <div x-data="bulkAction({ undoQueue: true })">...</div>
+--}}
+
+<div x-data="undoQueue()"
+     x-show="items.length"
+     x-cloak
+     role="region"
+     aria-live="polite"
+     aria-label="Undo"
+     class="bulk-action-undo fixed bottom-4 right-4 z-50 w-80 space-y-2">
+    <template x-for="item in items" :key="item.uuid">
+        <div :data-status="item.status"
+             class="bulk-action-undo-toast flex items-start gap-3 rounded-lg bg-gray-900 p-4 text-sm text-white shadow-lg">
+            <div class="flex-1 space-y-1">
+                <template x-if="item.status === 'undone' || item.status === 'redoing'">
+                    <p x-text="`Restored ${item.restoredCount} records.`"></p>
+                </template>
+                <template x-if="item.status === 'available' || item.status === 'undoing'">
+                    <p x-text="`&quot;${item.execution.action_name}&quot; affected ${item.undoableCount ?? item.execution.total_records} records.`"></p>
+                </template>
+
+                <p x-show="item.error"
+                   x-text="item.error?.message"
+                   role="alert"
+                   class="bulk-action-undo-error text-red-300"></p>
+            </div>
+
+            <template x-if="item.status === 'available' || item.status === 'undoing'">
+                <button type="button"
+                        @click="undo(item.uuid)"
+                        :disabled="item.status === 'undoing'"
+                        x-text="item.remaining === null ? 'Undo' : `Undo (${countdown(item)})`"
+                        class="font-medium text-blue-300 hover:text-blue-200 disabled:opacity-50"></button>
+            </template>
+            <template x-if="item.status === 'undone' || item.status === 'redoing'">
+                <button type="button"
+                        @click="redo(item.uuid)"
+                        :disabled="item.status === 'redoing'"
+                        class="font-medium text-blue-300 hover:text-blue-200 disabled:opacity-50">
+                    Redo
+                </button>
+            </template>
+
+            <button type="button"
+                    @click="dismiss(item.uuid)"
+                    aria-label="Dismiss"
+                    class="bulk-action-undo-dismiss text-gray-400 hover:text-white">&times;</button>
+        </div>
+    </template>
+</div>
@@ -1,8 +1,14 @@
 <?php
 
 use DhruvilNagar\ActionEngine\Http\Controllers\Api\BulkActionController;
+use DhruvilNagar\ActionEngine\Http\Controllers\Api\ChainController;
+use DhruvilNagar\ActionEngine\Http\Controllers\Api\ExportController;
+use DhruvilNagar\ActionEngine\Http\Controllers\Api\FailureController;
+use DhruvilNagar\ActionEngine\Http\Controllers\Api\PreviewController;
 use DhruvilNagar\ActionEngine\Http\Controllers\Api\ProgressController;
+use DhruvilNagar\ActionEngine\Http\Controllers\Api\ScheduledActionController;
 use DhruvilNagar\ActionEngine\Http\Controllers\Api\UndoController;
+use DhruvilNagar\ActionEngine\Http\Controllers\MonitoringDashboardController;
 use Illuminate\Support\Facades\Route;
 
 $prefix = config('action-engine.routes.prefix', 'bulk-actions');
@@ -27,6 +33,46 @@ Route::middleware($middleware)
         Route::post('/preview', [BulkActionController::class, 'preview'])
             ->name('action-engine.preview');
 
+        // Page through the before/after values of a preview
+        Route::post('/preview/changes', [PreviewController::class, 'changes'])
+            ->name('action-engine.preview.changes');
+
+        // Get progress for multiple executions
+        Route::post('/progress', [ProgressController::class, 'batch'])
+            ->name('action-engine.progress.batch');
+
+        // List scheduled actions
+        Route::get('/scheduled', [ScheduledActionController::class, 'index'])
+            ->name('action-engine.scheduled');
+
+        // List export formats
+        Route::get('/exports/formats', [ExportController::class, 'formats'])
+            ->name('action-engine.exports.formats');
+
+        // Stream a small export straight to the browser
+        Route::post('/exports/stream', [ExportController::class, 'stream'])
+            ->name('action-engine.exports.stream');
+
+        // Monitoring dashboard data
+        if (config('action-engine.monitoring.dashboard.enabled', true)) {
+            Route::prefix('monitoring')
+                ->middleware(config('action-engine.monitoring.dashboard.middleware', ['can:viewActionEngineMonitoring']))
+                ->group(function () {
+                    Route::get('/overview', [MonitoringDashboardController::class, 'overview'])
+                        ->name('action-engine.monitoring.overview');
+                    Route::get('/metrics', [MonitoringDashboardController::class, 'metrics'])
+                        ->name('action-engine.monitoring.metrics');
+                    Route::get('/health', [MonitoringDashboardController::class, 'health'])
+                        ->name('action-engine.monitoring.health');
+                    Route::get('/actions', [MonitoringDashboardController::class, 'actionBreakdown'])
+                        ->name('action-engine.monitoring.actions');
+                    Route::get('/users', [MonitoringDashboardController::class, 'userActivity'])
+                        ->name('action-engine.monitoring.users');
+                    Route::get('/trends', [MonitoringDashboardController::class, 'performanceTrends'])
+                        ->name('action-engine.monitoring.trends');
+                });
+        }
+
         // Get execution details
         Route::get('/{uuid}', [BulkActionController::class, 'show'])
             ->name('action-engine.show');
@@ -35,6 +81,34 @@ Route::middleware($middleware)
         Route::post('/{uuid}/cancel', [BulkActionController::class, 'cancel'])
             ->name('action-engine.cancel');
 
+        // Reschedule a scheduled action
+        Route::post('/{uuid}/reschedule', [ScheduledActionController::class, 'reschedule'])
+            ->name('action-engine.reschedule');
+
+        // Download an export's file
+        Route::get('/{uuid}/download', [ExportController::class, 'download'])
+            ->name('action-engine.download');
+
+        // Page through failed records
+        Route::get('/{uuid}/failures', [FailureController::class, 'index'])
+            ->name('action-engine.failures');
+
+        // Retry the failed records only
+        Route::post('/{uuid}/retry-failed', [FailureController::class, 'retry'])
+            ->name('action-engine.retry-failed');
+
+        // Get the timeline of a chain
+        Route::get('/{uuid}/chain', [ChainController::class, 'show'])
+            ->name('action-engine.chain');
+
+        // Cancel the remaining steps of a chain
+        Route::post('/{uuid}/chain/cancel', [ChainController::class, 'cancel'])
+            ->name('action-engine.chain.cancel');
+
+        // Undo the completed steps of a chain
+        Route::post('/{uuid}/chain/undo', [ChainController::class, 'undo'])
+            ->name('action-engine.chain.undo');
+
         // Get progress
         Route::get('/{uuid}/progress', [ProgressController::class, 'show'])
             ->name('action-engine.progress');
@@ -10,6 +10,7 @@ use DhruvilNagar\ActionEngine\Actions\BuiltIn\ExportAction;
 use DhruvilNagar\ActionEngine\Actions\BuiltIn\RestoreAction;
 use DhruvilNagar\ActionEngine\Actions\BuiltIn\UpdateAction;
 use DhruvilNagar\ActionEngine\Console\Commands\CleanupCommand;
+use DhruvilNagar\ActionEngine\Console\Commands\GenerateTypesCommand;
 use DhruvilNagar\ActionEngine\Console\Commands\InstallCommand;
 use DhruvilNagar\ActionEngine\Console\Commands\ListActionsCommand;
 use DhruvilNagar\ActionEngine\Console\Commands\ProcessScheduledCommand;
@@ -24,6 +25,7 @@ use DhruvilNagar\ActionEngine\Support\RateLimiter;
 use DhruvilNagar\ActionEngine\Support\SchedulerService;
 use DhruvilNagar\ActionEngine\Support\UndoManager;
 use Illuminate\Console\Scheduling\Schedule;
+use Illuminate\Support\Facades\Gate;
 use Illuminate\Support\ServiceProvider;
 
 class ActionEngineServiceProvider extends ServiceProvider
@@ -46,6 +48,7 @@ class ActionEngineServiceProvider extends ServiceProvider
     {
         $this->registerPublishing();
         $this->registerCommands();
+        $this->registerGates();
         $this->registerRoutes();
         $this->registerMigrations();
         $this->registerViews();
@@ -129,20 +132,37 @@ class ActionEngineServiceProvider extends ServiceProvider
                 __DIR__ . '/../stubs/livewire' => app_path('Livewire/ActionEngine'),
             ], 'action-engine-livewire');
 
+            // Framework-agnostic JS core (shared by the Vue, React and Alpine bindings)
+            $jsCore = [
+                __DIR__ . '/../resources/js/core' => resource_path('js/vendor/core'),
+            ];
+
+            $this->publishes($jsCore, 'action-engine-core');
+
             // Vue Components
             $this->publishes([
                 __DIR__ . '/../resources/js/vue' => resource_path('js/vendor/action-engine'),
-            ], 'action-engine-vue');
+            ] + $jsCore, 'action-engine-vue');
 
             // React Components
             $this->publishes([
                 __DIR__ . '/../resources/js/react' => resource_path('js/vendor/action-engine'),
-            ], 'action-engine-react');
+            ] + $jsCore, 'action-engine-react');
 
             // Alpine.js Component
             $this->publishes([
                 __DIR__ . '/../resources/js/alpine' => resource_path('js/vendor/action-engine'),
-            ], 'action-engine-alpine');
+            ] + $jsCore, 'action-engine-alpine');
+
+            // Web Components (custom elements for any framework, or none)
+            $this->publishes([
+                __DIR__ . '/../resources/js/elements' => resource_path('js/vendor/elements'),
+            ] + $jsCore, 'action-engine-elements');
+
+            // Test helpers for the JS packages (fake API server and timers)
+            $this->publishes([
+                __DIR__ . '/../resources/js/testing' => resource_path('js/vendor/testing'),
+            ], 'action-engine-testing');
 
             // Filament Integration
             $this->publishes([
@@ -167,6 +187,7 @@ class ActionEngineServiceProvider extends ServiceProvider
                 CleanupCommand::class,
                 ProcessScheduledCommand::class,
                 ListActionsCommand::class,
+                GenerateTypesCommand::class,
             ]);
         }
     }
@@ -184,6 +205,19 @@ class ActionEngineServiceProvider extends ServiceProvider
         $this->loadRoutesFrom(__DIR__ . '/../routes/web.php');
     }
 
+    /**
+     * Register the gate guarding the monitoring endpoints, unless the
+     * application defines its own. It only opens them locally.
+     */
+    protected function registerGates(): void
+    {
+        if (Gate::has('viewActionEngineMonitoring')) {
+            return;
+        }
+
+        Gate::define('viewActionEngineMonitoring', fn ($user = null) => $this->app->environment('local'));
+    }
+
     /**
      * Register package migrations.
      */
@@ -207,11 +241,35 @@ class ActionEngineServiceProvider extends ServiceProvider
     {
         $registry = $this->app->make(ActionRegistry::class);
 
-        $registry->register('delete', DeleteAction::class);
+        // Parameter schemas let the JS bindings render forms for these actions
+        $registry->register('delete', DeleteAction::class, [
+            'parameters' => [
+                'force' => ['type' => 'boolean', 'label' => 'Permanently delete', 'default' => false],
+            ],
+        ]);
         $registry->register('restore', RestoreAction::class);
-        $registry->register('update', UpdateAction::class);
-        $registry->register('archive', ArchiveAction::class);
-        $registry->register('export', ExportAction::class);
+        $registry->register('update', UpdateAction::class, [
+            'parameters' => [
+                'data' => ['type' => 'object', 'label' => 'Attributes', 'required' => true],
+            ],
+        ]);
+        $registry->register('archive', ArchiveAction::class, [
+            'parameters' => [
+                'reason' => ['type' => 'text', 'label' => 'Reason'],
+            ],
+        ]);
+        $registry->register('export', ExportAction::class, [
+            'parameters' => [
+                'format' => [
+                    'type' => 'select',
+                    'options' => $this->app->make(ExportManager::class)->enabledFormats(),
+                    'default' => 'csv',
+                    'required' => true,
+                ],
+                'filename' => ['type' => 'string', 'label' => 'File name'],
+                'columns' => ['type' => 'array', 'description' => 'Comma separated, all columns when empty.'],
+            ],
+        ]);
     }
 
     /**
@@ -9,16 +9,19 @@ use DhruvilNagar\ActionEngine\Contracts\UndoManagerInterface;
 use DhruvilNagar\ActionEngine\Events\BulkActionCompleted;
 use DhruvilNagar\ActionEngine\Events\BulkActionFailed;
 use DhruvilNagar\ActionEngine\Events\BulkActionStarted;
+use DhruvilNagar\ActionEngine\Exceptions\IdempotencyException;
 use DhruvilNagar\ActionEngine\Exceptions\InvalidActionException;
 use DhruvilNagar\ActionEngine\Exceptions\RateLimitExceededException;
 use DhruvilNagar\ActionEngine\Exceptions\UnauthorizedBulkActionException;
 use DhruvilNagar\ActionEngine\Jobs\ProcessBulkActionBatch;
 use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
 use DhruvilNagar\ActionEngine\Models\BulkActionProgress;
+use DhruvilNagar\ActionEngine\Support\ActionChain;
 use DhruvilNagar\ActionEngine\Support\AuditLogger;
 use DhruvilNagar\ActionEngine\Support\RateLimiter;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Support\Facades\Bus;
+use Illuminate\Support\Facades\Cache;
 use Illuminate\Support\Facades\DB;
 use Illuminate\Support\Facades\Gate;
 
@@ -36,6 +39,58 @@ class ActionExecutor
      * Execute a bulk action from builder.
      */
     public function execute(BulkActionBuilder $builder): BulkActionExecution
+    {
+        if ($builder->getIdempotencyKey() !== null && config('action-engine.idempotency.enabled', true)) {
+            return $this->executeOnce($builder);
+        }
+
+        return $this->start($builder);
+    }
+
+    /**
+     * Execute unless an execution with the builder's idempotency key was
+     * already started, returning that one instead.
+     *
+     * @throws IdempotencyException When the key was used for another action, or is still being processed
+     */
+    protected function executeOnce(BulkActionBuilder $builder): BulkActionExecution
+    {
+        $user = $builder->getUser();
+        $scope = implode('|', [$user ? get_class($user) : '', $user?->getKey() ?? '', $builder->getIdempotencyKey()]);
+
+        $lock = Cache::lock('action-engine:idempotency:' . sha1($scope), config('action-engine.idempotency.lock_seconds', 10));
+
+        if (!$lock->get()) {
+            throw IdempotencyException::inProgress();
+        }
+
+        try {
+            $existing = BulkActionExecution::query()
+                ->where('idempotency_key', $builder->getIdempotencyKey())
+                ->where('user_id', $user?->getKey())
+                ->where('user_type', $user ? get_class($user) : null)
+                ->where('created_at', '>=', now()->subHours(config('action-engine.idempotency.ttl_hours', 24)))
+                ->latest('id')
+                ->first();
+
+            if ($existing) {
+                if ($existing->idempotency_hash !== $builder->getIdempotencyHash()) {
+                    throw IdempotencyException::keyReused();
+                }
+
+                return $existing;
+            }
+
+            return $this->start($builder);
+        } finally {
+            $lock->release();
+        }
+    }
+
+    /**
+     * Validate, authorize and start the action.
+     */
+    protected function start(BulkActionBuilder $builder): BulkActionExecution
     {
         // Validate the builder configuration
         $this->validate($builder);
@@ -89,12 +144,19 @@ class ActionExecutor
         if (!$this->registry->has($builder->getActionName())) {
             throw new InvalidActionException("Action '{$builder->getActionName()}' is not registered.");
         }
+
+        foreach ($builder->getChainConfig() as $index => $step) {
+            if (!$this->registry->has($step['action'])) {
+                $number = $index + 2;
+                throw new InvalidActionException("Action '{$step['action']}' (step {$number} of the chain) is not registered.");
+            }
+        }
     }
 
     /**
      * Check authorization.
      */
-    protected function authorize(BulkActionBuilder $builder): void
+    public function authorize(BulkActionBuilder $builder): void
     {
         if (!config('action-engine.authorization.enabled', true)) {
             return;
@@ -173,6 +235,8 @@ class ActionExecutor
                 'affected_count' => $dryRunResults['total_count'],
             ]),
             'completed_at' => now(),
+            'idempotency_key' => $builder->getIdempotencyKey(),
+            'idempotency_hash' => $builder->getIdempotencyKey() !== null ? $builder->getIdempotencyHash() : null,
         ]);
 
         return $execution;
@@ -196,13 +260,16 @@ class ActionExecutor
             'scheduled_timezone' => $builder->getScheduledTimezone(),
             'can_undo' => $builder->hasUndo(),
             'undo_expires_at' => $builder->hasUndo()
-                ? $builder->getScheduledFor()->addDays($builder->getUndoExpiryDays())
+                ? $builder->getScheduledFor()->copy()->addDays($builder->getUndoExpiryDays())
                 : null,
             'batch_size' => $builder->getBatchSize(),
             'queue_connection' => $builder->getQueueConnection(),
             'queue_name' => $builder->getQueueName(),
             'callbacks' => $this->serializeCallbacks($builder),
-            'chain_config' => $builder->getChainConfig(),
+            'chain_config' => $this->chainConfig($builder),
+            'parent_execution_uuid' => $builder->getParentExecutionUuid(),
+            'idempotency_key' => $builder->getIdempotencyKey(),
+            'idempotency_hash' => $builder->getIdempotencyKey() !== null ? $builder->getIdempotencyHash() : null,
         ]);
 
         return $execution;
@@ -232,7 +299,10 @@ class ActionExecutor
             'queue_connection' => $builder->getQueueConnection(),
             'queue_name' => $builder->getQueueName(),
             'callbacks' => $this->serializeCallbacks($builder),
-            'chain_config' => $builder->getChainConfig(),
+            'chain_config' => $this->chainConfig($builder),
+            'parent_execution_uuid' => $builder->getParentExecutionUuid(),
+            'idempotency_key' => $builder->getIdempotencyKey(),
+            'idempotency_hash' => $builder->getIdempotencyKey() !== null ? $builder->getIdempotencyHash() : null,
         ]);
 
         return $execution;
@@ -350,6 +420,7 @@ class ActionExecutor
                     $batchNumber++;
                     $batchAffectedIds = [];
                     $batchFailedIds = [];
+                    $batchFailures = [];
 
                     // Create progress tracking record for this batch
                     $progress = $execution->progress()->create([
@@ -382,6 +453,7 @@ class ActionExecutor
                         } catch (\Throwable $e) {
                             $failedCount++;
                             $batchFailedIds[] = $record->getKey();
+                            $batchFailures[] = $this->describeFailure($record->getKey(), $e);
                             $execution->incrementFailed();
                         }
                     }
@@ -393,11 +465,14 @@ class ActionExecutor
                         'failed_count' => count($batchFailedIds),
                         'affected_ids' => $batchAffectedIds,
                         'failed_ids' => $batchFailedIds,
+                        'error_details' => $batchFailures ? ['records' => $batchFailures] : null,
                         'completed_at' => now(),
                     ]);
                 }
             });
 
+            $this->afterComplete($execution, $handler);
+
             $execution->markAsCompleted();
             event(new BulkActionCompleted($execution));
 
@@ -422,6 +497,8 @@ class ActionExecutor
 
             throw $e;
         }
+
+        $this->continueChain($execution, true);
     }
 
     /**
@@ -476,6 +553,7 @@ class ActionExecutor
             $modelClass = $execution->model_type;
             $affectedIds = [];
             $failedIds = [];
+            $failures = [];
 
             $records = $modelClass::whereIn(
                 (new $modelClass)->getKeyName(),
@@ -493,6 +571,7 @@ class ActionExecutor
                     $execution->incrementProcessed();
                 } catch (\Throwable $e) {
                     $failedIds[] = $record->getKey();
+                    $failures[] = $this->describeFailure($record->getKey(), $e);
                     $execution->incrementFailed();
                 }
             }
@@ -502,6 +581,7 @@ class ActionExecutor
                 'completed_at' => now(),
                 'affected_ids' => $affectedIds,
                 'failed_ids' => $failedIds,
+                'error_details' => $failures ? ['records' => $failures] : null,
                 'processed_count' => count($affectedIds),
                 'failed_count' => count($failedIds),
             ]);
@@ -512,15 +592,29 @@ class ActionExecutor
             // Check if all batches are complete
             $this->checkExecutionCompletion($execution);
         } catch (\Throwable $e) {
+            // The whole batch failed, so every record in it can be retried
             $progress->markAsFailed($e->getMessage(), [
                 'exception' => get_class($e),
                 'trace' => $e->getTraceAsString(),
-            ]);
+            ], $recordIds);
 
             throw $e;
         }
     }
 
+    /**
+     * A failed record for the failure report: its id, the exception's
+     * short class name as the error type, and the message.
+     */
+    protected function describeFailure(mixed $id, \Throwable $e): array
+    {
+        return [
+            'id' => $id,
+            'type' => class_basename($e),
+            'message' => $e->getMessage(),
+        ];
+    }
+
     /**
      * Check if execution is complete.
      */
@@ -531,12 +625,68 @@ class ActionExecutor
             ->count();
 
         if ($pendingBatches === 0) {
+            try {
+                $this->afterComplete($execution, $this->registry->get($execution->action_name));
+            } catch (\Throwable $e) {
+                $execution->markAsFailed(['message' => $e->getMessage(), 'trace' => $e->getTraceAsString()]);
+                event(new BulkActionFailed($execution, $e));
+
+                if (config('action-engine.audit.enabled', true)) {
+                    $this->auditLogger->logFailed($execution, $e);
+                }
+
+                return;
+            }
+
             $execution->markAsCompleted();
             event(new BulkActionCompleted($execution));
 
             if (config('action-engine.audit.enabled', true)) {
                 $this->auditLogger->logCompleted($execution);
             }
+
+            $this->continueChain($execution, false);
+        }
+    }
+
+    /**
+     * Start the next step of the chain this execution is part of.
+     */
+    protected function continueChain(BulkActionExecution $execution, bool $sync): void
+    {
+        if (!empty($execution->chain_config)) {
+            ActionChain::of($execution)->advance($execution, $sync);
+        }
+    }
+
+    /**
+     * The chain stored on its first step: the later steps and the undo
+     * window they inherit. Later steps store their step number.
+     */
+    protected function chainConfig(BulkActionBuilder $builder): ?array
+    {
+        if ($builder->getParentExecutionUuid()) {
+            return ['step' => $builder->getChainStep()];
+        }
+
+        if (empty($builder->getChainConfig())) {
+            return null;
+        }
+
+        return [
+            'steps' => $builder->getChainConfig(),
+            'undo_expiry_days' => $builder->hasUndo() ? $builder->getUndoExpiryDays() : null,
+        ];
+    }
+
+    /**
+     * Let the action finish up (e.g. write the export file) before the
+     * execution is reported as completed.
+     */
+    protected function afterComplete(BulkActionExecution $execution, Closure|ActionInterface $handler): void
+    {
+        if ($handler instanceof ActionInterface) {
+            $handler->afterComplete(['execution' => $execution]);
         }
     }
 
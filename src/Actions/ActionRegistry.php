@@ -55,7 +55,11 @@ class ActionRegistry
      *   - color: Color scheme identifier
      *   - confirmation_required: Whether to show confirmation dialog
      *   - confirmation_message: Custom confirmation message
-     *   - parameters: Expected parameters schema
+     *   - parameters: Expected parameters schema, keyed by parameter name. Each entry is
+     *     a type string or an array with `type` (string, text, email, integer, number,
+     *     boolean, select, date, datetime, array, object), `label`, `required`,
+     *     `default`, `options`, `min`, `max`, `description` and `placeholder`.
+     *     The JS bindings use it to render and validate parameter forms.
      * @return void
      */
     public function register(string $name, Closure|string $handler, array $options = []): void
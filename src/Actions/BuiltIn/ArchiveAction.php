@@ -3,9 +3,10 @@
 namespace DhruvilNagar\ActionEngine\Actions\BuiltIn;
 
 use DhruvilNagar\ActionEngine\Contracts\ActionInterface;
+use DhruvilNagar\ActionEngine\Contracts\PreviewableActionInterface;
 use Illuminate\Database\Eloquent\Model;
 
-class ArchiveAction implements ActionInterface
+class ArchiveAction implements ActionInterface, PreviewableActionInterface
 {
     /**
      * Default archive column name.
@@ -18,6 +19,11 @@ class ArchiveAction implements ActionInterface
     protected string $reasonColumn = 'archive_reason';
 
     public function execute(Model $record, array $parameters = []): bool
+    {
+        return $record->update($this->previewChanges($record, $parameters));
+    }
+
+    public function previewChanges(Model $record, array $parameters = []): ?array
     {
         $archiveColumn = $parameters['archive_column'] ?? $this->archiveColumn;
         $reasonColumn = $parameters['reason_column'] ?? $this->reasonColumn;
@@ -32,7 +38,7 @@ class ArchiveAction implements ActionInterface
             $data[$reasonColumn] = $reason;
         }
 
-        return $record->update($data);
+        return $data;
     }
 
     public function getName(): string
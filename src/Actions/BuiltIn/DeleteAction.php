@@ -3,10 +3,11 @@
 namespace DhruvilNagar\ActionEngine\Actions\BuiltIn;
 
 use DhruvilNagar\ActionEngine\Contracts\ActionInterface;
+use DhruvilNagar\ActionEngine\Contracts\PreviewableActionInterface;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Database\Eloquent\SoftDeletes;
 
-class DeleteAction implements ActionInterface
+class DeleteAction implements ActionInterface, PreviewableActionInterface
 {
     public function execute(Model $record, array $parameters = []): bool
     {
@@ -19,6 +20,15 @@ class DeleteAction implements ActionInterface
         return $record->delete();
     }
 
+    public function previewChanges(Model $record, array $parameters = []): ?array
+    {
+        if (!empty($parameters['force']) || !$this->usesSoftDeletes($record)) {
+            return null;
+        }
+
+        return [$record->getDeletedAtColumn() => now()];
+    }
+
     public function getName(): string
     {
         return 'delete';
@@ -4,39 +4,23 @@ namespace DhruvilNagar\ActionEngine\Actions\BuiltIn;
 
 use DhruvilNagar\ActionEngine\Contracts\ActionInterface;
 use DhruvilNagar\ActionEngine\Exceptions\InvalidActionException;
+use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use DhruvilNagar\ActionEngine\Support\ExportManager;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Support\Facades\Storage;
 
+/**
+ * Export the matching records to a file.
+ *
+ * Batches only mark records as exported; once every batch has finished,
+ * afterComplete() writes the file from the processed records (so queued
+ * batches on different workers end up in one file) and records where it
+ * is on the execution's `export_file`.
+ */
 class ExportAction implements ActionInterface
 {
-    /**
-     * Collected records for batch export.
-     */
-    protected static array $exportBuffer = [];
-
-    /**
-     * Current export ID.
-     */
-    protected static ?string $currentExportId = null;
-
     public function execute(Model $record, array $parameters = []): bool
     {
-        $exportId = $parameters['export_id'] ?? uniqid('export_');
-        $columns = $parameters['columns'] ?? ['*'];
-
-        // Initialize buffer for this export
-        if (self::$currentExportId !== $exportId) {
-            self::$exportBuffer = [];
-            self::$currentExportId = $exportId;
-        }
-
-        // Get data from record
-        $data = $columns === ['*'] 
-            ? $record->toArray() 
-            : $record->only($columns);
-
-        self::$exportBuffer[] = $data;
-
         return true;
     }
 
@@ -63,7 +47,7 @@ class ExportAction implements ActionInterface
     public function validateParameters(array $parameters): array
     {
         $format = $parameters['format'] ?? 'csv';
-        $validFormats = config('action-engine.export.formats', ['csv', 'xlsx', 'pdf']);
+        $validFormats = app(ExportManager::class)->enabledFormats();
 
         if (!in_array($format, $validFormats)) {
             throw new InvalidActionException("Invalid export format: {$format}");
@@ -71,9 +55,8 @@ class ExportAction implements ActionInterface
 
         return [
             'format' => $format,
-            'columns' => $parameters['columns'] ?? ['*'],
+            'columns' => $this->columns($parameters['columns'] ?? null),
             'filename' => $parameters['filename'] ?? null,
-            'export_id' => $parameters['export_id'] ?? uniqid('export_'),
         ];
     }
 
@@ -82,97 +65,97 @@ class ExportAction implements ActionInterface
         return [];
     }
 
+    /**
+     * Write the export file once every batch has finished.
+     *
+     * @param array $results `execution`: the completed BulkActionExecution
+     */
     public function afterComplete(array $results): void
     {
-        if (empty(self::$exportBuffer)) {
+        $execution = $results['execution'] ?? null;
+
+        if (!$execution instanceof BulkActionExecution) {
             return;
         }
 
-        $format = $results['format'] ?? 'csv';
-        $filename = $results['filename'] ?? 'export_' . date('Y-m-d_His');
+        $parameters = $this->validateParameters($execution->parameters ?? []);
+        $exports = app(ExportManager::class);
         $disk = config('action-engine.export.disk', 'local');
-        $directory = config('action-engine.export.directory', 'bulk-action-exports');
-
-        $filePath = "{$directory}/{$filename}.{$format}";
-
-        // Generate the export file
-        $this->generateExportFile($format, $filePath, $disk);
-
-        // Clear buffer
-        self::$exportBuffer = [];
-        self::$currentExportId = null;
-    }
-
-    protected function generateExportFile(string $format, string $filePath, string $disk): void
-    {
-        switch ($format) {
-            case 'csv':
-                $this->generateCsv($filePath, $disk);
-                break;
-            case 'xlsx':
-                $this->generateXlsx($filePath, $disk);
-                break;
-            case 'pdf':
-                $this->generatePdf($filePath, $disk);
-                break;
-        }
-    }
-
-    protected function generateCsv(string $filePath, string $disk): void
-    {
-        if (empty(self::$exportBuffer)) {
-            return;
-        }
 
-        $headers = array_keys(self::$exportBuffer[0]);
-        $csv = implode(',', $headers) . "\n";
+        $filename = $exports->filename(
+            $parameters['filename'] ?: "{$execution->action_name}_{$execution->uuid}",
+            $parameters['format']
+        );
 
-        foreach (self::$exportBuffer as $row) {
-            $csv .= implode(',', array_map(function ($value) {
-                if (is_array($value)) {
-                    $value = json_encode($value);
+        $path = $exports->exportChunked(
+            function (callable $write, int $chunkSize) use ($execution, $parameters) {
+                foreach ($this->chunks($execution, $parameters['columns'], $chunkSize) as $rows) {
+                    $write($rows);
                 }
-                return '"' . str_replace('"', '""', (string) $value) . '"';
-            }, $row)) . "\n";
-        }
-
-        Storage::disk($disk)->put($filePath, $csv);
+            },
+            $parameters['format'],
+            $filename,
+            $disk,
+            [
+                'include_headers' => true,
+                'chunk_size' => config('action-engine.export.chunk_size', 1000),
+                // Filenames come from users, so each execution gets its own directory
+                'directory' => config('action-engine.export.directory', 'bulk-action-exports') . "/{$execution->uuid}",
+            ]
+        );
+
+        $execution->update([
+            'export_file' => [
+                'disk' => $disk,
+                'path' => $path,
+                'filename' => $filename,
+                'format' => $parameters['format'],
+                'mime_type' => $exports->mimeType($parameters['format']),
+                'size' => Storage::disk($disk)->size($path),
+            ],
+        ]);
     }
 
-    protected function generateXlsx(string $filePath, string $disk): void
+    /**
+     * The processed records of an execution, as rows, one chunk at a time.
+     */
+    protected function chunks(BulkActionExecution $execution, array $columns, int $chunkSize): \Generator
     {
-        // This would use maatwebsite/excel if available
-        // Fallback to CSV if not
-        if (!class_exists(\Maatwebsite\Excel\Facades\Excel::class)) {
-            $this->generateCsv(str_replace('.xlsx', '.csv', $filePath), $disk);
-            return;
+        $modelClass = $execution->model_type;
+        $keyName = (new $modelClass)->getKeyName();
+
+        foreach ($execution->progress()->orderBy('batch_number')->lazy() as $batch) {
+            foreach (array_chunk($batch->affected_ids ?? [], $chunkSize) as $ids) {
+                yield $modelClass::whereIn($keyName, $ids)
+                    ->orderBy($keyName)
+                    ->get()
+                    ->map(fn (Model $record) => $this->row($record, $columns))
+                    ->all();
+            }
         }
-
-        // Implementation with maatwebsite/excel would go here
-        $this->generateCsv(str_replace('.xlsx', '.csv', $filePath), $disk);
-    }
-
-    protected function generatePdf(string $filePath, string $disk): void
-    {
-        // This would use barryvdh/laravel-dompdf if available
-        // For now, we'll skip PDF generation
-        throw new InvalidActionException('PDF export requires barryvdh/laravel-dompdf package.');
     }
 
     /**
-     * Get the generated file path.
+     * A record as a row of the given columns.
      */
-    public static function getExportPath(): ?string
+    public function row(Model $record, array $columns): array
     {
-        return self::$currentExportId;
+        return $columns === ['*']
+            ? $record->toArray()
+            : $record->only($columns);
     }
 
     /**
-     * Clear the export buffer.
+     * Normalize the `columns` parameter: a list, a comma separated string, or all.
      */
-    public static function clearBuffer(): void
+    protected function columns(mixed $columns): array
     {
-        self::$exportBuffer = [];
-        self::$currentExportId = null;
+        if (is_string($columns)) {
+            $columns = explode(',', $columns);
+        }
+
+        $columns = array_values(array_filter(array_map('trim', (array) $columns)));
+
+        return $columns ?: ['*'];
     }
 }
@@ -3,11 +3,12 @@
 namespace DhruvilNagar\ActionEngine\Actions\BuiltIn;
 
 use DhruvilNagar\ActionEngine\Contracts\ActionInterface;
+use DhruvilNagar\ActionEngine\Contracts\PreviewableActionInterface;
 use DhruvilNagar\ActionEngine\Exceptions\InvalidActionException;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Database\Eloquent\SoftDeletes;
 
-class RestoreAction implements ActionInterface
+class RestoreAction implements ActionInterface, PreviewableActionInterface
 {
     public function execute(Model $record, array $parameters = []): bool
     {
@@ -18,6 +19,15 @@ class RestoreAction implements ActionInterface
         return $record->restore();
     }
 
+    public function previewChanges(Model $record, array $parameters = []): ?array
+    {
+        if (!$this->usesSoftDeletes($record)) {
+            throw new InvalidActionException('Model does not support soft deletes.');
+        }
+
+        return [$record->getDeletedAtColumn() => null];
+    }
+
     public function getName(): string
     {
         return 'restore';
@@ -3,10 +3,11 @@
 namespace DhruvilNagar\ActionEngine\Actions\BuiltIn;
 
 use DhruvilNagar\ActionEngine\Contracts\ActionInterface;
+use DhruvilNagar\ActionEngine\Contracts\PreviewableActionInterface;
 use DhruvilNagar\ActionEngine\Exceptions\InvalidActionException;
 use Illuminate\Database\Eloquent\Model;
 
-class UpdateAction implements ActionInterface
+class UpdateAction implements ActionInterface, PreviewableActionInterface
 {
     public function execute(Model $record, array $parameters = []): bool
     {
@@ -22,6 +23,11 @@ class UpdateAction implements ActionInterface
         return $record->update($data);
     }
 
+    public function previewChanges(Model $record, array $parameters = []): ?array
+    {
+        return $this->validateParameters($parameters)['data'];
+    }
+
     public function getName(): string
     {
         return 'update';
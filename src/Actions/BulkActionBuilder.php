@@ -5,6 +5,7 @@ namespace DhruvilNagar\ActionEngine\Actions;
 use Carbon\Carbon;
 use Closure;
 use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use DhruvilNagar\ActionEngine\Support\SchedulerService;
 use Illuminate\Database\Eloquent\Builder;
 use Illuminate\Support\Collection;
 use Illuminate\Support\Facades\Auth;
@@ -137,6 +138,21 @@ class BulkActionBuilder
      */
     protected array $chainConfig = [];
 
+    /**
+     * UUID of the first step, when this action is a later step of a chain.
+     */
+    protected ?string $parentExecutionUuid = null;
+
+    /**
+     * Step number of this action in its chain.
+     */
+    protected ?int $chainStep = null;
+
+    /**
+     * Key identifying the submission, so that a retry does not run the action twice.
+     */
+    protected ?string $idempotencyKey = null;
+
     /**
      * Create a new builder instance.
      */
@@ -273,10 +289,12 @@ class BulkActionBuilder
 
     /**
      * Schedule for later execution.
+     *
+     * A date string without an offset is read in the given timezone.
      */
     public function scheduleFor(string|Carbon $datetime, ?string $timezone = null): self
     {
-        $this->scheduledFor = $datetime instanceof Carbon ? $datetime : Carbon::parse($datetime);
+        $this->scheduledFor = SchedulerService::toAppTime($datetime, $timezone);
         $this->scheduledTimezone = $timezone;
         return $this;
     }
@@ -347,10 +365,39 @@ class BulkActionBuilder
 
     /**
      * Configure action chaining.
+     *
+     * The actions run one after the other once this one has completed, on
+     * the same records. Each is an action name or `['action' => ...,
+     * 'parameters' => [...]]`.
      */
     public function chain(array $actions): self
     {
-        $this->chainConfig = $actions;
+        $this->chainConfig = array_values(array_map(fn ($step) => is_string($step)
+            ? ['action' => $step, 'parameters' => []]
+            : ['action' => $step['action'], 'parameters' => $step['parameters'] ?? []],
+            $actions
+        ));
+        return $this;
+    }
+
+    /**
+     * Run this action as the given step of the chain started by the given
+     * execution.
+     */
+    public function partOfChain(string $parentExecutionUuid, int $step): self
+    {
+        $this->parentExecutionUuid = $parentExecutionUuid;
+        $this->chainStep = $step;
+        return $this;
+    }
+
+    /**
+     * Identify the submission: executing again with the same key returns the
+     * execution the first call started, for the same user.
+     */
+    public function idempotencyKey(?string $key): self
+    {
+        $this->idempotencyKey = $key;
         return $this;
     }
 
@@ -540,6 +587,39 @@ class BulkActionBuilder
         return $this->chainConfig;
     }
 
+    public function getParentExecutionUuid(): ?string
+    {
+        return $this->parentExecutionUuid;
+    }
+
+    public function getChainStep(): ?int
+    {
+        return $this->chainStep;
+    }
+
+    public function getIdempotencyKey(): ?string
+    {
+        return $this->idempotencyKey;
+    }
+
+    /**
+     * Hash of what the action would do, to tell a retried submission from
+     * another one reusing its idempotency key.
+     */
+    public function getIdempotencyHash(): string
+    {
+        return hash('sha256', json_encode([
+            ltrim((string) $this->modelClass, '\\'),
+            $this->actionName,
+            $this->getSerializableFilters(),
+            $this->parameters,
+            $this->isDryRun,
+            $this->withUndo ? $this->undoExpiryDays : null,
+            $this->scheduledFor?->toIso8601String(),
+            $this->chainConfig,
+        ]));
+    }
+
     public function getTargetIds(): array
     {
         return $this->targetIds;
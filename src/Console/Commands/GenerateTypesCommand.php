@@ -0,0 +1,36 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Console\Commands;
+
+use DhruvilNagar\ActionEngine\Support\TypeScriptSchemaGenerator;
+use Illuminate\Console\Command;
+use Illuminate\Support\Facades\File;
+
+class GenerateTypesCommand extends Command
+{
+    /**
+     * The name and signature of the console command.
+     */
+    protected $signature = 'action-engine:types
+                            {--path= : Where to write the schema (defaults to the published JS core)}';
+
+    /**
+     * The console command description.
+     */
+    protected $description = 'Generate the TypeScript schema for the JS bindings from the registered actions';
+
+    /**
+     * Execute the console command.
+     */
+    public function handle(TypeScriptSchemaGenerator $generator): int
+    {
+        $path = $this->option('path') ?: resource_path('js/vendor/core/schema.d.ts');
+
+        File::ensureDirectoryExists(dirname($path));
+        File::put($path, $generator->generate());
+
+        $this->info("TypeScript schema written to [{$path}].");
+
+        return Command::SUCCESS;
+    }
+}
@@ -2,10 +2,13 @@
 
 namespace DhruvilNagar\ActionEngine\Contracts;
 
-use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Support\Collection;
 
 /**
  * Interface for export driver implementations.
+ *
+ * Drivers turn rows into file contents; ExportManager stores them on disk
+ * or streams them to the browser with the driver's MIME type.
  */
 interface ExportDriverInterface
 {
@@ -20,28 +23,11 @@ interface ExportDriverInterface
     public function getMimeType(): string;
 
     /**
-     * Export data from a query to a file.
+     * Generate the file contents for the given rows.
      *
-     * @param Builder $query
-     * @param string $filePath
-     * @param array $columns Columns to export
-     * @param array $options Additional options
-     * @return string The path to the generated file
+     * @param Collection $data Rows as associative arrays
+     * @param array $options Driver-specific options
+     * @return string The file contents
      */
-    public function export(Builder $query, string $filePath, array $columns, array $options = []): string;
-
-    /**
-     * Stream export (for large datasets).
-     *
-     * @param Builder $query
-     * @param array $columns
-     * @param array $options
-     * @return \Generator
-     */
-    public function stream(Builder $query, array $columns, array $options = []): \Generator;
-
-    /**
-     * Get the display name of this export format.
-     */
-    public function getLabel(): string;
+    public function generate(Collection $data, array $options = []): string;
 }
@@ -0,0 +1,22 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Contracts;
+
+use Illuminate\Database\Eloquent\Model;
+
+/**
+ * Actions that can tell what they would change on a record, so that
+ * previews show before/after values.
+ */
+interface PreviewableActionInterface
+{
+    /**
+     * Get the attributes the action would set on a record, without
+     * changing it.
+     *
+     * @param Model $record The record to preview the action on
+     * @param array $parameters Action-specific parameters
+     * @return array|null The new attribute values, or null when the record would be deleted
+     */
+    public function previewChanges(Model $record, array $parameters = []): ?array;
+}
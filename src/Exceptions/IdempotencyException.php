@@ -0,0 +1,69 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Exceptions;
+
+use Exception;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+
+/**
+ * IdempotencyException
+ *
+ * Thrown when a request to execute an action carries an Idempotency-Key
+ * that cannot be honored:
+ * 1. The key was already used for a different action, model, filters or
+ *    options (422, as a validation error on `idempotency_key`)
+ * 2. Another request with the same key is still starting the action (409);
+ *    retrying shortly after returns the execution it started
+ *
+ * HTTP Status Code: 422 Unprocessable Entity or 409 Conflict
+ */
+class IdempotencyException extends Exception
+{
+    /**
+     * Create exception for a key reused with another payload.
+     *
+     * @return static
+     */
+    public static function keyReused(): static
+    {
+        return new static(
+            'This Idempotency-Key was already used for a different bulk action. Use a new key for each submission.',
+            422
+        );
+    }
+
+    /**
+     * Create exception for a key another request is still processing.
+     *
+     * @return static
+     */
+    public static function inProgress(): static
+    {
+        return new static(
+            'A request with this Idempotency-Key is still being processed. Retry shortly to get its result.',
+            409
+        );
+    }
+
+    /**
+     * Render the exception as a 409 or 422 response for JSON requests.
+     */
+    public function render(Request $request): ?JsonResponse
+    {
+        if (!$request->expectsJson()) {
+            return null;
+        }
+
+        $body = [
+            'success' => false,
+            'message' => $this->getMessage(),
+        ];
+
+        if ($this->getCode() === 422) {
+            $body['errors'] = ['idempotency_key' => [$this->getMessage()]];
+        }
+
+        return response()->json($body, $this->getCode(), $this->getCode() === 409 ? ['Retry-After' => '1'] : []);
+    }
+}
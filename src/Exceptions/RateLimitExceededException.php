@@ -3,6 +3,8 @@
 namespace DhruvilNagar\ActionEngine\Exceptions;
 
 use Exception;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
 
 /**
  * RateLimitExceededException
@@ -13,8 +15,9 @@ use Exception;
  * 1. Too many concurrent active actions
  * 2. Action initiated during cooldown period
  * 
- * This exception should be caught and presented with a user-friendly
- * message indicating when they can retry.
+ * JSON requests render as a 429 carrying the message, `retry_after`
+ * (seconds) and a matching Retry-After header, which the JS client
+ * surfaces as a RateLimitedError.
  * 
  * HTTP Status Code: 429 Too Many Requests
  */
@@ -69,4 +72,34 @@ class RateLimitExceededException extends Exception
     {
         return $this->retryAfter;
     }
+
+    /**
+     * Set the number of seconds until retry is allowed.
+     *
+     * @param int $seconds Seconds until the user may retry
+     * @return $this
+     */
+    public function withRetryAfter(int $seconds): static
+    {
+        $this->retryAfter = time() + $seconds;
+        return $this;
+    }
+
+    /**
+     * Render the exception as a 429 response for JSON requests.
+     */
+    public function render(Request $request): ?JsonResponse
+    {
+        if (!$request->expectsJson()) {
+            return null;
+        }
+
+        $seconds = $this->retryAfter !== null ? max(0, $this->retryAfter - time()) : null;
+
+        return response()->json([
+            'success' => false,
+            'message' => $this->getMessage(),
+            'retry_after' => $seconds,
+        ], 429, $seconds !== null ? ['Retry-After' => (string) $seconds] : []);
+    }
 }
@@ -3,6 +3,8 @@
 namespace DhruvilNagar\ActionEngine\Exceptions;
 
 use Exception;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
 
 /**
  * UnauthorizedBulkActionException
@@ -10,7 +12,8 @@ use Exception;
  * Thrown when a user attempts to execute a bulk action without proper authorization.
  * 
  * This exception is triggered by failed Gate checks or explicit permission denials.
- * It should be caught and presented to users with an appropriate access denied message.
+ * JSON requests render as a 403 carrying the message, which the JS client
+ * surfaces as an AuthorizationError.
  * 
  * HTTP Status Code: 403 Forbidden
  */
@@ -52,4 +55,19 @@ class UnauthorizedBulkActionException extends Exception
             "Policy denied execution of '{$actionName}' action on {$modelClass}."
         );
     }
+
+    /**
+     * Render the exception as a 403 response for JSON requests.
+     */
+    public function render(Request $request): ?JsonResponse
+    {
+        if (!$request->expectsJson()) {
+            return null;
+        }
+
+        return response()->json([
+            'success' => false,
+            'message' => $this->getMessage(),
+        ], 403);
+    }
 }
@@ -24,7 +24,7 @@ use Illuminate\Support\Facades\Facade;
  * @method static \DhruvilNagar\ActionEngine\Models\BulkActionExecution execute()
  * @method static int count()
  * @method static \Illuminate\Support\Collection preview(int $limit = 10)
- * @method static \DhruvilNagar\ActionEngine\Actions\ActionChain chain(array $actions)
+ * @method static \DhruvilNagar\ActionEngine\Actions\BulkActionBuilder chain(array $actions)
  *
  * @see \DhruvilNagar\ActionEngine\Actions\BulkActionBuilder
  */
@@ -6,20 +6,26 @@ use DhruvilNagar\ActionEngine\Actions\ActionExecutor;
 use DhruvilNagar\ActionEngine\Actions\ActionRegistry;
 use DhruvilNagar\ActionEngine\Actions\BulkActionBuilder;
 use DhruvilNagar\ActionEngine\Events\BulkActionCancelled;
+use DhruvilNagar\ActionEngine\Http\Controllers\Concerns\AppliesFilters;
 use DhruvilNagar\ActionEngine\Http\Requests\ExecuteBulkActionRequest;
 use DhruvilNagar\ActionEngine\Http\Requests\PreviewBulkActionRequest;
 use DhruvilNagar\ActionEngine\Http\Resources\BulkActionExecutionResource;
 use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
 use DhruvilNagar\ActionEngine\Support\AuditLogger;
+use DhruvilNagar\ActionEngine\Support\ChangePreview;
+use DhruvilNagar\ActionEngine\Support\SafetyManager;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Http\Request;
 use Illuminate\Routing\Controller;
 
 class BulkActionController extends Controller
 {
+    use AppliesFilters;
+
     public function __construct(
         protected ActionExecutor $executor,
-        protected ActionRegistry $registry
+        protected ActionRegistry $registry,
+        protected SafetyManager $safety
     ) {}
 
     /**
@@ -89,8 +95,21 @@ class BulkActionController extends Controller
             $this->applyOptions($builder, $validated['options']);
         }
 
+        // A retried submission gets the execution the first one started
+        if (!empty($validated['idempotency_key'])) {
+            $builder->idempotencyKey($validated['idempotency_key']);
+        }
+
         $execution = $builder->execute();
 
+        if (!$execution->wasRecentlyCreated) {
+            return response()->json([
+                'success' => true,
+                'data' => new BulkActionExecutionResource($execution),
+                'message' => 'Bulk action already initiated.',
+            ], 200, ['Idempotent-Replayed' => 'true']);
+        }
+
         return response()->json([
             'success' => true,
             'data' => new BulkActionExecutionResource($execution),
@@ -114,16 +133,16 @@ class BulkActionController extends Controller
     }
 
     /**
-     * Cancel a pending or processing action.
+     * Cancel a pending, processing or scheduled action.
      */
     public function cancel(string $uuid): JsonResponse
     {
         $execution = BulkActionExecution::where('uuid', $uuid)->firstOrFail();
 
-        if (!$execution->isInProgress()) {
+        if (!$execution->isInProgress() && $execution->status !== BulkActionExecution::STATUS_SCHEDULED) {
             return response()->json([
                 'success' => false,
-                'message' => 'Only pending or processing actions can be cancelled.',
+                'message' => 'Only pending, processing or scheduled actions can be cancelled.',
             ], 422);
         }
 
@@ -169,6 +188,19 @@ class BulkActionController extends Controller
         $previewLimit = $validated['preview_limit'] ?? 10;
         $details['preview'] = $builder->preview($previewLimit);
 
+        // Before/after values of the sample records, for actions that can tell them
+        $changes = $this->registry->has($validated['action'])
+            ? new ChangePreview($builder, $this->registry->get($validated['action']))
+            : null;
+        $details['changes'] = $changes?->supported() ? $changes->forRecords($details['preview']) : null;
+
+        // Confirmation steps the client must run before the real execution
+        $details['safety'] = $this->safety->assess(
+            $validated['action'],
+            $details['total_count'],
+            $request->user()
+        );
+
         return response()->json([
             'success' => true,
             'data' => $details,
@@ -180,62 +212,18 @@ class BulkActionController extends Controller
      */
     public function actions(): JsonResponse
     {
+        $actions = collect($this->registry->allWithMetadata())
+            ->map(fn (array $metadata, string $name) => array_merge($metadata, [
+                'destructive' => $this->safety->requiresConfirmation($name),
+            ]))
+            ->all();
+
         return response()->json([
             'success' => true,
-            'data' => $this->registry->allWithMetadata(),
+            'data' => $actions,
         ]);
     }
 
-    /**
-     * Apply filters to builder.
-     */
-    protected function applyFilters(BulkActionBuilder $builder, array $filters): void
-    {
-        // Apply IDs filter
-        if (!empty($filters['ids'])) {
-            $builder->ids($filters['ids']);
-        }
-
-        // Apply WHERE conditions
-        if (!empty($filters['where'])) {
-            foreach ($filters['where'] as $condition) {
-                if (is_array($condition) && count($condition) >= 2) {
-                    $column = $condition[0];
-                    $operator = count($condition) === 3 ? $condition[1] : '=';
-                    $value = count($condition) === 3 ? $condition[2] : $condition[1];
-                    $builder->where($column, $operator, $value);
-                }
-            }
-        }
-
-        // Apply whereIn conditions
-        if (!empty($filters['where_in'])) {
-            foreach ($filters['where_in'] as $condition) {
-                if (is_array($condition) && count($condition) === 2) {
-                    $builder->whereIn($condition[0], $condition[1]);
-                }
-            }
-        }
-
-        // Apply whereNotIn conditions
-        if (!empty($filters['where_not_in'])) {
-            foreach ($filters['where_not_in'] as $condition) {
-                if (is_array($condition) && count($condition) === 2) {
-                    $builder->whereNotIn($condition[0], $condition[1]);
-                }
-            }
-        }
-
-        // Apply whereBetween conditions
-        if (!empty($filters['where_between'])) {
-            foreach ($filters['where_between'] as $condition) {
-                if (is_array($condition) && count($condition) === 2) {
-                    $builder->whereBetween($condition[0], $condition[1]);
-                }
-            }
-        }
-    }
-
     /**
      * Apply options to builder.
      */
@@ -264,5 +252,9 @@ class BulkActionController extends Controller
         if (!empty($options['dry_run'])) {
             $builder->dryRun();
         }
+
+        if (!empty($options['chain'])) {
+            $builder->chain($options['chain']);
+        }
     }
 }
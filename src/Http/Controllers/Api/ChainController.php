@@ -0,0 +1,100 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Http\Controllers\Api;
+
+use DhruvilNagar\ActionEngine\Http\Controllers\Concerns\AuthorizesOwner;
+use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use DhruvilNagar\ActionEngine\Support\ActionChain;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Routing\Controller;
+
+class ChainController extends Controller
+{
+    use AuthorizesOwner;
+
+    /**
+     * Get the timeline of the chain an execution belongs to.
+     *
+     * Any step's uuid can be given; the timeline is the chain's.
+     */
+    public function show(Request $request, string $uuid): JsonResponse
+    {
+        $chain = $this->chain($request, $uuid);
+
+        return response()->json([
+            'success' => true,
+            'data' => $chain->toArray(),
+        ]);
+    }
+
+    /**
+     * Cancel the running step and the steps that have not started.
+     */
+    public function cancel(Request $request, string $uuid): JsonResponse
+    {
+        $chain = $this->chain($request, $uuid);
+
+        if (!$chain->cancel()) {
+            return response()->json([
+                'success' => false,
+                'message' => 'This chain has already finished.',
+            ], 422);
+        }
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Chain cancelled successfully.',
+            'data' => $chain->toArray(),
+        ]);
+    }
+
+    /**
+     * Undo the completed steps, last one first.
+     */
+    public function undo(Request $request, string $uuid): JsonResponse
+    {
+        $chain = $this->chain($request, $uuid);
+
+        if ($chain->isRunning()) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Cancel the chain or wait for it to finish before undoing it.',
+            ], 422);
+        }
+
+        $undone = $chain->undo();
+
+        if (empty($undone)) {
+            return response()->json([
+                'success' => false,
+                'message' => 'No step of this chain can be undone. They may have already been undone or the undo period has expired.',
+            ], 422);
+        }
+
+        $restoredCount = array_sum(array_column($undone, 'restored_count'));
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Successfully undone ' . count($undone) . " steps ({$restoredCount} records).",
+            'data' => [
+                'undone' => $undone,
+                'chain' => $chain->toArray(),
+            ],
+        ]);
+    }
+
+    /**
+     * The chain of the given step, for the user who started it.
+     */
+    protected function chain(Request $request, string $uuid): ActionChain
+    {
+        $chain = ActionChain::of(BulkActionExecution::where('uuid', $uuid)->firstOrFail());
+
+        abort_unless($chain->isChain(), 404, 'This action is not part of a chain.');
+
+        $this->authorizeOwner($request, $chain->root(), 'You are not authorized to manage this chain.');
+
+        return $chain;
+    }
+}
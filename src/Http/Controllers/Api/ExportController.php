@@ -0,0 +1,114 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Http\Controllers\Api;
+
+use DhruvilNagar\ActionEngine\Actions\ActionExecutor;
+use DhruvilNagar\ActionEngine\Actions\BuiltIn\ExportAction;
+use DhruvilNagar\ActionEngine\Actions\BulkActionBuilder;
+use DhruvilNagar\ActionEngine\Http\Controllers\Concerns\AppliesFilters;
+use DhruvilNagar\ActionEngine\Http\Controllers\Concerns\AuthorizesOwner;
+use DhruvilNagar\ActionEngine\Http\Requests\StreamExportRequest;
+use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use DhruvilNagar\ActionEngine\Support\ExportManager;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Routing\Controller;
+use Illuminate\Support\Facades\Storage;
+use Symfony\Component\HttpFoundation\Response;
+
+class ExportController extends Controller
+{
+    use AppliesFilters;
+    use AuthorizesOwner;
+
+    public function __construct(
+        protected ExportManager $exports,
+        protected ActionExecutor $executor
+    ) {}
+
+    /**
+     * List the formats users may export to.
+     */
+    public function formats(): JsonResponse
+    {
+        return response()->json([
+            'success' => true,
+            'data' => $this->exports->describeFormats(),
+        ]);
+    }
+
+    /**
+     * Download the file written by an export action.
+     */
+    public function download(Request $request, string $uuid): Response
+    {
+        $execution = BulkActionExecution::where('uuid', $uuid)->firstOrFail();
+        $file = $execution->export_file;
+
+        // Export files hold the exported data, so only their owner gets them
+        $this->authorizeOwner($request, $execution, 'You are not authorized to download this export.');
+
+        if (!$file) {
+            return response()->json([
+                'success' => false,
+                'message' => 'This action has no export file.',
+            ], 404);
+        }
+
+        if (!Storage::disk($file['disk'])->exists($file['path'])) {
+            return response()->json([
+                'success' => false,
+                'message' => 'The export file is no longer available.',
+            ], 410);
+        }
+
+        return Storage::disk($file['disk'])->download($file['path'], $file['filename'], [
+            'Content-Type' => $file['mime_type'],
+        ]);
+    }
+
+    /**
+     * Stream an export straight to the browser, for small datasets.
+     */
+    public function stream(StreamExportRequest $request): Response
+    {
+        $validated = $request->validated();
+
+        $builder = app(BulkActionBuilder::class)
+            ->on($validated['model'])
+            ->action('export')
+            ->as($request->user());
+
+        if (!empty($validated['filters'])) {
+            $this->applyFilters($builder, $validated['filters']);
+        }
+
+        $this->executor->authorize($builder);
+
+        $maxRecords = config('action-engine.export.sync_max_records', 1000);
+
+        if ($builder->count() > $maxRecords) {
+            return response()->json([
+                'success' => false,
+                'message' => "Direct downloads are limited to {$maxRecords} records. Run the export as a bulk action instead.",
+            ], 422);
+        }
+
+        $action = new ExportAction();
+        $parameters = $action->validateParameters($validated['parameters'] ?? []);
+
+        return $this->exports->stream(
+            function (callable $write, int $chunkSize) use ($builder, $action, $parameters) {
+                $builder->buildQuery()->chunk($chunkSize, function ($records) use ($write, $action, $parameters) {
+                    $write($records->map(fn ($record) => $action->row($record, $parameters['columns']))->all());
+                });
+            },
+            $parameters['format'],
+            $parameters['filename'] ?: 'export_' . date('Y-m-d_His'),
+            [
+                'include_headers' => true,
+                'chunk_size' => config('action-engine.export.chunk_size', 1000),
+            ]
+        );
+    }
+}
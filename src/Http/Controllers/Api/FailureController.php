@@ -0,0 +1,125 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Http\Controllers\Api;
+
+use DhruvilNagar\ActionEngine\Actions\BulkActionBuilder;
+use DhruvilNagar\ActionEngine\Http\Controllers\Concerns\AuthorizesOwner;
+use DhruvilNagar\ActionEngine\Http\Requests\ExecuteBulkActionRequest;
+use DhruvilNagar\ActionEngine\Http\Resources\BulkActionExecutionResource;
+use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use DhruvilNagar\ActionEngine\Support\FailureReport;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Routing\Controller;
+use Illuminate\Support\Arr;
+
+class FailureController extends Controller
+{
+    use AuthorizesOwner;
+
+    /**
+     * Page through the failed records of an execution.
+     *
+     * With `type`, only the records that failed with that error type.
+     * `groups` counts the failures per error type.
+     */
+    public function index(Request $request, string $uuid): JsonResponse
+    {
+        $validated = $request->validate([
+            'type' => ['sometimes', 'nullable', 'string'],
+            'page' => ['sometimes', 'integer', 'min:1'],
+            'per_page' => ['sometimes', 'integer', 'min:1', 'max:500'],
+        ]);
+
+        $execution = BulkActionExecution::where('uuid', $uuid)->firstOrFail();
+
+        // Failure reports name records and errors, so only their owner gets them
+        $this->authorizeOwner($request, $execution, 'You are not authorized to view the failures of this action.');
+
+        $report = new FailureReport($execution);
+
+        $failures = $report->paginate(
+            (int) ($validated['per_page'] ?? 50),
+            (int) ($validated['page'] ?? 1),
+            $validated['type'] ?? null
+        );
+
+        return response()->json([
+            'success' => true,
+            'data' => $failures->items(),
+            'groups' => $report->groups(),
+            'meta' => [
+                'current_page' => $failures->currentPage(),
+                'last_page' => $failures->lastPage(),
+                'per_page' => $failures->perPage(),
+                'total' => $failures->total(),
+            ],
+        ]);
+    }
+
+    /**
+     * Run the action again on the failed records only, with the same
+     * parameters. With `type`, only the records that failed with that
+     * error type.
+     */
+    public function retry(Request $request, string $uuid): JsonResponse
+    {
+        // The options an execution could have been started with
+        $optionRules = Arr::only((new ExecuteBulkActionRequest())->rules(), [
+            'options',
+            'options.sync',
+            'options.with_undo',
+            'options.undo_expiry_days',
+        ]);
+
+        $validated = $request->validate([
+            'type' => ['sometimes', 'nullable', 'string'],
+            ...$optionRules,
+        ]);
+
+        $execution = BulkActionExecution::where('uuid', $uuid)->firstOrFail();
+
+        $this->authorizeOwner($request, $execution, 'You are not authorized to view the failures of this action.');
+
+        if ($execution->isInProgress()) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Wait for the action to finish before retrying its failed records.',
+            ], 422);
+        }
+
+        $ids = (new FailureReport($execution))->ids($validated['type'] ?? null);
+
+        if (empty($ids)) {
+            return response()->json([
+                'success' => false,
+                'message' => 'This action has no failed records to retry.',
+            ], 422);
+        }
+
+        $builder = app(BulkActionBuilder::class)
+            ->on($execution->model_type)
+            ->action($execution->action_name)
+            ->ids($ids)
+            ->with($execution->parameters ?? [])
+            ->as($request->user());
+
+        $options = $validated['options'] ?? [];
+
+        if (!empty($options['with_undo'])) {
+            $builder->withUndo((int) ($options['undo_expiry_days'] ?? 7));
+        }
+
+        if (!empty($options['sync'])) {
+            $builder->sync();
+        }
+
+        $retry = $builder->execute();
+
+        return response()->json([
+            'success' => true,
+            'data' => new BulkActionExecutionResource($retry),
+            'message' => 'Retrying ' . count($ids) . ' failed records.',
+        ], 202);
+    }
+}
@@ -0,0 +1,68 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Http\Controllers\Api;
+
+use DhruvilNagar\ActionEngine\Actions\ActionRegistry;
+use DhruvilNagar\ActionEngine\Actions\BulkActionBuilder;
+use DhruvilNagar\ActionEngine\Http\Controllers\Concerns\AppliesFilters;
+use DhruvilNagar\ActionEngine\Http\Requests\PreviewChangesRequest;
+use DhruvilNagar\ActionEngine\Support\ChangePreview;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Routing\Controller;
+
+class PreviewController extends Controller
+{
+    use AppliesFilters;
+
+    public function __construct(
+        protected ActionRegistry $registry
+    ) {}
+
+    /**
+     * Page through the records an action would run on, with their values
+     * before and after it.
+     *
+     * `columns` lists the attributes of the page and `changed_columns` those
+     * the action changes on it. `supports_diff` is false for actions that
+     * cannot tell their changes; their rows only have `before`.
+     */
+    public function changes(PreviewChangesRequest $request): JsonResponse
+    {
+        $validated = $request->validated();
+
+        $builder = app(BulkActionBuilder::class)
+            ->on($validated['model'])
+            ->action($validated['action'])
+            ->dryRun()
+            ->as($request->user());
+
+        if (!empty($validated['filters'])) {
+            $this->applyFilters($builder, $validated['filters']);
+        }
+
+        if (!empty($validated['parameters'])) {
+            $builder->with($validated['parameters']);
+        }
+
+        $preview = new ChangePreview($builder, $this->registry->get($validated['action']));
+
+        $rows = $preview->paginate(
+            (int) ($validated['per_page'] ?? 10),
+            (int) ($validated['page'] ?? 1)
+        );
+
+        return response()->json([
+            'success' => true,
+            'data' => $rows->items(),
+            'columns' => ChangePreview::columns($rows->getCollection()),
+            'changed_columns' => ChangePreview::changedColumns($rows->getCollection()),
+            'supports_diff' => $preview->supported(),
+            'meta' => [
+                'current_page' => $rows->currentPage(),
+                'last_page' => $rows->lastPage(),
+                'per_page' => $rows->perPage(),
+                'total' => $rows->total(),
+            ],
+        ]);
+    }
+}
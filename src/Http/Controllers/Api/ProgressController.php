@@ -6,6 +6,7 @@ use DhruvilNagar\ActionEngine\Contracts\ProgressTrackerInterface;
 use DhruvilNagar\ActionEngine\Http\Resources\ProgressResource;
 use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
 use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
 use Illuminate\Routing\Controller;
 
 class ProgressController extends Controller
@@ -32,9 +33,14 @@ class ProgressController extends Controller
     /**
      * Get progress for multiple executions.
      */
-    public function batch(array $uuids): JsonResponse
+    public function batch(Request $request): JsonResponse
     {
-        $executions = BulkActionExecution::whereIn('uuid', $uuids)->get();
+        $validated = $request->validate([
+            'uuids' => ['required', 'array', 'max:100'],
+            'uuids.*' => ['required', 'string'],
+        ]);
+
+        $executions = BulkActionExecution::whereIn('uuid', $validated['uuids'])->get();
 
         $progress = $executions->mapWithKeys(function ($execution) {
             return [$execution->uuid => $this->progressTracker->getDetails($execution)];
@@ -0,0 +1,69 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Http\Controllers\Api;
+
+use DhruvilNagar\ActionEngine\Http\Controllers\Concerns\AuthorizesOwner;
+use DhruvilNagar\ActionEngine\Http\Requests\RescheduleBulkActionRequest;
+use DhruvilNagar\ActionEngine\Http\Resources\BulkActionExecutionResource;
+use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use DhruvilNagar\ActionEngine\Support\SchedulerService;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Routing\Controller;
+
+class ScheduledActionController extends Controller
+{
+    use AuthorizesOwner;
+
+    public function __construct(
+        protected SchedulerService $scheduler
+    ) {}
+
+    /**
+     * List the user's scheduled actions, soonest first.
+     *
+     * With `hours`, only the ones starting within that many hours.
+     */
+    public function index(Request $request): JsonResponse
+    {
+        $request->validate([
+            'hours' => ['sometimes', 'nullable', 'integer', 'min:1'],
+        ]);
+
+        $userId = $request->user()?->getKey();
+
+        $executions = $request->filled('hours')
+            ? $this->scheduler->getUpcoming((int) $request->get('hours'), $userId)
+            : $this->scheduler->getScheduled($userId);
+
+        return response()->json([
+            'success' => true,
+            'data' => BulkActionExecutionResource::collection($executions),
+        ]);
+    }
+
+    /**
+     * Move a scheduled (or cancelled) action to a new time.
+     */
+    public function reschedule(RescheduleBulkActionRequest $request, string $uuid): JsonResponse
+    {
+        $execution = BulkActionExecution::where('uuid', $uuid)->firstOrFail();
+
+        $this->authorizeOwner($request, $execution, 'You are not authorized to reschedule this action.');
+
+        $validated = $request->validated();
+
+        if (!$this->scheduler->reschedule($execution, $validated['scheduled_for'], $validated['timezone'] ?? null)) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Only scheduled or cancelled actions can be rescheduled.',
+            ], 422);
+        }
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Bulk action rescheduled successfully.',
+            'data' => new BulkActionExecutionResource($execution->fresh()),
+        ]);
+    }
+}
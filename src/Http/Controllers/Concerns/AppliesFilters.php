@@ -0,0 +1,72 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Http\Controllers\Concerns;
+
+use DhruvilNagar\ActionEngine\Actions\BulkActionBuilder;
+
+trait AppliesFilters
+{
+    /**
+     * Apply filters to builder.
+     */
+    protected function applyFilters(BulkActionBuilder $builder, array $filters): void
+    {
+        // Apply IDs filter
+        if (!empty($filters['ids'])) {
+            $builder->ids($filters['ids']);
+        }
+
+        // Apply WHERE conditions
+        if (!empty($filters['where'])) {
+            foreach ($filters['where'] as $condition) {
+                if (is_array($condition) && count($condition) >= 2) {
+                    $column = $condition[0];
+                    $operator = count($condition) === 3 ? $condition[1] : '=';
+                    $value = count($condition) === 3 ? $condition[2] : $condition[1];
+                    $builder->where($column, $operator, $value);
+                }
+            }
+        }
+
+        // Apply whereIn conditions
+        if (!empty($filters['where_in'])) {
+            foreach ($filters['where_in'] as $condition) {
+                if (is_array($condition) && count($condition) === 2) {
+                    $builder->whereIn($condition[0], $condition[1]);
+                }
+            }
+        }
+
+        // Apply whereNotIn conditions
+        if (!empty($filters['where_not_in'])) {
+            foreach ($filters['where_not_in'] as $condition) {
+                if (is_array($condition) && count($condition) === 2) {
+                    $builder->whereNotIn($condition[0], $condition[1]);
+                }
+            }
+        }
+
+        // Apply whereBetween conditions
+        if (!empty($filters['where_between'])) {
+            foreach ($filters['where_between'] as $condition) {
+                if (is_array($condition) && count($condition) === 2) {
+                    $builder->whereBetween($condition[0], $condition[1]);
+                }
+            }
+        }
+
+        // Apply whereNull conditions
+        if (!empty($filters['where_null'])) {
+            foreach ($filters['where_null'] as $column) {
+                $builder->whereNull($column);
+            }
+        }
+
+        // Apply whereNotNull conditions
+        if (!empty($filters['where_not_null'])) {
+            foreach ($filters['where_not_null'] as $column) {
+                $builder->whereNotNull($column);
+            }
+        }
+    }
+}
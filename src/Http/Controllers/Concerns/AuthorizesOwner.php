@@ -0,0 +1,25 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Http\Controllers\Concerns;
+
+use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use Illuminate\Http\Exceptions\HttpResponseException;
+use Illuminate\Http\Request;
+
+trait AuthorizesOwner
+{
+    /**
+     * Refuse the execution with a 403 to anyone but the user who started it.
+     */
+    protected function authorizeOwner(Request $request, BulkActionExecution $execution, string $message): void
+    {
+        if ($execution->isAccessibleBy($request->user())) {
+            return;
+        }
+
+        throw new HttpResponseException(response()->json([
+            'success' => false,
+            'message' => $message,
+        ], 403));
+    }
+}
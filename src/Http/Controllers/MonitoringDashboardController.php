@@ -4,12 +4,17 @@ namespace DhruvilNagar\ActionEngine\Http\Controllers;
 
 use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
 use Illuminate\Http\Request;
+use Illuminate\Support\Carbon;
 use Illuminate\Support\Facades\DB;
 
 /**
  * MonitoringDashboardController
  * 
  * Provides JSON endpoints for monitoring dashboard.
+ *
+ * `overview`, `actionBreakdown`, `userActivity` and `performanceTrends`
+ * accept a date range as `from` / `to` (dates, `to` included), falling
+ * back to the last `days` days (or, for the overview, its `range`).
  */
 class MonitoringDashboardController
 {
@@ -18,12 +23,13 @@ class MonitoringDashboardController
      */
     public function overview(Request $request)
     {
-        $timeRange = $request->get('range', '24h');
-        $startDate = $this->getStartDate($timeRange);
+        [$startDate, $endDate] = $this->getDateRange($request, fn () => $request->has('days')
+            ? now()->subDays((int) $request->get('days'))
+            : $this->getStartDate($request->get('range', '24h')));
 
         return response()->json([
-            'stats' => $this->getOverviewStats($startDate),
-            'chart_data' => $this->getChartData($startDate),
+            'stats' => $this->getOverviewStats($startDate, $endDate),
+            'chart_data' => $this->getChartData($startDate, $endDate),
             'recent_actions' => $this->getRecentActions(10),
         ]);
     }
@@ -115,10 +121,9 @@ class MonitoringDashboardController
      */
     public function actionBreakdown(Request $request)
     {
-        $days = $request->get('days', 7);
-        $startDate = now()->subDays($days);
+        [$startDate, $endDate] = $this->getDateRange($request, fn () => now()->subDays((int) $request->get('days', 7)));
 
-        $breakdown = BulkActionExecution::where('created_at', '>=', $startDate)
+        $breakdown = BulkActionExecution::whereBetween('created_at', [$startDate, $endDate])
             ->select('action_name', 'status', DB::raw('count(*) as count'))
             ->groupBy('action_name', 'status')
             ->get()
@@ -146,14 +151,14 @@ class MonitoringDashboardController
      */
     public function userActivity(Request $request)
     {
-        $days = $request->get('days', 30);
+        [$startDate, $endDate] = $this->getDateRange($request, fn () => now()->subDays((int) $request->get('days', 30)));
         $limit = $request->get('limit', 10);
 
-        $activity = BulkActionExecution::where('created_at', '>=', now()->subDays($days))
+        $activity = BulkActionExecution::whereBetween('created_at', [$startDate, $endDate])
             ->whereNotNull('user_id')
-            ->select('user_id', DB::raw('count(*) as action_count'))
+            ->select('user_id', 'user_type', DB::raw('count(*) as action_count'))
             ->with('user:id,name,email')
-            ->groupBy('user_id')
+            ->groupBy('user_id', 'user_type')
             ->orderByDesc('action_count')
             ->limit($limit)
             ->get()
@@ -173,25 +178,48 @@ class MonitoringDashboardController
 
     /**
      * Get performance trends.
+     *
+     * One row per day of finished actions: their counts by outcome, the
+     * records processed (throughput) and failed, the average duration of
+     * completed actions and the share of actions that failed.
      */
     public function performanceTrends(Request $request)
     {
-        $days = $request->get('days', 7);
-        $startDate = now()->subDays($days);
-
-        $trends = DB::table('bulk_action_executions')
-            ->where('status', 'completed')
-            ->where('completed_at', '>=', $startDate)
-            ->selectRaw('
-                DATE(completed_at) as date,
-                COUNT(*) as completed_count,
+        [$startDate, $endDate] = $this->getDateRange($request, fn () => now()->subDays((int) $request->get('days', 7)));
+
+        $date = $this->dateExpression('completed_at', 'day');
+        $duration = $this->durationExpression('created_at', 'completed_at');
+
+        $trends = BulkActionExecution::query()
+            ->whereIn('status', ['completed', 'partially_completed', 'failed'])
+            ->whereBetween('completed_at', [$startDate, $endDate])
+            ->selectRaw("
+                {$date} as date,
+                COUNT(*) as total_count,
+                SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed_count,
+                SUM(CASE WHEN status = 'partially_completed' THEN 1 ELSE 0 END) as partially_completed_count,
+                SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_count,
                 SUM(processed_records) as total_records,
-                AVG(TIMESTAMPDIFF(SECOND, created_at, completed_at)) as avg_duration,
+                SUM(failed_records) as failed_records,
+                AVG(CASE WHEN status = 'completed' THEN {$duration} END) as avg_duration,
                 AVG(processed_records) as avg_records_per_action
-            ')
-            ->groupBy('date')
+            ")
+            ->groupByRaw($date)
             ->orderBy('date')
-            ->get();
+            ->toBase()
+            ->get()
+            ->map(fn ($day) => [
+                'date' => $day->date,
+                'total_count' => (int) $day->total_count,
+                'completed_count' => (int) $day->completed_count,
+                'partially_completed_count' => (int) $day->partially_completed_count,
+                'failed_count' => (int) $day->failed_count,
+                'total_records' => (int) $day->total_records,
+                'failed_records' => (int) $day->failed_records,
+                'avg_duration' => $day->avg_duration !== null ? round((float) $day->avg_duration, 2) : null,
+                'avg_records_per_action' => round((float) $day->avg_records_per_action, 2),
+                'failure_rate' => $day->total_count > 0 ? round($day->failed_count / $day->total_count * 100, 2) : 0,
+            ]);
 
         return response()->json($trends);
     }
@@ -199,18 +227,20 @@ class MonitoringDashboardController
     /**
      * Get overview statistics.
      */
-    protected function getOverviewStats(\DateTimeInterface $startDate): array
+    protected function getOverviewStats(\DateTimeInterface $startDate, \DateTimeInterface $endDate): array
     {
+        $range = [$startDate, $endDate];
+
         return [
-            'total' => BulkActionExecution::where('created_at', '>=', $startDate)->count(),
+            'total' => BulkActionExecution::whereBetween('created_at', $range)->count(),
             'active' => BulkActionExecution::whereIn('status', ['pending', 'processing'])->count(),
             'completed' => BulkActionExecution::where('status', 'completed')
-                ->where('created_at', '>=', $startDate)
+                ->whereBetween('created_at', $range)
                 ->count(),
             'failed' => BulkActionExecution::where('status', 'failed')
-                ->where('created_at', '>=', $startDate)
+                ->whereBetween('created_at', $range)
                 ->count(),
-            'total_records_processed' => BulkActionExecution::where('created_at', '>=', $startDate)
+            'total_records_processed' => (int) BulkActionExecution::whereBetween('created_at', $range)
                 ->sum('processed_records'),
         ];
     }
@@ -218,29 +248,35 @@ class MonitoringDashboardController
     /**
      * Get chart data for visualizations.
      */
-    protected function getChartData(\DateTimeInterface $startDate): array
+    protected function getChartData(\DateTimeInterface $startDate, \DateTimeInterface $endDate): array
     {
-        $data = DB::table('bulk_action_executions')
-            ->where('created_at', '>=', $startDate)
-            ->selectRaw('
-                DATE_FORMAT(created_at, "%Y-%m-%d %H:00:00") as hour,
-                status,
-                COUNT(*) as count
-            ')
-            ->groupBy('hour', 'status')
+        $hour = $this->dateExpression('created_at', 'hour');
+
+        $data = BulkActionExecution::query()
+            ->whereBetween('created_at', [$startDate, $endDate])
+            ->selectRaw("{$hour} as hour, status, COUNT(*) as count")
+            ->groupByRaw("{$hour}, status")
             ->orderBy('hour')
+            ->toBase()
             ->get();
 
+        $labels = $data->pluck('hour')->unique()->values();
+
+        // One value per label, so that hours without a status line up
+        $countsOf = fn (string $status) => $labels
+            ->map(fn ($label) => (int) ($data->where('hour', $label)->firstWhere('status', $status)?->count ?? 0))
+            ->all();
+
         return [
-            'labels' => $data->pluck('hour')->unique()->values()->all(),
+            'labels' => $labels->all(),
             'datasets' => [
                 [
                     'label' => 'Completed',
-                    'data' => $data->where('status', 'completed')->pluck('count')->all(),
+                    'data' => $countsOf('completed'),
                 ],
                 [
                     'label' => 'Failed',
-                    'data' => $data->where('status', 'failed')->pluck('count')->all(),
+                    'data' => $countsOf('failed'),
                 ],
             ],
         ];
@@ -275,22 +311,27 @@ class MonitoringDashboardController
      */
     protected function getPerformanceMetrics(): array
     {
-        $metrics = DB::table('bulk_action_executions')
+        $duration = $this->durationExpression('created_at', 'completed_at');
+
+        $metrics = BulkActionExecution::query()
             ->where('status', 'completed')
             ->whereNotNull('completed_at')
             ->where('completed_at', '>=', now()->subDay())
-            ->selectRaw('
-                AVG(TIMESTAMPDIFF(SECOND, created_at, completed_at)) as avg_duration,
+            ->selectRaw("
+                AVG({$duration}) as avg_duration,
                 AVG(processed_records) as avg_records,
                 SUM(processed_records) as total_records
-            ')
+            ")
+            ->toBase()
             ->first();
 
-        if (!$metrics) {
+        // Aggregates over no rows still return one row, of nulls
+        if (!$metrics || $metrics->avg_duration === null) {
             return [
                 'avg_duration_seconds' => 0,
                 'avg_records_per_action' => 0,
                 'records_per_second' => 0,
+                'total_records_today' => 0,
             ];
         }
 
@@ -302,7 +343,7 @@ class MonitoringDashboardController
             'avg_duration_seconds' => round($metrics->avg_duration, 2),
             'avg_records_per_action' => round($metrics->avg_records, 0),
             'records_per_second' => round($recordsPerSecond, 2),
-            'total_records_today' => $metrics->total_records,
+            'total_records_today' => (int) $metrics->total_records,
         ];
     }
 
@@ -320,4 +361,59 @@ class MonitoringDashboardController
             default => now()->subDay(),
         };
     }
+
+    /**
+     * Get the date range of a request: `from` / `to`, or from the given
+     * default start until now.
+     *
+     * @return array{0: \DateTimeInterface, 1: \DateTimeInterface}
+     */
+    protected function getDateRange(Request $request, \Closure $defaultStart): array
+    {
+        $validated = $request->validate([
+            'from' => ['sometimes', 'nullable', 'date'],
+            'to' => array_filter(['sometimes', 'nullable', 'date', $request->filled('from') ? 'after_or_equal:from' : null]),
+        ]);
+
+        return [
+            !empty($validated['from']) ? Carbon::parse($validated['from'])->startOfDay() : $defaultStart(),
+            !empty($validated['to']) ? Carbon::parse($validated['to'])->endOfDay() : now(),
+        ];
+    }
+
+    /**
+     * SQL truncating a timestamp column to its day or hour, as
+     * `Y-m-d` / `Y-m-d H:00:00`, for the connection's driver.
+     */
+    protected function dateExpression(string $column, string $unit): string
+    {
+        $driver = DB::connection((new BulkActionExecution)->getConnectionName())->getDriverName();
+
+        return match ([$driver, $unit]) {
+            ['sqlite', 'day'] => "strftime('%Y-%m-%d', {$column})",
+            ['sqlite', 'hour'] => "strftime('%Y-%m-%d %H:00:00', {$column})",
+            ['pgsql', 'day'] => "to_char({$column}, 'YYYY-MM-DD')",
+            ['pgsql', 'hour'] => "to_char({$column}, 'YYYY-MM-DD HH24:00:00')",
+            ['sqlsrv', 'day'] => "FORMAT({$column}, 'yyyy-MM-dd')",
+            ['sqlsrv', 'hour'] => "FORMAT({$column}, 'yyyy-MM-dd HH:00:00')",
+            [$driver, 'day'] => "DATE_FORMAT({$column}, '%Y-%m-%d')",
+            default => "DATE_FORMAT({$column}, '%Y-%m-%d %H:00:00')",
+        };
+    }
+
+    /**
+     * SQL for the seconds between two timestamp columns, for the
+     * connection's driver.
+     */
+    protected function durationExpression(string $from, string $to): string
+    {
+        $driver = DB::connection((new BulkActionExecution)->getConnectionName())->getDriverName();
+
+        return match ($driver) {
+            'sqlite' => "((julianday({$to}) - julianday({$from})) * 86400)",
+            'pgsql' => "EXTRACT(EPOCH FROM ({$to} - {$from}))",
+            'sqlsrv' => "DATEDIFF(SECOND, {$from}, {$to})",
+            default => "TIMESTAMPDIFF(SECOND, {$from}, {$to})",
+        };
+    }
 }
@@ -33,10 +33,12 @@ class RateLimitBulkAction
             $remaining = $this->rateLimiter->getCooldownRemaining($user);
             $slots = $this->rateLimiter->getRemainingSlots($user);
 
-            throw new RateLimitExceededException(
+            $exception = new RateLimitExceededException(
                 "Rate limit exceeded. You have {$slots} slots remaining. " .
                 ($remaining > 0 ? "Please wait {$remaining} seconds." : '')
             );
+
+            throw $remaining > 0 ? $exception->withRetryAfter($remaining) : $exception;
         }
 
         return $next($request);
@@ -33,6 +33,10 @@ class ExecuteBulkActionRequest extends FormRequest
             'filters.where_not_in.*' => ['array', 'size:2'],
             'filters.where_between' => ['sometimes', 'array'],
             'filters.where_between.*' => ['array', 'size:2'],
+            'filters.where_null' => ['sometimes', 'array'],
+            'filters.where_null.*' => ['string'],
+            'filters.where_not_null' => ['sometimes', 'array'],
+            'filters.where_not_null.*' => ['string'],
             'parameters' => ['sometimes', 'array'],
             'options' => ['sometimes', 'array'],
             'options.batch_size' => ['sometimes', 'integer', 'min:1', 'max:10000'],
@@ -42,6 +46,10 @@ class ExecuteBulkActionRequest extends FormRequest
             'options.dry_run' => ['sometimes', 'boolean'],
             'options.schedule_for' => ['sometimes', 'date', 'after:now'],
             'options.schedule_timezone' => ['sometimes', 'string', 'timezone'],
+            'options.chain' => ['sometimes', 'array', 'max:20'],
+            'options.chain.*.action' => ['required', 'string'],
+            'options.chain.*.parameters' => ['sometimes', 'array'],
+            'idempotency_key' => ['nullable', 'string', 'max:255'],
         ];
     }
 
@@ -54,6 +62,8 @@ class ExecuteBulkActionRequest extends FormRequest
             'action.required' => 'An action name is required.',
             'model.required' => 'A model class is required.',
             'options.schedule_for.after' => 'Scheduled time must be in the future.',
+            'options.chain.*.action.required' => 'Each step of the chain needs an action name.',
+            'idempotency_key.max' => 'The Idempotency-Key header may not be longer than 255 characters.',
         ];
     }
 
@@ -62,6 +72,13 @@ class ExecuteBulkActionRequest extends FormRequest
      */
     protected function prepareForValidation(): void
     {
+        // The key identifying the submission comes as a header
+        if ($this->hasHeader('Idempotency-Key')) {
+            $this->merge([
+                'idempotency_key' => $this->header('Idempotency-Key'),
+            ]);
+        }
+
         // Ensure model is fully qualified
         if ($this->has('model') && !str_starts_with($this->model, '\\')) {
             $this->merge([
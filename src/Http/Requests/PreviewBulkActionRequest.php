@@ -26,7 +26,17 @@ class PreviewBulkActionRequest extends FormRequest
             'filters.ids' => ['sometimes', 'array'],
             'filters.ids.*' => ['required', 'integer'],
             'filters.where' => ['sometimes', 'array'],
+            'filters.where.*' => ['array', 'min:2', 'max:3'],
             'filters.where_in' => ['sometimes', 'array'],
+            'filters.where_in.*' => ['array', 'size:2'],
+            'filters.where_not_in' => ['sometimes', 'array'],
+            'filters.where_not_in.*' => ['array', 'size:2'],
+            'filters.where_between' => ['sometimes', 'array'],
+            'filters.where_between.*' => ['array', 'size:2'],
+            'filters.where_null' => ['sometimes', 'array'],
+            'filters.where_null.*' => ['string'],
+            'filters.where_not_null' => ['sometimes', 'array'],
+            'filters.where_not_null.*' => ['string'],
             'parameters' => ['sometimes', 'array'],
             'preview_limit' => ['sometimes', 'integer', 'min:1', 'max:100'],
         ];
@@ -0,0 +1,22 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Http\Requests;
+
+use Illuminate\Support\Arr;
+
+class PreviewChangesRequest extends PreviewBulkActionRequest
+{
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * The preview payload, paged with `page` and `per_page` instead of
+     * `preview_limit`.
+     */
+    public function rules(): array
+    {
+        return array_merge(Arr::except(parent::rules(), ['preview_limit']), [
+            'page' => ['sometimes', 'integer', 'min:1'],
+            'per_page' => ['sometimes', 'integer', 'min:1', 'max:' . config('action-engine.dry_run.preview_limit', 100)],
+        ]);
+    }
+}
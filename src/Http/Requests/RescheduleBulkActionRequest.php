@@ -0,0 +1,60 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Http\Requests;
+
+use DhruvilNagar\ActionEngine\Support\SchedulerService;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Validator;
+
+class RescheduleBulkActionRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return true; // Ownership is checked by the controller
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     */
+    public function rules(): array
+    {
+        return [
+            'scheduled_for' => ['required', 'date'],
+            'timezone' => ['sometimes', 'nullable', 'string', 'timezone'],
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'scheduled_for.required' => 'A new scheduled time is required.',
+        ];
+    }
+
+    /**
+     * Check the new time once it is read in the requested timezone.
+     */
+    public function withValidator(Validator $validator): void
+    {
+        $validator->after(function (Validator $validator) {
+            if ($validator->errors()->isNotEmpty()) {
+                return;
+            }
+
+            $scheduledFor = SchedulerService::toAppTime($this->input('scheduled_for'), $this->input('timezone'));
+            $maxDaysAhead = config('action-engine.scheduling.max_scheduled_days_ahead', 365);
+
+            if ($scheduledFor->isPast()) {
+                $validator->errors()->add('scheduled_for', 'Scheduled time must be in the future.');
+            } elseif ($scheduledFor->gt(now()->addDays($maxDaysAhead))) {
+                $validator->errors()->add('scheduled_for', "Actions cannot be scheduled more than {$maxDaysAhead} days ahead.");
+            }
+        });
+    }
+}
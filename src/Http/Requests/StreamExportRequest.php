@@ -0,0 +1,24 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Http\Requests;
+
+use DhruvilNagar\ActionEngine\Support\ExportManager;
+use Illuminate\Support\Arr;
+use Illuminate\Validation\Rule;
+
+class StreamExportRequest extends PreviewBulkActionRequest
+{
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * The execute payload of an `export` action, without the action name.
+     */
+    public function rules(): array
+    {
+        return array_merge(Arr::except(parent::rules(), ['action', 'preview_limit']), [
+            'parameters.format' => ['sometimes', 'string', Rule::in(app(ExportManager::class)->enabledFormats())],
+            'parameters.filename' => ['sometimes', 'nullable', 'string', 'max:255'],
+            'parameters.columns' => ['sometimes', 'nullable'],
+        ]);
+    }
+}
@@ -4,6 +4,7 @@ namespace DhruvilNagar\ActionEngine\Http\Resources;
 
 use Illuminate\Http\Request;
 use Illuminate\Http\Resources\Json\JsonResource;
+use Illuminate\Support\Facades\Route;
 
 class BulkActionExecutionResource extends JsonResource
 {
@@ -27,13 +28,27 @@ class BulkActionExecutionResource extends JsonResource
             'is_dry_run' => $this->is_dry_run,
             'dry_run_results' => $this->when($this->is_dry_run, $this->dry_run_results),
             'scheduled_for' => $this->scheduled_for?->toIso8601String(),
+            'scheduled_timezone' => $this->scheduled_timezone,
             'started_at' => $this->started_at?->toIso8601String(),
             'completed_at' => $this->completed_at?->toIso8601String(),
             'created_at' => $this->created_at?->toIso8601String(),
             'error_details' => $this->when(
-                $this->status === 'failed',
+                in_array($this->status, ['failed', 'partially_completed']),
                 $this->error_details
             ),
+            'export' => $this->when($this->export_file !== null, fn () => [
+                'filename' => $this->export_file['filename'],
+                'format' => $this->export_file['format'],
+                'mime_type' => $this->export_file['mime_type'],
+                'size' => $this->export_file['size'] ?? null,
+                'download_url' => Route::has('action-engine.download')
+                    ? route('action-engine.download', $this->uuid)
+                    : null,
+            ]),
+            'chain_uuid' => $this->when(
+                $this->parent_execution_uuid !== null || !empty($this->chain_config),
+                fn () => $this->parent_execution_uuid ?? $this->uuid
+            ),
             'filters' => $this->when($request->get('include_filters'), $this->filters),
             'parameters' => $this->when($request->get('include_parameters'), $this->parameters),
         ];
@@ -68,10 +68,17 @@ class BulkActionManager extends Component
 
     /**
      * Listeners.
+     *
+     * The `bulk-action-*` events are forwarded by Alpine components with the
+     * `livewire` option, for executions started outside this component.
      */
     protected $listeners = [
         'refreshProgress',
         'closeModals',
+        'bulk-action-started' => 'trackExecution',
+        'bulk-action-completed' => 'syncExecution',
+        'bulk-action-cancelled' => 'syncExecution',
+        'bulk-action-undone' => 'syncExecution',
     ];
 
     /**
@@ -175,6 +182,9 @@ class BulkActionManager extends Component
             $this->executionUuid = $this->execution->uuid;
             $this->showProgressModal = true;
 
+            // Lets bridged Alpine components follow the execution
+            $this->dispatch('action-started', uuid: $this->executionUuid);
+
             // Start auto-refresh if enabled
             if ($this->autoRefresh) {
                 $this->dispatch('start-progress-polling');
@@ -273,6 +283,8 @@ class BulkActionManager extends Component
         try {
             $this->execution->cancel();
             $this->success = 'Execution cancelled successfully.';
+
+            $this->dispatch('action-cancelled', uuid: $this->execution->uuid);
         } catch (\Exception $e) {
             $this->error = "Failed to cancel execution: {$e->getMessage()}";
         }
@@ -298,6 +310,54 @@ class BulkActionManager extends Component
         }
     }
 
+    /**
+     * Follow an execution started by a bridged Alpine component.
+     */
+    public function trackExecution(string $uuid): void
+    {
+        $execution = $this->findExecution($uuid);
+
+        if ($execution) {
+            $this->execution = $execution;
+            $this->executionUuid = $execution->uuid;
+        }
+    }
+
+    /**
+     * Reload an execution a bridged Alpine component finished, cancelled or
+     * undid; the re-render refreshes the rows.
+     */
+    public function syncExecution(string $uuid): void
+    {
+        $execution = $this->findExecution($uuid);
+
+        if (!$execution) {
+            return;
+        }
+
+        if ($uuid === $this->executionUuid) {
+            $this->execution = $execution;
+        }
+
+        if ($execution->status === BulkActionExecution::STATUS_COMPLETED) {
+            $this->selectedIds = [];
+        }
+    }
+
+    /**
+     * Find an execution of the current user.
+     */
+    protected function findExecution(string $uuid): ?BulkActionExecution
+    {
+        $query = BulkActionExecution::where('uuid', $uuid);
+
+        if ($user = auth()->user()) {
+            $query->forUser($user);
+        }
+
+        return $query->first();
+    }
+
     /**
      * Close all modals.
      */
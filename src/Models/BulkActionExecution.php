@@ -16,6 +16,8 @@ use Illuminate\Support\Str;
  * status, and metadata throughout its lifecycle.
  * 
  * @property string $uuid Unique identifier for the execution
+ * @property string|null $idempotency_key Idempotency-Key of the request that started the execution
+ * @property string|null $idempotency_hash Hash of what that request asked for, to detect a reused key
  * @property string $action_name The registered action name being executed
  * @property string $model_type Fully qualified class name of target model
  * @property array $filters Query filters applied
@@ -35,8 +37,10 @@ use Illuminate\Support\Str;
  * @property \Carbon\Carbon|null $undo_expires_at When undo capability expires
  * @property bool $is_dry_run Whether this is a dry run (preview mode)
  * @property array|null $dry_run_results Results from dry run
+ * @property array|null $export_file Where an export action wrote its file (disk, path, filename, format, mime_type, size)
  * 
  * @property-read \Illuminate\Database\Eloquent\Collection|\DhruvilNagar\ActionEngine\Models\BulkActionProgress[] $progress
+ * @property-read \Illuminate\Database\Eloquent\Collection|\DhruvilNagar\ActionEngine\Models\BulkActionFailure[] $failures
  * @property-read \Illuminate\Database\Eloquent\Collection|\DhruvilNagar\ActionEngine\Models\BulkActionUndo[] $undoRecords
  * @property-read \Illuminate\Database\Eloquent\Model|null $user
  */
@@ -49,6 +53,8 @@ class BulkActionExecution extends Model
      */
     protected $fillable = [
         'uuid',
+        'idempotency_key',
+        'idempotency_hash',
         'action_name',
         'model_type',
         'filters',
@@ -68,6 +74,7 @@ class BulkActionExecution extends Model
         'undo_expires_at',
         'is_dry_run',
         'dry_run_results',
+        'export_file',
         'batch_size',
         'queue_connection',
         'queue_name',
@@ -94,6 +101,7 @@ class BulkActionExecution extends Model
         'parameters' => 'array',
         'error_details' => 'array',
         'dry_run_results' => 'array',
+        'export_file' => 'array',
         'callbacks' => 'array',
         'chain_config' => 'array',
         'can_undo' => 'boolean',
@@ -149,6 +157,14 @@ class BulkActionExecution extends Model
         return $this->hasMany(BulkActionProgress::class, 'bulk_action_execution_id');
     }
 
+    /**
+     * Get the records this execution failed on.
+     */
+    public function failures(): HasMany
+    {
+        return $this->hasMany(BulkActionFailure::class, 'bulk_action_execution_id');
+    }
+
     /**
      * Get the undo records for this execution.
      */
@@ -254,6 +270,21 @@ class BulkActionExecution extends Model
             ->where('user_type', get_class($user));
     }
 
+    /**
+     * Check if the user may see and manage the execution: the user who
+     * started it, or anyone when it was started without a user.
+     */
+    public function isAccessibleBy($user): bool
+    {
+        if ($this->user_id === null) {
+            return true;
+        }
+
+        return $user !== null
+            && (string) $this->user_id === (string) $user->getKey()
+            && $this->user_type === get_class($user);
+    }
+
     /**
      * Get the progress percentage.
      */
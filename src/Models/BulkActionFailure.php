@@ -0,0 +1,59 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * BulkActionFailure Model
+ *
+ * One record an execution failed on, with why. Written from the batch's
+ * `failed_ids` and `error_details` whenever those change, so the failure
+ * report can page and group failures in the database.
+ *
+ * @property int $id
+ * @property int $bulk_action_execution_id Parent execution ID
+ * @property int $batch_number Batch the record failed in
+ * @property string $record_id Key of the failed record
+ * @property string $type Short class name of the exception, or `Unknown`
+ * @property string|null $message Exception message
+ *
+ * @property-read BulkActionExecution $execution
+ */
+class BulkActionFailure extends Model
+{
+    /**
+     * The attributes that are mass assignable.
+     */
+    protected $fillable = [
+        'bulk_action_execution_id',
+        'batch_number',
+        'record_id',
+        'type',
+        'message',
+    ];
+
+    /**
+     * The attributes that should be cast.
+     */
+    protected $casts = [
+        'batch_number' => 'integer',
+    ];
+
+    /**
+     * Get the table associated with the model.
+     */
+    public function getTable(): string
+    {
+        return config('action-engine.tables.failures', 'bulk_action_failures');
+    }
+
+    /**
+     * Get the execution this failure belongs to.
+     */
+    public function execution(): BelongsTo
+    {
+        return $this->belongsTo(BulkActionExecution::class, 'bulk_action_execution_id');
+    }
+}
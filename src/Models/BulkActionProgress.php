@@ -2,6 +2,7 @@
 
 namespace DhruvilNagar\ActionEngine\Models;
 
+use DhruvilNagar\ActionEngine\Support\FailureReport;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Database\Eloquent\Relations\BelongsTo;
 
@@ -24,7 +25,7 @@ use Illuminate\Database\Eloquent\Relations\BelongsTo;
  * @property array|null $affected_ids Array of successfully processed record IDs
  * @property array|null $failed_ids Array of failed record IDs
  * @property string|null $error_message Error message if batch failed
- * @property array|null $error_details Detailed error information
+ * @property array|null $error_details Detailed error information; `records` lists per-record failures ({id, type, message})
  * @property \Carbon\Carbon|null $started_at When batch processing started
  * @property \Carbon\Carbon|null $completed_at When batch processing completed
  * @property int $retry_count Number of retry attempts
@@ -78,6 +79,24 @@ class BulkActionProgress extends Model
     public const STATUS_COMPLETED = 'completed';   // Batch successfully completed
     public const STATUS_FAILED = 'failed';         // Batch failed with errors
 
+    /**
+     * Keep the failures table in line with the batch's failed records.
+     */
+    protected static function booted(): void
+    {
+        static::created(function (self $progress) {
+            if (!empty($progress->failed_ids)) {
+                FailureReport::record($progress);
+            }
+        });
+
+        static::updated(function (self $progress) {
+            if ($progress->wasChanged(['failed_ids', 'error_details', 'error_message'])) {
+                FailureReport::record($progress);
+            }
+        });
+    }
+
     /**
      * Get the table associated with the model.
      */
@@ -191,15 +210,17 @@ class BulkActionProgress extends Model
     }
 
     /**
-     * Mark the batch as failed.
+     * Mark the batch as failed, along with the records it was processing.
      */
-    public function markAsFailed(string $errorMessage, array $errorDetails = []): void
+    public function markAsFailed(string $errorMessage, array $errorDetails = [], array $failedIds = []): void
     {
         $this->update([
             'status' => self::STATUS_FAILED,
             'completed_at' => now(),
             'error_message' => $errorMessage,
             'error_details' => $errorDetails,
+            'failed_ids' => $failedIds ?: $this->failed_ids,
+            'failed_count' => count($failedIds) ?: $this->failed_count,
         ]);
     }
 
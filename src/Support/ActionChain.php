@@ -0,0 +1,366 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Support;
+
+use DhruvilNagar\ActionEngine\Actions\BulkActionBuilder;
+use DhruvilNagar\ActionEngine\Contracts\UndoManagerInterface;
+use DhruvilNagar\ActionEngine\Events\BulkActionCancelled;
+use DhruvilNagar\ActionEngine\Exceptions\ActionChainException;
+use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use Illuminate\Support\Facades\DB;
+
+/**
+ * A chain of bulk actions run one after the other on the same records.
+ *
+ * The first step is an ordinary execution whose `chain_config` lists the
+ * later steps (`['steps' => [['action', 'parameters'], ...],
+ * 'undo_expiry_days' => ?int]`). Each later step runs as its own execution
+ * once the step before it has completed without failures, on the records
+ * that step affected rather than on the first step's filters, with
+ * `parent_execution_uuid` pointing at the first step and its step number in
+ * its own `chain_config` (`['step' => n]`). In the first step's config,
+ * started steps are marked `started`, a step that could not start records
+ * its `error`, steps cancelled before they started are marked `cancelled`
+ * and a step left without records (the step before it affected none) is
+ * marked `skipped`.
+ */
+class ActionChain
+{
+    /**
+     * Statuses after which the next step still runs.
+     */
+    protected const CONTINUING = [
+        BulkActionExecution::STATUS_SCHEDULED,
+        BulkActionExecution::STATUS_PENDING,
+        BulkActionExecution::STATUS_PROCESSING,
+        BulkActionExecution::STATUS_COMPLETED,
+        'waiting',
+    ];
+
+    public function __construct(
+        protected BulkActionExecution $root
+    ) {}
+
+    /**
+     * The chain any of its steps belongs to.
+     */
+    public static function of(BulkActionExecution $execution): static
+    {
+        $root = $execution->parent_execution_uuid
+            ? BulkActionExecution::where('uuid', $execution->parent_execution_uuid)->firstOrFail()
+            : $execution;
+
+        return new static($root);
+    }
+
+    public function root(): BulkActionExecution
+    {
+        return $this->root;
+    }
+
+    /**
+     * Whether the execution was started with later steps.
+     */
+    public function isChain(): bool
+    {
+        return !empty($this->root->chain_config['steps']);
+    }
+
+    /**
+     * Every step in order, with the execution of those that started.
+     *
+     * @return array<int, array{step: int, action_name: string, parameters: array, status: string, execution: ?BulkActionExecution, error: ?string}>
+     */
+    public function steps(): array
+    {
+        $config = $this->root->chain_config['steps'] ?? [];
+
+        $executions = $this->root->childExecutions()
+            ->get()
+            ->keyBy(fn (BulkActionExecution $execution) => $execution->chain_config['step'] ?? 0);
+
+        $steps = [[
+            'step' => 1,
+            'action_name' => $this->root->action_name,
+            'parameters' => $this->root->parameters ?? [],
+            'status' => $this->root->status,
+            'execution' => $this->root,
+            'error' => null,
+        ]];
+
+        foreach ($config as $index => $step) {
+            $execution = $executions->get($index + 2);
+            $previous = $steps[$index]['status'];
+
+            $steps[] = [
+                'step' => $index + 2,
+                'action_name' => $step['action'],
+                'parameters' => $step['parameters'] ?? [],
+                'status' => match (true) {
+                    $execution !== null => $execution->status,
+                    !empty($step['error']) => BulkActionExecution::STATUS_FAILED,
+                    !empty($step['cancelled']) => BulkActionExecution::STATUS_CANCELLED,
+                    !empty($step['skipped']) => 'skipped',
+                    // Waiting for the steps before it, or left out after one of them stopped
+                    in_array($previous, self::CONTINUING) => 'waiting',
+                    default => 'skipped',
+                },
+                'execution' => $execution,
+                'error' => $step['error'] ?? null,
+            ];
+        }
+
+        return $steps;
+    }
+
+    /**
+     * The chain's status: the status of its current step, or `processing`
+     * between two steps. A chain whose next step was left without records
+     * ends with the status of the step before it.
+     */
+    public function status(?array $steps = null): string
+    {
+        $steps ??= $this->steps();
+        $current = $this->currentStep($steps);
+
+        if ($current['status'] === BulkActionExecution::STATUS_COMPLETED && isset($steps[$current['step']])) {
+            $next = $steps[$current['step']]['status'];
+
+            return match ($next) {
+                'waiting' => BulkActionExecution::STATUS_PROCESSING,
+                'skipped' => $current['status'],
+                default => $next,
+            };
+        }
+
+        return $current['status'];
+    }
+
+    /**
+     * The last step that started (or failed to start).
+     */
+    public function currentStep(?array $steps = null): array
+    {
+        $steps ??= $this->steps();
+
+        $started = array_filter($steps, fn ($step) => $step['execution'] !== null || $step['error'] !== null);
+
+        return end($started);
+    }
+
+    /**
+     * Start the step after the given one on the records it affected, if it
+     * completed without failures.
+     *
+     * A step that cannot start (e.g. it is not authorized) is recorded as
+     * failed instead of failing the step before it.
+     */
+    public function advance(BulkActionExecution $completed, bool $sync = false): ?BulkActionExecution
+    {
+        if ($completed->status !== BulkActionExecution::STATUS_COMPLETED || !$this->isChain()) {
+            return null;
+        }
+
+        $index = $this->claimStepAfter($completed);
+
+        if ($index === null) {
+            return null;
+        }
+
+        $step = $this->root->chain_config['steps'][$index];
+
+        // The step before may have changed what the first step's filters match
+        $ids = $completed->progress()
+            ->pluck('affected_ids')
+            ->flatten()
+            ->filter()
+            ->values()
+            ->all();
+
+        if (empty($ids)) {
+            $this->updateStep($index, ['skipped' => true]);
+
+            return null;
+        }
+
+        try {
+            $builder = app(BulkActionBuilder::class)
+                ->on($this->root->model_type)
+                ->action($step['action'])
+                ->ids($ids)
+                ->with($step['parameters'] ?? [])
+                ->as($this->root->user)
+                ->partOfChain($this->root->uuid, $index + 2);
+
+            if ($this->root->batch_size) {
+                $builder->batchSize($this->root->batch_size);
+            }
+
+            if ($expiryDays = $this->root->chain_config['undo_expiry_days'] ?? null) {
+                $builder->withUndo($expiryDays);
+            }
+
+            if ($sync) {
+                $builder->sync();
+            } else {
+                $builder->queue($this->root->queue_connection, $this->root->queue_name);
+            }
+
+            return $builder->execute();
+        } catch (\Throwable $e) {
+            // A step that started keeps its error on its own execution
+            $started = $this->root->childExecutions()->get()
+                ->contains(fn (BulkActionExecution $execution) => ($execution->chain_config['step'] ?? null) === $index + 2);
+
+            if (!$started) {
+                $this->updateStep($index, ['error' => $e->getMessage()]);
+            }
+
+            report(ActionChainException::atStep($step['action'], $index + 2, $e));
+
+            return null;
+        }
+    }
+
+    /**
+     * Cancel the running step and every step that has not started.
+     *
+     * Returns false when the chain has already finished.
+     */
+    public function cancel(): bool
+    {
+        $steps = $this->steps();
+        $cancelled = false;
+
+        foreach ($steps as $step) {
+            $execution = $step['execution'];
+
+            if ($execution && ($execution->isInProgress() || $execution->status === BulkActionExecution::STATUS_SCHEDULED)) {
+                $execution->markAsCancelled();
+                event(new BulkActionCancelled($execution));
+
+                if (config('action-engine.audit.enabled', true)) {
+                    app(AuditLogger::class)->logCancelled($execution);
+                }
+
+                $cancelled = true;
+            }
+        }
+
+        foreach ($steps as $step) {
+            if ($step['status'] === 'waiting') {
+                $this->updateStep($step['step'] - 2, ['cancelled' => true]);
+                $cancelled = true;
+            }
+        }
+
+        return $cancelled;
+    }
+
+    /**
+     * Undo the completed steps, last one first, returning the steps that
+     * were undone with their restored record counts.
+     *
+     * Steps without undo data (e.g. an export) are skipped.
+     */
+    public function undo(): array
+    {
+        $undoManager = app(UndoManagerInterface::class);
+        $undone = [];
+
+        foreach (array_reverse($this->steps()) as $step) {
+            if ($step['execution'] && $undoManager->canUndo($step['execution'])) {
+                $undone[] = [
+                    'step' => $step['step'],
+                    'uuid' => $step['execution']->uuid,
+                    'action_name' => $step['action_name'],
+                    'restored_count' => $undoManager->undo($step['execution']),
+                ];
+            }
+        }
+
+        return $undone;
+    }
+
+    /**
+     * Whether any step is running or still to run.
+     */
+    public function isRunning(?array $steps = null): bool
+    {
+        return in_array($this->status($steps), [
+            BulkActionExecution::STATUS_PENDING,
+            BulkActionExecution::STATUS_PROCESSING,
+        ]);
+    }
+
+    /**
+     * The timeline returned by the API.
+     */
+    public function toArray(): array
+    {
+        $steps = $this->steps();
+        $current = $this->currentStep($steps);
+
+        return [
+            'uuid' => $this->root->uuid,
+            'status' => $this->status($steps),
+            'current_step' => $current['step'],
+            'total_steps' => count($steps),
+            'progress_percentage' => round(array_sum(array_map(
+                fn ($step) => $step['execution']?->progress_percentage ?? 0,
+                $steps
+            )) / count($steps), 2),
+            'steps' => array_map(fn ($step) => [
+                'step' => $step['step'],
+                'action_name' => $step['action_name'],
+                'parameters' => $step['parameters'],
+                'status' => $step['status'],
+                'uuid' => $step['execution']?->uuid,
+                'total_records' => $step['execution']?->total_records,
+                'processed_records' => $step['execution']?->processed_records ?? 0,
+                'failed_records' => $step['execution']?->failed_records ?? 0,
+                'progress_percentage' => $step['execution']?->progress_percentage ?? 0,
+                'can_undo' => (bool) $step['execution']?->isUndoable(),
+                'started_at' => $step['execution']?->started_at?->toIso8601String(),
+                'completed_at' => $step['execution']?->completed_at?->toIso8601String(),
+                'error' => $step['error'],
+            ], $steps),
+        ];
+    }
+
+    /**
+     * Reserve the step after the given execution, returning its index in
+     * the config, so that two batches completing at once cannot start it
+     * twice.
+     */
+    protected function claimStepAfter(BulkActionExecution $completed): ?int
+    {
+        return DB::transaction(function () use ($completed) {
+            $root = BulkActionExecution::whereKey($this->root->getKey())->lockForUpdate()->first();
+            $steps = $root->chain_config['steps'] ?? [];
+
+            // The root is step 1 and step n + 1 is at index n - 1
+            $index = $completed->is($root) ? 0 : (int) ($completed->chain_config['step'] ?? 1) - 1;
+
+            if (!isset($steps[$index]) || !empty($steps[$index]['cancelled']) || !empty($steps[$index]['started'])) {
+                return null;
+            }
+
+            $steps[$index]['started'] = true;
+            $root->update(['chain_config' => array_merge($root->chain_config, ['steps' => $steps])]);
+            $this->root = $root;
+
+            return $index;
+        });
+    }
+
+    protected function updateStep(int $index, array $attributes): void
+    {
+        $this->root->refresh();
+
+        $steps = $this->root->chain_config['steps'];
+        $steps[$index] = array_merge($steps[$index], $attributes);
+
+        $this->root->update(['chain_config' => array_merge($this->root->chain_config, ['steps' => $steps])]);
+    }
+}
@@ -0,0 +1,113 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Support;
+
+use Closure;
+use DhruvilNagar\ActionEngine\Actions\BulkActionBuilder;
+use DhruvilNagar\ActionEngine\Contracts\ActionInterface;
+use DhruvilNagar\ActionEngine\Contracts\PreviewableActionInterface;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Pagination\LengthAwarePaginator;
+use Illuminate\Support\Collection;
+
+/**
+ * Before/after values of the records an action would change.
+ *
+ * Each row is `{id, before, after, changed, deleted}`: `before` holds the
+ * record's attributes as serialized by the model (hidden attributes left
+ * out), `after` the same attributes with the action's changes applied and
+ * `changed` the attributes whose value differs. Records the action would
+ * delete have a null `after`. Only actions implementing
+ * PreviewableActionInterface can tell their changes; for the others, `after`
+ * and `changed` are null.
+ */
+class ChangePreview
+{
+    public function __construct(
+        protected BulkActionBuilder $builder,
+        protected Closure|ActionInterface $handler
+    ) {}
+
+    /**
+     * Whether the action can tell what it would change.
+     */
+    public function supported(): bool
+    {
+        return $this->handler instanceof PreviewableActionInterface;
+    }
+
+    /**
+     * A page of the records the action would run on, with their changes.
+     */
+    public function paginate(int $perPage = 10, int $page = 1): LengthAwarePaginator
+    {
+        $records = $this->builder->buildQuery()->paginate($perPage, ['*'], 'page', $page);
+
+        return $records->setCollection($this->forRecords($records->getCollection()));
+    }
+
+    /**
+     * The changes of the given records.
+     */
+    public function forRecords(Collection $records): Collection
+    {
+        return $records->map(fn (Model $record) => $this->forRecord($record))->values();
+    }
+
+    public function forRecord(Model $record): array
+    {
+        $before = $record->attributesToArray();
+
+        if (!$this->supported()) {
+            return [
+                'id' => $record->getKey(),
+                'before' => $before,
+                'after' => null,
+                'changed' => null,
+                'deleted' => false,
+            ];
+        }
+
+        $changes = $this->handler->previewChanges($record, $this->builder->getParameters());
+
+        if ($changes === null) {
+            return [
+                'id' => $record->getKey(),
+                'before' => $before,
+                'after' => null,
+                'changed' => array_keys($before),
+                'deleted' => true,
+            ];
+        }
+
+        // Fill a copy so that casts and date formats match the stored values
+        $after = (clone $record)->forceFill($changes)->attributesToArray();
+
+        return [
+            'id' => $record->getKey(),
+            'before' => $before,
+            'after' => $after,
+            'changed' => array_values(array_filter(
+                array_keys($after),
+                fn (string $key) => !array_key_exists($key, $before) || $before[$key] !== $after[$key]
+            )),
+            'deleted' => false,
+        ];
+    }
+
+    /**
+     * Every attribute shown in the given rows, in the order they appear.
+     */
+    public static function columns(Collection $rows): array
+    {
+        return $rows->flatMap(fn (array $row) => array_keys($row['before']))->unique()->values()->all();
+    }
+
+    /**
+     * The attributes changed in any of the given rows.
+     */
+    public static function changedColumns(Collection $rows): array
+    {
+        return $rows->flatMap(fn (array $row) => $row['deleted'] ? [] : ($row['changed'] ?? []))->unique()->values()->all();
+    }
+}
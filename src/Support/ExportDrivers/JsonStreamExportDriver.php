@@ -31,48 +31,63 @@ class JsonStreamExportDriver implements ExportDriverInterface
     protected int $encodeOptions = JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE;
 
     /**
-     * Export data to JSON format.
+     * Generate JSON for the given rows.
      *
      * @param Collection $data The data to export
-     * @param string $filename The output filename
      * @param array $options Export options
-     * @return string The file path
+     * @return string The JSON document
      * @throws ExportException
      */
-    public function export(Collection $data, string $filename, array $options = []): string
+    public function generate(Collection $data, array $options = []): string
     {
-        try {
-            // Apply options
-            $this->prettyPrint = $options['pretty_print'] ?? $this->prettyPrint;
-            $this->includeMetadata = $options['include_metadata'] ?? $this->includeMetadata;
+        // Apply options
+        $this->prettyPrint = $options['pretty_print'] ?? $this->prettyPrint;
+        $this->includeMetadata = $options['include_metadata'] ?? $this->includeMetadata;
 
-            if ($this->prettyPrint) {
-                $this->encodeOptions |= JSON_PRETTY_PRINT;
-            }
+        if ($this->prettyPrint) {
+            $this->encodeOptions |= JSON_PRETTY_PRINT;
+        }
 
-            $output = [];
+        $output = [];
 
-            // Add metadata if enabled
-            if ($this->includeMetadata && !empty($options['metadata'])) {
-                $output['metadata'] = $options['metadata'];
-            }
+        // Add metadata if enabled
+        if ($this->includeMetadata && !empty($options['metadata'])) {
+            $output['metadata'] = $options['metadata'];
+        }
 
-            // Add data
-            $output['data'] = $data->toArray();
+        // Add data
+        $output['data'] = $data->toArray();
 
-            // Add summary
-            if (!empty($options['include_summary'])) {
-                $output['summary'] = [
-                    'total_records' => $data->count(),
-                    'exported_at' => now()->toIso8601String(),
-                ];
-            }
+        // Add summary
+        if (!empty($options['include_summary'])) {
+            $output['summary'] = [
+                'total_records' => $data->count(),
+                'exported_at' => now()->toIso8601String(),
+            ];
+        }
 
-            $json = json_encode($output, $this->encodeOptions);
+        $json = json_encode($output, $this->encodeOptions);
 
-            if ($json === false) {
-                throw ExportException::transformationError('JSON', json_last_error_msg());
-            }
+        if ($json === false) {
+            throw ExportException::transformationError('JSON', json_last_error_msg());
+        }
+
+        return $json;
+    }
+
+    /**
+     * Export data to JSON format.
+     *
+     * @param Collection $data The data to export
+     * @param string $filename The output filename
+     * @param array $options Export options
+     * @return string The file path
+     * @throws ExportException
+     */
+    public function export(Collection $data, string $filename, array $options = []): string
+    {
+        try {
+            $json = $this->generate($data, $options);
 
             // Ensure filename has .json extension
             if (!str_ends_with($filename, '.json')) {
@@ -85,6 +100,8 @@ class JsonStreamExportDriver implements ExportDriverInterface
 
             return $path;
 
+        } catch (ExportException $e) {
+            throw $e;
         } catch (\Exception $e) {
             throw ExportException::fileSystemError('write', $filename, $e->getMessage());
         }
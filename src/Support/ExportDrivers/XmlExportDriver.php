@@ -40,15 +40,14 @@ class XmlExportDriver implements ExportDriverInterface
     protected bool $formatOutput = true;
 
     /**
-     * Export data to XML format.
+     * Generate XML for the given rows.
      *
      * @param Collection $data The data to export
-     * @param string $filename The output filename
      * @param array $options Export options
-     * @return string The file path
+     * @return string The XML document
      * @throws ExportException
      */
-    public function export(Collection $data, string $filename, array $options = []): string
+    public function generate(Collection $data, array $options = []): string
     {
         try {
             // Apply options
@@ -74,26 +73,45 @@ class XmlExportDriver implements ExportDriverInterface
                 $this->addRecord($xml, $root, $record);
             }
 
+            $content = $xml->saveXML();
+        } catch (\DOMException $e) {
+            throw ExportException::transformationError('XML', $e->getMessage());
+        }
+
+        if ($content === false) {
+            throw ExportException::transformationError('XML', 'Failed to generate XML content');
+        }
+
+        return $content;
+    }
+
+    /**
+     * Export data to XML format.
+     *
+     * @param Collection $data The data to export
+     * @param string $filename The output filename
+     * @param array $options Export options
+     * @return string The file path
+     * @throws ExportException
+     */
+    public function export(Collection $data, string $filename, array $options = []): string
+    {
+        try {
+            $content = $this->generate($data, $options);
+
             // Ensure filename has .xml extension
             if (!str_ends_with($filename, '.xml')) {
                 $filename .= '.xml';
             }
 
-            // Save to file
-            $content = $xml->saveXML();
-
-            if ($content === false) {
-                throw ExportException::transformationError('XML', 'Failed to generate XML content');
-            }
-
             // Store file
             $path = 'exports/' . $filename;
             Storage::put($path, $content);
 
             return $path;
 
-        } catch (\DOMException $e) {
-            throw ExportException::transformationError('XML', $e->getMessage());
+        } catch (ExportException $e) {
+            throw $e;
         } catch (\Exception $e) {
             throw ExportException::fileSystemError('write', $filename, $e->getMessage());
         }
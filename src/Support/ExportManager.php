@@ -4,6 +4,8 @@ namespace DhruvilNagar\ActionEngine\Support;
 
 use DhruvilNagar\ActionEngine\Contracts\ExportDriverInterface;
 use DhruvilNagar\ActionEngine\Exceptions\InvalidActionException;
+use DhruvilNagar\ActionEngine\Support\ExportDrivers\JsonStreamExportDriver;
+use DhruvilNagar\ActionEngine\Support\ExportDrivers\XmlExportDriver;
 use Illuminate\Support\Collection;
 use Illuminate\Support\Facades\Storage;
 
@@ -30,11 +32,13 @@ class ExportManager
     protected function registerDefaultDrivers(): void
     {
         $this->register('csv', new CsvExportDriver());
+        $this->register('json', new JsonStreamExportDriver());
+        $this->register('xml', new XmlExportDriver());
         
         // Register Excel driver if package is available
         if (class_exists(\Maatwebsite\Excel\Facades\Excel::class)) {
-            $this->register('xlsx', new ExcelExportDriver());
-            $this->register('xls', new ExcelExportDriver());
+            $this->register('xlsx', new ExcelExportDriver('xlsx'));
+            $this->register('xls', new ExcelExportDriver('xls'));
         }
 
         // Register PDF driver if package is available
@@ -80,7 +84,61 @@ class ExportManager
     }
 
     /**
-     * Export data to a file.
+     * Get the formats users may export to: the enabled ones
+     * (`export.formats`) that have a registered driver.
+     */
+    public function enabledFormats(): array
+    {
+        $enabled = config('action-engine.export.formats', ['csv', 'xlsx', 'pdf']);
+
+        return array_values(array_filter($enabled, fn (string $format) => $this->hasDriver($format)));
+    }
+
+    /**
+     * Describe the enabled formats for clients.
+     */
+    public function describeFormats(): array
+    {
+        return array_map(fn (string $format) => [
+            'format' => $format,
+            'extension' => $this->driver($format)->getExtension(),
+            'mime_type' => $this->driver($format)->getMimeType(),
+        ], $this->enabledFormats());
+    }
+
+    /**
+     * Get the MIME type of a format.
+     */
+    public function mimeType(string $format): string
+    {
+        return $this->driver($format)->getMimeType();
+    }
+
+    /**
+     * Turn a user-supplied name into a safe file name with the format's extension.
+     */
+    public function filename(?string $filename, string $format): string
+    {
+        $extension = $this->driver($format)->getExtension();
+
+        // No directories, and only characters that survive Content-Disposition
+        $name = preg_replace('/[^A-Za-z0-9._-]+/', '_', basename((string) $filename));
+        $name = trim((string) $name, '._');
+
+        if ($name === '') {
+            $name = 'export_' . date('Y-m-d_His');
+        }
+
+        if (!str_ends_with(strtolower($name), ".{$extension}")) {
+            $name .= ".{$extension}";
+        }
+
+        return $name;
+    }
+
+    /**
+     * Export data to a file, in `$options['directory']` or the configured
+     * export directory.
      */
     public function export(
         Collection|array $data,
@@ -91,14 +149,9 @@ class ExportManager
     ): string {
         $driver = $this->driver($format);
         $disk = $disk ?? config('action-engine.export.disk', 'local');
-        $directory = config('action-engine.export.directory', 'bulk-action-exports');
-        
-        // Ensure filename has the correct extension
-        if (!str_ends_with($filename, ".{$format}")) {
-            $filename .= ".{$format}";
-        }
+        $filename = $this->filename($filename, $format);
 
-        $filePath = "{$directory}/{$filename}";
+        $filePath = ($options['directory'] ?? config('action-engine.export.directory', 'bulk-action-exports')) . "/{$filename}";
 
         // Convert to collection if array
         if (is_array($data)) {
@@ -114,6 +167,60 @@ class ExportManager
         return $filePath;
     }
 
+    /**
+     * Export data to a file chunk by chunk, for large datasets.
+     *
+     * `$dataCallback($write, $chunkSize)` calls `$write($rows)` once per chunk,
+     * as with stream(). Drivers that can write row by row append each chunk
+     * to a temporary file; the others get the chunks collected first.
+     */
+    public function exportChunked(
+        callable $dataCallback,
+        string $format,
+        string $filename,
+        ?string $disk = null,
+        array $options = []
+    ): string {
+        $driver = $this->driver($format);
+
+        if (!method_exists($driver, 'stream')) {
+            $rows = collect();
+
+            $dataCallback(function ($chunk) use ($rows) {
+                foreach ($chunk as $row) {
+                    $rows->push($row);
+                }
+            }, $options['chunk_size'] ?? 1000);
+
+            return $this->export($rows, $format, $filename, $disk, $options);
+        }
+
+        $disk = $disk ?? config('action-engine.export.disk', 'local');
+        $filename = $this->filename($filename, $format);
+
+        $filePath = ($options['directory'] ?? config('action-engine.export.directory', 'bulk-action-exports')) . "/{$filename}";
+        $file = fopen('php://temp', 'r+');
+
+        // Drivers stream to the output, so move it into the file as it fills
+        ob_start(function (string $buffer) use ($file) {
+            fwrite($file, $buffer);
+
+            return '';
+        }, 8192);
+
+        try {
+            $driver->stream($dataCallback, $filename, $options)->sendContent();
+        } finally {
+            ob_end_flush();
+        }
+
+        rewind($file);
+        Storage::disk($disk)->writeStream($filePath, $file);
+        fclose($file);
+
+        return $filePath;
+    }
+
     /**
      * Export data and return download response.
      */
@@ -124,11 +231,7 @@ class ExportManager
         array $options = []
     ) {
         $driver = $this->driver($format);
-
-        // Ensure filename has the correct extension
-        if (!str_ends_with($filename, ".{$format}")) {
-            $filename .= ".{$format}";
-        }
+        $filename = $this->filename($filename, $format);
 
         // Convert to collection if array
         if (is_array($data)) {
@@ -138,11 +241,19 @@ class ExportManager
         // Generate the export file
         $content = $driver->generate($data, $options);
 
-        return $driver->download($content, $filename);
+        return response()->streamDownload(function () use ($content) {
+            echo $content;
+        }, $filename, [
+            'Content-Type' => $driver->getMimeType(),
+            'Content-Length' => strlen($content),
+        ]);
     }
 
     /**
      * Stream export data for large datasets.
+     *
+     * `$dataCallback($write, $chunkSize)` calls `$write($rows)` once per chunk.
+     * Drivers that cannot write row by row get the chunks collected first.
      */
     public function stream(
         callable $dataCallback,
@@ -151,13 +262,25 @@ class ExportManager
         array $options = []
     ) {
         $driver = $this->driver($format);
+        $filename = $this->filename($filename, $format);
 
-        // Ensure filename has the correct extension
-        if (!str_ends_with($filename, ".{$format}")) {
-            $filename .= ".{$format}";
+        if (method_exists($driver, 'stream')) {
+            return $driver->stream($dataCallback, $filename, $options);
         }
 
-        return $driver->stream($dataCallback, $filename, $options);
+        return response()->streamDownload(function () use ($driver, $dataCallback, $options) {
+            $rows = collect();
+
+            $dataCallback(function ($chunk) use ($rows) {
+                foreach ($chunk as $row) {
+                    $rows->push($row);
+                }
+            }, $options['chunk_size'] ?? 1000);
+
+            echo $driver->generate($rows, $options);
+        }, $filename, [
+            'Content-Type' => $driver->getMimeType(),
+        ]);
     }
 
     /**
@@ -186,6 +309,16 @@ class ExportManager
  */
 class CsvExportDriver implements ExportDriverInterface
 {
+    public function getExtension(): string
+    {
+        return 'csv';
+    }
+
+    public function getMimeType(): string
+    {
+        return 'text/csv';
+    }
+
     public function generate(Collection $data, array $options = []): string
     {
         if ($data->isEmpty()) {
@@ -280,6 +413,22 @@ class CsvExportDriver implements ExportDriverInterface
  */
 class ExcelExportDriver implements ExportDriverInterface
 {
+    public function __construct(
+        protected string $extension = 'xlsx'
+    ) {}
+
+    public function getExtension(): string
+    {
+        return $this->extension;
+    }
+
+    public function getMimeType(): string
+    {
+        return $this->extension === 'xls'
+            ? 'application/vnd.ms-excel'
+            : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    }
+
     public function generate(Collection $data, array $options = []): string
     {
         throw new InvalidActionException('Excel export requires maatwebsite/excel package. Install it with: composer require maatwebsite/excel');
@@ -301,6 +450,16 @@ class ExcelExportDriver implements ExportDriverInterface
  */
 class PdfExportDriver implements ExportDriverInterface
 {
+    public function getExtension(): string
+    {
+        return 'pdf';
+    }
+
+    public function getMimeType(): string
+    {
+        return 'application/pdf';
+    }
+
     public function generate(Collection $data, array $options = []): string
     {
         throw new InvalidActionException('PDF export requires barryvdh/laravel-dompdf package. Install it with: composer require barryvdh/laravel-dompdf');
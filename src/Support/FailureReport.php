@@ -0,0 +1,156 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Support;
+
+use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use DhruvilNagar\ActionEngine\Models\BulkActionFailure;
+use DhruvilNagar\ActionEngine\Models\BulkActionProgress;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+use Illuminate\Pagination\LengthAwarePaginator;
+
+/**
+ * The failed records of an execution, read from its failures table.
+ *
+ * Each failure is `{id, type, message, batch_number}`, where `type` is the
+ * short class name of the exception the record failed with. Records of a
+ * batch that failed as a whole share the batch's error, and failures
+ * recorded before per-record errors were kept have the `Unknown` type.
+ * record() writes the rows from a batch's `failed_ids` and `error_details`.
+ */
+class FailureReport
+{
+    public const UNKNOWN_TYPE = 'Unknown';
+
+    protected ?string $keyType = null;
+
+    public function __construct(
+        protected BulkActionExecution $execution
+    ) {}
+
+    /**
+     * Replace the failures of a batch with its current failed records.
+     */
+    public static function record(BulkActionProgress $batch): void
+    {
+        BulkActionFailure::where('bulk_action_execution_id', $batch->bulk_action_execution_id)
+            ->where('batch_number', $batch->batch_number)
+            ->delete();
+
+        $now = now();
+
+        foreach (array_chunk(static::batchFailures($batch), 500) as $failures) {
+            BulkActionFailure::insert(array_map(fn (array $failure) => [
+                'bulk_action_execution_id' => $batch->bulk_action_execution_id,
+                'batch_number' => $batch->batch_number,
+                'record_id' => (string) $failure['id'],
+                'type' => $failure['type'],
+                'message' => $failure['message'],
+                'created_at' => $now,
+                'updated_at' => $now,
+            ], $failures));
+        }
+    }
+
+    /**
+     * The failures, optionally of one error type, in batch order.
+     */
+    public function query(?string $type = null): HasMany
+    {
+        return $this->execution->failures()
+            ->when($type !== null, fn ($query) => $query->where('type', $type))
+            ->orderBy('batch_number')
+            ->orderBy('id');
+    }
+
+    /**
+     * The failures grouped by error type, most frequent first, with a
+     * sample message each.
+     */
+    public function groups(): array
+    {
+        return $this->execution->failures()
+            ->select('type')
+            ->selectRaw('count(*) as aggregate, min(message) as message')
+            ->groupBy('type')
+            ->orderByDesc('aggregate')
+            ->orderBy('type')
+            ->toBase()
+            ->get()
+            ->map(fn ($group) => [
+                'type' => $group->type,
+                'count' => (int) $group->aggregate,
+                'message' => $group->message,
+            ])
+            ->all();
+    }
+
+    /**
+     * The failed record ids, optionally of one error type.
+     */
+    public function ids(?string $type = null): array
+    {
+        return $this->query($type)
+            ->pluck('record_id')
+            ->map(fn (string $id) => $this->recordKey($id))
+            ->unique()
+            ->values()
+            ->all();
+    }
+
+    /**
+     * A page of failures, optionally of one error type.
+     */
+    public function paginate(int $perPage = 50, int $page = 1, ?string $type = null): LengthAwarePaginator
+    {
+        return $this->query($type)
+            ->paginate($perPage, ['record_id', 'type', 'message', 'batch_number'], 'page', $page)
+            ->through(fn (BulkActionFailure $failure) => [
+                'id' => $this->recordKey($failure->record_id),
+                'type' => $failure->type,
+                'message' => $failure->message,
+                'batch_number' => $failure->batch_number,
+            ]);
+    }
+
+    /**
+     * A stored record id with the type of the model's key.
+     */
+    protected function recordKey(string $id): int|string
+    {
+        $modelClass = $this->execution->model_type;
+
+        $this->keyType ??= class_exists($modelClass) ? (new $modelClass)->getKeyType() : '';
+
+        // Without the model class, ids that look like integers are taken as such
+        $integer = $this->keyType === ''
+            ? ctype_digit($id)
+            : in_array($this->keyType, ['int', 'integer']);
+
+        return $integer ? (int) $id : $id;
+    }
+
+    /**
+     * The failures of one batch.
+     */
+    protected static function batchFailures(BulkActionProgress $batch): array
+    {
+        $recorded = collect($batch->error_details['records'] ?? [])->keyBy('id');
+
+        // A batch that failed as a whole reports its own error for every record
+        $batchError = $batch->hasFailed()
+            ? [
+                'type' => class_basename($batch->error_details['exception'] ?? self::UNKNOWN_TYPE),
+                'message' => $batch->error_message,
+            ]
+            : ['type' => self::UNKNOWN_TYPE, 'message' => null];
+
+        return collect($batch->failed_ids ?? [])
+            ->map(fn ($id) => [
+                'id' => $id,
+                'type' => $recorded->get($id)['type'] ?? $batchError['type'],
+                'message' => $recorded->get($id)['message'] ?? $batchError['message'],
+                'batch_number' => $batch->batch_number,
+            ])
+            ->all();
+    }
+}
@@ -12,7 +12,7 @@ class SafetyManager
      */
     public function requiresConfirmation(string $actionType): bool
     {
-        $destructiveActions = config('action-engine.destructive_actions', [
+        $destructiveActions = config('action-engine.safety.destructive_actions', [
             'delete',
             'force_delete',
             'truncate'
@@ -26,7 +26,7 @@ class SafetyManager
      */
     public function softDeleteBeforeHardDelete(string $modelClass, array $ids): bool
     {
-        if (!config('action-engine.soft_delete_before_hard_delete', true)) {
+        if (!config('action-engine.safety.soft_delete_before_hard_delete', true)) {
             return false;
         }
 
@@ -49,7 +49,7 @@ class SafetyManager
      */
     public function lockRecords(BulkActionExecution $execution): void
     {
-        if (!config('action-engine.enable_record_locking', true)) {
+        if (!config('action-engine.safety.enable_record_locking', true)) {
             return;
         }
 
@@ -67,9 +67,9 @@ class SafetyManager
     /**
      * Check if dry run is required for first-time destructive operations
      */
-    public function requiresDryRun(string $actionType, int $userId): bool
+    public function requiresDryRun(string $actionType, int|string $userId): bool
     {
-        if (!config('action-engine.require_dry_run_first_time', true)) {
+        if (!config('action-engine.safety.require_dry_run_first_time', true)) {
             return false;
         }
 
@@ -77,10 +77,9 @@ class SafetyManager
             return false;
         }
 
-        // Check if user has run this action type before
-        $hasRunBefore = BulkActionExecution::where('action_type', $actionType)
-            ->where('created_by', $userId)
-            ->where('is_dry_run', false)
+        // A previous dry run or real run of this action type satisfies the requirement
+        $hasRunBefore = BulkActionExecution::where('action_name', $actionType)
+            ->where('user_id', $userId)
             ->exists();
 
         return !$hasRunBefore;
@@ -91,7 +90,7 @@ class SafetyManager
      */
     public function rollbackPartialFailure(BulkActionExecution $execution): void
     {
-        if (!config('action-engine.rollback_on_partial_failure', true)) {
+        if (!config('action-engine.safety.rollback_on_partial_failure', true)) {
             return;
         }
 
@@ -133,7 +132,7 @@ class SafetyManager
             'title' => 'Confirm Destructive Action',
             'message' => "You are about to {$actionType} {$recordCount} records. This action may be irreversible.",
             'confirmText' => 'I understand the consequences',
-            'requiresTyping' => $recordCount > 1000,
+            'requiresTyping' => $recordCount > $this->confirmationThreshold(),
             'typeText' => strtoupper($actionType),
             'showWarning' => true,
             'warningLevel' => $recordCount > 10000 ? 'critical' : 'high'
@@ -147,4 +146,38 @@ class SafetyManager
     {
         return strtoupper($input) === strtoupper($actionType);
     }
+
+    /**
+     * Record count above which the confirmation phrase must be typed
+     */
+    public function confirmationThreshold(): int
+    {
+        return (int) config('action-engine.safety.confirmation_threshold', 1000);
+    }
+
+    /**
+     * Describe the confirmation steps a client must run before executing.
+     *
+     * Returned with previews so that the JS bindings can show the matching
+     * confirmation dialog.
+     *
+     * @param string $actionType The action about to run
+     * @param int $recordCount Number of affected records
+     * @param mixed $user The initiating user, if authenticated
+     * @return array{destructive: bool, requires_confirmation: bool, requires_typing: bool, requires_dry_run: bool, threshold: int, prompt: array|null}
+     */
+    public function assess(string $actionType, int $recordCount, $user = null): array
+    {
+        $destructive = $this->requiresConfirmation($actionType);
+        $requiresConfirmation = $destructive && config('action-engine.safety.require_confirmation', true);
+
+        return [
+            'destructive' => $destructive,
+            'requires_confirmation' => $requiresConfirmation,
+            'requires_typing' => $requiresConfirmation && $recordCount > $this->confirmationThreshold(),
+            'requires_dry_run' => $user !== null && $this->requiresDryRun($actionType, $user->getKey()),
+            'threshold' => $this->confirmationThreshold(),
+            'prompt' => $requiresConfirmation ? $this->getConfirmationPrompt($actionType, $recordCount) : null,
+        ];
+    }
 }
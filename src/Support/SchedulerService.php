@@ -92,8 +92,11 @@ class SchedulerService
 
     /**
      * Reschedule an action.
+     *
+     * A date string without an offset is read in `$timezone`, which then
+     * replaces the stored one. The undo window moves along with the start.
      */
-    public function reschedule(BulkActionExecution $execution, Carbon $newDateTime): bool
+    public function reschedule(BulkActionExecution $execution, string|Carbon $newDateTime, ?string $timezone = null): bool
     {
         if (!in_array($execution->status, [
             BulkActionExecution::STATUS_SCHEDULED,
@@ -102,14 +105,40 @@ class SchedulerService
             return false;
         }
 
-        $execution->update([
+        $newDateTime = static::toAppTime($newDateTime, $timezone);
+        $attributes = [
             'scheduled_for' => $newDateTime,
             'status' => BulkActionExecution::STATUS_SCHEDULED,
-        ]);
+            'completed_at' => null,
+        ];
+
+        if ($timezone) {
+            $attributes['scheduled_timezone'] = $timezone;
+        }
+
+        if ($execution->undo_expires_at && $execution->scheduled_for) {
+            $undoWindow = $execution->undo_expires_at->getTimestamp() - $execution->scheduled_for->getTimestamp();
+            $attributes['undo_expires_at'] = $newDateTime->copy()->addSeconds($undoWindow);
+        }
+
+        $execution->update($attributes);
 
         return true;
     }
 
+    /**
+     * Convert a schedule time to the application timezone the dates are
+     * stored in, reading strings without an offset in `$timezone`.
+     */
+    public static function toAppTime(string|Carbon $datetime, ?string $timezone = null): Carbon
+    {
+        $datetime = $datetime instanceof Carbon
+            ? $datetime->copy()
+            : Carbon::parse($datetime, $timezone);
+
+        return $datetime->setTimezone(config('app.timezone', 'UTC'));
+    }
+
     /**
      * Get all scheduled actions.
      */
@@ -0,0 +1,201 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Support;
+
+use DhruvilNagar\ActionEngine\Actions\ActionRegistry;
+use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use ReflectionClass;
+
+/**
+ * TypeScriptSchemaGenerator
+ *
+ * Generates the `schema.d.ts` consumed by the JS core's type definitions,
+ * keeping them in sync with the PHP side:
+ * - execution statuses, read from the BulkActionExecution STATUS_* constants
+ * - the fields of BulkActionExecutionResource
+ * - the declared `parameters` of every registered action
+ *
+ * @example
+ * file_put_contents($path, app(TypeScriptSchemaGenerator::class)->generate());
+ */
+class TypeScriptSchemaGenerator
+{
+    /**
+     * TypeScript types of the BulkActionExecutionResource fields.
+     * Keys ending in `?` are only present conditionally (`$this->when()`).
+     *
+     * @var array<string, string>
+     */
+    public const RESOURCE_FIELDS = [
+        'uuid' => 'string',
+        'action_name' => 'string',
+        'model_type' => 'string',
+        'status' => 'BulkActionStatus',
+        'total_records' => 'number',
+        'processed_records' => 'number',
+        'failed_records' => 'number',
+        'progress_percentage' => 'number',
+        'success_rate' => 'number',
+        'can_undo' => 'boolean',
+        'undo_expires_at' => 'string | null',
+        'is_dry_run' => 'boolean',
+        'dry_run_results?' => 'Record<string, unknown> | null',
+        'scheduled_for' => 'string | null',
+        'scheduled_timezone' => 'string | null',
+        'started_at' => 'string | null',
+        'completed_at' => 'string | null',
+        'created_at' => 'string | null',
+        'error_details?' => 'Record<string, unknown> | null',
+        'export?' => '{ filename: string; format: string; mime_type: string; size: number | null; download_url: string | null }',
+        'chain_uuid?' => 'string',
+        'filters?' => 'Record<string, unknown> | null',
+        'parameters?' => 'Record<string, unknown> | null',
+    ];
+
+    /**
+     * TypeScript types of the declared parameter types.
+     *
+     * @var array<string, string>
+     */
+    protected const PARAMETER_TYPES = [
+        'string' => 'string',
+        'text' => 'string',
+        'email' => 'string',
+        'date' => 'string',
+        'datetime' => 'string',
+        'integer' => 'number',
+        'number' => 'number',
+        'boolean' => 'boolean',
+        'array' => 'string[]',
+        'object' => 'Record<string, unknown>',
+    ];
+
+    public function __construct(
+        protected ActionRegistry $registry
+    ) {}
+
+    /**
+     * Generate the contents of `schema.d.ts`.
+     */
+    public function generate(): string
+    {
+        $lines = [
+            '// Generated by `php artisan action-engine:types`. Do not edit by hand.',
+            '',
+            'export type BulkActionStatus =',
+        ];
+
+        foreach ($this->statuses() as $status) {
+            $lines[] = '    | ' . $this->literal($status);
+        }
+
+        $lines[] = '';
+        $lines[] = 'export interface BulkActionExecutionFields {';
+
+        foreach (self::RESOURCE_FIELDS as $field => $type) {
+            $lines[] = "    {$field}: {$type}";
+        }
+
+        $lines[] = '}';
+        $lines[] = '';
+        $lines[] = 'export interface ActionParameterMap {';
+
+        foreach ($this->registry->allWithMetadata() as $name => $metadata) {
+            $lines[] = '    ' . $this->literal($name) . ': ' . $this->parametersType($metadata['parameters'] ?? []);
+        }
+
+        $lines[] = '}';
+
+        return implode("\n", $lines) . "\n";
+    }
+
+    /**
+     * Get every execution status, in declaration order.
+     *
+     * @return array<int, string>
+     */
+    public function statuses(): array
+    {
+        $constants = (new ReflectionClass(BulkActionExecution::class))->getConstants();
+
+        return array_values(array_filter(
+            $constants,
+            fn ($value, $name) => str_starts_with($name, 'STATUS_'),
+            ARRAY_FILTER_USE_BOTH
+        ));
+    }
+
+    /**
+     * Build the object type for an action's declared parameters.
+     */
+    protected function parametersType(array $parameters): string
+    {
+        if (empty($parameters)) {
+            return 'Record<string, unknown>';
+        }
+
+        $members = [];
+
+        foreach ($parameters as $key => $definition) {
+            // Accept the list form: [['name' => 'force', 'type' => 'boolean']]
+            if (is_int($key)) {
+                $key = is_array($definition) ? ($definition['name'] ?? null) : $definition;
+                $definition = is_array($definition) ? $definition : [];
+            }
+
+            if (!is_string($key)) {
+                continue;
+            }
+
+            $definition = is_string($definition) ? ['type' => $definition] : $definition;
+            $optional = empty($definition['required']) ? '?' : '';
+
+            $members[] = $this->literal($key) . $optional . ': ' . $this->parameterType($definition);
+        }
+
+        return '{ ' . implode('; ', $members) . ' }';
+    }
+
+    /**
+     * Map one parameter definition to a TypeScript type.
+     */
+    protected function parameterType(array $definition): string
+    {
+        $type = $definition['type'] ?? null;
+        $options = $definition['options'] ?? null;
+
+        if (($type === 'select' || $type === 'enum' || $type === null) && is_array($options) && !empty($options)) {
+            $values = array_is_list($options)
+                ? array_map(fn ($option) => is_array($option) ? ($option['value'] ?? null) : $option, $options)
+                : array_keys($options);
+
+            return implode(' | ', array_map(fn ($value) => $this->literal($value), $values));
+        }
+
+        $aliases = [
+            'bool' => 'boolean',
+            'int' => 'integer',
+            'float' => 'number',
+            'numeric' => 'number',
+            'textarea' => 'text',
+            'json' => 'object',
+            'list' => 'array',
+        ];
+        $type = $aliases[$type] ?? $type;
+
+        return self::PARAMETER_TYPES[$type] ?? 'string';
+    }
+
+    /**
+     * Render a PHP scalar as a TypeScript literal.
+     */
+    protected function literal(mixed $value): string
+    {
+        return match (true) {
+            is_string($value) => "'" . addcslashes($value, "'\\") . "'",
+            is_bool($value) => $value ? 'true' : 'false',
+            is_int($value), is_float($value) => (string) $value,
+            default => 'null',
+        };
+    }
+}
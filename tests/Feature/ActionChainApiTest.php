@@ -0,0 +1,302 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Tests\Feature;
+
+use DhruvilNagar\ActionEngine\Exceptions\InvalidActionException;
+use DhruvilNagar\ActionEngine\Facades\ActionRegistry;
+use DhruvilNagar\ActionEngine\Facades\BulkAction;
+use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use DhruvilNagar\ActionEngine\Tests\Fixtures\TestModel;
+use DhruvilNagar\ActionEngine\Tests\TestCase;
+
+class ActionChainApiTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        for ($i = 1; $i <= 3; $i++) {
+            TestModel::create([
+                'name' => "Test User {$i}",
+                'email' => "test{$i}@example.com",
+                'status' => 'active',
+            ]);
+        }
+
+        ActionRegistry::register('fail_on_second', function ($record) {
+            if ($record->id === 2) {
+                throw new \RuntimeException('Second record is locked');
+            }
+
+            return true;
+        });
+    }
+
+    /**
+     * Run a chain synchronously on every test model.
+     */
+    protected function runChain(array $chain, array $options = []): BulkActionExecution
+    {
+        $response = $this->postJson('/api/bulk-actions', [
+            'action' => 'update',
+            'model' => TestModel::class,
+            'filters' => ['ids' => TestModel::pluck('id')->all()],
+            'parameters' => ['data' => ['status' => 'archived']],
+            'options' => array_merge(['sync' => true, 'chain' => $chain], $options),
+        ])->assertStatus(202);
+
+        return BulkActionExecution::where('uuid', $response->json('data.uuid'))->first();
+    }
+
+    /** @test */
+    public function it_runs_the_steps_of_a_chain_one_after_the_other(): void
+    {
+        $root = $this->runChain([
+            ['action' => 'update', 'parameters' => ['data' => ['name' => 'Renamed']]],
+            ['action' => 'archive', 'parameters' => ['reason' => 'Chained']],
+        ]);
+
+        $this->assertEquals(2, $root->childExecutions()->count());
+        $this->assertEquals(3, TestModel::where('status', 'archived')->where('name', 'Renamed')->whereNotNull('archived_at')->count());
+
+        $this->getJson("/api/bulk-actions/{$root->uuid}/chain")
+            ->assertOk()
+            ->assertJsonPath('data.uuid', $root->uuid)
+            ->assertJsonPath('data.status', 'completed')
+            ->assertJsonPath('data.current_step', 3)
+            ->assertJsonPath('data.total_steps', 3)
+            ->assertJsonPath('data.progress_percentage', 100)
+            ->assertJsonPath('data.steps.0.action_name', 'update')
+            ->assertJsonPath('data.steps.1.parameters.data.name', 'Renamed')
+            ->assertJsonPath('data.steps.2.action_name', 'archive')
+            ->assertJsonPath('data.steps.2.status', 'completed')
+            ->assertJsonPath('data.steps.2.processed_records', 3);
+    }
+
+    /** @test */
+    public function it_starts_each_step_after_the_one_before_it(): void
+    {
+        $root = $this->runChain([
+            ['action' => 'update', 'parameters' => ['data' => ['name' => 'Renamed']]],
+            ['action' => 'archive', 'parameters' => ['reason' => 'Chained']],
+            ['action' => 'update', 'parameters' => ['data' => ['status' => 'reviewed']]],
+        ]);
+
+        $steps = $root->childExecutions()->get()->sortBy(fn ($step) => $step->chain_config['step'])->values();
+
+        $this->assertEquals([2, 3, 4], $steps->map(fn ($step) => $step->chain_config['step'])->all());
+        $this->assertEquals(['update', 'archive', 'update'], $steps->pluck('action_name')->all());
+        $this->assertEquals('Renamed', $steps[0]->parameters['data']['name']);
+        $this->assertEquals('Chained', $steps[1]->parameters['reason']);
+        $this->assertTrue($steps->every(fn ($step) => $step->status === BulkActionExecution::STATUS_COMPLETED));
+        $this->assertEquals(3, TestModel::where('status', 'reviewed')->whereNotNull('archived_at')->count());
+    }
+
+    /** @test */
+    public function it_runs_later_steps_on_the_records_the_step_before_affected(): void
+    {
+        $untouched = TestModel::create(['name' => 'Already archived', 'email' => 'archived@example.com', 'status' => 'archived']);
+
+        $response = $this->postJson('/api/bulk-actions', [
+            'action' => 'update',
+            'model' => TestModel::class,
+            'filters' => ['where' => [['status', 'active']]],
+            'parameters' => ['data' => ['status' => 'archived']],
+            'options' => ['sync' => true, 'chain' => [
+                ['action' => 'update', 'parameters' => ['data' => ['name' => 'Renamed']]],
+            ]],
+        ])->assertStatus(202);
+
+        $step = BulkActionExecution::where('uuid', $response->json('data.uuid'))->first()->childExecutions()->first();
+
+        // The first step's filter no longer matches the records it archived
+        $this->assertEquals(3, $step->processed_records);
+        $this->assertEquals(3, TestModel::where('name', 'Renamed')->count());
+        $this->assertEquals('Already archived', $untouched->fresh()->name);
+    }
+
+    /** @test */
+    public function it_skips_the_later_steps_when_a_step_affected_no_records(): void
+    {
+        $response = $this->postJson('/api/bulk-actions', [
+            'action' => 'update',
+            'model' => TestModel::class,
+            'filters' => ['where' => [['status', 'deleted']]],
+            'parameters' => ['data' => ['status' => 'archived']],
+            'options' => ['sync' => true, 'chain' => [
+                ['action' => 'update', 'parameters' => ['data' => ['name' => 'Renamed']]],
+            ]],
+        ])->assertStatus(202);
+
+        $root = BulkActionExecution::where('uuid', $response->json('data.uuid'))->first();
+
+        $this->assertEquals(0, $root->childExecutions()->count());
+        $this->assertEquals(0, TestModel::where('name', 'Renamed')->count());
+
+        $this->getJson("/api/bulk-actions/{$root->uuid}/chain")
+            ->assertOk()
+            ->assertJsonPath('data.status', 'completed')
+            ->assertJsonPath('data.steps.1.status', 'skipped');
+    }
+
+    /** @test */
+    public function it_returns_the_same_timeline_for_any_step(): void
+    {
+        $root = $this->runChain([['action' => 'update', 'parameters' => ['data' => ['name' => 'Renamed']]]]);
+        $step = $root->childExecutions()->first();
+
+        $this->assertEquals(['step' => 2], $step->chain_config);
+
+        $this->getJson("/api/bulk-actions/{$step->uuid}")
+            ->assertJsonPath('data.chain_uuid', $root->uuid);
+
+        $this->getJson("/api/bulk-actions/{$step->uuid}/chain")
+            ->assertOk()
+            ->assertJsonPath('data.uuid', $root->uuid)
+            ->assertJsonPath('data.steps.1.uuid', $step->uuid);
+    }
+
+    /** @test */
+    public function it_stops_the_chain_after_a_step_with_failures(): void
+    {
+        $root = $this->runChain([
+            ['action' => 'fail_on_second'],
+            ['action' => 'update', 'parameters' => ['data' => ['name' => 'Renamed']]],
+        ]);
+
+        $this->assertEquals(1, $root->childExecutions()->count());
+        $this->assertEquals(0, TestModel::where('name', 'Renamed')->count());
+
+        $this->getJson("/api/bulk-actions/{$root->uuid}/chain")
+            ->assertOk()
+            ->assertJsonPath('data.status', 'partially_completed')
+            ->assertJsonPath('data.current_step', 2)
+            ->assertJsonPath('data.steps.1.status', 'partially_completed')
+            ->assertJsonPath('data.steps.2.status', 'skipped')
+            ->assertJsonPath('data.steps.2.uuid', null);
+    }
+
+    /** @test */
+    public function it_rejects_a_chain_with_an_unregistered_action(): void
+    {
+        $this->expectException(InvalidActionException::class);
+
+        BulkAction::on(TestModel::class)
+            ->action('update')
+            ->with(['data' => ['status' => 'archived']])
+            ->chain(['no_such_action'])
+            ->sync()
+            ->execute();
+    }
+
+    /** @test */
+    public function it_cancels_the_running_step_and_the_remaining_ones(): void
+    {
+        $root = BulkActionExecution::factory()->processing()->action('update')->create([
+            'chain_config' => ['steps' => [
+                ['action' => 'archive', 'parameters' => []],
+                ['action' => 'export', 'parameters' => ['format' => 'csv']],
+            ]],
+        ]);
+
+        $this->postJson("/api/bulk-actions/{$root->uuid}/chain/cancel")
+            ->assertOk()
+            ->assertJsonPath('data.status', 'cancelled')
+            ->assertJsonPath('data.steps.0.status', 'cancelled')
+            ->assertJsonPath('data.steps.1.status', 'cancelled')
+            ->assertJsonPath('data.steps.2.status', 'cancelled');
+
+        $this->assertTrue($root->fresh()->chain_config['steps'][1]['cancelled']);
+    }
+
+    /** @test */
+    public function it_cancels_the_steps_after_a_completed_one(): void
+    {
+        $root = $this->runChain([]);
+        $root->update(['chain_config' => ['steps' => [['action' => 'archive', 'parameters' => []]]]]);
+
+        $this->postJson("/api/bulk-actions/{$root->uuid}/chain/cancel")
+            ->assertOk()
+            ->assertJsonPath('data.status', 'cancelled')
+            ->assertJsonPath('data.steps.0.status', 'completed')
+            ->assertJsonPath('data.steps.1.status', 'cancelled');
+    }
+
+    /** @test */
+    public function it_refuses_to_cancel_a_finished_chain(): void
+    {
+        $root = $this->runChain([['action' => 'update', 'parameters' => ['data' => ['name' => 'Renamed']]]]);
+
+        $this->postJson("/api/bulk-actions/{$root->uuid}/chain/cancel")
+            ->assertStatus(422)
+            ->assertJsonPath('message', 'This chain has already finished.');
+    }
+
+    /** @test */
+    public function it_undoes_the_completed_steps_in_reverse_order(): void
+    {
+        $root = $this->runChain(
+            [['action' => 'update', 'parameters' => ['data' => ['name' => 'Renamed']]]],
+            ['with_undo' => true]
+        );
+
+        $step = $root->childExecutions()->first();
+        $this->assertTrue($step->can_undo);
+
+        $this->postJson("/api/bulk-actions/{$root->uuid}/chain/undo")
+            ->assertOk()
+            ->assertJsonPath('data.undone.0.step', 2)
+            ->assertJsonPath('data.undone.0.uuid', $step->uuid)
+            ->assertJsonPath('data.undone.1.step', 1)
+            ->assertJsonPath('data.undone.1.restored_count', 3)
+            ->assertJsonPath('data.chain.steps.0.can_undo', false);
+
+        $this->assertEquals(3, TestModel::where('status', 'active')->where('name', 'like', 'Test User%')->count());
+    }
+
+    /** @test */
+    public function it_refuses_to_undo_a_running_chain(): void
+    {
+        $root = BulkActionExecution::factory()->processing()->withUndo()->create([
+            'chain_config' => ['steps' => [['action' => 'archive', 'parameters' => []]]],
+        ]);
+
+        $this->postJson("/api/bulk-actions/{$root->uuid}/chain/undo")
+            ->assertStatus(422)
+            ->assertJsonPath('success', false);
+    }
+
+    /** @test */
+    public function it_refuses_to_undo_a_chain_without_undo_data(): void
+    {
+        $root = $this->runChain([['action' => 'update', 'parameters' => ['data' => ['name' => 'Renamed']]]]);
+
+        $this->postJson("/api/bulk-actions/{$root->uuid}/chain/undo")
+            ->assertStatus(422);
+    }
+
+    /** @test */
+    public function it_refuses_another_users_chain(): void
+    {
+        $root = BulkActionExecution::factory()->processing()->withUndo()->forUser(999)->create([
+            'chain_config' => ['steps' => [['action' => 'archive', 'parameters' => []]]],
+        ]);
+
+        $this->getJson("/api/bulk-actions/{$root->uuid}/chain")->assertForbidden();
+        $this->postJson("/api/bulk-actions/{$root->uuid}/chain/cancel")->assertForbidden();
+        $this->postJson("/api/bulk-actions/{$root->uuid}/chain/undo")
+            ->assertForbidden()
+            ->assertJsonPath('success', false);
+
+        $this->assertEquals(BulkActionExecution::STATUS_PROCESSING, $root->fresh()->status);
+        $this->assertArrayNotHasKey('cancelled', $root->fresh()->chain_config['steps'][0]);
+    }
+
+    /** @test */
+    public function it_returns_404_for_an_action_outside_a_chain(): void
+    {
+        $execution = BulkActionExecution::factory()->completed()->create();
+
+        $this->getJson("/api/bulk-actions/{$execution->uuid}/chain")->assertNotFound();
+    }
+}
@@ -0,0 +1,36 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Tests\Feature;
+
+use DhruvilNagar\ActionEngine\Facades\ActionRegistry;
+use DhruvilNagar\ActionEngine\Tests\TestCase;
+
+class AvailableActionsApiTest extends TestCase
+{
+    /** @test */
+    public function it_lists_built_in_actions_with_their_parameter_schemas(): void
+    {
+        $this->getJson('/api/bulk-actions/actions')
+            ->assertOk()
+            ->assertJsonPath('data.delete.parameters.force.type', 'boolean')
+            ->assertJsonPath('data.export.parameters.format.type', 'select')
+            ->assertJsonPath('data.export.parameters.format.options', ['csv', 'xlsx', 'pdf'])
+            ->assertJsonPath('data.archive.parameters.reason.type', 'text');
+    }
+
+    /** @test */
+    public function it_includes_parameters_declared_by_custom_actions(): void
+    {
+        ActionRegistry::register('notify', fn () => true, [
+            'label' => 'Send Notification',
+            'parameters' => [
+                'message' => ['type' => 'text', 'required' => true],
+            ],
+        ]);
+
+        $this->getJson('/api/bulk-actions/actions')
+            ->assertOk()
+            ->assertJsonPath('data.notify.label', 'Send Notification')
+            ->assertJsonPath('data.notify.parameters.message.required', true);
+    }
+}
@@ -0,0 +1,103 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Tests\Feature;
+
+use DhruvilNagar\ActionEngine\Tests\Fixtures\TestModel;
+use DhruvilNagar\ActionEngine\Tests\TestCase;
+
+class BulkActionFiltersApiTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        for ($i = 1; $i <= 6; $i++) {
+            TestModel::create([
+                'name' => "Test User {$i}",
+                'email' => "test{$i}@example.com",
+                'status' => 'active',
+                'archived_at' => $i <= 2 ? now() : null,
+            ]);
+        }
+    }
+
+    /** @test */
+    public function it_applies_where_null_filters(): void
+    {
+        $this->postJson('/api/bulk-actions/preview', [
+            'action' => 'archive',
+            'model' => TestModel::class,
+            'filters' => ['where_null' => ['archived_at']],
+        ])
+            ->assertOk()
+            ->assertJsonPath('data.total_count', 4);
+    }
+
+    /** @test */
+    public function it_applies_where_not_null_filters(): void
+    {
+        $this->postJson('/api/bulk-actions/preview', [
+            'action' => 'archive',
+            'model' => TestModel::class,
+            'filters' => [
+                'where' => [['status', 'active']],
+                'where_not_null' => ['archived_at'],
+            ],
+        ])
+            ->assertOk()
+            ->assertJsonPath('data.total_count', 2);
+    }
+
+    /** @test */
+    public function it_previews_all_matching_rows_minus_exclusions(): void
+    {
+        $excluded = TestModel::whereNull('archived_at')->limit(2)->pluck('id')->all();
+
+        $this->postJson('/api/bulk-actions/preview', [
+            'action' => 'archive',
+            'model' => TestModel::class,
+            'filters' => [
+                'where_null' => ['archived_at'],
+                'where_not_in' => [['id', $excluded]],
+            ],
+        ])
+            ->assertOk()
+            ->assertJsonPath('data.total_count', 2);
+    }
+
+    /** @test */
+    public function it_matches_nothing_for_an_empty_where_in_list(): void
+    {
+        $this->postJson('/api/bulk-actions/preview', [
+            'action' => 'archive',
+            'model' => TestModel::class,
+            'filters' => ['where_in' => [['id', []]]],
+        ])
+            ->assertOk()
+            ->assertJsonPath('data.total_count', 0);
+    }
+
+    /** @test */
+    public function it_validates_where_not_in_filters_on_preview(): void
+    {
+        $this->postJson('/api/bulk-actions/preview', [
+            'action' => 'archive',
+            'model' => TestModel::class,
+            'filters' => ['where_not_in' => [['id']]],
+        ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('filters.where_not_in.0');
+    }
+
+    /** @test */
+    public function it_rejects_non_string_null_filter_columns(): void
+    {
+        $this->postJson('/api/bulk-actions', [
+            'action' => 'archive',
+            'model' => TestModel::class,
+            'filters' => ['where_null' => [['archived_at']]],
+        ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('filters.where_null.0');
+    }
+}
@@ -0,0 +1,217 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Tests\Feature;
+
+use DhruvilNagar\ActionEngine\Http\Resources\BulkActionExecutionResource;
+use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use DhruvilNagar\ActionEngine\Tests\Fixtures\TestModel;
+use DhruvilNagar\ActionEngine\Tests\TestCase;
+use Illuminate\Foundation\Auth\User;
+use Illuminate\Routing\RouteCollection;
+use Illuminate\Support\Facades\Storage;
+
+class ExportApiTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Storage::fake('local');
+
+        for ($i = 1; $i <= 3; $i++) {
+            TestModel::create([
+                'name' => "Test User {$i}",
+                'email' => "test{$i}@example.com",
+            ]);
+        }
+    }
+
+    /** @test */
+    public function it_lists_the_enabled_export_formats(): void
+    {
+        $response = $this->getJson('/api/bulk-actions/exports/formats')->assertOk();
+
+        $formats = collect($response->json('data'))->keyBy('format');
+
+        $this->assertEquals('text/csv', $formats['csv']['mime_type']);
+        $this->assertEquals('application/json', $formats['json']['mime_type']);
+        $this->assertEquals('xml', $formats['xml']['extension']);
+    }
+
+    /** @test */
+    public function it_writes_the_export_file_once_the_action_completes(): void
+    {
+        $response = $this->postJson('/api/bulk-actions', [
+            'action' => 'export',
+            'model' => TestModel::class,
+            'filters' => ['ids' => TestModel::pluck('id')->all()],
+            'parameters' => ['format' => 'csv', 'filename' => '../users report', 'columns' => ['name', 'email']],
+            'options' => ['sync' => true],
+        ])
+            ->assertStatus(202)
+            ->assertJsonPath('data.export.filename', 'users_report.csv')
+            ->assertJsonPath('data.export.mime_type', 'text/csv');
+
+        $execution = BulkActionExecution::where('uuid', $response->json('data.uuid'))->first();
+
+        Storage::disk('local')->assertExists($execution->export_file['path']);
+
+        $csv = Storage::disk('local')->get($execution->export_file['path']);
+
+        $this->assertStringContainsString('name,email', $csv);
+        $this->assertStringContainsString('test3@example.com', $csv);
+        $this->assertEquals(strlen($csv), $execution->export_file['size']);
+    }
+
+    /** @test */
+    public function it_writes_the_export_file_one_chunk_at_a_time(): void
+    {
+        config(['action-engine.export.chunk_size' => 2]);
+
+        $response = $this->postJson('/api/bulk-actions', [
+            'action' => 'export',
+            'model' => TestModel::class,
+            'filters' => ['ids' => TestModel::pluck('id')->all()],
+            'parameters' => ['format' => 'csv', 'columns' => ['name']],
+            'options' => ['sync' => true],
+        ])->assertStatus(202);
+
+        $execution = BulkActionExecution::where('uuid', $response->json('data.uuid'))->first();
+
+        $this->assertEquals(
+            "name\n\"Test User 1\"\n\"Test User 2\"\n\"Test User 3\"\n",
+            Storage::disk('local')->get($execution->export_file['path'])
+        );
+    }
+
+    /** @test */
+    public function it_keeps_exports_with_the_same_filename_apart(): void
+    {
+        $export = fn (string $column) => BulkActionExecution::where('uuid', $this->postJson('/api/bulk-actions', [
+            'action' => 'export',
+            'model' => TestModel::class,
+            'filters' => ['ids' => TestModel::pluck('id')->all()],
+            'parameters' => ['format' => 'csv', 'filename' => 'report', 'columns' => [$column]],
+            'options' => ['sync' => true],
+        ])->assertStatus(202)->json('data.uuid'))->first();
+
+        $names = $export('name');
+        $emails = $export('email');
+
+        $this->assertNotEquals($names->export_file['path'], $emails->export_file['path']);
+        $this->assertStringContainsString($names->uuid, $names->export_file['path']);
+
+        $this->get("/api/bulk-actions/{$names->uuid}/download")
+            ->assertOk()
+            ->assertDownload('report.csv');
+
+        $this->assertStringStartsWith('name', Storage::disk('local')->get($names->export_file['path']));
+        $this->assertStringStartsWith('email', Storage::disk('local')->get($emails->export_file['path']));
+    }
+
+    /** @test */
+    public function it_leaves_out_the_download_url_without_the_api_routes(): void
+    {
+        $execution = BulkActionExecution::factory()->exported('users.csv')->create();
+
+        $this->app['router']->setRoutes(new RouteCollection());
+
+        $export = (new BulkActionExecutionResource($execution))->resolve()['export'];
+
+        $this->assertEquals('users.csv', $export['filename']);
+        $this->assertNull($export['download_url']);
+    }
+
+    /** @test */
+    public function it_downloads_the_export_file(): void
+    {
+        $execution = BulkActionExecution::factory()->exported('users.csv')->create();
+        Storage::disk('local')->put($execution->export_file['path'], "name\nTest User 1\n");
+
+        $response = $this->get("/api/bulk-actions/{$execution->uuid}/download")
+            ->assertOk()
+            ->assertDownload('users.csv')
+            ->assertHeader('Content-Length', 17);
+
+        // Symfony adds the charset to text types
+        $this->assertStringStartsWith('text/csv', $response->headers->get('Content-Type'));
+    }
+
+    /** @test */
+    public function it_answers_404_for_an_action_without_export_file(): void
+    {
+        $execution = BulkActionExecution::factory()->completed()->create();
+
+        $this->getJson("/api/bulk-actions/{$execution->uuid}/download")
+            ->assertNotFound()
+            ->assertJsonPath('success', false);
+    }
+
+    /** @test */
+    public function it_answers_410_once_the_export_file_is_gone(): void
+    {
+        $execution = BulkActionExecution::factory()->exported()->create();
+
+        $this->getJson("/api/bulk-actions/{$execution->uuid}/download")
+            ->assertStatus(410);
+    }
+
+    /** @test */
+    public function it_only_hands_the_export_file_to_its_owner(): void
+    {
+        $execution = BulkActionExecution::factory()->exported()->forUser(999)->create();
+        Storage::disk('local')->put($execution->export_file['path'], 'name');
+
+        $this->getJson("/api/bulk-actions/{$execution->uuid}/download")
+            ->assertForbidden();
+
+        $owner = (new User())->forceFill(['id' => 999]);
+        $execution->update(['user_type' => User::class]);
+
+        $this->actingAs($owner)
+            ->getJson("/api/bulk-actions/{$execution->uuid}/download")
+            ->assertOk();
+    }
+
+    /** @test */
+    public function it_streams_a_small_export_straight_to_the_browser(): void
+    {
+        $response = $this->post('/api/bulk-actions/exports/stream', [
+            'model' => TestModel::class,
+            'filters' => ['where' => [['name', 'like', 'Test User%']]],
+            'parameters' => ['format' => 'json', 'filename' => 'users', 'columns' => 'name,email'],
+        ])
+            ->assertOk()
+            ->assertDownload('users.json')
+            ->assertHeader('Content-Type', 'application/json');
+
+        $json = json_decode($response->streamedContent(), true);
+
+        $this->assertCount(3, $json['data']);
+        $this->assertEquals(['name' => 'Test User 1', 'email' => 'test1@example.com'], $json['data'][0]);
+    }
+
+    /** @test */
+    public function it_refuses_to_stream_more_than_the_direct_download_limit(): void
+    {
+        config(['action-engine.export.sync_max_records' => 2]);
+
+        $this->postJson('/api/bulk-actions/exports/stream', [
+            'model' => TestModel::class,
+            'parameters' => ['format' => 'csv'],
+        ])
+            ->assertStatus(422)
+            ->assertJsonPath('success', false);
+    }
+
+    /** @test */
+    public function it_rejects_a_format_without_driver(): void
+    {
+        $this->postJson('/api/bulk-actions/exports/stream', [
+            'model' => TestModel::class,
+            'parameters' => ['format' => 'docx'],
+        ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['parameters.format']);
+    }
+}
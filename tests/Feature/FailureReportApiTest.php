@@ -0,0 +1,245 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Tests\Feature;
+
+use DhruvilNagar\ActionEngine\Facades\ActionRegistry;
+use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use DhruvilNagar\ActionEngine\Models\BulkActionProgress;
+use DhruvilNagar\ActionEngine\Tests\Fixtures\TestModel;
+use DhruvilNagar\ActionEngine\Tests\TestCase;
+
+class FailureReportApiTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        for ($i = 1; $i <= 5; $i++) {
+            TestModel::create([
+                'name' => "Test User {$i}",
+                'email' => "test{$i}@example.com",
+                'status' => 'active',
+            ]);
+        }
+
+        // Fails on the even ids, differently for id 4
+        ActionRegistry::register('flaky', function ($record, $params) {
+            if ($record->id === 4) {
+                throw new \RuntimeException('Mailbox is full');
+            }
+
+            if ($record->id % 2 === 0) {
+                throw new \InvalidArgumentException("Cannot tag record {$record->id}");
+            }
+
+            return $record->update(['status' => $params['status']]);
+        });
+    }
+
+    /**
+     * Run `flaky` synchronously on every test model.
+     */
+    protected function runFlakyAction(): BulkActionExecution
+    {
+        $response = $this->postJson('/api/bulk-actions', [
+            'action' => 'flaky',
+            'model' => TestModel::class,
+            'filters' => ['ids' => TestModel::pluck('id')->all()],
+            'parameters' => ['status' => 'tagged'],
+            'options' => ['sync' => true],
+        ])->assertStatus(202);
+
+        return BulkActionExecution::where('uuid', $response->json('data.uuid'))->first();
+    }
+
+    /** @test */
+    public function it_records_why_each_record_failed(): void
+    {
+        $execution = $this->runFlakyAction();
+
+        $this->assertEquals('partially_completed', $execution->status);
+        $this->assertEquals(2, $execution->failed_records);
+        $this->assertEquals(2, $execution->failures()->count());
+
+        $this->getJson("/api/bulk-actions/{$execution->uuid}/failures")
+            ->assertOk()
+            ->assertJsonCount(2, 'data')
+            ->assertJsonPath('data.0.id', 2)
+            ->assertJsonPath('data.0.type', 'InvalidArgumentException')
+            ->assertJsonPath('data.0.message', 'Cannot tag record 2')
+            ->assertJsonPath('data.1.id', 4)
+            ->assertJsonPath('data.1.type', 'RuntimeException')
+            ->assertJsonPath('data.1.message', 'Mailbox is full')
+            ->assertJsonPath('meta.total', 2);
+    }
+
+    /** @test */
+    public function it_groups_failures_by_error_type_and_filters_by_type(): void
+    {
+        $execution = BulkActionExecution::factory()->action('update')->create([
+            'status' => 'partially_completed',
+            'failed_records' => 3,
+        ]);
+
+        $execution->progress()->create([
+            'batch_number' => 1,
+            'status' => BulkActionProgress::STATUS_COMPLETED,
+            'failed_count' => 3,
+            'failed_ids' => [7, 8, 9],
+            'error_details' => ['records' => [
+                ['id' => 7, 'type' => 'QueryException', 'message' => 'Deadlock found'],
+                ['id' => 8, 'type' => 'QueryException', 'message' => 'Deadlock found'],
+                ['id' => 9, 'type' => 'ValidationException', 'message' => 'The email is invalid'],
+            ]],
+        ]);
+
+        $this->getJson("/api/bulk-actions/{$execution->uuid}/failures")
+            ->assertOk()
+            ->assertJsonPath('groups.0.type', 'QueryException')
+            ->assertJsonPath('groups.0.count', 2)
+            ->assertJsonPath('groups.0.message', 'Deadlock found')
+            ->assertJsonPath('groups.1.type', 'ValidationException')
+            ->assertJsonPath('groups.1.count', 1);
+
+        $this->getJson("/api/bulk-actions/{$execution->uuid}/failures?type=ValidationException")
+            ->assertOk()
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.id', 9)
+            ->assertJsonPath('meta.total', 1);
+    }
+
+    /** @test */
+    public function it_pages_through_failures(): void
+    {
+        $execution = BulkActionExecution::factory()->action('update')->create(['status' => 'partially_completed']);
+
+        $execution->progress()->create([
+            'batch_number' => 1,
+            'status' => BulkActionProgress::STATUS_COMPLETED,
+            'failed_count' => 5,
+            'failed_ids' => [1, 2, 3, 4, 5],
+        ]);
+
+        $this->getJson("/api/bulk-actions/{$execution->uuid}/failures?per_page=2&page=3")
+            ->assertOk()
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.id', 5)
+            // Failures recorded without their errors
+            ->assertJsonPath('data.0.type', 'Unknown')
+            ->assertJsonPath('meta.last_page', 3);
+    }
+
+    /** @test */
+    public function it_reports_every_record_of_a_batch_that_failed_as_a_whole(): void
+    {
+        $execution = BulkActionExecution::factory()->action('update')->create(['status' => 'partially_completed']);
+
+        $progress = $execution->progress()->create([
+            'batch_number' => 1,
+            'status' => BulkActionProgress::STATUS_PROCESSING,
+        ]);
+
+        $progress->markAsFailed('Lock wait timeout exceeded', ['exception' => 'Illuminate\\Database\\QueryException'], [10, 11]);
+
+        $this->getJson("/api/bulk-actions/{$execution->uuid}/failures")
+            ->assertOk()
+            ->assertJsonCount(2, 'data')
+            ->assertJsonPath('data.1.id', 11)
+            ->assertJsonPath('data.1.type', 'QueryException')
+            ->assertJsonPath('data.1.message', 'Lock wait timeout exceeded');
+    }
+
+    /** @test */
+    public function it_retries_only_the_failed_records_with_the_same_parameters(): void
+    {
+        $execution = $this->runFlakyAction();
+
+        // Whatever made the records fail has been fixed
+        ActionRegistry::register('flaky', fn ($record, $params) => $record->update(['status' => $params['status']]));
+
+        $response = $this->postJson("/api/bulk-actions/{$execution->uuid}/retry-failed", [
+            'options' => ['sync' => true],
+        ])
+            ->assertStatus(202)
+            ->assertJsonPath('data.action_name', 'flaky')
+            ->assertJsonPath('data.total_records', 2)
+            ->assertJsonPath('data.status', 'completed');
+
+        $retry = BulkActionExecution::where('uuid', $response->json('data.uuid'))->first();
+
+        $this->assertEquals(['ids' => [2, 4]], $retry->filters);
+        $this->assertEquals(['status' => 'tagged'], $retry->parameters);
+        $this->assertEquals(5, TestModel::where('status', 'tagged')->count());
+    }
+
+    /** @test */
+    public function it_retries_the_failures_of_one_error_type(): void
+    {
+        $execution = $this->runFlakyAction();
+
+        $response = $this->postJson("/api/bulk-actions/{$execution->uuid}/retry-failed", [
+            'type' => 'RuntimeException',
+            'options' => ['sync' => true],
+        ])->assertStatus(202);
+
+        $this->assertEquals(1, $response->json('data.total_records'));
+    }
+
+    /** @test */
+    public function it_accepts_the_undo_window_an_execution_can_be_started_with(): void
+    {
+        $execution = $this->runFlakyAction();
+
+        $this->postJson("/api/bulk-actions/{$execution->uuid}/retry-failed", [
+            'options' => ['sync' => true, 'with_undo' => true, 'undo_expiry_days' => 60],
+        ])->assertStatus(202);
+
+        $this->postJson("/api/bulk-actions/{$execution->uuid}/retry-failed", [
+            'options' => ['undo_expiry_days' => 91],
+        ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['options.undo_expiry_days']);
+    }
+
+    /** @test */
+    public function it_refuses_to_retry_an_action_without_failures(): void
+    {
+        $execution = BulkActionExecution::factory()->completed()->create(['failed_records' => 0]);
+
+        $this->postJson("/api/bulk-actions/{$execution->uuid}/retry-failed")
+            ->assertStatus(422)
+            ->assertJsonPath('message', 'This action has no failed records to retry.');
+    }
+
+    /** @test */
+    public function it_refuses_to_retry_an_action_that_is_still_running(): void
+    {
+        $execution = BulkActionExecution::factory()->processing()->create();
+
+        $this->postJson("/api/bulk-actions/{$execution->uuid}/retry-failed")
+            ->assertStatus(422)
+            ->assertJsonPath('success', false);
+    }
+
+    /** @test */
+    public function it_hides_the_failures_of_another_users_action(): void
+    {
+        $execution = BulkActionExecution::factory()->forUser(999)->create(['status' => 'partially_completed']);
+
+        $this->getJson("/api/bulk-actions/{$execution->uuid}/failures")->assertStatus(403);
+        $this->postJson("/api/bulk-actions/{$execution->uuid}/retry-failed")->assertStatus(403);
+    }
+
+    /** @test */
+    public function it_returns_error_details_for_partially_completed_actions(): void
+    {
+        $execution = BulkActionExecution::factory()->create([
+            'status' => 'partially_completed',
+            'error_details' => ['message' => 'Some records failed'],
+        ]);
+
+        $this->getJson("/api/bulk-actions/{$execution->uuid}")
+            ->assertOk()
+            ->assertJsonPath('data.error_details.message', 'Some records failed');
+    }
+}
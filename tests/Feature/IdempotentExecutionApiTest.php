@@ -0,0 +1,105 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Tests\Feature;
+
+use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use DhruvilNagar\ActionEngine\Tests\Fixtures\TestModel;
+use DhruvilNagar\ActionEngine\Tests\TestCase;
+
+class IdempotentExecutionApiTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        for ($i = 1; $i <= 3; $i++) {
+            TestModel::create([
+                'name' => "Test User {$i}",
+                'email' => "test{$i}@example.com",
+                'status' => 'active',
+            ]);
+        }
+    }
+
+    protected function payload(array $overrides = []): array
+    {
+        return array_merge([
+            'action' => 'archive',
+            'model' => TestModel::class,
+            'filters' => ['ids' => [1, 2]],
+            'parameters' => ['reason' => 'Cleanup'],
+        ], $overrides);
+    }
+
+    /** @test */
+    public function it_returns_the_first_execution_for_a_repeated_key(): void
+    {
+        $first = $this->postJson('/api/bulk-actions', $this->payload(), ['Idempotency-Key' => 'submission-1'])
+            ->assertStatus(202)
+            ->assertHeaderMissing('Idempotent-Replayed');
+
+        $this->postJson('/api/bulk-actions', $this->payload(), ['Idempotency-Key' => 'submission-1'])
+            ->assertOk()
+            ->assertHeader('Idempotent-Replayed', 'true')
+            ->assertJsonPath('data.uuid', $first->json('data.uuid'))
+            ->assertJsonPath('message', 'Bulk action already initiated.');
+
+        $this->assertSame(1, BulkActionExecution::count());
+    }
+
+    /** @test */
+    public function it_starts_a_new_execution_for_each_key(): void
+    {
+        $this->postJson('/api/bulk-actions', $this->payload(), ['Idempotency-Key' => 'submission-1'])->assertStatus(202);
+        $this->postJson('/api/bulk-actions', $this->payload(), ['Idempotency-Key' => 'submission-2'])->assertStatus(202);
+        $this->postJson('/api/bulk-actions', $this->payload())->assertStatus(202);
+
+        $this->assertSame(3, BulkActionExecution::count());
+        $this->assertSame('submission-1', BulkActionExecution::orderBy('id')->first()->idempotency_key);
+    }
+
+    /** @test */
+    public function it_rejects_a_key_reused_for_another_payload(): void
+    {
+        $this->postJson('/api/bulk-actions', $this->payload(), ['Idempotency-Key' => 'submission-1'])->assertStatus(202);
+
+        $this->postJson('/api/bulk-actions', $this->payload(['filters' => ['ids' => [3]]]), ['Idempotency-Key' => 'submission-1'])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('idempotency_key');
+
+        $this->assertSame(1, BulkActionExecution::count());
+    }
+
+    /** @test */
+    public function it_forgets_keys_after_their_ttl(): void
+    {
+        config(['action-engine.idempotency.ttl_hours' => 1]);
+
+        $this->postJson('/api/bulk-actions', $this->payload(), ['Idempotency-Key' => 'submission-1'])->assertStatus(202);
+
+        $this->travel(2)->hours();
+
+        $this->postJson('/api/bulk-actions', $this->payload(), ['Idempotency-Key' => 'submission-1'])->assertStatus(202);
+
+        $this->assertSame(2, BulkActionExecution::count());
+    }
+
+    /** @test */
+    public function it_ignores_keys_when_disabled(): void
+    {
+        config(['action-engine.idempotency.enabled' => false]);
+
+        $this->postJson('/api/bulk-actions', $this->payload(), ['Idempotency-Key' => 'submission-1'])->assertStatus(202);
+        $this->postJson('/api/bulk-actions', $this->payload(), ['Idempotency-Key' => 'submission-1'])->assertStatus(202);
+
+        $this->assertSame(2, BulkActionExecution::count());
+    }
+
+    /** @test */
+    public function it_rejects_overlong_keys(): void
+    {
+        $this->postJson('/api/bulk-actions', $this->payload(), ['Idempotency-Key' => str_repeat('k', 256)])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('idempotency_key');
+    }
+}
@@ -0,0 +1,158 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Tests\Feature;
+
+use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use DhruvilNagar\ActionEngine\Tests\TestCase;
+use Illuminate\Foundation\Auth\User;
+use Illuminate\Support\Facades\Gate;
+
+class MonitoringApiTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        // The default gate only opens the monitoring endpoints locally
+        $this->app['env'] = 'local';
+    }
+
+    /**
+     * An execution that finished with the given status after the given
+     * number of seconds.
+     */
+    protected function finished(string $status, \DateTimeInterface $completedAt, int $seconds, array $attributes = []): BulkActionExecution
+    {
+        return BulkActionExecution::factory()->create(array_merge([
+            'status' => $status,
+            'created_at' => (clone $completedAt)->modify("-{$seconds} seconds"),
+            'completed_at' => $completedAt,
+            'processed_records' => 10,
+            'failed_records' => 0,
+        ], $attributes));
+    }
+
+    /** @test */
+    public function it_refuses_monitoring_outside_the_local_environment_by_default(): void
+    {
+        $this->app['env'] = 'production';
+
+        $this->actingAs((new User())->forceFill(['id' => 1]))
+            ->getJson('/api/bulk-actions/monitoring/users')
+            ->assertForbidden();
+    }
+
+    /** @test */
+    public function it_refuses_monitoring_to_users_the_gate_does_not_allow(): void
+    {
+        Gate::define('viewActionEngineMonitoring', fn ($user) => $user->getKey() === 1);
+
+        $this->actingAs((new User())->forceFill(['id' => 2]))
+            ->getJson('/api/bulk-actions/monitoring/users')
+            ->assertForbidden();
+
+        $this->actingAs((new User())->forceFill(['id' => 1]))
+            ->getJson('/api/bulk-actions/monitoring/users')
+            ->assertOk();
+    }
+
+    /** @test */
+    public function it_reports_a_healthy_system(): void
+    {
+        $this->getJson('/api/bulk-actions/monitoring/health')
+            ->assertOk()
+            ->assertJsonPath('status', 'healthy')
+            ->assertJsonPath('checks.stuck_actions.status', 'pass')
+            ->assertJsonPath('checks.failure_rate.rate', 0.0);
+    }
+
+    /** @test */
+    public function it_reports_stuck_actions_as_degraded(): void
+    {
+        BulkActionExecution::factory()->processing()->create(['updated_at' => now()->subHours(3)]);
+
+        $this->getJson('/api/bulk-actions/monitoring/health')
+            ->assertOk()
+            ->assertJsonPath('status', 'degraded')
+            ->assertJsonPath('checks.stuck_actions.count', 1);
+    }
+
+    /** @test */
+    public function it_reports_daily_throughput_and_failure_rate(): void
+    {
+        $yesterday = now()->subDay()->setTime(10, 0);
+
+        $this->finished('completed', $yesterday, 60);
+        $this->finished('completed', $yesterday, 120);
+        $this->finished('failed', $yesterday, 30, ['processed_records' => 4, 'failed_records' => 4]);
+        $this->finished('completed', now(), 10);
+        BulkActionExecution::factory()->processing()->create();
+
+        $this->getJson('/api/bulk-actions/monitoring/trends?days=7')
+            ->assertOk()
+            ->assertJsonCount(2)
+            ->assertJsonPath('0.date', $yesterday->format('Y-m-d'))
+            ->assertJsonPath('0.total_count', 3)
+            ->assertJsonPath('0.completed_count', 2)
+            ->assertJsonPath('0.failed_count', 1)
+            ->assertJsonPath('0.total_records', 24)
+            ->assertJsonPath('0.failed_records', 4)
+            ->assertJsonPath('0.failure_rate', 33.33)
+            // Failed actions do not count towards the duration
+            ->assertJsonPath('0.avg_duration', 90.0)
+            ->assertJsonPath('1.failure_rate', 0.0);
+    }
+
+    /** @test */
+    public function it_limits_the_breakdown_to_a_date_range(): void
+    {
+        BulkActionExecution::factory()->action('archive')->completed()->create(['created_at' => now()->subDays(10)]);
+        BulkActionExecution::factory()->action('archive')->completed()->create(['created_at' => now()->subDays(2)]);
+        BulkActionExecution::factory()->action('archive')->failed()->create(['created_at' => now()->subDays(2)]);
+        BulkActionExecution::factory()->action('export')->completed()->create(['created_at' => now()]);
+
+        $from = now()->subDays(3)->toDateString();
+        $to = now()->subDay()->toDateString();
+
+        $this->getJson("/api/bulk-actions/monitoring/actions?from={$from}&to={$to}")
+            ->assertOk()
+            ->assertJsonCount(1)
+            ->assertJsonPath('0.action', 'archive')
+            ->assertJsonPath('0.total', 2)
+            ->assertJsonPath('0.failed', 1)
+            ->assertJsonPath('0.success_rate', 50.0);
+    }
+
+    /** @test */
+    public function it_rejects_a_range_that_ends_before_it_starts(): void
+    {
+        $this->getJson('/api/bulk-actions/monitoring/actions?from=2024-05-10&to=2024-05-01')
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('to');
+    }
+
+    /** @test */
+    public function it_lines_the_overview_chart_up_with_its_labels(): void
+    {
+        BulkActionExecution::factory()->completed()->create(['created_at' => now()->subHours(3)]);
+        BulkActionExecution::factory()->failed()->create(['created_at' => now()->subHour()]);
+
+        $response = $this->getJson('/api/bulk-actions/monitoring/overview?range=24h')
+            ->assertOk()
+            ->assertJsonPath('stats.total', 2)
+            ->assertJsonPath('stats.failed', 1);
+
+        $this->assertCount(2, $response->json('chart_data.labels'));
+        $this->assertEquals([1, 0], $response->json('chart_data.datasets.0.data'));
+        $this->assertEquals([0, 1], $response->json('chart_data.datasets.1.data'));
+    }
+
+    /** @test */
+    public function it_reports_metrics_without_any_completed_actions(): void
+    {
+        $this->getJson('/api/bulk-actions/monitoring/metrics')
+            ->assertOk()
+            ->assertJsonPath('performance.avg_duration_seconds', 0)
+            ->assertJsonPath('performance.records_per_second', 0);
+    }
+}
@@ -0,0 +1,159 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Tests\Feature;
+
+use DhruvilNagar\ActionEngine\Facades\ActionRegistry;
+use DhruvilNagar\ActionEngine\Tests\Fixtures\TestModel;
+use DhruvilNagar\ActionEngine\Tests\TestCase;
+
+class PreviewChangesApiTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        for ($i = 1; $i <= 5; $i++) {
+            TestModel::create([
+                'name' => "Test User {$i}",
+                'email' => "test{$i}@example.com",
+                'status' => $i === 1 ? 'inactive' : 'active',
+            ]);
+        }
+    }
+
+    /** @test */
+    public function it_returns_the_values_before_and_after_an_update(): void
+    {
+        $this->postJson('/api/bulk-actions/preview/changes', [
+            'action' => 'update',
+            'model' => TestModel::class,
+            'filters' => ['ids' => [1, 2]],
+            'parameters' => ['data' => ['status' => 'inactive']],
+        ])
+            ->assertOk()
+            ->assertJsonPath('supports_diff', true)
+            ->assertJsonPath('changed_columns', ['status'])
+            ->assertJsonPath('data.0.id', 1)
+            ->assertJsonPath('data.0.changed', [])
+            ->assertJsonPath('data.1.before.status', 'active')
+            ->assertJsonPath('data.1.after.status', 'inactive')
+            ->assertJsonPath('data.1.after.name', 'Test User 2')
+            ->assertJsonPath('data.1.changed', ['status'])
+            ->assertJsonPath('meta.total', 2);
+
+        // Nothing was saved
+        $this->assertEquals(4, TestModel::where('status', 'active')->count());
+    }
+
+    /** @test */
+    public function it_pages_through_the_affected_records(): void
+    {
+        $response = $this->postJson('/api/bulk-actions/preview/changes', [
+            'action' => 'update',
+            'model' => TestModel::class,
+            'parameters' => ['data' => ['status' => 'inactive']],
+            'page' => 3,
+            'per_page' => 2,
+        ])
+            ->assertOk()
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.id', 5)
+            ->assertJsonPath('meta.last_page', 3)
+            ->assertJsonPath('meta.total', 5);
+
+        $this->assertContains('email', $response->json('columns'));
+    }
+
+    /** @test */
+    public function it_previews_the_columns_an_archive_sets(): void
+    {
+        $response = $this->postJson('/api/bulk-actions/preview/changes', [
+            'action' => 'archive',
+            'model' => TestModel::class,
+            'filters' => ['ids' => [1]],
+            'parameters' => ['reason' => 'Inactive for a year'],
+        ])
+            ->assertOk()
+            ->assertJsonPath('data.0.before.archived_at', null)
+            ->assertJsonPath('data.0.after.archive_reason', 'Inactive for a year')
+            ->assertJsonPath('data.0.changed', ['archived_at', 'archive_reason']);
+
+        $this->assertNotNull($response->json('data.0.after.archived_at'));
+    }
+
+    /** @test */
+    public function it_marks_records_a_force_delete_would_remove(): void
+    {
+        $this->postJson('/api/bulk-actions/preview/changes', [
+            'action' => 'delete',
+            'model' => TestModel::class,
+            'filters' => ['ids' => [1]],
+            'parameters' => ['force' => true],
+        ])
+            ->assertOk()
+            ->assertJsonPath('data.0.deleted', true)
+            ->assertJsonPath('data.0.after', null)
+            ->assertJsonPath('data.0.before.name', 'Test User 1')
+            ->assertJsonPath('changed_columns', []);
+    }
+
+    /** @test */
+    public function it_shows_a_soft_delete_as_a_change_of_the_deleted_at_column(): void
+    {
+        $this->postJson('/api/bulk-actions/preview/changes', [
+            'action' => 'delete',
+            'model' => TestModel::class,
+            'filters' => ['ids' => [1]],
+        ])
+            ->assertOk()
+            ->assertJsonPath('data.0.deleted', false)
+            ->assertJsonPath('data.0.changed', ['deleted_at']);
+    }
+
+    /** @test */
+    public function it_only_returns_the_current_values_for_actions_that_cannot_tell_their_changes(): void
+    {
+        ActionRegistry::register('notify', fn ($record) => true);
+
+        $this->postJson('/api/bulk-actions/preview/changes', [
+            'action' => 'notify',
+            'model' => TestModel::class,
+            'filters' => ['ids' => [1]],
+        ])
+            ->assertOk()
+            ->assertJsonPath('supports_diff', false)
+            ->assertJsonPath('data.0.before.email', 'test1@example.com')
+            ->assertJsonPath('data.0.after', null)
+            ->assertJsonPath('data.0.changed', null);
+    }
+
+    /** @test */
+    public function it_returns_sample_changes_with_the_preview(): void
+    {
+        $this->postJson('/api/bulk-actions/preview', [
+            'action' => 'update',
+            'model' => TestModel::class,
+            'parameters' => ['data' => ['status' => 'inactive']],
+            'preview_limit' => 2,
+        ])
+            ->assertOk()
+            ->assertJsonPath('data.total_count', 5)
+            ->assertJsonCount(2, 'data.changes')
+            ->assertJsonPath('data.changes.1.after.status', 'inactive');
+    }
+
+    /** @test */
+    public function it_limits_the_page_size_to_the_preview_limit(): void
+    {
+        config(['action-engine.dry_run.preview_limit' => 50]);
+
+        $this->postJson('/api/bulk-actions/preview/changes', [
+            'action' => 'update',
+            'model' => TestModel::class,
+            'parameters' => ['data' => ['status' => 'inactive']],
+            'per_page' => 51,
+        ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('per_page');
+    }
+}
@@ -0,0 +1,64 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Tests\Feature;
+
+use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use DhruvilNagar\ActionEngine\Tests\TestCase;
+
+class ProgressApiTest extends TestCase
+{
+    /** @test */
+    public function it_returns_progress_for_a_single_execution(): void
+    {
+        $execution = BulkActionExecution::factory()->create([
+            'status' => 'processing',
+            'total_records' => 100,
+            'processed_records' => 40,
+            'failed_records' => 0,
+        ]);
+
+        $this->getJson("/api/bulk-actions/{$execution->uuid}/progress")
+            ->assertOk()
+            ->assertJsonPath('data.uuid', $execution->uuid)
+            ->assertJsonPath('data.processed_records', 40);
+    }
+
+    /** @test */
+    public function it_returns_progress_for_multiple_executions_keyed_by_uuid(): void
+    {
+        $first = BulkActionExecution::factory()->create(['status' => 'processing']);
+        $second = BulkActionExecution::factory()->create(['status' => 'completed']);
+        BulkActionExecution::factory()->create(['status' => 'processing']);
+
+        $response = $this->postJson('/api/bulk-actions/progress', [
+            'uuids' => [$first->uuid, $second->uuid],
+        ]);
+
+        $response->assertOk()
+            ->assertJsonPath("data.{$first->uuid}.status", 'processing')
+            ->assertJsonPath("data.{$second->uuid}.status", 'completed');
+
+        $this->assertCount(2, $response->json('data'));
+    }
+
+    /** @test */
+    public function it_ignores_unknown_uuids_in_batch_requests(): void
+    {
+        $execution = BulkActionExecution::factory()->create(['status' => 'pending']);
+
+        $response = $this->postJson('/api/bulk-actions/progress', [
+            'uuids' => [$execution->uuid, 'does-not-exist'],
+        ]);
+
+        $response->assertOk();
+        $this->assertSame([$execution->uuid], array_keys($response->json('data')));
+    }
+
+    /** @test */
+    public function it_requires_uuids_for_batch_requests(): void
+    {
+        $this->postJson('/api/bulk-actions/progress', [])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('uuids');
+    }
+}
@@ -0,0 +1,99 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Tests\Feature;
+
+use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use DhruvilNagar\ActionEngine\Support\SafetyManager;
+use DhruvilNagar\ActionEngine\Tests\Fixtures\TestModel;
+use DhruvilNagar\ActionEngine\Tests\TestCase;
+
+class SafetyConfirmationApiTest extends TestCase
+{
+    protected function defineEnvironment($app): void
+    {
+        parent::defineEnvironment($app);
+
+        $app['config']->set('action-engine.safety.confirmation_threshold', 3);
+    }
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        for ($i = 1; $i <= 5; $i++) {
+            TestModel::create([
+                'name' => "Test User {$i}",
+                'email' => "test{$i}@example.com",
+                'status' => 'active',
+            ]);
+        }
+    }
+
+    /** @test */
+    public function it_flags_destructive_actions_in_the_action_list(): void
+    {
+        $this->getJson('/api/bulk-actions/actions')
+            ->assertOk()
+            ->assertJsonPath('data.delete.destructive', true)
+            ->assertJsonPath('data.archive.destructive', false);
+    }
+
+    /** @test */
+    public function it_requires_typing_the_phrase_above_the_threshold(): void
+    {
+        $this->postJson('/api/bulk-actions/preview', [
+            'action' => 'delete',
+            'model' => TestModel::class,
+        ])
+            ->assertOk()
+            ->assertJsonPath('data.total_count', 5)
+            ->assertJsonPath('data.safety.destructive', true)
+            ->assertJsonPath('data.safety.requires_confirmation', true)
+            ->assertJsonPath('data.safety.requires_typing', true)
+            ->assertJsonPath('data.safety.threshold', 3)
+            ->assertJsonPath('data.safety.prompt.typeText', 'DELETE');
+    }
+
+    /** @test */
+    public function it_only_asks_for_confirmation_below_the_threshold(): void
+    {
+        $this->postJson('/api/bulk-actions/preview', [
+            'action' => 'delete',
+            'model' => TestModel::class,
+            'filters' => ['ids' => [1, 2]],
+        ])
+            ->assertOk()
+            ->assertJsonPath('data.safety.requires_confirmation', true)
+            ->assertJsonPath('data.safety.requires_typing', false);
+    }
+
+    /** @test */
+    public function it_does_not_guard_non_destructive_actions(): void
+    {
+        $this->postJson('/api/bulk-actions/preview', [
+            'action' => 'archive',
+            'model' => TestModel::class,
+        ])
+            ->assertOk()
+            ->assertJsonPath('data.safety.destructive', false)
+            ->assertJsonPath('data.safety.requires_confirmation', false)
+            ->assertJsonPath('data.safety.prompt', null);
+    }
+
+    /** @test */
+    public function a_previous_run_satisfies_the_dry_run_requirement(): void
+    {
+        $safety = app(SafetyManager::class);
+
+        $this->assertTrue($safety->requiresDryRun('delete', 42));
+        $this->assertFalse($safety->requiresDryRun('archive', 42));
+
+        BulkActionExecution::factory()->create([
+            'action_name' => 'delete',
+            'user_id' => 42,
+            'is_dry_run' => true,
+        ]);
+
+        $this->assertFalse($safety->requiresDryRun('delete', 42));
+    }
+}
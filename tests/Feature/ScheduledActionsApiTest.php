@@ -0,0 +1,148 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Tests\Feature;
+
+use Carbon\Carbon;
+use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use DhruvilNagar\ActionEngine\Tests\TestCase;
+
+class ScheduledActionsApiTest extends TestCase
+{
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    /** @test */
+    public function it_lists_scheduled_actions_soonest_first(): void
+    {
+        $later = BulkActionExecution::factory()->scheduled(now()->addDays(2))->create();
+        $sooner = BulkActionExecution::factory()->scheduled(now()->addHour())->create();
+        BulkActionExecution::factory()->processing()->create();
+
+        $this->getJson('/api/bulk-actions/scheduled')
+            ->assertOk()
+            ->assertJsonCount(2, 'data')
+            ->assertJsonPath('data.0.uuid', $sooner->uuid)
+            ->assertJsonPath('data.1.uuid', $later->uuid)
+            ->assertJsonPath('data.0.status', 'scheduled');
+    }
+
+    /** @test */
+    public function it_limits_the_list_to_actions_starting_within_the_given_hours(): void
+    {
+        $sooner = BulkActionExecution::factory()->scheduled(now()->addHours(2))->create();
+        BulkActionExecution::factory()->scheduled(now()->addDays(3))->create();
+
+        $this->getJson('/api/bulk-actions/scheduled?hours=24')
+            ->assertOk()
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.uuid', $sooner->uuid);
+    }
+
+    /** @test */
+    public function it_reschedules_an_action_in_the_given_timezone(): void
+    {
+        Carbon::setTestNow(Carbon::parse('2026-03-02 12:00:00', 'UTC'));
+
+        $execution = BulkActionExecution::factory()->scheduled(now()->addHour())->create();
+
+        $this->postJson("/api/bulk-actions/{$execution->uuid}/reschedule", [
+            'scheduled_for' => '2026-03-03 09:00',
+            'timezone' => 'America/New_York',
+        ])
+            ->assertOk()
+            ->assertJsonPath('data.status', 'scheduled')
+            ->assertJsonPath('data.scheduled_timezone', 'America/New_York');
+
+        $execution->refresh();
+
+        // 09:00 in New York (EST, UTC-5) is 14:00 UTC
+        $this->assertEquals('2026-03-03 14:00:00', $execution->scheduled_for->format('Y-m-d H:i:s'));
+        $this->assertEquals('America/New_York', $execution->scheduled_timezone);
+    }
+
+    /** @test */
+    public function it_moves_the_undo_window_along_with_the_schedule(): void
+    {
+        $execution = BulkActionExecution::factory()->scheduled(now()->addHour())->create([
+            'can_undo' => true,
+            'undo_expires_at' => now()->addHour()->addDays(7),
+        ]);
+
+        $this->postJson("/api/bulk-actions/{$execution->uuid}/reschedule", [
+            'scheduled_for' => now()->addDay()->toIso8601String(),
+        ])->assertOk();
+
+        $execution->refresh();
+
+        $this->assertEquals(
+            $execution->scheduled_for->copy()->addDays(7)->toIso8601String(),
+            $execution->undo_expires_at->toIso8601String()
+        );
+    }
+
+    /** @test */
+    public function it_rejects_a_new_time_in_the_past(): void
+    {
+        $execution = BulkActionExecution::factory()->scheduled(now()->addHour())->create();
+
+        $this->postJson("/api/bulk-actions/{$execution->uuid}/reschedule", [
+            'scheduled_for' => now()->subHour()->toIso8601String(),
+        ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['scheduled_for']);
+    }
+
+    /** @test */
+    public function it_rejects_an_unknown_timezone(): void
+    {
+        $execution = BulkActionExecution::factory()->scheduled(now()->addHour())->create();
+
+        $this->postJson("/api/bulk-actions/{$execution->uuid}/reschedule", [
+            'scheduled_for' => now()->addDay()->toIso8601String(),
+            'timezone' => 'Mars/Olympus_Mons',
+        ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['timezone']);
+    }
+
+    /** @test */
+    public function it_refuses_to_reschedule_an_action_that_already_started(): void
+    {
+        $execution = BulkActionExecution::factory()->processing()->create();
+
+        $this->postJson("/api/bulk-actions/{$execution->uuid}/reschedule", [
+            'scheduled_for' => now()->addDay()->toIso8601String(),
+        ])
+            ->assertStatus(422)
+            ->assertJsonPath('success', false);
+    }
+
+    /** @test */
+    public function it_refuses_to_reschedule_another_users_action(): void
+    {
+        $scheduledFor = now()->addHour();
+        $execution = BulkActionExecution::factory()->scheduled($scheduledFor)->forUser(999)->create();
+
+        $this->postJson("/api/bulk-actions/{$execution->uuid}/reschedule", [
+            'scheduled_for' => now()->addDay()->toIso8601String(),
+        ])
+            ->assertStatus(403)
+            ->assertJsonPath('success', false);
+
+        $this->assertEquals($scheduledFor->toIso8601String(), $execution->fresh()->scheduled_for->toIso8601String());
+    }
+
+    /** @test */
+    public function it_cancels_a_scheduled_action(): void
+    {
+        $execution = BulkActionExecution::factory()->scheduled(now()->addHour())->create();
+
+        $this->postJson("/api/bulk-actions/{$execution->uuid}/cancel")
+            ->assertOk()
+            ->assertJsonPath('data.status', 'cancelled');
+    }
+}
@@ -64,6 +64,24 @@ class ScheduledActionsTest extends TestCase
         $this->assertEquals('America/New_York', $execution->scheduled_timezone);
     }
 
+    /** @test */
+    public function it_reads_the_scheduled_time_in_its_timezone(): void
+    {
+        $ids = TestModel::limit(3)->pluck('id')->toArray();
+        $localTime = Carbon::now('Asia/Kolkata')->addDay()->format('Y-m-d H:i:s');
+
+        $execution = BulkAction::on(TestModel::class)
+            ->action('delete')
+            ->ids($ids)
+            ->scheduleFor($localTime, 'Asia/Kolkata')
+            ->execute();
+
+        $this->assertEquals(
+            Carbon::parse($localTime, 'Asia/Kolkata')->utc()->format('Y-m-d H:i:s'),
+            $execution->fresh()->scheduled_for->format('Y-m-d H:i:s')
+        );
+    }
+
     /** @test */
     public function it_prevents_immediate_execution_for_scheduled_actions(): void
     {
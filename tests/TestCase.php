@@ -48,6 +48,9 @@ abstract class TestCase extends Orchestra
         $app['config']->set('action-engine.queue.connection', 'sync');
         $app['config']->set('action-engine.broadcasting.enabled', false);
         $app['config']->set('action-engine.rate_limiting.enabled', false);
+
+        // Routes are registered at boot, so drop the API auth middleware up front
+        $app['config']->set('action-engine.routes.middleware.api', []);
     }
 
     protected function defineDatabaseMigrations(): void
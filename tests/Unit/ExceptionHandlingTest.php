@@ -9,6 +9,7 @@ use DhruvilNagar\ActionEngine\Exceptions\ActionExecutionException;
 use DhruvilNagar\ActionEngine\Exceptions\ExportException;
 use DhruvilNagar\ActionEngine\Exceptions\QueueException;
 use DhruvilNagar\ActionEngine\Tests\TestCase;
+use Illuminate\Http\Request;
 
 /**
  * ExceptionHandlingTest
@@ -260,4 +261,50 @@ class ExceptionHandlingTest extends TestCase
         $this->assertSame($previous, $exception->getPrevious());
         $this->assertEquals('Original error', $exception->getPrevious()->getMessage());
     }
+
+    /** @test */
+    public function rate_limit_exception_renders_429_with_retry_after()
+    {
+        $request = Request::create('/api/bulk-actions', 'POST', server: ['HTTP_ACCEPT' => 'application/json']);
+
+        $response = RateLimitExceededException::inCooldown(30)->render($request);
+
+        $this->assertEquals(429, $response->getStatusCode());
+        $this->assertEqualsWithDelta(30, (int) $response->headers->get('Retry-After'), 1);
+        $this->assertEqualsWithDelta(30, $response->getData(true)['retry_after'], 1);
+        $this->assertStringContainsString('30 seconds', $response->getData(true)['message']);
+    }
+
+    /** @test */
+    public function rate_limit_exception_without_retry_after_omits_the_header()
+    {
+        $request = Request::create('/api/bulk-actions', 'POST', server: ['HTTP_ACCEPT' => 'application/json']);
+
+        $response = RateLimitExceededException::tooManyConcurrent(5, 3)->render($request);
+
+        $this->assertEquals(429, $response->getStatusCode());
+        $this->assertFalse($response->headers->has('Retry-After'));
+        $this->assertNull($response->getData(true)['retry_after']);
+    }
+
+    /** @test */
+    public function unauthorized_exception_renders_403_json()
+    {
+        $request = Request::create('/api/bulk-actions', 'POST', server: ['HTTP_ACCEPT' => 'application/json']);
+
+        $response = UnauthorizedBulkActionException::missingPermission('delete')->render($request);
+
+        $this->assertEquals(403, $response->getStatusCode());
+        $this->assertFalse($response->getData(true)['success']);
+        $this->assertStringContainsString('delete', $response->getData(true)['message']);
+    }
+
+    /** @test */
+    public function exceptions_are_not_rendered_for_non_json_requests()
+    {
+        $request = Request::create('/bulk-actions', 'POST');
+
+        $this->assertNull(RateLimitExceededException::inCooldown(30)->render($request));
+        $this->assertNull(UnauthorizedBulkActionException::missingPermission('delete')->render($request));
+    }
 }
@@ -0,0 +1,77 @@
+<?php
+
+namespace DhruvilNagar\ActionEngine\Tests\Unit;
+
+use DhruvilNagar\ActionEngine\Actions\ActionRegistry;
+use DhruvilNagar\ActionEngine\Http\Resources\BulkActionExecutionResource;
+use DhruvilNagar\ActionEngine\Models\BulkActionExecution;
+use DhruvilNagar\ActionEngine\Support\TypeScriptSchemaGenerator;
+use DhruvilNagar\ActionEngine\Tests\TestCase;
+use Illuminate\Http\Request;
+
+class TypeScriptSchemaGeneratorTest extends TestCase
+{
+    /** @test */
+    public function it_covers_every_field_of_the_execution_resource(): void
+    {
+        $execution = BulkActionExecution::factory()->create(['status' => 'failed']);
+        $request = Request::create('/', 'GET', ['include_filters' => 1, 'include_parameters' => 1]);
+
+        $fields = array_map(
+            fn (string $field) => rtrim($field, '?'),
+            array_keys(TypeScriptSchemaGenerator::RESOURCE_FIELDS)
+        );
+
+        $this->assertEquals(
+            array_keys((new BulkActionExecutionResource($execution))->toArray($request)),
+            $fields
+        );
+    }
+
+    /** @test */
+    public function it_lists_every_execution_status(): void
+    {
+        $schema = app(TypeScriptSchemaGenerator::class)->generate();
+
+        foreach (['pending', 'scheduled', 'processing', 'completed', 'failed', 'cancelled', 'partially_completed'] as $status) {
+            $this->assertStringContainsString("| '{$status}'", $schema);
+        }
+    }
+
+    /** @test */
+    public function it_maps_declared_action_parameters_to_typescript(): void
+    {
+        $registry = new ActionRegistry();
+        $registry->register('notify', fn () => true, [
+            'parameters' => [
+                'message' => ['type' => 'text', 'required' => true],
+                'channel' => ['type' => 'select', 'options' => ['mail', 'sms']],
+                'urgent' => 'boolean',
+                'retries' => ['type' => 'integer'],
+            ],
+        ]);
+        $registry->register('touch', fn () => true);
+
+        $schema = (new TypeScriptSchemaGenerator($registry))->generate();
+
+        $this->assertStringContainsString(
+            "'notify': { 'message': string; 'channel'?: 'mail' | 'sms'; 'urgent'?: boolean; 'retries'?: number }",
+            $schema
+        );
+        $this->assertStringContainsString("'touch': Record<string, unknown>", $schema);
+    }
+
+    /** @test */
+    public function it_writes_the_schema_from_the_command(): void
+    {
+        $path = sys_get_temp_dir() . '/action-engine-' . uniqid() . '/schema.d.ts';
+
+        $this->artisan('action-engine:types', ['--path' => $path])->assertSuccessful();
+
+        $this->assertFileExists($path);
+        $this->assertStringContainsString("'export': { 'format': 'csv' | 'json' | 'xml'", file_get_contents($path));
+
+        unlink($path);
+        rmdir(dirname($path));
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * CacheSync against the fake API: rows a running action targets are
+ * changed in the cache, kept changed once it completes and rolled back
+ * when it fails or is cancelled.
+ *
+ * Run with `node --test tests/js`.
+ */
+
+import assert from 'node:assert/strict'
+import { beforeEach, test } from 'node:test'
+import {
+    ActionEngineClient,
+    CacheSync,
+    ExecutionStore,
+    piniaAdapter,
+    swrAdapter,
+} from '../../resources/js/core/index.js'
+import { FakeActionEngineServer } from '../../resources/js/testing/index.js'
+
+const POST = 'App\\Models\\Post'
+
+const POSTS = [
+    { id: 1, title: 'First' },
+    { id: 2, title: 'Second' },
+    { id: 3, title: 'Third' },
+]
+
+/**
+ * The parts of SWR's `useSWRConfig()` the adapter uses, keeping the keys
+ * revalidated by `mutate(key)`
+ */
+function swrConfig(entries) {
+    const cache = new Map(Object.entries(entries).map(([key, data]) => [key, { data }]))
+    const revalidated = []
+
+    const mutate = async (key, data) => {
+        if (data === undefined) {
+            revalidated.push(key)
+        } else {
+            cache.set(key, { data })
+        }
+    }
+
+    return { cache, mutate, revalidated }
+}
+
+/**
+ * The parts of a Pinia store the adapter uses
+ */
+function piniaStore(state) {
+    const store = {
+        $state: state,
+        $patch: patch => patch(store.$state),
+        refreshed: [],
+        fetchPosts: key => store.refreshed.push(key),
+    }
+
+    return store
+}
+
+const nextEvent = (observable, name) => new Promise(resolve => {
+    const off = observable.on(name, (payload) => {
+        off()
+        resolve(payload)
+    })
+})
+
+let server
+let store
+
+beforeEach(() => {
+    server = new FakeActionEngineServer({ records: 3 })
+    store = new ExecutionStore(new ActionEngineClient({ transport: server.transport }), { echo: false })
+})
+
+/**
+ * Run an action on posts 1 and 2, resolving once its optimistic change is applied
+ */
+async function run(sync, action) {
+    const applied = nextEvent(sync, 'applied')
+    const execution = await store.execute({ action, model: POST, filters: { ids: [1, 2] } }, { poll: false })
+
+    await applied
+
+    return execution
+}
+
+/**
+ * Run the execution to the end of its timeline and poll its final state
+ */
+async function finish(sync) {
+    const invalidated = nextEvent(sync, 'invalidated')
+
+    server.complete()
+    await store.fetchProgress()
+
+    return invalidated
+}
+
+test('hides the deleted rows while the action runs and keeps them hidden once it completes', async () => {
+    const swr = swrConfig({ '/api/posts': POSTS, '/api/posts?page=2': { data: POSTS, total: 3 } })
+    const sync = new CacheSync(swrAdapter(swr), { keys: { [POST]: ['/api/posts'] } })
+    sync.watch(store)
+
+    const execution = await run(sync, 'delete')
+
+    assert.deepEqual(swr.cache.get('/api/posts').data, [POSTS[2]])
+    assert.deepEqual(swr.cache.get('/api/posts?page=2').data, { data: [POSTS[2]], total: 3 })
+    assert.ok(sync.isPending(POSTS[0], POST))
+    assert.ok(!sync.isPending(POSTS[2], POST))
+
+    await finish(sync)
+
+    assert.equal(store.state.execution.status, 'completed')
+    assert.equal(sync.state.pending[execution.uuid], undefined)
+    assert.deepEqual(swr.cache.get('/api/posts').data, [POSTS[2]])
+    assert.deepEqual(swr.revalidated, ['/api/posts', '/api/posts?page=2'])
+})
+
+test('rolls the hidden rows back when the action fails', async () => {
+    server.timeline('pending', 'processing', { status: 'failed', failed_records: 2 })
+
+    const swr = swrConfig({ '/api/posts': POSTS })
+    const sync = new CacheSync(swrAdapter(swr), { keys: { [POST]: ['/api/posts'] } })
+    sync.watch(store)
+
+    await run(sync, 'delete')
+    assert.deepEqual(swr.cache.get('/api/posts').data, [POSTS[2]])
+
+    const rolledBack = nextEvent(sync, 'rolledBack')
+    await finish(sync)
+
+    assert.equal(store.state.execution.status, 'failed')
+    assert.equal((await rolledBack).action, 'delete')
+    assert.deepEqual(swr.cache.get('/api/posts').data, POSTS)
+    assert.deepEqual(sync.state.pending, {})
+    assert.deepEqual(swr.revalidated, ['/api/posts'])
+})
+
+test('marks archived rows in a Pinia store and unmarks them when the action is cancelled', async () => {
+    const pinia = piniaStore({ posts: POSTS })
+    const sync = new CacheSync(piniaAdapter(pinia, { refresh: 'fetchPosts' }), { keys: { [POST]: ['posts'] } })
+    sync.watch(store)
+
+    const execution = await run(sync, 'archive')
+
+    assert.deepEqual(pinia.$state.posts[0]._bulkAction, { uuid: execution.uuid, action: 'archive' })
+    assert.equal(pinia.$state.posts[2]._bulkAction, undefined)
+
+    const invalidated = nextEvent(sync, 'invalidated')
+    await store.cancel()
+    await invalidated
+
+    assert.deepEqual(pinia.$state.posts, POSTS)
+    assert.deepEqual(pinia.refreshed, ['posts'])
+})
+
+test('leaves the cache alone for dry runs and actions without optimistic changes', async () => {
+    const swr = swrConfig({ '/api/posts': POSTS })
+    const sync = new CacheSync(swrAdapter(swr), { keys: { [POST]: ['/api/posts'] } })
+    sync.watch(store)
+
+    await store.execute({ action: 'delete', model: POST, filters: { ids: [1] }, options: { dry_run: true } }, { poll: false })
+    await store.execute({ action: 'update', model: POST, filters: { ids: [1] } }, { poll: false })
+
+    assert.deepEqual(swr.cache.get('/api/posts').data, POSTS)
+    assert.deepEqual(sync.state.pending, {})
+})
@@ -0,0 +1,83 @@
+/**
+ * Cancelling and undoing the current action of an ExecutionStore against
+ * the fake API, and the errors both report.
+ *
+ * Run with `node --test tests/js`.
+ */
+
+import assert from 'node:assert/strict'
+import { beforeEach, test } from 'node:test'
+import { ActionEngineClient, ExecutionStore, UndoExpiredError } from '../../resources/js/core/index.js'
+import { FakeActionEngineServer } from '../../resources/js/testing/index.js'
+
+const PAYLOAD = { action: 'delete', model: 'App\\Models\\Post', filters: { ids: [1, 2, 3] } }
+
+let server
+let store
+let errors
+
+beforeEach(() => {
+    server = new FakeActionEngineServer()
+    store = new ExecutionStore(new ActionEngineClient({ transport: server.transport }), { echo: false })
+    errors = []
+
+    store.on('error', error => errors.push(error))
+})
+
+test('cancels the running action', async () => {
+    const cancelled = []
+    store.on('cancelled', execution => cancelled.push(execution))
+
+    await store.execute(PAYLOAD, { poll: false })
+    const execution = await store.cancel()
+
+    assert.equal(execution.status, 'cancelled')
+    assert.equal(store.state.execution.status, 'cancelled')
+    assert.deepEqual(cancelled, [execution])
+    assert.equal(store.state.isLoading, false)
+    assert.deepEqual(errors, [])
+})
+
+test('reports a failed cancel as an error', async () => {
+    await store.execute(PAYLOAD, { poll: false })
+    server.complete()
+
+    await assert.rejects(store.cancel(), { status: 422 })
+
+    assert.equal(errors.length, 1)
+    assert.equal(store.state.error, errors[0])
+    assert.equal(store.state.isLoading, false)
+})
+
+test('undoes a completed action', async () => {
+    const undone = []
+    store.on('undone', result => undone.push(result))
+
+    await store.execute({ ...PAYLOAD, options: { sync: true, with_undo: true } }, { poll: false })
+    const result = await store.undo()
+
+    assert.equal(result.restored_count, 3)
+    assert.equal(store.state.execution.can_undo, false)
+    assert.deepEqual(undone, [result])
+    assert.deepEqual(errors, [])
+})
+
+test('reports a failed undo as an error', async () => {
+    await store.execute({ ...PAYLOAD, options: { sync: true, with_undo: true } }, { poll: false })
+    server.fail('undo', 500)
+
+    await assert.rejects(store.undo(), { status: 500 })
+
+    assert.equal(errors.length, 1)
+    assert.equal(store.state.error, errors[0])
+    assert.equal(store.state.isLoading, false)
+})
+
+test('refuses to undo an action without undo data', async () => {
+    await store.execute({ ...PAYLOAD, options: { sync: true } }, { poll: false })
+
+    await assert.rejects(store.undo(), UndoExpiredError)
+
+    assert.ok(errors[0] instanceof UndoExpiredError)
+    assert.equal(server.requestsTo('undo').length, 0)
+})
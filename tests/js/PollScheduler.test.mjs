@@ -0,0 +1,94 @@
+/**
+ * PollScheduler on the fake timers: failed polls back off exponentially,
+ * the connection is reported lost after `maxFailures` and restored by the
+ * next success, and stop() aborts the poll in flight.
+ *
+ * Run with `node --test tests/js`.
+ */
+
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, test } from 'node:test'
+import { PollScheduler, backoffDelay } from '../../resources/js/core/index.js'
+import { installFakeTimers } from '../../resources/js/testing/index.js'
+
+let clock
+
+beforeEach(() => {
+    clock = installFakeTimers()
+})
+
+afterEach(() => {
+    clock.uninstall()
+})
+
+test('doubles the backoff per failure up to maxBackoff', () => {
+    const options = { interval: 1000, maxBackoff: 10000, jitter: 0 }
+
+    assert.deepEqual([1, 2, 3, 4, 5].map(failures => backoffDelay(failures, options)), [2000, 4000, 8000, 10000, 10000])
+})
+
+test('spreads the backoff by the jitter either way', () => {
+    const options = { interval: 1000, jitter: 0.25 }
+
+    assert.equal(backoffDelay(1, options, () => 0), 1500)
+    assert.equal(backoffDelay(1, options, () => 0.5), 2000)
+    assert.equal(backoffDelay(1, options, () => 1), 2500)
+})
+
+test('backs off while polls fail and reports the connection lost, then restored', async () => {
+    let failing = true
+    const changes = []
+
+    const scheduler = new PollScheduler(async () => {
+        if (failing) throw new Error('Failed to fetch')
+    }, { interval: 1000, jitter: 0, maxFailures: 3 })
+
+    scheduler.onConnectionChange(connectionLost => changes.push(connectionLost))
+    scheduler.start()
+
+    assert.deepEqual([await clock.next(), await clock.next(), await clock.next()], [1000, 2000, 4000])
+    assert.equal(scheduler.failures, 3)
+    assert.deepEqual(changes, [true])
+
+    failing = false
+
+    assert.equal(await clock.next(), 8000)
+    assert.equal(scheduler.failures, 0)
+    assert.deepEqual(changes, [true, false])
+
+    // Back to the base interval
+    assert.equal(await clock.next(), 1000)
+
+    scheduler.stop()
+})
+
+test('keeps the delay the task resolves to', async () => {
+    const scheduler = new PollScheduler(async () => 5000, { interval: 1000 })
+
+    scheduler.start()
+
+    assert.equal(await clock.next(), 1000)
+    assert.equal(await clock.next(), 5000)
+
+    scheduler.stop()
+})
+
+test('aborts the poll in flight on stop and schedules no other', async () => {
+    let signal
+
+    const scheduler = new PollScheduler((pollSignal) => {
+        signal = pollSignal
+
+        return new Promise(() => {})
+    }, { interval: 1000 })
+
+    scheduler.start()
+    await clock.tick(1000)
+
+    assert.equal(signal.aborted, false)
+
+    scheduler.stop()
+
+    assert.equal(signal.aborted, true)
+    assert.equal(clock.pending, 0)
+})
@@ -0,0 +1,91 @@
+/**
+ * Selections compiled to filters, and their count verified against the
+ * fake API's preview endpoint.
+ *
+ * Run with `node --test tests/js`.
+ */
+
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { ActionEngineClient, SelectionStore, selectionFilters } from '../../resources/js/core/index.js'
+import { FakeActionEngineServer } from '../../resources/js/testing/index.js'
+
+const POST = 'App\\Models\\Post'
+
+/**
+ * Selection state with the given fields
+ */
+const selection = fields => ({ mode: 'some', ids: [], excluded: [], filters: {}, ...fields })
+
+test('sends explicit integer ids as an ids filter', () => {
+    assert.deepEqual(selectionFilters(selection({ ids: [1, 2] })), { ids: [1, 2] })
+})
+
+test('never sends an empty ids filter, which the API would ignore', () => {
+    assert.deepEqual(selectionFilters(selection({ ids: [] })), { where_in: [['id', []]] })
+})
+
+test('sends other keys through where_in', () => {
+    assert.deepEqual(selectionFilters(selection({ ids: ['a1', 'b2'] }), 'uuid'), { where_in: [['uuid', ['a1', 'b2']]] })
+})
+
+test('sends "all matching" as the table filters minus the exclusions', () => {
+    const state = selection({
+        mode: 'all',
+        excluded: [3],
+        filters: { where: [['status', 'active']], where_not_in: [['role', ['admin']]] },
+    })
+
+    assert.deepEqual(selectionFilters(state), {
+        where: [['status', 'active']],
+        where_not_in: [['role', ['admin']], ['id', [3]]],
+    })
+    assert.deepEqual(state.filters.where_not_in, [['role', ['admin']]])
+    assert.deepEqual(selectionFilters({ ...state, excluded: [] }), state.filters)
+})
+
+test('verifies the count of an "all matching" selection until it changes', async () => {
+    const server = new FakeActionEngineServer({ records: 40 })
+
+    // Count like the API would, the fake ignores where_not_in
+    server.on('preview', ({ body }) => ({
+        body: { success: true, data: { total_count: 40 - body.filters.where_not_in[0][1].length, preview: [] } },
+    }))
+
+    const store = new SelectionStore(new ActionEngineClient({ transport: server.transport }), { model: POST })
+
+    store.setPage([1, 2, 3], 40)
+    store.selectAll()
+    store.deselect([2, 3])
+
+    assert.equal(store.count, 38)
+    assert.equal(store.isVerified, false)
+
+    assert.equal(await store.verify('delete'), 38)
+    assert.equal(store.isVerified, true)
+    assert.deepEqual(server.requestsTo('preview')[0].body, {
+        action: 'delete',
+        preview_limit: 1,
+        model: POST,
+        filters: { where_not_in: [['id', [2, 3]]] },
+    })
+
+    store.select(2)
+
+    assert.equal(store.isVerified, false)
+    assert.equal(store.count, 39)
+})
+
+test('reports a failed verification as an error', async () => {
+    const server = new FakeActionEngineServer().fail('preview', 500)
+    const store = new SelectionStore(new ActionEngineClient({ transport: server.transport }), { model: POST })
+    const errors = []
+
+    store.on('error', error => errors.push(error))
+    store.selectAll()
+
+    await assert.rejects(store.verify('delete'), { status: 500 })
+    assert.equal(errors.length, 1)
+    assert.equal(store.state.error, errors[0])
+    assert.equal(store.state.isVerifying, false)
+})
@@ -0,0 +1,107 @@
+/**
+ * Idempotent submissions against the fake API: a submission that got no
+ * answer is sent again with its Idempotency-Key and answered with the
+ * execution it started, and identical submissions in flight share one
+ * request.
+ *
+ * Run with `node --test tests/js`.
+ */
+
+import assert from 'node:assert/strict'
+import { beforeEach, test } from 'node:test'
+import { ActionEngineClient, ExecutionStore, NetworkError } from '../../resources/js/core/index.js'
+import { FakeActionEngineServer } from '../../resources/js/testing/index.js'
+
+const PAYLOAD = { action: 'delete', model: 'App\\Models\\Post', filters: { ids: [1, 2] } }
+
+const keysSent = server => server.requestsTo('execute').map(request => request.headers['Idempotency-Key'])
+
+let server
+
+beforeEach(() => {
+    server = new FakeActionEngineServer()
+})
+
+/**
+ * A transport that loses the response of the next `lost` execute requests,
+ * after the server has handled them
+ */
+function losingResponses(lost) {
+    return async (request) => {
+        const response = await server.transport(request)
+
+        if (request.method === 'POST' && lost > 0) {
+            lost--
+            throw new TypeError('Failed to fetch')
+        }
+
+        return response
+    }
+}
+
+test('resends a submission whose response was lost with the same key and gets the first execution', async () => {
+    const client = new ActionEngineClient({ transport: losingResponses(1), retryDelay: 0 })
+
+    const execution = await client.execute(PAYLOAD)
+    const [first, second] = keysSent(server)
+
+    assert.ok(first)
+    assert.equal(second, first)
+    assert.equal(server.executions.size, 1)
+    assert.equal(execution.uuid, [...server.executions.keys()][0])
+})
+
+test('keeps the key of a submission that never got an answer for the next call', async () => {
+    const client = new ActionEngineClient({ transport: losingResponses(2), executeRetries: 1, retryDelay: 0 })
+
+    await assert.rejects(client.execute(PAYLOAD), NetworkError)
+
+    const execution = await client.execute(PAYLOAD)
+
+    assert.equal(new Set(keysSent(server)).size, 1)
+    assert.equal(server.executions.size, 1)
+    assert.equal(execution.status, 'pending')
+
+    // A settled submission leaves the next identical one a new key
+    await client.execute(PAYLOAD)
+
+    assert.equal(new Set(keysSent(server)).size, 2)
+})
+
+test('does not resend a submission the server refused', async () => {
+    server.fail('execute', { status: 422, errors: { action: ['The action field is required.'] } })
+
+    const client = new ActionEngineClient({ transport: server.transport, retryDelay: 0 })
+
+    await assert.rejects(client.execute(PAYLOAD), { status: 422 })
+    assert.equal(server.requestsTo('execute').length, 1)
+})
+
+test('rejects a key reused for a different payload', async () => {
+    const client = new ActionEngineClient({ transport: server.transport })
+
+    await client.execute(PAYLOAD, { idempotencyKey: 'submission-1' })
+
+    await assert.rejects(
+        client.execute({ ...PAYLOAD, action: 'archive' }, { idempotencyKey: 'submission-1' }),
+        { status: 422 }
+    )
+    assert.equal(server.executions.size, 1)
+})
+
+test('shares one request between identical submissions in flight', async () => {
+    const store = new ExecutionStore(new ActionEngineClient({ transport: server.transport }), { echo: false })
+
+    const [first, second] = await Promise.all([
+        store.execute(PAYLOAD, { poll: false }),
+        // Same payload, keys in another order
+        store.execute({ filters: { ids: [1, 2] }, model: PAYLOAD.model, action: 'delete' }, { poll: false }),
+    ])
+
+    assert.equal(second, first)
+    assert.equal(server.requestsTo('execute').length, 1)
+
+    await store.execute({ ...PAYLOAD, filters: { ids: [3] } }, { poll: false })
+
+    assert.equal(server.requestsTo('execute').length, 2)
+})